@@ -5,6 +5,7 @@ import { useQuery } from "@tanstack/react-query";
 import { DashboardApi } from "../../../lib/api-client";
 import { useUser } from "../../../components/user-context";
 import { InterviewLaunchTrigger } from "../../../components/golden-interview/interview-launch-trigger";
+import { UnfinishedInterviews } from "../../../components/golden-interview/unfinished-interviews";
 
 function formatNumber(value) {
   return new Intl.NumberFormat(undefined, { maximumFractionDigits: 0 }).format(value);
@@ -128,6 +129,8 @@ export default function DashboardOverviewPage() {
         )}
       </section>
 
+      <UnfinishedInterviews authToken={authToken} />
+
       <RecentActivity
         events={activityQuery.data ?? []}
         isLoading={activityQuery.isLoading}
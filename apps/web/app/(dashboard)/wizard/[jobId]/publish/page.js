@@ -1156,6 +1156,47 @@ function ChannelRecommendationList({
   );
 }
 
+const COMPLIANCE_SEVERITY_STYLES = {
+  blocking: "border-red-200 bg-red-50 text-red-700",
+  warning: "border-amber-200 bg-amber-50 text-amber-700",
+  info: "border-neutral-200 bg-neutral-50 text-neutral-600",
+};
+
+function PayComplianceNotice({ compliance }) {
+  if (!compliance || compliance.flags.length === 0) {
+    return null;
+  }
+  return (
+    <div className="space-y-2 rounded-2xl border border-neutral-200 bg-white px-4 py-3 shadow-sm">
+      <div>
+        <p className="text-sm font-semibold text-neutral-900">
+          Pay compliance
+          {compliance.jurisdiction ? ` · ${compliance.jurisdiction.name}` : ""}
+        </p>
+        <p className="text-xs text-neutral-500">
+          {compliance.blocking
+            ? "Fix the blocking items in the previous step before this job can be published."
+            : "Review these before publishing."}
+        </p>
+      </div>
+      <ul className="space-y-2">
+        {compliance.flags.map((flag) => (
+          <li
+            key={flag.id}
+            className={clsx(
+              "rounded-xl border px-3 py-2 text-xs",
+              COMPLIANCE_SEVERITY_STYLES[flag.severity] ?? COMPLIANCE_SEVERITY_STYLES.info
+            )}
+          >
+            <span className="font-semibold">{flag.label}</span>
+            {flag.details ? <span className="block">{flag.details}</span> : null}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 function HeroImageOptIn({ checked, onToggle }) {
   return (
     <div className="rounded-2xl border border-primary-100 bg-white px-4 py-3 shadow-sm">
@@ -1954,6 +1995,7 @@ export default function RefineJobPage() {
   const [shouldPollAssets, setShouldPollAssets] = useState(false);
   const [selectedChannels, setSelectedChannels] = useState([]);
   const [finalJobSource, setFinalJobSource] = useState(null);
+  const [payCompliance, setPayCompliance] = useState(null);
   const [currentStep, setCurrentStep] = useState(() =>
     normalizeFlowStepId(searchParams?.get("step"))
   );
@@ -2847,6 +2889,7 @@ export default function RefineJobPage() {
       setChannelUpdatedAt(response.channelUpdatedAt ?? null);
       setChannelFailure(response.channelFailure ?? null);
       setFinalJobSource(submissionSource);
+      setPayCompliance(response.compliance ?? null);
       syncSelectedChannels(response.channelRecommendations ?? []);
       if (shouldGenerateHeroImage) {
         await handleHeroImageRequest({ forceRefresh: true });
@@ -3438,6 +3481,7 @@ export default function RefineJobPage() {
                       Make edits in the previous step to refresh them.
                     </p>
                   </div>
+                  <PayComplianceNotice compliance={payCompliance} />
                   <ChannelRecommendationList
                     recommendations={channelRecommendations}
                     updatedAt={channelUpdatedAt}
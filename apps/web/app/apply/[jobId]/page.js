@@ -0,0 +1,18 @@
+import { notFound, redirect } from "next/navigation";
+import { CareersApi } from "../../../lib/api-client";
+
+// Links shared before the careers site existed pointed at /apply/[jobId].
+export default async function LegacyApplyPage({ params, searchParams }) {
+  const page = await CareersApi.fetchJob(params.jobId);
+  if (!page) {
+    notFound();
+  }
+  const query = new URLSearchParams();
+  Object.entries(searchParams ?? {}).forEach(([key, value]) => {
+    if (typeof value === "string") query.set(key, value);
+  });
+  const suffix = query.toString() ? `?${query.toString()}` : "";
+  redirect(
+    `/jobs/${encodeURIComponent(page.company.slug)}/${encodeURIComponent(page.job.jobId)}${suffix}`,
+  );
+}
@@ -0,0 +1,8 @@
+"use client";
+
+import StakeholderMergeReview from "../../../../components/golden-interview/StakeholderMergeReview";
+
+export default function GoldenInterviewGroupPage({ params }) {
+  const groupId = Array.isArray(params?.groupId) ? params.groupId[0] : params?.groupId;
+  return <StakeholderMergeReview groupId={groupId ?? null} />;
+}
@@ -0,0 +1,25 @@
+"use client";
+
+import { Suspense } from "react";
+import { useSearchParams } from "next/navigation";
+import GuestInvites from "../../../components/golden-interview/GuestInvites";
+
+function GuestInvitesContent() {
+  const searchParams = useSearchParams();
+  return (
+    <GuestInvites
+      // Hand off an active session, or invite a new linked perspective
+      sessionId={searchParams.get("session") || null}
+      linkedSessionId={searchParams.get("linkTo") || null}
+      perspective={searchParams.get("perspective") || null}
+    />
+  );
+}
+
+export default function GoldenInterviewInvitesPage() {
+  return (
+    <Suspense fallback={null}>
+      <GuestInvitesContent />
+    </Suspense>
+  );
+}
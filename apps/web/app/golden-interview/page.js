@@ -24,11 +24,18 @@ function GoldenInterviewContent() {
 
   const companyId = searchParams.get("companyId") || null;
   const companyName = searchParams.get("companyName") || null;
+  // Another stakeholder's interview for the same role (merged later)
+  const linkedSessionId = searchParams.get("linkTo") || null;
+  const perspective = searchParams.get("perspective") || null;
 
   return (
     <ChatInterface
+      // Remount when starting a linked interview from a completion screen
+      key={linkedSessionId ? `${linkedSessionId}:${perspective}` : "interview"}
       companyId={companyId}
       companyName={companyName}
+      linkedSessionId={linkedSessionId}
+      perspective={perspective}
     />
   );
 }
@@ -0,0 +1,14 @@
+"use client";
+
+import { Suspense } from "react";
+import GuestInterview from "../../../components/golden-interview/GuestInterview";
+
+// Public: guests open invite links without an account
+export default function GuestInterviewPage({ params }) {
+  const token = Array.isArray(params?.token) ? params.token[0] : params?.token;
+  return (
+    <Suspense fallback={null}>
+      <GuestInterview token={token ?? null} />
+    </Suspense>
+  );
+}
@@ -0,0 +1,109 @@
+import { Suspense } from "react";
+import DOMPurify from "isomorphic-dompurify";
+import { notFound, redirect } from "next/navigation";
+import { CareersApi } from "../../../../lib/api-client";
+import { ApplyForm } from "../../../../components/careers/apply-form";
+import {
+  CareersHeader,
+  brandStyle,
+} from "../../../../components/careers/careers-header";
+
+// JSON-LD is inlined in a <script>; escape "<" so copy cannot close the tag.
+function serializeJsonLd(jsonLd) {
+  return JSON.stringify(jsonLd).replace(/</g, "\\u003c");
+}
+
+function toQueryString(searchParams = {}) {
+  const query = new URLSearchParams();
+  Object.entries(searchParams).forEach(([key, value]) => {
+    if (typeof value === "string") query.set(key, value);
+  });
+  const text = query.toString();
+  return text ? `?${text}` : "";
+}
+
+export async function generateMetadata({ params }) {
+  const page = await CareersApi.fetchJob(params.jobId);
+  if (!page) {
+    return { title: "Job not found" };
+  }
+  const companyName = page.job.companyName ?? page.company.name;
+  return {
+    title: companyName ? `${page.job.title} at ${companyName}` : page.job.title,
+    alternates: { canonical: page.job.url },
+    openGraph: page.heroImage?.url?.startsWith("http")
+      ? {
+          images: [
+            { url: page.heroImage.url, alt: page.heroImage.alt ?? undefined },
+          ],
+        }
+      : undefined,
+  };
+}
+
+export default async function JobPage({ params, searchParams }) {
+  const page = await CareersApi.fetchJob(params.jobId);
+  if (!page) {
+    notFound();
+  }
+  const { company, job, heroImage, jsonLd } = page;
+  // Keep one URL per job (and its UTMs) when the slug is stale or mistyped.
+  if (decodeURIComponent(params.companySlug) !== company.slug) {
+    redirect(
+      `/jobs/${encodeURIComponent(company.slug)}/${encodeURIComponent(job.jobId)}${toQueryString(searchParams)}`,
+    );
+  }
+
+  const facts = [
+    job.remote ? "Remote" : job.location,
+    job.employmentType,
+    job.salaryText,
+  ].filter(Boolean);
+
+  return (
+    <div className="min-h-screen bg-neutral-50" style={brandStyle(company)}>
+      <script
+        type="application/ld+json"
+        dangerouslySetInnerHTML={{ __html: serializeJsonLd(jsonLd) }}
+      />
+      <CareersHeader company={company} />
+      <main className="mx-auto flex w-full max-w-4xl flex-col gap-8 px-6 py-10">
+        {heroImage ? (
+          // eslint-disable-next-line @next/next/no-img-element
+          <img
+            src={heroImage.url}
+            alt={heroImage.alt ?? job.title}
+            className="aspect-[16/9] w-full rounded-3xl object-cover shadow-sm"
+          />
+        ) : null}
+
+        <section className="flex flex-col gap-3">
+          <h1 className="text-3xl font-bold text-neutral-900">{job.title}</h1>
+          {facts.length > 0 ? (
+            <p className="text-sm text-neutral-500">{facts.join(" · ")}</p>
+          ) : null}
+          <a
+            href="#apply"
+            className="w-fit rounded-full px-6 py-3 text-sm font-semibold uppercase tracking-wide text-white"
+            style={{ backgroundColor: "var(--brand-primary)" }}
+          >
+            Apply now
+          </a>
+        </section>
+
+        {job.descriptionHtml ? (
+          <article
+            className="rounded-3xl border border-neutral-200 bg-white p-8 text-neutral-700 shadow-sm [&_h3]:mt-6 [&_h3]:text-lg [&_h3]:font-semibold [&_h3]:text-neutral-900 [&_li]:mt-1 [&_p]:mt-3 [&_ul]:mt-3 [&_ul]:list-disc [&_ul]:pl-6"
+            dangerouslySetInnerHTML={{
+              __html: DOMPurify.sanitize(job.descriptionHtml),
+            }}
+          />
+        ) : null}
+
+        <Suspense fallback={null}>
+          <ApplyForm jobId={job.jobId} jobTitle={job.title} />
+        </Suspense>
+      </main>
+    </div>
+  );
+}
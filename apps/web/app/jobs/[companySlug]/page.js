@@ -0,0 +1,69 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import { CareersApi } from "../../../lib/api-client";
+import {
+  CareersHeader,
+  brandStyle,
+} from "../../../components/careers/careers-header";
+
+export async function generateMetadata({ params }) {
+  const site = await CareersApi.fetchCompanySite(params.companySlug);
+  if (!site) {
+    return { title: "Careers" };
+  }
+  const name = site.company.name ?? "Open roles";
+  return {
+    title: `Careers at ${name}`,
+    description: site.company.tagline ?? site.company.description ?? undefined,
+  };
+}
+
+export default async function CareersIndexPage({ params }) {
+  const site = await CareersApi.fetchCompanySite(params.companySlug);
+  if (!site) {
+    notFound();
+  }
+  const { company, jobs } = site;
+
+  return (
+    <div className="min-h-screen bg-neutral-50" style={brandStyle(company)}>
+      <CareersHeader company={company} />
+      <main className="mx-auto flex w-full max-w-4xl flex-col gap-8 px-6 py-10">
+        {company.description ? (
+          <p className="max-w-3xl text-neutral-600">{company.description}</p>
+        ) : null}
+
+        <section className="flex flex-col gap-4">
+          <h1 className="text-2xl font-bold text-neutral-900">
+            Open roles <span className="text-neutral-400">({jobs.length})</span>
+          </h1>
+          {jobs.length === 0 ? (
+            <p className="rounded-2xl border border-dashed border-neutral-300 p-8 text-center text-sm text-neutral-500">
+              No open roles right now. Check back soon.
+            </p>
+          ) : (
+            <ul className="flex flex-col gap-3">
+              {jobs.map((job) => (
+                <li key={job.jobId}>
+                  <Link
+                    href={`/jobs/${encodeURIComponent(company.slug)}/${encodeURIComponent(job.jobId)}`}
+                    className="flex flex-col gap-1 rounded-2xl border border-neutral-200 bg-white p-5 shadow-sm transition hover:border-[var(--brand-primary)]"
+                  >
+                    <span className="text-lg font-semibold text-neutral-900">
+                      {job.title}
+                    </span>
+                    <span className="text-sm text-neutral-500">
+                      {[job.remote ? "Remote" : job.location, job.salaryText]
+                        .filter(Boolean)
+                        .join(" · ")}
+                    </span>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+}
@@ -1,7 +1,7 @@
 "use client";
 
 import { useMemo } from "react";
-import { useQuery } from "@tanstack/react-query";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { DashboardApi } from "../../lib/api-client";
 import { useUser } from "../user-context";
 
@@ -26,6 +26,25 @@ export function CampaignTable() {
 
   const campaigns = useMemo(() => data ?? [], [data]);
 
+  const queryClient = useQueryClient();
+  const launchMutation = useMutation({
+    mutationFn: () => DashboardApi.launchCampaigns({}, { authToken }),
+    onSuccess: () => {
+      // The orchestrator processes launches asynchronously; refetch shortly
+      // after so freshly created DRAFT/SCHEDULED rows show up.
+      setTimeout(() => {
+        queryClient.invalidateQueries({ queryKey: ["dashboard-campaigns"] });
+      }, 1500);
+    }
+  });
+
+  const launchSummary = launchMutation.data
+    ? `${launchMutation.data.launches.length} job(s) queued` +
+      (launchMutation.data.skipped.length > 0
+        ? `, ${launchMutation.data.skipped.length} skipped (not finalized)`
+        : "")
+    : null;
+
   if (!userId || !authToken) {
     return (
       <section className="rounded-3xl border border-neutral-200 bg-white p-6 text-center text-sm text-neutral-500 shadow-sm shadow-neutral-100">
@@ -47,13 +66,23 @@ export function CampaignTable() {
           </button>
           <button
             type="button"
-            className="rounded-full bg-primary-600 px-4 py-2 text-xs font-semibold uppercase tracking-wide text-white transition hover:bg-primary-500"
+            onClick={() => launchMutation.mutate()}
+            disabled={launchMutation.isPending}
+            className="rounded-full bg-primary-600 px-4 py-2 text-xs font-semibold uppercase tracking-wide text-white transition hover:bg-primary-500 disabled:cursor-not-allowed disabled:opacity-60"
           >
-            Launch all
+            {launchMutation.isPending ? "Launching…" : "Launch all"}
           </button>
         </div>
       </header>
 
+      {launchMutation.isError ? (
+        <p className="mt-3 text-xs text-red-600">
+          {launchMutation.error?.message ?? "Unable to launch campaigns."}
+        </p>
+      ) : launchSummary ? (
+        <p className="mt-3 text-xs text-neutral-500">{launchSummary}</p>
+      ) : null}
+
       {isLoading ? (
         <div className="mt-4 space-y-3">
           {Array.from({ length: 4 }).map((_, index) => (
@@ -0,0 +1,239 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { useSearchParams } from "next/navigation";
+import { CareersApi } from "../../lib/api-client";
+
+// Matches MAX_RESUME_FILE_BYTES in the gateway's application intake.
+const MAX_RESUME_BYTES = 700 * 1024;
+const ACCEPTED_RESUME_TYPES = ["application/pdf", "text/plain"];
+
+const UTM_FIELDS = {
+  utm_source: "utmSource",
+  utm_medium: "utmMedium",
+  utm_campaign: "utmCampaign",
+  utm_content: "utmContent",
+};
+
+const INPUT_CLASS =
+  "rounded-xl border border-neutral-200 px-4 py-3 text-sm text-neutral-700 outline-none focus:border-neutral-400";
+
+function readAttribution(searchParams) {
+  const attribution = {};
+  Object.entries(UTM_FIELDS).forEach(([param, field]) => {
+    const value = searchParams?.get(param);
+    if (value) {
+      attribution[field] = value.slice(0, 200);
+    }
+  });
+  return Object.keys(attribution).length > 0 ? attribution : undefined;
+}
+
+function readFileAsBase64(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const result = String(reader.result ?? "");
+      resolve(result.slice(result.indexOf(",") + 1));
+    };
+    reader.onerror = () => reject(new Error("Could not read the resume file"));
+    reader.readAsDataURL(file);
+  });
+}
+
+export function ApplyForm({ jobId, jobTitle }) {
+  const searchParams = useSearchParams();
+  const attribution = useMemo(
+    () => readAttribution(searchParams),
+    [searchParams],
+  );
+  const [resumeMode, setResumeMode] = useState("file");
+  const [status, setStatus] = useState("idle");
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    const form = new FormData(event.currentTarget);
+    const payload = {
+      candidate: {
+        name: String(form.get("name") ?? "").trim(),
+        email: String(form.get("email") ?? "").trim(),
+        ...(form.get("phone")
+          ? { phone: String(form.get("phone")).trim() }
+          : {}),
+        ...(form.get("linkedinUrl")
+          ? { linkedinUrl: String(form.get("linkedinUrl")).trim() }
+          : {}),
+      },
+      ...(form.get("coverLetter")
+        ? { coverLetter: String(form.get("coverLetter")) }
+        : {}),
+      ...(attribution ? { attribution } : {}),
+    };
+
+    if (resumeMode === "file") {
+      const file = form.get("resumeFile");
+      if (!file || typeof file === "string" || file.size === 0) {
+        setError("Attach your resume as a PDF or text file.");
+        return;
+      }
+      if (!ACCEPTED_RESUME_TYPES.includes(file.type)) {
+        setError("Resumes must be a PDF or plain text file.");
+        return;
+      }
+      if (file.size > MAX_RESUME_BYTES) {
+        setError("Resume files must be under 700 KB.");
+        return;
+      }
+      setStatus("submitting");
+      try {
+        payload.resumeFile = {
+          fileName: file.name,
+          mimeType: file.type,
+          contentBase64: await readFileAsBase64(file),
+        };
+      } catch (readError) {
+        setStatus("idle");
+        setError(readError.message);
+        return;
+      }
+    } else {
+      const resumeText = String(form.get("resumeText") ?? "").trim();
+      if (!resumeText) {
+        setError("Paste your resume to continue.");
+        return;
+      }
+      payload.resumeText = resumeText;
+    }
+
+    setStatus("submitting");
+    try {
+      await CareersApi.submitApplication(jobId, payload);
+      setStatus("submitted");
+    } catch (submitError) {
+      setStatus("idle");
+      setError(submitError.message);
+    }
+  };
+
+  if (status === "submitted") {
+    return (
+      <div className="rounded-3xl border border-neutral-200 bg-white p-8 text-center shadow-sm">
+        <h2 className="text-xl font-semibold text-neutral-900">
+          Application sent
+        </h2>
+        <p className="mt-2 text-sm text-neutral-600">
+          Thanks for applying to {jobTitle}. The hiring team will be in touch.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <form
+      id="apply"
+      onSubmit={handleSubmit}
+      className="grid gap-4 rounded-3xl border border-neutral-200 bg-white p-8 shadow-sm"
+    >
+      <h2 className="text-xl font-semibold text-neutral-900">
+        Apply for {jobTitle}
+      </h2>
+      <div className="grid gap-4 sm:grid-cols-2">
+        <label className="flex flex-col gap-2 text-sm font-medium">
+          Full name
+          <input
+            name="name"
+            type="text"
+            required
+            maxLength={200}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2 text-sm font-medium">
+          Email
+          <input name="email" type="email" required className={INPUT_CLASS} />
+        </label>
+        <label className="flex flex-col gap-2 text-sm font-medium">
+          Phone <span className="font-normal text-neutral-400">(optional)</span>
+          <input
+            name="phone"
+            type="tel"
+            maxLength={50}
+            className={INPUT_CLASS}
+          />
+        </label>
+        <label className="flex flex-col gap-2 text-sm font-medium">
+          LinkedIn{" "}
+          <span className="font-normal text-neutral-400">(optional)</span>
+          <input name="linkedinUrl" type="url" className={INPUT_CLASS} />
+        </label>
+      </div>
+
+      <fieldset className="flex flex-col gap-3">
+        <legend className="text-sm font-medium">Resume</legend>
+        <div className="flex gap-2 text-sm">
+          {[
+            { id: "file", label: "Upload file" },
+            { id: "text", label: "Paste text" },
+          ].map((option) => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setResumeMode(option.id)}
+              className={
+                resumeMode === option.id
+                  ? "rounded-full px-4 py-1.5 font-medium text-white"
+                  : "rounded-full border border-neutral-200 px-4 py-1.5 text-neutral-600"
+              }
+              style={
+                resumeMode === option.id
+                  ? { backgroundColor: "var(--brand-primary)" }
+                  : undefined
+              }
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {resumeMode === "file" ? (
+          <input
+            name="resumeFile"
+            type="file"
+            accept=".pdf,.txt,application/pdf,text/plain"
+            className="text-sm text-neutral-600"
+          />
+        ) : (
+          <textarea
+            name="resumeText"
+            rows={8}
+            className={`min-h-[160px] ${INPUT_CLASS}`}
+            placeholder="Paste your resume here"
+          />
+        )}
+      </fieldset>
+
+      <label className="flex flex-col gap-2 text-sm font-medium">
+        Cover letter{" "}
+        <span className="font-normal text-neutral-400">(optional)</span>
+        <textarea
+          name="coverLetter"
+          rows={4}
+          maxLength={10000}
+          className={`min-h-[100px] ${INPUT_CLASS}`}
+        />
+      </label>
+
+      {error ? <p className="text-sm text-red-600">{error}</p> : null}
+
+      <button
+        type="submit"
+        disabled={status === "submitting"}
+        className="mt-2 rounded-full px-6 py-3 text-sm font-semibold uppercase tracking-wide text-white transition disabled:opacity-60"
+        style={{ backgroundColor: "var(--brand-primary)" }}
+      >
+        {status === "submitting" ? "Sending..." : "Submit application"}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,75 @@
+import Link from "next/link";
+
+const FALLBACK_BRAND_COLOR = "#4f46e5";
+const SAFE_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * Company colors come from enrichment, so only plain hex values reach inline styles.
+ */
+export function resolveBrandColors(company) {
+  const primary = SAFE_COLOR.test(company?.primaryColor ?? "")
+    ? company.primaryColor
+    : FALLBACK_BRAND_COLOR;
+  const secondary = SAFE_COLOR.test(company?.secondaryColor ?? "")
+    ? company.secondaryColor
+    : primary;
+  return { primary, secondary };
+}
+
+export function brandStyle(company) {
+  const colors = resolveBrandColors(company);
+  return {
+    "--brand-primary": colors.primary,
+    "--brand-secondary": colors.secondary,
+    ...(company?.fontFamily ? { fontFamily: company.fontFamily } : {}),
+  };
+}
+
+export function CareersHeader({ company }) {
+  const name = company?.name ?? "Open roles";
+  return (
+    <header
+      className="border-b border-neutral-200 bg-white"
+      style={{ borderTop: "4px solid var(--brand-primary)" }}
+    >
+      <div className="mx-auto flex w-full max-w-4xl items-center gap-4 px-6 py-6">
+        {company?.logoUrl ? (
+          // eslint-disable-next-line @next/next/no-img-element
+          <img
+            src={company.logoUrl}
+            alt={`${name} logo`}
+            className="h-12 w-12 rounded-xl object-contain"
+          />
+        ) : (
+          <span
+            className="flex h-12 w-12 items-center justify-center rounded-xl text-lg font-bold text-white"
+            style={{ backgroundColor: "var(--brand-primary)" }}
+          >
+            {name.charAt(0).toUpperCase()}
+          </span>
+        )}
+        <div className="flex flex-col">
+          <Link
+            href={`/jobs/${encodeURIComponent(company?.slug ?? "")}`}
+            className="text-xl font-semibold text-neutral-900 hover:underline"
+          >
+            {name} careers
+          </Link>
+          {company?.tagline ? (
+            <p className="text-sm text-neutral-500">{company.tagline}</p>
+          ) : null}
+        </div>
+        {company?.website ? (
+          <a
+            href={company.website}
+            target="_blank"
+            rel="noreferrer"
+            className="ml-auto text-sm font-medium text-neutral-600 hover:text-neutral-900"
+          >
+            Visit website
+          </a>
+        ) : null}
+      </div>
+    </header>
+  );
+}
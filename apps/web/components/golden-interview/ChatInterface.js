@@ -20,6 +20,21 @@ const STEPS = [
   { id: "closing", label: "Review", icon: "check" },
 ];
 
+// Who can answer an interview; several perspectives on one role are merged
+const PERSPECTIVE_OPTIONS = [
+  { id: "hiring_manager", label: "Hiring manager" },
+  { id: "recruiter", label: "Recruiter" },
+  { id: "current_employee", label: "Current employee" },
+];
+
+// Role reality export formats (GET /golden-interview/session/:id/export)
+const EXPORT_FORMAT_OPTIONS = [
+  { id: "pdf", label: "PDF" },
+  { id: "html", label: "Web page" },
+  { id: "markdown", label: "Markdown" },
+  { id: "json", label: "JSON" },
+];
+
 const PHASE_TO_STEP_INDEX = {
   opening: 0,
   context: 0,
@@ -118,12 +133,17 @@ function formatUiResponseForDisplay(uiResponse) {
 export default function ChatInterface({
   companyId = null,
   companyName = null,
+  linkedSessionId = null,
+  perspective = null,
+  // Invite token from a guest link; the guest answers without an account
+  guestToken = null,
 }) {
   const { user } = useUser();
   const router = useRouter();
   const searchParams = useSearchParams();
   const pathname = usePathname();
-  const authToken = user?.authToken;
+  const guest = Boolean(guestToken);
+  const authToken = guestToken || user?.authToken;
 
   // Session state
   const [sessionId, setSessionId] = useState(null);
@@ -135,6 +155,7 @@ export default function ChatInterface({
   // Current interaction state
   const [currentTool, setCurrentTool] = useState(null);
   const [currentMessage, setCurrentMessage] = useState("");
+  const [streamingMessage, setStreamingMessage] = useState(""); // partial reply while the turn streams
   const [inputValue, setInputValue] = useState("");
   const [dynamicValue, setDynamicValue] = useState(null);
 
@@ -155,6 +176,13 @@ export default function ChatInterface({
   const [fullSchema, setFullSchema] = useState(null);
   const [conversationHistory, setConversationHistory] = useState([]);
   const [copySuccess, setCopySuccess] = useState(false);
+  const [isCreatingDraft, setIsCreatingDraft] = useState(false);
+  const [groupId, setGroupId] = useState(null);
+  const [nextPerspective, setNextPerspective] = useState("current_employee");
+  const [exportIncludesSensitive, setExportIncludesSensitive] = useState(false);
+  const [exportingFormat, setExportingFormat] = useState(null);
+  // Catch-up summary shown when coming back to an unfinished interview
+  const [resumeRecap, setResumeRecap] = useState(null);
 
   // Navigation state
   const [navigationState, setNavigationStateInternal] = useState({
@@ -168,7 +196,11 @@ export default function ChatInterface({
   // Wrapper to log all navigation state changes
   const setNavigationState = useCallback((newState) => {
     setNavigationStateInternal((prev) => {
-      const next = typeof newState === "function" ? newState(prev) : newState;
+      let next = typeof newState === "function" ? newState(prev) : newState;
+      // Guests only answer forward; revisiting turns is an owner route
+      if (guest) {
+        next = { ...next, canGoBack: false, canGoForward: false, isEditing: false };
+      }
       console.log(
         `🧭 [NAV STATE] Change:`,
         `\n  FROM: idx=${prev.currentIndex}/${prev.maxIndex}, back=${prev.canGoBack}, fwd=${prev.canGoForward}, edit=${prev.isEditing}`,
@@ -176,7 +208,7 @@ export default function ChatInterface({
       );
       return next;
     });
-  }, []);
+  }, [guest]);
 
   const inputRef = useRef(null);
 
@@ -203,6 +235,34 @@ export default function ChatInterface({
       setIsInitializing(true);
       setError(null);
 
+      // Guest links start the invite's session once and resume it afterwards;
+      // no localStorage or URL restore
+      if (guest) {
+        initialNavDoneRef.current = true;
+        try {
+          const response = await GoldenInterviewApi.startSession({ authToken, guest });
+          setSessionId(response.sessionId);
+          if (response.completed) {
+            setIsComplete(true);
+            return;
+          }
+          if (response.interview_phase) setCurrentPhase(response.interview_phase);
+          if (response.completion_percentage !== undefined) {
+            setCompletionPercentage(response.completion_percentage);
+          }
+          if (response.message) setCurrentMessage(response.message);
+          if (response.ui_tool) setCurrentTool(response.ui_tool);
+          setCurrentlyAskingField(response.currently_asking_field ?? null);
+          if (response.navigation) setNavigationState(response.navigation);
+        } catch (err) {
+          console.error("Failed to start guest session:", err);
+          setError(err.message || "Failed to start interview. Please try again.");
+        } finally {
+          setIsInitializing(false);
+        }
+        return;
+      }
+
       // Check if this is an explicit "new interview" request
       const isNewRequest = searchParams.get("new") === "true";
 
@@ -213,11 +273,13 @@ export default function ChatInterface({
       }
 
       // Check for existing session in URL or localStorage (skip localStorage if new=true)
+      // ?resume=<sessionId> comes from the unfinished interviews list
+      const resumeSessionId = searchParams.get("resume");
       const urlSessionId = searchParams.get("session");
       const storedSessionId = (!isNewRequest && typeof window !== "undefined")
         ? localStorage.getItem(STORAGE_KEY)
         : null;
-      const existingSessionId = urlSessionId || storedSessionId;
+      const existingSessionId = resumeSessionId || urlSessionId || storedSessionId;
 
       // Try to restore existing session
       if (existingSessionId) {
@@ -235,6 +297,35 @@ export default function ChatInterface({
             console.log("[ChatInterface] Session is active, restoring...");
             setSessionId(existingSessionId);
 
+            if (resumeSessionId) {
+              // Recap what was captured and ask the next question
+              const resumeResponse = await GoldenInterviewApi.resumeSession(
+                existingSessionId,
+                { authToken }
+              );
+              setResumeRecap(resumeResponse.recap);
+              if (resumeResponse.message) setCurrentMessage(resumeResponse.message);
+              if (resumeResponse.ui_tool) setCurrentTool(resumeResponse.ui_tool);
+              setCurrentlyAskingField(resumeResponse.currently_asking_field ?? null);
+              if (resumeResponse.interview_phase) setCurrentPhase(resumeResponse.interview_phase);
+              if (resumeResponse.completion_percentage !== undefined) {
+                setCompletionPercentage(resumeResponse.completion_percentage);
+              }
+              if (resumeResponse.navigation) setNavigationState(resumeResponse.navigation);
+
+              if (typeof window !== "undefined") {
+                localStorage.setItem(STORAGE_KEY, existingSessionId);
+              }
+              const params = new URLSearchParams(searchParams.toString());
+              params.delete("resume");
+              params.set("session", existingSessionId);
+              router.replace(`${pathname}?${params.toString()}`, { scroll: false });
+
+              initialNavDoneRef.current = true;
+              setIsInitializing(false);
+              return;
+            }
+
             // Get turns to know the maxIndex
             const turnsResponse = await GoldenInterviewApi.getTurnsSummary(
               existingSessionId,
@@ -324,9 +415,12 @@ export default function ChatInterface({
         const response = await GoldenInterviewApi.startSession({
           authToken,
           initialData,
+          perspective,
+          linkedSessionId,
         });
 
         setSessionId(response.sessionId);
+        setGroupId(response.groupId ?? null);
 
         // Store session ID in localStorage and URL
         if (typeof window !== "undefined") {
@@ -374,13 +468,13 @@ export default function ChatInterface({
     };
 
     initSession();
-  }, [authToken, companyId, pathname, router, searchParams]);
+  }, [authToken, companyId, guest, linkedSessionId, pathname, perspective, router, searchParams, setNavigationState]);
 
   // Sync navigation state with URL parameter (q=questionNumber or q=complete)
   // Also ensures session param is always present (fixes race condition on refresh)
   useEffect(() => {
-    if (isInitializing || !sessionId) {
-      console.log(`🧭 [URL SYNC] Skipped - isInitializing=${isInitializing}, sessionId=${!!sessionId}`);
+    if (isInitializing || !sessionId || guest) {
+      console.log(`🧭 [URL SYNC] Skipped - isInitializing=${isInitializing}, sessionId=${!!sessionId}, guest=${guest}`);
       return;
     }
 
@@ -404,7 +498,7 @@ export default function ChatInterface({
       // Use replace to avoid adding to browser history on every navigation
       router.replace(`${pathname}?${params.toString()}`, { scroll: false });
     }
-  }, [navigationState.currentIndex, isInitializing, sessionId, isComplete, pathname, searchParams, router]);
+  }, [navigationState.currentIndex, isInitializing, sessionId, isComplete, guest, pathname, searchParams, router]);
 
   // Handle initial load with q parameter (navigate to specific question)
   // Note: initialNavDoneRef is defined at the top with other refs
@@ -480,16 +574,20 @@ export default function ChatInterface({
 
   // Fetch full data when interview is complete
   useEffect(() => {
-    if (!isComplete || !sessionId || !authToken) return;
+    // Guests get a thank-you screen; the schema and history are the owner's
+    if (!isComplete || !sessionId || !authToken || guest) return;
 
     const fetchCompletionData = async () => {
       try {
-        // Fetch schema and history in parallel
-        const [schemaResponse, historyResponse] = await Promise.all([
+        // Fetch schema, history and status (for the stakeholder group) in parallel
+        const [schemaResponse, historyResponse, statusResponse] = await Promise.all([
           GoldenInterviewApi.getSchema(sessionId, { authToken }),
           GoldenInterviewApi.getHistory(sessionId, { authToken }),
+          GoldenInterviewApi.getSessionStatus(sessionId, { authToken }),
         ]);
 
+        setGroupId(statusResponse.session?.groupId ?? null);
+
         if (schemaResponse.goldenSchema) {
           setFullSchema(schemaResponse.goldenSchema);
         }
@@ -502,7 +600,7 @@ export default function ChatInterface({
     };
 
     fetchCompletionData();
-  }, [isComplete, sessionId, authToken]);
+  }, [isComplete, sessionId, authToken, guest]);
 
   // Clear localStorage when interview is complete (so next visit starts fresh)
   useEffect(() => {
@@ -524,6 +622,8 @@ export default function ChatInterface({
 
       setCurrentTool(null);
       setRefineResult(null);
+      setResumeRecap(null);
+      setStreamingMessage("");
       setIsTyping(true);
       setError(null);
 
@@ -535,7 +635,7 @@ export default function ChatInterface({
             uiResponse: value !== null ? value : undefined,
             skipAction: skipAction || undefined,
           },
-          { authToken }
+          { authToken, guest, onMessageDelta: setStreamingMessage }
         );
 
         // Check if we got refine suggestions (backend wants us to pause)
@@ -625,10 +725,11 @@ export default function ChatInterface({
         console.error("Failed to send message:", err);
         setError(err.message || "Failed to send message. Please try again.");
       } finally {
+        setStreamingMessage("");
         setIsTyping(false);
       }
     },
-    [sessionId, authToken]
+    [sessionId, authToken, guest]
   );
 
   const handleSkip = useCallback(() => {
@@ -640,6 +741,26 @@ export default function ChatInterface({
   // NAVIGATION HANDLERS
   // ==========================================================================
 
+  // Turn the completed interview into a wizard draft (idempotent server-side)
+  const handleCreateJobPosting = useCallback(async () => {
+    if (!sessionId || !authToken) return;
+    setIsCreatingDraft(true);
+    setError(null);
+    try {
+      const response = await GoldenInterviewApi.completeSession(
+        sessionId,
+        { createJobDraft: true },
+        { authToken }
+      );
+      const jobId = response.jobDraft?.jobId;
+      router.push(jobId ? `/wizard/${jobId}` : "/wizard");
+    } catch (err) {
+      console.error("Failed to create job draft:", err);
+      setError(err.message || "Failed to create job posting. Please try again.");
+      setIsCreatingDraft(false);
+    }
+  }, [sessionId, authToken, router]);
+
   const handleGoBack = useCallback(async () => {
     if (!navigationState.canGoBack || !sessionId || !authToken) {
       console.log(`🧭 [NAV BACK] Blocked: canGoBack=${navigationState.canGoBack}, sessionId=${!!sessionId}, authToken=${!!authToken}`);
@@ -811,7 +932,7 @@ export default function ChatInterface({
           userMessage: suggestionValue,
           acceptRefinedValue: true, // Tell backend to skip golden_refine
         },
-        { authToken }
+        { authToken, guest }
       );
 
       // Process normal response
@@ -837,7 +958,7 @@ export default function ChatInterface({
     } finally {
       setIsTyping(false);
     }
-  }, [refineResult, sessionId, authToken]);
+  }, [refineResult, sessionId, authToken, guest]);
 
   // Handle keeping the original value
   const handleKeepOriginal = useCallback(async () => {
@@ -857,7 +978,7 @@ export default function ChatInterface({
           userMessage: refineResult.original_value,
           acceptRefinedValue: true, // Tell backend to skip golden_refine
         },
-        { authToken }
+        { authToken, guest }
       );
 
       // Process normal response
@@ -883,7 +1004,7 @@ export default function ChatInterface({
     } finally {
       setIsTyping(false);
     }
-  }, [refineResult, sessionId, authToken]);
+  }, [refineResult, sessionId, authToken, guest]);
 
   // Copy schema to clipboard
   const handleCopySchema = useCallback(async () => {
@@ -897,6 +1018,34 @@ export default function ChatInterface({
     }
   }, [fullSchema]);
 
+  // Download the golden record as a candidate-facing role reality document
+  const handleExport = useCallback(
+    async (format) => {
+      if (!sessionId || !authToken) return;
+      setExportingFormat(format);
+      setError(null);
+      try {
+        const { blob, filename } = await GoldenInterviewApi.exportGoldenRecord(sessionId, {
+          format,
+          includeSensitive: exportIncludesSensitive,
+          authToken,
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+      } catch (err) {
+        console.error("Failed to export golden record:", err);
+        setError(err.message || "Failed to export");
+      } finally {
+        setExportingFormat(null);
+      }
+    },
+    [sessionId, authToken, exportIncludesSensitive]
+  );
+
   // Handle submitting a rewritten answer from suggestions view
   const handleRewriteSubmit = useCallback(async () => {
     if (!rewriteValue.trim() || !sessionId || !authToken) return;
@@ -916,7 +1065,7 @@ export default function ChatInterface({
           userMessage: newValue,
           // Don't set acceptRefinedValue - let it go through refine check again
         },
-        { authToken }
+        { authToken, guest }
       );
 
       // Check if we got refine suggestions again
@@ -954,7 +1103,13 @@ export default function ChatInterface({
     } finally {
       setIsTyping(false);
     }
-  }, [rewriteValue, sessionId, authToken]);
+  }, [rewriteValue, sessionId, authToken, guest]);
+
+  // Workplace photos/videos from the media_upload tool are stored on the session
+  const handleUploadMedia = useCallback(
+    (file) => GoldenInterviewApi.uploadMedia(sessionId, file, { authToken, guest }),
+    [sessionId, authToken, guest]
+  );
 
   // ==========================================================================
   // RENDER HELPERS
@@ -982,6 +1137,7 @@ export default function ChatInterface({
         {...(currentTool.props || {})}
         value={dynamicValue ?? undefined}
         onChange={setDynamicValue}
+        {...(currentTool.type === "media_upload" ? { onUpload: handleUploadMedia } : {})}
       />
     );
   };
@@ -1184,12 +1340,14 @@ export default function ChatInterface({
             >
               Try Again
             </button>
-            <button
-              onClick={() => router.push("/dashboard")}
-              className="rounded-xl border border-slate-200 px-6 py-2.5 text-sm font-semibold text-slate-600 transition-all hover:bg-slate-50"
-            >
-              Go Back
-            </button>
+            {!guest && (
+              <button
+                onClick={() => router.push("/dashboard")}
+                className="rounded-xl border border-slate-200 px-6 py-2.5 text-sm font-semibold text-slate-600 transition-all hover:bg-slate-50"
+              >
+                Go Back
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -1200,6 +1358,24 @@ export default function ChatInterface({
   // INTERVIEW COMPLETE STATE
   // ==========================================================================
 
+  // Guests hand the interview back to whoever invited them
+  if (isComplete && guest) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-[#F8F7FC] p-4">
+        <div className="w-full max-w-md rounded-2xl border border-green-100 bg-white p-8 text-center shadow-xl shadow-slate-200/50">
+          <div className="mx-auto mb-4 flex h-16 w-16 items-center justify-center rounded-full bg-gradient-to-br from-green-400 to-emerald-500 shadow-lg shadow-green-500/25">
+            <CheckIcon className="h-8 w-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-bold text-slate-900">Thank you!</h1>
+          <p className="mt-2 text-sm text-slate-500">
+            Your answers have been saved and the person who invited you has been notified.
+            You can close this page.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   if (isComplete) {
     return (
       <div className="min-h-screen bg-[#F8F7FC] p-4">
@@ -1286,12 +1462,95 @@ export default function ChatInterface({
                   Go to Dashboard
                 </button>
                 <button
-                  onClick={() => router.push("/wizard")}
-                  className="rounded-xl border border-slate-200 px-8 py-3 text-sm font-semibold text-slate-600 transition-all hover:bg-slate-50 hover:border-slate-300"
+                  onClick={handleCreateJobPosting}
+                  disabled={isCreatingDraft}
+                  className="rounded-xl border border-slate-200 px-8 py-3 text-sm font-semibold text-slate-600 transition-all hover:bg-slate-50 hover:border-slate-300 disabled:cursor-not-allowed disabled:opacity-60"
                 >
-                  Create Job Posting
+                  {isCreatingDraft ? "Creating Draft..." : "Create Job Posting"}
                 </button>
               </div>
+              {error && (
+                <p className="mt-4 text-sm text-red-600">{error}</p>
+              )}
+
+              {/* Other perspectives on the same role */}
+              <div className="mt-8 rounded-xl border border-slate-100 bg-slate-50 p-4 text-left">
+                <p className="text-sm font-semibold text-slate-700">Add another perspective</p>
+                <p className="mt-1 text-xs text-slate-500">
+                  Interview a recruiter or someone in the role today. Answers are merged into one
+                  record, and you choose between any that disagree.
+                </p>
+                <div className="mt-3 flex flex-col gap-2 sm:flex-row">
+                  <select
+                    value={nextPerspective}
+                    onChange={(event) => setNextPerspective(event.target.value)}
+                    className="rounded-lg border border-slate-200 bg-white px-3 py-2 text-sm text-slate-700"
+                  >
+                    {PERSPECTIVE_OPTIONS.map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() =>
+                      router.push(
+                        `/golden-interview?new=true&linkTo=${sessionId}&perspective=${nextPerspective}`
+                      )
+                    }
+                    className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-semibold text-slate-600 transition-all hover:border-slate-300 hover:bg-slate-50"
+                  >
+                    Start Interview
+                  </button>
+                  <button
+                    onClick={() =>
+                      router.push(
+                        `/golden-interview/invites?linkTo=${sessionId}&perspective=${nextPerspective}`
+                      )
+                    }
+                    className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-semibold text-slate-600 transition-all hover:border-slate-300 hover:bg-slate-50"
+                  >
+                    Send Invite Link
+                  </button>
+                  {groupId && (
+                    <button
+                      onClick={() => router.push(`/golden-interview/groups/${groupId}`)}
+                      className="rounded-lg bg-primary-600 px-4 py-2 text-sm font-semibold text-white transition-all hover:bg-primary-500"
+                    >
+                      Review Merged Answers
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Candidate-facing export of the golden record */}
+              <div className="mt-4 rounded-xl border border-slate-100 bg-slate-50 p-4 text-left">
+                <p className="text-sm font-semibold text-slate-700">Share with candidates</p>
+                <p className="mt-1 text-xs text-slate-500">
+                  Download a &ldquo;what this job is really like&rdquo; page built from these answers.
+                </p>
+                <label className="mt-3 flex items-center gap-2 text-xs text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={exportIncludesSensitive}
+                    onChange={(event) => setExportIncludesSensitive(event.target.checked)}
+                    className="rounded border-slate-300"
+                  />
+                  Include pay, equity and company finances
+                </label>
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {EXPORT_FORMAT_OPTIONS.map((option) => (
+                    <button
+                      key={option.id}
+                      onClick={() => handleExport(option.id)}
+                      disabled={Boolean(exportingFormat)}
+                      className="rounded-lg border border-slate-200 bg-white px-4 py-2 text-sm font-semibold text-slate-600 transition-all hover:border-slate-300 hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-60"
+                    >
+                      {exportingFormat === option.id ? "Exporting..." : option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
             </div>
           ) : (
             <div className="space-y-6">
@@ -1438,24 +1697,36 @@ export default function ChatInterface({
                 )}
               </div>
             </div>
-            <button
-              onClick={() => router.push("/dashboard")}
-              className="flex h-8 w-8 items-center justify-center rounded-lg text-slate-400 transition-colors hover:bg-slate-100 hover:text-slate-600"
-            >
-              <svg
-                className="h-5 w-5"
-                fill="none"
-                stroke="currentColor"
-                viewBox="0 0 24 24"
-              >
-                <path
-                  strokeLinecap="round"
-                  strokeLinejoin="round"
-                  strokeWidth={2}
-                  d="M6 18L18 6M6 6l12 12"
-                />
-              </svg>
-            </button>
+            {!guest && (
+              <div className="flex items-center gap-2">
+                {sessionId && (
+                  <button
+                    onClick={() => router.push(`/golden-interview/invites?session=${sessionId}`)}
+                    className="rounded-lg px-3 py-1.5 text-xs font-semibold text-slate-500 transition-colors hover:bg-slate-100 hover:text-slate-700"
+                  >
+                    Hand Off
+                  </button>
+                )}
+                <button
+                  onClick={() => router.push("/dashboard")}
+                  className="flex h-8 w-8 items-center justify-center rounded-lg text-slate-400 transition-colors hover:bg-slate-100 hover:text-slate-600"
+                >
+                  <svg
+                    className="h-5 w-5"
+                    fill="none"
+                    stroke="currentColor"
+                    viewBox="0 0 24 24"
+                  >
+                    <path
+                      strokeLinecap="round"
+                      strokeLinejoin="round"
+                      strokeWidth={2}
+                      d="M6 18L18 6M6 6l12 12"
+                    />
+                  </svg>
+                </button>
+              </div>
+            )}
           </div>
 
           {/* Progress Stepper */}
@@ -1537,8 +1808,39 @@ export default function ChatInterface({
               )}
             </div> */}
 
-            {/* Typing Indicator - shown when loading, hides message and component */}
-            {isTyping ? (
+            {/* Resume recap - catch-up summary until the first answer */}
+            {resumeRecap && !isTyping && (
+              <div className="mb-6 rounded-xl border border-primary-100 bg-primary-50/60 p-4">
+                <div className="flex items-start justify-between gap-3">
+                  <div>
+                    <p className="text-xs font-semibold uppercase tracking-wide text-primary-700">
+                      Where you left off
+                    </p>
+                    <p className="mt-1 text-sm text-slate-700">{resumeRecap}</p>
+                  </div>
+                  <button
+                    onClick={() => setResumeRecap(null)}
+                    className="text-xs font-medium text-slate-500 hover:text-slate-700"
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {/* Typing Indicator - shown when loading, hides message and component.
+                Once the reply starts streaming, its text replaces the dots. */}
+            {isTyping && streamingMessage ? (
+              <div
+                className="mb-8 text-lg text-slate-600 [&>h3]:text-2xl [&>h3]:font-bold [&>h3]:leading-tight [&>h3]:text-slate-900 [&>h3]:mb-3 [&>h3]:block"
+                dangerouslySetInnerHTML={{
+                  __html: DOMPurify.sanitize(streamingMessage, {
+                    ALLOWED_TAGS: ["h3", "b", "strong", "span", "em"],
+                    ALLOWED_ATTR: ["class"],
+                  }),
+                }}
+              />
+            ) : isTyping ? (
               <div className="mb-6 flex items-center gap-3">
                 <div className="flex h-10 w-10 items-center justify-center rounded-xl bg-primary-50">
                   <BulbIcon className="h-5 w-5 text-primary-500" />
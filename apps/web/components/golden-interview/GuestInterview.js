@@ -0,0 +1,91 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { GoldenInterviewApi } from "../../lib/api-client";
+import ChatInterface from "./ChatInterface";
+
+const PERSPECTIVE_INTROS = {
+  hiring_manager: "as the hiring manager",
+  recruiter: "as the recruiter",
+  current_employee: "as someone doing this job today",
+};
+
+/**
+ * Public landing for a guest invite link: explains the invite, then runs the
+ * interview with the invite token instead of a login.
+ * @param {Object} props
+ * @param {string} props.token - Invite token from the link
+ */
+export default function GuestInterview({ token }) {
+  const [invite, setInvite] = useState(null);
+  const [error, setError] = useState(null);
+  const [hasStarted, setHasStarted] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+    let cancelled = false;
+    GoldenInterviewApi.getGuestInvite(token)
+      .then((response) => {
+        if (cancelled) return;
+        setInvite(response.invite);
+        // Returning guests go straight back to their interview
+        setHasStarted(Boolean(response.invite?.started));
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || "This invite link is not valid.");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  if (hasStarted) {
+    return (
+      <ChatInterface guestToken={token} companyName={invite?.companyName ?? null} />
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-[#F8F7FC] p-4">
+        <div className="w-full max-w-md rounded-2xl border border-red-100 bg-white p-8 text-center shadow-xl shadow-slate-200/50">
+          <h1 className="text-xl font-semibold text-slate-900">This link can&apos;t be used</h1>
+          <p className="mt-2 text-sm text-slate-500">{error}</p>
+          <p className="mt-2 text-sm text-slate-500">
+            Ask the person who invited you for a new link.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!invite) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-[#F8F7FC]">
+        <div className="h-10 w-10 animate-spin rounded-full border-4 border-primary-200 border-t-primary-600" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex min-h-screen items-center justify-center bg-[#F8F7FC] p-4">
+      <div className="w-full max-w-md rounded-2xl border border-slate-100 bg-white p-8 text-center shadow-xl shadow-slate-200/50">
+        <h1 className="text-2xl font-bold text-slate-900">
+          {invite.respondentName ? `Hi ${invite.respondentName}!` : "Hi there!"}
+        </h1>
+        <p className="mt-3 text-sm text-slate-500">
+          You&apos;ve been asked to describe a role
+          {invite.companyName ? ` at ${invite.companyName}` : ""}{" "}
+          {PERSPECTIVE_INTROS[invite.perspective] ?? ""}. It&apos;s a short, guided
+          conversation and you don&apos;t need an account.
+        </p>
+        <button
+          onClick={() => setHasStarted(true)}
+          className="mt-6 rounded-xl bg-gradient-to-r from-primary-600 to-primary-500 px-8 py-3 text-sm font-semibold text-white shadow-lg shadow-primary-500/25 transition-all hover:shadow-xl hover:shadow-primary-500/30"
+        >
+          Start Interview
+        </button>
+      </div>
+    </div>
+  );
+}
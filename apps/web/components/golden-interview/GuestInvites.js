@@ -0,0 +1,339 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { GoldenInterviewApi } from "../../lib/api-client";
+import { useUser } from "../user-context";
+import { clsx } from "../../lib/cn";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const PERSPECTIVE_OPTIONS = [
+  { id: "hiring_manager", label: "Hiring manager" },
+  { id: "recruiter", label: "Recruiter" },
+  { id: "current_employee", label: "Current employee" },
+];
+
+const PERSPECTIVE_LABELS = Object.fromEntries(
+  PERSPECTIVE_OPTIONS.map((option) => [option.id, option.label])
+);
+
+const STATUS_LABELS = {
+  pending: "Not opened yet",
+  in_progress: "In progress",
+  completed: "Finished",
+  expired: "Expired",
+  revoked: "Revoked",
+};
+
+const STATUS_STYLES = {
+  pending: "bg-slate-100 text-slate-600",
+  in_progress: "bg-primary-50 text-primary-700",
+  completed: "bg-green-50 text-green-700",
+  expired: "bg-amber-50 text-amber-700",
+  revoked: "bg-red-50 text-red-600",
+};
+
+// Guests' progress changes while this page is open
+const REFRESH_INTERVAL_MS = 30000;
+
+function formatDate(value) {
+  if (!value) return null;
+  return new Date(value).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+function inviteLink(token) {
+  const origin = typeof window !== "undefined" ? window.location.origin : "";
+  return `${origin}/interview/${token}`;
+}
+
+// =============================================================================
+// MAIN COMPONENT
+// =============================================================================
+
+/**
+ * Create guest invite links and follow each guest's progress.
+ * @param {Object} props
+ * @param {string|null} props.sessionId - Hand off this active session
+ * @param {string|null} props.linkedSessionId - New session linked to this one
+ * @param {string|null} props.perspective - Default perspective for a new session
+ */
+export default function GuestInvites({
+  sessionId = null,
+  linkedSessionId = null,
+  perspective = null,
+}) {
+  const { user } = useUser();
+  const authToken = user?.authToken;
+
+  const [invites, setInvites] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState({
+    perspective: perspective ?? "hiring_manager",
+    respondentName: "",
+    companyName: "",
+    expiresInDays: 7,
+  });
+  // Tokens are only returned on creation, so the fresh link is kept here
+  const [createdLink, setCreatedLink] = useState(null);
+  const [copySuccess, setCopySuccess] = useState(false);
+
+  const loadInvites = useCallback(async () => {
+    if (!authToken) return;
+    try {
+      const response = await GoldenInterviewApi.listInvites({ authToken });
+      setInvites(response.invites ?? []);
+    } catch (err) {
+      setError(err.message || "Failed to load invites.");
+    } finally {
+      setIsLoading(false);
+    }
+  }, [authToken]);
+
+  useEffect(() => {
+    loadInvites();
+    const interval = setInterval(loadInvites, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [loadInvites]);
+
+  const handleCreate = useCallback(
+    async (event) => {
+      event.preventDefault();
+      setIsCreating(true);
+      setError(null);
+      setCopySuccess(false);
+      try {
+        const payload = sessionId
+          ? { sessionId }
+          : {
+              perspective: form.perspective,
+              ...(linkedSessionId ? { linkedSessionId } : {}),
+              ...(form.companyName.trim()
+                ? { initialData: { companyName: form.companyName.trim() } }
+                : {}),
+            };
+        const response = await GoldenInterviewApi.createInvite(
+          {
+            ...payload,
+            ...(form.respondentName.trim()
+              ? { respondentName: form.respondentName.trim() }
+              : {}),
+            expiresInDays: Number(form.expiresInDays),
+          },
+          { authToken }
+        );
+        setCreatedLink(inviteLink(response.token));
+        await loadInvites();
+      } catch (err) {
+        setError(err.message || "Failed to create invite.");
+      } finally {
+        setIsCreating(false);
+      }
+    },
+    [authToken, form, linkedSessionId, loadInvites, sessionId]
+  );
+
+  const handleCopy = useCallback(async () => {
+    if (!createdLink) return;
+    try {
+      await navigator.clipboard.writeText(createdLink);
+      setCopySuccess(true);
+      setTimeout(() => setCopySuccess(false), 2000);
+    } catch (err) {
+      console.error("Failed to copy invite link:", err);
+    }
+  }, [createdLink]);
+
+  const handleRevoke = useCallback(
+    async (inviteId) => {
+      setError(null);
+      try {
+        await GoldenInterviewApi.revokeInvite(inviteId, { authToken });
+        await loadInvites();
+      } catch (err) {
+        setError(err.message || "Failed to revoke invite.");
+      }
+    },
+    [authToken, loadInvites]
+  );
+
+  if (!authToken) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-[#F8F7FC] text-sm text-slate-500">
+        Sign in to manage interview invites.
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-[#F8F7FC] p-4">
+      <div className="mx-auto max-w-3xl space-y-6">
+        {/* Create */}
+        <form
+          onSubmit={handleCreate}
+          className="rounded-2xl border border-slate-100 bg-white p-6 shadow-xl shadow-slate-200/50"
+        >
+          <h1 className="text-2xl font-bold text-slate-900">Invite Someone to Answer</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            {sessionId
+              ? "They pick up this interview where it is now. No account needed."
+              : "They get their own interview about this role. No account needed."}
+          </p>
+
+          <div className="mt-5 grid gap-4 sm:grid-cols-2">
+            {!sessionId && (
+              <label className="text-sm">
+                <span className="mb-1 block font-medium text-slate-600">They are the</span>
+                <select
+                  value={form.perspective}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, perspective: event.target.value }))
+                  }
+                  className="w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-slate-700"
+                >
+                  {PERSPECTIVE_OPTIONS.map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+            <label className="text-sm">
+              <span className="mb-1 block font-medium text-slate-600">Their name (optional)</span>
+              <input
+                value={form.respondentName}
+                onChange={(event) =>
+                  setForm((prev) => ({ ...prev, respondentName: event.target.value }))
+                }
+                className="w-full rounded-lg border border-slate-200 px-3 py-2 text-slate-700"
+              />
+            </label>
+            {!sessionId && !linkedSessionId && (
+              <label className="text-sm">
+                <span className="mb-1 block font-medium text-slate-600">Company (optional)</span>
+                <input
+                  value={form.companyName}
+                  onChange={(event) =>
+                    setForm((prev) => ({ ...prev, companyName: event.target.value }))
+                  }
+                  className="w-full rounded-lg border border-slate-200 px-3 py-2 text-slate-700"
+                />
+              </label>
+            )}
+            <label className="text-sm">
+              <span className="mb-1 block font-medium text-slate-600">Link expires after</span>
+              <select
+                value={form.expiresInDays}
+                onChange={(event) =>
+                  setForm((prev) => ({ ...prev, expiresInDays: event.target.value }))
+                }
+                className="w-full rounded-lg border border-slate-200 bg-white px-3 py-2 text-slate-700"
+              >
+                {[1, 3, 7, 14, 30].map((days) => (
+                  <option key={days} value={days}>
+                    {days === 1 ? "1 day" : `${days} days`}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <button
+            type="submit"
+            disabled={isCreating}
+            className="mt-5 rounded-xl bg-gradient-to-r from-primary-600 to-primary-500 px-6 py-2.5 text-sm font-semibold text-white shadow-lg shadow-primary-500/25 transition-all hover:shadow-xl hover:shadow-primary-500/30 disabled:cursor-not-allowed disabled:opacity-60"
+          >
+            {isCreating ? "Creating Link..." : "Create Invite Link"}
+          </button>
+
+          {createdLink && (
+            <div className="mt-4 rounded-xl bg-slate-50 p-4">
+              <p className="text-xs text-slate-500">
+                Share this link now; it is not shown again.
+              </p>
+              <div className="mt-2 flex gap-2">
+                <input
+                  readOnly
+                  value={createdLink}
+                  className="flex-1 rounded-lg border border-slate-200 bg-white px-3 py-2 text-xs text-slate-700"
+                />
+                <button
+                  type="button"
+                  onClick={handleCopy}
+                  className={clsx(
+                    "rounded-lg px-4 py-2 text-sm font-medium transition-all",
+                    copySuccess
+                      ? "bg-green-100 text-green-700"
+                      : "bg-slate-100 text-slate-700 hover:bg-slate-200"
+                  )}
+                >
+                  {copySuccess ? "Copied!" : "Copy"}
+                </button>
+              </div>
+            </div>
+          )}
+          {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+        </form>
+
+        {/* Invites */}
+        <div className="rounded-2xl border border-slate-100 bg-white p-6 shadow-sm">
+          <h2 className="text-sm font-semibold text-slate-700">Your invites</h2>
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <div className="h-6 w-6 animate-spin rounded-full border-2 border-primary-500 border-t-transparent" />
+            </div>
+          ) : invites.length === 0 ? (
+            <p className="mt-3 text-sm text-slate-500">No invites yet.</p>
+          ) : (
+            <ul className="mt-3 divide-y divide-slate-100">
+              {invites.map((invite) => (
+                <li key={invite.inviteId} className="flex items-center justify-between gap-3 py-3">
+                  <div className="min-w-0">
+                    <p className="truncate text-sm font-medium text-slate-800">
+                      {invite.respondentName || PERSPECTIVE_LABELS[invite.perspective] || "Guest"}
+                      {invite.companyName ? ` · ${invite.companyName}` : ""}
+                    </p>
+                    <p className="text-xs text-slate-500">
+                      {invite.status === "completed"
+                        ? `Finished ${formatDate(invite.completedAt) ?? ""}`
+                        : invite.progress
+                          ? `${invite.progress.completionPercentage}% answered`
+                          : `Expires ${formatDate(invite.expiresAt)}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span
+                      className={clsx(
+                        "rounded-full px-2.5 py-0.5 text-xs font-medium",
+                        STATUS_STYLES[invite.status]
+                      )}
+                    >
+                      {STATUS_LABELS[invite.status] ?? invite.status}
+                    </span>
+                    {(invite.status === "pending" || invite.status === "in_progress") && (
+                      <button
+                        onClick={() => handleRevoke(invite.inviteId)}
+                        className="rounded-lg px-2 py-1 text-xs font-medium text-slate-500 hover:bg-slate-100 hover:text-red-600"
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,399 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+import { useRouter } from "next/navigation";
+import { GoldenInterviewApi } from "../../lib/api-client";
+import { useUser } from "../user-context";
+import { clsx } from "../../lib/cn";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const PERSPECTIVE_LABELS = {
+  hiring_manager: "Hiring manager",
+  recruiter: "Recruiter",
+  current_employee: "Current employee",
+};
+
+const STATUS_STYLES = {
+  agreed: "bg-green-50 text-green-700",
+  single: "bg-slate-100 text-slate-600",
+  conflict: "bg-amber-50 text-amber-700",
+};
+
+// =============================================================================
+// HELPER FUNCTIONS
+// =============================================================================
+
+/**
+ * "humans_and_culture.team_composition.team_size" -> "Team composition › Team size"
+ */
+function formatFieldPath(path) {
+  return path
+    .split(".")
+    .slice(1)
+    .map((segment) => segment.replace(/_/g, " "))
+    .map((segment) => segment.charAt(0).toUpperCase() + segment.slice(1))
+    .join(" › ");
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (Array.isArray(value)) return value.map(formatValue).join(", ");
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+// Blended text keeps the shape of the answers it replaces
+function parseBlendValue(text, sample) {
+  if (Array.isArray(sample)) {
+    return text
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+  }
+  if (typeof sample === "number" && text.trim() !== "" && !Number.isNaN(Number(text))) {
+    return Number(text);
+  }
+  return text;
+}
+
+function blendTextFor(field) {
+  const [first] = field.responses;
+  if (Array.isArray(first?.value)) {
+    return [...new Set(field.responses.flatMap((response) => response.value ?? []))].join("\n");
+  }
+  return field.responses.map((response) => formatValue(response.value)).join(" / ");
+}
+
+// =============================================================================
+// MAIN COMPONENT
+// =============================================================================
+
+export default function StakeholderMergeReview({ groupId }) {
+  const { user } = useUser();
+  const router = useRouter();
+  const authToken = user?.authToken;
+
+  const [group, setGroup] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [showAllFields, setShowAllFields] = useState(false);
+  // Unsaved choices: { [path]: { sessionId } | { value, text } }
+  const [choices, setChoices] = useState({});
+
+  useEffect(() => {
+    if (!authToken || !groupId) return;
+    let cancelled = false;
+
+    const loadGroup = async () => {
+      setIsLoading(true);
+      try {
+        const response = await GoldenInterviewApi.getGroup(groupId, { authToken });
+        if (!cancelled) setGroup(response);
+      } catch (err) {
+        if (!cancelled) setError(err.message || "Failed to load interview group.");
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadGroup();
+    return () => {
+      cancelled = true;
+    };
+  }, [authToken, groupId]);
+
+  const handleSaveChoices = useCallback(async () => {
+    if (Object.keys(choices).length === 0) return;
+    setIsSaving(true);
+    setError(null);
+    try {
+      const resolutions = Object.fromEntries(
+        Object.entries(choices).map(([path, choice]) => [
+          path,
+          choice.sessionId ? { sessionId: choice.sessionId } : { value: choice.value },
+        ])
+      );
+      const response = await GoldenInterviewApi.saveGroupResolutions(groupId, resolutions, {
+        authToken,
+      });
+      setGroup(response);
+      setChoices({});
+    } catch (err) {
+      setError(err.message || "Failed to save your choices.");
+    } finally {
+      setIsSaving(false);
+    }
+  }, [authToken, choices, groupId]);
+
+  const handleComplete = useCallback(
+    async (createJobDraft) => {
+      setIsSaving(true);
+      setError(null);
+      try {
+        const response = await GoldenInterviewApi.completeGroup(
+          groupId,
+          { createJobDraft },
+          { authToken }
+        );
+        if (response.jobDraft?.jobId) {
+          router.push(`/wizard/${response.jobDraft.jobId}`);
+          return;
+        }
+        setGroup(response);
+      } catch (err) {
+        setError(err.message || "Failed to complete the merge.");
+      } finally {
+        setIsSaving(false);
+      }
+    },
+    [authToken, groupId, router]
+  );
+
+  if (!authToken) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-[#F8F7FC] text-sm text-slate-500">
+        Sign in to review merged interview answers.
+      </div>
+    );
+  }
+
+  if (isLoading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-[#F8F7FC]">
+        <div className="h-10 w-10 animate-spin rounded-full border-4 border-primary-200 border-t-primary-600" />
+      </div>
+    );
+  }
+
+  if (!group) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-[#F8F7FC] text-sm text-red-600">
+        {error || "Interview group not found."}
+      </div>
+    );
+  }
+
+  const { merge, sessions } = group;
+  const isCompleted = group.status === "completed";
+  const perspectiveBySession = Object.fromEntries(
+    sessions.map((session) => [session.sessionId, session.perspective])
+  );
+  const fields = showAllFields
+    ? merge.fields
+    : merge.fields.filter((field) => field.status === "conflict");
+  const pendingChoices = Object.keys(choices).length;
+
+  return (
+    <div className="min-h-screen bg-[#F8F7FC] p-4">
+      <div className="mx-auto max-w-4xl space-y-6">
+        {/* Header */}
+        <div className="rounded-2xl border border-slate-100 bg-white p-6 shadow-xl shadow-slate-200/50">
+          <h1 className="text-2xl font-bold text-slate-900">Merged Interview Answers</h1>
+          <p className="mt-1 text-sm text-slate-500">
+            {merge.summary.respondents} respondents · {merge.summary.agreed} agreed ·{" "}
+            {merge.summary.conflicts} conflicting · {merge.summary.unresolved} still to resolve
+          </p>
+          <div className="mt-4 flex flex-wrap gap-2">
+            {sessions.map((session) => (
+              <span
+                key={session.sessionId}
+                className="rounded-full border border-slate-200 px-3 py-1 text-xs text-slate-600"
+              >
+                {PERSPECTIVE_LABELS[session.perspective] ?? session.perspective}
+                {session.respondentName ? ` · ${session.respondentName}` : ""} ·{" "}
+                {session.status === "completed"
+                  ? "completed"
+                  : `${session.completionPercentage}% done`}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {/* Fields */}
+        <div className="flex items-center justify-between">
+          <h2 className="text-sm font-semibold text-slate-700">
+            {showAllFields ? "All answered fields" : "Conflicting answers"}
+          </h2>
+          <button
+            onClick={() => setShowAllFields((value) => !value)}
+            className="text-sm font-medium text-primary-600 hover:text-primary-500"
+          >
+            {showAllFields ? "Show conflicts only" : "Show all fields"}
+          </button>
+        </div>
+
+        {fields.length === 0 ? (
+          <p className="rounded-2xl border border-dashed border-slate-200 bg-white p-6 text-center text-sm text-slate-500">
+            No conflicting answers — every respondent agrees.
+          </p>
+        ) : (
+          <div className="space-y-3">
+            {fields.map((field) => {
+              const choice = choices[field.path];
+              const selectedSessionId = choice
+                ? choice.sessionId ?? null
+                : field.resolution?.sessionId ?? null;
+              const isBlending = choice ? !choice.sessionId : Boolean(field.resolution && !field.resolution.sessionId);
+              const canResolve = field.status === "conflict" && !isCompleted;
+
+              return (
+                <div
+                  key={field.path}
+                  className="rounded-2xl border border-slate-100 bg-white p-4 shadow-sm"
+                >
+                  <div className="flex items-center justify-between gap-3">
+                    <p className="text-sm font-semibold text-slate-800">
+                      {formatFieldPath(field.path)}
+                    </p>
+                    <span
+                      className={clsx(
+                        "rounded-full px-2.5 py-0.5 text-xs font-medium",
+                        STATUS_STYLES[field.status]
+                      )}
+                    >
+                      {field.status === "conflict" && field.resolved ? "resolved" : field.status}
+                    </span>
+                  </div>
+
+                  <div className="mt-3 space-y-2">
+                    {field.responses.map((response) => (
+                      <label
+                        key={response.sessionId}
+                        className={clsx(
+                          "flex items-start gap-3 rounded-lg border px-3 py-2 text-sm",
+                          selectedSessionId === response.sessionId
+                            ? "border-primary-300 bg-primary-50/50"
+                            : "border-slate-100"
+                        )}
+                      >
+                        {canResolve && (
+                          <input
+                            type="radio"
+                            name={field.path}
+                            checked={selectedSessionId === response.sessionId}
+                            onChange={() =>
+                              setChoices((prev) => ({
+                                ...prev,
+                                [field.path]: { sessionId: response.sessionId },
+                              }))
+                            }
+                            className="mt-1"
+                          />
+                        )}
+                        <span className="flex-1">
+                          <span className="block text-xs font-medium text-slate-400">
+                            {PERSPECTIVE_LABELS[perspectiveBySession[response.sessionId]] ??
+                              response.perspective}
+                          </span>
+                          <span className="text-slate-700">{formatValue(response.value)}</span>
+                        </span>
+                      </label>
+                    ))}
+
+                    {canResolve && (
+                      <div className="rounded-lg border border-slate-100 px-3 py-2 text-sm">
+                        <label className="flex items-center gap-3">
+                          <input
+                            type="radio"
+                            name={field.path}
+                            checked={isBlending}
+                            onChange={() =>
+                              setChoices((prev) => {
+                                const text = blendTextFor(field);
+                                return {
+                                  ...prev,
+                                  [field.path]: {
+                                    text,
+                                    value: parseBlendValue(text, field.responses[0]?.value),
+                                  },
+                                };
+                              })
+                            }
+                          />
+                          <span className="font-medium text-slate-600">Blend into a new answer</span>
+                        </label>
+                        {isBlending && (
+                          <textarea
+                            rows={3}
+                            value={
+                              choice?.text ??
+                              (typeof field.resolution?.value === "string"
+                                ? field.resolution.value
+                                : formatValue(field.resolution?.value))
+                            }
+                            onChange={(event) =>
+                              setChoices((prev) => ({
+                                ...prev,
+                                [field.path]: {
+                                  text: event.target.value,
+                                  value: parseBlendValue(
+                                    event.target.value,
+                                    field.responses[0]?.value
+                                  ),
+                                },
+                              }))
+                            }
+                            className="mt-2 w-full rounded-lg border border-slate-200 p-2 text-sm text-slate-700"
+                          />
+                        )}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {/* Actions */}
+        {isCompleted ? (
+          <div className="flex flex-col gap-3 sm:flex-row sm:justify-end">
+            <p className="flex-1 text-sm text-slate-500">
+              This group is merged into one golden record.
+            </p>
+            <button
+              onClick={() =>
+                group.jobId ? router.push(`/wizard/${group.jobId}`) : handleComplete(true)
+              }
+              disabled={isSaving}
+              className="rounded-xl bg-gradient-to-r from-primary-600 to-primary-500 px-6 py-3 text-sm font-semibold text-white shadow-lg shadow-primary-500/25 disabled:opacity-60"
+            >
+              {group.jobId ? "Open Job Posting" : "Create Job Posting"}
+            </button>
+          </div>
+        ) : (
+          <div className="flex flex-col gap-3 sm:flex-row sm:justify-end">
+            <button
+              onClick={handleSaveChoices}
+              disabled={isSaving || pendingChoices === 0}
+              className="rounded-xl border border-slate-200 px-6 py-3 text-sm font-semibold text-slate-600 transition-all hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              Save Choices{pendingChoices > 0 ? ` (${pendingChoices})` : ""}
+            </button>
+            <button
+              onClick={() => handleComplete(false)}
+              disabled={isSaving || pendingChoices > 0 || merge.summary.unresolved > 0}
+              className="rounded-xl border border-slate-200 px-6 py-3 text-sm font-semibold text-slate-600 transition-all hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              Complete Merge
+            </button>
+            <button
+              onClick={() => handleComplete(true)}
+              disabled={isSaving || pendingChoices > 0 || merge.summary.unresolved > 0}
+              className="rounded-xl bg-gradient-to-r from-primary-600 to-primary-500 px-6 py-3 text-sm font-semibold text-white shadow-lg shadow-primary-500/25 disabled:cursor-not-allowed disabled:opacity-60"
+            >
+              Complete &amp; Create Job Posting
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
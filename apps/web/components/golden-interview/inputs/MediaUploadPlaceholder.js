@@ -1,12 +1,15 @@
 "use client";
 
-import { useState, useRef } from "react";
+import { useState, useRef, useEffect } from "react";
 
 /**
- * MediaUploadPlaceholder - Visual placeholder for media recording/upload
+ * MediaUploadPlaceholder - Media recording/upload
+ * With onUpload, picked files are uploaded and the value references the stored
+ * file; without it (previews/demos) the file is kept inline as a data URL.
  * @param {Object} props
- * @param {Object} props.value - { type: string, data?: string, filename?: string, duration?: number }
+ * @param {Object} props.value - { type: string, mediaId?: string, url?: string, caption?: string|null, data?: string, filename?: string, duration?: number }
  * @param {function} props.onChange - Callback with updated value
+ * @param {function} [props.onUpload] - (file) => Promise<{ media_id, url, caption }>
  * @param {"audio"|"photo"|"video"|"file"} [props.mediaType="audio"] - Type of media
  * @param {string} [props.title] - Title text
  * @param {string} [props.prompt] - Prompt/instruction text
@@ -22,14 +25,21 @@ export default function MediaUploadPlaceholder({
   prompt,
   accentColor = "#8b5cf6",
   allowRecord = true,
-  allowUpload = true
+  allowUpload = true,
+  onUpload
 }) {
   const [isRecording, setIsRecording] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [uploadError, setUploadError] = useState(null);
+  const [previewUrl, setPreviewUrl] = useState(null);
   const [recordingTime, setRecordingTime] = useState(0);
   const fileInputRef = useRef(null);
   const timerRef = useRef(null);
 
   const hasMedia = value?.data || value?.filename;
+  const imageSrc = value?.data || previewUrl;
+
+  useEffect(() => () => previewUrl && URL.revokeObjectURL(previewUrl), [previewUrl]);
 
   const mediaConfig = {
     audio: {
@@ -87,11 +97,35 @@ export default function MediaUploadPlaceholder({
     });
   };
 
-  const handleFileSelect = (e) => {
+  const handleFileSelect = async (e) => {
     const file = e.target.files?.[0];
     if (!file) return;
 
-    // Mock file upload
+    if (onUpload) {
+      setIsUploading(true);
+      setUploadError(null);
+      try {
+        const media = await onUpload(file);
+        setPreviewUrl(file.type.startsWith("image/") ? URL.createObjectURL(file) : null);
+        onChange({
+          type: mediaType,
+          mediaId: media.media_id,
+          url: media.url,
+          caption: media.caption ?? null,
+          filename: file.name,
+          fileSize: file.size
+        });
+      } catch (err) {
+        setUploadError(err.message || "Upload failed. Please try again.");
+        if (fileInputRef.current) {
+          fileInputRef.current.value = "";
+        }
+      } finally {
+        setIsUploading(false);
+      }
+      return;
+    }
+
     const reader = new FileReader();
     reader.onload = () => {
       onChange({
@@ -106,6 +140,8 @@ export default function MediaUploadPlaceholder({
 
   const handleClear = () => {
     onChange(null);
+    setPreviewUrl(null);
+    setUploadError(null);
     if (fileInputRef.current) {
       fileInputRef.current.value = "";
     }
@@ -181,16 +217,20 @@ export default function MediaUploadPlaceholder({
             </div>
 
             {/* Preview for images */}
-            {mediaType === "photo" && value.data && (
+            {mediaType === "photo" && imageSrc && (
               <div className="mt-4">
                 <img
-                  src={value.data}
+                  src={imageSrc}
                   alt="Preview"
                   className="max-h-40 mx-auto rounded-lg"
                 />
               </div>
             )}
 
+            {value.caption && (
+              <p className="mt-3 text-sm italic text-slate-500">{value.caption}</p>
+            )}
+
             {/* Audio visualization mock */}
             {mediaType === "audio" && (
               <div className="mt-4 flex justify-center gap-1">
@@ -216,6 +256,17 @@ export default function MediaUploadPlaceholder({
               Remove & Try Again
             </button>
           </div>
+        ) : isUploading ? (
+          /* Uploading state */
+          <div className="p-8 text-center">
+            <div
+              className="inline-flex items-center justify-center w-20 h-20 rounded-full mb-4 animate-pulse"
+              style={{ backgroundColor: `${accentColor}20` }}
+            >
+              <span className="text-4xl">{config.icon}</span>
+            </div>
+            <div className="text-slate-600">Uploading...</div>
+          </div>
         ) : isRecording ? (
           /* Recording state */
           <div className="p-8 text-center">
@@ -297,6 +348,10 @@ export default function MediaUploadPlaceholder({
         )}
       </div>
 
+      {uploadError && (
+        <p className="text-center text-sm text-red-600">{uploadError}</p>
+      )}
+
       {/* Tips */}
       <div className="text-center text-xs text-slate-400">
         {mediaType === "audio" && "Tip: Keep it under 2 minutes for best results"}
@@ -2364,7 +2364,7 @@ export const COMPONENT_CATALOG = {
     schema: {
       name: "media_upload",
       description:
-        "Visual placeholder for media recording or upload. Supports audio, photo, video with mock functionality.",
+        "Workplace photo or video upload. Uploads are stored and linked to environment.physical_space.media (photos are captioned) and used as reference imagery for job visuals. Audio and other files are not stored.",
       category: "text_media",
       valueType: "object",
       props: {
@@ -0,0 +1,80 @@
+"use client";
+
+import Link from "next/link";
+import { useQuery } from "@tanstack/react-query";
+import { GoldenInterviewApi } from "../../lib/api-client";
+
+const PERSPECTIVE_LABELS = {
+  hiring_manager: "Hiring manager",
+  recruiter: "Recruiter",
+  current_employee: "Current employee",
+};
+
+function formatLastActivity(value) {
+  if (!value) return null;
+  return new Date(value).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+}
+
+/**
+ * UnfinishedInterviews
+ *
+ * Dashboard card listing the user's half-finished golden interviews with
+ * their progress. "Resume" opens the interview with a catch-up recap
+ * (/golden-interview?resume=<sessionId>). Renders nothing when there are none.
+ */
+export function UnfinishedInterviews({ authToken }) {
+  const unfinishedQuery = useQuery({
+    queryKey: ["golden-interview-unfinished", authToken],
+    queryFn: () => GoldenInterviewApi.listUnfinishedSessions({ authToken }),
+    enabled: Boolean(authToken),
+  });
+
+  const sessions = unfinishedQuery.data?.sessions ?? [];
+  if (sessions.length === 0) {
+    return null;
+  }
+
+  return (
+    <section className="rounded-3xl border border-neutral-200 bg-white p-6 shadow-sm shadow-neutral-100">
+      <h2 className="text-lg font-semibold text-neutral-900">Unfinished interviews</h2>
+      <p className="text-xs text-neutral-500">Pick up where you left off.</p>
+      <ul className="mt-4 divide-y divide-neutral-100">
+        {sessions.map((session) => (
+          <li key={session.sessionId} className="flex items-center justify-between gap-4 py-3">
+            <div className="min-w-0 flex-1">
+              <p className="truncate text-sm font-medium text-neutral-800">
+                {session.roleTitle || "Untitled role"}
+                <span className="text-neutral-400">
+                  {` · ${PERSPECTIVE_LABELS[session.perspective] ?? session.perspective}`}
+                </span>
+              </p>
+              <div className="mt-1.5 flex items-center gap-3">
+                <div className="h-1.5 w-32 overflow-hidden rounded-full bg-neutral-100">
+                  <div
+                    className="h-full rounded-full bg-primary-500"
+                    style={{ width: `${session.completionPercentage}%` }}
+                  />
+                </div>
+                <span className="text-xs text-neutral-500">
+                  {session.completionPercentage}% · last active{" "}
+                  {formatLastActivity(session.lastActivityAt)}
+                </span>
+              </div>
+            </div>
+            <Link
+              href={`/golden-interview?resume=${session.sessionId}`}
+              className="rounded-full border border-primary-200 px-4 py-1.5 text-xs font-semibold text-primary-700 transition-colors hover:bg-primary-50"
+            >
+              Resume
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
@@ -1,10 +1,43 @@
 'use client';
 
-import { Coins, TrendingUp, Briefcase, Image, Zap, Activity, Download } from 'lucide-react';
+import { useQuery } from '@tanstack/react-query';
+import { Coins, TrendingUp, Briefcase, Image, Zap, Activity, Download, Gauge } from 'lucide-react';
+import { UsersApi } from '../../lib/api-client';
+
+const QUOTA_FAMILY_LABELS = { text: 'Text', image: 'Images', video: 'Video' };
+
+function QuotaMeter({ label, used, limit, format }) {
+  const percent = limit ? Math.min(100, (used / limit) * 100) : 0;
+  return (
+    <div>
+      <div className="mb-1 flex items-center justify-between text-xs">
+        <span className="text-neutral-500">{label}</span>
+        <span className="font-semibold text-neutral-700">
+          {format(used)} / {limit === null ? 'Unlimited' : format(limit)}
+        </span>
+      </div>
+      <div className="h-1.5 overflow-hidden rounded-full bg-neutral-200">
+        <div
+          className={`h-full transition-all duration-500 ${percent >= 90 ? 'bg-red-500' : 'bg-primary-600'}`}
+          style={{ width: `${percent}%` }}
+        ></div>
+      </div>
+    </div>
+  );
+}
 
 export default function CreditsUsageSection({ user }) {
   const credits = user?.credits || {};
   const usage = user?.usage || {};
+  const authToken = user?.authToken ?? null;
+
+  const quotaQuery = useQuery({
+    queryKey: ['llm-quota', authToken],
+    queryFn: () => UsersApi.fetchLlmQuota({ authToken }),
+    enabled: Boolean(authToken),
+    refetchInterval: 60_000
+  });
+  const quotaScopes = quotaQuery.data?.scopes ?? [];
 
   const availableCredits = usage.remainingCredits ?? 0;
   const totalBalance = availableCredits + (credits.reserved || 0);
@@ -32,6 +65,18 @@ export default function CreditsUsageSection({ user }) {
     return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
   };
 
+  const formatUsd = (amount) => `$${amount.toFixed(2)}`;
+
+  // A window caps USD, credits or both; USD spend is shown when neither is capped
+  const spendMeters = (window) => {
+    const units = ['usd', 'credits'].filter((unit) => window[unit].limit !== null);
+    return (units.length > 0 ? units : ['usd']).map((unit) => ({
+      unit,
+      ...window[unit],
+      format: unit === 'usd' ? formatUsd : formatNumber
+    }));
+  };
+
   return (
     <div className="rounded-3xl border border-neutral-200 bg-white p-6 shadow-sm">
       {/* Header */}
@@ -210,6 +255,50 @@ export default function CreditsUsageSection({ user }) {
         </div>
       </div>
 
+      {/* LLM Usage Limits */}
+      {quotaScopes.length > 0 && (
+        <div className="mt-6 space-y-4">
+          <div className="flex items-center gap-2">
+            <Gauge className="h-4 w-4 text-neutral-500" />
+            <h3 className="text-sm font-semibold uppercase tracking-wide text-neutral-500">
+              AI Usage Limits
+            </h3>
+          </div>
+
+          {quotaScopes.map((quotaScope) => (
+            <div
+              key={`${quotaScope.scope}_${quotaScope.scopeId}`}
+              className="rounded-2xl border border-neutral-200 bg-neutral-50 p-5"
+            >
+              <p className="mb-4 text-xs font-semibold uppercase tracking-wide text-neutral-500">
+                {quotaScope.scope === 'org' ? 'Organization' : 'Your account'}
+              </p>
+              <div className="grid gap-4 md:grid-cols-3">
+                {Object.entries(quotaScope.families).map(([family, familyQuota]) => (
+                  <div key={family} className="space-y-3 rounded-xl border border-neutral-200 bg-white p-4">
+                    <p className="text-sm font-semibold text-neutral-900">
+                      {QUOTA_FAMILY_LABELS[family] ?? family}
+                    </p>
+                    <QuotaMeter
+                      label="Requests / min"
+                      used={familyQuota.requestsPerMinute.used}
+                      limit={familyQuota.requestsPerMinute.limit}
+                      format={formatNumber}
+                    />
+                    {spendMeters(familyQuota.daily).map((meter) => (
+                      <QuotaMeter key={`daily_${meter.unit}`} label={`Today (${meter.unit})`} {...meter} />
+                    ))}
+                    {spendMeters(familyQuota.monthly).map((meter) => (
+                      <QuotaMeter key={`monthly_${meter.unit}`} label={`This month (${meter.unit})`} {...meter} />
+                    ))}
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Credit History Link */}
       <div className="mt-6 flex items-center justify-between border-t border-neutral-200 pt-6">
         <div>
@@ -556,6 +556,19 @@ export function VideoLibrary() {
               <div className="rounded-2xl border border-neutral-200 p-4 text-sm">
                 <h3 className="text-sm font-semibold uppercase tracking-wide text-neutral-500">Tracking & metadata</h3>
                 <p className="mt-2 text-neutral-600">UTM: {detail.trackingString ?? "—"}</p>
+                {detail.manifest?.tracking?.shortLink ? (
+                  <p className="break-all text-neutral-600">
+                    Apply link:{" "}
+                    <a
+                      href={detail.manifest.tracking.shortLink}
+                      target="_blank"
+                      rel="noreferrer"
+                      className="text-primary-600 underline"
+                    >
+                      {detail.manifest.tracking.shortLink}
+                    </a>
+                  </p>
+                ) : null}
                 <p className="text-neutral-600">Job geo: {detail.jobSnapshot?.geo ?? "Unknown"}</p>
                 <p className="text-neutral-600">Pay: {detail.jobSnapshot?.payRange ?? "Not provided"}</p>
                 {detail.generationMetrics?.costEstimateUsd ? (
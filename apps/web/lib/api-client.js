@@ -34,11 +34,13 @@ import {
   // Dashboard
   dashboardSummaryResponseSchema,
   dashboardCampaignResponseSchema,
+  dashboardCampaignLaunchResponseSchema,
   dashboardLedgerResponseSchema,
   dashboardActivityResponseSchema,
   // Subscriptions
   subscriptionPlanListResponseSchema,
   subscriptionPurchaseResponseSchema,
+  llmQuotaResponseSchema,
   // Video
   videoListItemSchema,
   videoDetailSchema,
@@ -46,6 +48,11 @@ import {
   // Interview
   goldenInterviewStartResponseSchema,
   goldenInterviewChatResponseSchema,
+  goldenInterviewResumeResponseSchema,
+  // Careers Site
+  careersSiteResponseSchema,
+  careersJobResponseSchema,
+  applicationSubmitResponseSchema,
 } from "./schemas/index.js";
 
 const API_BASE_URL =
@@ -86,6 +93,41 @@ async function extractErrorMessage(response, fallbackMessage) {
   return fallbackMessage;
 }
 
+/**
+ * Read a text/event-stream response, calling onEvent(event, data) per event.
+ * Data is JSON-parsed; multi-line data and comments follow the SSE format.
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  const dispatch = (block) => {
+    let event = "message";
+    const data = [];
+    block.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith("event:")) event = line.slice(6).trim();
+      if (line.startsWith("data:")) data.push(line.slice(5).replace(/^ /, ""));
+    });
+    if (data.length > 0) {
+      onEvent(event, JSON.parse(data.join("\n")));
+    }
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value ?? new Uint8Array(), { stream: !done });
+    let boundary = buffer.search(/\r?\n\r?\n/);
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+      boundary = buffer.search(/\r?\n\r?\n/);
+    }
+    if (done) break;
+  }
+  if (buffer.trim()) {
+    dispatch(buffer);
+  }
+}
+
 export const WizardApi = {
   async fetchJob(jobId, options = {}) {
     const response = await fetch(`${API_BASE_URL}/wizard/${jobId}`, {
@@ -1012,6 +1054,28 @@ export const DashboardApi = {
     return dashboardCampaignResponseSchema.parse(data).campaigns;
   },
 
+  async launchCampaigns(payload = {}, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/dashboard/campaigns/launch`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...authHeaders(options.authToken),
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to launch campaigns"
+      );
+      throw new Error(message);
+    }
+
+    const data = await response.json();
+    return dashboardCampaignLaunchResponseSchema.parse(data);
+  },
+
   async fetchLedger(options = {}) {
     const response = await fetch(`${API_BASE_URL}/dashboard/ledger`, {
       method: "GET",
@@ -1147,6 +1211,32 @@ export const UsersApi = {
     const data = await response.json();
     return changePasswordResponseSchema.parse(data);
   },
+
+  /**
+   * Current LLM request-rate and spend consumption against quota limits
+   * GET /api/llm/quota
+   * @param {Object} options - { authToken }
+   * @returns {Promise<{generatedAt: string, scopes: Array}>}
+   */
+  async fetchLlmQuota(options = {}) {
+    const response = await fetch(`${API_BASE_URL}/api/llm/quota`, {
+      method: "GET",
+      headers: {
+        ...authHeaders(options.authToken),
+      },
+    });
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to load usage limits"
+      );
+      throw new Error(message);
+    }
+
+    const data = await response.json();
+    return llmQuotaResponseSchema.parse(data);
+  },
 };
 
 export const SubscriptionApi = {
@@ -1414,25 +1504,38 @@ export const VideoLibraryApi = {
 // GOLDEN INTERVIEW API (Standalone - No Wizard Dependencies)
 // =============================================================================
 
+// Invite holders (no account) use the guest mirror of /start and /chat
+function goldenInterviewPath(path, guest = false) {
+  return guest ? `/golden-interview/guest${path}` : `/golden-interview${path}`;
+}
+
 export const GoldenInterviewApi = {
   /**
    * Start a new golden interview session
    * POST /golden-interview/start
-   * @param {Object} options - { authToken, signal, initialData? }
+   * @param {Object} options - { authToken, signal, initialData?, perspective?, linkedSessionId? }
    * @param {Object} options.initialData - Optional pre-flight context (e.g., { companyId })
-   * @returns {Promise<{ sessionId: string, message?: string, ui_tool?: object }>}
+   * @param {string} options.perspective - Who is answering (defaults to "hiring_manager")
+   * @param {string} options.linkedSessionId - Session for the same role to merge with
+   * @param {boolean} options.guest - authToken is an invite token; starts (or
+   *   resumes) the invite's session via /golden-interview/guest/start
+   * @returns {Promise<{ sessionId: string, groupId: string|null, completed: boolean, message?: string, ui_tool?: object }>}
    */
   async startSession(options = {}) {
-    const { authToken, signal, initialData = {} } = options;
+    const { authToken, signal, initialData = {}, perspective, linkedSessionId, guest } = options;
 
-    const response = await fetch(`${API_BASE_URL}/golden-interview/start`, {
+    const response = await fetch(`${API_BASE_URL}${goldenInterviewPath("/start", guest)}`, {
       method: "POST",
       signal,
       headers: {
         "Content-Type": "application/json",
         ...authHeaders(authToken),
       },
-      body: JSON.stringify({ initialData }),
+      body: JSON.stringify({
+        initialData,
+        ...(perspective ? { perspective } : {}),
+        ...(linkedSessionId ? { linkedSessionId } : {}),
+      }),
     });
 
     if (!response.ok) {
@@ -1451,18 +1554,24 @@ export const GoldenInterviewApi = {
    * Send a message in an ongoing golden interview session
    * POST /golden-interview/chat
    * @param {Object} payload - { sessionId, message, value? }
-   * @param {Object} options - { authToken, signal }
+   * @param {Object} options - { authToken, signal, onMessageDelta?, guest? }
+   * @param {Function} options.onMessageDelta - Opt into streaming; called with the
+   *   assistant message text received so far (ui_tool arrives with the final response)
+   * @param {boolean} options.guest - authToken is an invite token
    * @returns {Promise<{ message?: string, ui_tool?: object }>}
    */
   async sendMessage(payload, options = {}) {
-    const response = await fetch(`${API_BASE_URL}/golden-interview/chat`, {
+    const { onMessageDelta, guest } = options;
+    const streaming = typeof onMessageDelta === "function";
+    const response = await fetch(`${API_BASE_URL}${goldenInterviewPath("/chat", guest)}`, {
       method: "POST",
       signal: options.signal,
       headers: {
         "Content-Type": "application/json",
+        ...(streaming ? { Accept: "text/event-stream" } : {}),
         ...authHeaders(options.authToken),
       },
-      body: JSON.stringify(payload),
+      body: JSON.stringify(streaming ? { ...payload, stream: true } : payload),
     });
 
     if (!response.ok) {
@@ -1473,8 +1582,107 @@ export const GoldenInterviewApi = {
       throw new Error(message);
     }
 
+    if (!streaming) {
+      const data = await response.json();
+      return goldenInterviewChatResponseSchema.parse(data);
+    }
+
+    let streamedText = "";
+    let result = null;
+    let streamError = null;
+    await readEventStream(response, (event, data) => {
+      if (event === "delta") {
+        streamedText += data.text ?? "";
+        onMessageDelta(streamedText);
+      } else if (event === "reset") {
+        streamedText = "";
+        onMessageDelta(streamedText);
+      } else if (event === "result") {
+        result = data;
+      } else if (event === "error") {
+        streamError = data.error;
+      }
+    });
+
+    if (streamError || !result) {
+      throw new Error(streamError || "Failed to send message");
+    }
+    return goldenInterviewChatResponseSchema.parse(result);
+  },
+
+  /**
+   * Upload a workplace photo or video (media_upload tool) to a session
+   * POST /golden-interview/session/:sessionId/media
+   * @param {string} sessionId
+   * @param {File} file - Sent as the raw request body
+   * @param {Object} options - { authToken, signal, guest? }
+   * @param {boolean} options.guest - authToken is an invite token
+   * @returns {Promise<{ media_id: string, media_type: "image"|"video", url: string, caption: string|null }>}
+   */
+  async uploadMedia(sessionId, file, options = {}) {
+    const query = new URLSearchParams({ filename: file.name });
+    const response = await fetch(
+      `${API_BASE_URL}${goldenInterviewPath(`/session/${sessionId}/media`, options.guest)}?${query}`,
+      {
+        method: "POST",
+        signal: options.signal,
+        headers: {
+          "Content-Type": file.type,
+          ...authHeaders(options.authToken),
+        },
+        body: file,
+      }
+    );
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to upload media"
+      );
+      throw new Error(message);
+    }
+
     const data = await response.json();
-    return goldenInterviewChatResponseSchema.parse(data);
+    return data.media;
+  },
+
+  /**
+   * Export a session's golden record as a candidate-facing "role reality" document
+   * GET /golden-interview/session/:sessionId/export
+   * @param {string} sessionId
+   * @param {Object} options - { authToken, signal }
+   * @param {"json"|"markdown"|"html"|"pdf"} options.format
+   * @param {boolean} options.includeSensitive - Include pay, equity and company finance fields
+   * @returns {Promise<{ blob: Blob, filename: string }>}
+   */
+  async exportGoldenRecord(sessionId, options = {}) {
+    const query = new URLSearchParams({
+      format: options.format ?? "json",
+      includeSensitive: options.includeSensitive ? "true" : "false",
+    });
+    const response = await fetch(
+      `${API_BASE_URL}/golden-interview/session/${sessionId}/export?${query}`,
+      {
+        method: "GET",
+        signal: options.signal,
+        headers: {
+          ...authHeaders(options.authToken),
+        },
+      }
+    );
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to export golden record"
+      );
+      throw new Error(message);
+    }
+
+    const disposition = response.headers.get("Content-Disposition") ?? "";
+    const filename =
+      disposition.match(/filename="([^"]+)"/)?.[1] ?? `role-reality.${query.get("format")}`;
+    return { blob: await response.blob(), filename };
   },
 
   /**
@@ -1625,6 +1833,305 @@ export const GoldenInterviewApi = {
 
     return response.json();
   },
+
+  /**
+   * List the user's unfinished interviews, most recently active first
+   * GET /golden-interview/sessions/unfinished
+   * @param {Object} options - { authToken, signal }
+   * @returns {Promise<{ sessions: Array }>} Each with completionPercentage and lastActivityAt
+   */
+  async listUnfinishedSessions(options = {}) {
+    const response = await fetch(`${API_BASE_URL}/golden-interview/sessions/unfinished`, {
+      signal: options.signal,
+      headers: {
+        ...authHeaders(options.authToken),
+      },
+    });
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to load unfinished interviews"
+      );
+      throw new Error(message);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Resume an unfinished interview with a recap and a re-entry question
+   * POST /golden-interview/session/:sessionId/resume
+   * @param {string} sessionId
+   * @param {Object} options - { authToken, signal }
+   * @returns {Promise<{ sessionId: string, recap: string, message?: string, ui_tool?: object }>}
+   */
+  async resumeSession(sessionId, options = {}) {
+    const response = await fetch(
+      `${API_BASE_URL}/golden-interview/session/${sessionId}/resume`,
+      {
+        method: "POST",
+        signal: options.signal,
+        headers: {
+          "Content-Type": "application/json",
+          ...authHeaders(options.authToken),
+        },
+        body: JSON.stringify({}),
+      }
+    );
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to resume interview"
+      );
+      throw new Error(message);
+    }
+
+    const data = await response.json();
+    return goldenInterviewResumeResponseSchema.parse(data);
+  },
+
+  /**
+   * Complete a session, optionally creating a wizard job draft from it
+   * POST /golden-interview/session/:sessionId/complete
+   * @param {string} sessionId
+   * @param {Object} payload - { createJobDraft? }
+   * @param {Object} options - { authToken, signal }
+   * @returns {Promise<{ success: boolean, sessionId: string, jobDraft?: Object }>}
+   */
+  async completeSession(sessionId, payload = {}, options = {}) {
+    const response = await fetch(
+      `${API_BASE_URL}/golden-interview/session/${sessionId}/complete`,
+      {
+        method: "POST",
+        signal: options.signal,
+        headers: {
+          "Content-Type": "application/json",
+          ...authHeaders(options.authToken),
+        },
+        body: JSON.stringify(payload),
+      }
+    );
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to complete session"
+      );
+      throw new Error(message);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Get a stakeholder group with its per-field merge
+   * GET /golden-interview/groups/:groupId
+   * @param {string} groupId
+   * @param {Object} options - { authToken, signal }
+   * @returns {Promise<{ groupId: string, status: string, sessions: Array, merge: Object }>}
+   */
+  async getGroup(groupId, options = {}) {
+    const response = await fetch(
+      `${API_BASE_URL}/golden-interview/groups/${groupId}`,
+      {
+        signal: options.signal,
+        headers: {
+          ...authHeaders(options.authToken),
+        },
+      }
+    );
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to load interview group"
+      );
+      throw new Error(message);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Pick or blend values for conflicting fields
+   * PATCH /golden-interview/groups/:groupId/resolutions
+   * @param {string} groupId
+   * @param {Object} resolutions - { [fieldPath]: { sessionId } | { value } | null }
+   * @param {Object} options - { authToken, signal }
+   * @returns {Promise<Object>} Updated group (same shape as getGroup)
+   */
+  async saveGroupResolutions(groupId, resolutions, options = {}) {
+    const response = await fetch(
+      `${API_BASE_URL}/golden-interview/groups/${groupId}/resolutions`,
+      {
+        method: "PATCH",
+        signal: options.signal,
+        headers: {
+          "Content-Type": "application/json",
+          ...authHeaders(options.authToken),
+        },
+        body: JSON.stringify({ resolutions }),
+      }
+    );
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to save resolutions"
+      );
+      throw new Error(message);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Merge a stakeholder group into one golden record
+   * POST /golden-interview/groups/:groupId/complete
+   * @param {string} groupId
+   * @param {Object} payload - { createJobDraft? }
+   * @param {Object} options - { authToken, signal }
+   * @returns {Promise<Object>} Completed group, plus jobDraft when requested
+   */
+  async completeGroup(groupId, payload = {}, options = {}) {
+    const response = await fetch(
+      `${API_BASE_URL}/golden-interview/groups/${groupId}/complete`,
+      {
+        method: "POST",
+        signal: options.signal,
+        headers: {
+          "Content-Type": "application/json",
+          ...authHeaders(options.authToken),
+        },
+        body: JSON.stringify(payload),
+      }
+    );
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to complete interview group"
+      );
+      throw new Error(message);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Create a guest invite link for an active session or a new prefilled one
+   * POST /golden-interview/invites
+   * @param {Object} payload - { sessionId? } or { perspective?, linkedSessionId?, initialData? },
+   *   plus { respondentName?, expiresInDays? }
+   * @param {Object} options - { authToken, signal }
+   * @returns {Promise<{ token: string, invite: Object }>} The token is only returned here
+   */
+  async createInvite(payload, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/golden-interview/invites`, {
+      method: "POST",
+      signal: options.signal,
+      headers: {
+        "Content-Type": "application/json",
+        ...authHeaders(options.authToken),
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to create invite"
+      );
+      throw new Error(message);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * List the user's guest invites with each guest's progress
+   * GET /golden-interview/invites
+   * @param {Object} options - { authToken, signal }
+   * @returns {Promise<{ invites: Array }>}
+   */
+  async listInvites(options = {}) {
+    const response = await fetch(`${API_BASE_URL}/golden-interview/invites`, {
+      signal: options.signal,
+      headers: {
+        ...authHeaders(options.authToken),
+      },
+    });
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to load invites"
+      );
+      throw new Error(message);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * Revoke a guest invite link
+   * POST /golden-interview/invites/:inviteId/revoke
+   * @param {string} inviteId
+   * @param {Object} options - { authToken, signal }
+   * @returns {Promise<{ invite: Object }>}
+   */
+  async revokeInvite(inviteId, options = {}) {
+    const response = await fetch(
+      `${API_BASE_URL}/golden-interview/invites/${inviteId}/revoke`,
+      {
+        method: "POST",
+        signal: options.signal,
+        headers: {
+          "Content-Type": "application/json",
+          ...authHeaders(options.authToken),
+        },
+        body: JSON.stringify({}),
+      }
+    );
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to revoke invite"
+      );
+      throw new Error(message);
+    }
+
+    return response.json();
+  },
+
+  /**
+   * What an invite link is for (guest landing page)
+   * GET /golden-interview/guest/invite
+   * @param {string} inviteToken - Token from the invite link
+   * @param {Object} options - { signal }
+   * @returns {Promise<{ invite: Object }>}
+   */
+  async getGuestInvite(inviteToken, options = {}) {
+    const response = await fetch(`${API_BASE_URL}/golden-interview/guest/invite`, {
+      signal: options.signal,
+      headers: {
+        ...authHeaders(inviteToken),
+      },
+    });
+
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "This invite link is not valid"
+      );
+      throw new Error(message);
+    }
+
+    return response.json();
+  },
 };
 
 // =============================================================================
@@ -1771,3 +2278,88 @@ export const CompanyApi = {
     };
   },
 };
+
+// =============================================================================
+// CAREERS API (Public - No Auth)
+// =============================================================================
+
+export const CareersApi = {
+  /**
+   * Load a company's careers index
+   * GET /careers/companies/{companySlug}
+   * @param {string} companySlug - Company primary domain
+   * @returns {Promise<{ company: object, jobs: object[] } | null>} null when the company is unknown
+   */
+  async fetchCompanySite(companySlug) {
+    const response = await fetch(
+      `${API_BASE_URL}/careers/companies/${encodeURIComponent(companySlug)}`,
+      { next: { revalidate: 60 } }
+    );
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to load careers site"
+      );
+      throw new Error(message);
+    }
+    return careersSiteResponseSchema.parse(await response.json());
+  },
+
+  /**
+   * Load a public job page
+   * GET /careers/jobs/{jobId}
+   * @param {string} jobId - Job ID
+   * @returns {Promise<{ company: object, job: object, heroImage: object|null, jsonLd: object } | null>}
+   *   null when the job is not published
+   */
+  async fetchJob(jobId) {
+    const response = await fetch(
+      `${API_BASE_URL}/careers/jobs/${encodeURIComponent(jobId)}`,
+      { next: { revalidate: 60 } }
+    );
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to load job"
+      );
+      throw new Error(message);
+    }
+    return careersJobResponseSchema.parse(await response.json());
+  },
+
+  /**
+   * Apply to a published job
+   * POST /applications/jobs/{jobId}
+   * @param {string} jobId - Job ID
+   * @param {Object} payload - { candidate, resumeText?, resumeFile?, coverLetter?, attribution? }
+   * @param {Object} options - { signal }
+   * @returns {Promise<{ applicationId: string, jobId: string, status: string }>}
+   */
+  async submitApplication(jobId, payload, options = {}) {
+    const response = await fetch(
+      `${API_BASE_URL}/applications/jobs/${encodeURIComponent(jobId)}`,
+      {
+        method: "POST",
+        signal: options.signal,
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(payload),
+      }
+    );
+    if (!response.ok) {
+      const message = await extractErrorMessage(
+        response,
+        "Failed to submit application"
+      );
+      throw new Error(message);
+    }
+    return applicationSubmitResponseSchema.parse(await response.json());
+  },
+};
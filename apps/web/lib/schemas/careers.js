@@ -0,0 +1,59 @@
+import { z } from "zod";
+
+// =============================================================================
+// CAREERS SITE SCHEMAS (public job pages + applications)
+// =============================================================================
+
+export const careersCompanySchema = z.object({
+  slug: z.string(),
+  name: z.string().nullable().optional(),
+  tagline: z.string().nullable().optional(),
+  description: z.string().nullable().optional(),
+  website: z.string().nullable().optional(),
+  logoUrl: z.string().nullable().optional(),
+  bannerUrl: z.string().nullable().optional(),
+  primaryColor: z.string().nullable().optional(),
+  secondaryColor: z.string().nullable().optional(),
+  fontFamily: z.string().nullable().optional(),
+});
+
+export const careersJobSummarySchema = z.object({
+  jobId: z.string(),
+  title: z.string(),
+  location: z.string().nullable().optional(),
+  remote: z.boolean().optional(),
+  employmentType: z.string().nullable().optional(),
+  salaryText: z.string().nullable().optional(),
+  datePosted: z.string().nullable().optional(),
+  validThrough: z.string().nullable().optional(),
+  url: z.string(),
+});
+
+export const careersSiteResponseSchema = z.object({
+  company: careersCompanySchema,
+  jobs: z.array(careersJobSummarySchema).default([]),
+});
+
+export const careersJobResponseSchema = z.object({
+  company: careersCompanySchema,
+  job: careersJobSummarySchema.extend({
+    companyName: z.string().nullable().optional(),
+    experienceLevel: z.string().nullable().optional(),
+    industry: z.string().nullable().optional(),
+    descriptionHtml: z.string().nullable().optional(),
+  }),
+  heroImage: z
+    .object({
+      url: z.string(),
+      alt: z.string().nullable().optional(),
+    })
+    .nullable()
+    .optional(),
+  jsonLd: z.record(z.unknown()),
+});
+
+export const applicationSubmitResponseSchema = z.object({
+  applicationId: z.string(),
+  jobId: z.string(),
+  status: z.string(),
+});
@@ -61,6 +61,22 @@ export const dashboardCampaignResponseSchema = z.object({
   campaigns: z.array(dashboardCampaignSchema),
 });
 
+export const dashboardCampaignLaunchResponseSchema = z.object({
+  launches: z.array(
+    z.object({
+      jobId: z.string(),
+      launchId: z.string(),
+      eventId: z.string(),
+    })
+  ),
+  skipped: z.array(
+    z.object({
+      jobId: z.string(),
+      reason: z.string(),
+    })
+  ),
+});
+
 export const dashboardLedgerEntrySchema = z.object({
   id: z.string(),
   jobId: z.string(),
@@ -73,6 +73,7 @@ export {
   dashboardSummaryResponseSchema,
   dashboardCampaignSchema,
   dashboardCampaignResponseSchema,
+  dashboardCampaignLaunchResponseSchema,
   dashboardLedgerEntrySchema,
   dashboardLedgerResponseSchema,
   dashboardActivityEventSchema,
@@ -84,6 +85,7 @@ export {
   subscriptionPlanSchema,
   subscriptionPlanListResponseSchema,
   subscriptionPurchaseResponseSchema,
+  llmQuotaResponseSchema,
 } from "./subscription.js";
 
 // Video
@@ -104,4 +106,14 @@ export {
 export {
   goldenInterviewStartResponseSchema,
   goldenInterviewChatResponseSchema,
+  goldenInterviewResumeResponseSchema,
 } from "./interview.js";
+
+// Careers Site
+export {
+  careersCompanySchema,
+  careersJobSummarySchema,
+  careersSiteResponseSchema,
+  careersJobResponseSchema,
+  applicationSubmitResponseSchema,
+} from "./careers.js";
@@ -76,7 +76,11 @@ const goldenInterviewResponseDataSchema = z.object({
 const goldenInterviewStartResponseSchema = z
   .object({
     sessionId: z.string(),
-    response: goldenInterviewResponseDataSchema.optional(),
+    // Stakeholder group, set when the session was linked to another one
+    groupId: z.string().nullable().optional(),
+    // Guest invites: the invite's interview is already finished
+    completed: z.boolean().optional(),
+    response: goldenInterviewResponseDataSchema.nullable().optional(),
     // Legacy flat structure support
     message: z.string().optional(),
     ui_tool: goldenInterviewUiToolSchema,
@@ -86,6 +90,8 @@ const goldenInterviewStartResponseSchema = z
     if (data.response) {
       return {
         sessionId: data.sessionId,
+        groupId: data.groupId ?? null,
+        completed: data.completed ?? false,
         message: data.response.message,
         ui_tool: data.response.ui_tool,
         completion_percentage: data.response.completion_percentage,
@@ -97,6 +103,8 @@ const goldenInterviewStartResponseSchema = z
     }
     return {
       sessionId: data.sessionId,
+      groupId: data.groupId ?? null,
+      completed: data.completed ?? false,
       message: data.message,
       ui_tool: data.ui_tool,
       completion_percentage: undefined,
@@ -109,6 +117,16 @@ const goldenInterviewStartResponseSchema = z
 
 const goldenInterviewChatResponseSchema = goldenInterviewResponseDataSchema;
 
+// Resumed interview: the re-entry turn plus a recap of what was captured
+const goldenInterviewResumeResponseSchema = z
+  .object({
+    sessionId: z.string(),
+    response: goldenInterviewResponseDataSchema.extend({
+      recap: z.string(),
+    }),
+  })
+  .transform((data) => ({ sessionId: data.sessionId, ...data.response }));
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -118,4 +136,5 @@ export {
   goldenInterviewResponseDataSchema,
   goldenInterviewStartResponseSchema,
   goldenInterviewChatResponseSchema,
+  goldenInterviewResumeResponseSchema,
 };
@@ -191,11 +191,35 @@ export const refinementResponseSchema = z
 // FINALIZE SCHEMA
 // =============================================================================
 
+// Pay-transparency / wage-law flags from finalize (blocking ones stop publishing)
+export const payComplianceSchema = z.object({
+  rulesVersion: z.string(),
+  jurisdiction: z
+    .object({
+      code: z.string(),
+      name: z.string(),
+      region: z.string().nullable().optional(),
+    })
+    .nullable(),
+  flags: z
+    .array(
+      z.object({
+        id: z.string(),
+        label: z.string(),
+        severity: z.enum(["info", "warning", "blocking"]),
+        details: z.string().nullable().optional(),
+      })
+    )
+    .default([]),
+  blocking: z.boolean().default(false),
+});
+
 export const finalizeResponseSchema = z
   .object({
     jobId: z.string(),
     finalJob: jobDetailsSchema,
     source: z.string().optional().nullable(),
+    compliance: payComplianceSchema.optional().nullable(),
     channelRecommendations: z.array(channelRecommendationSchema).optional(),
     channelUpdatedAt: z.union([z.string(), z.date()]).nullable().optional(),
     channelFailure: channelRecommendationFailureSchema.optional().nullable(),
@@ -204,6 +228,7 @@ export const finalizeResponseSchema = z
     jobId: data.jobId,
     finalJob: data.finalJob,
     source: data.source ?? null,
+    compliance: data.compliance ?? null,
     channelRecommendations: data.channelRecommendations ?? [],
     channelUpdatedAt: data.channelUpdatedAt
       ? new Date(data.channelUpdatedAt)
@@ -81,3 +81,37 @@ export const subscriptionPurchaseResponseSchema = z
         }
       : null,
   }));
+
+// =============================================================================
+// LLM QUOTA SCHEMAS
+// =============================================================================
+
+const llmQuotaAmountSchema = z.object({
+  used: z.number(),
+  limit: z.number().nullable(),
+});
+
+const llmQuotaWindowSchema = z.object({
+  resetsAt: z.string(),
+  usd: llmQuotaAmountSchema,
+  credits: llmQuotaAmountSchema,
+});
+
+export const llmQuotaResponseSchema = z.object({
+  generatedAt: z.string(),
+  scopes: z
+    .array(
+      z.object({
+        scope: z.enum(["user", "org"]),
+        scopeId: z.string(),
+        families: z.record(
+          z.object({
+            requestsPerMinute: llmQuotaAmountSchema,
+            daily: llmQuotaWindowSchema,
+            monthly: llmQuotaWindowSchema,
+          })
+        ),
+      })
+    )
+    .default([]),
+});
@@ -77,6 +77,7 @@ export const videoManifestSchema = z.object({
       utmMedium: z.string(),
       utmCampaign: z.string(),
       utmContent: z.string(),
+      shortLink: z.string().nullable().optional(),
     })
     .optional(),
 });
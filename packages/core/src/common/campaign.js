@@ -1,12 +1,24 @@
 import { z } from "zod";
 import { NonNegativeNumber, TimestampSchema } from "./zod.js";
 import { ChannelIdEnum } from "./channels.js";
+import { DeterministicStateMachine } from "../schemas/job.js";
+
+export const CampaignStatusEnum = z.enum([
+  "DRAFT",
+  "SCHEDULED",
+  "RUNNING",
+  "PAUSED",
+  "COMPLETED",
+  "FAILED"
+]);
+
+export const CAMPAIGN_TERMINAL_STATUSES = ["COMPLETED", "FAILED"];
 
 export const CampaignSchema = z.object({
   id: z.string().uuid(),
   jobId: z.string(),
   channel: ChannelIdEnum,
-  status: z.enum(["DRAFT", "SCHEDULED", "RUNNING", "PAUSED", "COMPLETED", "FAILED"]),
+  status: CampaignStatusEnum,
   budget: NonNegativeNumber,
   objective: z.enum(["apply_volume", "qualified_apply", "hire_speed"]).optional(),
   audience: z.record(z.string(), z.unknown()).default({}),
@@ -24,3 +36,17 @@ export const CampaignSchema = z.object({
   createdAt: TimestampSchema,
   updatedAt: TimestampSchema
 });
+
+export function createCampaignStateMachine() {
+  const machine = new DeterministicStateMachine("campaign");
+  machine.registerTransition("DRAFT", "SCHEDULED");
+  machine.registerTransition("DRAFT", "FAILED");
+  machine.registerTransition("SCHEDULED", "RUNNING");
+  machine.registerTransition("SCHEDULED", "FAILED");
+  machine.registerTransition("RUNNING", "PAUSED");
+  machine.registerTransition("RUNNING", "COMPLETED");
+  machine.registerTransition("RUNNING", "FAILED");
+  machine.registerTransition("PAUSED", "RUNNING");
+  machine.registerTransition("PAUSED", "FAILED");
+  return machine;
+}
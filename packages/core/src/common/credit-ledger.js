@@ -1,14 +1,76 @@
 import { z } from "zod";
-import { TimestampSchema } from "./zod.js";
+import { NonNegativeNumber, TimestampSchema } from "./zod.js";
 
 export const CreditLedgerEntrySchema = z.object({
   id: z.string().uuid(),
   jobId: z.string().optional(),
   workflow: z.string(),
-  type: z.enum(["RESERVE", "CHARGE", "REFUND"]),
+  type: z.enum(["RESERVE", "CHARGE", "REFUND", "PURCHASE"]),
   credits: z.number(),
   status: z.enum(["PENDING", "RESERVED", "SETTLED", "REFUNDED", "FAILED"]),
   correlationId: z.string(),
   occurredAt: TimestampSchema,
   metadata: z.record(z.string(), z.unknown()).default({})
 });
+
+export const CreditReservationStatusEnum = z.enum([
+  "RESERVED",
+  "SETTLED",
+  "REFUNDED",
+  "EXPIRED"
+]);
+
+/**
+ * A hold placed on a user's credits for the lifetime of one expensive task.
+ * LLM usage recorded while the hold is open accrues onto `accruedCredits`
+ * and is charged in one go when the hold settles.
+ */
+export const CreditReservationSchema = z.object({
+  id: z.string().uuid(),
+  userId: z.string(),
+  jobId: z.string().nullable().optional(),
+  workflow: z.string(),
+  status: CreditReservationStatusEnum,
+  reservedCredits: NonNegativeNumber,
+  accruedCredits: NonNegativeNumber.default(0),
+  chargedCredits: NonNegativeNumber.default(0),
+  createdAt: TimestampSchema,
+  updatedAt: TimestampSchema,
+  expiresAt: TimestampSchema,
+  metadata: z.record(z.string(), z.unknown()).default({})
+});
+
+/**
+ * Apply a credit movement to a user document's `credits`/`usage` snapshots.
+ *
+ * `usage.remainingCredits` is the spendable balance and `credits.balance` is
+ * spendable + reserved, matching how subscription purchases write them.
+ *
+ * @param {Object} userDoc - Current user document
+ * @param {Object} movement
+ * @param {number} [movement.reserve=0] - Credits moved from spendable to reserved
+ * @param {number} [movement.release=0] - Credits moved from reserved back to spendable
+ * @param {number} [movement.spend=0] - Credits consumed from the spendable balance
+ * @returns {{ credits: Object, usage: Object }}
+ */
+export function applyCreditMovement(userDoc, { reserve = 0, release = 0, spend = 0 } = {}) {
+  const remaining = Number(userDoc?.usage?.remainingCredits ?? userDoc?.credits?.balance ?? 0);
+  const reserved = Number(userDoc?.credits?.reserved ?? 0);
+  const lifetimeUsed = Number(userDoc?.credits?.lifetimeUsed ?? 0);
+
+  const nextRemaining = remaining - reserve + release - spend;
+  const nextReserved = Math.max(0, reserved + reserve - release);
+
+  return {
+    credits: {
+      ...(userDoc?.credits ?? {}),
+      balance: nextRemaining + nextReserved,
+      reserved: nextReserved,
+      lifetimeUsed: lifetimeUsed + spend
+    },
+    usage: {
+      ...(userDoc?.usage ?? {}),
+      remainingCredits: nextRemaining
+    }
+  };
+}
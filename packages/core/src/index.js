@@ -27,7 +27,12 @@ export {
   splitAssetPlan,
   getBlueprintForChannel
 } from "./common/asset-formats.js";
-export { CampaignSchema } from "./common/campaign.js";
+export {
+  CampaignSchema,
+  CampaignStatusEnum,
+  CAMPAIGN_TERMINAL_STATUSES,
+  createCampaignStateMachine
+} from "./common/campaign.js";
 export {
   CHANNEL_CATALOG,
   CHANNEL_CATALOG_MAP,
@@ -40,7 +45,12 @@ export {
   VideoSpecSchema,
   resolveVideoSpec
 } from "./common/video-specs.js";
-export { CreditLedgerEntrySchema } from "./common/credit-ledger.js";
+export {
+  CreditLedgerEntrySchema,
+  CreditReservationSchema,
+  CreditReservationStatusEnum,
+  applyCreditMovement
+} from "./common/credit-ledger.js";
 export { EventEnvelopeSchema } from "./common/event-envelope.js";
 export {
   UserSchema,
@@ -64,7 +74,22 @@ export { JobSuggestionSchema } from "./schemas/job-suggestion.js";
 export { JobRecord } from "./job-record.js";
 export { JobChannelRecommendationSchema } from "./schemas/job-channel-recommendation.js";
 export { JobRefinementSchema } from "./schemas/job-refinement.js";
-export { JobFinalSchema } from "./schemas/job-final.js";
+export {
+  JobFinalSchema,
+  JobSyndicationSchema,
+  PayComplianceReportSchema,
+} from "./schemas/job-final.js";
+export {
+  JobApplicationSchema,
+  JobApplicationStatusEnum,
+  ApplicationCandidateSchema,
+  ApplicationAttributionSchema,
+  ApplicationResumeSchema,
+  ApplicationScreeningSchema,
+  ScreeningCriterionSchema,
+  ScreeningCriterionSourceEnum,
+  ScreeningCriterionVerdictEnum
+} from "./schemas/job-application.js";
 export {
   JobAssetRecordSchema,
   JobAssetRunSchema,
@@ -78,6 +103,7 @@ export {
 } from "./schemas/job-hero-image.js";
 export {
   CompanySchema,
+  CompanyWorkplaceSchema,
   CompanyTypeEnum,
   CompanyEnrichmentStatusEnum,
   CompanyJobDiscoveryStatusEnum,
@@ -85,7 +111,9 @@ export {
 } from "./schemas/company.js";
 export {
   LlmUsageEntrySchema,
-  LlmUsageStatusEnum
+  LlmUsageStatusEnum,
+  LlmQuotaFamilyEnum,
+  LlmQuotaUsageSchema
 } from "./schemas/llm-usage.js";
 export {
   CopilotMessageSchema,
@@ -104,6 +132,7 @@ export {
   VideoGenerationMetricsSchema,
   VideoRenderTaskSchema,
   VideoPublishTaskSchema,
+  VideoPublisherCredentialSchema,
   VideoAuditLogEntrySchema,
   VideoLibraryStatusEnum,
   VideoLibraryItemSchema,
@@ -143,10 +172,12 @@ export {
   WorkloadIntensityEnum,
   WorkloadPredictabilityEnum,
   SeniorityDetectedEnum,
+  RespondentPerspectiveEnum,
   // Sub-schemas
   FinancialRealitySchema,
   TimeAndLifeSchema,
   EnvironmentSchema,
+  WorkplaceMediaSchema,
   HumansAndCultureSchema,
   GrowthTrajectorySchema,
   StabilitySignalsSchema,
@@ -55,6 +55,23 @@ const BrandProfileSchema = z
     fonts: { all: [] }
   });
 
+// Public, company-wide workplace facts found during enrichment. Golden
+// interviews for the company start with these filled in for confirmation.
+export const CompanyWorkplaceSchema = z.object({
+  companyAge: z.string().nullable().optional(),
+  companyStage: z.string().nullable().optional(),
+  fundingStatus: z.string().nullable().optional(),
+  healthInsurance: z.boolean().nullable().optional(),
+  dental: z.boolean().nullable().optional(),
+  vision: z.boolean().nullable().optional(),
+  retirementPlan: z.boolean().nullable().optional(),
+  retirementMatch: z.string().nullable().optional(),
+  mealsProvided: z.boolean().nullable().optional(),
+  commuterBenefits: z.string().nullable().optional(),
+  gym: z.boolean().nullable().optional(),
+  unionized: z.boolean().nullable().optional()
+});
+
 export const CompanySchema = z.object({
   id: z.string(),
   primaryDomain: z.string().min(1),
@@ -84,6 +101,7 @@ export const CompanySchema = z.object({
     fonts: { all: [] }
   }),
   socials: SocialHandlesSchema.partial().optional(),
+  workplace: CompanyWorkplaceSchema.optional(),
   enrichmentStatus: CompanyEnrichmentStatusEnum.default("PENDING"),
   jobDiscoveryStatus: CompanyJobDiscoveryStatusEnum.default("UNKNOWN"),
   lastEnrichedAt: TimestampSchema.nullable().optional(),
@@ -181,6 +181,13 @@ export const SeniorityDetectedEnum = z.enum([
   "executive",
 ]);
 
+// Respondent Perspective Enum (who answered a session; several per role can be merged)
+export const RespondentPerspectiveEnum = z.enum([
+  "hiring_manager",
+  "recruiter",
+  "current_employee",
+]);
+
 // Employment Type Enum (for role_overview)
 export const EmploymentTypeEnum = z.enum([
   "full_time",
@@ -339,10 +346,22 @@ export const TimeAndLifeSchema = z.object({
 // SUB-SCHEMAS: Environment
 // ============================================================================
 
+// Workplace photos/videos uploaded during the interview (media_upload tool)
+export const WorkplaceMediaSchema = z.object({
+  media_id: z.string(),
+  media_type: z.enum(["image", "video"]),
+  url: z.string(),
+  content_type: z.string(),
+  filename: z.string().optional(),
+  caption: z.string().nullable().optional(),
+  uploaded_at: z.string().datetime(),
+});
+
 export const PhysicalSpaceSchema = z.object({
   type: PhysicalSpaceTypeEnum.optional(),
   description: z.string().optional(),
   size_context: z.string().optional(),
+  media: z.array(WorkplaceMediaSchema).optional(),
 });
 
 export const WorkspaceQualitySchema = z.object({
@@ -767,6 +786,7 @@ export const UserContextSchema = z.object({
   name: z.string().optional(),
   timezone: z.string().optional(),
   preferred_language: z.string().optional(),
+  respondent_perspective: RespondentPerspectiveEnum.optional(),
 });
 
 // ============================================================================
@@ -925,6 +945,7 @@ export function createInitialGoldenRecord(sessionId, companyId = null, companyNa
       name: userData?.name || null,
       timezone: userData?.timezone || null,
       preferred_language: null,
+      respondent_perspective: userData?.perspective || "hiring_manager",
     },
 
     // =========================================================================
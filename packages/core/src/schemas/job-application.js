@@ -0,0 +1,79 @@
+import { z } from "zod";
+import { TimestampSchema } from "../common/zod.js";
+
+export const JobApplicationStatusEnum = z.enum([
+  "received",
+  "screened",
+  "screening_failed"
+]);
+
+export const ScreeningCriterionSourceEnum = z.enum(["must_haves", "role_content"]);
+
+export const ScreeningCriterionVerdictEnum = z.enum([
+  "met",
+  "partial",
+  "not_met",
+  "unknown"
+]);
+
+export const ApplicationCandidateSchema = z.object({
+  name: z.string().min(1),
+  email: z.string().email(),
+  phone: z.string().nullable().optional(),
+  location: z.string().nullable().optional(),
+  linkedinUrl: z.string().url().nullable().optional()
+});
+
+// Where the candidate came from; mirrors the video manifest tracking fields.
+export const ApplicationAttributionSchema = z.object({
+  utmSource: z.string().nullable().optional(),
+  utmMedium: z.string().nullable().optional(),
+  utmCampaign: z.string().nullable().optional(),
+  utmContent: z.string().nullable().optional()
+});
+
+export const ApplicationResumeSchema = z.object({
+  source: z.enum(["text", "pdf"]),
+  fileName: z.string().nullable().optional(),
+  mimeType: z.string(),
+  sizeBytes: z.number().int().nonnegative(),
+  text: z.string()
+});
+
+export const ScreeningCriterionSchema = z.object({
+  criterion: z.string(),
+  source: ScreeningCriterionSourceEnum,
+  verdict: ScreeningCriterionVerdictEnum,
+  evidence: z.string().nullable().optional()
+});
+
+export const ApplicationScreeningSchema = z.object({
+  score: z.number().min(0).max(100),
+  summary: z.string().nullable().optional(),
+  criteria: z.array(ScreeningCriterionSchema),
+  provider: z.string().nullable().optional(),
+  model: z.string().nullable().optional(),
+  screenedAt: TimestampSchema
+});
+
+export const JobApplicationSchema = z.object({
+  id: z.string(),
+  jobId: z.string(),
+  companyId: z.string().nullable().optional(),
+  ownerUserId: z.string().nullable().optional(),
+  candidate: ApplicationCandidateSchema,
+  resume: ApplicationResumeSchema,
+  coverLetter: z.string().nullable().optional(),
+  attribution: ApplicationAttributionSchema.nullable().optional(),
+  status: JobApplicationStatusEnum.default("received"),
+  screening: ApplicationScreeningSchema.nullable().optional(),
+  screeningError: z
+    .object({
+      reason: z.string(),
+      message: z.string().nullable().optional()
+    })
+    .nullable()
+    .optional(),
+  createdAt: TimestampSchema,
+  updatedAt: TimestampSchema
+});
@@ -1,6 +1,22 @@
 import { z } from "zod";
 import { ConfirmedJobDetailsSchema } from "./job.js";
 import { TimestampSchema } from "../common/zod.js";
+import { ComplianceFlagSchema } from "./video-library.js";
+
+// Pay-transparency / wage-law check of a final job (services/pay-compliance.js)
+export const PayComplianceReportSchema = z.object({
+  rulesVersion: z.string(),
+  jurisdiction: z
+    .object({
+      code: z.string(),
+      name: z.string(),
+      region: z.string().nullable().optional()
+    })
+    .nullable(),
+  flags: z.array(ComplianceFlagSchema).default([]),
+  blocking: z.boolean().default(false),
+  checkedAt: TimestampSchema
+});
 
 export const JobFinalSchema = z.object({
   id: z.string(),
@@ -9,5 +25,17 @@ export const JobFinalSchema = z.object({
   schema_version: z.literal("1"),
   job: ConfirmedJobDetailsSchema,
   source: z.enum(["original", "refined", "edited"]).default("refined"),
+  // Blocking flags keep the job off job boards and out of campaign launches
+  compliance: PayComplianceReportSchema.nullable().optional(),
+  updatedAt: TimestampSchema
+});
+
+// Per-job controls for job board syndication (XML feed / JobPosting JSON-LD).
+export const JobSyndicationSchema = z.object({
+  id: z.string(),
+  jobId: z.string(),
+  companyId: z.string().nullable().optional(),
+  included: z.boolean().default(true),
+  expiresAt: TimestampSchema.nullable().optional(),
   updatedAt: TimestampSchema
 });
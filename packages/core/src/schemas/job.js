@@ -160,6 +160,8 @@ export const JobSchema = z.object({
   currency: z.string().optional(),
   confirmed: ConfirmedJobDetailsSchema,
   importContext: JobImportContextSchema.optional(),
+  // Golden interview session the draft was created from (golden_interview_sessions)
+  goldenSessionId: z.string().nullable().optional(),
   createdAt: TimestampSchema,
   updatedAt: TimestampSchema,
   archivedAt: TimestampSchema.nullable().optional()
@@ -10,6 +10,7 @@ export const LlmUsageEntrySchema = z.object({
   taskType: z.string().min(1),
   provider: z.string().min(1),
   model: z.string().min(1),
+  promptVersion: z.string().optional(),
   inputTokens: z.number().int().min(0).default(0),
   outputTokens: z.number().int().min(0).default(0),
   totalTokens: z.number().int().min(0).default(0),
@@ -18,6 +19,10 @@ export const LlmUsageEntrySchema = z.object({
   inputCostPerMillionUsd: z.number().nonnegative().optional(),
   outputCostPerMillionUsd: z.number().nonnegative().optional(),
   cachedInputCostPerMillionUsd: z.number().nonnegative().optional(),
+  cacheWriteTokens: z.number().int().min(0).optional(),
+  cacheTtlSeconds: z.number().int().min(0).optional(),
+  cacheWriteCostUsd: z.number().nonnegative().optional(),
+  cacheSavingsUsd: z.number().nonnegative().optional(),
   imageCostPerUnitUsd: z.number().nonnegative().optional(),
   videoCostPerSecondUsd: z.number().nonnegative().optional(),
   estimatedCostUsd: z.number().nonnegative().default(0),
@@ -34,3 +39,32 @@ export const LlmUsageEntrySchema = z.object({
     })
     .optional()
 });
+
+export const LlmQuotaFamilyEnum = z.enum(["text", "image", "video"]);
+
+const LlmQuotaPeriodUsageSchema = z.object({
+  // UTC day (YYYY-MM-DD) or month (YYYY-MM) the totals belong to
+  period: z.string(),
+  usd: z.number().nonnegative().default(0),
+  credits: z.number().nonnegative().default(0)
+});
+
+/**
+ * Running LLM spend of one user or organization, per task family, for the
+ * current UTC day and month. Checked against the quotas before POST /api/llm
+ * runs; totals from an older period are treated as zero.
+ */
+export const LlmQuotaUsageSchema = z.object({
+  scope: z.enum(["user", "org"]),
+  scopeId: z.string(),
+  families: z
+    .record(
+      LlmQuotaFamilyEnum,
+      z.object({
+        day: LlmQuotaPeriodUsageSchema.optional(),
+        month: LlmQuotaPeriodUsageSchema.optional()
+      })
+    )
+    .default({}),
+  updatedAt: TimestampSchema.optional()
+});
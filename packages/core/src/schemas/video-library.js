@@ -228,6 +228,18 @@ export const VideoPublishTaskSchema = z.object({
   completedAt: TimestampSchema.nullable().optional()
 });
 
+// OAuth credentials a company has connected for publishing to one channel.
+export const VideoPublisherCredentialSchema = z.object({
+  companyId: z.string(),
+  channelId: ChannelIdEnum,
+  accessToken: z.string().min(1),
+  refreshToken: z.string().nullable().optional(),
+  accountId: z.string().nullable().optional(),
+  scopes: z.array(z.string()).default([]),
+  expiresAt: TimestampSchema.nullable().optional(),
+  updatedAt: TimestampSchema
+});
+
 export const VideoAuditLogEntrySchema = z.object({
   id: z.string(),
   type: z.string(),
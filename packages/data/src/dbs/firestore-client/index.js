@@ -140,6 +140,37 @@ export function createFirestoreAdapter(options = {}) {
       logger.info({ collection, id }, "Snapshot created");
       return normalize(payload);
     },
+    /**
+     * Run a read-modify-write atomically. `work` receives a transaction
+     * handle with getDocument/saveDocument/replaceDocument; Firestore retries
+     * `work` when a document it read changes before commit, so it must not
+     * have side effects and must do every read before its first write.
+     * saveDocument merges like the adapter's saveDocument; replaceDocument
+     * overwrites the whole document (use it to persist removed keys).
+     * @param {(transaction: Object) => Promise<*>} work
+     * @returns {Promise<*>} Whatever `work` returns
+     */
+    async runTransaction(work) {
+      return db.runTransaction((transaction) =>
+        work({
+          async getDocument(collection, id) {
+            const snapshot = await transaction.get(db.collection(collection).doc(id));
+            if (!snapshot.exists) {
+              return null;
+            }
+            return { id: snapshot.id, ...normalize(snapshot.data()) };
+          },
+          saveDocument(collection, id, data) {
+            transaction.set(db.collection(collection).doc(id), data, { merge: true });
+            return { id, ...data };
+          },
+          replaceDocument(collection, id, data) {
+            transaction.set(db.collection(collection).doc(id), data);
+            return { id, ...data };
+          },
+        })
+      );
+    },
     async listCollection(collection, filters = []) {
       let query = db.collection(collection);
       filters.forEach((filter) => {
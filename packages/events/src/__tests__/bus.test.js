@@ -0,0 +1,198 @@
+/**
+ * @file bus.test.js
+ * Tests for the event bus over the in-memory and JSONL transports.
+ *
+ * These tests verify:
+ * 1. publish() validates AssetGenerated / CreditLedgerUpdated envelopes and
+ *    rejects malformed payloads or unknown types before enqueueing
+ * 2. Every subscriber group receives each published event once
+ * 3. Failing handlers are retried, then dead-lettered without blocking the topic
+ * 4. The JSONL transport delivers across bus instances sharing a directory
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { randomUUID } from "node:crypto";
+import fs from "node:fs/promises";
+import os from "node:os";
+import { join } from "node:path";
+import {
+  AssetGenerated,
+  CreditLedgerUpdated,
+  createEventBus,
+  createJsonlTransport,
+  deadLetterTopic
+} from "../index.js";
+
+const ASSET_RECORD = {
+  id: "asset_1",
+  jobId: "job_1",
+  ownerUserId: "user_1",
+  channelId: "LINKEDIN_JOBS",
+  formatId: "LINKEDIN_JOB_POSTING",
+  artifactType: "text",
+  status: "READY",
+  planId: "plan_1",
+  batchKey: "batch_1",
+  content: { title: "Line Cook" },
+  createdAt: new Date("2026-01-01T00:00:00Z"),
+  updatedAt: new Date("2026-01-01T00:00:00Z")
+};
+
+function ledgerEntry(overrides = {}) {
+  return {
+    id: randomUUID(),
+    jobId: "job_1",
+    workflow: "hero_image",
+    type: "CHARGE",
+    credits: 4,
+    status: "SETTLED",
+    correlationId: "reservation_1",
+    occurredAt: new Date("2026-01-01T00:00:00Z"),
+    ...overrides
+  };
+}
+
+describe("createEventBus", () => {
+  let bus;
+  let logger;
+
+  beforeEach(() => {
+    logger = { warn: vi.fn(), error: vi.fn() };
+    bus = createEventBus({ source: "test", logger, retryDelayMs: 0 });
+  });
+
+  it("publishes validated AssetGenerated and CreditLedgerUpdated envelopes", async () => {
+    const asset = await bus.publish(AssetGenerated, {
+      partitionKey: "job_1",
+      payload: ASSET_RECORD
+    });
+    const ledger = await bus.publish(CreditLedgerUpdated, {
+      partitionKey: "user_1",
+      payload: ledgerEntry()
+    });
+
+    expect(asset).toMatchObject({
+      type: "asset.generated",
+      source: "test",
+      partitionKey: "job_1",
+      version: "v1",
+      payload: { id: "asset_1", blueprintVersion: expect.any(String) }
+    });
+    expect(ledger).toMatchObject({
+      type: "credits.ledger.updated",
+      payload: { type: "CHARGE", credits: 4, metadata: {} }
+    });
+
+    const received = [];
+    bus.subscribe(AssetGenerated, async (envelope) => received.push(envelope));
+    bus.subscribe("credits.ledger.updated", async (envelope) => received.push(envelope));
+    expect(await bus.drain()).toBe(2);
+    expect(received.map((envelope) => envelope.id)).toEqual([asset.id, ledger.id]);
+  });
+
+  it("rejects invalid payloads and unknown event types without enqueueing", async () => {
+    await expect(
+      bus.publish(AssetGenerated, {
+        partitionKey: "job_1",
+        payload: { ...ASSET_RECORD, channelId: "NOT_A_CHANNEL" }
+      })
+    ).rejects.toThrow();
+    await expect(
+      bus.publish(CreditLedgerUpdated, {
+        partitionKey: "user_1",
+        payload: ledgerEntry({ type: "GIFT" })
+      })
+    ).rejects.toThrow();
+    await expect(
+      bus.publish({ id: randomUUID(), type: "credits.ledger.deleted", payload: {} })
+    ).rejects.toThrow(/Unknown event type/);
+
+    const handler = vi.fn();
+    bus.subscribe(CreditLedgerUpdated, handler);
+    bus.subscribe(AssetGenerated, handler);
+    expect(await bus.drain()).toBe(0);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it("delivers each event once per subscriber group", async () => {
+    const billing = vi.fn();
+    const analytics = vi.fn();
+    bus.subscribe(CreditLedgerUpdated, billing, { group: "billing" });
+    bus.subscribe(CreditLedgerUpdated, analytics, { group: "analytics" });
+
+    await bus.publish(CreditLedgerUpdated, { partitionKey: "user_1", payload: ledgerEntry() });
+    await bus.drain();
+    await bus.drain();
+
+    expect(billing).toHaveBeenCalledTimes(1);
+    expect(analytics).toHaveBeenCalledTimes(1);
+    expect(billing.mock.calls[0][1]).toEqual({ attempt: 1 });
+  });
+
+  it("retries a failing handler, then dead-letters the event and moves on", async () => {
+    const handler = vi
+      .fn()
+      .mockRejectedValueOnce(new Error("boom"))
+      .mockRejectedValueOnce(new Error("boom"))
+      .mockRejectedValueOnce(new Error("still broken"))
+      .mockResolvedValue(undefined);
+    bus.subscribe(AssetGenerated, handler, { group: "publisher" });
+
+    const first = await bus.publish(AssetGenerated, { partitionKey: "job_1", payload: ASSET_RECORD });
+    const second = await bus.publish(AssetGenerated, {
+      partitionKey: "job_1",
+      payload: { ...ASSET_RECORD, id: "asset_2" }
+    });
+    await bus.drain();
+
+    expect(handler).toHaveBeenCalledTimes(4);
+    expect(handler.mock.calls[3][0].id).toBe(second.id);
+
+    const deadLetters = [];
+    await bus.transport
+      .queue(deadLetterTopic(AssetGenerated))
+      .drain(async (message) => deadLetters.push(message), { consumerId: "inspect" });
+    expect(deadLetters).toEqual([
+      expect.objectContaining({
+        group: "publisher",
+        attempts: 3,
+        error: { message: "still broken" },
+        envelope: expect.objectContaining({ id: first.id })
+      })
+    ]);
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.objectContaining({ eventId: first.id, type: "asset.generated" }),
+      "events.dead_lettered"
+    );
+  });
+});
+
+describe("createJsonlTransport", () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(join(os.tmpdir(), "wizard-events-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("delivers events published by another bus on the same directory", async () => {
+    const publisher = createEventBus({ source: "api-gateway", transport: createJsonlTransport({ dir }) });
+    const consumer = createEventBus({ source: "credits", transport: createJsonlTransport({ dir }) });
+    const handler = vi.fn();
+    consumer.subscribe(CreditLedgerUpdated, handler);
+
+    const envelope = await publisher.publish(CreditLedgerUpdated, {
+      partitionKey: "user_1",
+      payload: ledgerEntry()
+    });
+    expect(await consumer.drain()).toBe(1);
+
+    const [[received]] = handler.mock.calls;
+    expect(received).toMatchObject({ id: envelope.id, payload: { credits: 4 } });
+    // Timestamps survive the JSON round trip as dates
+    expect(received.occurredAt).toBeInstanceOf(Date);
+  });
+});
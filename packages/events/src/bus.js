@@ -0,0 +1,230 @@
+import { resolve } from "node:path";
+import {
+  createEventEnvelope,
+  resolveEventType,
+  validateEvent
+} from "./schemas.js";
+import {
+  createFileQueue,
+  createInMemoryQueue,
+  resolveQueuePath
+} from "./queue.js";
+
+/**
+ * Event bus over pluggable local transports.
+ *
+ * - Every topic is one event type (e.g. "wizard.draft.updated").
+ * - Envelopes are validated against AllEvents on publish and again on
+ *   delivery, so a bad writer cannot poison subscribers.
+ * - Delivery is at-least-once per subscriber group: the group's cursor only
+ *   moves after the handler resolves. Handlers must be idempotent (dedupe on
+ *   envelope.id when it matters).
+ * - A handler that keeps failing is retried `maxAttempts` times and the
+ *   envelope is then moved to `<type>.dead-letter` so the topic keeps flowing.
+ */
+
+const DEFAULT_GROUP = "default";
+const sleep = (ms) => new Promise((resolveSleep) => setTimeout(resolveSleep, ms));
+
+export function deadLetterTopic(type) {
+  return `${resolveEventType(type)}.dead-letter`;
+}
+
+export function createInMemoryTransport(options = {}) {
+  const queues = new Map();
+  return {
+    kind: "memory",
+    queue(topic) {
+      if (!queues.has(topic)) {
+        queues.set(topic, createInMemoryQueue(options));
+      }
+      return queues.get(topic);
+    }
+  };
+}
+
+/**
+ * Append-only JSONL transport: one file per topic under `dir`
+ * (default EVENTS_DIR, see resolveQueuePath).
+ */
+export function createJsonlTransport({ dir, pollIntervalMs, onError } = {}) {
+  const queues = new Map();
+  return {
+    kind: "jsonl",
+    queue(topic) {
+      if (!queues.has(topic)) {
+        const filePath = dir
+          ? resolve(dir, `${topic}.jsonl`)
+          : resolveQueuePath(topic);
+        queues.set(topic, createFileQueue({ filePath, pollIntervalMs, onError }));
+      }
+      return queues.get(topic);
+    }
+  };
+}
+
+export function createEventBus({
+  transport = createInMemoryTransport(),
+  source = "unknown",
+  logger = null,
+  maxAttempts = 3,
+  retryDelayMs = 250
+} = {}) {
+  const subscriptions = new Set();
+  let started = false;
+
+  async function deadLetter(subscription, envelope, error, attempts) {
+    await transport.queue(deadLetterTopic(subscription.type)).enqueue({
+      envelope,
+      group: subscription.group,
+      attempts,
+      error: { message: error?.message ?? String(error) },
+      deadLetteredAt: new Date().toISOString()
+    });
+    logger?.error?.(
+      {
+        eventId: envelope?.id ?? null,
+        type: subscription.type,
+        group: subscription.group,
+        attempts,
+        err: error
+      },
+      "events.dead_lettered"
+    );
+  }
+
+  async function handleMessage(subscription, raw) {
+    let envelope;
+    try {
+      envelope = validateEvent(raw);
+    } catch (error) {
+      await deadLetter(subscription, raw, error, 0);
+      return;
+    }
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= maxAttempts; attempt += 1) {
+      try {
+        await subscription.handler(envelope, { attempt });
+        return;
+      } catch (error) {
+        lastError = error;
+        logger?.warn?.(
+          { eventId: envelope.id, type: envelope.type, group: subscription.group, attempt, err: error },
+          "events.handler_failed"
+        );
+        if (attempt < maxAttempts) {
+          await sleep(retryDelayMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+    await deadLetter(subscription, envelope, lastError, maxAttempts);
+  }
+
+  function deliver(subscription) {
+    return transport
+      .queue(subscription.type)
+      .drain((raw) => handleMessage(subscription, raw), {
+        consumerId: subscription.group
+      });
+  }
+
+  function startSubscription(subscription) {
+    subscription.stop = transport.queue(subscription.type).consume(
+      (raw) => handleMessage(subscription, raw),
+      { consumerId: subscription.group }
+    );
+  }
+
+  return {
+    transport,
+
+    /**
+     * Publish an event.
+     * @param {import("zod").ZodTypeAny|Object} schemaOrEnvelope - Envelope schema
+     *   (with params) or a complete envelope
+     * @param {Object} [params] - { partitionKey, payload, metadata }
+     * @returns {Promise<Object>} The published envelope
+     */
+    async publish(schemaOrEnvelope, params) {
+      const envelope = params
+        ? createEventEnvelope(schemaOrEnvelope, { source, ...params })
+        : validateEvent(schemaOrEnvelope);
+      await transport.queue(envelope.type).enqueue(envelope);
+      return envelope;
+    },
+
+    /**
+     * Subscribe a handler to one event type.
+     * @param {string|import("zod").ZodTypeAny} typeOrSchema - Event type or envelope schema
+     * @param {Function} handler - async (envelope, { attempt }) => void
+     * @param {Object} [options]
+     * @param {string} [options.group] - Subscriber group; each group sees every event once
+     * @returns {Function} unsubscribe
+     */
+    subscribe(typeOrSchema, handler, { group = DEFAULT_GROUP } = {}) {
+      const subscription = {
+        type: resolveEventType(typeOrSchema),
+        group,
+        handler,
+        stop: null
+      };
+      subscriptions.add(subscription);
+      if (started) {
+        startSubscription(subscription);
+      }
+      return () => {
+        subscription.stop?.();
+        subscriptions.delete(subscription);
+      };
+    },
+
+    /**
+     * Deliver everything pending to every subscription once. Used by tests
+     * and one-shot workers; long-running services call start().
+     * @returns {Promise<number>} Number of envelopes handled
+     */
+    async drain() {
+      let processed = 0;
+      for (const subscription of subscriptions) {
+        processed += await deliver(subscription);
+      }
+      return processed;
+    },
+
+    start() {
+      if (started) return;
+      started = true;
+      subscriptions.forEach(startSubscription);
+    },
+
+    stop() {
+      started = false;
+      subscriptions.forEach((subscription) => {
+        subscription.stop?.();
+        subscription.stop = null;
+      });
+    }
+  };
+}
+
+/**
+ * Builds a bus from environment configuration.
+ * EVENT_BUS_TRANSPORT selects "memory" or "jsonl"; tests default to memory
+ * so they never touch the filesystem.
+ */
+export function createEventBusFromEnv({ source, logger, ...options } = {}) {
+  const configured = process.env.EVENT_BUS_TRANSPORT?.toLowerCase();
+  const kind =
+    configured ?? (process.env.NODE_ENV === "test" ? "memory" : "jsonl");
+  const pollIntervalMs = Number(process.env.EVENT_BUS_POLL_MS ?? 500);
+  const transport =
+    kind === "memory"
+      ? createInMemoryTransport({ pollIntervalMs })
+      : createJsonlTransport({
+          pollIntervalMs,
+          onError: (error) =>
+            logger?.warn?.({ err: error }, "events.transport_error")
+        });
+  return createEventBus({ transport, source, logger, ...options });
+}
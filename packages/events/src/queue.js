@@ -0,0 +1,192 @@
+import fs from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+
+/**
+ * Local append-only queues used as event bus transports. Both
+ * implementations share the same surface:
+ *
+ *   enqueue(message)                 – append a message
+ *   drain(handler, { consumerId })   – hand every message the consumer has
+ *                                      not acknowledged yet to `handler`
+ *   consume(handler, { consumerId }) – keep draining on an interval;
+ *                                      returns stop()
+ *
+ * Every consumer keeps its own cursor, so several subscriber groups can
+ * read the same log. A message is only acknowledged (the cursor moves past
+ * it) after `handler` resolves; a crash or a thrown error leaves it in place
+ * for the next drain.
+ */
+
+const DEFAULT_CONSUMER = "default";
+
+/**
+ * Resolves the JSONL file backing a named queue. Files live under
+ * EVENTS_DIR (default `<repo>/tmp/events`) so every service on the machine
+ * agrees on the location.
+ */
+export function resolveQueuePath(name) {
+  const rootDir = process.env.WIZARD_ROOT_DIR ?? process.cwd();
+  const baseDir = process.env.EVENTS_DIR
+    ? resolve(rootDir, process.env.EVENTS_DIR)
+    : resolve(rootDir, "tmp/events");
+  return resolve(baseDir, `${name}.jsonl`);
+}
+
+function startPolling(drain, handler, options, { pollIntervalMs, onError }) {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    if (stopped) return;
+    try {
+      await drain(handler, options);
+    } catch (error) {
+      onError?.(error);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, pollIntervalMs);
+    }
+  };
+
+  timer = setTimeout(tick, 0);
+  return () => {
+    stopped = true;
+    if (timer) clearTimeout(timer);
+  };
+}
+
+function createDrainGuard(run) {
+  const inFlight = new Map();
+  return async function drain(handler, { consumerId = DEFAULT_CONSUMER } = {}) {
+    if (inFlight.has(consumerId)) return inFlight.get(consumerId);
+    const pending = run(handler, consumerId);
+    inFlight.set(consumerId, pending);
+    try {
+      return await pending;
+    } finally {
+      inFlight.delete(consumerId);
+    }
+  };
+}
+
+export function createInMemoryQueue({ pollIntervalMs = 50, onError } = {}) {
+  const log = [];
+  const cursors = new Map();
+
+  const drain = createDrainGuard(async (handler, consumerId) => {
+    let processed = 0;
+    let cursor = cursors.get(consumerId) ?? 0;
+    while (cursor < log.length) {
+      await handler(log[cursor]);
+      cursor += 1;
+      cursors.set(consumerId, cursor);
+      processed += 1;
+    }
+    return processed;
+  });
+
+  return {
+    kind: "memory",
+    async enqueue(message) {
+      log.push(message);
+    },
+    size({ consumerId = DEFAULT_CONSUMER } = {}) {
+      return log.length - (cursors.get(consumerId) ?? 0);
+    },
+    drain,
+    consume(handler, options = {}) {
+      return startPolling(drain, handler, options, { pollIntervalMs, onError });
+    }
+  };
+}
+
+/**
+ * Append-only JSONL queue. Messages are written one per line to `filePath`;
+ * each consumer's read position is persisted as a byte offset in
+ * `${filePath}.${consumerId}.offset` so restarts resume where they left off.
+ * Lines that are not valid JSON are reported through `onError` and skipped.
+ */
+export function createFileQueue({ filePath, pollIntervalMs = 500, onError }) {
+  if (!filePath) {
+    throw new Error("createFileQueue requires a filePath");
+  }
+  const offsetPathFor = (consumerId) => `${filePath}.${consumerId}.offset`;
+
+  async function readOffset(consumerId) {
+    try {
+      const raw = await fs.readFile(offsetPathFor(consumerId), "utf8");
+      const value = Number.parseInt(raw, 10);
+      return Number.isFinite(value) && value >= 0 ? value : 0;
+    } catch (error) {
+      if (error.code === "ENOENT") return 0;
+      throw error;
+    }
+  }
+
+  async function readPendingLines(offset) {
+    let handle;
+    try {
+      handle = await fs.open(filePath, "r");
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    try {
+      const { size } = await handle.stat();
+      if (size <= offset) return [];
+      const buffer = Buffer.alloc(size - offset);
+      await handle.read(buffer, 0, buffer.length, offset);
+      const lines = [];
+      let cursor = 0;
+      let newline = buffer.indexOf(0x0a, cursor);
+      // Only complete lines are consumed; a partially written trailing line
+      // is picked up on the next drain.
+      while (newline !== -1) {
+        const text = buffer.subarray(cursor, newline).toString("utf8");
+        lines.push({ text, end: offset + newline + 1 });
+        cursor = newline + 1;
+        newline = buffer.indexOf(0x0a, cursor);
+      }
+      return lines;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  const drain = createDrainGuard(async (handler, consumerId) => {
+    const offset = await readOffset(consumerId);
+    const lines = await readPendingLines(offset);
+    let processed = 0;
+    for (const line of lines) {
+      if (line.text.trim().length > 0) {
+        let message;
+        let parsed = true;
+        try {
+          message = JSON.parse(line.text);
+        } catch (error) {
+          parsed = false;
+          onError?.(error);
+        }
+        if (parsed) {
+          await handler(message);
+          processed += 1;
+        }
+      }
+      await fs.writeFile(offsetPathFor(consumerId), String(line.end), "utf8");
+    }
+    return processed;
+  });
+
+  return {
+    kind: "file",
+    filePath,
+    async enqueue(message) {
+      await fs.mkdir(dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, `${JSON.stringify(message)}\n`, "utf8");
+    },
+    drain,
+    consume(handler, options = {}) {
+      return startPolling(drain, handler, options, { pollIntervalMs, onError });
+    }
+  };
+}
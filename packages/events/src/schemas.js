@@ -0,0 +1,158 @@
+import { randomUUID } from "node:crypto";
+import { z } from "zod";
+import {
+  ApplicationResumeSchema,
+  CampaignSchema,
+  ChannelIdEnum,
+  ChatThreadSchema,
+  CreditLedgerEntrySchema,
+  EventEnvelopeSchema,
+  JobAssetRecordSchema,
+  JobAssetSchema,
+  JobVersionSchema,
+  SuggestionSchema
+} from "@wizard/core";
+
+export const WizardDraftUpdated = EventEnvelopeSchema.extend({
+  type: z.literal("wizard.draft.updated"),
+  payload: z.object({
+    jobId: z.string(),
+    state: z.record(z.string(), z.string())
+  })
+});
+
+export const WizardSuggestionCreated = EventEnvelopeSchema.extend({
+  type: z.literal("wizard.suggestion.created"),
+  payload: SuggestionSchema
+});
+
+export const JobVersionConfirmed = EventEnvelopeSchema.extend({
+  type: z.literal("job.version.confirmed"),
+  payload: JobVersionSchema
+});
+
+export const AssetGenerationRequested = EventEnvelopeSchema.extend({
+  type: z.literal("asset.generation.requested"),
+  payload: z.object({
+    jobId: z.string(),
+    versionId: z.string(),
+    assetTypes: z.array(JobAssetSchema.shape.type)
+  })
+});
+
+export const AssetGenerated = EventEnvelopeSchema.extend({
+  type: z.literal("asset.generated"),
+  payload: JobAssetRecordSchema
+});
+
+export const CampaignLaunchRequested = EventEnvelopeSchema.extend({
+  type: z.literal("campaign.launch.requested"),
+  payload: z.object({
+    campaignId: z.string(),
+    jobId: z.string(),
+    channels: z.array(ChannelIdEnum).optional(),
+    budget: z.number().min(0).optional(),
+    objective: CampaignSchema.shape.objective
+  })
+});
+
+export const CreditLedgerUpdated = EventEnvelopeSchema.extend({
+  type: z.literal("credits.ledger.updated"),
+  payload: CreditLedgerEntrySchema
+});
+
+export const ChatThreadUpdated = EventEnvelopeSchema.extend({
+  type: z.literal("chat.thread.updated"),
+  payload: ChatThreadSchema
+});
+
+// Carries ids only; candidate details stay in Firestore.
+export const ApplicationSubmitted = EventEnvelopeSchema.extend({
+  type: z.literal("application.submitted"),
+  payload: z.object({
+    applicationId: z.string(),
+    jobId: z.string(),
+    companyId: z.string().nullable(),
+    resumeSource: ApplicationResumeSchema.shape.source
+  })
+});
+
+// Notifies the invite owner; answers stay on the golden interview session.
+export const GoldenInterviewGuestCompleted = EventEnvelopeSchema.extend({
+  type: z.literal("golden-interview.guest.completed"),
+  payload: z.object({
+    inviteId: z.string(),
+    sessionId: z.string(),
+    userId: z.string(),
+    perspective: z.string(),
+    groupId: z.string().nullable()
+  })
+});
+
+export const AllEvents = [
+  WizardDraftUpdated,
+  WizardSuggestionCreated,
+  JobVersionConfirmed,
+  AssetGenerationRequested,
+  AssetGenerated,
+  CampaignLaunchRequested,
+  CreditLedgerUpdated,
+  ChatThreadUpdated,
+  ApplicationSubmitted,
+  GoldenInterviewGuestCompleted
+];
+
+const EVENT_SCHEMAS_BY_TYPE = new Map(
+  AllEvents.map((schema) => [schema.shape.type.value, schema])
+);
+
+/**
+ * Resolves an event type from either a type string or an envelope schema.
+ * @param {string|import("zod").ZodTypeAny} typeOrSchema
+ * @returns {string}
+ */
+export function resolveEventType(typeOrSchema) {
+  if (typeof typeOrSchema === "string") {
+    return typeOrSchema;
+  }
+  const value = typeOrSchema?.shape?.type?.value;
+  if (typeof value !== "string") {
+    throw new Error("Expected an event type or an envelope schema from AllEvents");
+  }
+  return value;
+}
+
+/**
+ * Validates a raw envelope against the AllEvents schema registered for its type.
+ * @param {Object} raw - Envelope candidate
+ * @returns {Object} Parsed envelope
+ */
+export function validateEvent(raw) {
+  const schema = EVENT_SCHEMAS_BY_TYPE.get(raw?.type);
+  if (!schema) {
+    throw new Error(`Unknown event type: ${raw?.type ?? "<missing>"}`);
+  }
+  return schema.parse(raw);
+}
+
+/**
+ * Builds and validates an event envelope for one of the schemas in AllEvents.
+ * @param {import("zod").ZodTypeAny} schema - Envelope schema (e.g. CampaignLaunchRequested)
+ * @param {Object} params
+ * @param {string} params.source - Emitting service name
+ * @param {string} params.partitionKey - Ordering key (usually the job id)
+ * @param {Object} params.payload - Event payload
+ * @param {Object} [params.metadata] - Free-form metadata
+ * @returns {Object} Parsed envelope
+ */
+export function createEventEnvelope(schema, { source, partitionKey, payload, metadata = {} }) {
+  return schema.parse({
+    id: randomUUID(),
+    type: schema.shape.type.value,
+    source,
+    occurredAt: new Date(),
+    partitionKey,
+    payload,
+    metadata
+  });
+}
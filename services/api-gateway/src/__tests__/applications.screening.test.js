@@ -0,0 +1,373 @@
+/**
+ * @file applications.screening.test.js
+ * Tests for candidate application intake and LLM screening.
+ *
+ * These tests verify:
+ * 1. Candidates apply to published jobs without authentication (text or PDF resume);
+ *    PDFs that inflate past the size caps are refused as unreadable
+ * 2. jobs.metrics.applies tracks the number of applications
+ * 3. screen_applications scores each application against mustHaves and golden role_content
+ * 4. Owners get a ranked shortlist with per-criterion evidence
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { deflateSync } from "node:zlib";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { MAX_RESUME_TEXT_CHARS } from "../services/applications/resume-text.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestJob,
+} from "./test-helpers.js";
+
+vi.mock("../services/llm-usage-ledger.js", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    recordLlmUsageFromResult: vi.fn(async () => {}),
+  };
+});
+
+import { recordLlmUsageFromResult } from "../services/llm-usage-ledger.js";
+
+const JOB_ID = "job_forklift";
+const RESUME_TEXT = [
+  "Sam Rivera - Warehouse Lead",
+  "Six years running forklift shifts at a regional distribution center.",
+  "OSHA forklift certified since 2019. Fluent in Spanish and English.",
+].join("\n");
+
+function buildPdf(lines) {
+  const content = [
+    "BT /F1 12 Tf 72 720 Td",
+    ...lines.map(
+      (line, index) =>
+        `${index === 0 ? "" : "0 -16 Td "}(${line.replace(/[()\\]/g, "\\$&")}) Tj`
+    ),
+    "ET",
+  ].join("\n");
+  const stream = deflateSync(Buffer.from(content, "latin1"));
+  return Buffer.concat([
+    Buffer.from("%PDF-1.4\n1 0 obj\n<< /Type /Catalog >>\nendobj\n", "latin1"),
+    Buffer.from(`4 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, "latin1"),
+    stream,
+    Buffer.from("\nendstream\nendobj\n%%EOF\n", "latin1"),
+  ]);
+}
+
+function seedPublishedJob(firestore, job = {}) {
+  firestore._seedDocument("jobs", JOB_ID, createTestJob({ id: JOB_ID, ...job }));
+  firestore._seedDocument("jobFinalJobs", JOB_ID, {
+    id: JOB_ID,
+    jobId: JOB_ID,
+    companyId: null,
+    schema_version: "1",
+    source: "refined",
+    updatedAt: new Date(),
+    job: {
+      roleTitle: "Forklift Operator",
+      companyName: "Acme",
+      location: "Austin, TX",
+      mustHaves: ["Forklift certification", "3+ years warehouse experience"],
+    },
+  });
+}
+
+function apply(app, candidate, body = { resumeText: RESUME_TEXT }) {
+  return request(app)
+    .post(`/applications/jobs/${JOB_ID}`)
+    .send({ candidate, ...body });
+}
+
+describe("Job applications", () => {
+  let app;
+  let mockFirestore;
+  let mockLlmClient;
+
+  beforeEach(() => {
+    setupTestEnv();
+    mockFirestore = createMockFirestore();
+    mockLlmClient = createMockLlmClient();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: mockLlmClient,
+    });
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    mockFirestore._clear();
+    vi.restoreAllMocks();
+  });
+
+  // ===========================================================================
+  // POST /applications/jobs/:jobId
+  // ===========================================================================
+
+  describe("POST /applications/jobs/:jobId", () => {
+    it("stores a pasted resume without authentication and counts the apply", async () => {
+      seedPublishedJob(mockFirestore);
+
+      const response = await apply(
+        app,
+        { name: "Sam Rivera", email: "Sam@Example.com" },
+        { resumeText: RESUME_TEXT, attribution: { utmSource: "TIKTOK_LEAD", utmMedium: "video" } }
+      );
+
+      expect(response.status).toBe(201);
+      expect(response.body).toMatchObject({ jobId: JOB_ID, status: "received" });
+      const stored = mockFirestore._store.get(`jobApplications/${response.body.applicationId}`);
+      expect(stored).toMatchObject({
+        jobId: JOB_ID,
+        candidate: { name: "Sam Rivera", email: "sam@example.com" },
+        resume: { source: "text", mimeType: "text/plain" },
+        attribution: { utmSource: "TIKTOK_LEAD", utmMedium: "video" },
+      });
+      expect(mockFirestore._store.get(`jobs/${JOB_ID}`).metrics.applies).toBe(1);
+    });
+
+    it("extracts text from a PDF resume and keeps the original file", async () => {
+      seedPublishedJob(mockFirestore);
+      const pdf = buildPdf([
+        "Sam Rivera",
+        "Six years running forklift shifts (night crew).",
+        "OSHA forklift certified since 2019.",
+      ]);
+
+      const response = await apply(
+        app,
+        { name: "Sam Rivera", email: "sam@example.com" },
+        {
+          resumeFile: {
+            fileName: "sam.pdf",
+            mimeType: "application/pdf",
+            contentBase64: pdf.toString("base64"),
+          },
+        }
+      );
+
+      expect(response.status).toBe(201);
+      const stored = mockFirestore._store.get(`jobApplications/${response.body.applicationId}`);
+      expect(stored.resume.source).toBe("pdf");
+      expect(stored.resume.text).toBe(
+        "Sam Rivera\nSix years running forklift shifts (night crew).\nOSHA forklift certified since 2019."
+      );
+
+      const download = await request(app)
+        .get(`/applications/${response.body.applicationId}/resume`)
+        .set("Authorization", `Bearer ${createTestToken()}`);
+      expect(download.status).toBe(200);
+      expect(download.headers["content-type"]).toContain("application/pdf");
+      expect(Buffer.compare(download.body, pdf)).toBe(0);
+    });
+
+    it("rejects PDFs without readable text", async () => {
+      seedPublishedJob(mockFirestore);
+
+      const response = await apply(
+        app,
+        { name: "Sam Rivera", email: "sam@example.com" },
+        {
+          resumeFile: {
+            mimeType: "application/pdf",
+            contentBase64: Buffer.from("%PDF-1.4\n%%EOF\n").toString("base64"),
+          },
+        }
+      );
+
+      expect(response.status).toBe(422);
+    });
+
+    it("refuses a PDF whose content stream inflates past the cap", async () => {
+      seedPublishedJob(mockFirestore);
+      // ~8 KB of deflate that expands to 16 MB
+      const bomb = deflateSync(Buffer.alloc(16 * 1024 * 1024, "BT (a) Tj ET "));
+      const pdf = Buffer.concat([
+        buildPdf(["Sam Rivera", "Six years running forklift shifts at a distribution center."]),
+        Buffer.from(`5 0 obj\n<< /Length ${bomb.length} /Filter /FlateDecode >>\nstream\n`, "latin1"),
+        bomb,
+        Buffer.from("\nendstream\nendobj\n", "latin1"),
+      ]);
+      expect(pdf.length).toBeLessThan(100 * 1024);
+
+      const response = await apply(
+        app,
+        { name: "Sam Rivera", email: "sam@example.com" },
+        {
+          resumeFile: {
+            mimeType: "application/pdf",
+            contentBase64: pdf.toString("base64"),
+          },
+        }
+      );
+
+      expect(response.status).toBe(422);
+      expect(response.body.error.message).toMatch(/could not read any text/);
+    });
+
+    it("caps the stored resume text", async () => {
+      seedPublishedJob(mockFirestore);
+
+      const response = await apply(
+        app,
+        { name: "Sam Rivera", email: "sam@example.com" },
+        {
+          resumeFile: {
+            fileName: "sam.txt",
+            mimeType: "text/plain",
+            contentBase64: Buffer.from(
+              `${RESUME_TEXT}\n${"Forklift shifts. ".repeat(10_000)}`
+            ).toString("base64"),
+          },
+        }
+      );
+
+      expect(response.status).toBe(201);
+      const stored = mockFirestore._store.get(`jobApplications/${response.body.applicationId}`);
+      expect(stored.resume.text).toHaveLength(MAX_RESUME_TEXT_CHARS);
+    });
+
+    it("rejects a second application from the same email", async () => {
+      seedPublishedJob(mockFirestore);
+      await apply(app, { name: "Sam Rivera", email: "sam@example.com" });
+
+      const response = await apply(app, { name: "Sam R.", email: "SAM@example.com" });
+
+      expect(response.status).toBe(409);
+      expect(mockFirestore._store.get(`jobs/${JOB_ID}`).metrics.applies).toBe(1);
+    });
+
+    it("returns 404 for jobs that are not syndicated", async () => {
+      seedPublishedJob(mockFirestore);
+      mockFirestore._seedDocument("jobSyndication", JOB_ID, {
+        id: JOB_ID,
+        jobId: JOB_ID,
+        included: false,
+        updatedAt: new Date(),
+      });
+
+      const response = await apply(app, { name: "Sam Rivera", email: "sam@example.com" });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // ===========================================================================
+  // screen_applications + GET /applications/jobs/:jobId/shortlist
+  // ===========================================================================
+
+  describe("screening and shortlist", () => {
+    beforeEach(async () => {
+      seedPublishedJob(mockFirestore, { goldenSessionId: "session_1" });
+      mockFirestore._seedDocument("golden_interview_sessions", "session_1", {
+        sessionId: "session_1",
+        goldenSchema: {
+          role_content: {
+            required_skills: ["Forklift certification", "Inventory scanning"],
+            languages_required: ["Spanish"],
+          },
+        },
+      });
+      await apply(app, { name: "Alex Kim", email: "alex@example.com" });
+      await apply(app, { name: "Sam Rivera", email: "sam@example.com" });
+      vi.clearAllMocks();
+    });
+
+    it("scores each application per criterion and ranks the shortlist", async () => {
+      mockLlmClient.askApplicationScreening
+        .mockResolvedValueOnce({
+          provider: "gemini",
+          model: "gemini-test",
+          summary: "Some warehouse exposure.",
+          criteria: [
+            { criterion: "Forklift certification", verdict: "not_met", evidence: null },
+            { criterion: "3+ years warehouse experience", verdict: "partial", evidence: "Two summers picking" },
+          ],
+        })
+        .mockResolvedValueOnce({
+          provider: "gemini",
+          model: "gemini-test",
+          summary: "Certified lead with six years.",
+          criteria: [
+            { criterion: "Forklift certification", verdict: "met", evidence: "OSHA forklift certified since 2019" },
+            { criterion: "3+ years warehouse experience", verdict: "met", evidence: "Six years running forklift shifts" },
+            { criterion: "Language: Spanish", verdict: "met", evidence: "Fluent in Spanish" },
+          ],
+        });
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ taskType: "screen_applications", context: { jobId: JOB_ID } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.result).toMatchObject({ screened: 2, failed: 0 });
+
+      const [firstCall] = mockLlmClient.askApplicationScreening.mock.calls[0];
+      expect(firstCall.criteria).toEqual([
+        { criterion: "Forklift certification", source: "must_haves" },
+        { criterion: "3+ years warehouse experience", source: "must_haves" },
+        { criterion: "Inventory scanning", source: "role_content" },
+        { criterion: "Language: Spanish", source: "role_content" },
+      ]);
+      expect(recordLlmUsageFromResult).toHaveBeenCalledTimes(2);
+      expect(recordLlmUsageFromResult.mock.calls[0][0].usageContext).toMatchObject({
+        jobId: JOB_ID,
+        taskType: "application_screening",
+      });
+
+      const shortlist = await request(app)
+        .get(`/applications/jobs/${JOB_ID}/shortlist`)
+        .set("Authorization", `Bearer ${createTestToken()}`);
+
+      expect(shortlist.status).toBe(200);
+      expect(shortlist.body).toMatchObject({ jobId: JOB_ID, total: 2, screened: 2 });
+      const [top, second] = shortlist.body.shortlist;
+      // Must-haves weigh 2, role_content 1: (2 + 2 + 0 + 1) / 6
+      expect(top).toMatchObject({ rank: 1, candidate: { name: "Sam Rivera" }, score: 83 });
+      expect(top.criteria).toContainEqual({
+        criterion: "Forklift certification",
+        source: "must_haves",
+        verdict: "met",
+        evidence: "OSHA forklift certified since 2019",
+      });
+      expect(top.criteria).toContainEqual(
+        expect.objectContaining({ criterion: "Inventory scanning", verdict: "unknown" })
+      );
+      expect(second).toMatchObject({ rank: 2, candidate: { name: "Alex Kim" }, score: 17 });
+    });
+
+    it("keeps failed screenings on the list without a rank", async () => {
+      mockLlmClient.askApplicationScreening.mockResolvedValue({
+        error: { reason: "invalid_response", message: "Screening response missing" },
+      });
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ taskType: "screen_applications", context: { jobId: JOB_ID } });
+
+      expect(response.body.result).toMatchObject({ screened: 0, failed: 2 });
+      expect(response.body.result.shortlist[0]).toMatchObject({
+        rank: null,
+        status: "screening_failed",
+        screeningError: { reason: "invalid_response" },
+      });
+    });
+
+    it("only lets the job owner read the shortlist", async () => {
+      const response = await request(app)
+        .get(`/applications/jobs/${JOB_ID}/shortlist`)
+        .set("Authorization", `Bearer ${createTestToken({ userId: "someone_else" })}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
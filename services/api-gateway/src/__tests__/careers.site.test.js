@@ -0,0 +1,221 @@
+/**
+ * @file careers.site.test.js
+ * Tests for the hosted careers site data (apps/web /jobs/[companySlug]).
+ *
+ * These tests verify:
+ * 1. A company's careers index is public, keyed by primary domain, and lists syndicated jobs
+ * 2. The job page carries branding, the READY hero image and JobPosting JSON-LD
+ * 3. Video manifests link to the job page with the manifest's UTM parameters
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { buildVideoManifest } from "../video/manifest-builder.js";
+import {
+  setupTestEnv,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestJob,
+} from "./test-helpers.js";
+
+const COMPANY_ID = "company_acme";
+
+function seedCompany(firestore) {
+  const now = new Date();
+  firestore._seedDocument("companies", COMPANY_ID, {
+    id: COMPANY_ID,
+    primaryDomain: "acme.test",
+    name: "Acme",
+    website: "https://acme.test",
+    hqCountry: "US",
+    logoUrl: "https://acme.test/logo.png",
+    primaryColor: "#0a7f5a",
+    tagline: "Moving boxes since 1999",
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+function seedFinalJob(firestore, jobId, job = {}) {
+  firestore._seedDocument("jobs", jobId, createTestJob({ id: jobId, companyId: COMPANY_ID }));
+  firestore._seedDocument("jobFinalJobs", jobId, {
+    id: jobId,
+    jobId,
+    companyId: COMPANY_ID,
+    schema_version: "1",
+    source: "refined",
+    updatedAt: new Date(),
+    job: {
+      roleTitle: "Warehouse Associate",
+      companyName: "Acme",
+      location: "Austin, TX",
+      employmentType: "full_time",
+      workModel: "on_site",
+      jobDescription: "Keep our Austin warehouse moving.",
+      salary: "18 - 22",
+      salaryPeriod: "hourly",
+      currency: "usd",
+      ...job,
+    },
+  });
+}
+
+describe("Hosted careers site", () => {
+  let app;
+  let mockFirestore;
+
+  beforeEach(() => {
+    setupTestEnv();
+    process.env.PUBLIC_WEB_BASE_URL = "https://jobs.example.org";
+    mockFirestore = createMockFirestore();
+    seedCompany(mockFirestore);
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.PUBLIC_WEB_BASE_URL;
+    mockFirestore._clear();
+    vi.restoreAllMocks();
+  });
+
+  // ===========================================================================
+  // GET /careers/companies/:companySlug
+  // ===========================================================================
+
+  describe("GET /careers/companies/:companySlug", () => {
+    it("lists syndicated jobs with company branding without authentication", async () => {
+      seedFinalJob(mockFirestore, "job_a");
+      seedFinalJob(mockFirestore, "job_hidden");
+      mockFirestore._seedDocument("jobSyndication", "job_hidden", {
+        id: "job_hidden",
+        jobId: "job_hidden",
+        companyId: COMPANY_ID,
+        included: false,
+        updatedAt: new Date(),
+      });
+
+      const response = await request(app).get("/careers/companies/ACME.test");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["cache-control"]).toContain("public");
+      expect(response.body.company).toMatchObject({
+        slug: "acme.test",
+        name: "Acme",
+        logoUrl: "https://acme.test/logo.png",
+        primaryColor: "#0a7f5a",
+        tagline: "Moving boxes since 1999",
+      });
+      expect(response.body.jobs).toHaveLength(1);
+      expect(response.body.jobs[0]).toMatchObject({
+        jobId: "job_a",
+        title: "Warehouse Associate",
+        location: "Austin, TX",
+        salaryText: "USD 18-22 per hour",
+        url: "https://jobs.example.org/jobs/acme.test/job_a",
+      });
+    });
+
+    it("returns 404 for an unknown slug", async () => {
+      const response = await request(app).get("/careers/companies/nope.test");
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // ===========================================================================
+  // GET /careers/jobs/:jobId
+  // ===========================================================================
+
+  describe("GET /careers/jobs/:jobId", () => {
+    it("returns the job, hero image and JSON-LD", async () => {
+      seedFinalJob(mockFirestore, "job_a");
+      const now = new Date();
+      mockFirestore._seedDocument("jobImages", "job_a", {
+        id: "job_a",
+        jobId: "job_a",
+        companyId: COMPANY_ID,
+        ownerUserId: "user_test_123",
+        status: "READY",
+        imageUrl: "https://cdn.example.org/job_a.png",
+        caption: "Our Austin crew",
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      const response = await request(app).get("/careers/jobs/job_a");
+
+      expect(response.status).toBe(200);
+      expect(response.body.company).toMatchObject({ slug: "acme.test", name: "Acme" });
+      expect(response.body.job).toMatchObject({
+        jobId: "job_a",
+        title: "Warehouse Associate",
+        companyName: "Acme",
+        url: "https://jobs.example.org/jobs/acme.test/job_a",
+      });
+      expect(response.body.job.descriptionHtml).toContain("Keep our Austin warehouse moving.");
+      expect(response.body.heroImage).toEqual({
+        url: "https://cdn.example.org/job_a.png",
+        alt: "Our Austin crew",
+      });
+      expect(response.body.jsonLd).toMatchObject({
+        "@type": "JobPosting",
+        title: "Warehouse Associate",
+        url: "https://jobs.example.org/jobs/acme.test/job_a",
+      });
+    });
+
+    it("leaves out hero images that are still generating", async () => {
+      seedFinalJob(mockFirestore, "job_a");
+      mockFirestore._seedDocument("jobImages", "job_a", {
+        id: "job_a",
+        jobId: "job_a",
+        companyId: COMPANY_ID,
+        ownerUserId: "user_test_123",
+        status: "GENERATING",
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+
+      const response = await request(app).get("/careers/jobs/job_a");
+
+      expect(response.body.heroImage).toBeNull();
+    });
+
+    it("returns 404 for jobs without a final version", async () => {
+      const response = await request(app).get("/careers/jobs/job_missing");
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // ===========================================================================
+  // Video manifest apply link
+  // ===========================================================================
+
+  describe("video manifest tracking", () => {
+    it("links to the job page with the manifest UTM parameters", async () => {
+      const manifest = await buildVideoManifest({
+        job: createTestJob({ id: "job_a", roleTitle: "Warehouse Associate" }),
+        company: { id: COMPANY_ID, primaryDomain: "acme.test", name: "Acme" },
+        channelId: "TIKTOK_LEAD",
+        channelName: "TikTok",
+        logger: createMockLogger(),
+      });
+
+      const link = new URL(manifest.tracking.shortLink);
+      expect(`${link.origin}${link.pathname}`).toBe("https://jobs.example.org/jobs/acme.test/job_a");
+      expect(Object.fromEntries(link.searchParams)).toEqual({
+        utm_source: manifest.tracking.utmSource,
+        utm_medium: "video",
+        utm_campaign: "jobs",
+        utm_content: manifest.tracking.utmContent,
+      });
+    });
+  });
+});
@@ -0,0 +1,386 @@
+/**
+ * @file copilot-native-tools.unit.test.js
+ * Unit tests for native tool calling in the copilot agent.
+ *
+ * These tests verify:
+ * 1. Copilot tool Zod schemas become OpenAI, Gemini and Anthropic tool
+ *    definitions, and each adapter sends earlier tool calls/results in its
+ *    provider's protocol and returns parallel tool calls
+ * 2. The orchestrator passes tools only to tasks that accept them
+ * 3. The copilot agent executes every call of a turn, feeds the results back
+ *    and records each invocation in the chat history
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import { z } from "zod";
+import { LlmOrchestrator } from "../llm/orchestrator.js";
+import { ProviderSelectionPolicy } from "../llm/providers/selection-policy.js";
+import { OpenAIAdapter } from "../llm/providers/openai-adapter.js";
+import { AnthropicAdapter } from "../llm/providers/anthropic-adapter.js";
+import { GeminiAdapter } from "../llm/providers/gemini-adapter.js";
+import { parseCopilotAgentResult } from "../llm/parsers/copilot-agent.js";
+import { createApp } from "../server.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestJob,
+} from "./test-helpers.js";
+
+const genai = vi.hoisted(() => ({ generateContent: vi.fn() }));
+
+vi.mock("@google/genai", () => ({
+  GoogleGenAI: vi.fn().mockImplementation(() => ({
+    models: { generateContent: genai.generateContent },
+  })),
+}));
+
+vi.mock("../llm/logger.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  llmLogger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+vi.mock("../llm/raw-traffic-logger.js", () => ({
+  logRawTraffic: vi.fn().mockResolvedValue(undefined),
+}));
+
+// Mock the service account file
+vi.mock("node:module", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    createRequire: () => () => ({ project_id: "test-project" }),
+  };
+});
+
+const TOOLS = [
+  {
+    name: "get_job_snapshot",
+    description: "Return job fields.",
+    inputSchema: z.object({ fields: z.array(z.string()).optional() }).default({}),
+  },
+  {
+    name: "update_job_field",
+    description: "Update one field.",
+    inputSchema: z.object({ fieldId: z.enum(["roleTitle", "location"]), value: z.unknown().optional() }),
+  },
+];
+
+const TOOL_TURNS = [
+  {
+    role: "assistant",
+    text: "Checking the job.",
+    toolCalls: [
+      { id: "call_1", name: "get_job_snapshot", input: {}, thoughtSignature: "sig_1" },
+      { id: "call_2", name: "update_job_field", input: { fieldId: "location", value: "Austin, TX" } },
+    ],
+  },
+  {
+    role: "tool",
+    results: [
+      { id: "call_1", name: "get_job_snapshot", output: { snapshot: { roleTitle: "Line Cook" } } },
+      { id: "call_2", name: "update_job_field", output: "Field is locked", isError: true },
+    ],
+  },
+];
+
+describe("Native tool calling adapters", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it("OpenAI: sends function tools and tool messages, returns parallel tool_calls", () => {
+    const adapter = new OpenAIAdapter({ apiKey: "test-key", apiUrl: "https://openai.test" });
+    const payload = adapter.buildPayload({
+      model: "gpt-test",
+      system: "System.",
+      user: "Move the job to Austin",
+      tools: TOOLS,
+      toolTurns: TOOL_TURNS,
+    });
+
+    expect(payload.parallel_tool_calls).toBe(true);
+    expect(payload.tools[1]).toEqual({
+      type: "function",
+      function: {
+        name: "update_job_field",
+        description: "Update one field.",
+        parameters: expect.objectContaining({
+          type: "object",
+          properties: expect.objectContaining({ fieldId: { type: "string", enum: ["roleTitle", "location"] } }),
+          required: ["fieldId"],
+        }),
+      },
+    });
+    expect(payload.messages.slice(2)).toEqual([
+      {
+        role: "assistant",
+        content: "Checking the job.",
+        tool_calls: [
+          { id: "call_1", type: "function", function: { name: "get_job_snapshot", arguments: "{}" } },
+          {
+            id: "call_2",
+            type: "function",
+            function: { name: "update_job_field", arguments: '{"fieldId":"location","value":"Austin, TX"}' },
+          },
+        ],
+      },
+      { role: "tool", tool_call_id: "call_1", content: '{"snapshot":{"roleTitle":"Line Cook"}}' },
+      { role: "tool", tool_call_id: "call_2", content: '{"error":"Field is locked"}' },
+    ]);
+
+    const result = adapter.toResult({
+      content: null,
+      mode: "text",
+      toolCalls: [
+        { id: "call_3", function: { name: "get_job_snapshot", arguments: '{"fields":["location"]}' } },
+        { id: "call_4", function: { name: "update_job_field", arguments: '{"fieldId":' } },
+      ],
+    });
+    expect(result.toolCalls).toEqual([
+      { id: "call_3", name: "get_job_snapshot", input: { fields: ["location"] } },
+      // Malformed arguments reach the tool schema as-is and fail validation there
+      { id: "call_4", name: "update_job_field", input: '{"fieldId":' },
+    ]);
+  });
+
+  it("Anthropic: sends tools and tool_result blocks, returns tool_use blocks", () => {
+    const adapter = new AnthropicAdapter({ apiKey: "test-key" });
+    const { payload, usePrefill } = adapter.buildRequest({
+      model: "claude-sonnet-4-5-20250929",
+      user: "Move the job to Austin",
+      mode: "json",
+      tools: TOOLS,
+      toolTurns: TOOL_TURNS,
+    });
+
+    expect(usePrefill).toBe(false);
+    expect(payload.tools[0]).toEqual({
+      name: "get_job_snapshot",
+      description: "Return job fields.",
+      input_schema: expect.objectContaining({ type: "object" }),
+    });
+    expect(payload.messages.slice(1)).toEqual([
+      {
+        role: "assistant",
+        content: [
+          { type: "text", text: "Checking the job." },
+          { type: "tool_use", id: "call_1", name: "get_job_snapshot", input: {} },
+          {
+            type: "tool_use",
+            id: "call_2",
+            name: "update_job_field",
+            input: { fieldId: "location", value: "Austin, TX" },
+          },
+        ],
+      },
+      {
+        role: "user",
+        content: [
+          { type: "tool_result", tool_use_id: "call_1", content: '{"snapshot":{"roleTitle":"Line Cook"}}' },
+          { type: "tool_result", tool_use_id: "call_2", content: '{"error":"Field is locked"}', is_error: true },
+        ],
+      },
+    ]);
+
+    const result = adapter.toResult({
+      content: "",
+      missingContent: false,
+      usage: { input_tokens: 10, output_tokens: 5 },
+      stopReason: "tool_use",
+      usePrefill: false,
+      mode: "text",
+      model: "claude-sonnet-4-5-20250929",
+      toolCalls: [{ id: "toolu_1", name: "get_job_snapshot", input: {} }],
+    });
+    expect(result.toolCalls).toEqual([{ id: "toolu_1", name: "get_job_snapshot", input: {} }]);
+  });
+
+  it("Gemini: declares functions instead of grounding and echoes thought signatures", async () => {
+    genai.generateContent.mockResolvedValue({
+      text: "",
+      candidates: [
+        {
+          finishReason: "STOP",
+          content: {
+            role: "model",
+            parts: [
+              { functionCall: { name: "get_job_snapshot", args: {} }, thoughtSignature: "sig_2" },
+              { functionCall: { id: "fc_1", name: "update_job_field", args: { fieldId: "roleTitle", value: "Chef" } } },
+            ],
+          },
+        },
+      ],
+      usageMetadata: { promptTokenCount: 40, candidatesTokenCount: 12 },
+    });
+    const adapter = new GeminiAdapter({ location: "global" });
+
+    const result = await adapter.invoke({
+      model: "gemini-3-pro-preview",
+      system: "System.",
+      user: "Move the job to Austin",
+      taskType: "copilot_agent",
+      tools: TOOLS,
+      toolTurns: TOOL_TURNS,
+    });
+
+    const [{ contents, config }] = genai.generateContent.mock.calls[0];
+    expect(config.tools).toEqual([
+      {
+        functionDeclarations: [
+          expect.objectContaining({ name: "get_job_snapshot", parametersJsonSchema: expect.any(Object) }),
+          expect.objectContaining({ name: "update_job_field" }),
+        ],
+      },
+    ]);
+    expect(contents).toEqual([
+      { role: "user", parts: [{ text: "Move the job to Austin" }] },
+      {
+        role: "model",
+        parts: [
+          { text: "Checking the job." },
+          { functionCall: { id: "call_1", name: "get_job_snapshot", args: {} }, thoughtSignature: "sig_1" },
+          {
+            functionCall: {
+              id: "call_2",
+              name: "update_job_field",
+              args: { fieldId: "location", value: "Austin, TX" },
+            },
+          },
+        ],
+      },
+      {
+        role: "user",
+        parts: [
+          {
+            functionResponse: {
+              id: "call_1",
+              name: "get_job_snapshot",
+              response: { output: { snapshot: { roleTitle: "Line Cook" } } },
+            },
+          },
+          {
+            functionResponse: {
+              id: "call_2",
+              name: "update_job_field",
+              response: { error: "Field is locked" },
+            },
+          },
+        ],
+      },
+    ]);
+
+    expect(result.toolCalls).toEqual([
+      { id: expect.stringMatching(/^call_/), name: "get_job_snapshot", input: {}, thoughtSignature: "sig_2" },
+      { id: "fc_1", name: "update_job_field", input: { fieldId: "roleTitle", value: "Chef" } },
+    ]);
+    expect(parseCopilotAgentResult(result)).toMatchObject({ type: "tool_calls", toolCalls: result.toolCalls });
+  });
+});
+
+describe("LlmOrchestrator tool passing", () => {
+  it("passes tools and tool turns only to tasks that accept tools", async () => {
+    const gemini = { invoke: vi.fn(async () => ({ text: "ok" })) };
+    const task = { system: "System.", builder: () => "prompt", parser: (response) => ({ text: response.text }) };
+    const orchestrator = new LlmOrchestrator({
+      adapters: { gemini },
+      policy: new ProviderSelectionPolicy({
+        agent: { provider: "gemini", model: "gemini-pro" },
+        summarize: { provider: "gemini", model: "gemini-pro" },
+      }),
+      tasks: { agent: { ...task, acceptsTools: true }, summarize: task },
+    });
+
+    await orchestrator.run("agent", { tools: TOOLS, toolTurns: TOOL_TURNS });
+    await orchestrator.run("summarize", { tools: TOOLS, toolTurns: TOOL_TURNS });
+
+    expect(gemini.invoke.mock.calls[0][0]).toMatchObject({ tools: TOOLS, toolTurns: TOOL_TURNS });
+    expect(gemini.invoke.mock.calls[1][0]).not.toHaveProperty("tools");
+  });
+});
+
+describe("Copilot agent native tool calls", () => {
+  let app;
+  let mockFirestore;
+  let mockLlmClient;
+
+  beforeEach(() => {
+    setupTestEnv();
+    mockFirestore = createMockFirestore();
+    mockFirestore._seedDocument("jobs", "job_test_1", createTestJob());
+    mockLlmClient = createMockLlmClient();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: mockLlmClient,
+    });
+  });
+
+  afterEach(() => {
+    mockFirestore._clear();
+  });
+
+  it("runs parallel tool calls, returns their results and records them in the chat history", async () => {
+    mockLlmClient.runCopilotAgent
+      .mockResolvedValueOnce({
+        type: "tool_calls",
+        message: "",
+        toolCalls: [
+          { id: "call_1", name: "get_job_snapshot", input: { fields: ["roleTitle"] } },
+          { id: "call_2", name: "delete_job", input: {} },
+        ],
+      })
+      .mockResolvedValueOnce({ type: "final", message: "The role is Senior Software Engineer." });
+
+    const response = await request(app)
+      .post("/api/llm")
+      .set("Authorization", `Bearer ${createTestToken()}`)
+      .send({ taskType: "copilot_agent", context: { jobId: "job_test_1", userMessage: "What's the title?" } });
+
+    expect(response.status).toBe(200);
+    expect(mockLlmClient.runCopilotAgent).toHaveBeenCalledTimes(2);
+
+    const firstCall = mockLlmClient.runCopilotAgent.mock.calls[0][0];
+    expect(firstCall.tools.map((tool) => tool.name)).toEqual([
+      "get_job_snapshot",
+      "get_current_suggestions",
+      "update_job_field",
+      "update_job_fields",
+    ]);
+    expect(firstCall.tools[0].inputSchema).toBeInstanceOf(z.ZodType);
+
+    const { toolTurns } = mockLlmClient.runCopilotAgent.mock.calls[1][0];
+    expect(toolTurns).toHaveLength(2);
+    expect(toolTurns[1].results).toEqual([
+      {
+        id: "call_1",
+        name: "get_job_snapshot",
+        output: { jobId: "job_test_1", snapshot: { roleTitle: "Senior Software Engineer" } },
+      },
+      { id: "call_2", name: "delete_job", output: "Unknown tool: delete_job", isError: true },
+    ]);
+
+    const chat = await mockFirestore.getDocument("wizardCopilotChats", "job_test_1");
+    expect(chat.messages.map(({ role, type, content }) => ({ role, type, content }))).toEqual([
+      { role: "user", type: "user", content: "What's the title?" },
+      { role: "tool", type: "tool_result", content: "Called get_job_snapshot" },
+      { role: "tool", type: "tool_error", content: "delete_job failed: Unknown tool: delete_job" },
+      { role: "assistant", type: "assistant", content: "The role is Senior Software Engineer." },
+    ]);
+    expect(chat.messages[1].metadata).toEqual({
+      tool: "get_job_snapshot",
+      callId: "call_1",
+      input: { fields: ["roleTitle"] },
+    });
+  });
+});
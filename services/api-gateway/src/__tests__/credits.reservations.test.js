@@ -0,0 +1,487 @@
+/**
+ * @file credits.reservations.test.js
+ * Tests for the credit reservation ledger (reserve / charge / refund).
+ *
+ * These tests verify:
+ * 1. Reserved tasks on POST /api/llm are refused with 402 when the balance is too low;
+ *    reading a stored hero image places no hold
+ * 2. Usage recorded inside a reservation accrues onto it and is charged on settle
+ * 3. Failed work refunds the whole hold
+ * 4. Every ledger movement is written to creditLedger and published as an event
+ * 5. Concurrent accruals and settlements neither lose usage nor release a hold twice
+ * 6. Only internal callbacks can run /api/llm usage under a reservation, and
+ *    video_render holds are sized from the stored manifest
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createEventBus } from "@wizard/events";
+import { createApp } from "../server.js";
+import {
+  withCreditReservation,
+  reserveCredits,
+  accrueReservedUsage,
+  chargeReservation,
+  refundReservation,
+} from "../services/credit-ledger.js";
+import { recordLlmUsageFromResult } from "../services/llm-usage-ledger.js";
+import { estimateReservationCredits } from "../config/credit-reservations.js";
+import { internalCallHeaders } from "../utils/internal-calls.js";
+import { resolveVideoSpec } from "@wizard/core";
+import {
+  buildFallbackStoryboard,
+  buildFallbackCaption,
+  buildFallbackThumbnail,
+} from "../video/fallbacks.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestJob,
+  TEST_USER_ID,
+} from "./test-helpers.js";
+
+function seedUser(firestore, remainingCredits) {
+  firestore._seedDocument("users", TEST_USER_ID, {
+    credits: { balance: remainingCredits, reserved: 0, lifetimeUsed: 0 },
+    usage: { remainingCredits, totalTokensUsed: 0 },
+  });
+}
+
+function getUser(firestore) {
+  return firestore._store.get(`users/${TEST_USER_ID}`);
+}
+
+function getReservation(firestore, reservationId) {
+  return firestore._store.get(`creditReservations/${reservationId}`);
+}
+
+function seedVideoItem(firestore, generator) {
+  const spec = resolveVideoSpec("TIKTOK_LEAD");
+  const jobSnapshot = { jobId: "job_test_1", title: "Line Cook", company: "Harbor Grill", geo: "Portland", benefits: [] };
+  const manifest = {
+    manifestId: "manifest_1",
+    version: 1,
+    createdAt: new Date().toISOString(),
+    channelId: "TIKTOK_LEAD",
+    channelName: spec.placementName,
+    placementName: spec.placementName,
+    spec,
+    job: jobSnapshot,
+    storyboard: buildFallbackStoryboard({ jobSnapshot, spec }),
+    caption: buildFallbackCaption({ jobSnapshot, spec }),
+    thumbnail: buildFallbackThumbnail({ jobSnapshot }),
+    compliance: { flags: [], qaChecklist: [] },
+    tracking: { utmSource: "tiktok", utmContent: "job_test_1" },
+    generator: { mode: "fallback", ...generator },
+  };
+  const now = new Date().toISOString();
+  firestore._seedDocument("videoLibraryItems", "video_1", {
+    id: "video_1",
+    jobId: "job_test_1",
+    ownerUserId: TEST_USER_ID,
+    channelId: "TIKTOK_LEAD",
+    channelName: spec.placementName,
+    placementName: spec.placementName,
+    status: "planned",
+    manifestVersion: 1,
+    jobSnapshot,
+    manifests: [manifest],
+    activeManifest: manifest,
+    auditLog: [],
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+function listLedger(firestore) {
+  return [...firestore._store.entries()]
+    .filter(([key]) => key.startsWith("creditLedger/"))
+    .map(([, doc]) => doc);
+}
+
+const LLM_RESULT = {
+  provider: "gemini",
+  model: "gemini-3-pro-preview",
+  metadata: { promptTokens: 100_000, responseTokens: 50_000 },
+};
+
+describe("Credit reservations", () => {
+  let mockFirestore;
+  let mockLogger;
+  let eventBus;
+
+  beforeEach(() => {
+    setupTestEnv();
+    mockFirestore = createMockFirestore();
+    mockLogger = createMockLogger();
+    eventBus = createEventBus({ source: "test" });
+  });
+
+  afterEach(() => {
+    mockFirestore._clear();
+    vi.restoreAllMocks();
+  });
+
+  // ===========================================================================
+  // POST /api/llm - 402 on insufficient balance
+  // ===========================================================================
+
+  describe("POST /api/llm reserved tasks", () => {
+    let app;
+    let mockLlmClient;
+
+    beforeEach(() => {
+      mockLlmClient = createMockLlmClient();
+      mockFirestore._seedDocument("jobs", "job_test_1", createTestJob());
+      app = createApp({
+        logger: mockLogger,
+        firestore: mockFirestore,
+        bigQuery: createMockBigQuery(),
+        llmClient: mockLlmClient,
+        eventBus,
+      });
+    });
+
+    it("returns 402 for hero_image when the balance cannot cover the hold", async () => {
+      seedUser(mockFirestore, 10);
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ taskType: "hero_image", context: { jobId: "job_test_1", forceRefresh: true } });
+
+      expect(response.status).toBe(402);
+      expect(response.body.error.message).toBe("Insufficient credits");
+      expect(response.body.error.details).toMatchObject({
+        workflow: "hero_image",
+        availableCredits: 10,
+      });
+      expect(response.body.error.details.requiredCredits).toBeGreaterThan(10);
+      expect(mockLlmClient.askHeroImagePrompt).not.toHaveBeenCalled();
+      expect(getUser(mockFirestore).usage.remainingCredits).toBe(10);
+    });
+
+    it("reads a stored hero_image without a hold, whatever the balance", async () => {
+      seedUser(mockFirestore, 0);
+      mockFirestore._seedDocument("jobImages", "job_test_1", {
+        jobId: "job_test_1",
+        ownerUserId: TEST_USER_ID,
+        status: "READY",
+        imageUrl: "https://cdn.test/hero.png",
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      });
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ taskType: "hero_image", context: { jobId: "job_test_1" } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.result.heroImage).toMatchObject({ status: "READY" });
+      expect(mockLlmClient.askHeroImagePrompt).not.toHaveBeenCalled();
+      expect(listLedger(mockFirestore)).toEqual([]);
+      expect(getUser(mockFirestore).credits.reserved).toBe(0);
+    });
+
+    it("sizes the video_render hold from the stored manifest, not the request", async () => {
+      seedVideoItem(mockFirestore, { targetDurationSeconds: 30 });
+      const requiredCredits = estimateReservationCredits("video_render", { durationSeconds: 30 });
+      expect(requiredCredits).toBeGreaterThan(
+        estimateReservationCredits("video_render", { durationSeconds: 1 })
+      );
+      seedUser(mockFirestore, requiredCredits - 1);
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ taskType: "video_render", context: { itemId: "video_1", durationSeconds: 1 } });
+
+      expect(response.status).toBe(402);
+      expect(response.body.error.details).toMatchObject({ workflow: "video_render", requiredCredits });
+      expect(listLedger(mockFirestore)).toEqual([]);
+    });
+
+    it("returns 404 for video_render of an unknown item without placing a hold", async () => {
+      seedUser(mockFirestore, 5000);
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ taskType: "video_render", context: { itemId: "video_missing" } });
+
+      expect(response.status).toBe(404);
+      expect(listLedger(mockFirestore)).toEqual([]);
+    });
+
+    it("ignores a creditReservationId in the request body", async () => {
+      seedUser(mockFirestore, 5000);
+      mockLlmClient.askImageCaption.mockResolvedValue(LLM_RESULT);
+      const reservation = await reserveCredits({
+        firestore: mockFirestore,
+        logger: mockLogger,
+        userId: TEST_USER_ID,
+        workflow: "hero_image",
+        credits: 1000,
+      });
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({
+          taskType: "image_caption",
+          context: { jobId: "job_test_1", creditReservationId: reservation.id },
+        });
+
+      expect(response.status).toBe(200);
+      const [usageEntry] = mockFirestore.recordLlmUsage.mock.calls[0];
+      expect(usageEntry.creditReservationId).toBeUndefined();
+      expect(getReservation(mockFirestore, reservation.id).accruedCredits).toBe(0);
+      expect(getUser(mockFirestore).usage.remainingCredits).toBeCloseTo(
+        4000 - usageEntry.creditsUsed,
+        6
+      );
+      expect(mockLlmClient.askImageCaption.mock.calls[0][0]).not.toHaveProperty(
+        "creditReservationId"
+      );
+    });
+
+    it("accrues internal callbacks onto the reservation named in their headers", async () => {
+      seedUser(mockFirestore, 5000);
+      mockLlmClient.askImageCaption.mockResolvedValue(LLM_RESULT);
+      const reservation = await reserveCredits({
+        firestore: mockFirestore,
+        logger: mockLogger,
+        userId: TEST_USER_ID,
+        workflow: "hero_image",
+        credits: 1000,
+      });
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .set(internalCallHeaders({ creditReservationId: reservation.id }))
+        .send({ taskType: "image_caption", context: { jobId: "job_test_1" } });
+
+      expect(response.status).toBe(200);
+      const [usageEntry] = mockFirestore.recordLlmUsage.mock.calls[0];
+      expect(usageEntry.creditReservationId).toBe(reservation.id);
+      expect(getReservation(mockFirestore, reservation.id).accruedCredits).toBeCloseTo(
+        usageEntry.creditsUsed,
+        6
+      );
+    });
+
+    it("does not trust a reservation header without the internal-call secret", async () => {
+      seedUser(mockFirestore, 5000);
+      mockLlmClient.askImageCaption.mockResolvedValue(LLM_RESULT);
+      const reservation = await reserveCredits({
+        firestore: mockFirestore,
+        logger: mockLogger,
+        userId: TEST_USER_ID,
+        workflow: "hero_image",
+        credits: 1000,
+      });
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .set("x-wizard-internal-call", "guessed")
+        .set("x-wizard-credit-reservation", reservation.id)
+        .send({ taskType: "image_caption", context: { jobId: "job_test_1" } });
+
+      expect(response.status).toBe(200);
+      expect(getReservation(mockFirestore, reservation.id).accruedCredits).toBe(0);
+    });
+  });
+
+  // ===========================================================================
+  // withCreditReservation - charge / refund
+  // ===========================================================================
+
+  describe("withCreditReservation", () => {
+    it("charges accrued usage and releases the rest of the hold", async () => {
+      seedUser(mockFirestore, 5000);
+
+      await withCreditReservation({
+        firestore: mockFirestore,
+        logger: mockLogger,
+        eventBus,
+        userId: TEST_USER_ID,
+        jobId: "job_test_1",
+        workflow: "hero_image",
+        credits: 2000,
+        run: async (reservation) => {
+          expect(getUser(mockFirestore).usage.remainingCredits).toBe(3000);
+          expect(getUser(mockFirestore).credits.reserved).toBe(2000);
+          await recordLlmUsageFromResult({
+            firestore: mockFirestore,
+            logger: mockLogger,
+            usageContext: {
+              userId: TEST_USER_ID,
+              jobId: "job_test_1",
+              taskType: "image_prompt_generation",
+              creditReservationId: reservation.id,
+            },
+            result: LLM_RESULT,
+          });
+        },
+      });
+
+      const [usageEntry] = mockFirestore.recordLlmUsage.mock.calls[0];
+      const actualCredits = usageEntry.creditsUsed;
+      expect(actualCredits).toBeGreaterThan(0);
+      expect(usageEntry.creditReservationId).toBeDefined();
+
+      const user = getUser(mockFirestore);
+      expect(user.usage.remainingCredits).toBeCloseTo(5000 - actualCredits, 6);
+      expect(user.credits.reserved).toBe(0);
+      expect(user.credits.lifetimeUsed).toBeCloseTo(actualCredits, 6);
+
+      const types = listLedger(mockFirestore).map((entry) => entry.type).sort();
+      expect(types).toEqual(["CHARGE", "RESERVE"]);
+      const charge = listLedger(mockFirestore).find((entry) => entry.type === "CHARGE");
+      expect(charge).toMatchObject({ status: "SETTLED", userId: TEST_USER_ID });
+      expect(charge.credits).toBeCloseTo(actualCredits, 6);
+    });
+
+    it("keeps concurrent accruals and closes a hold only once", async () => {
+      seedUser(mockFirestore, 5000);
+      const params = { firestore: mockFirestore, logger: mockLogger, eventBus };
+      const reservation = await reserveCredits({
+        ...params,
+        userId: TEST_USER_ID,
+        workflow: "campaign_assets",
+        credits: 200,
+      });
+
+      await Promise.all(
+        [10, 20, 30].map((credits) =>
+          accrueReservedUsage({
+            ...params,
+            reservationId: reservation.id,
+            userId: TEST_USER_ID,
+            credits,
+          })
+        )
+      );
+      await Promise.all([
+        chargeReservation({ ...params, reservationId: reservation.id }),
+        refundReservation({ ...params, reservationId: reservation.id, reason: "timeout" }),
+      ]);
+
+      const user = getUser(mockFirestore);
+      expect(user.usage.remainingCredits).toBe(5000 - 60);
+      expect(user.credits).toMatchObject({ reserved: 0, lifetimeUsed: 60 });
+      const closing = listLedger(mockFirestore).filter((entry) => entry.type !== "RESERVE");
+      expect(closing).toEqual([expect.objectContaining({ type: "CHARGE", credits: 60 })]);
+    });
+
+    it("refunds the whole hold when the task throws", async () => {
+      seedUser(mockFirestore, 5000);
+
+      await expect(
+        withCreditReservation({
+          firestore: mockFirestore,
+          logger: mockLogger,
+          eventBus,
+          userId: TEST_USER_ID,
+          workflow: "video_render",
+          credits: 3200,
+          run: async (reservation) => {
+            await recordLlmUsageFromResult({
+              firestore: mockFirestore,
+              logger: mockLogger,
+              usageContext: {
+                userId: TEST_USER_ID,
+                taskType: "video_storyboard",
+                creditReservationId: reservation.id,
+              },
+              result: LLM_RESULT,
+            });
+            throw new Error("render exploded");
+          },
+        })
+      ).rejects.toThrow("render exploded");
+
+      const user = getUser(mockFirestore);
+      expect(user.usage.remainingCredits).toBe(5000);
+      expect(user.credits).toMatchObject({ balance: 5000, reserved: 0 });
+
+      const refund = listLedger(mockFirestore).find((entry) => entry.type === "REFUND");
+      expect(refund).toMatchObject({ status: "REFUNDED", credits: 3200 });
+    });
+
+    it("refunds when the result is reported as a failure", async () => {
+      seedUser(mockFirestore, 5000);
+
+      await withCreditReservation({
+        firestore: mockFirestore,
+        logger: mockLogger,
+        eventBus,
+        userId: TEST_USER_ID,
+        workflow: "video_render",
+        credits: 3200,
+        run: async () => ({ renderTask: { status: "failed" } }),
+        isFailure: (item) => item.renderTask.status === "failed",
+      });
+
+      expect(getUser(mockFirestore).usage.remainingCredits).toBe(5000);
+      expect(listLedger(mockFirestore).map((entry) => entry.type).sort()).toEqual([
+        "REFUND",
+        "RESERVE",
+      ]);
+    });
+
+    it("publishes every ledger movement as CreditLedgerUpdated", async () => {
+      seedUser(mockFirestore, 5000);
+      const published = [];
+      eventBus.subscribe("credits.ledger.updated", async (envelope) => {
+        published.push(envelope.payload.type);
+      });
+
+      await withCreditReservation({
+        firestore: mockFirestore,
+        logger: mockLogger,
+        eventBus,
+        userId: TEST_USER_ID,
+        workflow: "generate_campaign_assets",
+        credits: 100,
+        run: async () => ({ assets: [] }),
+      });
+      await eventBus.drain();
+
+      expect(published).toEqual(["RESERVE", "CHARGE"]);
+    });
+  });
+
+  // ===========================================================================
+  // Usage outside a valid reservation
+  // ===========================================================================
+
+  it("debits the balance directly when the reservation belongs to someone else", async () => {
+    seedUser(mockFirestore, 5000);
+
+    await recordLlmUsageFromResult({
+      firestore: mockFirestore,
+      logger: mockLogger,
+      usageContext: {
+        userId: TEST_USER_ID,
+        taskType: "asset_master",
+        creditReservationId: "00000000-0000-4000-8000-000000000000",
+      },
+      result: LLM_RESULT,
+    });
+
+    const [usageEntry] = mockFirestore.recordLlmUsage.mock.calls[0];
+    expect(usageEntry.creditReservationId).toBeUndefined();
+    expect(getUser(mockFirestore).usage.remainingCredits).toBeCloseTo(
+      5000 - usageEntry.creditsUsed,
+      6
+    );
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * @file golden-company-defaults.test.js
+ * Integration tests for company-level golden defaults.
+ *
+ * These tests verify:
+ * 1. New interviews for a company start with company-wide fields prefilled
+ *    from the owner's completed interviews and company enrichment
+ * 2. The interviewer is asked to confirm inherited fields, and a confirmation
+ *    keeps the inherited values instead of saving the answer over them
+ * 3. "Something changed" answers mark inherited fields to be asked again, and
+ *    a real answer marks them replaced (kept in the stored metadata)
+ * 4. Only short, unqualified answers count as confirmations
+ * 5. Company enrichment parses workplace facts from the intel response
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { parseCompanyIntelResult } from "../llm/parsers/company-intel.js";
+import {
+  applyInheritedConfirmation,
+  buildCompanyGoldenProfile,
+  getOpenInheritedFields,
+} from "../golden-interviewer/company-defaults.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestSession,
+  TEST_USER_ID,
+} from "./test-helpers.js";
+
+const originalFetch = global.fetch;
+
+const COMPANY_ID = "company_harbor";
+const BENEFITS = "stability_signals.benefits_security";
+
+function llmApiResponse() {
+  return {
+    taskType: "golden_interviewer",
+    result: {
+      message: "What does a typical shift look like?",
+      uiTool: { type: "smart_textarea", props: { title: "Typical shift" } },
+      extraction: { updates: {} },
+      completionPercentage: 20,
+      interviewPhase: "opening",
+    },
+  };
+}
+
+function seedCompany(mockFirestore, overrides = {}) {
+  mockFirestore._seedDocument("companies", COMPANY_ID, {
+    name: "Harbor Kitchen",
+    primaryDomain: "harbor.example",
+    enrichmentStatus: "READY",
+    workplace: { dental: true, gym: true, companyStage: "growth" },
+    ...overrides,
+  });
+}
+
+function completedSession(sessionId, { userId = TEST_USER_ID, goldenSchema, updatedAt }) {
+  return createTestSession({
+    sessionId,
+    userId,
+    companyId: COMPANY_ID,
+    status: "completed",
+    goldenSchema,
+    updatedAt,
+  });
+}
+
+describe("Golden interview company defaults", () => {
+  let app;
+  let mockFirestore;
+  let authToken;
+  let llmRequests;
+
+  beforeEach(() => {
+    setupTestEnv();
+
+    mockFirestore = createMockFirestore();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+    });
+    authToken = createTestToken();
+    llmRequests = [];
+
+    global.fetch = vi.fn(async (url, options) => {
+      if (String(url).includes("/api/llm")) {
+        const body = JSON.parse(options.body);
+        llmRequests.push(body);
+        const payload = llmApiResponse();
+        return {
+          ok: true,
+          status: 200,
+          json: async () => payload,
+          text: async () => JSON.stringify(payload),
+        };
+      }
+      return originalFetch(url, options);
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    mockFirestore._clear();
+  });
+
+  it("prefills company-wide fields from past interviews and enrichment", async () => {
+    seedCompany(mockFirestore);
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_old",
+      completedSession("session_old", {
+        updatedAt: new Date("2026-01-01"),
+        goldenSchema: {
+          stability_signals: {
+            benefits_security: { dental: false, retirement_match: "3% match" },
+          },
+        },
+      })
+    );
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_new",
+      completedSession("session_new", {
+        updatedAt: new Date("2026-06-01"),
+        goldenSchema: {
+          role_overview: { job_title: "Line Cook" },
+          stability_signals: { benefits_security: { retirement_match: "4% match" } },
+          environment: { amenities: ["kitchen", "showers"] },
+        },
+      })
+    );
+    // Another user's interview for the same company is not shared
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_other_user",
+      completedSession("session_other_user", {
+        userId: "someone_else",
+        updatedAt: new Date("2026-07-01"),
+        goldenSchema: { stability_signals: { legal_protections: { union: true } } },
+      })
+    );
+
+    const profile = await request(app)
+      .get(`/golden-interview/companies/${COMPANY_ID}/profile`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(profile.status).toBe(200);
+    expect(profile.body.profile.fields).toEqual({
+      // Newer interviews win; interviews win over enrichment
+      [`${BENEFITS}.retirement_match`]: expect.objectContaining({
+        value: "4% match",
+        source: "interview",
+        sessionId: "session_new",
+      }),
+      [`${BENEFITS}.dental`]: expect.objectContaining({
+        value: false,
+        source: "interview",
+        sessionId: "session_old",
+      }),
+      // A section answered as a whole keeps enrichment out of it
+      "environment.amenities": expect.objectContaining({ value: ["kitchen", "showers"] }),
+      "stability_signals.company_health.company_stage": expect.objectContaining({
+        value: "growth",
+        source: "enrichment",
+        sessionId: null,
+      }),
+    });
+
+    const started = await request(app)
+      .post("/golden-interview/start")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ initialData: { companyId: COMPANY_ID } });
+    expect(started.status).toBe(200);
+
+    const session = await mockFirestore.getDocument(
+      "golden_interview_sessions",
+      started.body.sessionId
+    );
+    expect(session.goldenSchema.stability_signals.benefits_security).toMatchObject({
+      dental: false,
+      retirement_match: "4% match",
+      vision: null,
+    });
+    expect(session.goldenSchema.stability_signals.legal_protections.union).toBeNull();
+    // Role-specific answers are never inherited
+    expect(session.goldenSchema.role_overview.job_title).toBeNull();
+    expect(session.metadata.inheritedFields[`${BENEFITS}.dental`]).toEqual({
+      value: false,
+      source: "interview",
+      sessionId: "session_old",
+      status: "pending",
+    });
+
+    const status = await request(app)
+      .get(`/golden-interview/session/${started.body.sessionId}`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(Object.keys(status.body.session.inheritedFields)).toHaveLength(4);
+  });
+
+  it("asks only for confirmation and keeps confirmed values", async () => {
+    seedCompany(mockFirestore);
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_active",
+      createTestSession({
+        sessionId: "session_active",
+        companyId: COMPANY_ID,
+        turnCount: 3,
+        goldenSchema: {
+          companyId: COMPANY_ID,
+          stability_signals: { benefits_security: { dental: true, vision: null } },
+        },
+        conversationHistory: [
+          { role: "assistant", content: "We have dental on file. Still accurate?", timestamp: new Date() },
+        ],
+        metadata: {
+          completionPercentage: 40,
+          currentPhase: "stability",
+          lastAskedField: BENEFITS,
+          inheritedFields: {
+            [`${BENEFITS}.dental`]: {
+              value: true,
+              source: "enrichment",
+              sessionId: null,
+              status: "pending",
+            },
+          },
+        },
+      })
+    );
+
+    const response = await request(app)
+      .post("/golden-interview/chat")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ sessionId: "session_active", uiResponse: ["confirm"] });
+    expect(response.status).toBe(200);
+
+    const session = await mockFirestore.getDocument("golden_interview_sessions", "session_active");
+    // The "Still accurate" answer is not saved over the section
+    expect(session.goldenSchema.stability_signals.benefits_security).toEqual({
+      dental: true,
+      vision: null,
+    });
+    expect(session.metadata.inheritedFields[`${BENEFITS}.dental`].status).toBe("confirmed");
+
+    // Nothing left to confirm, so the next prompt has no inherited fields
+    const turnRequest = llmRequests.find((body) => body.taskType === "golden_interviewer");
+    expect(turnRequest.context.inheritedFields).toEqual([]);
+    expect(turnRequest.context.lastAskedField).toBeNull();
+  });
+
+  it("re-asks inherited fields the respondent says have changed", async () => {
+    seedCompany(mockFirestore);
+    const inheritedFields = {
+      [`${BENEFITS}.dental`]: { value: true, source: "enrichment", sessionId: null, status: "pending" },
+      "environment.amenities.gym": { value: true, source: "enrichment", sessionId: null, status: "pending" },
+    };
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_active",
+      createTestSession({
+        sessionId: "session_active",
+        companyId: COMPANY_ID,
+        turnCount: 3,
+        goldenSchema: {
+          companyId: COMPANY_ID,
+          stability_signals: { benefits_security: { dental: true } },
+          environment: { amenities: { gym: true } },
+        },
+        metadata: {
+          completionPercentage: 40,
+          currentPhase: "stability",
+          lastAskedField: BENEFITS,
+          inheritedFields,
+        },
+      })
+    );
+
+    await request(app)
+      .post("/golden-interview/chat")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ sessionId: "session_active", uiResponse: ["change"] });
+
+    const turnRequest = llmRequests.find((body) => body.taskType === "golden_interviewer");
+    expect(turnRequest.context.inheritedFields).toEqual([
+      { field: `${BENEFITS}.dental`, value: true, source: "enrichment", status: "changed" },
+      { field: "environment.amenities.gym", value: true, source: "enrichment", status: "pending" },
+    ]);
+
+    // A real answer replaces the inherited value
+    const session = await mockFirestore.getDocument("golden_interview_sessions", "session_active");
+    session.metadata.lastAskedField = `${BENEFITS}.dental`;
+    mockFirestore._seedDocument("golden_interview_sessions", "session_active", session);
+
+    await request(app)
+      .post("/golden-interview/chat")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ sessionId: "session_active", uiResponse: false });
+
+    const answered = await mockFirestore.getDocument("golden_interview_sessions", "session_active");
+    expect(answered.goldenSchema.stability_signals.benefits_security.dental).toBe(false);
+    expect(answered.metadata.inheritedFields[`${BENEFITS}.dental`]).toMatchObject({
+      status: "replaced",
+    });
+    expect(getOpenInheritedFields(answered).map(({ field }) => field)).toEqual([
+      "environment.amenities.gym",
+    ]);
+  });
+
+  it("only treats short, unqualified answers as confirmations", () => {
+    const answer = (value) => {
+      const session = {
+        sessionId: "session_active",
+        goldenSchema: { stability_signals: { benefits_security: { dental: true } } },
+        metadata: {
+          inheritedFields: {
+            [`${BENEFITS}.dental`]: { value: true, source: "enrichment", sessionId: null, status: "pending" },
+          },
+        },
+      };
+      const result = applyInheritedConfirmation({ session, field: `${BENEFITS}.dental`, value });
+      return { ...result, session, status: session.metadata.inheritedFields[`${BENEFITS}.dental`].status };
+    };
+
+    ["Yes", "yes, still accurate.", "That’s correct!", "Yep still true", "confirm"].forEach((value) => {
+      expect(answer(value)).toMatchObject({ saveAnswer: false, status: "confirmed" });
+    });
+
+    [
+      "Yes, but we dropped dental",
+      "right now we don't offer that",
+      "Correct except for part-timers",
+      "yes it is accurate for full-time staff only",
+    ].forEach((value) => {
+      expect(answer(value)).toMatchObject({ saveAnswer: true, status: "replaced" });
+    });
+
+    // A replaced value counts as the respondent's own answer
+    const { session } = answer("Yes, but we dropped dental");
+    session.goldenSchema.stability_signals.benefits_security.dental = false;
+    expect(getOpenInheritedFields(session)).toEqual([]);
+    expect(buildCompanyGoldenProfile({ company: null, sessions: [session] }).fields).toMatchObject({
+      [`${BENEFITS}.dental`]: { value: false, source: "interview", sessionId: "session_active" },
+    });
+  });
+
+  it("parses workplace facts from company enrichment", () => {
+    const parsed = parseCompanyIntelResult({
+      text: JSON.stringify({
+        profile: { officialName: "Harbor Kitchen" },
+        workplace: { dental: "yes", gym: false, companyStage: "Growth", fundingStatus: " " },
+      }),
+    });
+
+    expect(parsed.workplace).toMatchObject({
+      dental: true,
+      gym: false,
+      companyStage: "growth",
+      fundingStatus: null,
+      healthInsurance: null,
+    });
+  });
+});
@@ -0,0 +1,379 @@
+/**
+ * @file golden-guest-invites.test.js
+ * Integration tests for golden interview guest invites.
+ *
+ * These tests verify:
+ * 1. The owner creates an expiring invite; a guest starts (and resumes) the
+ *    prefilled session with the invite token instead of a login
+ * 2. Guest tokens only reach their own session, and the golden LLM tasks
+ *    only through the guest routes' internal callbacks
+ * 3. Revoked and expired invites stop working
+ * 4. The owner is notified (invite list and email) and sees progress when
+ *    the guest finishes
+ * 5. Concurrent starts of one invite create a single session
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createEventBus, GoldenInterviewGuestCompleted } from "@wizard/events";
+import { createApp } from "../server.js";
+import { hashInviteToken } from "../golden-interviewer/guest-invites.js";
+import { internalCallHeaders } from "../utils/internal-calls.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestSession,
+  TEST_USER_ID,
+  TEST_USER_EMAIL,
+} from "./test-helpers.js";
+
+const originalFetch = global.fetch;
+
+function llmApiResponse(overrides = {}) {
+  return {
+    taskType: "golden_interviewer",
+    result: {
+      message: "Hi Sam! What does a typical shift look like?",
+      uiTool: { type: "smart_textarea", props: { title: "Typical shift" } },
+      extraction: { updates: {} },
+      completionPercentage: 5,
+      interviewPhase: "opening",
+      ...overrides,
+    },
+  };
+}
+
+describe("Golden interview guest invites", () => {
+  let app;
+  let mockFirestore;
+  let eventBus;
+  let mailer;
+  let authToken;
+  let nextLlmResult;
+
+  beforeEach(() => {
+    setupTestEnv();
+
+    mockFirestore = createMockFirestore();
+    eventBus = createEventBus({ source: "test" });
+    vi.spyOn(eventBus, "publish");
+    mailer = { from: "noreply@example.com", sendMail: vi.fn().mockResolvedValue(undefined) };
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+      eventBus,
+      mailer,
+    });
+    authToken = createTestToken();
+    nextLlmResult = llmApiResponse();
+
+    global.fetch = vi.fn(async (url, options) => {
+      if (String(url).includes("/api/llm")) {
+        const body = JSON.parse(options.body);
+        const payload =
+          body.taskType === "golden_db_update"
+            ? { taskType: "golden_db_update", result: { updates: {} } }
+            : nextLlmResult;
+        return {
+          ok: true,
+          status: 200,
+          json: async () => payload,
+          text: async () => JSON.stringify(payload),
+        };
+      }
+      return originalFetch(url, options);
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    mockFirestore._clear();
+  });
+
+  async function createInvite(body) {
+    const response = await request(app)
+      .post("/golden-interview/invites")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(body);
+    expect(response.status).toBe(201);
+    return response.body;
+  }
+
+  it("lets a guest start and resume a prefilled session without logging in", async () => {
+    const { token, invite } = await createInvite({
+      perspective: "current_employee",
+      respondentName: "Sam",
+      initialData: { companyName: "Harbor Kitchen" },
+    });
+    expect(token).toMatch(/^gi_/);
+    expect(invite).toMatchObject({ status: "pending", perspective: "current_employee" });
+
+    // Only the hash is stored
+    const stored = await mockFirestore.getDocument("golden_interview_invites", invite.inviteId);
+    expect(stored.tokenHash).toBe(hashInviteToken(token));
+    expect(JSON.stringify(stored)).not.toContain(token);
+
+    const info = await request(app)
+      .get("/golden-interview/guest/invite")
+      .set("Authorization", `Bearer ${token}`);
+    expect(info.status).toBe(200);
+    expect(info.body.invite).toMatchObject({ respondentName: "Sam", started: false });
+
+    const started = await request(app)
+      .post("/golden-interview/guest/start")
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+    expect(started.status).toBe(200);
+    const { sessionId } = started.body;
+
+    // The session belongs to the owner and greets the guest, not the owner
+    const session = await mockFirestore.getDocument("golden_interview_sessions", sessionId);
+    expect(session).toMatchObject({
+      userId: TEST_USER_ID,
+      perspective: "current_employee",
+      inviteId: invite.inviteId,
+    });
+    expect(session.goldenSchema.user_context.name).toBe("Sam");
+    expect(session.goldenSchema.role_overview.company_name).toBe("Harbor Kitchen");
+
+    const resumed = await request(app)
+      .post("/golden-interview/guest/start")
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+    expect(resumed.status).toBe(200);
+    expect(resumed.body).toMatchObject({
+      sessionId,
+      completed: false,
+      response: { message: "Hi Sam! What does a typical shift look like?" },
+    });
+  });
+
+  it("keeps the guest's session out of the owner's unfinished list and resume", async () => {
+    const { token } = await createInvite({ perspective: "current_employee" });
+    const started = await request(app)
+      .post("/golden-interview/guest/start")
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+    expect(started.status).toBe(200);
+
+    const unfinished = await request(app)
+      .get("/golden-interview/sessions/unfinished")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(unfinished.status).toBe(200);
+    expect(unfinished.body.sessions).toEqual([]);
+
+    const resumed = await request(app)
+      .post(`/golden-interview/session/${started.body.sessionId}/resume`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({});
+    expect(resumed.status).toBe(403);
+  });
+
+  it("scopes guest tokens to their own session and the golden LLM tasks", async () => {
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_owner",
+      createTestSession({ sessionId: "session_owner" })
+    );
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_other",
+      createTestSession({ sessionId: "session_other" })
+    );
+    const { token } = await createInvite({ sessionId: "session_owner" });
+
+    const otherSession = await request(app)
+      .post("/golden-interview/guest/chat")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ sessionId: "session_other", userMessage: "Hello" });
+    expect(otherSession.status).toBe(403);
+
+    const ownerRoute = await request(app)
+      .get("/golden-interview/session/session_owner")
+      .set("Authorization", `Bearer ${token}`);
+    expect(ownerRoute.status).toBe(401);
+
+    const ownerTask = await request(app)
+      .post("/api/llm")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ taskType: "refine", context: { jobId: "job_1" } });
+    expect(ownerTask.status).toBe(403);
+
+    // Interviewer tasks only through the guest routes' internal callbacks
+    const directGoldenTask = await request(app)
+      .post("/api/llm")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ taskType: "golden_refine", context: { sessionId: "session_other" } });
+    expect(directGoldenTask.status).toBe(403);
+
+    const goldenTask = await request(app)
+      .post("/api/llm")
+      .set("Authorization", `Bearer ${token}`)
+      .set(internalCallHeaders())
+      .send({ taskType: "golden_refine", context: {} });
+    expect(goldenTask.status).not.toBe(403);
+    expect(goldenTask.status).not.toBe(401);
+
+    // A signed-in user without an invite cannot use the guest routes
+    const withoutInvite = await request(app)
+      .post("/golden-interview/guest/start")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({});
+    expect(withoutInvite.status).toBe(403);
+  });
+
+  it("rejects revoked and expired invites", async () => {
+    const { token, invite } = await createInvite({ perspective: "recruiter" });
+
+    const revoked = await request(app)
+      .post(`/golden-interview/invites/${invite.inviteId}/revoke`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({});
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.invite.status).toBe("revoked");
+
+    const afterRevoke = await request(app)
+      .post("/golden-interview/guest/start")
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+    expect(afterRevoke.status).toBe(410);
+
+    const { token: expiringToken, invite: expiring } = await createInvite({});
+    const stored = await mockFirestore.getDocument("golden_interview_invites", expiring.inviteId);
+    mockFirestore._seedDocument("golden_interview_invites", expiring.inviteId, {
+      ...stored,
+      expiresAt: new Date(Date.now() - 1000),
+    });
+    const afterExpiry = await request(app)
+      .get("/golden-interview/guest/invite")
+      .set("Authorization", `Bearer ${expiringToken}`);
+    expect(afterExpiry.status).toBe(410);
+    expect(afterExpiry.body.error.details.reason).toBe("expired");
+
+    const otherOwner = await request(app)
+      .post(`/golden-interview/invites/${expiring.inviteId}/revoke`)
+      .set("Authorization", `Bearer ${createTestToken({ userId: "someone_else" })}`)
+      .send({});
+    expect(otherOwner.status).toBe(403);
+  });
+
+  it("creates a single session when a guest opens the link twice at once", async () => {
+    const { token, invite } = await createInvite({ respondentName: "Sam" });
+
+    // Hold the first start inside its opening LLM call
+    let releaseLlm;
+    const llmHeld = new Promise((resolve) => {
+      releaseLlm = resolve;
+    });
+    const mockedFetch = global.fetch;
+    global.fetch = vi.fn(async (url, options) => {
+      await llmHeld;
+      return mockedFetch(url, options);
+    });
+    // then() sends the request without waiting for it
+    const first = request(app)
+      .post("/golden-interview/guest/start")
+      .set("Authorization", `Bearer ${token}`)
+      .send({})
+      .then((response) => response);
+    await vi.waitFor(() => expect(global.fetch).toHaveBeenCalled());
+
+    const second = await request(app)
+      .post("/golden-interview/guest/start")
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+    expect(second.status).toBe(409);
+
+    releaseLlm();
+    expect((await first).status).toBe(200);
+    const sessions = await mockFirestore.listCollection("golden_interview_sessions");
+    expect(sessions).toHaveLength(1);
+    const stored = await mockFirestore.getDocument("golden_interview_invites", invite.inviteId);
+    expect(stored).toMatchObject({ sessionId: sessions[0].sessionId, sessionStartClaimedAt: null });
+
+    const retried = await request(app)
+      .post("/golden-interview/guest/start")
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+    expect(retried.status).toBe(200);
+    expect(retried.body.sessionId).toBe(sessions[0].sessionId);
+  });
+
+  it("notifies the owner when the guest finishes", async () => {
+    mockFirestore._seedDocument("users", TEST_USER_ID, {
+      auth: { email: TEST_USER_EMAIL },
+      preferences: { emailNotifications: true },
+    });
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_owner",
+      createTestSession({
+        sessionId: "session_owner",
+        conversationHistory: [
+          { role: "assistant", content: "Anything else?", timestamp: new Date() },
+        ],
+      })
+    );
+    const { token, invite } = await createInvite({ sessionId: "session_owner" });
+
+    nextLlmResult = llmApiResponse({
+      message: "Thanks, that's everything!",
+      completionPercentage: 100,
+      interviewPhase: "complete",
+    });
+    const finished = await request(app)
+      .post("/golden-interview/guest/chat")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ sessionId: "session_owner", userMessage: "No, that's all" });
+    expect(finished.status).toBe(200);
+    expect(finished.body.is_complete).toBe(true);
+
+    expect(eventBus.publish).toHaveBeenCalledWith(
+      GoldenInterviewGuestCompleted,
+      expect.objectContaining({
+        partitionKey: "session_owner",
+        payload: expect.objectContaining({
+          inviteId: invite.inviteId,
+          userId: TEST_USER_ID,
+        }),
+      })
+    );
+
+    // The gateway's consumer notifies the owner once, even if redelivered
+    expect(await eventBus.drain()).toBe(1);
+    expect(mailer.sendMail).toHaveBeenCalledTimes(1);
+    expect(mailer.sendMail).toHaveBeenCalledWith(
+      expect.objectContaining({ to: TEST_USER_EMAIL, subject: expect.stringMatching(/finished/) })
+    );
+    const [, published] = eventBus.publish.mock.calls[0];
+    await eventBus.publish(GoldenInterviewGuestCompleted, published);
+    await eventBus.drain();
+    expect(mailer.sendMail).toHaveBeenCalledTimes(1);
+
+    const list = await request(app)
+      .get("/golden-interview/invites")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.invites).toHaveLength(1);
+    expect(list.body.invites[0]).toMatchObject({
+      inviteId: invite.inviteId,
+      status: "completed",
+      completedAt: expect.any(String),
+      ownerNotifiedAt: expect.any(String),
+      progress: { completionPercentage: 100 },
+    });
+
+    // Reopening the link shows the finished state instead of a new question
+    const reopened = await request(app)
+      .post("/golden-interview/guest/start")
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+    expect(reopened.body).toMatchObject({ completed: true, response: null });
+  });
+});
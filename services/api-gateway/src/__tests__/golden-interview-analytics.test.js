@@ -0,0 +1,315 @@
+/**
+ * @file golden-interview-analytics.test.js
+ * Tests for interview quality analytics built from the interview audit log.
+ *
+ * These tests verify:
+ * 1. Per-field skip rates, drop-off, time per turn, UI tool custom input,
+ *    completion by archetype and turns to reach each phase are aggregated
+ * 2. The report endpoint only covers the requester's own sessions
+ * 3. Reporting on all sessions is limited to admins and their organization
+ * 4. The days filter counts sessions by when they started
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import {
+  buildInterviewAnalytics,
+  getInterviewAnalytics,
+} from "../golden-interviewer/interview-analytics.js";
+import { INTERVIEW_AUDIT_LOG_DIR } from "../golden-interviewer/interview-audit-logger.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestSession,
+  TEST_USER_ID,
+} from "./test-helpers.js";
+
+const NOW = new Date("2026-10-10T12:00:00Z");
+const PAY = "financial_reality.base_compensation";
+const SCHEDULE = "time_and_life.schedule_pattern";
+
+const CARDS = {
+  type: "detailed_cards",
+  props: {
+    allowCustomInput: true,
+    options: [
+      { id: "hourly", title: "Hourly" },
+      { id: "salary", title: "Salary" },
+    ],
+  },
+};
+const TEXTAREA = { type: "smart_textarea", props: { title: "Tell me more" } };
+
+function at(minutes) {
+  return new Date(NOW.getTime() - 3 * 24 * 60 * 60 * 1000 + minutes * 60 * 1000).toISOString();
+}
+
+function question(turn, minutes, { field, phase = "opening", tool = CARDS, archetype = null, completion = 0 }) {
+  return {
+    type: "llm_response",
+    ts: at(minutes),
+    turn,
+    field,
+    phase,
+    completion,
+    message: "...",
+    ui_tool: tool,
+    archetype,
+  };
+}
+
+function answer(turn, minutes, { field, value, source = "uiResponse" }) {
+  return { type: "user_response", ts: at(minutes), turn, field, value, source };
+}
+
+function completedLog(sessionId) {
+  return {
+    sessionId,
+    entries: [
+      {
+        type: "first_turn",
+        timestamp: at(0),
+        turnNumber: 1,
+        llmResponse: {
+          currently_asking_field: PAY,
+          interview_phase: "opening",
+          completion_percentage: 0,
+          ui_tool: CARDS,
+        },
+      },
+      answer(1, 1, { field: PAY, value: "hourly" }),
+      question(2, 1, { field: SCHEDULE, phase: "time_and_life", tool: TEXTAREA, archetype: "hourly_service", completion: 50 }),
+      answer(2, 2, { field: SCHEDULE, value: "Weekends", source: "userMessage" }),
+      question(3, 2, { field: PAY, phase: "closing", archetype: "hourly_service", completion: 90 }),
+      answer(3, 5, { field: PAY, value: "Tips on top" }),
+      {
+        type: "interview_complete",
+        timestamp: at(6),
+        summary: { totalTurns: 3, completionPercentage: 95 },
+        finalGoldenSchema: {},
+      },
+    ],
+  };
+}
+
+function abandonedLog(sessionId) {
+  return {
+    sessionId,
+    entries: [
+      question(1, 0, { field: PAY, archetype: "tech_startup" }),
+      answer(1, 1, { field: PAY, value: "[SKIPPED]" }),
+      question(2, 1, { field: SCHEDULE, phase: "time_and_life", archetype: "tech_startup", completion: 20 }),
+      answer(2, 3, { field: SCHEDULE, value: "Flexible", source: "userMessage" }),
+      question(3, 3, { field: PAY, phase: "time_and_life", archetype: "tech_startup", completion: 30 }),
+    ],
+  };
+}
+
+describe("Interview analytics", () => {
+  it("aggregates skips, drop-off, timing, tools, archetypes and phases", () => {
+    const report = buildInterviewAnalytics([completedLog("s_done"), abandonedLog("s_gone")], {
+      now: NOW,
+    });
+
+    expect(report.sessions).toEqual({ total: 2, completed: 1, inProgress: 0, abandoned: 1 });
+    expect(report.fields).toEqual([
+      { field: PAY, asked: 4, answered: 2, skipped: 1, skipRate: 0.33 },
+      { field: SCHEDULE, asked: 2, answered: 2, skipped: 0, skipRate: 0 },
+    ]);
+    expect(report.dropOff).toEqual({
+      averageTurn: 3,
+      byTurn: { 3: 1 },
+      lastFields: [{ field: PAY, count: 1 }],
+    });
+    // 1, 1, 3 and 2 minutes; the skip is not timed
+    expect(report.turnTiming).toEqual({ responses: 4, averageMs: 105000, medianMs: 90000 });
+    expect(report.uiTools).toEqual([
+      {
+        type: "detailed_cards",
+        shown: 5,
+        answered: 3,
+        skipped: 1,
+        // "Tips on top" is not an option; "Flexible" was typed instead of picked
+        customInput: 2,
+        skipRate: 0.25,
+        customInputRate: 0.67,
+      },
+      {
+        type: "smart_textarea",
+        shown: 1,
+        answered: 1,
+        skipped: 0,
+        customInput: 0,
+        skipRate: 0,
+        customInputRate: 0,
+      },
+    ]);
+    expect(report.archetypes).toEqual(
+      expect.arrayContaining([
+        { archetype: "hourly_service", sessions: 1, completed: 1, averageCompletion: 95 },
+        { archetype: "tech_startup", sessions: 1, completed: 0, averageCompletion: 30 },
+      ])
+    );
+    expect(report.phases).toEqual([
+      { phase: "opening", sessions: 2, averageTurn: 1 },
+      { phase: "time_and_life", sessions: 2, averageTurn: 2 },
+      { phase: "closing", sessions: 1, averageTurn: 3 },
+    ]);
+  });
+
+  it("does not count recent unfinished interviews as drop-offs", () => {
+    const report = buildInterviewAnalytics([abandonedLog("s_active")], {
+      now: new Date(at(60)),
+    });
+
+    expect(report.sessions).toMatchObject({ inProgress: 1, abandoned: 0 });
+    expect(report.dropOff.averageTurn).toBeNull();
+  });
+});
+
+describe("GET /golden-interview/analytics", () => {
+  let app;
+  let mockFirestore;
+  let writtenFiles;
+  const suffix = `${process.pid}_${Date.now()}`;
+  const ownSessionId = `analytics_own_${suffix}`;
+  const otherSessionId = `analytics_other_${suffix}`;
+  const outsiderSessionId = `analytics_outsider_${suffix}`;
+
+  function writeLog({ sessionId, entries }) {
+    const file = path.join(INTERVIEW_AUDIT_LOG_DIR, `${sessionId}_${Date.now()}.jsonl`);
+    fs.mkdirSync(INTERVIEW_AUDIT_LOG_DIR, { recursive: true });
+    fs.writeFileSync(file, entries.map((entry) => JSON.stringify(entry)).join("\n") + "\n");
+    writtenFiles.push(file);
+  }
+
+  beforeEach(() => {
+    setupTestEnv();
+    mockFirestore = createMockFirestore();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+    });
+    writtenFiles = [];
+
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      ownSessionId,
+      createTestSession({ sessionId: ownSessionId, status: "completed" })
+    );
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      otherSessionId,
+      createTestSession({ sessionId: otherSessionId, userId: "someone_else" })
+    );
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      outsiderSessionId,
+      createTestSession({ sessionId: outsiderSessionId, userId: "outsider" })
+    );
+    mockFirestore._seedDocument("users", TEST_USER_ID, { id: TEST_USER_ID, orgId: "org_1" });
+    mockFirestore._seedDocument("users", "someone_else", { id: "someone_else", orgId: "org_1" });
+    mockFirestore._seedDocument("users", "outsider", { id: "outsider", orgId: "org_2" });
+    writeLog(completedLog(ownSessionId));
+    writeLog(abandonedLog(otherSessionId));
+    writeLog(abandonedLog(outsiderSessionId));
+  });
+
+  afterEach(() => {
+    writtenFiles.forEach((file) => fs.rmSync(file, { force: true }));
+    mockFirestore._clear();
+  });
+
+  it("reports on the requester's own interviews", async () => {
+    const response = await request(app)
+      .get("/golden-interview/analytics")
+      .set("Authorization", `Bearer ${createTestToken()}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.analytics).toMatchObject({
+      scope: "mine",
+      sessions: { total: 1, completed: 1 },
+    });
+    expect(response.body.analytics.archetypes).toEqual([
+      { archetype: "hourly_service", sessions: 1, completed: 1, averageCompletion: 95 },
+    ]);
+  });
+
+  it("limits reports on all interviews to admins and their organization", async () => {
+    const denied = await request(app)
+      .get("/golden-interview/analytics?scope=all")
+      .set("Authorization", `Bearer ${createTestToken({ orgId: "org_1" })}`);
+    expect(denied.status).toBe(403);
+
+    const withoutOrg = await request(app)
+      .get("/golden-interview/analytics?scope=all")
+      .set("Authorization", `Bearer ${createTestToken({ roles: ["admin"] })}`);
+    expect(withoutOrg.status).toBe(403);
+
+    const admin = await request(app)
+      .get("/golden-interview/analytics?scope=all&days=365")
+      .set("Authorization", `Bearer ${createTestToken({ roles: ["admin"], orgId: "org_1" })}`);
+    expect(admin.status).toBe(200);
+    expect(admin.body.analytics.sessions.total).toBe(2);
+    const archetypes = admin.body.analytics.archetypes.map((entry) => entry.archetype);
+    expect(archetypes).toEqual(expect.arrayContaining(["hourly_service", "tech_startup"]));
+  });
+});
+
+describe("getInterviewAnalytics days filter", () => {
+  let logDir;
+  let mockFirestore;
+
+  beforeEach(() => {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), "interview-analytics-"));
+    mockFirestore = createMockFirestore();
+  });
+
+  afterEach(() => {
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  it("counts sessions started in the window, not older sessions still active in it", async () => {
+    const startedIn = completedLog("recent_session");
+    // Started 10 days ago, answered again yesterday
+    const startedBefore = {
+      sessionId: "old_session",
+      entries: [
+        { ...question(1, 0, { field: PAY }), ts: new Date(NOW.getTime() - 10 * 86_400_000).toISOString() },
+        { ...answer(1, 0, { field: PAY, value: "hourly" }), ts: new Date(NOW.getTime() - 86_400_000).toISOString() },
+      ],
+    };
+    for (const log of [startedIn, startedBefore]) {
+      mockFirestore._seedDocument(
+        "golden_interview_sessions",
+        log.sessionId,
+        createTestSession({ sessionId: log.sessionId })
+      );
+      fs.writeFileSync(
+        path.join(logDir, `${log.sessionId}_1.jsonl`),
+        log.entries.map((entry) => JSON.stringify(entry)).join("\n") + "\n"
+      );
+    }
+
+    const report = await getInterviewAnalytics({
+      firestore: mockFirestore,
+      user: { id: TEST_USER_ID, roles: [] },
+      days: 7,
+      logDir,
+      now: NOW,
+    });
+
+    expect(report.sessions.total).toBe(1);
+    expect(report.sessions.completed).toBe(1);
+  });
+});
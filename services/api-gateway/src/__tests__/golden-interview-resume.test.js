@@ -0,0 +1,246 @@
+/**
+ * @file golden-interview-resume.test.js
+ * Integration tests for resuming unfinished golden interviews.
+ *
+ * These tests verify:
+ * 1. The unfinished list shows only the user's active sessions, newest
+ *    activity first, with completion % and last activity
+ * 2. Resuming returns an LLM recap, re-derived priority fields and a
+ *    re-entry turn that is saved to the history
+ * 3. A failed recap falls back to one built from the schema; completed and
+ *    other users' sessions cannot be resumed
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { buildContinueTurnPrompt, identifyMissingFields } from "../golden-interviewer/prompts.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestSession,
+} from "./test-helpers.js";
+
+const originalFetch = global.fetch;
+
+const SESSION_ID = "session_resume";
+const RECAP = "You've told us this is a Line Cook role at Harbor Grill paying $22/hr. Next we'll cover the schedule.";
+
+const GOLDEN_SCHEMA = {
+  role_overview: { job_title: "Line Cook", company_name: "Harbor Grill" },
+  financial_reality: {
+    base_compensation: { amount_or_range: "$22/hr", pay_frequency: "hourly" },
+  },
+};
+
+describe("Golden interview resume", () => {
+  let app;
+  let mockFirestore;
+  let authToken;
+  let llmRequests;
+  let recapFails;
+
+  const resume = (sessionId = SESSION_ID, token = authToken) =>
+    request(app)
+      .post(`/golden-interview/session/${sessionId}/resume`)
+      .set("Authorization", `Bearer ${token}`)
+      .send({});
+
+  beforeEach(() => {
+    setupTestEnv();
+
+    mockFirestore = createMockFirestore();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+    });
+    authToken = createTestToken();
+    llmRequests = [];
+    recapFails = false;
+
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      SESSION_ID,
+      createTestSession({
+        sessionId: SESSION_ID,
+        turnCount: 3,
+        goldenSchema: GOLDEN_SCHEMA,
+        conversationHistory: [
+          { role: "assistant", content: "What's the role?", timestamp: new Date() },
+          { role: "user", content: "Line Cook", timestamp: new Date() },
+          {
+            role: "assistant",
+            content: "What does it pay?",
+            currentlyAskingField: "financial_reality.base_compensation.amount_or_range",
+            timestamp: new Date(),
+          },
+          { role: "user", content: "$22/hr", timestamp: new Date() },
+          {
+            role: "assistant",
+            content: "How are shifts scheduled?",
+            uiTool: { type: "smart_textarea", props: { title: "Shifts" } },
+            currentlyAskingField: "time_and_life.schedule_pattern.type",
+            timestamp: new Date(),
+          },
+        ],
+        metadata: { completionPercentage: 12, currentPhase: "financial_reality", navigationIndex: 0 },
+        updatedAt: new Date("2026-09-01T10:00:00Z"),
+      })
+    );
+
+    global.fetch = vi.fn(async (url, options) => {
+      if (String(url).includes("/api/llm")) {
+        const body = JSON.parse(options.body);
+        llmRequests.push(body);
+        let payload;
+        if (body.taskType === "golden_resume_recap") {
+          payload = recapFails
+            ? { taskType: body.taskType, result: { error: { reason: "invoke_failed" } } }
+            : { taskType: body.taskType, result: { recap: RECAP } };
+        } else {
+          payload = {
+            taskType: body.taskType,
+            result: {
+              message: "Welcome back! Is the schedule fixed or rotating?",
+              uiTool: { type: "smart_textarea", props: { title: "Schedule" } },
+              currentlyAskingField: "time_and_life.schedule_pattern.type",
+              completionPercentage: 12,
+              interviewPhase: "time_and_life",
+            },
+          };
+        }
+        return {
+          ok: true,
+          status: 200,
+          json: async () => payload,
+          text: async () => JSON.stringify(payload),
+        };
+      }
+      return originalFetch(url, options);
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    mockFirestore._clear();
+  });
+
+  it("lists only the user's unfinished interviews, most recent first", async () => {
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_recent",
+      createTestSession({
+        sessionId: "session_recent",
+        goldenSchema: { role_overview: { job_title: "Barista" } },
+        metadata: { currentPhase: "opening" },
+        updatedAt: new Date("2026-10-01T10:00:00Z"),
+      })
+    );
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_done",
+      createTestSession({ sessionId: "session_done", status: "completed" })
+    );
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_other",
+      createTestSession({ sessionId: "session_other", userId: "someone_else" })
+    );
+
+    const response = await request(app)
+      .get("/golden-interview/sessions/unfinished")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.sessions.map((session) => session.sessionId)).toEqual([
+      "session_recent",
+      SESSION_ID,
+    ]);
+    expect(response.body.sessions[1]).toMatchObject({
+      roleTitle: "Line Cook",
+      perspective: "hiring_manager",
+      turnCount: 3,
+      completionPercentage: 12,
+      currentPhase: "financial_reality",
+      lastActivityAt: "2026-09-01T10:00:00.000Z",
+    });
+    // No reported completion yet: estimated from the schema
+    expect(response.body.sessions[0].completionPercentage).toBe(0);
+  });
+
+  it("recaps the interview and asks a re-entry question for the next priority field", async () => {
+    const response = await resume();
+
+    expect(response.status).toBe(200);
+    const expectedPriorities = identifyMissingFields(GOLDEN_SCHEMA).missing.slice(0, 5);
+    expect(response.body.response).toMatchObject({
+      recap: RECAP,
+      message: "Welcome back! Is the schedule fixed or rotating?",
+      currently_asking_field: "time_and_life.schedule_pattern.type",
+      next_priority_fields: expectedPriorities,
+      completion_percentage: 12,
+      interview_phase: "time_and_life",
+      navigation: { currentIndex: 3, maxIndex: 3, canGoForward: false, isEditing: false },
+    });
+
+    // Recap first, then the interviewer turn with the recap and priorities
+    expect(llmRequests.map((body) => body.taskType)).toEqual([
+      "golden_resume_recap",
+      "golden_interviewer",
+    ]);
+    expect(llmRequests[0].context).toMatchObject({
+      roleTitle: "Line Cook",
+      capturedFields: { "financial_reality.base_compensation.amount_or_range": "$22/hr" },
+      nextPriorityFields: expectedPriorities,
+      lastQuestion: "How are shifts scheduled?",
+    });
+    expect(llmRequests[1].context.resume).toEqual({
+      recap: RECAP,
+      nextPriorityFields: expectedPriorities,
+    });
+
+    const prompt = buildContinueTurnPrompt(llmRequests[1].context);
+    expect(prompt).toContain("USER IS RESUMING THIS INTERVIEW");
+    expect(prompt).toContain(`1. ${expectedPriorities[0]}`);
+    expect(prompt).not.toContain("### User's Input");
+
+    const stored = await mockFirestore.getDocument("golden_interview_sessions", SESSION_ID);
+    expect(stored.turnCount).toBe(4);
+    expect(stored.conversationHistory.at(-1)).toMatchObject({
+      role: "assistant",
+      content: "Welcome back! Is the schedule fixed or rotating?",
+      currentlyAskingField: "time_and_life.schedule_pattern.type",
+    });
+    expect(stored.metadata).toMatchObject({
+      navigationIndex: null,
+      lastAskedField: "time_and_life.schedule_pattern.type",
+    });
+    expect(stored.metadata.resumedAt).toBeTruthy();
+  });
+
+  it("falls back to a schema recap and rejects completed or other users' sessions", async () => {
+    recapFails = true;
+    const response = await resume();
+
+    expect(response.status).toBe(200);
+    expect(response.body.response.recap).toContain("You're about 12% through this interview.");
+    expect(response.body.response.recap).toContain("role overview, financial reality");
+
+    const otherUser = await resume(SESSION_ID, createTestToken({ userId: "someone_else" }));
+    expect(otherUser.status).toBe(403);
+
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_done",
+      createTestSession({ sessionId: "session_done", status: "completed" })
+    );
+    const completed = await resume("session_done");
+    expect(completed.status).toBe(400);
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * @file golden-job-draft.test.js
+ * Integration tests for turning a golden interview into a wizard job draft.
+ *
+ * These tests verify:
+ * 1. POST /golden-interview/session/:id/complete with createJobDraft maps the
+ *    golden schema onto intake fields and links the draft to the session
+ * 2. Repeated calls return the same draft
+ * 3. Refine and channel prompts receive the compacted golden context
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { compactGoldenSchema } from "../services/golden-context.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestJob,
+  createTestSession,
+} from "./test-helpers.js";
+
+vi.mock("../services/llm-usage-ledger.js", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    recordLlmUsageFromResult: vi.fn(async () => {}),
+    recordLlmUsage: vi.fn(async () => {}),
+  };
+});
+
+const GOLDEN_SCHEMA = {
+  role_overview: {
+    job_title: "Line Cook",
+    company_name: "Harbor Kitchen",
+    location_type: "on_site",
+    location_city: "Portland",
+    location_state: "OR",
+    employment_type: "part_time",
+    role_summary: "Run the grill station during dinner service.",
+  },
+  role_content: {
+    key_responsibilities: ["Prep the grill station", "Plate dishes to spec"],
+    must_haves: ["Food handler card"],
+    required_skills: ["Knife skills"],
+  },
+  financial_reality: {
+    base_compensation: {
+      amount_or_range: "$22-$26",
+      pay_frequency: "hourly",
+      currency: "USD",
+    },
+    hidden_financial_value: { meals_provided: true, meals_details: "Family meal every shift" },
+  },
+  stability_signals: {
+    benefits_security: { health_insurance: true, dental: null },
+  },
+  time_and_life: { schedule_pattern: { type: null } },
+  extraction_metadata: { seniority_detected: "junior", industry_detected: "hospitality" },
+};
+
+describe("Golden interview → wizard job draft", () => {
+  let app;
+  let mockFirestore;
+  let mockLlmClient;
+  let authToken;
+
+  beforeEach(() => {
+    setupTestEnv();
+
+    mockFirestore = createMockFirestore();
+    mockLlmClient = createMockLlmClient();
+
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: mockLlmClient,
+    });
+
+    authToken = createTestToken();
+
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_test_1",
+      createTestSession({
+        status: "completed",
+        goldenSchema: GOLDEN_SCHEMA,
+        metadata: { completionPercentage: 90, currentPhase: "complete" },
+      })
+    );
+  });
+
+  afterEach(() => {
+    mockFirestore._clear();
+  });
+
+  describe("POST /golden-interview/session/:sessionId/complete", () => {
+    it("creates a draft with intake fields mapped from the golden schema", async () => {
+      const response = await request(app)
+        .post("/golden-interview/session/session_test_1/complete")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ createJobDraft: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body.jobDraft).toMatchObject({
+        created: true,
+        goldenSessionId: "session_test_1",
+        requiredComplete: true,
+      });
+      expect(response.body.jobDraft.intake).toMatchObject({
+        roleTitle: "Line Cook",
+        companyName: "Harbor Kitchen",
+        location: "Portland, OR",
+        workModel: "on_site",
+        employmentType: "part_time",
+        seniorityLevel: "entry",
+        coreDuties: ["Prep the grill station", "Plate dishes to spec"],
+        mustHaves: ["Food handler card", "Knife skills"],
+        benefits: ["Health insurance", "Family meal every shift"],
+        salary: "$22-$26",
+        salaryPeriod: "hourly",
+        currency: "USD",
+      });
+
+      const { jobId } = response.body.jobDraft;
+      const job = await mockFirestore.getDocument("jobs", jobId);
+      expect(job.goldenSessionId).toBe("session_test_1");
+
+      const session = await mockFirestore.getDocument(
+        "golden_interview_sessions",
+        "session_test_1"
+      );
+      expect(session.jobId).toBe(jobId);
+    });
+
+    it("returns the existing draft on repeated calls", async () => {
+      const first = await request(app)
+        .post("/golden-interview/session/session_test_1/complete")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ createJobDraft: true });
+      const second = await request(app)
+        .post("/golden-interview/session/session_test_1/complete")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ createJobDraft: true });
+
+      expect(second.status).toBe(200);
+      expect(second.body.jobDraft).toMatchObject({
+        jobId: first.body.jobDraft.jobId,
+        created: false,
+      });
+    });
+
+    it("still rejects completing a finished session without createJobDraft", async () => {
+      const response = await request(app)
+        .post("/golden-interview/session/session_test_1/complete")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe("golden context in downstream prompts", () => {
+    beforeEach(() => {
+      mockFirestore._seedDocument(
+        "jobs",
+        "job_test_1",
+        createTestJob({ goldenSessionId: "session_test_1" })
+      );
+    });
+
+    it("passes the compacted golden schema to refine", async () => {
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ taskType: "refine", context: { jobId: "job_test_1", forceRefresh: true } });
+
+      expect(response.status).toBe(200);
+      const context = mockLlmClient.askRefineJob.mock.calls[0][0];
+      expect(context.goldenContext).toEqual(compactGoldenSchema(GOLDEN_SCHEMA));
+      // Unanswered fields and bookkeeping never reach the prompt
+      expect(context.goldenContext).not.toHaveProperty("time_and_life");
+      expect(context.goldenContext).not.toHaveProperty("extraction_metadata");
+    });
+
+    it("passes the golden schema to channel recommendations", async () => {
+      mockLlmClient.askChannelRecommendations.mockResolvedValueOnce({
+        recommendations: [{ channel: "INDEED", reason: "Hourly kitchen roles" }],
+      });
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${authToken}`)
+        .send({ taskType: "channels", context: { jobId: "job_test_1" } });
+
+      expect(response.status).toBe(200);
+      const context = mockLlmClient.askChannelRecommendations.mock.calls[0][0];
+      expect(context.goldenContext.role_overview.job_title).toBe("Line Cook");
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * @file golden-media-upload.test.js
+ * Integration tests for workplace photo/video uploads in golden interviews.
+ *
+ * These tests verify:
+ * 1. Uploads are stored through the media storage, captioned with
+ *    image_caption and linked under environment.physical_space.media
+ * 2. Invalid uploads, other users' sessions and other guests' sessions are rejected
+ * 3. Stored media reach hero image and video storyboard prompts as reference imagery
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import sharp from "sharp";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { createLocalMediaStorage } from "../services/media-storage.js";
+import { loadGoldenReferenceMedia } from "../services/golden-context.js";
+import { buildImagePromptInstructions } from "../llm/prompts/image.js";
+import { buildVideoStoryboardPrompt } from "../llm/prompts/video-storyboard.js";
+import { resolveVideoSpec } from "@wizard/core";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestSession,
+} from "./test-helpers.js";
+
+const originalFetch = global.fetch;
+
+const SESSION_ID = "session_media";
+const CAPTION = "Open kitchen with stainless prep stations and a pass to the dining room.";
+
+describe("Golden interview media uploads", () => {
+  let app;
+  let mockFirestore;
+  let storageDir;
+  let authToken;
+  let llmRequests;
+  let captionFails;
+
+  const upload = (buffer, { contentType, token = authToken, sessionId = SESSION_ID, guest = false }) =>
+    request(app)
+      .post(`/golden-interview${guest ? "/guest" : ""}/session/${sessionId}/media?filename=kitchen.png`)
+      .set("Authorization", `Bearer ${token}`)
+      .set("Content-Type", contentType)
+      .send(buffer);
+
+  beforeEach(() => {
+    setupTestEnv();
+
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "golden-media-"));
+    mockFirestore = createMockFirestore();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+      mediaStorage: createLocalMediaStorage({ rootDir: storageDir }),
+    });
+    authToken = createTestToken();
+    llmRequests = [];
+    captionFails = false;
+
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      SESSION_ID,
+      createTestSession({
+        sessionId: SESSION_ID,
+        goldenSchema: {
+          role_overview: { job_title: "Line Cook" },
+          environment: { physical_space: { type: "restaurant" } },
+        },
+      })
+    );
+
+    global.fetch = vi.fn(async (url, options) => {
+      if (String(url).includes("/api/llm")) {
+        const body = JSON.parse(options.body);
+        llmRequests.push(body);
+        const payload = captionFails
+          ? { taskType: body.taskType, result: { error: { reason: "invoke_failed" } } }
+          : { taskType: body.taskType, result: { caption: CAPTION, hashtags: [] } };
+        return {
+          ok: true,
+          status: 200,
+          json: async () => payload,
+          text: async () => JSON.stringify(payload),
+        };
+      }
+      return originalFetch(url, options);
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    mockFirestore._clear();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  const samplePhoto = () =>
+    sharp({ create: { width: 16, height: 12, channels: 3, background: "#c0c8d0" } })
+      .png()
+      .toBuffer();
+
+  it("stores, captions and links uploaded photos and videos", async () => {
+    const photo = await samplePhoto();
+    const response = await upload(photo, { contentType: "image/png" });
+
+    expect(response.status).toBe(201);
+    const { media } = response.body;
+    expect(media).toMatchObject({
+      media_type: "image",
+      content_type: "image/png",
+      filename: "kitchen.png",
+      caption: CAPTION,
+    });
+    expect(media.url).toBe(`/media-assets/golden-interviews/${SESSION_ID}/${media.media_id}.png`);
+
+    // Captioned from the (downscaled) photo itself
+    const captionRequest = llmRequests.find((body) => body.taskType === "image_caption");
+    expect(captionRequest.context.images[0].mimeType).toBe("image/jpeg");
+    expect(captionRequest.context.workplaceMedia).toMatchObject({
+      roleTitle: "Line Cook",
+      spaceType: "restaurant",
+    });
+
+    // Served from the local storage
+    const served = await request(app).get(media.url);
+    expect(served.status).toBe(200);
+    expect(Buffer.compare(served.body, photo)).toBe(0);
+
+    // Videos are stored without a caption
+    const video = await upload(Buffer.from("not-really-a-video"), { contentType: "video/mp4" });
+    expect(video.status).toBe(201);
+    expect(video.body.media).toMatchObject({ media_type: "video", caption: null });
+    expect(llmRequests.filter((body) => body.taskType === "image_caption")).toHaveLength(1);
+
+    // A failed caption does not fail the upload
+    captionFails = true;
+    const uncaptioned = await upload(photo, { contentType: "image/png" });
+    expect(uncaptioned.status).toBe(201);
+    expect(uncaptioned.body.media.caption).toBeNull();
+
+    const session = await mockFirestore.getDocument("golden_interview_sessions", SESSION_ID);
+    expect(session.goldenSchema.environment.physical_space).toMatchObject({
+      type: "restaurant",
+      media: [
+        { media_id: media.media_id, caption: CAPTION },
+        { media_type: "video" },
+        { caption: null },
+      ],
+    });
+  });
+
+  it("rejects invalid uploads and sessions the caller cannot reach", async () => {
+    const unsupported = await upload(Buffer.from("%PDF-1.4"), { contentType: "application/pdf" });
+    expect(unsupported.status).toBe(415);
+
+    const empty = await upload(Buffer.alloc(0), { contentType: "image/png" });
+    expect(empty.status).toBe(400);
+
+    const otherUser = await upload(await samplePhoto(), {
+      contentType: "image/png",
+      token: createTestToken({ userId: "someone_else" }),
+    });
+    expect(otherUser.status).toBe(403);
+
+    // Guests only reach the invite's session
+    const invite = await request(app)
+      .post("/golden-interview/invites")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ sessionId: SESSION_ID });
+    expect(invite.status).toBe(201);
+    const guestUpload = await upload(await samplePhoto(), {
+      contentType: "image/png",
+      token: invite.body.token,
+      guest: true,
+    });
+    expect(guestUpload.status).toBe(201);
+    const otherSession = await upload(await samplePhoto(), {
+      contentType: "image/png",
+      token: invite.body.token,
+      sessionId: "session_other",
+      guest: true,
+    });
+    expect(otherSession.status).toBe(403);
+  });
+
+  it("uses uploaded media as reference imagery for image and video prompts", async () => {
+    await upload(await samplePhoto(), { contentType: "image/png" });
+    await upload(Buffer.from("clip"), { contentType: "video/mp4" });
+
+    const referenceMedia = await loadGoldenReferenceMedia({
+      firestore: mockFirestore,
+      job: { id: "job_1", goldenSessionId: SESSION_ID },
+    });
+    expect(referenceMedia).toEqual([
+      expect.objectContaining({ mediaType: "image", caption: CAPTION }),
+      expect.objectContaining({ mediaType: "video", caption: null }),
+    ]);
+    expect(
+      await loadGoldenReferenceMedia({ firestore: mockFirestore, job: { id: "job_2" } })
+    ).toEqual([]);
+
+    const imagePrompt = JSON.parse(
+      buildImagePromptInstructions({
+        refinedJob: { title: "Line Cook" },
+        referenceImagery: referenceMedia,
+      })
+    );
+    // Only captioned photos describe anything
+    expect(imagePrompt.referenceImagery).toEqual([
+      { description: CAPTION, url: referenceMedia[0].url },
+    ]);
+
+    const storyboardPrompt = JSON.parse(
+      buildVideoStoryboardPrompt({
+        jobSnapshot: { title: "Line Cook" },
+        spec: resolveVideoSpec("TIKTOK_LEAD"),
+        channelName: "TikTok",
+        referenceMedia,
+      })
+    );
+    expect(storyboardPrompt.reference_imagery).toEqual([
+      { type: "image", url: referenceMedia[0].url, description: CAPTION },
+      { type: "video", url: referenceMedia[1].url, description: null },
+    ]);
+  });
+});
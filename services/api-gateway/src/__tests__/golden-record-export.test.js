@@ -0,0 +1,167 @@
+/**
+ * @file golden-record-export.test.js
+ * Integration tests for candidate-facing golden record exports.
+ *
+ * These tests verify:
+ * 1. JSON exports omit sensitive fields unless includeSensitive=true
+ * 2. Markdown and HTML pages are grouped by top-level section
+ * 3. PDF exports are real PDFs; other users cannot export the session
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestSession,
+} from "./test-helpers.js";
+
+const SESSION_ID = "session_export";
+
+describe("Golden record export", () => {
+  let app;
+  let mockFirestore;
+  let authToken;
+
+  const exportRecord = (query, token = authToken) =>
+    request(app)
+      .get(`/golden-interview/session/${SESSION_ID}/export`)
+      .query(query)
+      .set("Authorization", `Bearer ${token}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => callback(null, Buffer.concat(chunks)));
+      });
+
+  beforeEach(() => {
+    setupTestEnv();
+
+    mockFirestore = createMockFirestore();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+    });
+    authToken = createTestToken();
+
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      SESSION_ID,
+      createTestSession({
+        sessionId: SESSION_ID,
+        goldenSchema: {
+          role_overview: { job_title: "Line Cook", company_name: "Harbor Grill" },
+          financial_reality: {
+            base_compensation: { amount_or_range: "$22/hr", pay_frequency: "hourly" },
+            payment_reliability: { payment_method: "direct_deposit" },
+          },
+          time_and_life: { schedule_pattern: { type: "rotating", weekend_frequency: "most" } },
+          environment: {
+            physical_space: {
+              type: "restaurant",
+              media: [
+                {
+                  media_id: "media_1",
+                  media_type: "image",
+                  url: "/media-assets/golden-interviews/session_export/media_1.jpg",
+                  caption: "Open kitchen <with> a pass",
+                },
+              ],
+            },
+          },
+          humans_and_culture: { turnover_context: { tenure_average: "2 years" } },
+          user_context: { name: "Sam" },
+        },
+      })
+    );
+  });
+
+  afterEach(() => {
+    mockFirestore._clear();
+  });
+
+  it("omits sensitive fields from JSON exports unless opted in", async () => {
+    const response = await exportRecord({ format: "json" });
+
+    expect(response.status).toBe(200);
+    expect(response.headers["content-type"]).toContain("application/json");
+    expect(response.headers["content-disposition"]).toBe(
+      'attachment; filename="role-reality-line-cook.json"'
+    );
+    const exported = JSON.parse(response.body.toString("utf8"));
+    expect(exported).toMatchObject({
+      sessionId: SESSION_ID,
+      title: "Line Cook",
+      companyName: "Harbor Grill",
+      includeSensitive: false,
+    });
+    expect(exported.omittedSensitiveFields).toEqual([
+      "financial_reality.base_compensation",
+      "humans_and_culture.turnover_context",
+    ]);
+    expect(exported.goldenRecord.financial_reality).toEqual({
+      payment_reliability: { payment_method: "direct_deposit" },
+    });
+    // The section holding only sensitive fields is gone; bookkeeping never ships
+    expect(exported.goldenRecord.humans_and_culture).toBeUndefined();
+    expect(exported.goldenRecord.user_context).toBeUndefined();
+
+    const optedIn = JSON.parse(
+      (await exportRecord({ format: "json", includeSensitive: "true" })).body.toString("utf8")
+    );
+    expect(optedIn.omittedSensitiveFields).toEqual([]);
+    expect(optedIn.goldenRecord.financial_reality.base_compensation).toEqual({
+      amount_or_range: "$22/hr",
+      pay_frequency: "hourly",
+    });
+  });
+
+  it("renders markdown and HTML pages grouped by section", async () => {
+    const markdown = await exportRecord({ format: "markdown" });
+    expect(markdown.status).toBe(200);
+    expect(markdown.headers["content-type"]).toContain("text/markdown");
+    const text = markdown.body.toString("utf8");
+    expect(text).toContain("# What it's really like: Line Cook at Harbor Grill");
+    expect(text.indexOf("## The Role")).toBeLessThan(text.indexOf("## Time & Life"));
+    expect(text).toContain("- **Payment method:** Direct deposit");
+    expect(text).toContain("**Weekend frequency:** most");
+    expect(text).not.toContain("$22/hr");
+    // Media link to the absolute asset URL
+    expect(text).toMatch(
+      /!\[Open kitchen <with> a pass\]\(http:\/\/127\.0\.0\.1:\d+\/media-assets\/golden-interviews\/session_export\/media_1\.jpg\)/
+    );
+
+    const html = await exportRecord({ format: "html", includeSensitive: "true" });
+    expect(html.status).toBe(200);
+    expect(html.headers["content-type"]).toContain("text/html");
+    expect(html.headers["content-disposition"]).toMatch(/^inline;/);
+    const page = html.body.toString("utf8");
+    expect(page).toContain("<h2>Pay &amp; Financial Reality</h2>");
+    expect(page).toContain("$22/hr");
+    expect(page).toContain("<figcaption>Open kitchen &lt;with&gt; a pass</figcaption>");
+  });
+
+  it("exports PDFs and rejects other users and unknown formats", async () => {
+    const pdf = await exportRecord({ format: "pdf" });
+    expect(pdf.status).toBe(200);
+    expect(pdf.headers["content-type"]).toBe("application/pdf");
+    expect(pdf.body.subarray(0, 5).toString("latin1")).toBe("%PDF-");
+
+    const otherUser = await exportRecord(
+      { format: "json" },
+      createTestToken({ userId: "someone_else" })
+    );
+    expect(otherUser.status).toBe(403);
+
+    const unknown = await exportRecord({ format: "docx" });
+    expect(unknown.status).toBe(400);
+  });
+});
@@ -0,0 +1,279 @@
+/**
+ * @file golden-role-rules.test.js
+ * Integration tests for per-company role archetypes and field relevance rules.
+ *
+ * These tests verify:
+ * 1. Companies can add archetypes (built on a built-in one) and override field
+ *    relevance, and the preview shows which fields a sample role would get
+ * 2. Removed overrides stay removed on the next read
+ * 3. Invalid rules and other users' companies are rejected
+ * 4. Interview turns send the company's rules to the prompt, which detects
+ *    the archetype from the merged set
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { buildContinueTurnPrompt } from "../golden-interviewer/prompts.js";
+import { mergeRoleRules, detectRoleArchetype } from "../golden-interviewer/role-archetypes.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestSession,
+  TEST_USER_ID,
+} from "./test-helpers.js";
+
+const originalFetch = global.fetch;
+
+const COMPANY_ID = "company_clinic";
+const LANGUAGES = "role_content.languages_required";
+
+const NURSING = {
+  label: "Nursing",
+  keywords: ["nurse", "rn", "lpn"],
+  baseArchetype: "hourly_skilled",
+};
+
+function seedCompanies(mockFirestore) {
+  mockFirestore._seedDocument("users", TEST_USER_ID, {
+    profile: { companyIds: [COMPANY_ID] },
+  });
+  mockFirestore._seedDocument("companies", COMPANY_ID, {
+    name: "Riverside Clinic",
+    primaryDomain: "riverside.example",
+  });
+  mockFirestore._seedDocument("companies", "company_other", {
+    name: "Other Co",
+    primaryDomain: "other.example",
+  });
+}
+
+describe("Golden interview role rules", () => {
+  let app;
+  let mockFirestore;
+  let authToken;
+  let llmRequests;
+
+  const patchRules = (body, companyId = COMPANY_ID) =>
+    request(app)
+      .patch(`/golden-interview/companies/${companyId}/role-rules`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(body);
+
+  const preview = (body) =>
+    request(app)
+      .post(`/golden-interview/companies/${COMPANY_ID}/role-rules/preview`)
+      .set("Authorization", `Bearer ${authToken}`)
+      .send(body);
+
+  beforeEach(() => {
+    setupTestEnv();
+
+    mockFirestore = createMockFirestore();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+    });
+    authToken = createTestToken();
+    llmRequests = [];
+    seedCompanies(mockFirestore);
+
+    global.fetch = vi.fn(async (url, options) => {
+      if (String(url).includes("/api/llm")) {
+        llmRequests.push(JSON.parse(options.body));
+        const payload = {
+          taskType: "golden_interviewer",
+          result: {
+            message: "Which certifications are required?",
+            uiTool: { type: "smart_textarea", props: { title: "Certifications" } },
+            extraction: { updates: {} },
+            completionPercentage: 20,
+            interviewPhase: "role_content",
+          },
+        };
+        return {
+          ok: true,
+          status: 200,
+          json: async () => payload,
+          text: async () => JSON.stringify(payload),
+        };
+      }
+      return originalFetch(url, options);
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    mockFirestore._clear();
+  });
+
+  it("adds company archetypes and previews the fields a role would get", async () => {
+    const before = await preview({ roleTitle: "Registered Nurse", payFrequency: "hourly" });
+    expect(before.status).toBe(200);
+    expect(before.body.preview.archetype.id).not.toBe("clinical_nursing");
+
+    // Unsaved rules can be previewed before saving
+    const draft = await preview({
+      roleTitle: "Registered Nurse",
+      payFrequency: "hourly",
+      rules: { archetypes: { clinical_nursing: NURSING } },
+    });
+    expect(draft.body.preview.archetype).toEqual({ id: "clinical_nursing", label: "Nursing" });
+
+    const updated = await patchRules({
+      archetypes: {
+        clinical_nursing: NURSING,
+        // Built-in archetypes can be edited too
+        hourly_service: { keywords: ["cashier", "barista"] },
+      },
+      fieldRelevance: { [LANGUAGES]: { clinical_nursing: "required" } },
+    });
+    expect(updated.status).toBe(200);
+    const archetypes = Object.fromEntries(
+      updated.body.roleRules.archetypes.map((archetype) => [archetype.id, archetype])
+    );
+    expect(archetypes.clinical_nursing).toMatchObject({
+      label: "Nursing",
+      payType: "hourly",
+      equityRelevant: false,
+      source: "company",
+    });
+    expect(archetypes.hourly_service).toMatchObject({
+      label: "Hourly Service Role",
+      keywords: ["cashier", "barista"],
+      source: "override",
+    });
+    expect(archetypes.executive.source).toBe("default");
+    // Relevance is inherited from the base archetype unless overridden
+    expect(updated.body.roleRules.fieldRelevance["financial_reality.equity"].clinical_nursing).toBe(
+      "skip"
+    );
+    expect(updated.body.roleRules.fieldRelevance[LANGUAGES]).toMatchObject({
+      clinical_nursing: "required",
+      hourly_skilled: "optional",
+    });
+
+    const saved = await preview({ roleTitle: "Registered Nurse", payFrequency: "hourly" });
+    expect(saved.body.preview.archetype.id).toBe("clinical_nursing");
+    expect(saved.body.preview.fields.required).toContain(LANGUAGES);
+    expect(saved.body.preview.fields.skip).toContain("financial_reality.equity.offered");
+
+    // Removing the archetype drops its relevance overrides
+    const removed = await patchRules({ archetypes: { clinical_nursing: null } });
+    expect(removed.status).toBe(200);
+    expect(removed.body.roleRules.overrides.fieldRelevance).toEqual({});
+    expect(removed.body.roleRules.archetypes.map((archetype) => archetype.id)).not.toContain(
+      "clinical_nursing"
+    );
+  });
+
+  it("keeps removed overrides removed on the next read", async () => {
+    const created = await patchRules({
+      archetypes: {
+        clinical_nursing: NURSING,
+        hourly_service: { keywords: ["cashier", "barista"] },
+      },
+      fieldRelevance: {
+        [LANGUAGES]: { clinical_nursing: "required", hourly_service: "skip" },
+        "financial_reality.equity": { hourly_service: "optional" },
+      },
+    });
+    expect(created.status).toBe(200);
+
+    const removed = await patchRules({
+      archetypes: { hourly_service: null },
+      fieldRelevance: {
+        [LANGUAGES]: { hourly_service: null },
+        "financial_reality.equity": null,
+      },
+    });
+    expect(removed.status).toBe(200);
+
+    const reloaded = await request(app)
+      .get(`/golden-interview/companies/${COMPANY_ID}/role-rules`)
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(reloaded.status).toBe(200);
+    expect(reloaded.body.roleRules.overrides).toEqual({
+      archetypes: { clinical_nursing: NURSING },
+      fieldRelevance: { [LANGUAGES]: { clinical_nursing: "required" } },
+    });
+    const hourlyService = reloaded.body.roleRules.archetypes.find(
+      (archetype) => archetype.id === "hourly_service"
+    );
+    expect(hourlyService).toMatchObject({ source: "default", label: "Hourly Service Role" });
+    expect(hourlyService.keywords).not.toEqual(["cashier", "barista"]);
+  });
+
+  it("rejects invalid rules and other users' companies", async () => {
+    const unknownField = await patchRules({
+      fieldRelevance: { "financial_reality.nope": { hourly_service: "skip" } },
+    });
+    expect(unknownField.status).toBe(400);
+
+    const unknownArchetype = await patchRules({
+      fieldRelevance: { [LANGUAGES]: { astronaut: "required" } },
+    });
+    expect(unknownArchetype.status).toBe(400);
+
+    const invalidLevel = await patchRules({
+      fieldRelevance: { [LANGUAGES]: { hourly_service: "always" } },
+    });
+    expect(invalidLevel.status).toBe(400);
+
+    const noKeywords = await patchRules({ archetypes: { farm_seasonal: { label: "Farm" } } });
+    expect(noKeywords.status).toBe(400);
+
+    const badBase = await patchRules({
+      archetypes: { farm_seasonal: { label: "Farm", keywords: ["harvest"], baseArchetype: "farm" } },
+    });
+    expect(badBase.status).toBe(400);
+
+    const otherCompany = await request(app)
+      .get("/golden-interview/companies/company_other/role-rules")
+      .set("Authorization", `Bearer ${authToken}`);
+    expect(otherCompany.status).toBe(404);
+  });
+
+  it("sends company rules to the interviewer prompt", async () => {
+    await patchRules({ archetypes: { clinical_nursing: NURSING } });
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_nurse",
+      createTestSession({
+        sessionId: "session_nurse",
+        companyId: COMPANY_ID,
+        turnCount: 2,
+        goldenSchema: {
+          companyId: COMPANY_ID,
+          role_overview: { job_title: "Night Shift Nurse" },
+        },
+      })
+    );
+
+    const response = await request(app)
+      .post("/golden-interview/chat")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ sessionId: "session_nurse", userMessage: "Mostly nights" });
+    expect(response.status).toBe(200);
+
+    const turnRequest = llmRequests.find((body) => body.taskType === "golden_interviewer");
+    expect(turnRequest.context.roleRules.archetypes.clinical_nursing).toMatchObject(NURSING);
+
+    const prompt = buildContinueTurnPrompt({
+      userMessage: "Mostly nights",
+      currentSchema: turnRequest.context.currentSchema,
+      turnNumber: 3,
+      roleRules: turnRequest.context.roleRules,
+    });
+    expect(prompt).toContain("Nursing");
+    expect(
+      detectRoleArchetype({ roleTitle: "Night Shift Nurse", rules: mergeRoleRules(null) })
+    ).not.toBe("clinical_nursing");
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * @file golden-stakeholders.test.js
+ * Integration tests for multi-stakeholder golden interviews.
+ *
+ * These tests verify:
+ * 1. POST /golden-interview/start with linkedSessionId groups the sessions
+ *    and tags the respondent's perspective
+ * 2. GET /golden-interview/groups/:groupId reports agreement and conflicts
+ * 3. Conflicts must be picked or blended before the group completes into
+ *    one golden record; a null resolution clears the stored choice
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestSession,
+  TEST_USER_ID,
+} from "./test-helpers.js";
+
+const originalFetch = global.fetch;
+
+const mockLlmApiResponse = {
+  taskType: "golden_interviewer",
+  result: {
+    message: "What does a typical shift look like for you?",
+    uiTool: { type: "smart_textarea", props: { title: "Typical shift" } },
+    extraction: { updates: {} },
+    completionPercentage: 5,
+    interviewPhase: "opening",
+  },
+};
+
+function managerSchema() {
+  return {
+    role_overview: { job_title: "Line Cook", location_type: "on_site" },
+    humans_and_culture: { team_composition: { team_size: 6 } },
+    role_reality: { pain_points_honesty: { challenges: "Friday rushes" } },
+  };
+}
+
+function employeeSchema() {
+  return {
+    role_overview: { job_title: "line cook ", location_type: "on_site" },
+    humans_and_culture: { team_composition: { team_size: 4 } },
+    role_reality: {
+      pain_points_honesty: { challenges: "Short-staffed weekends", frustrations_common: "Broken fryer" },
+    },
+  };
+}
+
+describe("Multi-stakeholder golden interviews", () => {
+  let app;
+  let mockFirestore;
+  let authToken;
+
+  beforeEach(() => {
+    setupTestEnv();
+
+    mockFirestore = createMockFirestore();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+    });
+    authToken = createTestToken();
+
+    global.fetch = vi.fn(async (url, options) => {
+      if (String(url).includes("/api/llm")) {
+        return {
+          ok: true,
+          status: 200,
+          json: async () => mockLlmApiResponse,
+          text: async () => JSON.stringify(mockLlmApiResponse),
+        };
+      }
+      return originalFetch(url, options);
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    mockFirestore._clear();
+  });
+
+  function seedGroup({ status = "open", resolutions = {} } = {}) {
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_manager",
+      createTestSession({
+        sessionId: "session_manager",
+        status: "completed",
+        perspective: "hiring_manager",
+        groupId: "group_1",
+        goldenSchema: managerSchema(),
+      })
+    );
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_employee",
+      createTestSession({
+        sessionId: "session_employee",
+        status: "completed",
+        perspective: "current_employee",
+        groupId: "group_1",
+        goldenSchema: employeeSchema(),
+      })
+    );
+    mockFirestore._seedDocument("golden_interview_groups", "group_1", {
+      groupId: "group_1",
+      userId: TEST_USER_ID,
+      companyId: null,
+      sessionIds: ["session_manager", "session_employee"],
+      resolutions,
+      status,
+      mergedSchema: null,
+    });
+  }
+
+  it("links a new perspective to an existing session", async () => {
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_manager",
+      createTestSession({ sessionId: "session_manager", goldenSchema: managerSchema() })
+    );
+
+    const response = await request(app)
+      .post("/golden-interview/start")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ perspective: "current_employee", linkedSessionId: "session_manager" });
+
+    expect(response.status).toBe(200);
+    const { sessionId, groupId } = response.body;
+    expect(groupId).toEqual(expect.any(String));
+
+    const session = await mockFirestore.getDocument("golden_interview_sessions", sessionId);
+    expect(session).toMatchObject({ perspective: "current_employee", groupId });
+    expect(session.goldenSchema.user_context.respondent_perspective).toBe("current_employee");
+    // Role basics carry over so the employee is not asked for them again
+    expect(session.goldenSchema.role_overview.job_title).toBe("Line Cook");
+
+    const group = await mockFirestore.getDocument("golden_interview_groups", groupId);
+    expect(group.sessionIds).toEqual(["session_manager", sessionId]);
+    const primary = await mockFirestore.getDocument("golden_interview_sessions", "session_manager");
+    expect(primary.groupId).toBe(groupId);
+  });
+
+  it("reports per-field agreement and conflict", async () => {
+    seedGroup();
+
+    const response = await request(app)
+      .get("/golden-interview/groups/group_1")
+      .set("Authorization", `Bearer ${authToken}`);
+
+    expect(response.status).toBe(200);
+    const byPath = Object.fromEntries(response.body.merge.fields.map((field) => [field.path, field]));
+    expect(byPath["role_overview.job_title"]).toMatchObject({ status: "agreed", value: "Line Cook" });
+    expect(byPath["humans_and_culture.team_composition.team_size"]).toMatchObject({
+      status: "conflict",
+      resolved: false,
+      responses: [
+        { sessionId: "session_manager", perspective: "hiring_manager", value: 6 },
+        { sessionId: "session_employee", perspective: "current_employee", value: 4 },
+      ],
+    });
+    expect(byPath["role_reality.pain_points_honesty.frustrations_common"].status).toBe("single");
+    expect(response.body.merge.summary).toMatchObject({ respondents: 2, conflicts: 2, unresolved: 2 });
+  });
+
+  it("requires every conflict to be resolved before completing", async () => {
+    seedGroup();
+
+    const blocked = await request(app)
+      .post("/golden-interview/groups/group_1/complete")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({});
+    expect(blocked.status).toBe(409);
+    expect(blocked.body.error.details.unresolved).toHaveLength(2);
+
+    const invalid = await request(app)
+      .patch("/golden-interview/groups/group_1/resolutions")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ resolutions: { "humans_and_culture.team_composition.team_size": { sessionId: "nope" } } });
+    expect(invalid.status).toBe(400);
+
+    const saved = await request(app)
+      .patch("/golden-interview/groups/group_1/resolutions")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({
+        resolutions: {
+          "humans_and_culture.team_composition.team_size": { sessionId: "session_employee" },
+          "role_reality.pain_points_honesty.challenges": {
+            value: "Friday rushes and short-staffed weekends",
+          },
+        },
+      });
+    expect(saved.status).toBe(200);
+    expect(saved.body.merge.summary.unresolved).toBe(0);
+
+    const completed = await request(app)
+      .post("/golden-interview/groups/group_1/complete")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ createJobDraft: true });
+
+    expect(completed.status).toBe(200);
+    expect(completed.body.status).toBe("completed");
+    expect(completed.body.mergedSchema).toMatchObject({
+      humans_and_culture: { team_composition: { team_size: 4 } },
+      role_reality: {
+        pain_points_honesty: {
+          challenges: "Friday rushes and short-staffed weekends",
+          frustrations_common: "Broken fryer",
+        },
+      },
+    });
+
+    // The primary session now carries the merged record, and the draft links to it
+    const primary = await mockFirestore.getDocument("golden_interview_sessions", "session_manager");
+    expect(primary.goldenSchema.humans_and_culture.team_composition.team_size).toBe(4);
+    expect(primary.individualGoldenSchema.humans_and_culture.team_composition.team_size).toBe(6);
+    expect(completed.body.jobDraft).toMatchObject({
+      goldenSessionId: "session_manager",
+      intake: { roleTitle: "Line Cook" },
+    });
+  });
+
+  it("clears a resolution so the next read reports the conflict again", async () => {
+    const path = "humans_and_culture.team_composition.team_size";
+    seedGroup({
+      resolutions: {
+        [path]: { sessionId: "session_employee" },
+        "role_reality.pain_points_honesty.challenges": { value: "Friday rushes" },
+      },
+    });
+
+    const cleared = await request(app)
+      .patch("/golden-interview/groups/group_1/resolutions")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ resolutions: { [path]: null } });
+    expect(cleared.status).toBe(200);
+
+    const response = await request(app)
+      .get("/golden-interview/groups/group_1")
+      .set("Authorization", `Bearer ${authToken}`);
+    const field = response.body.merge.fields.find((entry) => entry.path === path);
+    expect(field).toMatchObject({ status: "conflict", resolved: false });
+    expect(response.body.merge.summary.unresolved).toBe(1);
+
+    const group = await mockFirestore.getDocument("golden_interview_groups", "group_1");
+    expect(Object.keys(group.resolutions)).toEqual(["role_reality.pain_points_honesty.challenges"]);
+    expect(group).toMatchObject({ userId: TEST_USER_ID, sessionIds: ["session_manager", "session_employee"] });
+  });
+
+  it("denies access to another user's group", async () => {
+    seedGroup();
+
+    const response = await request(app)
+      .get("/golden-interview/groups/group_1")
+      .set("Authorization", `Bearer ${createTestToken({ userId: "someone_else" })}`);
+
+    expect(response.status).toBe(403);
+  });
+});
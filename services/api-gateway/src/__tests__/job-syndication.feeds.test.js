@@ -0,0 +1,261 @@
+/**
+ * @file job-syndication.feeds.test.js
+ * Tests for job board syndication (XML feed + JobPosting JSON-LD).
+ *
+ * These tests verify:
+ * 1. Feeds are public and only list final jobs that are included and unexpired
+ * 2. Generated GENERIC_JOB_POSTING copy is used for the posting body
+ * 3. JSON-LD follows the schema.org JobPosting shape Google for Jobs expects
+ * 4. Owners can exclude a job or set its expiry via PATCH /wizard/:jobId/syndication
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestJob,
+} from "./test-helpers.js";
+
+const COMPANY_ID = "company_acme";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function seedCompany(firestore) {
+  const now = new Date();
+  firestore._seedDocument("companies", COMPANY_ID, {
+    id: COMPANY_ID,
+    primaryDomain: "acme.test",
+    name: "Acme",
+    website: "https://acme.test",
+    hqCountry: "US",
+    createdAt: now,
+    updatedAt: now,
+  });
+}
+
+function seedFinalJob(firestore, jobId, job = {}, updatedAt = new Date()) {
+  firestore._seedDocument("jobs", jobId, createTestJob({ id: jobId, companyId: COMPANY_ID }));
+  firestore._seedDocument("jobFinalJobs", jobId, {
+    id: jobId,
+    jobId,
+    companyId: COMPANY_ID,
+    schema_version: "1",
+    source: "refined",
+    updatedAt,
+    job: {
+      roleTitle: "Warehouse Associate",
+      companyName: "Acme",
+      location: "Austin, TX",
+      employmentType: "full_time",
+      workModel: "on_site",
+      jobDescription: "Keep our Austin warehouse moving.",
+      coreDuties: ["Pick & pack orders"],
+      salary: "18 - 22",
+      salaryPeriod: "hourly",
+      currency: "usd",
+      ...job,
+    },
+  });
+}
+
+describe("Job board syndication", () => {
+  let app;
+  let mockFirestore;
+
+  beforeEach(() => {
+    setupTestEnv();
+    process.env.PUBLIC_WEB_BASE_URL = "https://jobs.example.org";
+    mockFirestore = createMockFirestore();
+    seedCompany(mockFirestore);
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.PUBLIC_WEB_BASE_URL;
+    mockFirestore._clear();
+    vi.restoreAllMocks();
+  });
+
+  // ===========================================================================
+  // GET /feeds/companies/:companyId/jobs.xml
+  // ===========================================================================
+
+  describe("GET /feeds/companies/:companyId/jobs.xml", () => {
+    it("serves an Indeed-style feed without authentication", async () => {
+      seedFinalJob(mockFirestore, "job_a");
+
+      const response = await request(app).get(`/feeds/companies/${COMPANY_ID}/jobs.xml`);
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("application/xml");
+      expect(response.text).toContain("<source>");
+      expect(response.text).toContain("<publisher><![CDATA[Acme]]></publisher>");
+      expect(response.text).toContain("<referencenumber><![CDATA[job_a]]></referencenumber>");
+      expect(response.text).toContain("<url><![CDATA[https://jobs.example.org/jobs/acme.test/job_a]]></url>");
+      expect(response.text).toContain("<city><![CDATA[Austin]]></city>");
+      expect(response.text).toContain("<jobtype><![CDATA[fulltime]]></jobtype>");
+      expect(response.text).toContain("<salary><![CDATA[USD 18-22 per hour]]></salary>");
+      expect(response.text).toContain("<li>Pick &amp; pack orders</li>");
+    });
+
+    it("leaves out excluded and expired jobs", async () => {
+      seedFinalJob(mockFirestore, "job_live");
+      seedFinalJob(mockFirestore, "job_excluded");
+      seedFinalJob(mockFirestore, "job_stale", {}, new Date(Date.now() - 45 * DAY_MS));
+      mockFirestore._seedDocument("jobSyndication", "job_excluded", {
+        id: "job_excluded",
+        jobId: "job_excluded",
+        companyId: COMPANY_ID,
+        included: false,
+        updatedAt: new Date(),
+      });
+
+      const response = await request(app).get(`/feeds/companies/${COMPANY_ID}/jobs.xml`);
+
+      expect(response.text).toContain("job_live");
+      expect(response.text).not.toContain("job_excluded");
+      expect(response.text).not.toContain("job_stale");
+    });
+
+    it("returns 404 for an unknown company", async () => {
+      const response = await request(app).get("/feeds/companies/nope/jobs.xml");
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // ===========================================================================
+  // GET /feeds/jobs/:jobId.jsonld
+  // ===========================================================================
+
+  describe("GET /feeds/jobs/:jobId.jsonld", () => {
+    it("renders schema.org JobPosting from the generated posting copy", async () => {
+      seedFinalJob(mockFirestore, "job_a");
+      const now = new Date();
+      mockFirestore._seedDocument("jobAssets", "asset_1", {
+        id: "asset_1",
+        jobId: "job_a",
+        companyId: COMPANY_ID,
+        ownerUserId: "user_test_123",
+        channelId: "INDEED_SPONSORED",
+        formatId: "GENERIC_JOB_POSTING",
+        artifactType: "text",
+        status: "READY",
+        planId: "plan_1",
+        batchKey: "universal",
+        content: { body: "Join Acme's <fast> team.", bullets: ["Weekly pay"] },
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      const response = await request(app).get("/feeds/jobs/job_a.jsonld");
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("application/ld+json");
+      const jsonLd = JSON.parse(response.text);
+      expect(jsonLd).toMatchObject({
+        "@context": "https://schema.org/",
+        "@type": "JobPosting",
+        title: "Warehouse Associate",
+        employmentType: "FULL_TIME",
+        url: "https://jobs.example.org/jobs/acme.test/job_a",
+        hiringOrganization: { "@type": "Organization", name: "Acme", sameAs: "https://acme.test" },
+        jobLocation: {
+          "@type": "Place",
+          address: { addressLocality: "Austin", addressRegion: "TX", addressCountry: "US" },
+        },
+        baseSalary: {
+          currency: "USD",
+          value: { minValue: 18, maxValue: 22, unitText: "HOUR" },
+        },
+      });
+      expect(jsonLd.description).toBe(
+        "<p>Join Acme's &lt;fast&gt; team.</p><h3>Highlights</h3><ul><li>Weekly pay</li></ul>"
+      );
+      expect(new Date(jsonLd.validThrough).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it("marks remote jobs as TELECOMMUTE", async () => {
+      seedFinalJob(mockFirestore, "job_remote", { workModel: "remote", location: "" });
+
+      const response = await request(app).get("/feeds/jobs/job_remote.jsonld");
+
+      const jsonLd = JSON.parse(response.text);
+      expect(jsonLd.jobLocationType).toBe("TELECOMMUTE");
+      expect(jsonLd.applicantLocationRequirements).toEqual({ "@type": "Country", name: "US" });
+      expect(jsonLd.jobLocation).toBeUndefined();
+    });
+
+    it("returns 404 once the job has expired", async () => {
+      seedFinalJob(mockFirestore, "job_a");
+      mockFirestore._seedDocument("jobSyndication", "job_a", {
+        id: "job_a",
+        jobId: "job_a",
+        companyId: COMPANY_ID,
+        included: true,
+        expiresAt: new Date(Date.now() - 1000),
+        updatedAt: new Date(),
+      });
+
+      const response = await request(app).get("/feeds/jobs/job_a.jsonld");
+      expect(response.status).toBe(404);
+    });
+  });
+
+  // ===========================================================================
+  // PATCH /wizard/:jobId/syndication
+  // ===========================================================================
+
+  describe("PATCH /wizard/:jobId/syndication", () => {
+    it("excludes a job from the feeds", async () => {
+      seedFinalJob(mockFirestore, "job_a");
+
+      const response = await request(app)
+        .patch("/wizard/job_a/syndication")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ included: false });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ jobId: "job_a", included: false, active: false });
+
+      const feed = await request(app).get(`/feeds/companies/${COMPANY_ID}/jobs.xml`);
+      expect(feed.text).not.toContain("job_a");
+    });
+
+    it("sets a custom expiry", async () => {
+      seedFinalJob(mockFirestore, "job_a");
+      const expiresAt = new Date(Date.now() + 7 * DAY_MS).toISOString();
+
+      const response = await request(app)
+        .patch("/wizard/job_a/syndication")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ expiresAt });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ included: true, expiresAt, active: true });
+
+      const jsonLd = JSON.parse((await request(app).get("/feeds/jobs/job_a.jsonld")).text);
+      expect(jsonLd.validThrough).toBe(expiresAt);
+    });
+
+    it("rejects other users' jobs", async () => {
+      seedFinalJob(mockFirestore, "job_a");
+
+      const response = await request(app)
+        .patch("/wizard/job_a/syndication")
+        .set("Authorization", `Bearer ${createTestToken({ userId: "someone_else" })}`)
+        .send({ included: false });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * @file llm-fallback.unit.test.js
+ * Unit tests for provider fallback chains and the per-provider circuit breaker.
+ *
+ * These tests verify:
+ * 1. ProviderSelectionPolicy resolves `fallbacks` into an ordered chain
+ * 2. LlmOrchestrator moves to the next provider when a rate limit opens the circuit
+ * 3. Open circuits are skipped until their cooldown elapses
+ * 4. Usage entries record which fallback served the request
+ */
+
+import { describe, it, expect, vi } from "vitest";
+import { ProviderSelectionPolicy } from "../llm/providers/selection-policy.js";
+import { ProviderCircuitBreaker } from "../llm/providers/circuit-breaker.js";
+import { LlmOrchestrator } from "../llm/orchestrator.js";
+import { recordLlmUsageFromResult } from "../services/llm-usage-ledger.js";
+
+// Mock the logger to avoid console noise during tests
+vi.mock("../llm/logger.js", () => ({
+  llmLogger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const TASK = {
+  system: "system",
+  builder: () => "prompt",
+  parser: (response) => ({ text: response.text, metadata: response.metadata ?? null }),
+  mode: "text",
+  retries: 3,
+};
+
+const CONFIG = {
+  summarize: {
+    provider: "gemini",
+    model: "gemini-pro",
+    fallbacks: [
+      { provider: "anthropic", model: "claude-test" },
+      { provider: "openai", model: "gpt-test" },
+    ],
+  },
+};
+
+function rateLimited() {
+  return new Error("Gemini request failed: RESOURCE_EXHAUSTED (429)");
+}
+
+function createOrchestrator(adapters, breakerOptions = {}) {
+  return new LlmOrchestrator({
+    adapters,
+    policy: new ProviderSelectionPolicy(CONFIG),
+    tasks: { summarize: TASK },
+    circuitBreaker: new ProviderCircuitBreaker(breakerOptions),
+  });
+}
+
+describe("LLM provider fallback", () => {
+  describe("ProviderSelectionPolicy.selectChain", () => {
+    it("returns the primary first, then fallbacks in order without duplicates", () => {
+      const policy = new ProviderSelectionPolicy({
+        summarize: {
+          ...CONFIG.summarize,
+          fallbacks: [...CONFIG.summarize.fallbacks, { provider: "gemini", model: "gemini-pro" }],
+        },
+      });
+
+      expect(policy.selectChain("summarize")).toEqual([
+        { provider: "gemini", model: "gemini-pro" },
+        { provider: "anthropic", model: "claude-test" },
+        { provider: "openai", model: "gpt-test" },
+      ]);
+      expect(policy.select("summarize")).toMatchObject({ provider: "gemini", model: "gemini-pro" });
+    });
+
+    it("rejects fallbacks without a provider or model", () => {
+      const policy = new ProviderSelectionPolicy({
+        summarize: { provider: "gemini", model: "gemini-pro", fallbacks: [{ provider: "openai" }] },
+      });
+
+      expect(() => policy.selectChain("summarize")).toThrow(/fallback 0/);
+    });
+  });
+
+  describe("LlmOrchestrator", () => {
+    it("falls back to the next provider when the primary is rate limited", async () => {
+      const gemini = { invoke: vi.fn(async () => { throw rateLimited(); }) };
+      const anthropic = { invoke: vi.fn(async () => ({ text: "summary", metadata: { totalTokens: 12 } })) };
+
+      const result = await createOrchestrator({ gemini, anthropic }).run("summarize", {});
+
+      // A rate limit opens the circuit at once, so no in-provider retries
+      expect(gemini.invoke).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({
+        provider: "anthropic",
+        model: "claude-test",
+        text: "summary",
+        metadata: {
+          totalTokens: 12,
+          fallback: { index: 1, requestedProvider: "gemini", requestedModel: "gemini-pro" },
+        },
+      });
+    });
+
+    it("skips providers whose adapter is not registered", async () => {
+      const gemini = { invoke: vi.fn(async () => { throw rateLimited(); }) };
+      const openai = { invoke: vi.fn(async () => ({ text: "from openai" })) };
+
+      const result = await createOrchestrator({ gemini, openai }).run("summarize", {});
+
+      expect(result).toMatchObject({
+        provider: "openai",
+        metadata: { fallback: { index: 2 } },
+      });
+    });
+
+    it("skips an open circuit until the cooldown elapses", async () => {
+      let now = 0;
+      const gemini = {
+        invoke: vi
+          .fn()
+          .mockRejectedValueOnce(rateLimited())
+          .mockResolvedValue({ text: "gemini again" }),
+      };
+      const anthropic = { invoke: vi.fn(async () => ({ text: "claude" })) };
+      const orchestrator = createOrchestrator(
+        { gemini, anthropic },
+        { cooldownMs: 60_000, now: () => now }
+      );
+
+      await orchestrator.run("summarize", {});
+      const whileOpen = await orchestrator.run("summarize", {});
+      expect(whileOpen.provider).toBe("anthropic");
+      expect(gemini.invoke).toHaveBeenCalledTimes(1);
+
+      now = 60_000;
+      const afterCooldown = await orchestrator.run("summarize", {});
+      expect(afterCooldown.provider).toBe("gemini");
+      expect(afterCooldown.metadata.fallback.index).toBe(0);
+    });
+
+    it("reports providers_unavailable when every circuit is open", async () => {
+      const breaker = new ProviderCircuitBreaker();
+      breaker.recordFailure("gemini", { rateLimited: true });
+      breaker.recordFailure("anthropic", { rateLimited: true });
+      const gemini = { invoke: vi.fn() };
+      const anthropic = { invoke: vi.fn() };
+      const orchestrator = new LlmOrchestrator({
+        adapters: { gemini, anthropic },
+        policy: new ProviderSelectionPolicy(CONFIG),
+        tasks: { summarize: TASK },
+        circuitBreaker: breaker,
+      });
+
+      const result = await orchestrator.run("summarize", {});
+
+      expect(gemini.invoke).not.toHaveBeenCalled();
+      expect(anthropic.invoke).not.toHaveBeenCalled();
+      expect(result.error.reason).toBe("providers_unavailable");
+    });
+  });
+
+  describe("ProviderCircuitBreaker", () => {
+    it("opens after consecutive failures and re-opens on a failed half-open probe", () => {
+      let now = 0;
+      const breaker = new ProviderCircuitBreaker({
+        failureThreshold: 2,
+        cooldownMs: 1000,
+        now: () => now,
+      });
+
+      expect(breaker.recordFailure("gemini")).toBe(false);
+      expect(breaker.isAvailable("gemini")).toBe(true);
+      expect(breaker.recordFailure("gemini")).toBe(true);
+      expect(breaker.isAvailable("gemini")).toBe(false);
+
+      now = 1000;
+      expect(breaker.isAvailable("gemini")).toBe(true);
+      expect(breaker.recordFailure("gemini")).toBe(true);
+      expect(breaker.isAvailable("gemini")).toBe(false);
+
+      now = 2000;
+      expect(breaker.isAvailable("gemini")).toBe(true);
+      breaker.recordSuccess("gemini");
+      expect(breaker.recordFailure("gemini")).toBe(false);
+    });
+  });
+
+  describe("usage ledger", () => {
+    it("records the fallback that served the request", async () => {
+      const firestore = { recordLlmUsage: vi.fn(async () => {}), getDocument: vi.fn(async () => null) };
+
+      await recordLlmUsageFromResult({
+        firestore,
+        usageContext: { userId: "user_1", taskType: "summarize" },
+        result: {
+          provider: "anthropic",
+          model: "claude-test",
+          metadata: {
+            totalTokens: 12,
+            fallback: { index: 1, requestedProvider: "gemini", requestedModel: "gemini-pro" },
+          },
+        },
+      });
+
+      expect(firestore.recordLlmUsage).toHaveBeenCalledWith(
+        expect.objectContaining({
+          provider: "anthropic",
+          fallbackIndex: 1,
+          requestedProvider: "gemini",
+          requestedModel: "gemini-pro",
+        })
+      );
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @file llm-local-adapter.unit.test.js
+ * Unit tests for the self-hosted OpenAI-compatible adapter (provider "local").
+ *
+ * These tests verify:
+ * 1. JSON mode, structured outputs and tools are only requested from models
+ *    whose capability flags allow them
+ * 2. Prompts beyond the model's context are refused and max_tokens is capped
+ *    to the remaining context
+ * 3. Requests go to `${baseUrl}/chat/completions`, without a key unless configured
+ * 4. A task routed to "local" falls back when the local model cannot serve it
+ * 5. Local calls are priced from the zero-cost rate card
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { z } from "zod";
+import { OpenAICompatibleAdapter } from "../llm/providers/openai-compatible-adapter.js";
+import { ProviderSelectionPolicy } from "../llm/providers/selection-policy.js";
+import { LlmOrchestrator } from "../llm/orchestrator.js";
+import { LOCAL_LLM_MODELS } from "../config/llm-config.js";
+import { resolveTextPricing } from "../config/pricing-rates.js";
+
+vi.mock("../llm/logger.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  llmLogger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+vi.mock("../llm/raw-traffic-logger.js", () => ({
+  logRawTraffic: vi.fn().mockResolvedValue(undefined),
+}));
+
+const MODELS = {
+  "qwen-test": { jsonMode: true, structuredOutputs: true, toolCalling: true, maxContextTokens: 1_000 },
+  "llama-test": { jsonMode: true, structuredOutputs: false, toolCalling: false, maxContextTokens: 100 },
+};
+
+const OUTPUT_SCHEMA = z.object({ title: z.string() });
+
+const TOOLS = [
+  { name: "get_job_snapshot", description: "Return job fields.", inputSchema: z.object({}) },
+];
+
+function createAdapter(options = {}) {
+  return new OpenAICompatibleAdapter({
+    baseUrl: "http://localhost:8000/v1/",
+    models: MODELS,
+    ...options,
+  });
+}
+
+function completion(content) {
+  return new Response(
+    JSON.stringify({
+      choices: [{ message: { content } }],
+      usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 },
+    }),
+    { status: 200, headers: { "Content-Type": "application/json" } }
+  );
+}
+
+describe("OpenAICompatibleAdapter", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("requests JSON features according to each model's capability flags", () => {
+    const adapter = createAdapter();
+    const request = {
+      system: "System.",
+      user: "Suggest a title",
+      mode: "json",
+      outputSchema: OUTPUT_SCHEMA,
+      outputSchemaName: "title",
+    };
+
+    expect(adapter.buildPayload({ ...request, model: "qwen-test" }).response_format).toMatchObject({
+      type: "json_schema",
+    });
+    expect(adapter.buildPayload({ ...request, model: "llama-test" }).response_format).toEqual({
+      type: "json_object",
+    });
+    // Unlisted models only get the prompt's JSON instructions
+    expect(adapter.buildPayload({ ...request, model: "mystery-model" })).not.toHaveProperty(
+      "response_format"
+    );
+
+    expect(adapter.buildPayload({ ...request, model: "qwen-test", tools: TOOLS }).tools).toHaveLength(1);
+    expect(() => adapter.buildPayload({ ...request, model: "llama-test", tools: TOOLS })).toThrow(
+      /does not support tool calling/
+    );
+  });
+
+  it("refuses prompts beyond the context window and caps max_tokens to what is left", () => {
+    const adapter = createAdapter();
+
+    // ~50 prompt tokens of a 100-token context leave 50 for the completion
+    const capped = adapter.buildPayload({ model: "llama-test", user: "x".repeat(200), maxTokens: 800 });
+    expect(capped.max_tokens).toBe(50);
+
+    const roomy = adapter.buildPayload({ model: "qwen-test", user: "x".repeat(200), maxTokens: 300 });
+    expect(roomy.max_tokens).toBe(300);
+
+    expect(() => adapter.buildPayload({ model: "llama-test", user: "x".repeat(400) })).toThrow(
+      /exceeds the 100-token context of local model llama-test/
+    );
+  });
+
+  it("posts to the server's chat completions endpoint with an optional key", async () => {
+    const fetchMock = vi.fn().mockImplementation(async () => completion('{"title":"Line Cook"}'));
+    vi.stubGlobal("fetch", fetchMock);
+
+    const result = await createAdapter().invoke({
+      model: "qwen-test",
+      user: "Suggest a title",
+      mode: "json",
+    });
+
+    expect(result).toMatchObject({
+      json: { title: "Line Cook" },
+      metadata: { promptTokens: 12, responseTokens: 4 },
+    });
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe("http://localhost:8000/v1/chat/completions");
+    expect(init.headers).not.toHaveProperty("Authorization");
+
+    await createAdapter({ apiKey: "local-secret" }).invoke({ model: "qwen-test", user: "Hi" });
+    expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe("Bearer local-secret");
+  });
+
+  it("falls back to a hosted provider when the local model cannot take the prompt", async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal("fetch", fetchMock);
+    const gemini = {
+      invoke: vi.fn().mockResolvedValue({ text: "hosted", metadata: { promptTokens: 300 } }),
+    };
+    const orchestrator = new LlmOrchestrator({
+      adapters: { local: createAdapter(), gemini },
+      policy: new ProviderSelectionPolicy({
+        summarize: {
+          provider: "local",
+          model: "llama-test",
+          fallbacks: [{ provider: "gemini", model: "gemini-pro" }],
+        },
+      }),
+      tasks: {
+        summarize: {
+          system: "system",
+          builder: () => "x".repeat(1_000),
+          parser: (response) => ({ text: response.text }),
+          mode: "text",
+          retries: 1,
+        },
+      },
+    });
+
+    const result = await orchestrator.run("summarize", {});
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ provider: "gemini", text: "hosted" });
+  });
+
+  it("prices local models at zero cost and ships capabilities for the configured models", () => {
+    expect(resolveTextPricing("local", "qwen2.5-14b-instruct")).toMatchObject({
+      inputUsdPerMillionTokens: 0,
+      outputUsdPerMillionTokens: 0,
+      cachedUsdPerMillionTokens: 0,
+    });
+    Object.values(LOCAL_LLM_MODELS).forEach((capabilities) => {
+      expect(capabilities).toEqual({
+        jsonMode: expect.any(Boolean),
+        structuredOutputs: expect.any(Boolean),
+        toolCalling: expect.any(Boolean),
+        maxContextTokens: expect.any(Number),
+      });
+    });
+  });
+});
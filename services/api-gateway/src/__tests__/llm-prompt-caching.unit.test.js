@@ -0,0 +1,266 @@
+/**
+ * @file llm-prompt-caching.unit.test.js
+ * Unit tests for provider prompt caching of cacheable tasks.
+ *
+ * These tests verify:
+ * 1. LlmOrchestrator appends a task's cache context to the system prompt and
+ *    passes the cache TTL to adapters
+ * 2. GeminiAdapter creates one context cache per system prompt, reuses it via
+ *    cachedContent and falls back to an inline prompt when it cannot cache
+ * 3. AnthropicAdapter marks the system prompt as a cache_control block
+ * 4. The usage ledger bills cache writes and records cache savings
+ */
+
+import { describe, it, expect, vi, beforeEach } from "vitest";
+import { LlmOrchestrator } from "../llm/orchestrator.js";
+import { ProviderSelectionPolicy } from "../llm/providers/selection-policy.js";
+import { AnthropicAdapter } from "../llm/providers/anthropic-adapter.js";
+import { TASK_REGISTRY } from "../llm/tasks.js";
+import { recordLlmUsageFromResult } from "../services/llm-usage-ledger.js";
+
+const genai = vi.hoisted(() => ({
+  createCache: vi.fn(),
+  generateContent: vi.fn(),
+}));
+
+vi.mock("@google/genai", () => ({
+  GoogleGenAI: vi.fn().mockImplementation(() => ({
+    caches: { create: genai.createCache },
+    models: { generateContent: genai.generateContent },
+  })),
+}));
+
+vi.mock("../llm/logger.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  llmLogger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+vi.mock("../llm/raw-traffic-logger.js", () => ({
+  logRawTraffic: vi.fn().mockResolvedValue(undefined),
+}));
+
+// Mock the service account file
+vi.mock("node:module", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    createRequire: () => () => ({ project_id: "test-project" }),
+  };
+});
+
+// ~3k tokens: above the Gemini context cache minimum
+const LONG_SYSTEM = "You are a careful interviewer. ".repeat(400);
+
+function recordedEntry(firestore) {
+  return firestore.recordLlmUsage.mock.calls[0][0];
+}
+
+describe("LLM prompt caching", () => {
+  describe("task registry", () => {
+    it("caches the golden interviewer, saver and channel system prompts", () => {
+      expect(TASK_REGISTRY.golden_interviewer.cache).toMatchObject({ ttlSeconds: 3600 });
+      expect(TASK_REGISTRY.golden_db_update.cache).toMatchObject({ ttlSeconds: 3600 });
+      expect(TASK_REGISTRY.channels.cache.contextBuilder()).toContain("LINKEDIN_JOBS");
+    });
+  });
+
+  describe("LlmOrchestrator", () => {
+    it("appends the cache context to the system prompt and passes the TTL", async () => {
+      const gemini = { invoke: vi.fn(async () => ({ text: "ok" })) };
+      const orchestrator = new LlmOrchestrator({
+        adapters: { gemini },
+        policy: new ProviderSelectionPolicy({ summarize: { provider: "gemini", model: "gemini-pro" } }),
+        tasks: {
+          summarize: {
+            system: "Instructions.",
+            builder: () => "prompt",
+            parser: (response) => ({ text: response.text }),
+            cache: { ttlSeconds: 600, contextBuilder: () => "Catalog." },
+          },
+        },
+      });
+
+      await orchestrator.run("summarize", {});
+
+      expect(gemini.invoke).toHaveBeenCalledWith(
+        expect.objectContaining({
+          system: "Instructions.\n\nCatalog.",
+          user: "prompt",
+          cache: { ttlSeconds: 600 },
+        })
+      );
+    });
+  });
+
+  describe("GeminiAdapter", () => {
+    let adapter;
+
+    const invoke = (overrides = {}) =>
+      adapter.invoke({
+        model: "gemini-3-pro-preview",
+        system: LONG_SYSTEM,
+        user: "Next turn",
+        mode: "text",
+        taskType: "channels",
+        cache: { ttlSeconds: 3600 },
+        ...overrides,
+      });
+
+    beforeEach(async () => {
+      vi.clearAllMocks();
+      genai.createCache.mockResolvedValue({
+        name: "projects/test-project/locations/global/cachedContents/abc",
+        expireTime: new Date(Date.now() + 3600 * 1000).toISOString(),
+        usageMetadata: { totalTokenCount: 3000 },
+      });
+      genai.generateContent.mockResolvedValue({
+        text: "Hello",
+        usageMetadata: {
+          promptTokenCount: 3100,
+          cachedContentTokenCount: 3000,
+          candidatesTokenCount: 5,
+          totalTokenCount: 3105,
+        },
+      });
+      const { GeminiAdapter } = await import("../llm/providers/gemini-adapter.js");
+      adapter = new GeminiAdapter();
+    });
+
+    it("creates the cache once and reuses it for later calls", async () => {
+      const first = await invoke();
+      const second = await invoke();
+
+      expect(genai.createCache).toHaveBeenCalledTimes(1);
+      expect(genai.createCache.mock.calls[0][0]).toMatchObject({
+        model: "gemini-3-pro-preview",
+        config: { systemInstruction: LONG_SYSTEM.trim(), ttl: "3600s" },
+      });
+      for (const [request] of genai.generateContent.mock.calls) {
+        expect(request.config.cachedContent).toBe(
+          "projects/test-project/locations/global/cachedContents/abc"
+        );
+        expect(request.config.systemInstruction).toBeUndefined();
+      }
+
+      // Only the creating call reports the cache write; cache hits are not prompt tokens
+      expect(first.metadata).toMatchObject({
+        promptTokens: 100,
+        cachedTokens: 3000,
+        cacheWriteTokens: 3000,
+        cacheTtlSeconds: 3600,
+      });
+      expect(second.metadata).toMatchObject({ cachedTokens: 3000, cacheWriteTokens: null });
+    });
+
+    it("sends the system prompt inline when the prompt is small or the cache cannot be created", async () => {
+      await invoke({ system: "Short system prompt." });
+      expect(genai.createCache).not.toHaveBeenCalled();
+
+      genai.createCache.mockRejectedValueOnce(new Error("Cached content is too small"));
+      await invoke();
+      await invoke();
+
+      // The failed create is not retried on every call
+      expect(genai.createCache).toHaveBeenCalledTimes(1);
+      for (const [request] of genai.generateContent.mock.calls) {
+        expect(request.config.cachedContent).toBeUndefined();
+        expect(request.config.systemInstruction).toBeTruthy();
+      }
+    });
+  });
+
+  describe("AnthropicAdapter", () => {
+    it("marks the system prompt as a cache breakpoint and reports cache usage", () => {
+      const adapter = new AnthropicAdapter({ apiKey: "test-key" });
+      const { payload, cacheTtlSeconds } = adapter.buildRequest({
+        model: "claude-sonnet-4-5-20250929",
+        system: "Instructions.",
+        user: "prompt",
+        cache: { ttlSeconds: 3600 },
+      });
+
+      expect(payload.system).toEqual([
+        {
+          type: "text",
+          text: "Instructions.",
+          cache_control: { type: "ephemeral", ttl: "1h" },
+        },
+      ]);
+      expect(
+        adapter.buildRequest({ model: "claude-sonnet-4-5-20250929", system: "Instructions.", user: "prompt" })
+          .payload.system
+      ).toBe("Instructions.");
+
+      const result = adapter.toResult({
+        content: "ok",
+        usage: {
+          input_tokens: 50,
+          output_tokens: 10,
+          cache_read_input_tokens: 0,
+          cache_creation_input_tokens: 2000,
+        },
+        stopReason: "end_turn",
+        mode: "text",
+        model: "claude-sonnet-4-5-20250929",
+        cacheTtlSeconds,
+      });
+      expect(result.metadata).toMatchObject({
+        promptTokens: 50,
+        totalTokens: 2060,
+        cachedTokens: null,
+        cacheWriteTokens: 2000,
+        cacheTtlSeconds: 3600,
+      });
+    });
+  });
+
+  describe("usage ledger", () => {
+    const record = async (result) => {
+      const firestore = { recordLlmUsage: vi.fn(async () => {}), getDocument: vi.fn(async () => null) };
+      await recordLlmUsageFromResult({
+        firestore,
+        usageContext: { userId: "user_1", taskType: "golden_interviewer" },
+        result,
+      });
+      return recordedEntry(firestore);
+    };
+
+    it("records cache savings and bills Gemini cache storage", async () => {
+      const entry = await record({
+        provider: "gemini",
+        model: "gemini-3-pro-preview",
+        metadata: {
+          promptTokens: 1000,
+          cachedTokens: 10000,
+          cacheWriteTokens: 10000,
+          cacheTtlSeconds: 3600,
+          responseTokens: 0,
+        },
+      });
+
+      // 10k cached tokens at $0.20/M instead of $2/M
+      expect(entry.cacheSavingsUsd).toBeCloseTo(0.018, 6);
+      // 10k tokens stored for one hour at $4.50/M/hour
+      expect(entry.cacheWriteCostUsd).toBeCloseTo(0.045, 6);
+      expect(entry.estimatedCostUsd).toBeCloseTo(0.002 + 0.002 + 0.045, 6);
+    });
+
+    it("bills Anthropic cache writes at the TTL's input multiplier", async () => {
+      const entry = await record({
+        provider: "anthropic",
+        model: "claude-sonnet-4-5-20250929",
+        metadata: { promptTokens: 0, cacheWriteTokens: 10000, cacheTtlSeconds: 3600, responseTokens: 0 },
+      });
+
+      // 1h cache writes cost 2x the $3/M input rate
+      expect(entry.cacheWriteCostUsd).toBeCloseTo(0.06, 6);
+      expect(entry).toMatchObject({ cacheWriteTokens: 10000, cacheTtlSeconds: 3600 });
+      expect(entry.cacheSavingsUsd).toBeUndefined();
+    });
+  });
+});
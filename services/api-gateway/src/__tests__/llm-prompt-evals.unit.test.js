@@ -0,0 +1,329 @@
+/**
+ * @file llm-prompt-evals.unit.test.js
+ * Unit tests for prompt versioning and the offline prompt eval harness.
+ *
+ * These tests verify:
+ * 1. Every task carries a prompt version that reaches result metadata and
+ *    the usage ledger
+ * 2. The eval runner scores recorded outputs for schema validity, field
+ *    coverage, banned phrases and asset length limits
+ * 3. Reports of two prompt versions diff into regressions and a markdown table
+ * 4. Recorded outputs are stored per case id and prompt version, and every
+ *    dataset case replays through its task's prompt builders
+ * 5. The baseline report is the newest scored report of another version
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { LlmOrchestrator } from "../llm/orchestrator.js";
+import { ProviderSelectionPolicy } from "../llm/providers/selection-policy.js";
+import { TASK_REGISTRY } from "../llm/tasks.js";
+import { runPromptEval, diffEvalReports, formatEvalDiff } from "../llm/evals/runner.js";
+import {
+  DEFAULT_EVALS_DIR,
+  evalOutputsFile,
+  readEvalOutputs,
+  readJson,
+  resolveBaselineReport,
+  saveEvalOutput,
+  writeJson,
+} from "../llm/evals/store.js";
+import { recordLlmUsageFromResult } from "../services/llm-usage-ledger.js";
+
+vi.mock("../llm/logger.js", async (importOriginal) => ({
+  ...(await importOriginal()),
+  llmLogger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const SELECTION = { provider: "gemini", model: "gemini-pro" };
+
+const SUGGEST_DATASET = {
+  cases: [
+    {
+      id: "line-cook",
+      context: {
+        visibleFieldIds: ["coreDuties", "benefits"],
+        jobSnapshot: { roleTitle: "Line Cook", companyName: "Harbor Grill" },
+      },
+    },
+    {
+      id: "warehouse",
+      context: {
+        visibleFieldIds: ["salary", "benefits"],
+        jobSnapshot: { roleTitle: "Warehouse Associate" },
+      },
+      expect: { bannedPhrases: ["competitive pay"] },
+    },
+  ],
+};
+
+const SUGGEST_OUTPUTS = {
+  "Line Cook": {
+    autofill_candidates: [
+      { fieldId: "coreDuties", value: ["Run the grill station"] },
+      { fieldId: "benefits", value: ["Shift meals"] },
+    ],
+  },
+  // Misses benefits and uses a case-specific banned phrase
+  "Warehouse Associate": {
+    autofill_candidates: [{ fieldId: "salary", value: "Competitive pay" }],
+  },
+};
+
+/** Fake live provider answering by the role in the prompt. */
+function createLiveAdapter(outputs) {
+  return {
+    invoke: vi.fn(async ({ user }) => {
+      const role = Object.keys(outputs).find((title) => user.includes(title));
+      return { text: JSON.stringify(outputs[role]), json: outputs[role] };
+    }),
+  };
+}
+
+function caseById(report, id) {
+  return report.cases.find((evalCase) => evalCase.id === id);
+}
+
+describe("Prompt versioning", () => {
+  it("gives every task a prompt version", () => {
+    for (const [taskName, task] of Object.entries(TASK_REGISTRY)) {
+      expect(task.promptVersion, taskName).toMatch(/^[a-z_]+\.v\d+$/);
+    }
+  });
+
+  it("returns the prompt version in result metadata and records it in usage logs", async () => {
+    const orchestrator = new LlmOrchestrator({
+      adapters: { gemini: { invoke: vi.fn(async () => ({ text: "ok", metadata: { promptTokens: 10 } })) } },
+      policy: new ProviderSelectionPolicy({ summarize: { provider: "gemini", model: "gemini-pro" } }),
+      tasks: {
+        summarize: {
+          system: "Instructions.",
+          builder: () => "prompt",
+          parser: (response) => ({ text: response.text, metadata: response.metadata }),
+          promptVersion: "summarize.v3",
+        },
+      },
+    });
+
+    const result = await orchestrator.run("summarize", {});
+    expect(result.metadata).toMatchObject({ promptTokens: 10, promptVersion: "summarize.v3" });
+
+    const firestore = { recordLlmUsage: vi.fn(async () => {}), getDocument: vi.fn(async () => null) };
+    await recordLlmUsageFromResult({
+      firestore,
+      usageContext: { userId: "user_1", taskType: "summarize" },
+      result,
+    });
+    expect(firestore.recordLlmUsage.mock.calls[0][0].promptVersion).toBe("summarize.v3");
+  });
+});
+
+describe("Prompt eval runner", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-evals-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const runSuggest = ({ task = TASK_REGISTRY.suggest, adapter, recorded, outputs = "recorded", onResponse }) =>
+    runPromptEval({
+      taskName: "suggest",
+      task,
+      dataset: SUGGEST_DATASET,
+      adapter,
+      recorded,
+      selection: SELECTION,
+      outputs,
+      onResponse,
+    });
+
+  it("scores recorded outputs and marks cases without a recording as missing", async () => {
+    const file = evalOutputsFile(dir, "suggest", "suggest.v1");
+    const empty = await runSuggest({ recorded: readEvalOutputs(file) });
+    expect(empty.summary).toMatchObject({ cases: 2, scored: 0, missing: 2, meanScore: null });
+
+    // Record live outputs once, then score them offline
+    const live = createLiveAdapter(SUGGEST_OUTPUTS);
+    await runSuggest({
+      adapter: live,
+      outputs: "live",
+      onResponse: (caseId, response) =>
+        saveEvalOutput(file, { taskName: "suggest", promptVersion: "suggest.v1", selection: SELECTION, caseId, response }),
+    });
+    const recorded = readEvalOutputs(file);
+    expect(Object.keys(recorded.outputs)).toEqual(["line-cook", "warehouse"]);
+    const report = await runSuggest({ recorded });
+
+    expect(report).toMatchObject({ task: "suggest", promptVersion: "suggest.v1", outputs: "recorded" });
+    expect(report.summary).toMatchObject({ scored: 2, missing: 0, meanScore: 0.75 });
+    expect(caseById(report, "line-cook")).toMatchObject({ status: "scored", score: 1 });
+
+    const warehouse = caseById(report, "warehouse");
+    expect(warehouse.score).toBe(0.5);
+    expect(warehouse.checks).toEqual([
+      expect.objectContaining({ id: "schema", passed: true }),
+      expect.objectContaining({ id: "coverage", score: 0.5, details: { expected: 2, missing: ["benefits"] } }),
+      expect.objectContaining({ id: "banned_phrases", passed: false, details: { found: ["competitive pay"] } }),
+    ]);
+    expect(live.invoke).toHaveBeenCalledTimes(2);
+  });
+
+  it("keeps recorded outputs by case id when the prompt text changes", async () => {
+    const recorded = {
+      outputs: Object.fromEntries(
+        SUGGEST_DATASET.cases.map((evalCase) => {
+          const json = SUGGEST_OUTPUTS[evalCase.context.jobSnapshot.roleTitle];
+          return [evalCase.id, { text: JSON.stringify(json), json }];
+        })
+      ),
+    };
+    const reworded = {
+      ...TASK_REGISTRY.suggest,
+      builder: (context) => `${TASK_REGISTRY.suggest.builder(context)}\nKeep suggestions brief.`,
+    };
+
+    const before = await runSuggest({ recorded });
+    const after = await runSuggest({ task: reworded, recorded });
+    expect(after.summary).toMatchObject({ scored: 2, missing: 0, meanScore: 0.75 });
+    expect(caseById(after, "line-cook").promptHash).not.toBe(caseById(before, "line-cook").promptHash);
+  });
+
+  it("holds asset copy to the blueprint's headline and body lengths", async () => {
+    const planItem = {
+      planId: "LINKEDIN_JOBS:LINKEDIN_JOB_POSTING",
+      channelId: "LINKEDIN_JOBS",
+      formatId: "LINKEDIN_JOB_POSTING",
+      artifactType: "text",
+      length: { headline: 20, body: 700 },
+    };
+    const output = {
+      assets: [
+        {
+          plan_id: planItem.planId,
+          title: "Line Cook at Harbor Grill, Portland",
+          content: { body: "Run the grill station at a busy seafood restaurant." },
+        },
+      ],
+    };
+
+    const report = await runPromptEval({
+      taskName: "asset_channel_batch",
+      task: TASK_REGISTRY.asset_channel_batch,
+      dataset: { cases: [{ id: "linkedin", context: { planItems: [planItem], jobSnapshot: { roleTitle: "Line Cook" } } }] },
+      adapter: { invoke: vi.fn(async () => ({ text: JSON.stringify(output), json: output })) },
+      selection: SELECTION,
+      outputs: "live",
+    });
+
+    const [evalCase] = report.cases;
+    expect(evalCase.checks.find((check) => check.id === "coverage").score).toBe(1);
+    expect(evalCase.checks.find((check) => check.id === "length")).toMatchObject({
+      score: 0.5,
+      details: { overLimit: [{ label: `${planItem.planId} title`, length: 35, max: 20 }] },
+    });
+  });
+
+  it("diffs reports of two prompt versions", async () => {
+    const baseline = await runSuggest({ adapter: createLiveAdapter(SUGGEST_OUTPUTS), outputs: "live" });
+
+    // v2 changes the prompt; its outputs drop the line cook's benefits
+    const v2 = {
+      ...TASK_REGISTRY.suggest,
+      promptVersion: "suggest.v2",
+      builder: (context) => `${TASK_REGISTRY.suggest.builder(context)}\nKeep suggestions brief.`,
+    };
+    const candidate = await runSuggest({
+      task: v2,
+      adapter: createLiveAdapter({
+        ...SUGGEST_OUTPUTS,
+        "Line Cook": { autofill_candidates: [{ fieldId: "coreDuties", value: ["Run the grill station"] }] },
+      }),
+      outputs: "live",
+    });
+
+    const diff = diffEvalReports(baseline, candidate);
+    expect(diff).toMatchObject({
+      task: "suggest",
+      from: "suggest.v1",
+      to: "suggest.v2",
+      meanScore: { before: 0.75, after: 0.667, delta: -0.083 },
+      regressions: ["line-cook"],
+      improvements: [],
+    });
+    expect(diff.cases[0]).toMatchObject({
+      id: "line-cook",
+      promptChanged: true,
+      newlyFailedChecks: ["coverage"],
+    });
+
+    const markdown = formatEvalDiff(diff);
+    expect(markdown).toContain("## suggest: suggest.v1 → suggest.v2");
+    expect(markdown).toContain("| line-cook | 1.000 | 0.833 | -0.167 | yes | coverage |");
+  });
+});
+
+describe("Prompt eval files", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-eval-reports-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeReport = (promptVersion, generatedAt, scored = 1) =>
+    writeJson(path.join(dir, `${promptVersion}.json`), {
+      task: "suggest",
+      promptVersion,
+      generatedAt,
+      summary: { cases: 1, scored },
+    });
+
+  it("replays every dataset case through its task's prompt builders", async () => {
+    const datasets = fs.readdirSync(DEFAULT_EVALS_DIR).filter((name) => name.endsWith(".json"));
+    expect(datasets.length).toBeGreaterThan(0);
+
+    for (const name of datasets) {
+      const dataset = readJson(path.join(DEFAULT_EVALS_DIR, name));
+      const task = TASK_REGISTRY[dataset.task];
+      expect(task, dataset.task).toBeDefined();
+
+      const report = await runPromptEval({ taskName: dataset.task, task, dataset, selection: SELECTION });
+      expect(report.summary, dataset.task).toMatchObject({
+        cases: dataset.cases.length,
+        missing: dataset.cases.length,
+      });
+      expect(report.cases.every((evalCase) => evalCase.promptHash), dataset.task).toBe(true);
+    }
+  });
+
+  it("picks the newest scored report of another prompt version as the baseline", () => {
+    writeReport("suggest.v10", "2026-03-01T00:00:00.000Z");
+    writeReport("suggest.v9", "2026-02-01T00:00:00.000Z");
+    writeReport("suggest.v11", "2026-04-01T00:00:00.000Z", 0);
+    writeReport("suggest.v12", "2026-05-01T00:00:00.000Z");
+
+    // v9 has the newest mtime, but v10 is the newest by generatedAt; v11 scored nothing
+    fs.utimesSync(path.join(dir, "suggest.v9.json"), new Date(), new Date());
+    expect(resolveBaselineReport({ reportsDir: dir, promptVersion: "suggest.v12" })).toBe(
+      path.join(dir, "suggest.v10.json")
+    );
+    expect(resolveBaselineReport({ baseline: "suggest.v9", reportsDir: dir, promptVersion: "suggest.v12" })).toBe(
+      path.join(dir, "suggest.v9.json")
+    );
+    expect(resolveBaselineReport({ reportsDir: path.join(dir, "none"), promptVersion: "suggest.v12" })).toBeNull();
+  });
+});
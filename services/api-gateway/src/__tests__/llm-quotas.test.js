@@ -0,0 +1,301 @@
+/**
+ * @file llm-quotas.test.js
+ * Integration tests for LLM quotas on POST /api/llm.
+ *
+ * These tests verify:
+ * 1. Requests over the per-minute limit of a task family get a 429 with
+ *    Retry-After before the task runs; other families are unaffected
+ * 2. Recorded LLM spend counts towards the user's and org's daily/monthly
+ *    caps, and a reached cap refuses requests until the window resets
+ * 3. GET /api/llm/quota reports consumption against every limit
+ * 4. Concurrent spend records are all counted
+ * 5. An explicit null override lifts a default limit
+ * 6. Internal callbacks skip the request rate but their spend is recorded
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { recordLlmQuotaSpend } from "../services/llm-quotas.js";
+import { resolveLlmQuotaLimits } from "../config/llm-quotas.js";
+import { internalCallHeaders } from "../utils/internal-calls.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  TEST_USER_ID,
+} from "./test-helpers.js";
+
+const ORG_ID = "org_acme";
+
+const QUOTA_CONFIG = {
+  defaults: {
+    user: {
+      text: { requestsPerMinute: 2, daily: { usd: 0.3 } },
+      image: { requestsPerMinute: 5 },
+    },
+    org: {
+      text: { monthly: { usd: 50, credits: 1000 } },
+    },
+  },
+  overrides: {
+    user: { power_user: { text: { requestsPerMinute: 10 } } },
+    org: {},
+  },
+};
+
+// 100k gemini-3-pro input tokens cost $0.20
+const CAPTION_RESULT = {
+  caption: "A line cook plating dinner",
+  provider: "gemini",
+  model: "gemini-3-pro-preview",
+  metadata: { promptTokens: 100_000, responseTokens: 0 },
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+const thisMonth = () => new Date().toISOString().slice(0, 7);
+
+describe("LLM quotas", () => {
+  let app;
+  let mockFirestore;
+  let mockLlmClient;
+
+  const callLlm = (taskType, token = createTestToken()) =>
+    request(app)
+      .post("/api/llm")
+      .set("Authorization", `Bearer ${token}`)
+      .send({ taskType, context: {} });
+
+  beforeEach(() => {
+    setupTestEnv();
+    mockFirestore = createMockFirestore();
+    mockLlmClient = createMockLlmClient({ askImageCaption: CAPTION_RESULT });
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: mockLlmClient,
+      llmQuotaConfig: QUOTA_CONFIG,
+    });
+    mockFirestore._seedDocument("users", TEST_USER_ID, { id: TEST_USER_ID, orgId: ORG_ID });
+  });
+
+  afterEach(() => {
+    mockFirestore._clear();
+  });
+
+  it("rate limits each task family per minute before the task runs", async () => {
+    mockLlmClient = createMockLlmClient();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: mockLlmClient,
+      llmQuotaConfig: QUOTA_CONFIG,
+    });
+
+    expect((await callLlm("image_caption")).status).toBe(200);
+    expect((await callLlm("image_caption")).status).toBe(200);
+
+    const limited = await callLlm("image_caption");
+    expect(limited.status).toBe(429);
+    const retryAfter = Number(limited.headers["retry-after"]);
+    expect(retryAfter).toBeGreaterThan(0);
+    expect(retryAfter).toBeLessThanOrEqual(60);
+    expect(limited.body.error.details).toMatchObject({
+      scope: "user",
+      family: "text",
+      window: "minute",
+      unit: "requests",
+      limit: 2,
+      used: 2,
+      retryAfterSeconds: retryAfter,
+    });
+    expect(mockLlmClient.askImageCaption).toHaveBeenCalledTimes(2);
+
+    // Image tasks have their own window; overrides raise a user's limit
+    expect((await callLlm("image_generation")).status).toBe(200);
+    const powerToken = createTestToken({ userId: "power_user" });
+    for (let index = 0; index < 3; index += 1) {
+      expect((await callLlm("image_caption", powerToken)).status).toBe(200);
+    }
+  });
+
+  it("does not count internal callbacks against the request rate but records their spend", async () => {
+    const callInternal = (taskType) =>
+      request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .set(internalCallHeaders())
+        .send({ taskType, context: {} });
+
+    expect((await callInternal("image_caption")).status).toBe(200);
+    const userUsage = await mockFirestore.getDocument("llmQuotaUsage", `user_${TEST_USER_ID}`);
+    expect(userUsage.families.text.day.usd).toBe(0.2);
+
+    // Free calls from here on, so only the request rate can refuse
+    mockLlmClient = createMockLlmClient();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: createMockFirestore(),
+      bigQuery: createMockBigQuery(),
+      llmClient: mockLlmClient,
+      llmQuotaConfig: QUOTA_CONFIG,
+    });
+    for (let index = 0; index < 3; index += 1) {
+      expect((await callInternal("image_caption")).status).toBe(200);
+    }
+    expect((await callLlm("image_caption")).status).toBe(200);
+    expect((await callLlm("image_caption")).status).toBe(200);
+    expect((await callLlm("image_caption")).status).toBe(429);
+
+    // A guessed header value is an ordinary request
+    const forged = await request(app)
+      .post("/api/llm")
+      .set("Authorization", `Bearer ${createTestToken()}`)
+      .set("x-wizard-internal-call", "guess")
+      .send({ taskType: "image_caption", context: {} });
+    expect(forged.status).toBe(429);
+  });
+
+  it("counts recorded spend towards daily caps until the day resets", async () => {
+    const orgToken = createTestToken({ orgId: ORG_ID });
+    expect((await callLlm("image_caption", orgToken)).status).toBe(200);
+
+    const userUsage = await mockFirestore.getDocument("llmQuotaUsage", `user_${TEST_USER_ID}`);
+    expect(userUsage.families.text).toMatchObject({
+      day: { period: today(), usd: 0.2 },
+      month: { period: thisMonth(), usd: 0.2 },
+    });
+    // The org is resolved from the user when the usage context has none
+    const orgUsage = await mockFirestore.getDocument("llmQuotaUsage", `org_${ORG_ID}`);
+    expect(orgUsage.families.text.month.usd).toBe(0.2);
+
+    // $0.20 < $0.30: allowed, and brings the day to $0.40
+    expect((await callLlm("image_caption", orgToken)).status).toBe(200);
+
+    // Wait out the per-minute window on a fresh app; the daily cap still applies
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: mockLlmClient,
+      llmQuotaConfig: QUOTA_CONFIG,
+    });
+    const limited = await callLlm("image_caption", orgToken);
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.details).toMatchObject({
+      scope: "user",
+      window: "daily",
+      unit: "usd",
+      limit: 0.3,
+      used: 0.4,
+    });
+    const secondsToMidnight = Math.ceil(
+      (Date.UTC(
+        new Date().getUTCFullYear(),
+        new Date().getUTCMonth(),
+        new Date().getUTCDate() + 1
+      ) -
+        Date.now()) /
+        1000
+    );
+    expect(Number(limited.headers["retry-after"])).toBeGreaterThan(secondsToMidnight - 5);
+    expect(Number(limited.headers["retry-after"])).toBeLessThanOrEqual(secondsToMidnight);
+    expect(mockLlmClient.askImageCaption).toHaveBeenCalledTimes(2);
+  });
+
+  it("applies org caps to every member and ignores totals of past periods", async () => {
+    mockFirestore._seedDocument("llmQuotaUsage", `org_${ORG_ID}`, {
+      scope: "org",
+      scopeId: ORG_ID,
+      families: { text: { month: { period: "2020-01", usd: 500, credits: 5000 } } },
+    });
+    const memberToken = createTestToken({ userId: "member_2", orgId: ORG_ID });
+    expect((await callLlm("image_caption", memberToken)).status).toBe(200);
+
+    mockFirestore._seedDocument("llmQuotaUsage", `org_${ORG_ID}`, {
+      scope: "org",
+      scopeId: ORG_ID,
+      families: { text: { month: { period: thisMonth(), usd: 10, credits: 1200 } } },
+    });
+    const limited = await callLlm("image_caption", memberToken);
+    expect(limited.status).toBe(429);
+    expect(limited.body.error.details).toMatchObject({
+      scope: "org",
+      window: "monthly",
+      unit: "credits",
+      limit: 1000,
+      used: 1200,
+    });
+  });
+
+  it("reports consumption against every limit", async () => {
+    const orgToken = createTestToken({ orgId: ORG_ID });
+    await callLlm("image_caption", orgToken);
+
+    const response = await request(app)
+      .get("/api/llm/quota")
+      .set("Authorization", `Bearer ${orgToken}`);
+
+    expect(response.status).toBe(200);
+    const [user, org] = response.body.scopes;
+    expect(user).toMatchObject({ scope: "user", scopeId: TEST_USER_ID });
+    expect(user.families.text).toMatchObject({
+      requestsPerMinute: { used: 1, limit: 2 },
+      daily: { usd: { used: 0.2, limit: 0.3 }, credits: { limit: null } },
+      monthly: { usd: { used: 0.2, limit: null } },
+    });
+    expect(user.families.video.requestsPerMinute).toEqual({ used: 0, limit: null });
+    expect(org).toMatchObject({ scope: "org", scopeId: ORG_ID });
+    expect(org.families.text.monthly).toMatchObject({
+      usd: { used: 0.2, limit: 50 },
+      credits: { limit: 1000 },
+    });
+    expect(new Date(org.families.text.daily.resetsAt).getUTCHours()).toBe(0);
+  });
+
+  it("counts every concurrent spend record", async () => {
+    const logger = createMockLogger();
+    await Promise.all(
+      Array.from({ length: 5 }, () =>
+        recordLlmQuotaSpend({
+          firestore: mockFirestore,
+          logger,
+          userId: TEST_USER_ID,
+          family: "text",
+          usd: 0.1,
+          credits: 2,
+        })
+      )
+    );
+
+    const userUsage = await mockFirestore.getDocument("llmQuotaUsage", `user_${TEST_USER_ID}`);
+    expect(userUsage.families.text.day).toMatchObject({ usd: 0.5, credits: 10 });
+    const orgUsage = await mockFirestore.getDocument("llmQuotaUsage", `org_${ORG_ID}`);
+    expect(orgUsage.families.text.month).toMatchObject({ usd: 0.5, credits: 10 });
+    expect(logger.warn).not.toHaveBeenCalled();
+  });
+
+  it("lets an explicit null override lift a default limit", () => {
+    const config = {
+      defaults: { user: { text: { requestsPerMinute: 2, daily: { usd: 0.3, credits: 10 } } } },
+      overrides: {
+        user: { vip: { text: { requestsPerMinute: null, daily: { usd: null } } } },
+      },
+    };
+
+    expect(resolveLlmQuotaLimits(config, "user", "vip", "text")).toEqual({
+      requestsPerMinute: null,
+      daily: { usd: null, credits: 10 },
+      monthly: { usd: null, credits: null },
+    });
+    expect(resolveLlmQuotaLimits(config, "user", "someone", "text")).toMatchObject({
+      requestsPerMinute: 2,
+      daily: { usd: 0.3, credits: 10 },
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @file llm-replay.unit.test.js
+ * Unit tests for the record/replay LLM adapter.
+ *
+ * These tests verify:
+ * 1. `record` mode saves the live response under task + prompt hash
+ * 2. `replay` mode serves it without a live adapter, including streamed text
+ * 3. A replay miss fails instead of reaching a live provider
+ */
+
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import {
+  ReplayAdapter,
+  LlmFixtureStore,
+  hashLlmPrompt,
+} from "../llm/providers/replay-adapter.js";
+
+// Mock the logger to avoid console noise during tests
+vi.mock("../llm/logger.js", () => ({
+  llmLogger: {
+    info: vi.fn(),
+    warn: vi.fn(),
+    error: vi.fn(),
+    debug: vi.fn(),
+  },
+}));
+
+const OPTIONS = {
+  model: "gemini-pro",
+  system: "You are a recruiter.",
+  user: "Suggest a title for a forklift driver role.",
+  mode: "json",
+  taskType: "suggest",
+  outputSchemaName: "suggest",
+};
+
+const LIVE_RESPONSE = {
+  text: '{"title":"Forklift Operator"}',
+  json: { title: "Forklift Operator" },
+  metadata: { promptTokens: 40, responseTokens: 8, totalTokens: 48 },
+};
+
+describe("ReplayAdapter", () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+    store = new LlmFixtureStore({ dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("records live responses and replays them offline", async () => {
+    const live = { invoke: vi.fn(async () => LIVE_RESPONSE) };
+    const recorder = new ReplayAdapter({ provider: "gemini", mode: "record", store, delegate: live });
+
+    await expect(recorder.invoke(OPTIONS)).resolves.toEqual(LIVE_RESPONSE);
+
+    const file = path.join(dir, "suggest", `${hashLlmPrompt(OPTIONS)}.json`);
+    expect(JSON.parse(fs.readFileSync(file, "utf8"))).toMatchObject({
+      taskType: "suggest",
+      provider: "gemini",
+      response: LIVE_RESPONSE,
+    });
+
+    // Replay ignores the provider/model, so it also serves a fallback provider
+    const replayer = new ReplayAdapter({ provider: "anthropic", store });
+    await expect(replayer.invoke({ ...OPTIONS, model: "claude-test" })).resolves.toEqual(
+      LIVE_RESPONSE
+    );
+  });
+
+  it("streams replayed text in deterministic chunks", async () => {
+    const text = "x".repeat(150);
+    await store.write({
+      taskType: "suggest",
+      promptHash: hashLlmPrompt(OPTIONS),
+      response: { text },
+    });
+    const chunks = [];
+
+    await new ReplayAdapter({ provider: "gemini", store }).invokeStream(OPTIONS, {
+      onText: (chunk) => chunks.push(chunk),
+    });
+
+    expect(chunks.map((chunk) => chunk.length)).toEqual([64, 64, 22]);
+    expect(chunks.join("")).toBe(text);
+  });
+
+  it("throws on a replay miss", async () => {
+    const adapter = new ReplayAdapter({ provider: "gemini", store });
+
+    await expect(
+      adapter.invoke({ ...OPTIONS, user: "A prompt nobody recorded" })
+    ).rejects.toThrow(/No recorded LLM response for task suggest/);
+  });
+
+  it("refuses to record without a live adapter", async () => {
+    const adapter = new ReplayAdapter({ provider: "anthropic", mode: "record", store });
+
+    await expect(adapter.invoke(OPTIONS)).rejects.toThrow(/no live adapter/);
+  });
+});
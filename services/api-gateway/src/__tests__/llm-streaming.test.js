@@ -0,0 +1,359 @@
+/**
+ * @file llm-streaming.test.js
+ * Tests for opt-in streaming of LLM responses.
+ *
+ * These tests verify:
+ * 1. Only the golden interviewer's top-level `message` is streamed out of the JSON response
+ * 2. The orchestrator streams through adapters and still parses the final payload
+ * 3. Provider adapters read SSE bodies (Anthropic, incl. JSON prefill)
+ * 4. POST /api/llm and POST /golden-interview/chat answer as SSE with `stream: true`
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { LlmOrchestrator } from "../llm/orchestrator.js";
+import { AnthropicAdapter } from "../llm/providers/anthropic-adapter.js";
+import { createJsonStringFieldReader } from "../llm/utils/streaming.js";
+import { getRequestContext, runWithLlmStream } from "../llm/request-context.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestSession,
+} from "./test-helpers.js";
+
+vi.mock("../llm/raw-traffic-logger.js", () => ({
+  logRawTraffic: vi.fn().mockResolvedValue(undefined),
+}));
+
+vi.mock("../services/llm-usage-ledger.js", async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    recordLlmUsageFromResult: vi.fn(async () => {}),
+  };
+});
+
+import { recordLlmUsageFromResult } from "../services/llm-usage-ledger.js";
+
+const TURN_JSON = JSON.stringify({
+  tool_reasoning: "Ask for the title first",
+  message: 'Great! What\'s the "official" title?\nTake your time.',
+  ui_tool: { type: "smart_textarea", props: { message: "not streamed" } },
+});
+
+function chunkText(text, size) {
+  const chunks = [];
+  for (let index = 0; index < text.length; index += size) {
+    chunks.push(text.slice(index, index + size));
+  }
+  return chunks;
+}
+
+function sseBody(events) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      events.forEach(([event, data]) => {
+        controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+      });
+      controller.close();
+    },
+  });
+}
+
+function parseSse(text) {
+  return text
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const event = block.match(/^event: (.*)$/m)?.[1];
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+describe("LLM streaming", () => {
+  // ===========================================================================
+  // createJsonStringFieldReader
+  // ===========================================================================
+
+  describe("createJsonStringFieldReader", () => {
+    it("decodes the top-level field across arbitrary chunk boundaries", () => {
+      const expected = JSON.parse(TURN_JSON).message;
+      [1, 3, 7, TURN_JSON.length].forEach((size) => {
+        const read = createJsonStringFieldReader("message");
+        const streamed = chunkText(TURN_JSON, size).map(read).join("");
+        expect(streamed).toBe(expected);
+      });
+    });
+
+    it("ignores nested keys with the same name and \\u escapes split mid-sequence", () => {
+      const read = createJsonStringFieldReader("message");
+      const deltas = [
+        '{"ui_tool":{"props":{"message":"nested"}},',
+        '"message":"caf\\u00',
+        'e9 time"}',
+      ].map(read);
+      expect(deltas.join("")).toBe("café time");
+    });
+  });
+
+  // ===========================================================================
+  // LlmOrchestrator.run
+  // ===========================================================================
+
+  describe("LlmOrchestrator streaming", () => {
+    const task = {
+      system: "system",
+      builder: () => "prompt",
+      parser: (response) =>
+        response.json?.message ? { message: response.json.message } : { error: { reason: "bad" } },
+      mode: "json",
+      retries: 2,
+      streamField: "message",
+    };
+
+    function createOrchestrator(adapter) {
+      return new LlmOrchestrator({
+        adapters: { fake: adapter },
+        policy: { select: () => ({ provider: "fake", model: "fake-model" }) },
+        tasks: { golden_interviewer: task },
+      });
+    }
+
+    it("streams message deltas and parses the complete response", async () => {
+      const adapter = {
+        invoke: vi.fn(),
+        invokeStream: vi.fn(async (_options, { onText }) => {
+          chunkText(TURN_JSON, 5).forEach(onText);
+          return { text: TURN_JSON, json: JSON.parse(TURN_JSON) };
+        }),
+      };
+      const deltas = [];
+
+      const result = await runWithLlmStream({ onDelta: (text) => deltas.push(text) }, () =>
+        createOrchestrator(adapter).run("golden_interviewer", {})
+      );
+
+      expect(adapter.invoke).not.toHaveBeenCalled();
+      expect(deltas.join("")).toBe(JSON.parse(TURN_JSON).message);
+      expect(result).toMatchObject({ provider: "fake", message: JSON.parse(TURN_JSON).message });
+    });
+
+    it("signals a reset before retrying after streamed text", async () => {
+      const adapter = {
+        invokeStream: vi
+          .fn()
+          .mockImplementationOnce(async (_options, { onText }) => {
+            onText('{"message":"Half');
+            return { text: '{"message":"Half', json: null };
+          })
+          .mockImplementationOnce(async (_options, { onText }) => {
+            onText('{"message":"Whole"}');
+            return { text: '{"message":"Whole"}', json: { message: "Whole" } };
+          }),
+      };
+      const events = [];
+
+      const result = await runWithLlmStream(
+        {
+          onDelta: (text) => events.push(["delta", text]),
+          onReset: ({ attempt }) => events.push(["reset", attempt]),
+        },
+        () => createOrchestrator(adapter).run("golden_interviewer", {})
+      );
+
+      expect(events).toEqual([
+        ["delta", "Half"],
+        ["reset", 1],
+        ["delta", "Whole"],
+      ]);
+      expect(result.message).toBe("Whole");
+    });
+
+    it("uses invoke() when the request did not ask for streaming", async () => {
+      const adapter = {
+        invoke: vi.fn(async () => ({ text: TURN_JSON, json: JSON.parse(TURN_JSON) })),
+        invokeStream: vi.fn(),
+      };
+
+      await createOrchestrator(adapter).run("golden_interviewer", {});
+
+      expect(adapter.invokeStream).not.toHaveBeenCalled();
+      expect(adapter.invoke).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  // ===========================================================================
+  // AnthropicAdapter.invokeStream
+  // ===========================================================================
+
+  describe("AnthropicAdapter.invokeStream", () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it("reads text deltas and usage from the Messages API stream", async () => {
+      global.fetch = vi.fn(async () => ({
+        ok: true,
+        status: 200,
+        body: sseBody([
+          ["message_start", { type: "message_start", message: { usage: { input_tokens: 120 } } }],
+          ["content_block_delta", { type: "content_block_delta", delta: { type: "text_delta", text: '"message":' } }],
+          ["content_block_delta", { type: "content_block_delta", delta: { type: "text_delta", text: '"Hi"}' } }],
+          ["message_delta", { type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: 9 } }],
+          ["message_stop", { type: "message_stop" }],
+        ]),
+      }));
+      const adapter = new AnthropicAdapter({ apiKey: "test-key" });
+      const chunks = [];
+
+      const result = await adapter.invokeStream(
+        { model: "claude-3-haiku-20240307", user: "Hello", mode: "json" },
+        { onText: (text) => chunks.push(text) }
+      );
+
+      const [, init] = global.fetch.mock.calls[0];
+      expect(JSON.parse(init.body)).toMatchObject({ stream: true });
+      // JSON mode on a model without Structured Outputs uses the "{" prefill
+      expect(chunks.join("")).toBe('{"message":"Hi"}');
+      expect(result.json).toEqual({ message: "Hi" });
+      expect(result.metadata).toMatchObject({
+        promptTokens: 120,
+        responseTokens: 9,
+        totalTokens: 129,
+        stopReason: "end_turn",
+      });
+    });
+  });
+
+  // ===========================================================================
+  // HTTP endpoints
+  // ===========================================================================
+
+  describe("SSE endpoints", () => {
+    const originalFetch = global.fetch;
+    let app;
+    let mockFirestore;
+    let mockLlmClient;
+
+    beforeEach(() => {
+      setupTestEnv();
+      mockFirestore = createMockFirestore();
+      mockLlmClient = createMockLlmClient();
+      app = createApp({
+        logger: createMockLogger(),
+        firestore: mockFirestore,
+        bigQuery: createMockBigQuery(),
+        llmClient: mockLlmClient,
+      });
+      vi.clearAllMocks();
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      mockFirestore._clear();
+    });
+
+    it("POST /api/llm streams deltas, then the result, and records usage once", async () => {
+      mockLlmClient.askGoldenInterviewerTurn.mockImplementation(async () => {
+        const { llmStream } = getRequestContext();
+        llmStream.onDelta("What's the ");
+        llmStream.onDelta("job title?");
+        return {
+          provider: "anthropic",
+          model: "claude-test",
+          message: "What's the job title?",
+          uiTool: { type: "smart_textarea", props: {} },
+        };
+      });
+
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ taskType: "golden_interviewer", context: { sessionId: "s1" }, stream: true });
+
+      expect(response.status).toBe(200);
+      expect(response.headers["content-type"]).toContain("text/event-stream");
+      expect(parseSse(response.text)).toEqual([
+        { event: "delta", data: { text: "What's the " } },
+        { event: "delta", data: { text: "job title?" } },
+        {
+          event: "result",
+          data: {
+            taskType: "golden_interviewer",
+            result: expect.objectContaining({ uiTool: { type: "smart_textarea", props: {} } }),
+          },
+        },
+      ]);
+      expect(recordLlmUsageFromResult).toHaveBeenCalledTimes(1);
+    });
+
+    it("POST /api/llm rejects streaming for service-handled tasks", async () => {
+      const response = await request(app)
+        .post("/api/llm")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ taskType: "suggest", context: {}, stream: true });
+
+      expect(response.status).toBe(400);
+    });
+
+    it("POST /golden-interview/chat streams the message before the ui_tool", async () => {
+      mockFirestore._seedDocument(
+        "golden_interview_sessions",
+        "session_stream",
+        createTestSession({ sessionId: "session_stream", turnCount: 1 })
+      );
+      const internalBodies = [];
+      global.fetch = vi.fn(async (url, options) => {
+        internalBodies.push(JSON.parse(options.body));
+        return {
+          ok: true,
+          status: 200,
+          body: sseBody([
+            ["delta", { text: "Nice. " }],
+            ["delta", { text: "What's the pay range?" }],
+            [
+              "result",
+              {
+                taskType: "golden_interviewer",
+                result: {
+                  message: "Nice. What's the pay range?",
+                  uiTool: { type: "smart_textarea", props: { title: "Pay", prompts: ["Range?"] } },
+                  extraction: { updates: {} },
+                  completionPercentage: 10,
+                  interviewPhase: "compensation",
+                },
+              },
+            ],
+          ]),
+        };
+      });
+
+      const response = await request(app)
+        .post("/golden-interview/chat")
+        .set("Authorization", `Bearer ${createTestToken()}`)
+        .send({ sessionId: "session_stream", userMessage: "Warehouse lead", stream: true });
+
+      expect(internalBodies[0]).toMatchObject({ taskType: "golden_interviewer", stream: true });
+      const events = parseSse(response.text);
+      expect(events.map((event) => event.event)).toEqual(["delta", "delta", "result"]);
+      expect(events.slice(0, 2).map((event) => event.data.text).join("")).toBe(
+        "Nice. What's the pay range?"
+      );
+      expect(events[2].data).toMatchObject({
+        success: true,
+        message: "Nice. What's the pay range?",
+        ui_tool: { type: "smart_textarea" },
+        interview_phase: "compensation",
+      });
+    });
+  });
+});
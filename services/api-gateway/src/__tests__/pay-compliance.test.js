@@ -0,0 +1,271 @@
+/**
+ * @file pay-compliance.test.js
+ * Tests for the pay-transparency and wage-law checks.
+ *
+ * These tests verify:
+ * 1. Jurisdictions resolve from ZIP codes and "City, ST" locations (incl. NY regions)
+ * 2. Missing/open-ended pay ranges, sub-minimum pay and exempt/overtime
+ *    mismatches (from golden data) are flagged with the right severity
+ * 3. Pay-range laws only block employers at or above their size threshold;
+ *    an unknown company size gives a warning
+ * 4. POST /wizard/refine/finalize stores the report (checked against the
+ *    job's company), and blocking flags keep the job out of job board feeds
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import request from "supertest";
+import { createApp } from "../server.js";
+import { PAY_COMPLIANCE_RULES } from "../config/pay-compliance-rules.js";
+import {
+  checkPayCompliance,
+  parseEmployeeCountBucket,
+  resolvePayJurisdiction,
+} from "../services/pay-compliance.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestJob,
+  createTestSession,
+} from "./test-helpers.js";
+
+const flagIds = (report) => report.flags.map((flag) => flag.id);
+
+describe("Pay compliance rules", () => {
+  it("resolves jurisdictions from ZIP codes and locations", () => {
+    expect(resolvePayJurisdiction({ location: "Denver, CO" })).toMatchObject({ code: "CO", region: null });
+    expect(resolvePayJurisdiction({ location: "Seattle, Washington" })).toMatchObject({ code: "WA" });
+    expect(resolvePayJurisdiction({ location: "Somewhere", zipCode: "94103" })).toMatchObject({
+      code: "CA",
+    });
+    expect(resolvePayJurisdiction({ location: "Brooklyn, NY 11201" })).toMatchObject({
+      code: "NY",
+      region: "downstate",
+    });
+    expect(resolvePayJurisdiction({ location: "Albany, NY" })).toMatchObject({ code: "NY", region: null });
+    expect(resolvePayJurisdiction({ location: "Austin, TX" })).toBeNull();
+  });
+
+  it("flags missing or open-ended ranges where posting a range is required", () => {
+    const missing = checkPayCompliance({ job: { location: "Denver, CO" } });
+    expect(missing).toMatchObject({
+      rulesVersion: PAY_COMPLIANCE_RULES.version,
+      jurisdiction: { code: "CO", name: "Colorado" },
+      blocking: true,
+    });
+    expect(flagIds(missing)).toEqual(["pay_range_missing"]);
+
+    const openEnded = checkPayCompliance({
+      job: { location: "Denver, CO", salary: "Up to $90k", salaryPeriod: "per year" },
+    });
+    expect(flagIds(openEnded)).toEqual(["pay_range_open_ended"]);
+
+    const range = checkPayCompliance({
+      job: { location: "Denver, CO", salary: "70,000 - 90,000", salaryPeriod: "per year" },
+    });
+    expect(range.flags).toEqual([]);
+    expect(range.blocking).toBe(false);
+
+    // No range law in Texas; remote roles still reach range states
+    expect(checkPayCompliance({ job: { location: "Austin, TX" } }).flags).toEqual([
+      expect.objectContaining({ id: "jurisdiction_unknown", severity: "info" }),
+    ]);
+    expect(checkPayCompliance({ job: { workModel: "remote" } }).flags).toEqual([
+      expect.objectContaining({ id: "remote_pay_range_missing", severity: "warning" }),
+    ]);
+  });
+
+  it("applies pay-range laws by company size", () => {
+    // California requires a range from 15 employees
+    const job = { location: "Los Angeles, CA" };
+    const check = (employeeCountBucket) =>
+      checkPayCompliance({ job, company: employeeCountBucket ? { employeeCountBucket } : null });
+
+    expect(check("201-500")).toMatchObject({
+      blocking: true,
+      flags: [{ id: "pay_range_missing", severity: "blocking" }],
+    });
+    expect(check("1000+").blocking).toBe(true);
+
+    // Exempt small employer
+    expect(check("1-10")).toMatchObject({ blocking: false, flags: [] });
+
+    // Unknown size, or a bucket straddling the threshold: warn, don't block
+    [null, "unknown", "11-50"].forEach((bucket) => {
+      const report = check(bucket);
+      expect(report.blocking).toBe(false);
+      expect(report.flags).toEqual([
+        expect.objectContaining({
+          id: "pay_range_missing",
+          severity: "warning",
+          details: expect.stringContaining("Add the company's size"),
+        }),
+      ]);
+    });
+    expect(
+      checkPayCompliance({
+        job: { ...job, salary: "Up to $90k", salaryPeriod: "per year" },
+        company: null,
+      }).flags
+    ).toEqual([expect.objectContaining({ id: "pay_range_open_ended", severity: "warning" })]);
+
+    // Colorado's law covers every employer, whatever the size
+    expect(checkPayCompliance({ job: { location: "Denver, CO" }, company: null }).blocking).toBe(true);
+
+    expect(parseEmployeeCountBucket("1,001-5,000")).toEqual({ min: 1001, max: 5000 });
+    expect(parseEmployeeCountBucket("1000+")).toEqual({ min: 1000, max: Infinity });
+    expect(parseEmployeeCountBucket("unknown")).toBeNull();
+  });
+
+  it("flags pay below the local minimum wage", () => {
+    const downstate = checkPayCompliance({
+      job: { location: "Queens, NY", zipCode: "11375", salary: "16.50 - 18", salaryPeriod: "hourly" },
+    });
+    expect(downstate.flags).toEqual([
+      expect.objectContaining({ id: "below_minimum_wage", severity: "blocking" }),
+    ]);
+    expect(downstate.flags[0].details).toContain("$17.00/hour");
+
+    // The same pay is fine upstate, and contractors are out of scope
+    expect(
+      checkPayCompliance({ job: { location: "Albany, NY", salary: "16.50 - 18", salaryPeriod: "hourly" } }).flags
+    ).toEqual([]);
+    expect(
+      checkPayCompliance({
+        job: { location: "Houston, TX", salary: "6", employmentType: "contract" },
+      }).flags.map((flag) => flag.id)
+    ).not.toContain("below_minimum_wage");
+  });
+
+  it("flags exempt/non-exempt overtime mismatches from golden data", () => {
+    const job = { location: "Austin, TX", zipCode: "", employmentType: "full_time" };
+
+    const hourlyExempt = checkPayCompliance({
+      job,
+      goldenSchema: {
+        financial_reality: {
+          base_compensation: { amount_or_range: "$20-$24", pay_frequency: "hourly" },
+          payment_reliability: { overtime_policy: "Exempt - no overtime" },
+        },
+      },
+    });
+    expect(flagIds(hourlyExempt)).toContain("exempt_hourly_pay");
+
+    const lowSalary = checkPayCompliance({
+      job: { ...job, location: "Denver, CO", salary: "45,000 - 55,000", salaryPeriod: "yearly" },
+      goldenSchema: {
+        financial_reality: { payment_reliability: { overtime_policy: "Salaried, no overtime" } },
+      },
+    });
+    expect(flagIds(lowSalary)).toEqual(["exempt_below_salary_threshold"]);
+    expect(lowSalary.flags[0].details).toContain("$57,784.00/year");
+
+    const nonExempt = checkPayCompliance({
+      job: { ...job, salary: "45,000 - 55,000", salaryPeriod: "yearly" },
+      goldenSchema: {
+        financial_reality: { payment_reliability: { overtime_policy: "Non-exempt, time and a half" } },
+      },
+    });
+    expect(flagIds(nonExempt)).not.toContain("exempt_below_salary_threshold");
+
+    const unstatedOvertime = checkPayCompliance({
+      job: { ...job, salary: "20 - 24", salaryPeriod: "hourly" },
+      goldenSchema: { time_and_life: { overtime_reality: { overtime_expected: "frequent" } } },
+    });
+    expect(unstatedOvertime.flags).toContainEqual(
+      expect.objectContaining({ id: "overtime_policy_missing", severity: "warning" })
+    );
+  });
+});
+
+describe("Pay compliance at finalize", () => {
+  let app;
+  let mockFirestore;
+  let authToken;
+
+  const finalJob = {
+    roleTitle: "Line Cook",
+    companyName: "Harbor Grill",
+    location: "Denver, CO",
+    seniorityLevel: "entry",
+    employmentType: "full_time",
+    jobDescription: "Run the grill station.",
+  };
+
+  beforeEach(() => {
+    setupTestEnv();
+    mockFirestore = createMockFirestore();
+    app = createApp({
+      logger: createMockLogger(),
+      firestore: mockFirestore,
+      bigQuery: createMockBigQuery(),
+      llmClient: createMockLlmClient(),
+    });
+    authToken = createTestToken();
+
+    mockFirestore._seedDocument(
+      "golden_interview_sessions",
+      "session_cook",
+      createTestSession({
+        sessionId: "session_cook",
+        goldenSchema: {
+          financial_reality: {
+            payment_reliability: { overtime_policy: "Exempt, no overtime" },
+          },
+        },
+      })
+    );
+    mockFirestore._seedDocument(
+      "jobs",
+      "job_cook",
+      createTestJob({ id: "job_cook", companyId: "company_grill", goldenSessionId: "session_cook" })
+    );
+  });
+
+  afterEach(() => {
+    mockFirestore._clear();
+  });
+
+  const finalize = (job) =>
+    request(app)
+      .post("/wizard/refine/finalize")
+      .set("Authorization", `Bearer ${authToken}`)
+      .send({ jobId: "job_cook", finalJob: job, source: "refined" });
+
+  it("stores the report on the final job and keeps blocked jobs off the feeds", async () => {
+    const blocked = await finalize({ ...finalJob, salary: "18 - 20", salaryPeriod: "hourly" });
+
+    expect(blocked.status).toBe(200);
+    expect(blocked.body.compliance).toMatchObject({
+      rulesVersion: PAY_COMPLIANCE_RULES.version,
+      jurisdiction: { code: "CO" },
+      blocking: true,
+    });
+    expect(flagIds(blocked.body.compliance)).toEqual(["exempt_hourly_pay"]);
+
+    const stored = await mockFirestore.getDocument("jobFinalJobs", "job_cook");
+    expect(stored.compliance.blocking).toBe(true);
+    expect((await request(app).get("/feeds/jobs/job_cook.jsonld")).status).toBe(404);
+
+    // Fixing the pay clears the block
+    const fixed = await finalize({ ...finalJob, salary: "62,000 - 68,000", salaryPeriod: "per year" });
+    expect(fixed.body.compliance).toMatchObject({ blocking: false, flags: [] });
+    expect((await request(app).get("/feeds/jobs/job_cook.jsonld")).status).toBe(200);
+  });
+
+  it("checks pay-range laws against the job's company size", async () => {
+    const californiaJob = { ...finalJob, location: "Los Angeles, CA" };
+
+    mockFirestore._seedDocument("companies", "company_grill", { employeeCountBucket: "1-10" });
+    const exempt = await finalize(californiaJob);
+    expect(exempt.body.compliance).toMatchObject({ blocking: false, flags: [] });
+
+    mockFirestore._seedDocument("companies", "company_grill", { employeeCountBucket: "51-200" });
+    const covered = await finalize(californiaJob);
+    expect(covered.body.compliance.blocking).toBe(true);
+    expect(flagIds(covered.body.compliance)).toEqual(["pay_range_missing"]);
+  });
+});
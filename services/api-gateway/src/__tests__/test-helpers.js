@@ -23,18 +23,22 @@ export const TEST_USER_EMAIL = "test@example.com";
  * @param {object} options
  * @param {string} [options.userId] - User ID
  * @param {string} [options.email] - User email
+ * @param {string[]} [options.roles] - User roles
+ * @param {string|null} [options.orgId] - Organization ID
  * @returns {string} JWT token
  */
 export function createTestToken({
   userId = TEST_USER_ID,
   email = TEST_USER_EMAIL,
+  roles = [],
+  orgId = null,
 } = {}) {
   return jwt.sign(
     {
       sub: userId,
       email,
-      roles: [],
-      orgId: null,
+      roles,
+      orgId,
     },
     TEST_JWT_SECRET,
     { expiresIn: "1h" }
@@ -72,25 +76,81 @@ export function createMockLogger() {
   };
 }
 
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof Date);
+
+/** Field paths like "publishTask.status" read nested maps, as in Firestore. */
+function readField(doc, field) {
+  return field.split(".").reduce((value, key) => value?.[key], doc);
+}
+
+/**
+ * Firestore `set(data, { merge: true })`: nested maps are merged, keys
+ * missing from `data` are kept, everything else is replaced.
+ */
+function mergeFirestoreData(existing, data) {
+  const merged = { ...(existing ?? {}) };
+  Object.entries(data ?? {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key])
+        ? mergeFirestoreData(merged[key], value)
+        : value;
+  });
+  return merged;
+}
+
 /**
  * Create a mock Firestore adapter with in-memory storage
  * @returns {object} Mock Firestore adapter
  */
 export function createMockFirestore() {
   const store = new Map();
+  // Transactions run one at a time, which is what Firestore's retries amount to
+  let transactionQueue = Promise.resolve();
 
   return {
     _store: store, // Expose for test assertions
 
+    runTransaction: vi.fn((work) => {
+      const run = transactionQueue.then(async () => {
+        const writes = [];
+        const result = await work({
+          getDocument: async (collection, id) => store.get(`${collection}/${id}`) || null,
+          saveDocument: (collection, id, data) => {
+            writes.push(() => {
+              const key = `${collection}/${id}`;
+              store.set(key, { ...mergeFirestoreData(store.get(key), data), id });
+            });
+            return { id, ...data };
+          },
+          replaceDocument: (collection, id, data) => {
+            writes.push(() => store.set(`${collection}/${id}`, { ...data, id }));
+            return { id, ...data };
+          },
+        });
+        // Commit only when the work succeeded
+        writes.forEach((write) => write());
+        return result;
+      });
+      transactionQueue = run.catch(() => {});
+      return run;
+    }),
+
     getDocument: vi.fn(async (collection, id) => {
       const key = `${collection}/${id}`;
       return store.get(key) || null;
     }),
 
+    // Same merge semantics as the Firestore adapter (set with merge: true)
     saveDocument: vi.fn(async (collection, id, data) => {
       const key = `${collection}/${id}`;
-      store.set(key, { ...data, id });
-      return { id, ...data };
+      const merged = { ...mergeFirestoreData(store.get(key), data), id };
+      store.set(key, merged);
+      return merged;
     }),
 
     addDocument: vi.fn(async (collection, data) => {
@@ -120,7 +180,7 @@ export function createMockFirestore() {
         if (key.startsWith(`${collection}/`)) {
           let matches = true;
           for (const filter of filters) {
-            if (filter.operator === "==" && doc[filter.field] !== filter.value) {
+            if (filter.operator === "==" && readField(doc, filter.field) !== filter.value) {
               matches = false;
               break;
             }
@@ -133,6 +193,17 @@ export function createMockFirestore() {
       return results;
     }),
 
+    getCompanyByDomain: vi.fn(async (domain) => {
+      const normalizedDomain = String(domain ?? "").trim().toLowerCase();
+      if (!normalizedDomain) return null;
+      for (const [key, doc] of store.entries()) {
+        if (key.startsWith("companies/") && doc.primaryDomain === normalizedDomain) {
+          return doc;
+        }
+      }
+      return null;
+    }),
+
     recordLlmUsage: vi.fn(async () => {}),
 
     // Helper to pre-seed data for tests
@@ -251,6 +322,8 @@ export function createMockLlmClient(responses = {}) {
     askHeroImagePrompt: vi.fn(async () => responses.askHeroImagePrompt ?? {}),
     runImageGeneration: vi.fn(async () => responses.runImageGeneration ?? {}),
     askImageCaption: vi.fn(async () => responses.askImageCaption ?? {}),
+    askApplicationScreening: vi.fn(async () => responses.askApplicationScreening ?? {}),
+    askGoldenResumeRecap: vi.fn(async () => responses.askGoldenResumeRecap ?? { recap: "" }),
     askGoldenDbUpdate: vi.fn(async () => responses.askGoldenDbUpdate ?? {
       updates: {},
       reasoning: "No data to extract",
@@ -0,0 +1,808 @@
+/**
+ * @file video.publishers.test.js
+ * Tests for the per-channel video publishing adapters.
+ *
+ * Adapters run against a scripted stand-in for each channel's API, matched
+ * on the real hosts and paths. These tests verify:
+ * 1. Channel payloads are checked against caption, hashtag, aspect ratio and thumbnail rules
+ * 2. Each channel's upload flow sends the rendered file, not a URL to it
+ * 3. Status checks happen one per refresh, outside the publish request
+ * 4. Expiring or rejected tokens are refreshed through the channel's OAuth flow
+ * 5. POST /videos/:id/publish returns the pending task and the poller finishes it
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import request from "supertest";
+import { resolveVideoSpec } from "@wizard/core";
+import { createApp } from "../server.js";
+import { createPublisherRegistry } from "../video/publishers.js";
+import { createVideoPublishPoller } from "../video/publish-poller.js";
+import { VIDEO_BEHAVIOR_CONFIG } from "../config/llm-config.js";
+import { buildChannelPayload } from "../video/publishers/channel-rules.js";
+import {
+  buildFallbackStoryboard,
+  buildFallbackCaption,
+  buildFallbackThumbnail,
+} from "../video/fallbacks.js";
+import {
+  setupTestEnv,
+  createTestToken,
+  createMockLogger,
+  createMockFirestore,
+  createMockBigQuery,
+  createMockLlmClient,
+  createTestJob,
+  TEST_USER_ID,
+} from "./test-helpers.js";
+
+const COMPANY_ID = "company_test_1";
+
+function buildManifest(channelId, overrides = {}) {
+  const spec = resolveVideoSpec(channelId);
+  const jobSnapshot = {
+    jobId: "job_test_1",
+    title: "Senior Software Engineer",
+    company: "Test Company",
+    geo: "San Francisco",
+    benefits: [],
+  };
+  return {
+    manifestId: `manifest_${channelId}`,
+    version: 1,
+    createdAt: new Date().toISOString(),
+    channelId,
+    channelName: spec.placementName,
+    placementName: spec.placementName,
+    spec,
+    job: jobSnapshot,
+    storyboard: buildFallbackStoryboard({ jobSnapshot, spec }),
+    caption: buildFallbackCaption({ jobSnapshot, spec }),
+    thumbnail: buildFallbackThumbnail({ jobSnapshot }),
+    compliance: { flags: [], qaChecklist: [] },
+    tracking: { utmSource: "tiktok", utmContent: "job_test_1" },
+    generator: { mode: "fallback" },
+    ...overrides,
+  };
+}
+
+function buildRenderTask(overrides = {}) {
+  return {
+    id: "render_1",
+    manifestVersion: 1,
+    mode: "file",
+    status: "completed",
+    requestedAt: new Date().toISOString(),
+    result: {
+      videoUrl: "https://cdn.example.org/video.mp4",
+      posterUrl: "https://cdn.example.org/poster.jpg",
+    },
+    ...overrides,
+  };
+}
+
+function seedCredential(firestore, channelId, overrides = {}) {
+  firestore._seedDocument("companyPublisherCredentials", `${COMPANY_ID}:${channelId}`, {
+    companyId: COMPANY_ID,
+    channelId,
+    accessToken: "token-ok",
+    refreshToken: null,
+    accountId: "acct_1",
+    scopes: ["video.publish"],
+    updatedAt: new Date(),
+    ...overrides,
+  });
+}
+
+const APPS = {
+  TIKTOK_LEAD: { clientId: "tiktok-key", clientSecret: "tiktok-secret" },
+  YOUTUBE_LEAD: { clientId: "google-client", clientSecret: "google-secret" },
+  META_FB_IG_LEAD: { clientId: "meta-app", clientSecret: "meta-secret" },
+  SNAPCHAT_LEADS: { clientId: "snap-client", clientSecret: "snap-secret" },
+  X_HIRING: { clientId: "x-client", clientSecret: "x-secret" },
+};
+
+const VIDEO_BYTES = Buffer.from("rendered-video-bytes");
+const POSTER_BYTES = Buffer.from("poster-bytes");
+
+async function loadMedia(url) {
+  return url.endsWith(".jpg")
+    ? { bytes: POSTER_BYTES, contentType: "image/jpeg" }
+    : { bytes: VIDEO_BYTES, contentType: "video/mp4" };
+}
+
+/**
+ * Scripted stand-in for the channels' APIs, used as fetchImpl.
+ * Only "token-ok" and "token-refreshed" are accepted; OAuth token endpoints
+ * hand out "token-refreshed" unless `refreshFails` is set. Status checks
+ * shift the next status off the channel's queue (the last one repeats).
+ */
+function createChannelStandIn() {
+  const state = {
+    requests: [],
+    refreshFails: false,
+    tiktokStatuses: ["PUBLISH_COMPLETE"],
+    youtubeStatuses: ["processed"],
+    instagramStatuses: ["FINISHED"],
+    snapchatStatuses: ["READY"],
+    xStates: ["succeeded"],
+  };
+  const json = (status, data, headers = {}) =>
+    new Response(JSON.stringify(data), {
+      status,
+      headers: { "Content-Type": "application/json", ...headers },
+    });
+  const next = (queue) => (queue.length > 1 ? queue.shift() : queue[0]);
+  const tokenResponse = () =>
+    state.refreshFails
+      ? json(400, { error: "invalid_grant", error_description: "Refresh token revoked" })
+      : json(200, { access_token: "token-refreshed", refresh_token: "refresh-2", expires_in: 86400 });
+
+  const routes = [
+    // TikTok
+    {
+      method: "POST",
+      url: "https://open.tiktokapis.com/v2/post/publish/creator_info/query/",
+      handle: () => json(200, { data: { privacy_level_options: ["PUBLIC_TO_EVERYONE", "SELF_ONLY"] } }),
+    },
+    {
+      method: "POST",
+      url: "https://open.tiktokapis.com/v2/post/publish/video/init/",
+      handle: () =>
+        json(200, {
+          data: { publish_id: "v_pub_1", upload_url: "https://open-upload.tiktokapis.com/video/?upload_id=1" },
+          error: { code: "ok" },
+        }),
+    },
+    {
+      method: "PUT",
+      url: "https://open-upload.tiktokapis.com/video/?upload_id=1",
+      public: true,
+      handle: () => new Response(null, { status: 201 }),
+    },
+    {
+      method: "POST",
+      url: "https://open.tiktokapis.com/v2/post/publish/status/fetch/",
+      handle: () => {
+        const status = next(state.tiktokStatuses);
+        return json(200, {
+          data: {
+            status,
+            fail_reason: status === "FAILED" ? "video_pull_failed" : undefined,
+            publicaly_available_post_id: status === "PUBLISH_COMPLETE" ? ["7300000000000000001"] : [],
+          },
+        });
+      },
+    },
+    { method: "POST", url: "https://open.tiktokapis.com/v2/oauth/token/", public: true, handle: tokenResponse },
+    // YouTube
+    {
+      method: "POST",
+      url: "https://www.googleapis.com/upload/youtube/v3/videos?uploadType=resumable&part=snippet,status",
+      handle: () =>
+        json(200, {}, { Location: "https://www.googleapis.com/upload/youtube/v3/videos?upload_id=session_1" }),
+    },
+    {
+      method: "PUT",
+      url: "https://www.googleapis.com/upload/youtube/v3/videos?upload_id=session_1",
+      handle: () => json(200, { id: "yt_1", status: { uploadStatus: "uploaded" } }),
+    },
+    {
+      method: "POST",
+      url: "https://www.googleapis.com/upload/youtube/v3/thumbnails/set?videoId=yt_1",
+      handle: () => json(200, { items: [] }),
+    },
+    {
+      method: "GET",
+      url: "https://www.googleapis.com/youtube/v3/videos?part=status,processingDetails&id=yt_1",
+      handle: () => json(200, { items: [{ id: "yt_1", status: { uploadStatus: next(state.youtubeStatuses) } }] }),
+    },
+    { method: "POST", url: "https://oauth2.googleapis.com/token", public: true, handle: tokenResponse },
+    // Instagram
+    {
+      method: "POST",
+      url: "https://graph.facebook.com/v21.0/ig_user_1/media",
+      handle: () => json(200, { id: "container_1", uri: "https://rupload.facebook.com/ig-api-upload/v21.0/container_1" }),
+    },
+    {
+      method: "POST",
+      url: "https://rupload.facebook.com/ig-api-upload/v21.0/container_1",
+      handle: () => json(200, { success: true }),
+    },
+    {
+      method: "GET",
+      url: "https://graph.facebook.com/v21.0/container_1?fields=status_code,status",
+      handle: () => json(200, { status_code: next(state.instagramStatuses), id: "container_1" }),
+    },
+    {
+      method: "POST",
+      url: "https://graph.facebook.com/v21.0/ig_user_1/media_publish",
+      handle: () => json(200, { id: "ig_media_1" }),
+    },
+    {
+      method: "GET",
+      url: "https://graph.facebook.com/v21.0/ig_media_1?fields=permalink",
+      handle: () => json(200, { permalink: "https://www.instagram.com/reel/abc123/" }),
+    },
+    // Snapchat
+    {
+      method: "POST",
+      url: "https://adsapi.snapchat.com/v1/adaccounts/ad_acct_1/media",
+      handle: () => json(200, { media: [{ sub_request_status: "SUCCESS", media: { id: "snap_media_1" } }] }),
+    },
+    {
+      method: "POST",
+      url: "https://adsapi.snapchat.com/v1/media/snap_media_1/upload",
+      handle: () => json(200, { request_status: "SUCCESS" }),
+    },
+    {
+      method: "GET",
+      url: "https://adsapi.snapchat.com/v1/media/snap_media_1",
+      handle: () => json(200, { media: [{ media: { id: "snap_media_1", media_status: next(state.snapchatStatuses) } }] }),
+    },
+    {
+      method: "POST",
+      url: "https://adsapi.snapchat.com/v1/adaccounts/ad_acct_1/creatives",
+      handle: () => json(200, { creatives: [{ sub_request_status: "SUCCESS", creative: { id: "creative_1" } }] }),
+    },
+    // X
+    {
+      method: "POST",
+      url: "https://api.x.com/2/media/upload/initialize",
+      handle: () => json(200, { data: { id: "x_media_1", media_key: "7_x_media_1" } }),
+    },
+    {
+      method: "POST",
+      url: "https://api.x.com/2/media/upload/x_media_1/append",
+      handle: () => new Response(null, { status: 204 }),
+    },
+    {
+      method: "POST",
+      url: "https://api.x.com/2/media/upload/x_media_1/finalize",
+      handle: () => json(200, { data: { id: "x_media_1", processing_info: { state: "pending" } } }),
+    },
+    {
+      method: "GET",
+      url: "https://api.x.com/2/media/upload?command=STATUS&media_id=x_media_1",
+      handle: () => json(200, { data: { id: "x_media_1", processing_info: { state: next(state.xStates) } } }),
+    },
+    {
+      method: "POST",
+      url: "https://api.x.com/2/tweets",
+      handle: () => json(201, { data: { id: "1850000000000000001", text: "posted" } }),
+    },
+  ];
+
+  const authorized = (headers) =>
+    ["Bearer token-ok", "Bearer token-refreshed", "OAuth token-ok", "OAuth token-refreshed"].includes(
+      headers.authorization
+    );
+
+  async function fetchImpl(url, init = {}) {
+    const headers = Object.fromEntries(
+      Object.entries(init.headers ?? {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const entry = { method: init.method ?? "GET", url: String(url), headers, body: init.body ?? null };
+    state.requests.push(entry);
+    const route = routes.find((candidate) => candidate.method === entry.method && candidate.url === entry.url);
+    if (!route) {
+      return json(404, { error: { message: `No stand-in for ${entry.method} ${entry.url}` } });
+    }
+    if (!route.public && !authorized(headers)) {
+      return json(401, { error: { message: "Invalid access token" } });
+    }
+    return route.handle(entry);
+  }
+
+  return { state, fetchImpl };
+}
+
+const requestsTo = (standIn, prefix) =>
+  standIn.state.requests.filter((entry) => entry.url.startsWith(prefix));
+
+describe("Video publishing adapters", () => {
+  let standIn;
+  let mockFirestore;
+  let mockLogger;
+
+  beforeEach(() => {
+    setupTestEnv();
+    mockFirestore = createMockFirestore();
+    mockLogger = createMockLogger();
+    standIn = createChannelStandIn();
+  });
+
+  afterEach(() => {
+    mockFirestore._clear();
+    vi.restoreAllMocks();
+  });
+
+  function createRegistry(overrides = {}) {
+    return createPublisherRegistry({
+      logger: mockLogger,
+      firestore: mockFirestore,
+      apps: APPS,
+      fetchImpl: standIn.fetchImpl,
+      loadMedia,
+      ...overrides,
+    });
+  }
+
+  async function publishAndRefresh(channelId, manifestOverrides = {}) {
+    const registry = createRegistry();
+    const pending = await registry.publish({
+      manifest: buildManifest(channelId, manifestOverrides),
+      renderTask: buildRenderTask(),
+      companyId: COMPANY_ID,
+    });
+    const finished = await registry.refresh({ publishTask: pending, companyId: COMPANY_ID });
+    return { pending, finished };
+  }
+
+  // ===========================================================================
+  // Channel payload rules
+  // ===========================================================================
+
+  describe("buildChannelPayload", () => {
+    it("appends normalised hashtags to the caption", () => {
+      const manifest = buildManifest("TIKTOK_LEAD", {
+        caption: { text: "We are hiring", hashtags: ["#hiring", "careers", "hiring"] },
+      });
+
+      const { payload, issues } = buildChannelPayload({
+        manifest,
+        renderTask: buildRenderTask(),
+      });
+
+      expect(issues).toEqual([]);
+      expect(payload.hashtags).toEqual(["hiring", "careers"]);
+      expect(payload.caption).toBe("We are hiring\n\n#hiring #careers");
+      expect(payload.aspectRatio).toBe("9:16");
+    });
+
+    it("flags captions, hashtags and aspect ratios X would reject", () => {
+      const manifest = buildManifest("X_HIRING", {
+        caption: { text: "a".repeat(290), hashtags: ["hiring", "now hiring", "jobs"] },
+        generator: { mode: "fallback", providerOptions: { aspectRatio: "9:16" } },
+      });
+
+      const { issues } = buildChannelPayload({ manifest, renderTask: buildRenderTask() });
+
+      expect(issues.map((issue) => issue.code).sort()).toEqual([
+        "aspect_ratio_mismatch",
+        "caption_too_long",
+        "invalid_hashtag",
+        "too_many_hashtags",
+      ]);
+    });
+
+    it("requires a cover image for Instagram Reels", () => {
+      const { issues } = buildChannelPayload({
+        manifest: buildManifest("META_FB_IG_LEAD"),
+        renderTask: buildRenderTask({ result: { videoUrl: "https://cdn.example.org/video.mp4" } }),
+      });
+
+      expect(issues.map((issue) => issue.code)).toEqual(["thumbnail_missing"]);
+    });
+  });
+
+  // ===========================================================================
+  // Registry against the channel stand-ins
+  // ===========================================================================
+
+  describe("createPublisherRegistry", () => {
+    it("uploads the rendered file to TikTok and returns without polling", async () => {
+      seedCredential(mockFirestore, "TIKTOK_LEAD");
+
+      const task = await createRegistry().publish({
+        manifest: buildManifest("TIKTOK_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+
+      expect(task.status).toBe("publishing");
+      expect(task.adapter).toBe("tiktok");
+      expect(task.completedAt).toBeNull();
+      expect(task.response).toMatchObject({ externalId: "v_pub_1", remoteStatus: "processing" });
+
+      const [creatorInfo, init, upload, ...rest] = standIn.state.requests;
+      expect(creatorInfo.url).toContain("/creator_info/query/");
+      expect(init.headers.authorization).toBe("Bearer token-ok");
+      expect(JSON.parse(init.body)).toMatchObject({
+        post_info: { privacy_level: "PUBLIC_TO_EVERYONE" },
+        source_info: {
+          source: "FILE_UPLOAD",
+          video_size: VIDEO_BYTES.length,
+          chunk_size: VIDEO_BYTES.length,
+          total_chunk_count: 1,
+        },
+      });
+      expect(upload).toMatchObject({
+        method: "PUT",
+        headers: {
+          "content-type": "video/mp4",
+          "content-range": `bytes 0-${VIDEO_BYTES.length - 1}/${VIDEO_BYTES.length}`,
+        },
+      });
+      expect(Buffer.compare(upload.body, VIDEO_BYTES)).toBe(0);
+      expect(rest).toHaveLength(0);
+    });
+
+    it("checks the channel once per refresh until TikTok completes", async () => {
+      seedCredential(mockFirestore, "TIKTOK_LEAD", { accountId: "wizardjobs" });
+      standIn.state.tiktokStatuses = ["PROCESSING_UPLOAD", "PUBLISH_COMPLETE"];
+      const registry = createRegistry();
+
+      const pending = await registry.publish({
+        manifest: buildManifest("TIKTOK_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+      const stillProcessing = await registry.refresh({ publishTask: pending, companyId: COMPANY_ID });
+      expect(stillProcessing.status).toBe("publishing");
+      expect(requestsTo(standIn, "https://open.tiktokapis.com/v2/post/publish/status/fetch/")).toHaveLength(1);
+
+      const published = await registry.refresh({ publishTask: stillProcessing, companyId: COMPANY_ID });
+      expect(published.id).toBe(pending.id);
+      expect(published.status).toBe("published");
+      expect(published.response).toMatchObject({
+        externalId: "v_pub_1",
+        remoteStatus: "published",
+        permalink: "https://www.tiktok.com/@wizardjobs/video/7300000000000000001",
+        remote: { postId: "7300000000000000001" },
+      });
+    });
+
+    it("reports the channel's rejection", async () => {
+      seedCredential(mockFirestore, "TIKTOK_LEAD");
+      standIn.state.tiktokStatuses = ["FAILED"];
+
+      const { finished } = await publishAndRefresh("TIKTOK_LEAD");
+
+      expect(finished.status).toBe("failed");
+      expect(finished.error).toEqual({ reason: "channel_rejected", message: "video_pull_failed" });
+    });
+
+    it("uploads Shorts through a resumable session, sets the cover and links the Short", async () => {
+      seedCredential(mockFirestore, "YOUTUBE_LEAD");
+
+      const { pending, finished } = await publishAndRefresh("YOUTUBE_LEAD");
+
+      expect(pending.status).toBe("publishing");
+      const [session, upload, thumbnail] = standIn.state.requests;
+      expect(session.headers["x-upload-content-length"]).toBe(String(VIDEO_BYTES.length));
+      expect(JSON.parse(session.body).snippet.title).toBe("Senior Software Engineer");
+      expect(Buffer.compare(upload.body, VIDEO_BYTES)).toBe(0);
+      expect(thumbnail.headers["content-type"]).toBe("image/jpeg");
+      expect(Buffer.compare(thumbnail.body, POSTER_BYTES)).toBe(0);
+      expect(finished.status).toBe("published");
+      expect(finished.response.permalink).toBe("https://www.youtube.com/shorts/yt_1");
+    });
+
+    it("uploads Reels to a resumable container and publishes it once processed", async () => {
+      seedCredential(mockFirestore, "META_FB_IG_LEAD", { accountId: "ig_user_1" });
+      standIn.state.instagramStatuses = ["IN_PROGRESS", "FINISHED"];
+      const registry = createRegistry();
+
+      const pending = await registry.publish({
+        manifest: buildManifest("META_FB_IG_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+      const [container, upload] = standIn.state.requests;
+      const containerParams = new URLSearchParams(container.body);
+      expect(containerParams.get("media_type")).toBe("REELS");
+      expect(containerParams.get("upload_type")).toBe("resumable");
+      expect(containerParams.get("cover_url")).toBe("https://cdn.example.org/poster.jpg");
+      expect(upload.headers).toMatchObject({
+        authorization: "OAuth token-ok",
+        offset: "0",
+        file_size: String(VIDEO_BYTES.length),
+      });
+      expect(Buffer.compare(upload.body, VIDEO_BYTES)).toBe(0);
+
+      const processing = await registry.refresh({ publishTask: pending, companyId: COMPANY_ID });
+      expect(processing.status).toBe("publishing");
+      expect(requestsTo(standIn, "https://graph.facebook.com/v21.0/ig_user_1/media_publish")).toHaveLength(0);
+
+      const published = await registry.refresh({ publishTask: processing, companyId: COMPANY_ID });
+      expect(published.status).toBe("published");
+      expect(published.response).toMatchObject({
+        externalId: "container_1",
+        permalink: "https://www.instagram.com/reel/abc123/",
+        remote: { mediaId: "ig_media_1" },
+      });
+    });
+
+    it("turns a ready Snapchat upload into a Snap Ad creative", async () => {
+      seedCredential(mockFirestore, "SNAPCHAT_LEADS", { accountId: "ad_acct_1" });
+
+      const { finished } = await publishAndRefresh("SNAPCHAT_LEADS", {
+        caption: { text: "We are hiring", hashtags: ["hiring"] },
+      });
+
+      const upload = requestsTo(standIn, "https://adsapi.snapchat.com/v1/media/snap_media_1/upload")[0];
+      expect(upload.body).toBeInstanceOf(FormData);
+      expect(Buffer.from(await upload.body.get("file").arrayBuffer()).equals(VIDEO_BYTES)).toBe(true);
+      const [creative] = requestsTo(standIn, "https://adsapi.snapchat.com/v1/adaccounts/ad_acct_1/creatives");
+      expect(JSON.parse(creative.body).creatives[0]).toMatchObject({
+        top_snap_media_id: "snap_media_1",
+        type: "SNAP_AD",
+        brand_name: "Test Company",
+      });
+      expect(finished.status).toBe("published");
+      expect(finished.response.remote).toEqual({ creativeId: "creative_1" });
+    });
+
+    it("appends the video to X in segments and posts it once processed", async () => {
+      seedCredential(mockFirestore, "X_HIRING");
+
+      const { pending, finished } = await publishAndRefresh("X_HIRING", {
+        caption: { text: "We are hiring", hashtags: ["hiring"] },
+      });
+
+      expect(pending.status).toBe("publishing");
+      const [append] = requestsTo(standIn, "https://api.x.com/2/media/upload/x_media_1/append");
+      expect(append.body.get("segment_index")).toBe("0");
+      expect(requestsTo(standIn, "https://api.x.com/2/media/upload/x_media_1/finalize")).toHaveLength(1);
+      const [post] = requestsTo(standIn, "https://api.x.com/2/tweets");
+      expect(JSON.parse(post.body)).toEqual({
+        text: "We are hiring\n\n#hiring",
+        media: { media_ids: ["x_media_1"] },
+      });
+      expect(finished.status).toBe("published");
+      expect(finished.response.permalink).toBe("https://x.com/i/web/status/1850000000000000001");
+    });
+
+    it("fails without uploading when the payload breaks channel rules", async () => {
+      seedCredential(mockFirestore, "X_HIRING");
+
+      const task = await createRegistry().publish({
+        manifest: buildManifest("X_HIRING", {
+          caption: { text: "a".repeat(300), hashtags: [] },
+        }),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+
+      expect(task.status).toBe("failed");
+      expect(task.error.reason).toBe("validation_failed");
+      expect(task.response.issues[0].code).toBe("caption_too_long");
+      expect(standIn.state.requests).toHaveLength(0);
+    });
+
+    it("flags the video for manual upload when the company has no connected account", async () => {
+      const task = await createRegistry().publish({
+        manifest: buildManifest("TIKTOK_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+
+      expect(task.status).toBe("ready");
+      expect(standIn.state.requests).toHaveLength(0);
+    });
+
+    it("flags the video for manual upload when the channel has no OAuth app", async () => {
+      seedCredential(mockFirestore, "TIKTOK_LEAD");
+
+      const task = await createRegistry({ apps: {} }).publish({
+        manifest: buildManifest("TIKTOK_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+
+      expect(task.status).toBe("ready");
+      expect(standIn.state.requests).toHaveLength(0);
+    });
+
+    it("refreshes an expiring token before uploading and stores the new one", async () => {
+      seedCredential(mockFirestore, "TIKTOK_LEAD", {
+        refreshToken: "refresh-1",
+        expiresAt: new Date(Date.now() + 60_000),
+      });
+
+      const task = await createRegistry().publish({
+        manifest: buildManifest("TIKTOK_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+
+      expect(task.status).toBe("publishing");
+      const [refresh, ...uploads] = standIn.state.requests;
+      expect(refresh.url).toBe("https://open.tiktokapis.com/v2/oauth/token/");
+      expect(Object.fromEntries(new URLSearchParams(refresh.body))).toEqual({
+        client_key: "tiktok-key",
+        client_secret: "tiktok-secret",
+        grant_type: "refresh_token",
+        refresh_token: "refresh-1",
+      });
+      expect(uploads[0].headers.authorization).toBe("Bearer token-refreshed");
+      const stored = await mockFirestore.getDocument("companyPublisherCredentials", `${COMPANY_ID}:TIKTOK_LEAD`);
+      expect(stored).toMatchObject({ accessToken: "token-refreshed", refreshToken: "refresh-2" });
+      expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now() + 3_600_000);
+    });
+
+    it("refreshes once and retries when the channel rejects the token", async () => {
+      seedCredential(mockFirestore, "YOUTUBE_LEAD", {
+        accessToken: "token-revoked",
+        refreshToken: "refresh-1",
+      });
+
+      const task = await createRegistry().publish({
+        manifest: buildManifest("YOUTUBE_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+
+      expect(task.status).toBe("publishing");
+      expect(requestsTo(standIn, "https://oauth2.googleapis.com/token")).toHaveLength(1);
+      const sessions = requestsTo(standIn, "https://www.googleapis.com/upload/youtube/v3/videos?uploadType=resumable");
+      expect(sessions.map((entry) => entry.headers.authorization)).toEqual([
+        "Bearer token-revoked",
+        "Bearer token-refreshed",
+      ]);
+    });
+
+    it("fails with credentials_rejected when the token is refused and cannot be refreshed", async () => {
+      seedCredential(mockFirestore, "TIKTOK_LEAD", {
+        accessToken: "token-revoked",
+        refreshToken: "refresh-1",
+      });
+      standIn.state.refreshFails = true;
+
+      const task = await createRegistry().publish({
+        manifest: buildManifest("TIKTOK_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+
+      expect(task.status).toBe("failed");
+      expect(task.error).toEqual({
+        reason: "credentials_rejected",
+        message: "Invalid access token",
+      });
+    });
+
+    it("fails with credentials_expired without calling the channel when the token cannot be refreshed", async () => {
+      seedCredential(mockFirestore, "TIKTOK_LEAD", { expiresAt: new Date(Date.now() - 1000) });
+
+      const task = await createRegistry().publish({
+        manifest: buildManifest("TIKTOK_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+
+      expect(task.error.reason).toBe("credentials_expired");
+      expect(standIn.state.requests).toHaveLength(0);
+    });
+
+    it("fails with media_unavailable when the rendered file cannot be read", async () => {
+      seedCredential(mockFirestore, "TIKTOK_LEAD");
+
+      const task = await createRegistry({
+        loadMedia: async () => {
+          throw new Error("ENOENT");
+        },
+      }).publish({
+        manifest: buildManifest("TIKTOK_LEAD"),
+        renderTask: buildRenderTask(),
+        companyId: COMPANY_ID,
+      });
+
+      expect(task.error.reason).toBe("media_unavailable");
+      expect(standIn.state.requests).toHaveLength(0);
+    });
+  });
+
+  // ===========================================================================
+  // POST /videos/:id/publish and the publish poller
+  // ===========================================================================
+
+  describe("POST /videos/:id/publish", () => {
+    const APP_ENV = { TIKTOK_CLIENT_KEY: "tiktok-key", TIKTOK_CLIENT_SECRET: "tiktok-secret" };
+    const videoFile = path.resolve(VIDEO_BEHAVIOR_CONFIG.outputDir, "publish-test.mp4");
+
+    beforeEach(() => {
+      vi.stubGlobal("fetch", standIn.fetchImpl);
+      for (const [name, value] of Object.entries(APP_ENV)) {
+        vi.stubEnv(name, value);
+      }
+      fs.mkdirSync(path.dirname(videoFile), { recursive: true });
+      fs.writeFileSync(videoFile, VIDEO_BYTES);
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      vi.unstubAllEnvs();
+      fs.rmSync(videoFile, { force: true });
+    });
+
+    function seedPublishableItem() {
+      const manifest = buildManifest("TIKTOK_LEAD");
+      const now = new Date().toISOString();
+      mockFirestore._seedDocument("jobs", "job_test_1", createTestJob({ companyId: COMPANY_ID }));
+      mockFirestore._seedDocument("videoLibraryItems", "video_1", {
+        id: "video_1",
+        jobId: "job_test_1",
+        ownerUserId: TEST_USER_ID,
+        channelId: "TIKTOK_LEAD",
+        channelName: manifest.channelName,
+        placementName: manifest.placementName,
+        status: "approved",
+        manifestVersion: 1,
+        jobSnapshot: manifest.job,
+        manifests: [manifest],
+        activeManifest: manifest,
+        renderTask: buildRenderTask({
+          result: { videoUrl: "http://localhost:4000/video-assets/publish-test.mp4" },
+        }),
+        publishTask: null,
+        auditLog: [],
+        createdAt: now,
+        updatedAt: now,
+      });
+      seedCredential(mockFirestore, "TIKTOK_LEAD");
+    }
+
+    it("uploads the stored render and returns the pending task", async () => {
+      seedPublishableItem();
+      const app = createApp({
+        logger: mockLogger,
+        firestore: mockFirestore,
+        bigQuery: createMockBigQuery(),
+        llmClient: createMockLlmClient(),
+      });
+
+      const response = await request(app)
+        .post("/videos/video_1/publish")
+        .set("Authorization", `Bearer ${createTestToken()}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.item.status).toBe("approved");
+      expect(response.body.item.publishTask).toMatchObject({
+        channelId: "TIKTOK_LEAD",
+        adapter: "tiktok",
+        status: "publishing",
+        response: { externalId: "v_pub_1", remoteStatus: "processing" },
+      });
+      const [upload] = requestsTo(standIn, "https://open-upload.tiktokapis.com/");
+      expect(Buffer.compare(upload.body, VIDEO_BYTES)).toBe(0);
+      expect(requestsTo(standIn, "https://open.tiktokapis.com/v2/post/publish/status/fetch/")).toHaveLength(0);
+
+      // A repeat request while the channel processes does not upload again
+      const repeat = await request(app)
+        .post("/videos/video_1/publish")
+        .set("Authorization", `Bearer ${createTestToken()}`);
+      expect(repeat.body.item.publishTask.id).toBe(response.body.item.publishTask.id);
+      expect(requestsTo(standIn, "https://open-upload.tiktokapis.com/")).toHaveLength(1);
+    });
+
+    it("marks the item published when the poller sees the channel finish", async () => {
+      seedPublishableItem();
+      standIn.state.tiktokStatuses = ["PROCESSING_UPLOAD", "PUBLISH_COMPLETE"];
+      const app = createApp({
+        logger: mockLogger,
+        firestore: mockFirestore,
+        bigQuery: createMockBigQuery(),
+        llmClient: createMockLlmClient(),
+      });
+      await request(app)
+        .post("/videos/video_1/publish")
+        .set("Authorization", `Bearer ${createTestToken()}`);
+      const poller = createVideoPublishPoller({ firestore: mockFirestore, logger: mockLogger });
+
+      expect(await poller.pollOnce()).toEqual([]);
+      const [finished] = await poller.pollOnce();
+
+      expect(finished.id).toBe("video_1");
+      expect(finished.status).toBe("published");
+      expect(finished.publishTask.status).toBe("published");
+      expect(finished.auditLog.at(-1)).toMatchObject({
+        type: "publish",
+        metadata: { status: "published", adapter: "tiktok" },
+      });
+      expect(await poller.pollOnce()).toEqual([]);
+    });
+  });
+});
@@ -8,6 +8,7 @@
  * 3. List user's jobs (GET /wizard/jobs)
  * 4. Merge suggestion into job (POST /wizard/suggestions/merge)
  * 5. Finalize job (POST /wizard/refine/finalize)
+ * 6. Draft saves publish WizardDraftUpdated on the event bus
  *
  * Architecture invariant verified:
  * - Wizard does NOT call LLM directly (suggestion/refine generation goes via /api/llm)
@@ -195,6 +196,41 @@ describe("Wizard Core Flows", () => {
       });
     });
 
+    describe("domain events", () => {
+      it("publishes WizardDraftUpdated with the saved intake", async () => {
+        const events = [];
+        app.locals.eventBus.subscribe("wizard.draft.updated", async (envelope) => {
+          events.push(envelope);
+        });
+
+        const response = await request(app)
+          .post("/wizard/draft")
+          .set("Authorization", `Bearer ${authToken}`)
+          .send({
+            currentStepId: "role-basics",
+            state: {
+              roleTitle: "Data Engineer",
+              companyName: "Event Corp",
+            },
+          });
+
+        expect(response.status).toBe(200);
+        await app.locals.eventBus.drain();
+        expect(events).toHaveLength(1);
+        expect(events[0]).toMatchObject({
+          source: "api-gateway",
+          partitionKey: response.body.jobId,
+          payload: {
+            jobId: response.body.jobId,
+            state: expect.objectContaining({
+              roleTitle: "Data Engineer",
+              companyName: "Event Corp",
+            }),
+          },
+        });
+      });
+    });
+
     describe("authentication", () => {
       it("returns 401 when no auth token provided", async () => {
         const response = await request(app)
@@ -0,0 +1,110 @@
+/**
+ * @file credit-reservations.js
+ * Which tasks hold credits up front, and how large that hold is.
+ *
+ * Holds are sized from pricing-rates.js using the same provider/model the
+ * task will run on (LLM_TASK_CONFIG / VIDEO_RENDER_CONFIG). They only need
+ * to be roughly right: the actual cost is charged when the task settles and
+ * anything unused is released back to the balance.
+ *
+ * IMPORTANT: like llm-config.js, this is CODE-ONLY configuration.
+ */
+
+import {
+  resolveCreditConversion,
+  resolveImagePricing,
+  resolveTextPricing,
+  resolveVideoPricing,
+} from "./pricing-rates.js";
+import { LLM_TASK_CONFIG, VIDEO_RENDER_CONFIG } from "./llm-config.js";
+import {
+  LLM_CORE_TASK,
+  LLM_ORCHESTRATOR_TASK,
+} from "./task-types.js";
+import { createAssetPlan } from "../llm/domain/asset-plan.js";
+
+const MILLION = 1_000_000;
+
+// Token budget assumed for one text call when sizing a hold.
+const TEXT_CALL_ESTIMATE = Object.freeze({
+  inputTokens: 6_000,
+  outputTokens: 3_000,
+});
+
+// Fallback clip length when the item does not tell us its duration.
+const DEFAULT_VIDEO_SECONDS = 8;
+
+// Holds stay open this long before services/credits expires them.
+export const CREDIT_RESERVATION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Orchestrator tasks that must reserve credits before running.
+ */
+export const CREDIT_RESERVED_TASKS = Object.freeze([
+  LLM_ORCHESTRATOR_TASK.GENERATE_CAMPAIGN_ASSETS,
+  LLM_ORCHESTRATOR_TASK.HERO_IMAGE,
+  LLM_ORCHESTRATOR_TASK.VIDEO_RENDER,
+]);
+
+function usdToCredits(usd, provider) {
+  const usdPerCredit = resolveCreditConversion(provider);
+  return usdPerCredit > 0 ? usd / usdPerCredit : 0;
+}
+
+function estimateTextCallCredits(taskType) {
+  const { provider, model } = LLM_TASK_CONFIG[taskType] ?? {};
+  const pricing = resolveTextPricing(provider, model, {
+    promptTokens: TEXT_CALL_ESTIMATE.inputTokens,
+  });
+  const usd =
+    (pricing.inputUsdPerMillionTokens * TEXT_CALL_ESTIMATE.inputTokens +
+      pricing.outputUsdPerMillionTokens * TEXT_CALL_ESTIMATE.outputTokens) /
+    MILLION;
+  return usdToCredits(usd, provider);
+}
+
+function estimateImageCredits() {
+  const { provider, model } = LLM_TASK_CONFIG[LLM_CORE_TASK.IMAGE_GENERATION];
+  const pricing = resolveImagePricing(provider, model);
+  return usdToCredits(pricing.costPerUnitUsd ?? 0, provider);
+}
+
+function estimateVideoCredits(seconds) {
+  const provider = VIDEO_RENDER_CONFIG.defaultProvider;
+  const model = VIDEO_RENDER_CONFIG.providers[provider]?.model;
+  const pricing = resolveVideoPricing(provider, model);
+  const usd =
+    (pricing.costPerSecondUsd ?? 0) * seconds + (pricing.costPerUnitUsd ?? 0);
+  return usdToCredits(usd, provider);
+}
+
+/**
+ * Estimate the credits to hold for a reserved task.
+ * @param {string} taskType - Orchestrator task type
+ * @param {Object} [context] - Request context sent to POST /api/llm; for
+ *   video_render only `durationSeconds`, which the router reads from the
+ *   stored manifest rather than the request
+ * @returns {number} Whole credits to reserve (0 when the task is not reserved)
+ */
+export function estimateReservationCredits(taskType, context = {}) {
+  let credits = 0;
+
+  if (taskType === LLM_ORCHESTRATOR_TASK.GENERATE_CAMPAIGN_ASSETS) {
+    const channelIds = Array.isArray(context.channelIds) ? context.channelIds : [];
+    const plan = createAssetPlan({ channelIds: Array.from(new Set(channelIds)) });
+    const calls = Math.max(plan.items?.length ?? 0, 1);
+    credits = calls * estimateTextCallCredits(LLM_CORE_TASK.ASSET_MASTER);
+  } else if (taskType === LLM_ORCHESTRATOR_TASK.HERO_IMAGE) {
+    credits =
+      estimateTextCallCredits(LLM_CORE_TASK.IMAGE_PROMPT_GENERATION) +
+      estimateImageCredits() +
+      estimateTextCallCredits(LLM_CORE_TASK.IMAGE_CAPTION);
+  } else if (taskType === LLM_ORCHESTRATOR_TASK.VIDEO_RENDER) {
+    const seconds = Number(context.durationSeconds);
+    credits = estimateVideoCredits(
+      Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_VIDEO_SECONDS
+    );
+  }
+
+  return Math.ceil(credits);
+}
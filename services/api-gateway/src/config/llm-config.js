@@ -17,6 +17,38 @@ const CLAUDE_OPUS_MODEL = "claude-opus-4-5-20251101";      // Best: $5/$25 per M
 // const CLAUDE_HAIKU_MODEL = "claude-haiku-4-5-20250929";    // Fast: $1/$5 per MTok
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOCAL / SELF-HOSTED MODELS (requires LOCAL_LLM_API_URL in .env)
+// Any OpenAI-compatible chat-completions server: vLLM, llama.cpp server, Ollama.
+// Select them per task with provider: "local" and one of the model ids below
+// (the id the server serves the model under). Pricing: providers.local in
+// pricing-rates.js (zero cost unless a model has its own rates).
+//
+// Capability flags per model:
+// - jsonMode: accepts response_format { type: "json_object" }
+// - structuredOutputs: accepts response_format { type: "json_schema" }
+// - toolCalling: accepts `tools` (e.g. vLLM with --enable-auto-tool-choice)
+// - maxContextTokens: context window; longer prompts are refused before the
+//   call (so the task falls back) and max_tokens is capped to what is left
+// Models missing here are treated as plain text models (prompt-only JSON).
+// ═══════════════════════════════════════════════════════════════════════════════
+const LOCAL_DEFAULT_MODEL = "qwen2.5-14b-instruct";
+
+export const LOCAL_LLM_MODELS = Object.freeze({
+  [LOCAL_DEFAULT_MODEL]: Object.freeze({
+    jsonMode: true,
+    structuredOutputs: true,
+    toolCalling: true,
+    maxContextTokens: 32_768,
+  }),
+  "llama3.1:8b": Object.freeze({
+    jsonMode: true,
+    structuredOutputs: false,
+    toolCalling: false,
+    maxContextTokens: 8_192,
+  }),
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // VIDEO RENDER CONFIGURATION
 // This is the single source of truth for video provider+model defaults.
@@ -88,6 +120,8 @@ const GEMINI_TASKS = [
   LLM_CORE_TASK.GOLDEN_INTERVIEWER,
   LLM_CORE_TASK.GOLDEN_DB_UPDATE,
   LLM_CORE_TASK.GOLDEN_REFINE,
+  LLM_CORE_TASK.GOLDEN_RESUME_RECAP,
+  LLM_CORE_TASK.APPLICATION_SCREENING,
 ];
 
 const config = GEMINI_TASKS.reduce((acc, task) => {
@@ -117,6 +151,44 @@ config[LLM_CORE_TASK.GOLDEN_INTERVIEWER] = {
   model: CLAUDE_OPUS_MODEL
 };
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// FALLBACK CHAINS
+// Each task may list `fallbacks: [{ provider, model }, ...]`, tried in order when
+// the primary provider keeps failing or its circuit is open (see
+// llm/providers/circuit-breaker.js). Fallbacks whose adapter is not registered
+// (e.g. no ANTHROPIC_API_KEY) are skipped.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Tasks that depend on Gemini-only features (image output, search grounding)
+// have no cross-provider fallback.
+const NO_FALLBACK_TASKS = new Set([
+  LLM_CORE_TASK.IMAGE_GENERATION,
+  LLM_CORE_TASK.COMPANY_INTEL,
+]);
+
+GEMINI_TASKS.filter((task) => !NO_FALLBACK_TASKS.has(task)).forEach((task) => {
+  if (config[task].provider === "gemini") {
+    config[task].fallbacks = [{ provider: "anthropic", model: CLAUDE_OPUS_MODEL }];
+  }
+});
+
+// Local runs: to serve a task from the self-hosted server, point it at
+// provider "local" and keep a hosted fallback for when the server is down or
+// not configured, e.g. for suggestions:
+// config[LLM_CORE_TASK.SUGGEST] = {
+//   provider: "local",
+//   model: LOCAL_DEFAULT_MODEL,
+//   fallbacks: [{ provider: "gemini", model: GEMINI_DEFAULT_MODEL }],
+// };
+
+config[LLM_CORE_TASK.GOLDEN_REFINE].fallbacks = [
+  { provider: "gemini", model: GEMINI_DEFAULT_MODEL },
+];
+
+config[LLM_CORE_TASK.GOLDEN_INTERVIEWER].fallbacks = [
+  { provider: "gemini", model: GEMINI_DEFAULT_MODEL },
+];
+
 // Video render still goes through the shared LLM usage pipeline for pricing/logging.
 // The model here is used for Veo logging; Sora uses its own model from VIDEO_RENDER_CONFIG.
 // Note: This is primarily for usage tracking - actual video generation uses VIDEO_RENDER_CONFIG.
@@ -0,0 +1,91 @@
+/**
+ * @file llm-quotas.js
+ * Request-rate and spend quotas for POST /api/llm.
+ *
+ * Limits apply per task family (text / image / video) to every user and,
+ * when the token carries an orgId, to the whole organization. Each family
+ * may set:
+ * - requestsPerMinute: sliding one-minute window of POST /api/llm requests
+ * - daily / monthly: spend caps for the current UTC day / month, in `usd`,
+ *   `credits` or both (spend is what the usage ledger records)
+ * A missing or null limit means unlimited.
+ *
+ * `overrides` raise or lower the defaults for specific users or orgs; they
+ * are merged over the defaults per family and window. An explicit null in an
+ * override lifts that default limit.
+ *
+ * IMPORTANT: like llm-config.js, this is CODE-ONLY configuration.
+ */
+
+import {
+  LLM_CORE_TASK,
+  LLM_ORCHESTRATOR_TASK,
+} from "./task-types.js";
+
+export const LLM_QUOTA_FAMILIES = Object.freeze(["text", "image", "video"]);
+
+export const LLM_QUOTA_SCOPES = Object.freeze(["user", "org"]);
+
+export const LLM_QUOTA_CONFIG = Object.freeze({
+  defaults: {
+    user: {
+      // Campaign asset generation and golden interview turns fan out into
+      // several text calls per user action, so text needs headroom.
+      text: { requestsPerMinute: 120, daily: { usd: 20 }, monthly: { usd: 200 } },
+      image: { requestsPerMinute: 10, daily: { usd: 10 }, monthly: { usd: 100 } },
+      video: { requestsPerMinute: 3, daily: { usd: 30 }, monthly: { usd: 300 } },
+    },
+    org: {
+      text: { requestsPerMinute: 600, daily: { usd: 200 }, monthly: { usd: 2000 } },
+      image: { requestsPerMinute: 50, daily: { usd: 100 }, monthly: { usd: 1000 } },
+      video: { requestsPerMinute: 15, daily: { usd: 300 }, monthly: { usd: 3000 } },
+    },
+  },
+  overrides: {
+    user: {},
+    org: {},
+  },
+});
+
+/**
+ * Task family a POST /api/llm taskType is metered under.
+ * @param {string} taskType
+ * @returns {"text" | "image" | "video"}
+ */
+export function resolveLlmQuotaFamily(taskType) {
+  if (
+    taskType === LLM_CORE_TASK.IMAGE_GENERATION ||
+    taskType === LLM_ORCHESTRATOR_TASK.HERO_IMAGE
+  ) {
+    return "image";
+  }
+  if (taskType.startsWith("video_")) return "video";
+  return "text";
+}
+
+/**
+ * Effective limits of one user or org for one task family.
+ * @param {Object} config - LLM_QUOTA_CONFIG shape
+ * @param {"user" | "org"} scope
+ * @param {string} scopeId
+ * @param {"text" | "image" | "video"} family
+ * @returns {{requestsPerMinute: number|null, daily: {usd: number|null, credits: number|null}, monthly: {usd: number|null, credits: number|null}}}
+ */
+export function resolveLlmQuotaLimits(config, scope, scopeId, family) {
+  const base = config.defaults?.[scope]?.[family] ?? {};
+  const override = config.overrides?.[scope]?.[scopeId]?.[family] ?? {};
+  // An override that sets a limit, even to null (unlimited), wins over the default
+  const pick = (overrideLimits, baseLimits, key) =>
+    overrideLimits && Object.hasOwn(overrideLimits, key)
+      ? overrideLimits[key] ?? null
+      : baseLimits?.[key] ?? null;
+  const windowLimits = (window) => ({
+    usd: pick(override[window], base[window], "usd"),
+    credits: pick(override[window], base[window], "credits"),
+  });
+  return {
+    requestsPerMinute: pick(override, base, "requestsPerMinute"),
+    daily: windowLimits("daily"),
+    monthly: windowLimits("monthly"),
+  };
+}
@@ -0,0 +1,141 @@
+/**
+ * @file pay-compliance-rules.js
+ * Bundled wage-law dataset for the pay compliance checks
+ * (services/pay-compliance.js).
+ *
+ * Covers US federal floors plus the states/districts with pay-transparency
+ * posting laws. Amounts are the values in force on `effectiveDate`; bump
+ * `version` whenever a figure changes so stored reports say which dataset
+ * they were checked against.
+ *
+ * IMPORTANT: like llm-config.js, this is CODE-ONLY configuration. The checks
+ * catch obvious problems before publishing; they are not legal advice.
+ */
+
+export const PAY_COMPLIANCE_RULES = Object.freeze({
+  version: "2026.1",
+  effectiveDate: "2026-01-01",
+  federal: {
+    minimumWageHourly: 7.25,
+    // FLSA white-collar exemption ($684/week)
+    exemptSalaryMinimumAnnual: 35568,
+  },
+  /**
+   * code -> {
+   *   name,
+   *   payRange: null | { minEmployees, coversRemote },  // posted salary range required
+   *   minimumWageHourly,
+   *   exemptSalaryMinimumAnnual,                        // null: federal threshold applies
+   *   zipPrefixes: [[from, to], ...],                   // 3-digit ZIP prefixes, inclusive
+   *   regions?: { id: { name, zipPrefixes, cityPattern, minimumWageHourly, exemptSalaryMinimumAnnual } }
+   * }
+   */
+  jurisdictions: {
+    CA: {
+      name: "California",
+      payRange: { minEmployees: 15, coversRemote: true },
+      minimumWageHourly: 16.9,
+      exemptSalaryMinimumAnnual: 70304,
+      zipPrefixes: [[900, 961]],
+    },
+    CO: {
+      name: "Colorado",
+      payRange: { minEmployees: 1, coversRemote: true },
+      minimumWageHourly: 15.16,
+      exemptSalaryMinimumAnnual: 57784,
+      zipPrefixes: [[800, 816]],
+    },
+    DC: {
+      name: "District of Columbia",
+      payRange: { minEmployees: 1, coversRemote: false },
+      minimumWageHourly: 17.95,
+      exemptSalaryMinimumAnnual: null,
+      zipPrefixes: [
+        [200, 200],
+        [202, 205],
+      ],
+    },
+    HI: {
+      name: "Hawaii",
+      payRange: { minEmployees: 50, coversRemote: false },
+      minimumWageHourly: 16,
+      exemptSalaryMinimumAnnual: null,
+      zipPrefixes: [[967, 968]],
+    },
+    IL: {
+      name: "Illinois",
+      payRange: { minEmployees: 15, coversRemote: false },
+      minimumWageHourly: 15,
+      exemptSalaryMinimumAnnual: null,
+      zipPrefixes: [[600, 629]],
+    },
+    MA: {
+      name: "Massachusetts",
+      payRange: { minEmployees: 25, coversRemote: false },
+      minimumWageHourly: 15,
+      exemptSalaryMinimumAnnual: null,
+      zipPrefixes: [
+        [10, 27],
+        [55, 55],
+      ],
+    },
+    MD: {
+      name: "Maryland",
+      payRange: { minEmployees: 1, coversRemote: false },
+      minimumWageHourly: 15,
+      exemptSalaryMinimumAnnual: null,
+      zipPrefixes: [[206, 219]],
+    },
+    MN: {
+      name: "Minnesota",
+      payRange: { minEmployees: 30, coversRemote: false },
+      minimumWageHourly: 11.41,
+      exemptSalaryMinimumAnnual: null,
+      zipPrefixes: [[550, 567]],
+    },
+    NJ: {
+      name: "New Jersey",
+      payRange: { minEmployees: 10, coversRemote: false },
+      minimumWageHourly: 15.92,
+      exemptSalaryMinimumAnnual: null,
+      zipPrefixes: [[70, 89]],
+    },
+    NY: {
+      name: "New York",
+      payRange: { minEmployees: 4, coversRemote: true },
+      minimumWageHourly: 16,
+      exemptSalaryMinimumAnnual: 62353.2,
+      zipPrefixes: [[100, 149]],
+      regions: {
+        downstate: {
+          name: "New York City, Long Island and Westchester",
+          zipPrefixes: [
+            [100, 108],
+            [110, 119],
+          ],
+          cityPattern:
+            /\b(new york city|nyc|manhattan|brooklyn|queens|bronx|staten island|long island|westchester|yonkers|white plains|new rochelle)\b/i,
+          minimumWageHourly: 17,
+          exemptSalaryMinimumAnnual: 66300,
+        },
+      },
+    },
+    VT: {
+      name: "Vermont",
+      payRange: { minEmployees: 5, coversRemote: false },
+      minimumWageHourly: 14.42,
+      exemptSalaryMinimumAnnual: null,
+      zipPrefixes: [
+        [50, 54],
+        [56, 59],
+      ],
+    },
+    WA: {
+      name: "Washington",
+      payRange: { minEmployees: 15, coversRemote: true },
+      minimumWageHourly: 17.13,
+      exemptSalaryMinimumAnnual: 80168.4,
+      zipPrefixes: [[980, 994]],
+    },
+  },
+});
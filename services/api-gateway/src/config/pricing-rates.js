@@ -161,6 +161,13 @@ const BASE_RATE_CARD = {
       credits: {
         usdPerCredit: null
       },
+      // Prompt cache writes are billed at a multiple of the input rate, by cache TTL
+      promptCache: {
+        writeInputMultiplierByTtl: {
+          "5m": 1.25,
+          "1h": 2
+        }
+      },
       text: {
         models: {
           // ═══════════════════════════════════════════════════════════════
@@ -413,6 +420,31 @@ const BASE_RATE_CARD = {
           }
         }
       }
+    },
+
+    // ═══════════════════════════════════════════════════════════════
+    // Self-hosted models (provider "local", OpenAI-compatible server)
+    // No per-token bill: calls are recorded at zero cost by default.
+    // To charge for GPU time, add a custom rate per model id, e.g.
+    //   "qwen2.5-14b-instruct": {
+    //     inputUsdPerMillionTokens: 0.1,
+    //     outputUsdPerMillionTokens: 0.3,
+    //     cachedUsdPerMillionTokens: 0
+    //   }
+    // ═══════════════════════════════════════════════════════════════
+    local: {
+      planName: "local-self-hosted",
+      credits: {
+        usdPerCredit: null
+      },
+      text: {
+        models: {},
+        default: {
+          inputUsdPerMillionTokens: 0,
+          outputUsdPerMillionTokens: 0,
+          cachedUsdPerMillionTokens: 0
+        }
+      }
     }
   }
 };
@@ -581,6 +613,11 @@ export function resolveStoragePricing(provider) {
   return providerConfig?.storage ?? {};
 }
 
+export function resolvePromptCachePricing(provider) {
+  const providerConfig = resolveProviderConfig(provider);
+  return providerConfig?.promptCache ?? {};
+}
+
 export function resolveCreditConversion(provider) {
   return resolveUsdPerCredit(provider);
 }
@@ -37,6 +37,8 @@ export const LLM_CORE_TASK = {
   GOLDEN_INTERVIEWER: "golden_interviewer",
   GOLDEN_DB_UPDATE: "golden_db_update",
   GOLDEN_REFINE: "golden_refine",
+  GOLDEN_RESUME_RECAP: "golden_resume_recap",
+  APPLICATION_SCREENING: "application_screening",
 };
 
 /**
@@ -50,6 +52,7 @@ export const LLM_ORCHESTRATOR_TASK = {
   VIDEO_REGENERATE: "video_regenerate",
   VIDEO_CAPTION_UPDATE: "video_caption_update",
   VIDEO_RENDER: "video_render",
+  SCREEN_APPLICATIONS: "screen_applications",
 };
 
 /**
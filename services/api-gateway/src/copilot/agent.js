@@ -51,6 +51,63 @@ export class WizardCopilotAgent {
     return Array.from(this.toolRegistry.values());
   }
 
+  /**
+   * Native tool definitions (see llm/utils/tool-calls.js). The Zod schema
+   * becomes the provider's parameter schema; schemaDescription keeps its
+   * usage hints in the description.
+   */
+  buildToolDefinitions(tools) {
+    return tools.map((tool) => ({
+      name: tool.name,
+      description: tool.schemaDescription
+        ? `${tool.description} ${tool.schemaDescription}`
+        : tool.description,
+      inputSchema: tool.schema
+    }));
+  }
+
+  /**
+   * Execute one tool call from the model.
+   * @returns {Promise<{entry: Object, result: Object, action: Object|null}>}
+   *   scratchpad entry, tool result for the next turn, and the UI action (if any)
+   */
+  async executeToolCall({ call, toolMap, toolContext, jobId, userId }) {
+    const tool = toolMap.get(call.name);
+    if (!tool) {
+      const error = `Unknown tool: ${call.name}`;
+      return {
+        entry: { type: "tool_error", tool: call.name, callId: call.id, input: call.input ?? {}, error },
+        result: { id: call.id, name: call.name, output: error, isError: true },
+        action: null
+      };
+    }
+    try {
+      const parsedInput = tool.schema.parse(call.input ?? {});
+      const result = await tool.execute(
+        {
+          ...toolContext,
+          cache: toolContext.cache ?? (toolContext.cache = {}),
+          jobId,
+          userId
+        },
+        parsedInput
+      );
+      return {
+        entry: { type: "tool_result", tool: call.name, callId: call.id, input: parsedInput, result },
+        result: { id: call.id, name: call.name, output: result ?? null },
+        action: result?.action ?? null
+      };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.logger?.warn({ jobId, tool: call.name, error: message }, "Copilot tool execution failed");
+      return {
+        entry: { type: "tool_error", tool: call.name, callId: call.id, input: call.input ?? {}, error: message },
+        result: { id: call.id, name: call.name, output: message, isError: true },
+        action: null
+      };
+    }
+  }
+
   async run({
     jobId,
     userId,
@@ -67,8 +124,10 @@ export class WizardCopilotAgent {
   }) {
     const scratchpad = [];
     const appliedActions = [];
+    const toolTurns = [];
     const activeTools = this.resolveTools(tools);
     const toolMap = new Map(activeTools.map((tool) => [tool.name, tool]));
+    const toolDefinitions = this.buildToolDefinitions(activeTools);
 
     for (let turn = 0; turn < this.maxTurns; turn += 1) {
       const llmResult = await this.llmClient.runCopilotAgent({
@@ -81,13 +140,9 @@ export class WizardCopilotAgent {
         conversation,
         jobSnapshot,
         suggestions,
-        scratchpad,
         companyContext,
-        tools: activeTools.map((tool) => ({
-          name: tool.name,
-          description: tool.description,
-          schema: tool.schemaDescription
-        }))
+        tools: toolDefinitions,
+        toolTurns
       });
       if (this.usageTracker) {
         await this.usageTracker({
@@ -105,54 +160,30 @@ export class WizardCopilotAgent {
         break;
       }
 
-      if (llmResult.type === "tool_call") {
-        const toolName = llmResult.tool;
-        const tool = toolMap.get(toolName);
-        if (!tool) {
-          scratchpad.push({
-            type: "tool_error",
-            tool: toolName,
-            error: `Unknown tool: ${toolName}`
-          });
-          continue;
-        }
-        try {
-          const parsedInput = tool.schema.parse(llmResult.input ?? {});
-          const result = await tool.execute(
-            {
-              ...toolContext,
-              cache: toolContext.cache ?? (toolContext.cache = {}),
-              jobId,
-              userId
-            },
-            parsedInput
-          );
-          scratchpad.push({
-            type: "tool_result",
-            tool: toolName,
-            input: parsedInput,
-            result
-          });
-          if (result?.action) {
-            appliedActions.push(result.action);
-            return {
-              reply: buildActionSummary(appliedActions),
-              actions: appliedActions,
-              scratchpad
-            };
+      if (llmResult.type === "tool_calls") {
+        const results = [];
+        // The model may request several calls at once. They run in order
+        // because tools share the job cache and write the same documents.
+        for (const call of llmResult.toolCalls) {
+          const outcome = await this.executeToolCall({ call, toolMap, toolContext, jobId, userId });
+          scratchpad.push(outcome.entry);
+          results.push(outcome.result);
+          if (outcome.action) {
+            appliedActions.push(outcome.action);
           }
-          continue;
-        } catch (error) {
-          const message = error instanceof Error ? error.message : String(error);
-          scratchpad.push({
-            type: "tool_error",
-            tool: toolName,
-            input: llmResult.input ?? {},
-            error: message
-          });
-          this.logger?.warn({ jobId, tool: toolName, error: message }, "Copilot tool execution failed");
-          continue;
         }
+        toolTurns.push(
+          { role: "assistant", text: llmResult.message ?? "", toolCalls: llmResult.toolCalls },
+          { role: "tool", results }
+        );
+        if (appliedActions.length > 0) {
+          return {
+            reply: buildActionSummary(appliedActions),
+            actions: appliedActions,
+            scratchpad
+          };
+        }
+        continue;
       }
 
       if (llmResult.type === "final") {
@@ -0,0 +1,298 @@
+/**
+ * Company Golden Defaults
+ *
+ * Some golden fields describe the whole company rather than one role:
+ * benefits, perks, amenities, company health and legal protections. The
+ * company golden profile collects them from the owner's completed interviews
+ * for that company and from company enrichment (`company.workplace`), so a new
+ * interview starts with them filled in and only asks the respondent to confirm.
+ *
+ * Inherited fields are tracked on the session as
+ * `metadata.inheritedFields: { [fieldPath]: { value, source, sessionId, status } }`
+ * where status is:
+ * - "pending"   - prefilled, not yet confirmed by the respondent
+ * - "confirmed" - the respondent said it is still accurate
+ * - "changed"   - the respondent said it changed; the interviewer asks again
+ * - "replaced"  - the respondent gave their own answer, which is saved on the
+ *                 golden record and counts as theirs
+ *
+ * Entries are never removed: session saves merge, so a deleted key would
+ * survive in the stored metadata and come back as "pending".
+ */
+
+import { httpError } from "@wizard/utils";
+import { CompanyStageEnum } from "@wizard/core";
+import {
+  getCompanyById,
+  listCompletedSessionsForCompany,
+} from "../services/repositories/golden-interviewer-repository.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const COMPANY_WIDE_SECTIONS = [
+  "financial_reality.hidden_financial_value",
+  "environment.amenities",
+  "stability_signals.company_health",
+  "stability_signals.benefits_security",
+  "stability_signals.legal_protections",
+];
+
+// company.workplace key -> golden field path
+const WORKPLACE_FIELD_PATHS = {
+  companyAge: "stability_signals.company_health.company_age",
+  companyStage: "stability_signals.company_health.company_stage",
+  fundingStatus: "stability_signals.company_health.funding_status",
+  healthInsurance: "stability_signals.benefits_security.health_insurance",
+  dental: "stability_signals.benefits_security.dental",
+  vision: "stability_signals.benefits_security.vision",
+  retirementPlan: "stability_signals.benefits_security.retirement_plan",
+  retirementMatch: "stability_signals.benefits_security.retirement_match",
+  mealsProvided: "financial_reality.hidden_financial_value.meals_provided",
+  commuterBenefits: "financial_reality.hidden_financial_value.commuter_benefits",
+  gym: "environment.amenities.gym",
+  unionized: "stability_signals.legal_protections.union",
+};
+
+// Option ids the interviewer uses for the confirmation question (toggle_list)
+export const CONFIRM_OPTION_ID = "confirm";
+export const CHANGE_OPTION_ID = "change";
+
+// A confirmation is a short answer made only of clauses like these ("Yes,
+// still accurate."). Anything longer or qualified ("Yes, but we dropped
+// dental") is saved as the respondent's answer instead.
+const AFFIRMATIVE_ANSWER =
+  /^((yes|yep|yeah|yup)\s+)?(yes|yep|yeah|yup|correct|confirm(ed)?|accurate|right|(it'?s |that'?s )?(still )?(true|accurate|correct|right|the same|up to date))$/;
+const MAX_CONFIRMATION_CHARS = 40;
+const NEGATIVE_ANSWER = /^(no|nope|not anymore|it changed|that changed)\b/i;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function getPath(target, path) {
+  return path
+    .split(".")
+    .reduce((cursor, key) => (isPlainObject(cursor) ? cursor[key] : undefined), target);
+}
+
+function hasAnswer(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === "string") return value.trim().length > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  if (isPlainObject(value)) return Object.values(value).some(hasAnswer);
+  return true;
+}
+
+// Inherited entries the respondent has not settled yet
+function isOpen(entry) {
+  return entry.status === "pending" || entry.status === "changed";
+}
+
+function isAffirmativeAnswer(text) {
+  if (!text || text.length > MAX_CONFIRMATION_CHARS) return false;
+  const clauses = text
+    .toLowerCase()
+    .replace(/\u2019/g, "'")
+    .split(/[,.!;]+/)
+    .map((clause) => clause.trim())
+    .filter(Boolean);
+  return clauses.length > 0 && clauses.every((clause) => AFFIRMATIVE_ANSWER.test(clause));
+}
+
+// "a.b" covers "a.b" and "a.b.c"
+function covers(path, field) {
+  return field === path || field.startsWith(`${path}.`);
+}
+
+/**
+ * Answered leaf fields of the company-wide sections. A section answered as a
+ * whole (e.g. a toggle list saved over `environment.amenities`) is one leaf.
+ * @param {object|null} goldenSchema
+ * @returns {Map<string, *>}
+ */
+function companyWideAnswers(goldenSchema) {
+  const answers = new Map();
+  const walk = (value, path) => {
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) => walk(child, `${path}.${key}`));
+      return;
+    }
+    if (hasAnswer(value)) {
+      answers.set(path, value);
+    }
+  };
+  COMPANY_WIDE_SECTIONS.forEach((section) => walk(getPath(goldenSchema, section), section));
+  return answers;
+}
+
+function workplaceAnswers(company) {
+  const answers = new Map();
+  Object.entries(WORKPLACE_FIELD_PATHS).forEach(([key, path]) => {
+    const value = company?.workplace?.[key];
+    if (!hasAnswer(value)) return;
+    if (key === "companyStage" && !CompanyStageEnum.options.includes(value)) return;
+    answers.set(path, value);
+  });
+  return answers;
+}
+
+// =============================================================================
+// PROFILE
+// =============================================================================
+
+/**
+ * Build the company golden profile. Interview answers win over enrichment and
+ * newer interviews win over older ones. Values a session inherited but never
+ * confirmed are not counted as that session's answers.
+ * @param {object} params
+ * @param {object|null} params.company - Company document
+ * @param {object[]} params.sessions - Completed sessions, most recent first
+ * @returns {{ companyId: string|null, fields: object }}
+ */
+export function buildCompanyGoldenProfile({ company, sessions = [] }) {
+  const fields = {};
+  const isCovered = (path) =>
+    Object.keys(fields).some((existing) => covers(existing, path) || covers(path, existing));
+
+  sessions.forEach((session) => {
+    const inherited = session.metadata?.inheritedFields ?? {};
+    companyWideAnswers(session.goldenSchema).forEach((value, path) => {
+      const isUnconfirmed = inherited[path] && isOpen(inherited[path]);
+      if (isUnconfirmed || isCovered(path)) return;
+      fields[path] = {
+        value,
+        source: "interview",
+        sessionId: session.sessionId,
+        answeredAt: session.updatedAt ?? null,
+      };
+    });
+  });
+
+  workplaceAnswers(company).forEach((value, path) => {
+    if (isCovered(path)) return;
+    fields[path] = {
+      value,
+      source: "enrichment",
+      sessionId: null,
+      answeredAt: company?.lastEnrichedAt ?? null,
+    };
+  });
+
+  return { companyId: company?.id ?? null, fields };
+}
+
+/**
+ * Load the company golden profile for a user.
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {string} params.companyId
+ * @param {string} params.userId - Only this user's interviews are used
+ * @param {object} [params.company] - Company document, when already loaded
+ * @returns {Promise<{ companyId: string|null, fields: object }>}
+ */
+export async function loadCompanyGoldenProfile({ firestore, companyId, userId, company = null }) {
+  const [companyDoc, sessions] = await Promise.all([
+    company ?? getCompanyById(firestore, companyId),
+    listCompletedSessionsForCompany({ firestore, companyId, userId }),
+  ]);
+  return buildCompanyGoldenProfile({ company: companyDoc, sessions });
+}
+
+/**
+ * Company golden profile for the profile endpoint.
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {string} params.companyId
+ * @param {string} params.userId
+ * @returns {Promise<{ companyId: string, fields: object }>}
+ * @throws {HttpError} 404 if the company does not exist
+ */
+export async function getCompanyGoldenProfile({ firestore, companyId, userId }) {
+  const company = await getCompanyById(firestore, companyId);
+  if (!company) {
+    throw httpError(404, "Company not found");
+  }
+  return loadCompanyGoldenProfile({ firestore, companyId, userId, company });
+}
+
+// =============================================================================
+// SESSION SEEDING & CONFIRMATION
+// =============================================================================
+
+/**
+ * Schema updates that prefill a new golden record from the company profile.
+ * Fields the record already has (e.g. from a linked session) are left alone.
+ * @param {object} goldenSchema - New golden record
+ * @param {{ fields: object }} profile - Company golden profile
+ * @returns {{ updates: object, inheritedFields: object }}
+ */
+export function buildInheritedDefaults(goldenSchema, profile) {
+  const updates = {};
+  const inheritedFields = {};
+  Object.entries(profile?.fields ?? {}).forEach(([path, { value, source, sessionId }]) => {
+    if (hasAnswer(getPath(goldenSchema, path))) return;
+    updates[path] = value;
+    inheritedFields[path] = { value, source, sessionId, status: "pending" };
+  });
+  return { updates, inheritedFields };
+}
+
+/**
+ * Inherited fields the interviewer still has to confirm or re-ask.
+ * @param {object} session
+ * @returns {Array<{ field: string, value: *, source: string, status: string }>}
+ */
+export function getOpenInheritedFields(session) {
+  return Object.entries(session?.metadata?.inheritedFields ?? {})
+    .filter(([, entry]) => isOpen(entry))
+    .map(([field, { value, source, status }]) => ({ field, value, source, status }));
+}
+
+/**
+ * Apply the respondent's answer to the inherited fields the previous question
+ * targeted (one inherited field, or the section holding several of them).
+ *
+ * "Still accurate" and "something changed" answers to a confirmation question
+ * only update the inherited status and must not be saved over the field. Any
+ * other answer is saved as usual and marks the inherited values "replaced".
+ * @param {object} params
+ * @param {object} params.session - Session (metadata is updated in place)
+ * @param {string|null} params.field - Field the previous question targeted
+ * @param {*} params.value - The respondent's answer
+ * @returns {{ saveAnswer: boolean, fields: string[] }}
+ */
+export function applyInheritedConfirmation({ session, field, value }) {
+  const inherited = session.metadata?.inheritedFields ?? {};
+  const fields = field
+    ? Object.keys(inherited).filter(
+        (path) => isOpen(inherited[path]) && (covers(field, path) || covers(path, field))
+      )
+    : [];
+  if (fields.length === 0) {
+    return { saveAnswer: true, fields };
+  }
+
+  const isConfirmationQuestion = fields.some((path) => inherited[path].status === "pending");
+  const answer = Array.isArray(value) && value.length === 1 ? value[0] : value;
+  const text = typeof answer === "string" ? answer.trim() : null;
+  const confirmed =
+    isConfirmationQuestion &&
+    (answer === true || answer === CONFIRM_OPTION_ID || isAffirmativeAnswer(text));
+  const changed =
+    isConfirmationQuestion &&
+    !confirmed &&
+    (answer === false || answer === CHANGE_OPTION_ID || NEGATIVE_ANSWER.test(text ?? ""));
+
+  const status = confirmed ? "confirmed" : changed ? "changed" : "replaced";
+  fields.forEach((path) => {
+    inherited[path] = { ...inherited[path], status, updatedAt: new Date() };
+  });
+
+  return { saveAnswer: !confirmed && !changed, fields };
+}
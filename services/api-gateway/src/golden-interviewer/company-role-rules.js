@@ -0,0 +1,303 @@
+/**
+ * Company Role Rules
+ *
+ * Role archetypes and field relevance rules (role-archetypes.js) are built-in
+ * defaults. A company can edit them for its own interviews: add archetypes for
+ * roles the keywords miss (nurses, franchise managers, seasonal farm workers),
+ * change keywords and flags of built-in archetypes, and override how relevant
+ * a field is for an archetype.
+ *
+ * Overrides are stored per company as
+ * `{ companyId, archetypes: { [id]: archetype }, fieldRelevance: { [fieldPath]: { [archetypeId]: level } } }`
+ * and merged over the defaults with mergeRoleRules().
+ */
+
+import { httpError } from "@wizard/utils";
+import { createInitialGoldenRecord } from "@wizard/core";
+import {
+  ROLE_ARCHETYPES,
+  mergeRoleRules,
+  detectRoleArchetype,
+  getFieldRelevance,
+  getArchetypeLabel,
+} from "./role-archetypes.js";
+import { identifyMissingFields } from "./prompts.js";
+import {
+  getCompanyRoleRules,
+  replaceCompanyRoleRules,
+} from "../services/repositories/golden-interviewer-repository.js";
+import { listCompaniesForUser } from "../services/repositories/company-repository.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+const ARCHETYPE_ID_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+
+// Golden sections relevance can be set for ("section.subsection")
+const GOLDEN_RECORD_TEMPLATE = createInitialGoldenRecord("role_rules");
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function isRelevanceField(fieldPath) {
+  const parts = fieldPath.split(".");
+  const section = GOLDEN_RECORD_TEMPLATE[parts[0]];
+  return (
+    parts.length === 2 &&
+    parts[0] !== "extraction_metadata" &&
+    section !== null &&
+    typeof section === "object" &&
+    Object.prototype.hasOwnProperty.call(section, parts[1])
+  );
+}
+
+function emptyOverrides(companyId) {
+  return { companyId, archetypes: {}, fieldRelevance: {} };
+}
+
+/**
+ * Load the company when the user can access it.
+ * @throws {HttpError} 404 if the company does not exist or is not the user's
+ */
+async function requireCompanyAccess({ firestore, companyId, user, logger }) {
+  const companies = await listCompaniesForUser({ firestore, user, logger });
+  const company = companies.find((candidate) => candidate.id === companyId);
+  if (!company) {
+    throw httpError(404, "Company not found");
+  }
+  return company;
+}
+
+/**
+ * Apply a rules patch to stored overrides. `null` removes an override (a
+ * built-in archetype or relevance level goes back to its default).
+ * @param {object} overrides - Current overrides
+ * @param {object} patch - { archetypes?, fieldRelevance? }
+ * @returns {object} New overrides
+ * @throws {HttpError} 400 for invalid archetypes, fields or relevance levels
+ */
+export function applyRoleRulesPatch(overrides, patch = {}) {
+  const archetypes = { ...overrides.archetypes };
+  const fieldRelevance = Object.fromEntries(
+    Object.entries(overrides.fieldRelevance ?? {}).map(([path, levels]) => [path, { ...levels }])
+  );
+
+  Object.entries(patch.archetypes ?? {}).forEach(([id, archetype]) => {
+    const isBuiltIn = Boolean(ROLE_ARCHETYPES[id]);
+    if (archetype === null) {
+      if (!archetypes[id]) {
+        throw httpError(404, `Archetype "${id}" has no company override`);
+      }
+      delete archetypes[id];
+      if (!isBuiltIn) {
+        Object.entries(fieldRelevance).forEach(([fieldPath, levels]) => {
+          delete levels[id];
+          if (Object.keys(levels).length === 0) delete fieldRelevance[fieldPath];
+        });
+      }
+      return;
+    }
+    if (!ARCHETYPE_ID_PATTERN.test(id)) {
+      throw httpError(400, `Invalid archetype id "${id}" (use lowercase letters, digits and _)`);
+    }
+    if (archetype.baseArchetype && (isBuiltIn || !ROLE_ARCHETYPES[archetype.baseArchetype])) {
+      throw httpError(
+        400,
+        isBuiltIn
+          ? `Built-in archetype "${id}" cannot have a base archetype`
+          : `Unknown base archetype "${archetype.baseArchetype}"`
+      );
+    }
+    const next = { ...archetypes[id], ...archetype };
+    if (!isBuiltIn && (!next.label || !next.keywords?.length)) {
+      throw httpError(400, `New archetype "${id}" needs a label and keywords`);
+    }
+    archetypes[id] = next;
+  });
+
+  const archetypeIds = new Set([...Object.keys(ROLE_ARCHETYPES), ...Object.keys(archetypes)]);
+  Object.entries(patch.fieldRelevance ?? {}).forEach(([fieldPath, levels]) => {
+    if (!isRelevanceField(fieldPath)) {
+      throw httpError(400, `Unknown field "${fieldPath}" (use "section.field", e.g. "financial_reality.equity")`);
+    }
+    if (levels === null) {
+      delete fieldRelevance[fieldPath];
+      return;
+    }
+    const current = { ...fieldRelevance[fieldPath] };
+    Object.entries(levels).forEach(([archetypeId, level]) => {
+      if (!archetypeIds.has(archetypeId)) {
+        throw httpError(400, `Unknown archetype "${archetypeId}" for field "${fieldPath}"`);
+      }
+      if (level === null) {
+        delete current[archetypeId];
+      } else {
+        current[archetypeId] = level;
+      }
+    });
+    if (Object.keys(current).length > 0) {
+      fieldRelevance[fieldPath] = current;
+    } else {
+      delete fieldRelevance[fieldPath];
+    }
+  });
+
+  return { ...overrides, archetypes, fieldRelevance };
+}
+
+/**
+ * Response view: merged archetypes (marked default, override or company) and
+ * relevance, plus the raw company overrides.
+ */
+function toRoleRulesView(overrides) {
+  const rules = mergeRoleRules(overrides);
+  return {
+    companyId: overrides.companyId,
+    archetypes: Object.values(rules.archetypes).map((archetype) => ({
+      ...archetype,
+      source: !overrides.archetypes[archetype.id]
+        ? "default"
+        : ROLE_ARCHETYPES[archetype.id]
+          ? "override"
+          : "company",
+    })),
+    fieldRelevance: rules.fieldRelevance,
+    overrides: {
+      archetypes: overrides.archetypes,
+      fieldRelevance: overrides.fieldRelevance,
+    },
+    updatedAt: overrides.updatedAt ?? null,
+  };
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+/**
+ * Company overrides in the shape mergeRoleRules() and the interviewer prompt
+ * take. Null when the company has none.
+ * @param {object} firestore
+ * @param {string|null} companyId
+ * @returns {Promise<{ archetypes: object, fieldRelevance: object }|null>}
+ */
+export async function loadCompanyRoleRules(firestore, companyId) {
+  const stored = await getCompanyRoleRules(firestore, companyId);
+  if (!stored) return null;
+  return {
+    archetypes: stored.archetypes ?? {},
+    fieldRelevance: stored.fieldRelevance ?? {},
+  };
+}
+
+// =============================================================================
+// API
+// =============================================================================
+
+/**
+ * Merged role rules for a company.
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {string} params.companyId
+ * @param {object} params.user - req.user
+ * @param {object} [params.logger]
+ * @returns {Promise<object>} Role rules view
+ * @throws {HttpError} 404 if the company is not the user's
+ */
+export async function getRoleRulesForCompany({ firestore, companyId, user, logger }) {
+  await requireCompanyAccess({ firestore, companyId, user, logger });
+  const stored = await getCompanyRoleRules(firestore, companyId);
+  return toRoleRulesView({ ...emptyOverrides(companyId), ...stored });
+}
+
+/**
+ * Create, change or remove company archetypes and relevance overrides.
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {string} params.companyId
+ * @param {object} params.user - req.user
+ * @param {object} params.patch - { archetypes?, fieldRelevance? }; null values remove
+ * @param {object} [params.logger]
+ * @returns {Promise<object>} Role rules view
+ * @throws {HttpError} 400 for invalid rules, 404 if the company is not the user's
+ */
+export async function updateRoleRulesForCompany({ firestore, companyId, user, patch, logger }) {
+  await requireCompanyAccess({ firestore, companyId, user, logger });
+  const updatedAt = new Date();
+  const roleRules = await replaceCompanyRoleRules({
+    firestore,
+    companyId,
+    update: (stored) => ({
+      ...applyRoleRulesPatch({ ...emptyOverrides(companyId), ...stored }, patch),
+      companyId,
+      updatedAt,
+      updatedBy: user.id,
+    }),
+  });
+
+  logger?.info?.(
+    {
+      userId: user.id,
+      companyId,
+      archetypes: Object.keys(roleRules.archetypes).length,
+      fieldRelevance: Object.keys(roleRules.fieldRelevance).length,
+    },
+    "golden-interviewer.role_rules.updated"
+  );
+
+  return toRoleRulesView(roleRules);
+}
+
+/**
+ * Which archetype a sample role would get and which fields the interviewer
+ * would ask, with the company's rules (plus an optional unsaved patch).
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {string} params.companyId
+ * @param {object} params.user - req.user
+ * @param {object} params.sample - { roleTitle, industry?, payFrequency?, remoteAllowed?, hasEquity? }
+ * @param {object} [params.patch] - Unsaved changes to preview
+ * @param {object} [params.logger]
+ * @returns {Promise<object>} { archetype: { id, label }, fields: { required, optional, skip } }
+ */
+export async function previewRoleRulesForCompany({
+  firestore,
+  companyId,
+  user,
+  sample,
+  patch = null,
+  logger,
+}) {
+  await requireCompanyAccess({ firestore, companyId, user, logger });
+  const stored = await getCompanyRoleRules(firestore, companyId);
+  let overrides = { ...emptyOverrides(companyId), ...stored };
+  if (patch) {
+    overrides = applyRoleRulesPatch(overrides, patch);
+  }
+  const rules = mergeRoleRules(overrides);
+
+  const archetypeId = detectRoleArchetype({
+    roleTitle: sample.roleTitle,
+    companyIndustry: sample.industry ?? "",
+    payFrequency: sample.payFrequency ?? null,
+    remoteAllowed: sample.remoteAllowed ?? null,
+    hasEquity: sample.hasEquity ?? null,
+    rules,
+  });
+  const { missing, skipped } = identifyMissingFields(
+    createInitialGoldenRecord("role_rules_preview"),
+    archetypeId,
+    rules
+  );
+
+  return {
+    archetype: { id: archetypeId, label: getArchetypeLabel(archetypeId, rules) },
+    fields: {
+      required: missing.filter((field) => getFieldRelevance(field, archetypeId, rules) === "required"),
+      optional: missing.filter((field) => getFieldRelevance(field, archetypeId, rules) !== "required"),
+      skip: skipped,
+    },
+  };
+}
@@ -0,0 +1,405 @@
+/**
+ * Golden Record Export
+ *
+ * Renders a session's golden record as a candidate-facing "role reality"
+ * document (what this job is really like), grouped by the schema's top-level
+ * sections:
+ * - json:     the filtered golden record, for other tools
+ * - markdown: a shareable page
+ * - html:     a standalone page
+ * - pdf:      a printable document
+ *
+ * Unanswered fields, interview bookkeeping (user_context, extraction_metadata)
+ * and sensitive fields (isSensitiveField: pay, equity, company finances,
+ * turnover) are left out; sensitive fields are included only on request.
+ */
+
+import PDFDocument from "pdfkit";
+import { httpError } from "@wizard/utils";
+import { isSensitiveField } from "./service.js";
+import { compactGoldenSchema } from "../services/golden-context.js";
+import { getSessionForUser } from "../services/repositories/golden-interviewer-repository.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+export const EXPORT_FORMATS = ["json", "markdown", "html", "pdf"];
+
+// Top-level golden sections in document order
+const SECTION_LABELS = {
+  role_overview: "The Role",
+  role_content: "The Work",
+  financial_reality: "Pay & Financial Reality",
+  time_and_life: "Time & Life",
+  environment: "Where You'll Work",
+  humans_and_culture: "People & Culture",
+  growth_trajectory: "Growth",
+  stability_signals: "Stability",
+  role_reality: "Day-to-Day Reality",
+  unique_value: "What Makes It Different",
+};
+
+const FORMAT_FILES = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  markdown: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  pdf: { contentType: "application/pdf", extension: "pdf" },
+};
+
+// =============================================================================
+// DOCUMENT MODEL
+// =============================================================================
+
+function humanize(key) {
+  const text = String(key).replace(/_/g, " ").trim();
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatScalar(value) {
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  // Enum values ("on_site", "biweekly") read better humanized
+  if (typeof value === "string" && /^[a-z0-9]+(_[a-z0-9]+)+$/.test(value)) {
+    return humanize(value);
+  }
+  return String(value);
+}
+
+function absoluteUrl(url, assetBaseUrl) {
+  if (!assetBaseUrl || /^https?:\/\//i.test(url)) return url;
+  return `${assetBaseUrl.replace(/\/$/, "")}${url.startsWith("/") ? "" : "/"}${url}`;
+}
+
+/**
+ * Drop sensitive fields from a (compacted) golden record.
+ * @returns {object|undefined} The filtered value; undefined when nothing is left
+ */
+function omitSensitive(value, path, omitted) {
+  if (path && isSensitiveField(path)) {
+    omitted.push(path);
+    return undefined;
+  }
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    return value;
+  }
+  const entries = Object.entries(value)
+    .map(([key, child]) => [key, omitSensitive(child, path ? `${path}.${key}` : key, omitted)])
+    .filter(([, child]) => child !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+}
+
+/**
+ * One document entry. Scalars become `text`, scalar arrays `list`, objects
+ * (and arrays of objects) nested `items`; uploaded workplace media `media`.
+ */
+function toEntry(key, value, assetBaseUrl) {
+  const label = humanize(key);
+  if (key === "media" && Array.isArray(value)) {
+    return {
+      label: "Photos & videos",
+      media: value.map((media) => ({
+        type: media.media_type,
+        url: absoluteUrl(media.url, assetBaseUrl),
+        caption: media.caption ?? null,
+      })),
+    };
+  }
+  if (Array.isArray(value)) {
+    if (value.every((item) => item === null || typeof item !== "object")) {
+      return { label, list: value.map(formatScalar) };
+    }
+    return {
+      label,
+      items: value.map((item, index) =>
+        item && typeof item === "object"
+          ? { label: `${index + 1}`, items: toEntries(item, assetBaseUrl) }
+          : { label: `${index + 1}`, text: formatScalar(item) }
+      ),
+    };
+  }
+  if (value && typeof value === "object") {
+    return { label, items: toEntries(value, assetBaseUrl) };
+  }
+  return { label, text: formatScalar(value) };
+}
+
+function toEntries(object, assetBaseUrl) {
+  return Object.entries(object).map(([key, value]) => toEntry(key, value, assetBaseUrl));
+}
+
+/**
+ * Build the role reality document for a golden record.
+ * @param {object} goldenSchema
+ * @param {object} [options]
+ * @param {boolean} [options.includeSensitive=false] - Keep isSensitiveField() fields
+ * @param {string} [options.assetBaseUrl] - Prefix for relative media URLs
+ * @returns {{ title: string, companyName: string|null, record: object,
+ *   sections: Array<{ id: string, label: string, entries: object[] }>,
+ *   omittedSensitiveFields: string[] }}
+ */
+export function buildRoleRealityDocument(
+  goldenSchema,
+  { includeSensitive = false, assetBaseUrl = null } = {}
+) {
+  const omittedSensitiveFields = [];
+  const compact = compactGoldenSchema(goldenSchema) ?? {};
+  const record = includeSensitive
+    ? compact
+    : omitSensitive(compact, "", omittedSensitiveFields) ?? {};
+
+  const sections = Object.entries(SECTION_LABELS)
+    .filter(([id]) => record[id] && typeof record[id] === "object")
+    .map(([id, label]) => ({ id, label, entries: toEntries(record[id], assetBaseUrl) }));
+
+  return {
+    title: goldenSchema?.role_overview?.job_title ?? "This role",
+    companyName: goldenSchema?.role_overview?.company_name ?? null,
+    record,
+    sections,
+    omittedSensitiveFields,
+  };
+}
+
+// =============================================================================
+// RENDERERS
+// =============================================================================
+
+function documentHeading(document) {
+  return document.companyName
+    ? `${document.title} at ${document.companyName}`
+    : document.title;
+}
+
+function markdownEntries(entries, depth) {
+  const indent = "  ".repeat(depth);
+  return entries.flatMap((entry) => {
+    if (entry.text !== undefined) return [`${indent}- **${entry.label}:** ${entry.text}`];
+    if (entry.list) return [`${indent}- **${entry.label}:** ${entry.list.join(", ")}`];
+    if (entry.media) {
+      return [
+        `${indent}- **${entry.label}:**`,
+        ...entry.media.map((media) =>
+          media.type === "image"
+            ? `${indent}  - ![${media.caption ?? "Workplace photo"}](${media.url})`
+            : `${indent}  - [${media.caption ?? "Workplace video"}](${media.url})`
+        ),
+      ];
+    }
+    return [`${indent}- **${entry.label}**`, ...markdownEntries(entry.items, depth + 1)];
+  });
+}
+
+/**
+ * @param {object} document - buildRoleRealityDocument() result
+ * @returns {string}
+ */
+export function renderRoleRealityMarkdown(document) {
+  const lines = [`# What it's really like: ${documentHeading(document)}`, ""];
+  document.sections.forEach((section) => {
+    lines.push(`## ${section.label}`, "", ...markdownEntries(section.entries, 0), "");
+  });
+  return `${lines.join("\n").trim()}\n`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function htmlEntries(entries) {
+  const items = entries.map((entry) => {
+    const label = `<strong>${escapeHtml(entry.label)}</strong>`;
+    if (entry.text !== undefined) return `<li>${label}: ${escapeHtml(entry.text)}</li>`;
+    if (entry.list) return `<li>${label}: ${entry.list.map(escapeHtml).join(", ")}</li>`;
+    if (entry.media) {
+      const figures = entry.media.map((media) => {
+        const caption = media.caption ? `<figcaption>${escapeHtml(media.caption)}</figcaption>` : "";
+        return media.type === "image"
+          ? `<figure><img src="${escapeHtml(media.url)}" alt="${escapeHtml(media.caption ?? "Workplace photo")}">${caption}</figure>`
+          : `<figure><video src="${escapeHtml(media.url)}" controls></video>${caption}</figure>`;
+      });
+      return `<li>${label}<div class="media">${figures.join("")}</div></li>`;
+    }
+    return `<li>${label}${htmlEntries(entry.items)}</li>`;
+  });
+  return `<ul>${items.join("")}</ul>`;
+}
+
+/**
+ * @param {object} document - buildRoleRealityDocument() result
+ * @returns {string} Standalone HTML page
+ */
+export function renderRoleRealityHtml(document) {
+  const heading = escapeHtml(documentHeading(document));
+  const sections = document.sections
+    .map((section) => `<section><h2>${escapeHtml(section.label)}</h2>${htmlEntries(section.entries)}</section>`)
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>What it's really like: ${heading}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #1e293b; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.75rem; }
+  h2 { font-size: 1.25rem; border-bottom: 1px solid #e2e8f0; padding-bottom: 0.25rem; margin-top: 2rem; }
+  ul { padding-left: 1.25rem; }
+  .media { display: flex; flex-wrap: wrap; gap: 0.75rem; margin-top: 0.5rem; }
+  figure { margin: 0; max-width: 240px; }
+  img, video { max-width: 100%; border-radius: 0.5rem; }
+  figcaption { font-size: 0.8rem; color: #64748b; }
+</style>
+</head>
+<body>
+<h1>What it's really like: ${heading}</h1>
+${sections}
+</body>
+</html>
+`;
+}
+
+function pdfEntries(pdf, entries, depth) {
+  const indent = 72 + depth * 14;
+  const width = pdf.page.width - indent - 72;
+  entries.forEach((entry) => {
+    pdf.font("Helvetica-Bold").fontSize(10).text(`${entry.label}`, indent, undefined, {
+      width,
+      continued: entry.text !== undefined || Boolean(entry.list),
+    });
+    if (entry.text !== undefined || entry.list) {
+      pdf.font("Helvetica").text(`: ${entry.text ?? entry.list.join(", ")}`);
+    } else if (entry.media) {
+      entry.media.forEach((media) => {
+        pdf
+          .font("Helvetica")
+          .fillColor("#1d4ed8")
+          .text(media.caption ?? `Workplace ${media.type}`, indent + 14, undefined, {
+            width: width - 14,
+            link: media.url,
+          })
+          .fillColor("black");
+      });
+    } else {
+      pdfEntries(pdf, entry.items, depth + 1);
+    }
+    pdf.moveDown(0.2);
+  });
+}
+
+/**
+ * @param {object} document - buildRoleRealityDocument() result
+ * @returns {Promise<Buffer>} PDF file
+ */
+export function renderRoleRealityPdf(document) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({
+      size: "LETTER",
+      margin: 72,
+      info: { Title: `What it's really like: ${documentHeading(document)}` },
+    });
+    const chunks = [];
+    pdf.on("data", (chunk) => chunks.push(chunk));
+    pdf.on("end", () => resolve(Buffer.concat(chunks)));
+    pdf.on("error", reject);
+
+    pdf.font("Helvetica-Bold").fontSize(18).text(`What it's really like: ${documentHeading(document)}`);
+    document.sections.forEach((section) => {
+      pdf.moveDown(1).font("Helvetica-Bold").fontSize(13).text(section.label, 72);
+      pdf.moveDown(0.3);
+      pdfEntries(pdf, section.entries, 0);
+    });
+    pdf.end();
+  });
+}
+
+// =============================================================================
+// API
+// =============================================================================
+
+function slugify(value) {
+  return (
+    String(value ?? "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "role"
+  );
+}
+
+/**
+ * Export a session's golden record.
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {string} params.sessionId
+ * @param {string} params.userId - Must own the session
+ * @param {"json"|"markdown"|"html"|"pdf"} params.format
+ * @param {boolean} [params.includeSensitive=false]
+ * @param {string} [params.assetBaseUrl] - Prefix for relative media URLs
+ * @param {object} [params.logger]
+ * @returns {Promise<{ contentType: string, filename: string, body: string|Buffer }>}
+ * @throws {HttpError} 400 for an unknown format, 404/403 for the session
+ */
+export async function exportGoldenRecord({
+  firestore,
+  sessionId,
+  userId,
+  format,
+  includeSensitive = false,
+  assetBaseUrl = null,
+  logger,
+}) {
+  if (!FORMAT_FILES[format]) {
+    throw httpError(400, `Unknown export format "${format}" (use ${EXPORT_FORMATS.join(", ")})`);
+  }
+  const session = await getSessionForUser({ firestore, sessionId, userId });
+  const document = buildRoleRealityDocument(session.goldenSchema, {
+    includeSensitive,
+    assetBaseUrl,
+  });
+
+  let body;
+  if (format === "json") {
+    body = JSON.stringify(
+      {
+        sessionId,
+        status: session.status ?? null,
+        exportedAt: new Date().toISOString(),
+        title: document.title,
+        companyName: document.companyName,
+        includeSensitive,
+        omittedSensitiveFields: document.omittedSensitiveFields,
+        goldenRecord: document.record,
+      },
+      null,
+      2
+    );
+  } else if (format === "markdown") {
+    body = renderRoleRealityMarkdown(document);
+  } else if (format === "html") {
+    body = renderRoleRealityHtml(document);
+  } else {
+    body = await renderRoleRealityPdf(document);
+  }
+
+  logger?.info?.(
+    {
+      sessionId,
+      format,
+      includeSensitive,
+      sections: document.sections.length,
+      omittedSensitive: document.omittedSensitiveFields.length,
+    },
+    "golden-interviewer.export.created"
+  );
+
+  return {
+    contentType: FORMAT_FILES[format].contentType,
+    filename: `role-reality-${slugify(document.title)}.${FORMAT_FILES[format].extension}`,
+    body,
+  };
+}
@@ -0,0 +1,550 @@
+/**
+ * Guest Invites
+ *
+ * Lets a session owner hand a golden interview to someone without an account
+ * (a hiring manager, a current employee). The owner creates an invite for an
+ * existing session or for a new, prefilled one; the guest runs /start and
+ * /chat with the invite token instead of a NextAuth JWT.
+ *
+ * - Tokens are opaque ("gi_" + random bytes) and only their SHA-256 hash is
+ *   stored, so a leaked invites collection does not leak working links.
+ * - A token only reaches its own session and the golden interviewer LLM tasks
+ *   (see GUEST_LLM_TASKS), the latter only through the interviewer's internal
+ *   callbacks; sessions stay owned by the inviting user.
+ * - Invites expire and can be revoked; both answer 410 so the guest page can
+ *   say why the link stopped working.
+ * - When the guest finishes, the invite is stamped completedAt and a
+ *   GoldenInterviewGuestCompleted event is published. The gateway consumes it
+ *   (subscribeGuestCompletionNotifications): the invite is stamped
+ *   ownerNotifiedAt, which the owner's invite list shows, and the owner is
+ *   emailed when a mailer is configured and they have not opted out.
+ */
+
+import { createHash, randomBytes } from "node:crypto";
+import { nanoid } from "nanoid";
+import { httpError } from "@wizard/utils";
+import { GoldenInterviewGuestCompleted } from "@wizard/events";
+import { LLM_CORE_TASK } from "../config/task-types.js";
+import { publishEvent } from "../services/event-publisher.js";
+import {
+  getInvite,
+  getInviteByTokenHash,
+  getInviteForUser,
+  getMaxTurnIndex,
+  getSession,
+  getSessionForUser,
+  listInvitesForUser,
+  saveInvite,
+  updateInvite,
+} from "../services/repositories/golden-interviewer-repository.js";
+import { getUserById } from "../services/repositories/user-repository.js";
+
+export const GUEST_TOKEN_PREFIX = "gi_";
+export const DEFAULT_INVITE_EXPIRY_DAYS = 7;
+
+// LLM tasks the interviewer runs on a guest's behalf; everything else is owner-only
+export const GUEST_LLM_TASKS = [
+  LLM_CORE_TASK.GOLDEN_INTERVIEWER,
+  LLM_CORE_TASK.GOLDEN_DB_UPDATE,
+  LLM_CORE_TASK.GOLDEN_REFINE,
+  // Captions for workplace photos the guest uploads
+  LLM_CORE_TASK.IMAGE_CAPTION,
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long a session start blocks other starts of the same invite. Longer
+// than the interviewer's wait for company enrichment, so a slow start is not
+// mistaken for an abandoned one.
+const SESSION_START_CLAIM_MS = 5 * 60 * 1000;
+
+// =============================================================================
+// TOKENS
+// =============================================================================
+
+/**
+ * @param {string|null|undefined} token
+ * @returns {boolean} True for invite tokens (as opposed to NextAuth JWTs)
+ */
+export function isGuestToken(token) {
+  return typeof token === "string" && token.startsWith(GUEST_TOKEN_PREFIX);
+}
+
+/**
+ * @param {string} token
+ * @returns {string} SHA-256 hex digest stored on the invite
+ */
+export function hashInviteToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function toDate(value) {
+  if (!value) return null;
+  return value?.toDate?.() || new Date(value);
+}
+
+/**
+ * Why an invite can no longer be used, or null when it is usable.
+ * @param {object} invite
+ * @param {Date} [now]
+ * @returns {"revoked"|"expired"|null}
+ */
+function getInviteBlock(invite, now = new Date()) {
+  if (invite.revokedAt) return "revoked";
+  const expiresAt = toDate(invite.expiresAt);
+  if (expiresAt && expiresAt.getTime() <= now.getTime()) return "expired";
+  return null;
+}
+
+/**
+ * Resolve an invite token to the request user. Used by requireAuth for the
+ * guest routes and for /api/llm calls the interviewer makes for a guest.
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {string} params.token - Raw invite token
+ * @returns {Promise<object>} req.user for the invite owner, tagged with `guest`
+ * @throws {HttpError} 401 for unknown tokens, 410 for revoked or expired invites
+ */
+export async function resolveGuestToken({ firestore, token }) {
+  const invite = await getInviteByTokenHash(firestore, hashInviteToken(token));
+  if (!invite) {
+    throw httpError(401, "Invalid invite link");
+  }
+
+  const block = getInviteBlock(invite);
+  if (block) {
+    throw httpError(410, `This invite link has been ${block}`, { reason: block });
+  }
+
+  return {
+    id: invite.userId,
+    email: null,
+    roles: [],
+    orgId: null,
+    token,
+    guest: { inviteId: invite.inviteId },
+  };
+}
+
+// =============================================================================
+// OWNER OPERATIONS
+// =============================================================================
+
+/**
+ * Invite status as shown to the owner.
+ * @returns {"revoked"|"expired"|"completed"|"in_progress"|"pending"}
+ */
+function getInviteStatus(invite, session) {
+  if (invite.completedAt || session?.status === "completed") return "completed";
+  const block = getInviteBlock(invite);
+  if (block) return block;
+  return invite.startedAt ? "in_progress" : "pending";
+}
+
+function toInviteResponse(invite, session = null) {
+  return {
+    inviteId: invite.inviteId,
+    status: getInviteStatus(invite, session),
+    sessionId: invite.sessionId ?? null,
+    linkedSessionId: invite.linkedSessionId ?? null,
+    perspective: invite.perspective,
+    respondentName: invite.respondentName ?? null,
+    companyName: invite.initialData?.companyName ?? null,
+    progress: session
+      ? {
+          completionPercentage: session.metadata?.completionPercentage ?? 0,
+          turnCount: session.turnCount ?? 0,
+          currentPhase: session.metadata?.currentPhase ?? null,
+        }
+      : null,
+    createdAt: toDate(invite.createdAt),
+    expiresAt: toDate(invite.expiresAt),
+    startedAt: toDate(invite.startedAt),
+    lastActiveAt: toDate(invite.lastActiveAt),
+    completedAt: toDate(invite.completedAt),
+    ownerNotifiedAt: toDate(invite.ownerNotifiedAt),
+    revokedAt: toDate(invite.revokedAt),
+  };
+}
+
+/**
+ * Create an invite for an existing session (`sessionId`) or for a new session
+ * the guest starts with the given prefill.
+ * @param {object} params
+ * @param {string} params.userId - Owner
+ * @param {string} [params.sessionId] - Active session the guest continues
+ * @param {string} [params.perspective] - Who the guest is (RespondentPerspectiveEnum)
+ * @param {string} [params.linkedSessionId] - Session to group the new one with
+ * @param {object} [params.initialData] - `{ companyId, companyName }` for a new session
+ * @param {string} [params.respondentName] - Used to greet the guest
+ * @param {number} [params.expiresInDays]
+ * @returns {Promise<{ invite: object, token: string }>} The token is only returned here
+ */
+export async function createInvite({
+  firestore,
+  logger,
+  userId,
+  sessionId = null,
+  perspective = null,
+  linkedSessionId = null,
+  initialData = {},
+  respondentName = null,
+  expiresInDays = DEFAULT_INVITE_EXPIRY_DAYS,
+}) {
+  let session = null;
+  if (sessionId) {
+    session = await getSessionForUser({ firestore, sessionId, userId });
+    if (session.status !== "active") {
+      throw httpError(409, `Session is already ${session.status}`);
+    }
+  }
+  if (linkedSessionId) {
+    await getSessionForUser({ firestore, sessionId: linkedSessionId, userId });
+  }
+
+  const token = `${GUEST_TOKEN_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const now = new Date();
+  const invite = {
+    inviteId: nanoid(12),
+    tokenHash: hashInviteToken(token),
+    userId,
+    sessionId: session?.sessionId ?? null,
+    linkedSessionId: session ? null : linkedSessionId,
+    perspective: session?.perspective ?? perspective ?? "hiring_manager",
+    respondentName,
+    initialData: session
+      ? {}
+      : {
+          companyId: initialData.companyId ?? null,
+          companyName: initialData.companyName ?? null,
+        },
+    expiresAt: new Date(now.getTime() + expiresInDays * DAY_MS),
+    createdAt: now,
+    updatedAt: now,
+    startedAt: session ? now : null,
+    lastActiveAt: null,
+    completedAt: null,
+    ownerNotifiedAt: null,
+    revokedAt: null,
+  };
+  await saveInvite({ firestore, invite });
+
+  logger.info(
+    {
+      inviteId: invite.inviteId,
+      userId,
+      sessionId: invite.sessionId,
+      perspective: invite.perspective,
+      expiresAt: invite.expiresAt,
+    },
+    "golden-interview.invite.created"
+  );
+
+  return { invite: toInviteResponse(invite, session), token };
+}
+
+/**
+ * List the owner's invites, newest first, with the guest's progress.
+ */
+export async function listInvites({ firestore, userId }) {
+  const invites = await listInvitesForUser(firestore, userId);
+  const sessions = await Promise.all(
+    invites.map((invite) =>
+      invite.sessionId ? getSession(firestore, invite.sessionId) : null
+    )
+  );
+  return invites
+    .map((invite, index) => toInviteResponse(invite, sessions[index]))
+    .sort((a, b) => (b.createdAt?.getTime() ?? 0) - (a.createdAt?.getTime() ?? 0));
+}
+
+/**
+ * Revoke an invite. The session and its answers are kept.
+ */
+export async function revokeInvite({ firestore, logger, inviteId, userId }) {
+  const invite = await getInviteForUser({ firestore, inviteId, userId });
+  if (!invite.revokedAt) {
+    invite.revokedAt = new Date();
+    invite.updatedAt = invite.revokedAt;
+    await saveInvite({ firestore, invite });
+    logger.info({ inviteId, userId }, "golden-interview.invite.revoked");
+  }
+  const session = invite.sessionId ? await getSession(firestore, invite.sessionId) : null;
+  return toInviteResponse(invite, session);
+}
+
+// =============================================================================
+// GUEST OPERATIONS
+// =============================================================================
+
+/**
+ * Load the invite behind a guest request (req.user.guest).
+ */
+export async function getGuestInvite({ firestore, guest }) {
+  const invite = await getInvite(firestore, guest?.inviteId);
+  if (!invite) {
+    throw httpError(403, "Invite token required");
+  }
+  return invite;
+}
+
+/**
+ * What the guest landing page shows before the interview starts.
+ */
+export function toGuestInviteResponse(invite) {
+  return {
+    perspective: invite.perspective,
+    respondentName: invite.respondentName ?? null,
+    companyName: invite.initialData?.companyName ?? null,
+    started: Boolean(invite.sessionId),
+    completed: Boolean(invite.completedAt),
+    expiresAt: toDate(invite.expiresAt),
+  };
+}
+
+// The latest assistant turn, in the /start response shape, for a guest
+// reopening their link
+function buildResumeResponse(session) {
+  const lastTurn = [...(session.conversationHistory ?? [])]
+    .reverse()
+    .find((message) => message.role === "assistant");
+  const maxIndex = getMaxTurnIndex(session);
+  return {
+    message: lastTurn?.content ?? "",
+    ui_tool: lastTurn?.uiTool ?? null,
+    completion_percentage: session.metadata?.completionPercentage ?? 0,
+    interview_phase: session.metadata?.currentPhase ?? "opening",
+    currently_asking_field: lastTurn?.currentlyAskingField ?? null,
+    navigation: {
+      currentIndex: maxIndex,
+      maxIndex,
+      canGoBack: false,
+      canGoForward: false,
+      isEditing: false,
+    },
+  };
+}
+
+/**
+ * Start the invite's session on first use; later calls resume it.
+ * @param {object} params
+ * @param {object} params.interviewService - Golden interviewer service
+ * @param {object} params.invite
+ * @param {string} params.authToken - The guest's invite token (for /api/llm)
+ * @returns {Promise<{ sessionId: string, groupId: string|null, completed: boolean, response: object|null }>}
+ */
+export async function startGuestSession({
+  firestore,
+  logger,
+  interviewService,
+  invite,
+  authToken,
+}) {
+  // Claim the start so two tabs opening the link cannot create two sessions
+  const claimedAt = invite.sessionId ? null : await claimSessionStart({ firestore, invite });
+
+  if (invite.sessionId) {
+    const session = await getSession(firestore, invite.sessionId);
+    if (!session) {
+      throw httpError(404, "Session not found");
+    }
+    const completed = session.status === "completed";
+    return {
+      sessionId: session.sessionId,
+      groupId: session.groupId ?? null,
+      completed,
+      response: completed ? null : buildResumeResponse(session),
+    };
+  }
+
+  let result;
+  try {
+    const linkedSession = invite.linkedSessionId
+      ? await getSession(firestore, invite.linkedSessionId)
+      : null;
+    result = await interviewService.startSession({
+      userId: invite.userId,
+      authToken,
+      companyId: invite.initialData?.companyId ?? null,
+      companyName: invite.initialData?.companyName ?? null,
+      perspective: invite.perspective,
+      linkedSession,
+      respondent: { name: invite.respondentName ?? null },
+      inviteId: invite.inviteId,
+    });
+  } catch (error) {
+    // Let the guest retry right away instead of waiting out the claim
+    await updateInvite({
+      firestore,
+      inviteId: invite.inviteId,
+      update: (stored) =>
+        toDate(stored.sessionStartClaimedAt)?.getTime() === claimedAt.getTime()
+          ? { ...stored, sessionStartClaimedAt: null }
+          : null,
+    });
+    throw error;
+  }
+
+  const now = new Date();
+  invite.sessionId = result.sessionId;
+  invite.sessionStartClaimedAt = null;
+  invite.startedAt = now;
+  invite.lastActiveAt = now;
+  invite.updatedAt = now;
+  await saveInvite({ firestore, invite });
+
+  logger.info(
+    { inviteId: invite.inviteId, sessionId: result.sessionId },
+    "golden-interview.guest.started"
+  );
+
+  return { ...result, completed: false };
+}
+
+/**
+ * Mark the invite as starting its session. When another request already
+ * started it, `invite.sessionId` is filled in so the caller resumes instead.
+ * @returns {Promise<Date|null>} Claim time, or null when the session exists
+ * @throws {HttpError} 409 while another request is still starting the session
+ */
+async function claimSessionStart({ firestore, invite }) {
+  const claimedAt = new Date();
+  const claimed = await updateInvite({
+    firestore,
+    inviteId: invite.inviteId,
+    update: (stored) => {
+      if (stored.sessionId) return null;
+      const previousClaim = toDate(stored.sessionStartClaimedAt);
+      if (previousClaim && claimedAt.getTime() - previousClaim.getTime() < SESSION_START_CLAIM_MS) {
+        return null;
+      }
+      return { ...stored, sessionStartClaimedAt: claimedAt };
+    },
+  });
+  if (claimed) {
+    return claimedAt;
+  }
+
+  const stored = await getInvite(firestore, invite.inviteId);
+  if (!stored?.sessionId) {
+    throw httpError(409, "This interview is already starting", { reason: "starting" });
+  }
+  invite.sessionId = stored.sessionId;
+  return null;
+}
+
+/**
+ * Track guest activity after a chat turn and notify the owner once the
+ * interviewer completes the session.
+ * @param {object} params
+ * @param {object} params.invite
+ * @param {object} params.result - processTurn result
+ */
+export async function recordGuestTurn({ firestore, logger, eventBus = null, invite, result }) {
+  const now = new Date();
+  invite.lastActiveAt = now;
+  invite.updatedAt = now;
+  const justCompleted = Boolean(result?.is_complete) && !invite.completedAt;
+  if (justCompleted) {
+    invite.completedAt = now;
+  }
+  await saveInvite({ firestore, invite });
+
+  if (!justCompleted) {
+    return;
+  }
+
+  const session = await getSession(firestore, invite.sessionId);
+  logger.info(
+    {
+      inviteId: invite.inviteId,
+      sessionId: invite.sessionId,
+      userId: invite.userId,
+      turnCount: session?.turnCount,
+    },
+    "golden-interview.guest.completed"
+  );
+  await publishEvent({
+    eventBus,
+    logger,
+    schema: GoldenInterviewGuestCompleted,
+    partitionKey: invite.sessionId,
+    payload: {
+      inviteId: invite.inviteId,
+      sessionId: invite.sessionId,
+      userId: invite.userId,
+      perspective: invite.perspective,
+      groupId: session?.groupId ?? null,
+    },
+  });
+}
+
+// =============================================================================
+// OWNER NOTIFICATIONS
+// =============================================================================
+
+const OWNER_NOTIFICATION_GROUP = "golden-interview-owner-notifications";
+
+/**
+ * Tell the owner their guest finished. Runs once per invite: redelivered
+ * events find ownerNotifiedAt already set and do nothing.
+ * @param {object} params
+ * @param {object|null} params.mailer - From createMailerFromEnv; null skips email
+ * @param {object} params.payload - GoldenInterviewGuestCompleted payload
+ * @returns {Promise<boolean>} False when the owner was already notified
+ */
+export async function notifyOwnerOfGuestCompletion({ firestore, logger, mailer, payload }) {
+  const now = new Date();
+  const invite = await updateInvite({
+    firestore,
+    inviteId: payload.inviteId,
+    update: (stored) =>
+      stored.ownerNotifiedAt ? null : { ...stored, ownerNotifiedAt: now, updatedAt: now },
+  });
+  if (!invite) {
+    return false;
+  }
+
+  const owner = await getUserById(firestore, invite.userId);
+  const email = owner?.auth?.email ?? null;
+  const emailed = Boolean(mailer && email && owner.preferences?.emailNotifications !== false);
+  if (emailed) {
+    const guest = invite.respondentName ?? "Your guest";
+    const company = invite.initialData?.companyName;
+    // Email is best effort; the invite list already shows the completion
+    try {
+      await mailer.sendMail({
+        to: email,
+        subject: `${guest} finished their golden interview`,
+        text: [
+          `${guest} finished the golden interview you shared${company ? ` for ${company}` : ""}.`,
+          "Their answers are in your golden interview sessions.",
+        ].join("\n"),
+      });
+    } catch (error) {
+      logger.warn(
+        { err: error, inviteId: invite.inviteId, userId: invite.userId },
+        "golden-interview.guest.owner_email_failed"
+      );
+    }
+  }
+
+  logger.info(
+    { inviteId: invite.inviteId, userId: invite.userId, sessionId: payload.sessionId, emailed },
+    "golden-interview.guest.owner_notified"
+  );
+  return true;
+}
+
+/**
+ * Consume GoldenInterviewGuestCompleted on the gateway's bus.
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribeGuestCompletionNotifications({ eventBus, firestore, logger, mailer = null }) {
+  return eventBus.subscribe(
+    GoldenInterviewGuestCompleted,
+    (envelope) =>
+      notifyOwnerOfGuestCompletion({ firestore, logger, mailer, payload: envelope.payload }),
+    { group: OWNER_NOTIFICATION_GROUP }
+  );
+}
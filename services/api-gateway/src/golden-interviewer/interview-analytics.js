@@ -0,0 +1,358 @@
+/**
+ * Interview Analytics
+ *
+ * Aggregates the interview audit log (interview-audit-logger.js) across
+ * sessions so prompts.js and ui-templates.js can be tuned with data:
+ * - fields:     how often each field is asked, answered and skipped
+ * - dropOff:    the turn (and question) where abandoned interviews stopped
+ * - turnTiming: time from a question being shown to the answer
+ * - uiTools:    per UI tool type, skips and answers given as custom input
+ * - archetypes: completion % by role archetype
+ * - phases:     average turn at which interviews reach each phase
+ *
+ * Users report on their own sessions; org admins can report on every
+ * session owned by a member of their organization.
+ */
+
+import { httpError } from "@wizard/utils";
+import { readInterviewAuditLogs } from "./interview-audit-logger.js";
+import { detectRoleArchetypeFromSchema } from "./prompts.js";
+import { listSessionsForUser } from "../services/repositories/golden-interviewer-repository.js";
+import { listUserIdsInOrg } from "../services/repositories/user-repository.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// An unfinished interview with no activity for this long counts as abandoned
+export const ABANDONED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Longer gaps are the respondent stepping away, not time spent on the question
+const MAX_ANSWER_TIME_MS = 30 * 60 * 1000;
+
+// Tools answered by typing anyway; typed answers there are not "custom input"
+const TEXT_TOOLS = new Set(["smart_textarea", "tag_input"]);
+
+const SKIPPED_VALUE = "[SKIPPED]";
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function ratio(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) / 100 : 0;
+}
+
+function average(values) {
+  return values.length > 0
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+function ensure(map, key, create) {
+  if (!map.has(key)) {
+    map.set(key, create());
+  }
+  return map.get(key);
+}
+
+/**
+ * Option ids/values a UI tool offers; answers outside them were typed in
+ * through "allowCustomInput".
+ */
+function collectOptionValues(props, values = new Set()) {
+  if (Array.isArray(props)) {
+    props.forEach((item) => collectOptionValues(item, values));
+  } else if (props && typeof props === "object") {
+    ["id", "value", "label"].forEach((key) => {
+      if (typeof props[key] === "string") values.add(props[key]);
+    });
+    Object.values(props).forEach((child) => collectOptionValues(child, values));
+  }
+  return values;
+}
+
+function isCustomInput(uiTool, response) {
+  if (!uiTool?.type || TEXT_TOOLS.has(uiTool.type)) return false;
+  // Typed a message instead of using the tool
+  if (response.source === "userMessage") return true;
+  if (!uiTool.props?.allowCustomInput) return false;
+
+  const options = collectOptionValues(uiTool.props);
+  const answers = Array.isArray(response.value) ? response.value : [response.value];
+  return answers.some((answer) => typeof answer === "string" && !options.has(answer));
+}
+
+/**
+ * Normalize one session's log entries into questions, responses and outcome.
+ * `first_turn` entries use an older shape than `llm_response`.
+ */
+function summarizeSession({ sessionId, entries }) {
+  const questions = new Map();
+  const responses = [];
+  let complete = null;
+  let lastActivity = null;
+
+  entries.forEach((entry) => {
+    const at = new Date(entry.ts ?? entry.timestamp);
+    if (!Number.isNaN(at.getTime()) && (!lastActivity || at > lastActivity)) {
+      lastActivity = at;
+    }
+
+    if (entry.type === "first_turn") {
+      const llm = entry.llmResponse ?? {};
+      questions.set(1, {
+        turn: 1,
+        at,
+        field: llm.currently_asking_field ?? null,
+        phase: llm.interview_phase ?? null,
+        completion: llm.completion_percentage ?? 0,
+        uiTool: llm.ui_tool ?? null,
+        archetype: null,
+      });
+    } else if (entry.type === "llm_response") {
+      questions.set(entry.turn, {
+        turn: entry.turn,
+        at,
+        field: entry.field ?? null,
+        phase: entry.phase ?? null,
+        completion: entry.completion ?? 0,
+        uiTool: entry.ui_tool ?? null,
+        archetype: entry.archetype ?? null,
+      });
+    } else if (entry.type === "user_response") {
+      responses.push({ ...entry, at });
+    } else if (entry.type === "interview_complete") {
+      complete = entry;
+    }
+  });
+
+  const orderedQuestions = [...questions.values()].sort((a, b) => a.turn - b.turn);
+  const lastQuestion = orderedQuestions[orderedQuestions.length - 1] ?? null;
+  const archetype =
+    [...orderedQuestions].reverse().find((question) => question.archetype)?.archetype ??
+    (complete?.finalGoldenSchema
+      ? detectRoleArchetypeFromSchema(complete.finalGoldenSchema)
+      : null);
+
+  return {
+    sessionId,
+    questions,
+    orderedQuestions,
+    responses,
+    startedAt: orderedQuestions[0]?.at ?? null,
+    lastActivity,
+    lastQuestion,
+    completed: Boolean(complete),
+    completion: complete?.summary?.completionPercentage ?? lastQuestion?.completion ?? 0,
+    archetype: archetype ?? "unknown",
+  };
+}
+
+// =============================================================================
+// AGGREGATION
+// =============================================================================
+
+/**
+ * Aggregate audit logs into the analytics report.
+ * @param {Array<{ sessionId: string, entries: object[] }>} sessionLogs
+ * @param {object} [options]
+ * @param {Date} [options.now] - Reference time for abandonment
+ * @returns {object} Report
+ */
+export function buildInterviewAnalytics(sessionLogs, { now = new Date() } = {}) {
+  const sessions = sessionLogs.map(summarizeSession).filter((s) => s.orderedQuestions.length > 0);
+
+  const fields = new Map();
+  const tools = new Map();
+  const archetypes = new Map();
+  const phases = new Map();
+  const answerTimes = [];
+  const dropOffTurns = [];
+  const dropOffFields = new Map();
+  let inProgress = 0;
+
+  const fieldStats = (field) =>
+    ensure(fields, field, () => ({ field, asked: 0, answered: 0, skipped: 0 }));
+  const toolStats = (type) =>
+    ensure(tools, type, () => ({ type, shown: 0, answered: 0, skipped: 0, customInput: 0 }));
+
+  sessions.forEach((session) => {
+    session.orderedQuestions.forEach((question) => {
+      if (question.field) fieldStats(question.field).asked += 1;
+      if (question.uiTool?.type) toolStats(question.uiTool.type).shown += 1;
+    });
+
+    session.responses.forEach((response) => {
+      const question = session.questions.get(response.turn);
+      const isSkip = response.value === SKIPPED_VALUE;
+      const field = response.field ?? question?.field;
+      if (field) {
+        fieldStats(field)[isSkip ? "skipped" : "answered"] += 1;
+      }
+      if (question?.uiTool?.type) {
+        const stats = toolStats(question.uiTool.type);
+        stats[isSkip ? "skipped" : "answered"] += 1;
+        if (!isSkip && isCustomInput(question.uiTool, response)) {
+          stats.customInput += 1;
+        }
+      }
+      const elapsed = question ? response.at - question.at : NaN;
+      if (!isSkip && elapsed >= 0 && elapsed <= MAX_ANSWER_TIME_MS) {
+        answerTimes.push(elapsed);
+      }
+    });
+
+    const archetype = ensure(archetypes, session.archetype, () => ({
+      archetype: session.archetype,
+      sessions: 0,
+      completed: 0,
+      completions: [],
+    }));
+    archetype.sessions += 1;
+    archetype.completed += session.completed ? 1 : 0;
+    archetype.completions.push(session.completion);
+
+    const reached = new Map();
+    session.orderedQuestions.forEach(({ phase, turn }) => {
+      if (phase && !reached.has(phase)) reached.set(phase, turn);
+    });
+    reached.forEach((turn, phase) => {
+      ensure(phases, phase, () => ({ phase, turns: [] })).turns.push(turn);
+    });
+
+    if (!session.completed) {
+      if (now - session.lastActivity < ABANDONED_AFTER_MS) {
+        inProgress += 1;
+      } else {
+        dropOffTurns.push(session.lastQuestion.turn);
+        const field = session.lastQuestion.field ?? "unknown";
+        dropOffFields.set(field, (dropOffFields.get(field) ?? 0) + 1);
+      }
+    }
+  });
+
+  const byTurn = {};
+  dropOffTurns.forEach((turn) => {
+    byTurn[turn] = (byTurn[turn] ?? 0) + 1;
+  });
+
+  return {
+    generatedAt: now.toISOString(),
+    sessions: {
+      total: sessions.length,
+      completed: sessions.filter((session) => session.completed).length,
+      inProgress,
+      abandoned: dropOffTurns.length,
+    },
+    fields: [...fields.values()]
+      .map((stats) => ({
+        ...stats,
+        skipRate: ratio(stats.skipped, stats.answered + stats.skipped),
+      }))
+      .sort((a, b) => b.skipRate - a.skipRate || b.asked - a.asked),
+    dropOff: {
+      averageTurn: average(dropOffTurns),
+      byTurn,
+      lastFields: [...dropOffFields.entries()]
+        .map(([field, count]) => ({ field, count }))
+        .sort((a, b) => b.count - a.count),
+    },
+    turnTiming: {
+      responses: answerTimes.length,
+      averageMs: average(answerTimes),
+      medianMs: median(answerTimes),
+    },
+    uiTools: [...tools.values()]
+      .map((stats) => ({
+        ...stats,
+        skipRate: ratio(stats.skipped, stats.answered + stats.skipped),
+        customInputRate: ratio(stats.customInput, stats.answered),
+      }))
+      .sort((a, b) => b.shown - a.shown),
+    archetypes: [...archetypes.values()]
+      .map(({ completions, ...stats }) => ({
+        ...stats,
+        averageCompletion: average(completions),
+      }))
+      .sort((a, b) => b.sessions - a.sessions),
+    phases: [...phases.values()]
+      .map(({ phase, turns }) => ({
+        phase,
+        sessions: turns.length,
+        averageTurn: Math.round((turns.reduce((sum, t) => sum + t, 0) / turns.length) * 10) / 10,
+      }))
+      .sort((a, b) => a.averageTurn - b.averageTurn),
+  };
+}
+
+// =============================================================================
+// REPORT
+// =============================================================================
+
+// Sessions are filtered by when they started, not by any later activity
+function sessionStartedAt(entries) {
+  const first = entries.find((entry) => entry.ts ?? entry.timestamp);
+  return first ? new Date(first.ts ?? first.timestamp).getTime() : null;
+}
+
+// "admin" is an org role, so scope "all" covers the admin's organization.
+async function listReportSessionIds({ firestore, user, scope }) {
+  if (scope !== "all") {
+    const sessions = await listSessionsForUser(firestore, user.id);
+    return sessions.map((session) => session.sessionId);
+  }
+  if (!user?.roles?.includes("admin")) {
+    throw httpError(403, "Only admins can report on all interviews");
+  }
+  if (!user.orgId) {
+    throw httpError(403, "Reporting on all interviews requires an organization");
+  }
+  const memberIds = new Set([user.id, ...(await listUserIdsInOrg(firestore, user.orgId))]);
+  const sessionIds = [];
+  for (const memberId of memberIds) {
+    const sessions = await listSessionsForUser(firestore, memberId);
+    sessionIds.push(...sessions.map((session) => session.sessionId));
+  }
+  return sessionIds;
+}
+
+/**
+ * Interview analytics for the report endpoint.
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {object} params.user - req.user
+ * @param {"mine"|"all"} [params.scope] - "all" covers the sessions of the admin's organization
+ * @param {number|null} [params.days] - Only sessions started in the last N days
+ * @param {string} [params.logDir] - Audit log directory (tests)
+ * @param {Date} [params.now]
+ * @returns {Promise<object>} Report
+ * @throws {HttpError} 403 for scope "all" without the admin role or an organization
+ */
+export async function getInterviewAnalytics({
+  firestore,
+  user,
+  scope = "mine",
+  days = null,
+  logDir,
+  now = new Date(),
+}) {
+  const sessionIds = await listReportSessionIds({ firestore, user, scope });
+
+  const logs = sessionIds.length === 0 ? [] : await readInterviewAuditLogs({ logDir, sessionIds });
+  const since = days ? now.getTime() - days * 24 * 60 * 60 * 1000 : null;
+  const recent = since
+    ? logs.filter(({ entries }) => (sessionStartedAt(entries) ?? 0) >= since)
+    : logs;
+
+  return { scope, days, ...buildInterviewAnalytics(recent, { now }) };
+}
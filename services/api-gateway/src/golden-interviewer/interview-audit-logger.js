@@ -9,6 +9,8 @@
  *
  * Files are stored in: logs/interview_audit/
  * Format: {sessionId}_{timestamp}.jsonl
+ *
+ * readInterviewAuditLogs() loads them back for interview-analytics.js.
  */
 
 import fs from "node:fs";
@@ -17,7 +19,8 @@ import { fileURLToPath } from "node:url";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const ROOT_DIR = path.resolve(__dirname, "../../../..");
-const LOG_DIR = path.join(ROOT_DIR, "logs", "interview_audit");
+export const INTERVIEW_AUDIT_LOG_DIR = path.join(ROOT_DIR, "logs", "interview_audit");
+const LOG_DIR = INTERVIEW_AUDIT_LOG_DIR;
 
 // Cache for session file paths
 const sessionFiles = new Map();
@@ -69,6 +72,7 @@ async function appendToLog(sessionId, entry) {
  * @param {string} params.field - The field that was answered
  * @param {string|object|null} params.value - The value (what was saved to DB)
  * @param {boolean} [params.isSkip] - Whether user skipped
+ * @param {string} [params.source] - "uiResponse" (answered with the UI tool) or "userMessage" (typed)
  */
 export async function logUserResponse({
   sessionId,
@@ -76,6 +80,7 @@ export async function logUserResponse({
   field,
   value,
   isSkip = false,
+  source = null,
 }) {
   const entry = {
     type: "user_response",
@@ -83,6 +88,7 @@ export async function logUserResponse({
     turn: turnNumber,
     field,
     value: isSkip ? "[SKIPPED]" : value,
+    source,
   };
 
   await appendToLog(sessionId, entry);
@@ -95,16 +101,19 @@ export async function logUserResponse({
  * @param {string} params.sessionId - Session ID
  * @param {number} params.turnNumber - Turn number
  * @param {object} params.llmResponse - Raw LLM response
+ * @param {string} [params.roleArchetype] - Role archetype detected for this turn
  */
 export async function logLlmResponse({
   sessionId,
   turnNumber,
   llmResponse,
+  roleArchetype = null,
 }) {
   const entry = {
     type: "llm_response",
     ts: new Date().toISOString(),
     turn: turnNumber,
+    archetype: roleArchetype,
     field: llmResponse.currently_asking_field,
     phase: llmResponse.interview_phase,
     completion: llmResponse.completion_percentage,
@@ -242,3 +251,57 @@ export async function logInterviewError({
 
   await appendToLog(sessionId, entry);
 }
+
+/**
+ * Read audit logs back, grouped by session. A session whose server restarted
+ * mid-interview has several files; their entries are concatenated in order.
+ * Unreadable files and malformed lines are skipped.
+ *
+ * @param {object} [params]
+ * @param {string} [params.logDir] - Directory to read (defaults to logs/interview_audit/)
+ * @param {string[]|null} [params.sessionIds] - Only read these sessions
+ * @returns {Promise<Array<{ sessionId: string, entries: object[] }>>}
+ */
+export async function readInterviewAuditLogs({
+  logDir = LOG_DIR,
+  sessionIds = null,
+} = {}) {
+  let fileNames;
+  try {
+    fileNames = await fs.promises.readdir(logDir);
+  } catch {
+    return [];
+  }
+
+  const wanted = sessionIds ? new Set(sessionIds) : null;
+  const filesBySession = new Map();
+  fileNames
+    .filter((fileName) => fileName.endsWith(".jsonl"))
+    .sort()
+    .forEach((fileName) => {
+      // Session IDs may contain "_"; the timestamp suffix never does
+      const sessionId = fileName.slice(0, fileName.lastIndexOf("_"));
+      if (!sessionId || (wanted && !wanted.has(sessionId))) return;
+      filesBySession.set(sessionId, [...(filesBySession.get(sessionId) ?? []), fileName]);
+    });
+
+  const sessions = [];
+  for (const [sessionId, sessionFileNames] of filesBySession) {
+    const entries = [];
+    for (const fileName of sessionFileNames) {
+      const content = await fs.promises
+        .readFile(path.join(logDir, fileName), "utf8")
+        .catch(() => "");
+      content.split("\n").forEach((line) => {
+        if (!line.trim()) return;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // partial line from an interrupted write
+        }
+      });
+    }
+    sessions.push({ sessionId, entries });
+  }
+  return sessions;
+}
@@ -0,0 +1,232 @@
+/**
+ * Interview Media
+ *
+ * Workplace photos and videos uploaded through the media_upload tool. Files
+ * are stored through the media storage abstraction (services/media-storage.js)
+ * and linked to the session's golden record under
+ * `environment.physical_space.media`:
+ *
+ *   { media_id, media_type, url, content_type, filename, caption, uploaded_at }
+ *
+ * Photos are captioned with the image_caption task (via POST /api/llm) so job
+ * generation can use them as reference imagery (hero image, video storyboard).
+ * A failed caption never fails the upload.
+ */
+
+import sharp from "sharp";
+import { nanoid } from "nanoid";
+import { httpError } from "@wizard/utils";
+import { LLM_CORE_TASK } from "../config/task-types.js";
+import { internalCallHeaders } from "../utils/internal-calls.js";
+import {
+  getSession,
+  saveSession,
+} from "../services/repositories/golden-interviewer-repository.js";
+
+// =============================================================================
+// CONSTANTS
+// =============================================================================
+
+// content type -> file extension
+export const MEDIA_CONTENT_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "video/mp4": "mp4",
+  "video/quicktime": "mov",
+  "video/webm": "webm",
+};
+
+export const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+export const MAX_VIDEO_BYTES = 50 * 1024 * 1024;
+
+// At most this many files per session
+export const MAX_MEDIA_PER_SESSION = 20;
+
+// Photos are downscaled before captioning to keep the /api/llm request small
+const CAPTION_IMAGE_MAX_PX = 1024;
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function mediaTypeFor(contentType) {
+  return contentType.startsWith("video/") ? "video" : "image";
+}
+
+function getPhysicalSpace(goldenSchema) {
+  return goldenSchema?.environment?.physical_space ?? {};
+}
+
+/**
+ * Media linked to a golden record.
+ * @param {object|null} goldenSchema
+ * @returns {object[]}
+ */
+export function getWorkplaceMedia(goldenSchema) {
+  const media = getPhysicalSpace(goldenSchema).media;
+  return Array.isArray(media) ? media : [];
+}
+
+/**
+ * Validate an upload body.
+ * @throws {HttpError} 400 for an empty body, 413 when too large, 415 for other types
+ */
+function validateUpload({ buffer, contentType }) {
+  if (!MEDIA_CONTENT_TYPES[contentType]) {
+    throw httpError(
+      415,
+      `Unsupported media type "${contentType || "unknown"}" (use ${Object.keys(MEDIA_CONTENT_TYPES).join(", ")})`
+    );
+  }
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw httpError(400, "Upload body is empty");
+  }
+  const limit = mediaTypeFor(contentType) === "video" ? MAX_VIDEO_BYTES : MAX_IMAGE_BYTES;
+  if (buffer.length > limit) {
+    throw httpError(413, `File is larger than ${Math.round(limit / (1024 * 1024))}MB`);
+  }
+}
+
+/**
+ * Caption a workplace photo through POST /api/llm (image_caption).
+ * @returns {Promise<string|null>} Caption, or null when captioning failed
+ */
+async function captionWorkplacePhoto({ apiBaseUrl, authToken, buffer, goldenSchema, logger, sessionId }) {
+  try {
+    const resized = await sharp(buffer)
+      .rotate()
+      .resize(CAPTION_IMAGE_MAX_PX, CAPTION_IMAGE_MAX_PX, { fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    const response = await fetch(`${apiBaseUrl}/api/llm`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${authToken}`,
+        ...internalCallHeaders(),
+      },
+      body: JSON.stringify({
+        taskType: LLM_CORE_TASK.IMAGE_CAPTION,
+        context: {
+          images: [{ mimeType: "image/jpeg", data: resized.toString("base64") }],
+          workplaceMedia: {
+            roleTitle: goldenSchema?.role_overview?.job_title ?? null,
+            spaceType: getPhysicalSpace(goldenSchema).type ?? null,
+          },
+        },
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`LLM API call failed: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    if (data.result?.error) {
+      throw new Error(data.result.error.message ?? data.result.error.reason ?? "Caption failed");
+    }
+    return data.result?.caption ?? null;
+  } catch (error) {
+    logger?.warn?.({ sessionId, err: error }, "golden-interviewer.media.caption_failed");
+    return null;
+  }
+}
+
+// =============================================================================
+// API
+// =============================================================================
+
+/**
+ * Store an uploaded workplace photo/video and link it to the session's golden
+ * record. The caller has already checked access to the session.
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {object} params.mediaStorage - See services/media-storage.js
+ * @param {object} [params.logger]
+ * @param {string} params.apiBaseUrl - Base URL for POST /api/llm
+ * @param {string} params.authToken - Bearer token for the caption call
+ * @param {string} params.sessionId
+ * @param {object} params.file - { buffer, contentType, filename? }
+ * @returns {Promise<object>} The golden record media entry
+ * @throws {HttpError} 400/413/415 for invalid uploads, 404 if the session is gone,
+ *   409 when the session already has MAX_MEDIA_PER_SESSION files
+ */
+export async function uploadInterviewMedia({
+  firestore,
+  mediaStorage,
+  logger,
+  apiBaseUrl,
+  authToken,
+  sessionId,
+  file,
+}) {
+  validateUpload(file);
+  const session = await getSession(firestore, sessionId);
+  if (!session) {
+    throw httpError(404, "Session not found");
+  }
+  if (getWorkplaceMedia(session.goldenSchema).length >= MAX_MEDIA_PER_SESSION) {
+    throw httpError(409, `A session can have at most ${MAX_MEDIA_PER_SESSION} media files`);
+  }
+
+  const mediaId = `media_${nanoid(12)}`;
+  const mediaType = mediaTypeFor(file.contentType);
+  const stored = await mediaStorage.save({
+    objectPath: `golden-interviews/${sessionId}/${mediaId}.${MEDIA_CONTENT_TYPES[file.contentType]}`,
+    buffer: file.buffer,
+    contentType: file.contentType,
+  });
+
+  const caption =
+    mediaType === "image"
+      ? await captionWorkplacePhoto({
+          apiBaseUrl,
+          authToken,
+          buffer: file.buffer,
+          goldenSchema: session.goldenSchema,
+          logger,
+          sessionId,
+        })
+      : null;
+
+  const entry = {
+    media_id: mediaId,
+    media_type: mediaType,
+    url: stored.url,
+    content_type: file.contentType,
+    ...(file.filename ? { filename: file.filename } : {}),
+    caption,
+    uploaded_at: new Date().toISOString(),
+  };
+
+  // Re-read: a chat turn may have saved the session while the caption ran
+  const latest = (await getSession(firestore, sessionId)) ?? session;
+  const goldenSchema = latest.goldenSchema ?? {};
+  const environment = goldenSchema.environment ?? {};
+  const physicalSpace = getPhysicalSpace(goldenSchema);
+  latest.goldenSchema = {
+    ...goldenSchema,
+    environment: {
+      ...environment,
+      physical_space: {
+        ...physicalSpace,
+        media: [...getWorkplaceMedia(goldenSchema), entry],
+      },
+    },
+  };
+  latest.updatedAt = new Date();
+  await saveSession({ firestore, sessionId, session: latest });
+
+  logger?.info?.(
+    {
+      sessionId,
+      mediaId,
+      mediaType,
+      bytes: file.buffer.length,
+      captioned: Boolean(caption),
+    },
+    "golden-interviewer.media.uploaded"
+  );
+
+  return entry;
+}
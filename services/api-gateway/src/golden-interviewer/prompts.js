@@ -51,12 +51,15 @@
 // =============================================================================
 
 import {
+  DEFAULT_ROLE_RULES,
+  mergeRoleRules,
   detectRoleArchetype,
   filterFieldsByArchetype,
   getSkipReasons,
   getArchetypeLabel,
 } from "./role-archetypes.js";
 import { generateTemplateCatalog } from "./ui-templates.js";
+import { CONFIRM_OPTION_ID, CHANGE_OPTION_ID } from "./company-defaults.js";
 
 // =============================================================================
 // SECTION 2: CONSTANTS
@@ -121,7 +124,7 @@ const CONDENSED_TOOL_SCHEMA = `
 | timeline_builder | Vertical timeline with inputs | **title**, **points**[{id,label}] | {title:"Career Path",points:[{id:"y1",label:"Year 1"},{id:"y3",label:"Year 3"}]} |
 | comparison_table | Two-column input (A vs B) | **title**, **rows**[{id,label}], leftHeader, rightHeader | {title:"Reality Check",rows:[{id:"hours",label:"Hours"}],leftHeader:"Expected",rightHeader:"Actual"} |
 | qa_list | Expandable Q&A pairs | **title**, maxPairs, suggestedQuestions[] | {title:"FAQs",maxPairs:5,suggestedQuestions:["What's the culture like?"]} |
-| media_upload | Audio/photo/video placeholder | **title**, mediaType | {title:"Voice Note",mediaType:"audio"} |
+| media_upload | Workplace photo/video upload (stored and captioned) | **title**, mediaType | {title:"Show us the kitchen",mediaType:"photo"} |
 
 ## CRITICAL RULES
 
@@ -682,6 +685,7 @@ Below is the complete list of all field paths you can extract to. Use these exac
 - \`environment.physical_space.type\` (enum)
 - \`environment.physical_space.description\` (string)
 - \`environment.physical_space.size_context\` (string)
+- \`environment.physical_space.media\` (array; filled by media_upload photos/videos, never write it)
 
 **workspace_quality:**
 - \`environment.workspace_quality.dedicated_workspace\` (boolean)
@@ -1009,6 +1013,15 @@ You are representing **${name}**`;
 // USER CONTEXT BUILDER
 // =============================================================================
 
+// Hiring managers are the default respondent, so they need no extra guidance.
+// Other perspectives answer a linked session whose answers are merged later.
+const PERSPECTIVE_GUIDANCE = {
+  recruiter:
+    "**PERSPECTIVE**: This respondent is the recruiter for the role, not the hiring manager. They know the offer, process and candidate market well; day-to-day details may be second-hand, so accept \"not sure\" without pressing.",
+  current_employee:
+    "**PERSPECTIVE**: This respondent currently works in this role; they are not hiring. Ask about their lived experience (a typical day, the team, what is hard, why people stay or leave) and phrase questions as \"in your experience\". Do not ask them to set pay, budgets or requirements; if they volunteer what they earn or receive, record it as they describe it.",
+};
+
 /**
  * Builds the user context section for the system prompt
  * @param {object} currentSchema - Current golden schema state
@@ -1020,11 +1033,12 @@ function buildUserContextSection(currentSchema) {
   }
 
   const { user_context } = currentSchema;
-  const { name, timezone } = user_context;
+  const { name, timezone, respondent_perspective } = user_context;
+  const perspectiveNote = PERSPECTIVE_GUIDANCE[respondent_perspective] ?? "";
 
-  // Only build context if we have at least a name
+  // Only build context if we have a name or a non-default perspective
   if (!name) {
-    return "";
+    return perspectiveNote ? `## USER CONTEXT\n\n${perspectiveNote}\n\n` : "";
   }
 
   let contextSection = `## USER CONTEXT
@@ -1041,6 +1055,10 @@ You are speaking with **${name}**`;
 
   contextSection += ".\n\n";
 
+  if (perspectiveNote) {
+    contextSection += `${perspectiveNote}\n\n`;
+  }
+
   contextSection += `**IMPORTANT**: Use this information to build rapport and personalize the conversation. Address them by name occasionally (e.g., "Great point, ${name}!" or "Thanks for sharing that, ${name}."). If you know their location, you can make small talk references (e.g., "Hope the weather is treating you well!" or mention local context when relevant). Keep it natural—don't overdo it.\n\n`;
 
   return contextSection;
@@ -1134,6 +1152,85 @@ ${strategyReminder}
 `;
 }
 
+// =============================================================================
+// INHERITED DEFAULTS BUILDER
+// =============================================================================
+
+/**
+ * Builds the section listing company-wide fields prefilled from the company
+ * golden profile. Pending fields are confirmed, not asked from scratch;
+ * fields the respondent said changed are asked again.
+ *
+ * @param {array} inheritedFields - Open inherited fields [{ field, value, source, status }]
+ * @returns {string} - Inherited defaults section or empty string
+ */
+function buildInheritedFieldsSection(inheritedFields) {
+  if (!Array.isArray(inheritedFields) || inheritedFields.length === 0) {
+    return "";
+  }
+
+  const formatField = ({ field, value, source }) =>
+    `- \`${field}\`: ${JSON.stringify(value)} _(from ${source === "enrichment" ? "public company info" : "a previous interview"})_`;
+  const pending = inheritedFields.filter(({ status }) => status === "pending");
+  const changed = inheritedFields.filter(({ status }) => status === "changed");
+
+  let section = `### Inherited Company Defaults
+
+These company-wide answers are already filled in from the company profile.`;
+
+  if (pending.length > 0) {
+    section += `
+
+**Confirm only** (do NOT ask these from scratch):
+${pending.map(formatField).join("\n")}
+
+Confirm one section at a time: summarize what is on file, set \`currently_asking_field\` to the section path (e.g. \`stability_signals.benefits_security\`) and use \`toggle_list\` with \`singleSelect: true\` and exactly two items: id \`${CONFIRM_OPTION_ID}\` ("Still accurate") and id \`${CHANGE_OPTION_ID}\` ("Something changed").`;
+  }
+
+  if (changed.length > 0) {
+    section += `
+
+**Changed since last time** (ask what is true now, one field at a time):
+${changed.map(formatField).join("\n")}`;
+  }
+
+  return `${section}\n\n`;
+}
+
+// =============================================================================
+// RESUME (RE-ENTRY) BUILDER
+// =============================================================================
+
+/**
+ * Builds the section for the first turn after a user comes back to an
+ * unfinished interview. The recap is shown to the user next to the message,
+ * so the interviewer only welcomes them back and asks the next question.
+ *
+ * @param {object|null} resume - { recap, nextPriorityFields }
+ * @returns {string} - Resume section or empty string
+ */
+function buildResumeSection(resume) {
+  if (!resume) {
+    return "";
+  }
+
+  const priorityFields = Array.isArray(resume.nextPriorityFields)
+    ? resume.nextPriorityFields
+    : [];
+
+  return `### 🔄 USER IS RESUMING THIS INTERVIEW
+
+The user left this interview unfinished and has just come back. There is no new input this turn.
+
+**Recap already shown to the user:**
+${resume.recap || "_No recap available._"}
+
+**Next priority fields** (ask the FIRST one that is still relevant):
+${priorityFields.length > 0 ? priorityFields.map((f, i) => `${i + 1}. ${f}`).join("\n") : "_None - pick the most useful missing field._"}
+
+`;
+}
+
 // =============================================================================
 // CONVERSATION HISTORY BUILDER
 // =============================================================================
@@ -1837,6 +1934,9 @@ Remember to respond in the exact JSON format specified.`;
  * @param {number} [options.turnNumber] - Current turn number
  * @param {object} [options.frictionState] - Friction state for skip handling
  * @param {string} [options.lastAskedField] - Field the previous question targeted
+ * @param {array} [options.inheritedFields] - Company defaults still to confirm or re-ask
+ * @param {object} [options.roleRules] - Company role archetype overrides (company-role-rules.js)
+ * @param {object} [options.resume] - { recap, nextPriorityFields } when the user resumes the interview
  * @returns {string} - Continuation turn user prompt
  */
 export function buildContinueTurnPrompt({
@@ -1849,19 +1949,25 @@ export function buildContinueTurnPrompt({
   turnNumber,
   frictionState,
   lastAskedField,
+  inheritedFields = [],
+  roleRules = null,
+  resume = null,
 }) {
   const schemaCompletion = estimateSchemaCompletion(currentSchema);
+  const rules = mergeRoleRules(roleRules);
 
   // Build dynamic context sections for the user prompt
   const companyContext = buildCompanyContextSection(companyData);
   const userContext = buildUserContextSection(currentSchema);
   const frictionContext = buildFrictionContextSection(frictionState);
   const historyContext = buildConversationHistorySection(conversationHistory);
+  const inheritedSection = buildInheritedFieldsSection(inheritedFields);
+  const resumeSection = buildResumeSection(resume);
 
   // Get context-aware field analysis
-  const { missing, skipped, archetype } = identifyMissingFields(currentSchema);
-  const archetypeLabel = getArchetypeLabel(archetype);
-  const skipReasons = getSkipReasons(skipped.slice(0, 5), archetype);
+  const { missing, skipped, archetype } = identifyMissingFields(currentSchema, null, rules);
+  const archetypeLabel = getArchetypeLabel(archetype, rules);
+  const skipReasons = getSkipReasons(skipped.slice(0, 5), archetype, rules);
 
   // Build skip-specific alert if user just skipped
   const skipAlert = frictionState?.isSkip
@@ -1938,10 +2044,10 @@ ${historyContext}---
 
 ## Current Turn: ${turnNumber}
 
-${skipAlert}${dataConfirmation}### User's Input
+${skipAlert}${dataConfirmation}${resumeSection || `### User's Input
 ${userMessage ? `Text message: "${userMessage}"` : "(No text message)"}
 
-${
+`}${
   uiResponse
     ? `UI Tool Response (${previousToolType}):
 \`\`\`json
@@ -1959,20 +2065,25 @@ Current data (only filled fields):
 ${JSON.stringify(filterNonNullFields(currentSchema) || {}, null, 2)}
 \`\`\`
 
-${relevantFieldsSection}
+${inheritedSection}${relevantFieldsSection}
 
 ${skipFieldsSection}
 
 ### Your Task
 ${
-  frictionState?.isSkip
+  resume
+    ? `1. Welcome the user back in ONE short sentence. Do NOT repeat the recap.
+2. Ask about the first relevant field from **Next priority fields** above, using the best UI tool for it.
+3. Generate a 'context_explanation' for that question.
+4. **REMEMBER**: Skip any fields in the "Fields to SKIP" section - do not ask about them.`
+    : frictionState?.isSkip
     ? `1. **HANDLE THE SKIP** according to the Friction Protocol above.
 2. Do NOT re-ask the same question in the same way.
 3. Select a different topic or offer a low-disclosure alternative.
 4. Generate a supportive 'context_explanation'.`
     : `1. Acknowledge user input briefly (data is already saved).
 2. Review the schema above to see what's filled and what's missing.
-3. Select the next best UI tool & question from the **Context-Relevant Fields** list.
+3. Select the next best UI tool & question from the **Context-Relevant Fields** list, or confirm a section of **Inherited Company Defaults** if any are listed.
 4. **CRITICAL**: Generate a 'context_explanation' based on the 'Why It Matters' column for the NEXT question you are asking.
 5. **REMEMBER**: Skip any fields in the "Fields to SKIP" section - do not ask about them.`
 }
@@ -2097,9 +2208,10 @@ function countFilledFields(obj) {
  *
  * @param {object} schema - Current golden schema state
  * @param {string|null} roleArchetype - Detected role archetype (or null to auto-detect)
+ * @param {object} [rules] - Merged role rules (defaults to the built-ins)
  * @returns {object} - { missing: string[], skipped: string[], archetype: string }
  */
-function identifyMissingFields(schema, roleArchetype = null) {
+function identifyMissingFields(schema, roleArchetype = null, rules = DEFAULT_ROLE_RULES) {
   // All possible priority fields
   // ROLE CONTENT fields are at the TOP - they should be asked first after mandatory fields
   const allPriorityFields = [
@@ -2180,7 +2292,7 @@ function identifyMissingFields(schema, roleArchetype = null) {
 
   // Auto-detect archetype if not provided
   const detectedArchetype =
-    roleArchetype || detectRoleArchetypeFromSchema(schema);
+    roleArchetype || detectRoleArchetypeFromSchema(schema, rules);
 
   // Filter to only missing fields
   const missingFields = allPriorityFields.filter((path) => {
@@ -2191,7 +2303,9 @@ function identifyMissingFields(schema, roleArchetype = null) {
   // Filter by archetype relevance
   const { relevant, skipped } = filterFieldsByArchetype(
     missingFields,
-    detectedArchetype
+    detectedArchetype,
+    true,
+    rules
   );
 
   return {
@@ -2209,16 +2323,21 @@ function identifyMissingFields(schema, roleArchetype = null) {
  * Uses extraction_metadata if available, otherwise infers from context.
  *
  * @param {object} schema - Current golden schema state
+ * @param {object} [rules] - Merged role rules (defaults to the built-ins)
  * @returns {string} - Archetype ID
  */
-function detectRoleArchetypeFromSchema(schema) {
-  // Check if already detected and stored
-  if (schema?.extraction_metadata?.role_archetype) {
-    return schema.extraction_metadata.role_archetype;
+function detectRoleArchetypeFromSchema(schema, rules = DEFAULT_ROLE_RULES) {
+  // Check if already detected and stored (and still a known archetype)
+  const storedArchetype = schema?.extraction_metadata?.role_archetype;
+  if (storedArchetype && rules.archetypes[storedArchetype]) {
+    return storedArchetype;
   }
 
   // Extract signals from schema for detection
-  const roleTitle = schema?.extraction_metadata?.role_category_detected || "";
+  const roleTitle =
+    schema?.extraction_metadata?.role_category_detected ||
+    schema?.role_overview?.job_title ||
+    "";
   const industry = schema?.extraction_metadata?.industry_detected || "";
   const payFrequency =
     schema?.financial_reality?.base_compensation?.pay_frequency || null;
@@ -2231,6 +2350,7 @@ function detectRoleArchetypeFromSchema(schema) {
     payFrequency,
     remoteAllowed,
     hasEquity,
+    rules,
   });
 }
 
@@ -8,6 +8,9 @@
  * - Archetypes represent common job categories with different data needs
  * - Each field has a relevance level per archetype: "required", "optional", or "skip"
  * - The system filters fields BEFORE sending to the LLM, preventing awkward questions
+ * - ROLE_ARCHETYPES and FIELD_RELEVANCE_MAP are the built-in defaults; companies
+ *   can add archetypes and override relevance (company-role-rules.js). Helpers
+ *   take the merged rule set from mergeRoleRules() and default to the built-ins.
  */
 
 // =============================================================================
@@ -688,6 +691,61 @@ export const FIELD_RELEVANCE_MAP = {
   },
 };
 
+// =============================================================================
+// RULE SETS
+// =============================================================================
+
+export const RELEVANCE_LEVELS = ["required", "optional", "skip"];
+
+/**
+ * Built-in rule set used when a company has no overrides
+ */
+export const DEFAULT_ROLE_RULES = {
+  archetypes: ROLE_ARCHETYPES,
+  fieldRelevance: FIELD_RELEVANCE_MAP,
+};
+
+/**
+ * Merge a company's overrides over the built-in rule set.
+ *
+ * Company archetypes replace built-ins with the same ID or add new ones. A new
+ * archetype may name a built-in `baseArchetype`: it inherits that archetype's
+ * flags (pay type, remote, equity, tips) and its field relevance, except for
+ * fields the company sets explicitly.
+ *
+ * @param {object|null} overrides - { archetypes, fieldRelevance } from Firestore
+ * @returns {{ archetypes: object, fieldRelevance: object }}
+ */
+export function mergeRoleRules(overrides = null) {
+  if (!overrides) {
+    return DEFAULT_ROLE_RULES;
+  }
+
+  const archetypes = { ...ROLE_ARCHETYPES };
+  Object.entries(overrides.archetypes ?? {}).forEach(([id, archetype]) => {
+    const base = ROLE_ARCHETYPES[archetype.baseArchetype] ?? ROLE_ARCHETYPES[id] ?? {};
+    archetypes[id] = { ...base, ...archetype, id };
+  });
+
+  const fieldRelevance = {};
+  const fieldPaths = new Set([
+    ...Object.keys(FIELD_RELEVANCE_MAP),
+    ...Object.keys(overrides.fieldRelevance ?? {}),
+  ]);
+  fieldPaths.forEach((fieldPath) => {
+    const defaults = FIELD_RELEVANCE_MAP[fieldPath] ?? {};
+    const levels = { ...defaults };
+    Object.values(archetypes).forEach(({ id, baseArchetype }) => {
+      if (!levels[id] && baseArchetype && defaults[baseArchetype]) {
+        levels[id] = defaults[baseArchetype];
+      }
+    });
+    fieldRelevance[fieldPath] = { ...levels, ...overrides.fieldRelevance?.[fieldPath] };
+  });
+
+  return { archetypes, fieldRelevance };
+}
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -701,6 +759,7 @@ export const FIELD_RELEVANCE_MAP = {
  * @param {string} [options.payFrequency] - "hourly" or "salary"
  * @param {boolean} [options.remoteAllowed] - Whether remote work is allowed
  * @param {boolean} [options.hasEquity] - Whether equity is offered
+ * @param {object} [options.rules] - Merged rule set (defaults to the built-ins)
  * @returns {string} - The archetype ID
  */
 export function detectRoleArchetype({
@@ -709,6 +768,7 @@ export function detectRoleArchetype({
   payFrequency = null,
   remoteAllowed = null,
   hasEquity = null,
+  rules = DEFAULT_ROLE_RULES,
 } = {}) {
   const titleLower = roleTitle.toLowerCase();
   const industryLower = companyIndustry.toLowerCase();
@@ -716,11 +776,11 @@ export function detectRoleArchetype({
   // Score each archetype based on keyword matches
   const scores = {};
 
-  for (const [archetypeId, archetype] of Object.entries(ROLE_ARCHETYPES)) {
+  for (const [archetypeId, archetype] of Object.entries(rules.archetypes)) {
     let score = 0;
 
     // Check keyword matches in title
-    for (const keyword of archetype.keywords) {
+    for (const keyword of archetype.keywords ?? []) {
       if (titleLower.includes(keyword.toLowerCase())) {
         score += 2;  // Title match is strong signal
       }
@@ -775,14 +835,15 @@ export function detectRoleArchetype({
  *
  * @param {string} fieldPath - Dot-notation path (e.g., "financial_reality.equity")
  * @param {string} archetype - The archetype ID
+ * @param {object} [rules] - Merged rule set (defaults to the built-ins)
  * @returns {"required"|"optional"|"skip"} - The relevance level
  */
-export function getFieldRelevance(fieldPath, archetype) {
+export function getFieldRelevance(fieldPath, archetype, rules = DEFAULT_ROLE_RULES) {
   // Normalize field path to top-level section (e.g., "financial_reality.equity.offered" -> "financial_reality.equity")
   const parts = fieldPath.split(".");
   const normalizedPath = parts.slice(0, 2).join(".");
 
-  const fieldConfig = FIELD_RELEVANCE_MAP[normalizedPath];
+  const fieldConfig = rules.fieldRelevance[normalizedPath];
 
   if (!fieldConfig) {
     // Unknown field - default to optional
@@ -798,14 +859,20 @@ export function getFieldRelevance(fieldPath, archetype) {
  * @param {string[]} fields - Array of field paths
  * @param {string} archetype - The archetype ID
  * @param {boolean} includeOptional - Whether to include "optional" fields (default: true)
+ * @param {object} [rules] - Merged rule set (defaults to the built-ins)
  * @returns {object} - { relevant: string[], skipped: string[] }
  */
-export function filterFieldsByArchetype(fields, archetype, includeOptional = true) {
+export function filterFieldsByArchetype(
+  fields,
+  archetype,
+  includeOptional = true,
+  rules = DEFAULT_ROLE_RULES
+) {
   const relevant = [];
   const skipped = [];
 
   for (const field of fields) {
-    const relevance = getFieldRelevance(field, archetype);
+    const relevance = getFieldRelevance(field, archetype, rules);
 
     if (relevance === "skip") {
       skipped.push(field);
@@ -816,8 +883,8 @@ export function filterFieldsByArchetype(fields, archetype, includeOptional = tru
 
   // Sort relevant fields: required first, then optional
   relevant.sort((a, b) => {
-    const relA = getFieldRelevance(a, archetype);
-    const relB = getFieldRelevance(b, archetype);
+    const relA = getFieldRelevance(a, archetype, rules);
+    const relB = getFieldRelevance(b, archetype, rules);
     if (relA === "required" && relB !== "required") return -1;
     if (relA !== "required" && relB === "required") return 1;
     return 0;
@@ -831,11 +898,14 @@ export function filterFieldsByArchetype(fields, archetype, includeOptional = tru
  *
  * @param {string[]} skippedFields - Array of field paths that were skipped
  * @param {string} archetype - The archetype ID
+ * @param {object} [rules] - Merged rule set (defaults to the built-ins)
  * @returns {object[]} - Array of { field, reason } objects
  */
-export function getSkipReasons(skippedFields, archetype) {
-  const archetypeData = ROLE_ARCHETYPES[archetype];
+export function getSkipReasons(skippedFields, archetype, rules = DEFAULT_ROLE_RULES) {
+  const archetypeData = rules.archetypes[archetype];
   if (!archetypeData) return [];
+  // Company archetypes built on a built-in one share its reasons
+  const family = archetypeData.baseArchetype ?? archetype;
 
   const reasons = [];
 
@@ -860,9 +930,9 @@ export function getSkipReasons(skippedFields, archetype) {
         reason = "Break policies are typically flexible for salaried roles";
       }
     } else if (field.includes("career_path") || field.includes("learning")) {
-      if (archetype === "gig_contract") {
+      if (family === "gig_contract") {
         reason = "Not applicable for contract/gig work";
-      } else if (archetype === "executive") {
+      } else if (family === "executive") {
         reason = "Executive roles have self-directed career paths";
       }
     } else if (field.includes("payment_reliability")) {
@@ -883,17 +953,19 @@ export function getSkipReasons(skippedFields, archetype) {
  * Get the archetype label for display
  *
  * @param {string} archetypeId
+ * @param {object} [rules] - Merged rule set (defaults to the built-ins)
  * @returns {string}
  */
-export function getArchetypeLabel(archetypeId) {
-  return ROLE_ARCHETYPES[archetypeId]?.label || "Unknown Role Type";
+export function getArchetypeLabel(archetypeId, rules = DEFAULT_ROLE_RULES) {
+  return rules.archetypes[archetypeId]?.label || "Unknown Role Type";
 }
 
 /**
  * Get all archetype IDs
  *
+ * @param {object} [rules] - Merged rule set (defaults to the built-ins)
  * @returns {string[]}
  */
-export function getAllArchetypeIds() {
-  return Object.keys(ROLE_ARCHETYPES);
+export function getAllArchetypeIds(rules = DEFAULT_ROLE_RULES) {
+  return Object.keys(rules.archetypes);
 }
@@ -11,10 +11,17 @@
  */
 
 import { nanoid } from "nanoid";
-import { estimateSchemaCompletion, detectRoleArchetypeFromSchema } from "./prompts.js";
+import {
+  estimateSchemaCompletion,
+  detectRoleArchetypeFromSchema,
+  identifyMissingFields,
+  countFilledFields,
+} from "./prompts.js";
 import { validateUIToolProps } from "./tools-definition.js";
 import { createInitialGoldenRecord } from "@wizard/core";
 import { enhanceUITool, expandTemplateRef } from "./ui-templates.js";
+import { mergeRoleRules } from "./role-archetypes.js";
+import { loadCompanyRoleRules } from "./company-role-rules.js";
 import {
   getSession,
   saveSession,
@@ -29,8 +36,18 @@ import {
   getUserResponseForTurn,
   getMaxTurnIndex,
   completeSession as repoCompleteSession,
+  listActiveSessionsForUser,
+  addSessionToGroup,
 } from "../services/repositories/golden-interviewer-repository.js";
 import { getUserById } from "../services/repositories/user-repository.js";
+import { readSseEvents } from "../utils/sse.js";
+import { internalCallHeaders } from "../utils/internal-calls.js";
+import {
+  loadCompanyGoldenProfile,
+  buildInheritedDefaults,
+  getOpenInheritedFields,
+  applyInheritedConfirmation,
+} from "./company-defaults.js";
 import {
   logFirstTurn,
   logLlmResponse,
@@ -38,10 +55,86 @@ import {
   logInterviewComplete,
 } from "./interview-audit-logger.js";
 
+// =============================================================================
+// SENSITIVE FIELDS
+// =============================================================================
+
+// Field path prefixes that commonly trigger privacy concerns (pay, company
+// finances, turnover). Interview friction handling and golden record exports
+// treat them specially.
+export const SENSITIVE_FIELDS = [
+  "financial_reality.base_compensation",
+  "financial_reality.equity",
+  "financial_reality.variable_compensation",
+  "financial_reality.bonuses",
+  "stability_signals.company_health.revenue_trend",
+  "stability_signals.company_health.funding_status",
+  "humans_and_culture.turnover_context",
+];
+
+/**
+ * Check if a field (or a section containing it) is sensitive
+ * @param {string} fieldPath - e.g. "financial_reality.equity.offered"
+ * @returns {boolean}
+ */
+export function isSensitiveField(fieldPath) {
+  if (!fieldPath) return false;
+  return SENSITIVE_FIELDS.some((sensitive) => fieldPath.startsWith(sensitive));
+}
+
 // =============================================================================
 // GOLDEN INTERVIEWER SERVICE CLASS
 // =============================================================================
 
+// =============================================================================
+// RESUME HELPERS
+// =============================================================================
+
+// How many missing fields a resumed interview lines up next
+const RESUME_PRIORITY_FIELD_COUNT = 5;
+
+// Bookkeeping sections that never show up in a recap
+const RECAP_IGNORED_SECTIONS = ["id", "companyId", "sessionId", "user_context", "extraction_metadata"];
+
+/**
+ * Completion the interviewer last reported, or an estimate from the schema
+ * @param {object} session
+ * @returns {number}
+ */
+function getCompletionPercentage(session) {
+  return (
+    session.metadata?.completionPercentage ||
+    estimateSchemaCompletion(session.goldenSchema || {})
+  );
+}
+
+/**
+ * Recap built from the schema alone, used when the recap LLM call fails
+ * @param {object} params
+ * @param {object} params.goldenSchema
+ * @param {number} params.completionPercentage
+ * @param {string[]} params.nextPriorityFields
+ * @returns {string}
+ */
+function buildFallbackRecap({ goldenSchema, completionPercentage, nextPriorityFields }) {
+  const humanize = (key) => key.replace(/_/g, " ");
+  const covered = Object.entries(goldenSchema)
+    .filter(([key, value]) => !RECAP_IGNORED_SECTIONS.includes(key) && countFilledFields(value) > 0)
+    .map(([key]) => humanize(key));
+  const next = nextPriorityFields
+    .slice(0, 2)
+    .map((field) => humanize(field.split(".").pop()));
+
+  const parts = [`You're about ${completionPercentage}% through this interview.`];
+  if (covered.length > 0) {
+    parts.push(`So far we've covered ${covered.join(", ")}.`);
+  }
+  if (next.length > 0) {
+    parts.push(`Next up: ${next.join(" and ")}.`);
+  }
+  return parts.join(" ");
+}
+
 export class GoldenInterviewerService {
   /**
    * @param {object} options
@@ -66,9 +159,10 @@ export class GoldenInterviewerService {
    * @param {object} options
    * @param {string} options.authToken - Bearer token for authentication
    * @param {object} options.context - Context to pass to the LLM
+   * @param {object} [options.stream] - { onDelta, onReset } to receive the message as it streams
    * @returns {Promise<object>} - The LLM result
    */
-  async callLlmApi({ authToken, context }) {
+  async callLlmApi({ authToken, context, stream = null }) {
     const url = `${this.apiBaseUrl}/api/llm`;
 
     this.logger.info(
@@ -86,10 +180,13 @@ export class GoldenInterviewerService {
       headers: {
         "Content-Type": "application/json",
         Authorization: `Bearer ${authToken}`,
+        ...internalCallHeaders(),
+        ...(stream ? { Accept: "text/event-stream" } : {}),
       },
       body: JSON.stringify({
         taskType: "golden_interviewer",
         context,
+        ...(stream ? { stream: true } : {}),
       }),
     });
 
@@ -109,13 +206,16 @@ export class GoldenInterviewerService {
       );
     }
 
-    const data = await response.json();
+    const data = stream
+      ? await this.readLlmApiStream(response, stream)
+      : await response.json();
 
     this.logger.info(
       {
         sessionId: context.sessionId,
         hasResult: !!data.result,
         hasError: !!data.result?.error,
+        streamed: Boolean(stream),
       },
       "golden-interviewer.llm_api.response"
     );
@@ -123,6 +223,28 @@ export class GoldenInterviewerService {
     return data.result;
   }
 
+  /**
+   * Forward streamed deltas from /api/llm and return its final `result` event.
+   * @param {Response} response - SSE response from POST /api/llm
+   * @param {object} stream - { onDelta, onReset }
+   * @returns {Promise<object>} - { taskType, result }
+   */
+  async readLlmApiStream(response, stream) {
+    for await (const { event, data } of readSseEvents(response.body)) {
+      const payload = JSON.parse(data);
+      if (event === "delta") {
+        stream.onDelta(payload.text);
+      } else if (event === "reset") {
+        stream.onReset?.(payload);
+      } else if (event === "result") {
+        return payload;
+      } else if (event === "error") {
+        throw new Error(`LLM API stream failed: ${payload.error}`);
+      }
+    }
+    throw new Error("LLM API stream ended without a result");
+  }
+
   /**
    * Call the Saver Agent (golden_db_update) via HTTP POST /api/llm
    * This runs BEFORE the chat agent to extract and save data from user input.
@@ -150,6 +272,7 @@ export class GoldenInterviewerService {
       headers: {
         "Content-Type": "application/json",
         Authorization: `Bearer ${authToken}`,
+        ...internalCallHeaders(),
       },
       body: JSON.stringify({
         taskType: "golden_db_update",
@@ -214,6 +337,7 @@ export class GoldenInterviewerService {
       headers: {
         "Content-Type": "application/json",
         Authorization: `Bearer ${authToken}`,
+        ...internalCallHeaders(),
       },
       body: JSON.stringify({
         taskType: "golden_refine",
@@ -253,6 +377,121 @@ export class GoldenInterviewerService {
     return data.result || { can_proceed: true, quality: "good", suggestions: [] };
   }
 
+  /**
+   * Call the resume recap task (golden_resume_recap) via HTTP POST /api/llm.
+   *
+   * @param {object} options
+   * @param {string} options.authToken - Bearer token for authentication
+   * @param {object} options.context - Captured fields, priorities and role info
+   * @returns {Promise<string|null>} - The recap, or null if the call failed
+   */
+  async callResumeRecapApi({ authToken, context }) {
+    const url = `${this.apiBaseUrl}/api/llm`;
+
+    this.logger.info(
+      {
+        taskType: "golden_resume_recap",
+        sessionId: context.sessionId,
+        capturedFields: Object.keys(context.capturedFields || {}).length,
+      },
+      "golden-interviewer.resume_recap.request"
+    );
+
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${authToken}`,
+        ...internalCallHeaders(),
+      },
+      body: JSON.stringify({
+        taskType: "golden_resume_recap",
+        context,
+      }),
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => "Unknown error");
+      this.logger.error(
+        {
+          status: response.status,
+          statusText: response.statusText,
+          error: errorText,
+          sessionId: context.sessionId,
+        },
+        "golden-interviewer.resume_recap.http_error"
+      );
+      // Don't throw - the caller falls back to a recap built from the schema
+      return null;
+    }
+
+    const data = await response.json();
+
+    this.logger.info(
+      {
+        sessionId: context.sessionId,
+        hasRecap: Boolean(data.result?.recap),
+        hasError: !!data.result?.error,
+      },
+      "golden-interviewer.resume_recap.response"
+    );
+
+    return data.result?.recap || null;
+  }
+
+  /**
+   * Load the company fields the interviewer prompt uses, plus the company's
+   * role archetype overrides (built-in rules otherwise). Failures are logged
+   * and leave the value null.
+   * @param {string} sessionId - For logging
+   * @param {string|null} companyId
+   * @returns {Promise<{companyData: object|null, roleRules: object|null}>}
+   */
+  async loadCompanyPromptContext(sessionId, companyId) {
+    let companyData = null;
+
+    if (companyId) {
+      try {
+        const company = await getCompanyById(this.firestore, companyId);
+        if (company) {
+          // Extract only the fields needed for the prompt
+          companyData = {
+            name: company.name,
+            industry: company.industry,
+            description: company.longDescription || company.description,
+            employeeCountBucket: company.employeeCountBucket,
+            toneOfVoice: company.toneOfVoice,
+            companyType: company.companyType,
+            tagline: company.tagline,
+            hqCountry: company.hqCountry,
+            hqCity: company.hqCity,
+            intelSummary: company.intelSummary,
+          };
+        }
+      } catch (error) {
+        this.logger.warn(
+          { sessionId, companyId, err: error },
+          "golden-interviewer.turn.company_fetch_error"
+        );
+      }
+    }
+
+    // Company archetypes and field relevance overrides (built-in rules otherwise)
+    let roleRules = null;
+    if (companyId) {
+      try {
+        roleRules = await loadCompanyRoleRules(this.firestore, companyId);
+      } catch (error) {
+        this.logger.warn(
+          { sessionId, companyId, err: error },
+          "golden-interviewer.turn.role_rules_fetch_error"
+        );
+      }
+    }
+
+    return { companyData, roleRules };
+  }
+
   /**
    * Check if a UI tool type is inherently a free-text input (always allows custom input)
    * These tools don't need explicit allowCustomInput flag - they're always text-based
@@ -348,6 +587,7 @@ export class GoldenInterviewerService {
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${authToken}`,
+          ...internalCallHeaders(),
         },
         body: JSON.stringify({
           taskType: "company_intel",
@@ -381,15 +621,28 @@ export class GoldenInterviewerService {
    * @param {string} options.authToken - Bearer token for LLM API calls
    * @param {string} [options.companyId] - Optional company ID to pre-load context
    * @param {string} [options.companyName] - Optional company name fallback
-   * @returns {Promise<{sessionId: string, response: object}>}
+   * @param {string} [options.perspective] - Who is answering (RespondentPerspectiveEnum)
+   * @param {object} [options.linkedSession] - Session for the same role to group this one with;
+   *   its company and role basics are carried over so the interview skips them
+   * @param {object} [options.respondent] - Who is answering when it is not the
+   *   session owner (guest invites); skips the owner's profile lookup
+   * @param {string} [options.inviteId] - Guest invite the session is started from
+   * @returns {Promise<{sessionId: string, groupId: string|null, response: object}>}
    */
   async startSession({
     userId,
     authToken,
     companyId = null,
     companyName = null,
+    perspective = "hiring_manager",
+    linkedSession = null,
+    respondent = null,
+    inviteId = null,
   }) {
     const sessionId = nanoid(12);
+    if (linkedSession && !companyId) {
+      companyId = linkedSession.companyId ?? null;
+    }
 
     // =========================================================================
     // STEP 1: Fetch company data if companyId is provided (via repository)
@@ -495,10 +748,13 @@ export class GoldenInterviewerService {
     // =========================================================================
     // STEP 1.5: Fetch user data for personalization
     // =========================================================================
-    let userData = null;
+    let userData = respondent
+      ? { name: respondent.name || null, timezone: null }
+      : null;
 
     try {
-      const userDoc = await getUserById(this.firestore, userId);
+      // A guest is not the owner; greet them with their own name, if any
+      const userDoc = respondent ? null : await getUserById(this.firestore, userId);
 
       if (userDoc?.profile) {
         userData = {
@@ -522,12 +778,48 @@ export class GoldenInterviewerService {
     // STEP 2: Create Golden Record with companyId reference (not full company data)
     // =========================================================================
     const resolvedCompanyName = companyData?.name || companyName || null;
-    const goldenSchema = createInitialGoldenRecord(
+    let goldenSchema = createInitialGoldenRecord(
       sessionId,
       companyId,
       resolvedCompanyName,
-      userData
+      { ...userData, perspective }
     );
+    if (linkedSession) {
+      const linkedOverview = linkedSession.goldenSchema?.role_overview ?? {};
+      Object.entries(linkedOverview).forEach(([field, value]) => {
+        if (value !== null && value !== undefined) {
+          goldenSchema.role_overview[field] = value;
+        }
+      });
+    }
+
+    // Company-wide fields (benefits, perks, company health) come prefilled from
+    // the company golden profile; the interviewer only asks to confirm them
+    let inheritedFields = {};
+    if (companyId) {
+      try {
+        const profile = await loadCompanyGoldenProfile({
+          firestore: this.firestore,
+          companyId,
+          userId,
+          company: companyData?.id ? companyData : null,
+        });
+        const defaults = buildInheritedDefaults(goldenSchema, profile);
+        goldenSchema = this.applySchemaUpdates(goldenSchema, defaults.updates);
+        inheritedFields = defaults.inheritedFields;
+
+        this.logger.info(
+          { sessionId, companyId, inheritedCount: Object.keys(inheritedFields).length },
+          "golden-interviewer.session.company_defaults_applied"
+        );
+      } catch (error) {
+        this.logger.warn(
+          { sessionId, companyId, err: error },
+          "golden-interviewer.session.company_defaults_error"
+        );
+      }
+    }
+    const groupId = linkedSession ? linkedSession.groupId || nanoid(12) : null;
 
     // =========================================================================
     // STEP 3: Create session via repository
@@ -538,10 +830,23 @@ export class GoldenInterviewerService {
       userId,
       companyId,
       goldenSchema,
+      perspective,
+      groupId,
+      inheritedFields,
+      inviteId,
     });
 
+    if (linkedSession) {
+      await addSessionToGroup({
+        firestore: this.firestore,
+        primarySession: linkedSession,
+        sessionId,
+        groupId,
+      });
+    }
+
     this.logger.info(
-      { sessionId, userId, companyId, hasCompanyData: !!companyData },
+      { sessionId, userId, companyId, perspective, groupId, hasCompanyData: !!companyData },
       "golden-interviewer.session.created"
     );
 
@@ -618,6 +923,7 @@ export class GoldenInterviewerService {
 
     return {
       sessionId,
+      groupId,
       response: {
         message: firstTurnResponse.message,
         ui_tool: firstTurnResponse.ui_tool,
@@ -648,6 +954,7 @@ export class GoldenInterviewerService {
    * @param {object} [options.skipAction] - Explicit skip signal { isSkip, reason }
    * @param {boolean} [options.acceptRefinedValue] - If true, skip golden_refine (user already saw suggestions)
    * @param {object} [options.navigationContext] - Navigation context when editing past turns
+   * @param {object} [options.stream] - { onDelta, onReset } to receive the assistant message as it streams
    * @returns {Promise<object>}
    */
   async processTurn({
@@ -658,6 +965,7 @@ export class GoldenInterviewerService {
     skipAction,
     acceptRefinedValue = false,
     navigationContext = null,
+    stream = null,
   }) {
     // Load session via repository
     const session = await getSession(this.firestore, sessionId);
@@ -826,34 +1134,10 @@ export class GoldenInterviewerService {
     // FETCH COMPANY DATA FOR LLM CONTEXT (if companyId exists)
     // Moved up because we need it for golden_refine context
     // =========================================================================
-    let companyData = null;
-    const companyId = session.goldenSchema?.companyId;
-
-    if (companyId) {
-      try {
-        const company = await getCompanyById(this.firestore, companyId);
-        if (company) {
-          // Extract only the fields needed for the prompt
-          companyData = {
-            name: company.name,
-            industry: company.industry,
-            description: company.longDescription || company.description,
-            employeeCountBucket: company.employeeCountBucket,
-            toneOfVoice: company.toneOfVoice,
-            companyType: company.companyType,
-            tagline: company.tagline,
-            hqCountry: company.hqCountry,
-            hqCity: company.hqCity,
-            intelSummary: company.intelSummary,
-          };
-        }
-      } catch (error) {
-        this.logger.warn(
-          { sessionId, companyId, err: error },
-          "golden-interviewer.turn.company_fetch_error"
-        );
-      }
-    }
+    const { companyData, roleRules } = await this.loadCompanyPromptContext(
+      sessionId,
+      session.goldenSchema?.companyId
+    );
 
     // =========================================================================
     // SERVER-SIDE EXTRACTION: Save user response BEFORE LLM call (deterministic)
@@ -867,6 +1151,25 @@ export class GoldenInterviewerService {
       ? uiResponse
       : userMessage || null;
 
+    // Answers to a question about inherited company defaults: "still accurate"
+    // or "something changed" update the inherited status instead of the field
+    const inheritedAnswer =
+      lastAskedField && valueToSave !== null && !isSkip
+        ? applyInheritedConfirmation({ session, field: lastAskedField, value: valueToSave })
+        : { saveAnswer: true, fields: [] };
+
+    if (!inheritedAnswer.saveAnswer) {
+      this.logger.info(
+        {
+          sessionId,
+          field: lastAskedField,
+          fields: inheritedAnswer.fields,
+          status: session.metadata.inheritedFields[inheritedAnswer.fields[0]]?.status,
+        },
+        "golden-interviewer.inherited_fields.answered"
+      );
+    }
+
     // =========================================================================
     // GOLDEN REFINE: Validate free-text input before saving
     // =========================================================================
@@ -876,6 +1179,7 @@ export class GoldenInterviewerService {
     // Skip refine if acceptRefinedValue=true (user already saw suggestions and confirmed)
     const previousToolAllowCustomInput = session.metadata?.lastToolAllowCustomInput || false;
     const shouldRefine = previousToolAllowCustomInput &&
+      inheritedAnswer.saveAnswer &&
       valueToSave !== null &&
       typeof valueToSave === "string" &&
       valueToSave.trim().length > 0 &&
@@ -997,7 +1301,7 @@ export class GoldenInterviewerService {
     }
 
     // Now save the value (we've passed validation if we got here)
-    if (lastAskedField && valueToSave !== null && !isSkip) {
+    if (lastAskedField && valueToSave !== null && !isSkip && inheritedAnswer.saveAnswer) {
       // Save the user's response directly to the schema path
       const serverExtraction = { [lastAskedField]: valueToSave };
 
@@ -1039,6 +1343,16 @@ export class GoldenInterviewerService {
         turnNumber: session.turnCount,
         field: lastAskedField,
         value: valueToSave,
+        source: uiResponse !== undefined && uiResponse !== null ? "uiResponse" : "userMessage",
+      }).catch(() => {});
+    } else if (!inheritedAnswer.saveAnswer) {
+      // Confirmed (or flagged as changed) an inherited company default
+      logUserResponse({
+        sessionId,
+        turnNumber: session.turnCount,
+        field: lastAskedField,
+        value: valueToSave,
+        source: uiResponse !== undefined && uiResponse !== null ? "uiResponse" : "userMessage",
       }).catch(() => {});
     } else if (isSkip && skippedField) {
       // Log skip action for audit (non-blocking)
@@ -1065,7 +1379,10 @@ export class GoldenInterviewerService {
     const ENABLE_SAVER_AGENT = false;
 
     // Detect role archetype for context-aware extraction
-    const roleArchetype = detectRoleArchetypeFromSchema(session.goldenSchema || {});
+    const roleArchetype = detectRoleArchetypeFromSchema(
+      session.goldenSchema || {},
+      mergeRoleRules(roleRules)
+    );
 
     let saverResult = { updates: {}, reasoning: null };
 
@@ -1173,8 +1490,13 @@ export class GoldenInterviewerService {
       turnNumber: session.turnCount + 1,
       isFirstTurn: false,
       sessionId,
-      // Pass the field that was asked in the PREVIOUS turn (for extraction reminder)
-      lastAskedField: session.metadata?.lastAskedField || null,
+      // Pass the field that was asked in the PREVIOUS turn (for extraction reminder);
+      // confirmations of inherited defaults save nothing, so there is no reminder
+      lastAskedField: inheritedAnswer.saveAnswer ? session.metadata?.lastAskedField || null : null,
+      // Company defaults still to confirm (or re-ask after the respondent said they changed)
+      inheritedFields: getOpenInheritedFields(session),
+      // Company role archetype overrides, merged over the built-ins in the prompt
+      roleRules,
       // Pass friction state to LLM
       frictionState: {
         isSkip,
@@ -1193,7 +1515,7 @@ export class GoldenInterviewerService {
 
     let llmResponse;
     try {
-      llmResponse = await this.callLlmApi({ authToken, context: llmContext });
+      llmResponse = await this.callLlmApi({ authToken, context: llmContext, stream });
       console.log(
         "[Backend] RAW LLM Response:",
         JSON.stringify(llmResponse, null, 2)
@@ -1432,6 +1754,7 @@ export class GoldenInterviewerService {
       sessionId,
       turnNumber: session.turnCount,
       llmResponse: parsed,
+      roleArchetype,
     }).catch(() => {});
 
     // Auto-complete session if interview is done
@@ -1754,6 +2077,218 @@ export class GoldenInterviewerService {
     return extractConversationHistory(session);
   }
 
+  // ===========================================================================
+  // RESUME METHODS
+  // ===========================================================================
+
+  /**
+   * The user's unfinished interviews, most recently active first
+   * @param {string} userId
+   * @returns {Promise<object[]>}
+   */
+  async listUnfinishedSessions(userId) {
+    const sessions = await listActiveSessionsForUser(this.firestore, userId);
+    return sessions.map((session) => ({
+      sessionId: session.sessionId,
+      roleTitle: session.goldenSchema?.role_overview?.job_title || null,
+      perspective: session.perspective ?? "hiring_manager",
+      groupId: session.groupId ?? null,
+      turnCount: session.turnCount,
+      completionPercentage: getCompletionPercentage(session),
+      currentPhase: session.metadata?.currentPhase || "opening",
+      lastActivityAt: session.updatedAt,
+      createdAt: session.createdAt,
+    }));
+  }
+
+  /**
+   * Pick an unfinished interview back up: recap what has been captured,
+   * re-derive the next priority fields from the schema and ask a re-entry
+   * question. The re-entry turn is added to the history like any other turn.
+   * @param {object} options
+   * @param {string} options.sessionId
+   * @param {string} options.authToken - Bearer token for LLM API calls
+   * @returns {Promise<object>} Turn response plus `recap`
+   */
+  async resumeSession({ sessionId, authToken }) {
+    const session = await getSession(this.firestore, sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    if (session.status !== "active") {
+      throw new Error(`Session is not active: ${session.status}`);
+    }
+
+    if (session.inviteId) {
+      throw new Error(`Session belongs to guest invite: ${session.inviteId}`);
+    }
+
+    // Resuming always continues from the latest turn
+    this.clearNavigationIfNeeded(session);
+
+    const goldenSchema = session.goldenSchema || {};
+    const { companyData, roleRules } = await this.loadCompanyPromptContext(
+      sessionId,
+      goldenSchema.companyId
+    );
+    const nextPriorityFields = identifyMissingFields(
+      goldenSchema,
+      null,
+      mergeRoleRules(roleRules)
+    ).missing.slice(0, RESUME_PRIORITY_FIELD_COUNT);
+    const completionPercentage = getCompletionPercentage(session);
+    const lastQuestion = [...session.conversationHistory]
+      .reverse()
+      .find((msg) => msg.role === "assistant");
+
+    let recap = null;
+    try {
+      recap = await this.callResumeRecapApi({
+        authToken,
+        context: {
+          sessionId,
+          roleTitle: goldenSchema.role_overview?.job_title || null,
+          companyName: companyData?.name || goldenSchema.role_overview?.company_name || null,
+          perspective: session.perspective ?? "hiring_manager",
+          completionPercentage,
+          capturedFields: this.getFilledFields(goldenSchema),
+          nextPriorityFields,
+          lastQuestion: lastQuestion?.content || null,
+        },
+      });
+    } catch (error) {
+      this.logger.warn(
+        { sessionId, err: error },
+        "golden-interviewer.resume_recap.llm_api_error"
+      );
+    }
+    recap = recap || buildFallbackRecap({ goldenSchema, completionPercentage, nextPriorityFields });
+
+    const llmContext = {
+      currentSchema: goldenSchema,
+      companyData,
+      conversationHistory: session.conversationHistory,
+      turnNumber: session.turnCount + 1,
+      isFirstTurn: false,
+      sessionId,
+      lastAskedField: null,
+      inheritedFields: getOpenInheritedFields(session),
+      roleRules,
+      resume: { recap, nextPriorityFields },
+    };
+
+    let llmResponse = null;
+    try {
+      llmResponse = await this.callLlmApi({ authToken, context: llmContext });
+    } catch (error) {
+      this.logger.error(
+        { sessionId, err: error },
+        "golden-interviewer.resume.llm_api_error"
+      );
+    }
+
+    if (!llmResponse || llmResponse.error) {
+      if (llmResponse?.error) {
+        this.logger.error(
+          { sessionId, error: llmResponse.error },
+          "golden-interviewer.resume.llm_error"
+        );
+      }
+      // Re-show the question the user left on; nothing is added to the history
+      const maxIndex = getMaxTurnIndex(session);
+      await saveSession({ firestore: this.firestore, sessionId, session });
+      return {
+        recap,
+        message: "Welcome back! Let's pick up where we left off.",
+        ui_tool: lastQuestion?.uiTool || {
+          type: "smart_textarea",
+          props: {
+            title: "Tell me more",
+            prompts: ["What else would you like to share about this role?"],
+          },
+        },
+        currently_asking_field: lastQuestion?.currentlyAskingField || null,
+        completion_percentage: completionPercentage,
+        interview_phase: session.metadata?.currentPhase || "opening",
+        next_priority_fields: nextPriorityFields,
+        navigation: {
+          currentIndex: maxIndex,
+          maxIndex,
+          canGoBack: maxIndex > 0,
+          canGoForward: false,
+          isEditing: false,
+        },
+      };
+    }
+
+    let uiTool = llmResponse.uiTool;
+    const currentlyAskingField = llmResponse.currentlyAskingField || null;
+    if (uiTool) {
+      uiTool = expandTemplateRef(uiTool);
+      uiTool = this.normalizeUIToolProps(uiTool, sessionId);
+      uiTool = enhanceUITool(uiTool, currentlyAskingField);
+    }
+    const interviewPhase = llmResponse.interviewPhase || session.metadata?.currentPhase || "opening";
+
+    session.conversationHistory.push(
+      buildAssistantMessage({
+        content: llmResponse.message,
+        uiTool,
+        currentlyAskingField,
+        snapshot: buildSnapshot({
+          goldenSchema,
+          completionPercentage,
+          currentPhase: interviewPhase,
+        }),
+      })
+    );
+    session.turnCount += 1;
+    session.updatedAt = new Date();
+    session.metadata = {
+      ...session.metadata,
+      completionPercentage,
+      currentPhase: interviewPhase,
+      lastToolUsed: uiTool?.type,
+      lastToolAllowCustomInput: this.getAllowCustomInput(uiTool),
+      lastAskedField: currentlyAskingField,
+      lastAskedCategory: currentlyAskingField
+        ? this.extractCategoryFromField(currentlyAskingField)
+        : null,
+      resumedAt: session.updatedAt,
+    };
+
+    await saveSession({ firestore: this.firestore, sessionId, session });
+
+    this.logger.info(
+      {
+        sessionId,
+        turnCount: session.turnCount,
+        completion: completionPercentage,
+        nextPriorityFields,
+      },
+      "golden-interviewer.session.resumed"
+    );
+
+    const maxIndex = getMaxTurnIndex(session);
+    return {
+      recap,
+      message: llmResponse.message,
+      ui_tool: uiTool,
+      currently_asking_field: currentlyAskingField,
+      completion_percentage: completionPercentage,
+      interview_phase: interviewPhase,
+      next_priority_fields: nextPriorityFields,
+      navigation: {
+        currentIndex: maxIndex,
+        maxIndex,
+        canGoBack: maxIndex > 0,
+        canGoForward: false,
+        isEditing: false,
+      },
+    };
+  }
+
   // ===========================================================================
   // NAVIGATION METHODS
   // ===========================================================================
@@ -2059,15 +2594,7 @@ export class GoldenInterviewerService {
    * Sensitive fields that commonly trigger privacy concerns
    * @type {string[]}
    */
-  static SENSITIVE_FIELDS = [
-    "financial_reality.base_compensation",
-    "financial_reality.equity",
-    "financial_reality.variable_compensation",
-    "financial_reality.bonuses",
-    "stability_signals.company_health.revenue_trend",
-    "stability_signals.company_health.funding_status",
-    "humans_and_culture.turnover_context",
-  ];
+  static SENSITIVE_FIELDS = SENSITIVE_FIELDS;
 
   /**
    * Determine the friction handling strategy based on current metrics
@@ -2126,10 +2653,7 @@ export class GoldenInterviewerService {
    * @returns {boolean}
    */
   isSensitiveField(fieldPath) {
-    if (!fieldPath) return false;
-    return GoldenInterviewerService.SENSITIVE_FIELDS.some((sensitive) =>
-      fieldPath.startsWith(sensitive)
-    );
+    return isSensitiveField(fieldPath);
   }
 
   // ===========================================================================
@@ -0,0 +1,352 @@
+/**
+ * Stakeholder Merge
+ *
+ * Merges several golden interview sessions about the same role (hiring
+ * manager, recruiter, current employees) into one golden record.
+ *
+ * Every answered field is compared across sessions:
+ * - "single"   - only one respondent answered it
+ * - "agreed"   - every respondent who answered gave the same value
+ * - "conflict" - respondents disagree; the owner picks one value or blends them
+ *
+ * Resolutions are stored on the group as `{ [fieldPath]: { sessionId } }`
+ * (pick that respondent's value) or `{ [fieldPath]: { value } }` (blend).
+ */
+
+import { httpError } from "@wizard/utils";
+import { compactGoldenSchema } from "../services/golden-context.js";
+import {
+  getGroupForUser,
+  getGroupSessions,
+  replaceGroup,
+  saveGroup,
+  saveSession,
+} from "../services/repositories/golden-interviewer-repository.js";
+import { createDraftFromGoldenSession } from "../services/wizard/index.js";
+
+// =============================================================================
+// FIELD COMPARISON
+// =============================================================================
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Flatten answered fields to dot paths. Arrays are leaf values.
+ * @param {object|null} goldenSchema
+ * @returns {Map<string, *>}
+ */
+function flattenAnswers(goldenSchema) {
+  const answers = new Map();
+  const walk = (value, prefix) => {
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, child]) =>
+        walk(child, prefix ? `${prefix}.${key}` : key)
+      );
+      return;
+    }
+    answers.set(prefix, value);
+  };
+  walk(compactGoldenSchema(goldenSchema) ?? {}, "");
+  return answers;
+}
+
+// Case, whitespace and list order should not turn the same answer into a conflict
+function comparableValue(value) {
+  if (typeof value === "string") {
+    return value.trim().replace(/\s+/g, " ").toLowerCase();
+  }
+  if (Array.isArray(value)) {
+    return value.map(comparableValue).map((item) => JSON.stringify(item)).sort();
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, comparableValue(value[key])])
+    );
+  }
+  return value;
+}
+
+function valuesAgree(values) {
+  const [first, ...rest] = values.map((value) => JSON.stringify(comparableValue(value)));
+  return rest.every((value) => value === first);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split(".");
+  let cursor = target;
+  keys.slice(0, -1).forEach((key) => {
+    if (!isPlainObject(cursor[key])) {
+      cursor[key] = {};
+    }
+    cursor = cursor[key];
+  });
+  cursor[keys[keys.length - 1]] = value;
+}
+
+// =============================================================================
+// MERGE
+// =============================================================================
+
+/**
+ * Compare every answered field across the group's sessions.
+ * @param {object} params
+ * @param {object[]} params.sessions - Group sessions, primary first
+ * @param {object} [params.resolutions] - Stored resolutions by field path
+ * @returns {{ fields: object[], summary: object }}
+ */
+export function buildStakeholderMerge({ sessions, resolutions = {} }) {
+  const answersBySession = sessions.map((session) => ({
+    session,
+    // A completed group's primary session carries the merged record; compare
+    // what the respondent actually said
+    answers: flattenAnswers(session.individualGoldenSchema ?? session.goldenSchema),
+  }));
+  const paths = [];
+  answersBySession.forEach(({ answers }) =>
+    answers.forEach((_, path) => {
+      if (!paths.includes(path)) paths.push(path);
+    })
+  );
+
+  const fields = paths.map((path) => {
+    const responses = answersBySession
+      .filter(({ answers }) => answers.has(path))
+      .map(({ session, answers }) => ({
+        sessionId: session.sessionId,
+        perspective: session.perspective ?? "hiring_manager",
+        value: answers.get(path),
+      }));
+    const values = responses.map((response) => response.value);
+    let status = "conflict";
+    if (responses.length === 1) {
+      status = "single";
+    } else if (valuesAgree(values)) {
+      status = "agreed";
+    }
+
+    const resolution = resolutions[path] ?? null;
+    let value = status === "conflict" ? null : values[0];
+    if (resolution?.sessionId) {
+      value =
+        responses.find((response) => response.sessionId === resolution.sessionId)?.value ??
+        value;
+    } else if (resolution && "value" in resolution) {
+      value = resolution.value;
+    }
+
+    return {
+      path,
+      status,
+      responses,
+      resolution,
+      resolved: status !== "conflict" || Boolean(resolution),
+      value,
+    };
+  });
+
+  return {
+    fields,
+    summary: {
+      respondents: sessions.length,
+      fields: fields.length,
+      agreed: fields.filter((field) => field.status === "agreed").length,
+      conflicts: fields.filter((field) => field.status === "conflict").length,
+      unresolved: fields.filter((field) => !field.resolved).length,
+    },
+  };
+}
+
+/**
+ * Build the merged golden schema: the primary session's record with every
+ * merged field value applied.
+ * @param {object} primarySession
+ * @param {{ fields: object[] }} merge
+ * @returns {object}
+ */
+export function buildMergedGoldenSchema(primarySession, merge) {
+  const mergedSchema = JSON.parse(JSON.stringify(primarySession.goldenSchema ?? {}));
+  merge.fields
+    .filter((field) => field.resolved)
+    .forEach((field) => setPath(mergedSchema, field.path, field.value));
+  mergedSchema.updatedAt = new Date().toISOString();
+  return mergedSchema;
+}
+
+// =============================================================================
+// GROUP OPERATIONS
+// =============================================================================
+
+function toGroupResponse(group, sessions, merge) {
+  return {
+    groupId: group.groupId,
+    status: group.status,
+    companyId: group.companyId ?? null,
+    jobId: group.jobId ?? null,
+    sessions: sessions.map((session) => ({
+      sessionId: session.sessionId,
+      perspective: session.perspective ?? "hiring_manager",
+      status: session.status,
+      completionPercentage: session.metadata?.completionPercentage ?? 0,
+      respondentName: session.goldenSchema?.user_context?.name ?? null,
+    })),
+    merge,
+    mergedSchema: group.mergedSchema ?? null,
+  };
+}
+
+async function loadGroupState({ firestore, groupId, userId }) {
+  const group = await getGroupForUser({ firestore, groupId, userId });
+  const sessions = await getGroupSessions(firestore, group);
+  const merge = buildStakeholderMerge({ sessions, resolutions: group.resolutions ?? {} });
+  return { group, sessions, merge };
+}
+
+/**
+ * Load a group with its per-field agreement/conflict view.
+ */
+export async function getGroupMerge({ firestore, groupId, userId }) {
+  const { group, sessions, merge } = await loadGroupState({ firestore, groupId, userId });
+  return toGroupResponse(group, sessions, merge);
+}
+
+/**
+ * Store pick/blend resolutions. A `null` resolution clears the field's choice.
+ * @param {object} params
+ * @param {object} params.resolutions - `{ [fieldPath]: { sessionId } | { value } | null }`
+ */
+export async function saveGroupResolutions({ firestore, groupId, userId, resolutions }) {
+  const { group, sessions, merge } = await loadGroupState({ firestore, groupId, userId });
+  if (group.status === "completed") {
+    throw httpError(409, "Interview group is already completed");
+  }
+
+  const fieldsByPath = new Map(merge.fields.map((field) => [field.path, field]));
+  const changes = Object.entries(resolutions).map(([path, resolution]) => {
+    const field = fieldsByPath.get(path);
+    if (!field) {
+      throw httpError(400, `No respondent answered ${path}`);
+    }
+    if (resolution === null) {
+      return [path, null];
+    }
+    if (
+      resolution.sessionId &&
+      !field.responses.some((response) => response.sessionId === resolution.sessionId)
+    ) {
+      throw httpError(400, `Session ${resolution.sessionId} did not answer ${path}`);
+    }
+    return [
+      path,
+      resolution.sessionId ? { sessionId: resolution.sessionId } : { value: resolution.value },
+    ];
+  });
+
+  // Whole-document write so cleared paths are removed from the stored map
+  const saved = await replaceGroup({
+    firestore,
+    groupId: group.groupId,
+    update: (current) => {
+      if (current.status === "completed") {
+        throw httpError(409, "Interview group is already completed");
+      }
+      const nextResolutions = { ...(current.resolutions ?? {}) };
+      changes.forEach(([path, resolution]) => {
+        if (resolution === null) {
+          delete nextResolutions[path];
+        } else {
+          nextResolutions[path] = resolution;
+        }
+      });
+      return { ...current, resolutions: nextResolutions, updatedAt: new Date() };
+    },
+  });
+
+  return toGroupResponse(
+    saved,
+    sessions,
+    buildStakeholderMerge({ sessions, resolutions: saved.resolutions })
+  );
+}
+
+/**
+ * Complete a group: every conflict must be resolved. Stores the merged golden
+ * record on the group and the primary session, and optionally creates a
+ * wizard job draft from it.
+ */
+export async function completeGroup({
+  firestore,
+  logger,
+  eventBus = null,
+  groupId,
+  userId,
+  createJobDraft = false,
+}) {
+  const { group, sessions, merge } = await loadGroupState({ firestore, groupId, userId });
+  const unresolved = merge.fields.filter((field) => !field.resolved);
+  if (unresolved.length > 0) {
+    throw httpError(409, "Resolve conflicting answers before completing", {
+      unresolved: unresolved.map((field) => field.path),
+    });
+  }
+
+  const [primarySession] = sessions;
+  if (!primarySession) {
+    throw httpError(409, "Interview group has no sessions");
+  }
+
+  const mergedSchema = buildMergedGoldenSchema(primarySession, merge);
+  const now = new Date();
+  if (group.status !== "completed") {
+    // The primary session carries the merged record, so downstream readers
+    // (job drafts, golden context) see one golden record for the role
+    primarySession.individualGoldenSchema =
+      primarySession.individualGoldenSchema ?? primarySession.goldenSchema;
+    primarySession.goldenSchema = mergedSchema;
+    primarySession.status = "completed";
+    primarySession.updatedAt = now;
+    await saveSession({
+      firestore,
+      sessionId: primarySession.sessionId,
+      session: primarySession,
+    });
+
+    group.status = "completed";
+    group.mergedSchema = mergedSchema;
+    group.completedAt = now;
+    group.updatedAt = now;
+  }
+
+  const jobDraft = createJobDraft
+    ? await createDraftFromGoldenSession({
+        firestore,
+        logger,
+        eventBus,
+        userId,
+        session: primarySession,
+      })
+    : null;
+  if (jobDraft) {
+    group.jobId = jobDraft.jobId;
+  }
+  await saveGroup({ firestore, group });
+
+  logger.info(
+    {
+      groupId,
+      sessions: sessions.length,
+      agreed: merge.summary.agreed,
+      conflicts: merge.summary.conflicts,
+      jobId: jobDraft?.jobId ?? null,
+    },
+    "golden-interview.group.completed"
+  );
+
+  return {
+    ...toGroupResponse(group, sessions, merge),
+    ...(jobDraft ? { jobDraft } : {}),
+  };
+}
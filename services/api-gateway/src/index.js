@@ -1,7 +1,9 @@
 import { createApp } from "./server.js";
 import { loadEnv, createLogger } from "@wizard/utils";
 import { createFirestoreAdapter, createBigQueryAdapter } from "@wizard/data";
+import { createEventBusFromEnv } from "@wizard/events";
 import { llmClient } from "./llm-client.js";
+import { createVideoPublishPoller } from "./video/publish-poller.js";
 
 async function main() {
   const env = loadEnv();
@@ -9,7 +11,11 @@ async function main() {
   const firestore = createFirestoreAdapter();
   const bigQuery = createBigQueryAdapter();
 
-  const app = createApp({ logger, firestore, bigQuery, llmClient });
+  const eventBus = createEventBusFromEnv({ source: "api-gateway", logger });
+
+  const app = createApp({ logger, firestore, bigQuery, llmClient, eventBus });
+  eventBus.start();
+  createVideoPublishPoller({ firestore, bigQuery, logger }).start();
   const port = Number(env.PORT ?? 4000);
 
   app.listen(port, () => {
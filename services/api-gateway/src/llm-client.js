@@ -3,13 +3,20 @@ import { llmLogger } from "./llm/logger.js";
 import { OpenAIAdapter } from "./llm/providers/openai-adapter.js";
 import { GeminiAdapter } from "./llm/providers/gemini-adapter.js";
 import { AnthropicAdapter } from "./llm/providers/anthropic-adapter.js";
+import { OpenAICompatibleAdapter } from "./llm/providers/openai-compatible-adapter.js";
 import { ProviderSelectionPolicy } from "./llm/providers/selection-policy.js";
+import { ProviderCircuitBreaker } from "./llm/providers/circuit-breaker.js";
+import {
+  ReplayAdapter,
+  LlmFixtureStore,
+  DEFAULT_LLM_FIXTURES_DIR,
+} from "./llm/providers/replay-adapter.js";
 import { LlmOrchestrator } from "./llm/orchestrator.js";
 import { TASK_REGISTRY } from "./llm/tasks.js";
 import { DalleImageAdapter } from "./llm/providers/dalle-image-adapter.js";
 import { ImagenImageAdapter } from "./llm/providers/imagen-image-adapter.js";
 import { StableDiffusionAdapter } from "./llm/providers/stable-diffusion-adapter.js";
-import { LLM_TASK_CONFIG } from "./config/llm-config.js";
+import { LLM_TASK_CONFIG, LOCAL_LLM_MODELS } from "./config/llm-config.js";
 import { LLM_CORE_TASK } from "./config/task-types.js";
 
 loadEnv();
@@ -58,6 +65,13 @@ const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY ?? null;
 const ANTHROPIC_API_URL =
   process.env.ANTHROPIC_API_URL ?? "https://api.anthropic.com/v1/messages";
 
+// Self-hosted OpenAI-compatible server (vLLM, llama.cpp server, Ollama)
+// Adapter is registered as provider "local" if LOCAL_LLM_API_URL is set, e.g.
+// http://localhost:8000/v1. LOCAL_LLM_API_KEY is only needed if the server checks one.
+// Model capabilities live in llm-config.js (LOCAL_LLM_MODELS)
+const LOCAL_LLM_API_URL = process.env.LOCAL_LLM_API_URL?.trim() || null;
+const LOCAL_LLM_API_KEY = process.env.LOCAL_LLM_API_KEY?.trim() || null;
+
 // DALL-E uses OpenAI API key if not separately configured
 const DALL_E_API_KEY =
   process.env.DALL_E_API_KEY || (OPENAI_LLM_ENABLED ? OPENAI_API_KEY : null);
@@ -68,40 +82,90 @@ const STABILITY_API_KEY =
   process.env.STABLE_DIFFUSION_API_KEY ??
   null;
 
+// Offline/deterministic mode (see llm/providers/replay-adapter.js):
+// LLM_REPLAY_MODE=replay serves recorded fixtures, =record captures new ones.
+const LLM_REPLAY_MODE = process.env.LLM_REPLAY_MODE?.trim() || null;
+const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR ?? DEFAULT_LLM_FIXTURES_DIR;
+
 const providerSelectionConfig = LLM_TASK_CONFIG;
 
-// Build adapters object, conditionally including OpenAI when enabled
-const adapters = {
-  gemini: new GeminiAdapter({
-    apiKey: GEMINI_API_KEY,
-    apiUrl: GEMINI_API_URL,
-  }),
-  imagen: new ImagenImageAdapter({
-    apiKey: IMAGEN_API_KEY,
-  }),
-  stable_diffusion: new StableDiffusionAdapter({
-    apiKey: STABILITY_API_KEY,
-  }),
-};
+// Build adapters object, conditionally including OpenAI when enabled.
+// Exported for the prompt eval CLI, which calls providers outside the orchestrator.
+export function createLiveAdapters() {
+  const adapters = {
+    gemini: new GeminiAdapter({
+      apiKey: GEMINI_API_KEY,
+      apiUrl: GEMINI_API_URL,
+    }),
+    imagen: new ImagenImageAdapter({
+      apiKey: IMAGEN_API_KEY,
+    }),
+    stable_diffusion: new StableDiffusionAdapter({
+      apiKey: STABILITY_API_KEY,
+    }),
+  };
+
+  // Only register OpenAI adapters when explicitly enabled
+  if (OPENAI_LLM_ENABLED) {
+    adapters.openai = new OpenAIAdapter({
+      apiKey: OPENAI_API_KEY,
+      apiUrl: OPENAI_API_URL,
+    });
+    adapters["dall-e"] = new DalleImageAdapter({
+      apiKey: DALL_E_API_KEY,
+    });
+  }
 
-// Only register OpenAI adapters when explicitly enabled
-if (OPENAI_LLM_ENABLED) {
-  adapters.openai = new OpenAIAdapter({
-    apiKey: OPENAI_API_KEY,
-    apiUrl: OPENAI_API_URL,
-  });
-  adapters["dall-e"] = new DalleImageAdapter({
-    apiKey: DALL_E_API_KEY,
-  });
+  // Register Anthropic Claude adapter if API key is configured
+  if (ANTHROPIC_API_KEY && ANTHROPIC_API_KEY.trim() !== "") {
+    adapters.anthropic = new AnthropicAdapter({
+      apiKey: ANTHROPIC_API_KEY,
+      apiUrl: ANTHROPIC_API_URL,
+    });
+    llmLogger.info("Anthropic Claude adapter registered (ANTHROPIC_API_KEY found)");
+  }
+
+  if (LOCAL_LLM_API_URL) {
+    adapters.local = new OpenAICompatibleAdapter({
+      baseUrl: LOCAL_LLM_API_URL,
+      apiKey: LOCAL_LLM_API_KEY,
+      models: LOCAL_LLM_MODELS,
+    });
+    llmLogger.info(
+      { baseUrl: LOCAL_LLM_API_URL },
+      "Local LLM adapter registered (LOCAL_LLM_API_URL found)"
+    );
+  }
+
+  return adapters;
 }
 
-// Register Anthropic Claude adapter if API key is configured
-if (ANTHROPIC_API_KEY && ANTHROPIC_API_KEY.trim() !== "") {
-  adapters.anthropic = new AnthropicAdapter({
-    apiKey: ANTHROPIC_API_KEY,
-    apiUrl: ANTHROPIC_API_URL,
+// Pure replay never touches a live provider, so it needs no credentials
+const adapters = LLM_REPLAY_MODE === "replay" ? {} : createLiveAdapters();
+
+// Wrap every provider the LLM tasks can select, including ones without a
+// live adapter, so task config and fallback chains stay as configured.
+if (LLM_REPLAY_MODE) {
+  const fixtureStore = new LlmFixtureStore({ dir: LLM_FIXTURES_DIR });
+  const providers = new Set(Object.keys(adapters));
+  Object.keys(TASK_REGISTRY).forEach((task) => {
+    const taskConfig = providerSelectionConfig[task];
+    [taskConfig, ...(taskConfig?.fallbacks ?? [])].forEach((entry) => {
+      if (entry?.provider) providers.add(entry.provider);
+    });
+  });
+  providers.forEach((provider) => {
+    adapters[provider] = new ReplayAdapter({
+      provider,
+      mode: LLM_REPLAY_MODE,
+      store: fixtureStore,
+      delegate: adapters[provider] ?? null,
+    });
   });
-  llmLogger.info("Anthropic Claude adapter registered (ANTHROPIC_API_KEY found)");
+  llmLogger.info(
+    { mode: LLM_REPLAY_MODE, fixturesDir: LLM_FIXTURES_DIR, providers: [...providers] },
+    "LLM replay adapter registered"
+  );
 }
 
 const selectionPolicy = new ProviderSelectionPolicy(providerSelectionConfig);
@@ -109,6 +173,7 @@ const orchestrator = new LlmOrchestrator({
   adapters,
   policy: selectionPolicy,
   tasks: TASK_REGISTRY,
+  circuitBreaker: new ProviderCircuitBreaker(),
 });
 
 async function askSuggestions(context) {
@@ -279,8 +344,7 @@ async function runCopilotAgent(context) {
       model: result.model,
       metadata: result.metadata ?? null,
       type: result.type,
-      tool: result.tool,
-      input: result.input,
+      toolCalls: result.toolCalls ?? [],
       message: result.message,
       actions: result.actions ?? []
     };
@@ -850,6 +914,71 @@ async function askGoldenRefine(context) {
   }
 }
 
+async function askApplicationScreening(context) {
+  try {
+    const result = await orchestrator.run(
+      LLM_CORE_TASK.APPLICATION_SCREENING,
+      context
+    );
+    if (result.error) {
+      return {
+        error: {
+          ...result.error,
+          provider: result.provider,
+          model: result.model,
+        },
+      };
+    }
+    return {
+      provider: result.provider,
+      model: result.model,
+      summary: result.summary ?? null,
+      criteria: Array.isArray(result.criteria) ? result.criteria : [],
+      metadata: result.metadata ?? null,
+    };
+  } catch (error) {
+    llmLogger.warn({ err: error }, "askApplicationScreening orchestrator failure");
+    return {
+      error: {
+        reason: "exception",
+        message: error?.message ?? String(error),
+      },
+    };
+  }
+}
+
+async function askGoldenResumeRecap(context) {
+  try {
+    const result = await orchestrator.run(
+      LLM_CORE_TASK.GOLDEN_RESUME_RECAP,
+      context
+    );
+    if (result.error) {
+      return {
+        error: {
+          ...result.error,
+          provider: result.provider,
+          model: result.model,
+        },
+      };
+    }
+    return {
+      provider: result.provider,
+      model: result.model,
+      recap: result.recap ?? null,
+      metadata: result.metadata ?? null,
+    };
+  } catch (error) {
+    llmLogger.warn({ err: error }, "askGoldenResumeRecap orchestrator failure");
+    return {
+      error: {
+        reason: "exception",
+        message: error?.message ?? String(error),
+      },
+    };
+  }
+}
+
 export const llmClient = {
   askSuggestions,
   askChannelRecommendations,
@@ -869,4 +998,6 @@ export const llmClient = {
   askGoldenInterviewerTurn,
   askGoldenDbUpdate,
   askGoldenRefine,
+  askApplicationScreening,
+  askGoldenResumeRecap,
 };
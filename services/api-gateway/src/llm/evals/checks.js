@@ -0,0 +1,201 @@
+import { parseJsonContent } from "../utils/parsing.js";
+
+/**
+ * Per-task scoring for the prompt eval runner.
+ *
+ * Every check returns `{ id, score, passed, details }` with a score in [0, 1],
+ * or null when it does not apply to the case (no expected fields, no length
+ * limits...). A case's score is the mean of its applicable checks.
+ */
+
+/** Phrases no candidate-facing output should contain. Cases may add more. */
+export const DEFAULT_BANNED_PHRASES = Object.freeze([
+  "rockstar",
+  "ninja",
+  "guru",
+  "work hard, play hard",
+  "fast-paced environment",
+  "like a family",
+  "as an ai",
+  "lorem ipsum",
+]);
+
+function isFilled(value) {
+  if (value === null || value === undefined) return false;
+  if (typeof value === "string") return value.trim().length > 0;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "object") return Object.keys(value).length > 0;
+  return true;
+}
+
+/** Every string nested anywhere in a value. */
+function collectStrings(value, out = []) {
+  if (typeof value === "string") {
+    out.push(value);
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectStrings(item, out));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach((item) => collectStrings(item, out));
+  }
+  return out;
+}
+
+function assetsOf(parsed) {
+  if (Array.isArray(parsed?.assets)) return parsed.assets;
+  return parsed?.asset ? [parsed.asset] : [];
+}
+
+function planItemsOf(context) {
+  if (Array.isArray(context?.planItems)) return context.planItems;
+  return context?.planItem ? [context.planItem] : [];
+}
+
+/**
+ * Asset length limits come from the blueprint's `length` (characters) on each
+ * plan item: the title is held to `headline`, the body to `body`.
+ */
+function assetLengthTargets(parsed, context) {
+  const planItems = new Map(planItemsOf(context).map((item) => [item.planId, item]));
+  return assetsOf(parsed).flatMap((asset) => {
+    const length = planItems.get(asset.planId)?.length;
+    if (!length) return [];
+    const targets = [];
+    if (length.headline && asset.content?.title) {
+      targets.push({ label: `${asset.planId} title`, text: asset.content.title, max: length.headline });
+    }
+    if (length.body && asset.content?.body) {
+      targets.push({ label: `${asset.planId} body`, text: asset.content.body, max: length.body });
+    }
+    return targets;
+  });
+}
+
+const ASSET_EVAL_SPEC = {
+  coveredFields: (parsed) => assetsOf(parsed).map((asset) => asset.planId),
+  defaultExpectedFields: (context) => planItemsOf(context).map((item) => item.planId),
+  texts: (parsed) => collectStrings(assetsOf(parsed).map((asset) => asset.content)),
+  lengthTargets: assetLengthTargets,
+};
+
+/**
+ * What each task's parsed output covers and which of its text is
+ * candidate-facing. Tasks without a spec still get the schema check.
+ */
+export const TASK_EVAL_SPECS = {
+  suggest: {
+    coveredFields: (parsed) => (parsed.candidates ?? []).map((candidate) => candidate.fieldId),
+    defaultExpectedFields: (context) => context.visibleFieldIds ?? [],
+    texts: (parsed) => collectStrings((parsed.candidates ?? []).map((candidate) => candidate.value)),
+  },
+  refine: {
+    coveredFields: (parsed) =>
+      Object.entries(parsed.refinedJob ?? {})
+        .filter(([, value]) => isFilled(value))
+        .map(([field]) => field),
+    texts: (parsed) => collectStrings(parsed.refinedJob),
+  },
+  channels: {
+    coveredFields: (parsed) =>
+      (parsed.recommendations ?? [])
+        .filter((recommendation) => isFilled(recommendation.reason))
+        .map((recommendation) => recommendation.channel),
+    texts: (parsed) => (parsed.recommendations ?? []).map((recommendation) => recommendation.reason),
+  },
+  golden_db_update: {
+    coveredFields: (parsed) => Object.keys(parsed.updates ?? {}),
+    texts: (parsed) => collectStrings(parsed.updates),
+  },
+  asset_master: ASSET_EVAL_SPEC,
+  asset_channel_batch: ASSET_EVAL_SPEC,
+  asset_adapt: ASSET_EVAL_SPEC,
+};
+
+function checkResult(id, score, details) {
+  return { id, score, passed: score === 1, details };
+}
+
+/** The raw response must match the task's output schema and parse cleanly. */
+export function checkSchemaValidity({ task, response, parsed }) {
+  const problems = [];
+  if (task.outputSchema) {
+    const payload =
+      response?.json && typeof response.json === "object"
+        ? response.json
+        : parseJsonContent(response?.text ?? null);
+    const validation = payload ? task.outputSchema.safeParse(payload) : null;
+    if (!validation) {
+      problems.push("response is not JSON");
+    } else if (!validation.success) {
+      problems.push(
+        ...validation.error.issues
+          .slice(0, 5)
+          .map((issue) => `${issue.path.join(".") || "(root)"}: ${issue.message}`)
+      );
+    }
+  }
+  if (parsed?.error) {
+    problems.push(`parser: ${parsed.error.reason ?? parsed.error.message}`);
+  }
+  return checkResult("schema", problems.length === 0 ? 1 : 0, { problems });
+}
+
+/** Share of the expected fields the output fills. */
+export function checkFieldCoverage({ spec, parsed, context, expect }) {
+  const expected = expect?.fields ?? spec?.defaultExpectedFields?.(context) ?? [];
+  if (!spec || expected.length === 0 || parsed?.error) {
+    return null;
+  }
+  const covered = new Set(spec.coveredFields(parsed));
+  const missing = expected.filter((field) => !covered.has(field));
+  return checkResult("coverage", (expected.length - missing.length) / expected.length, {
+    expected: expected.length,
+    missing,
+  });
+}
+
+/** Candidate-facing text must not use any banned phrase. */
+export function checkBannedPhrases({ spec, parsed, expect }) {
+  if (!spec?.texts || parsed?.error) {
+    return null;
+  }
+  const phrases = [...DEFAULT_BANNED_PHRASES, ...(expect?.bannedPhrases ?? [])];
+  const text = spec.texts(parsed).join("\n").toLowerCase();
+  const found = phrases.filter((phrase) => text.includes(phrase.toLowerCase()));
+  return checkResult("banned_phrases", found.length === 0 ? 1 : 0, { found });
+}
+
+/** Share of the length-limited texts that fit their limit. */
+export function checkLengthLimits({ spec, parsed, context }) {
+  const targets = spec?.lengthTargets && !parsed?.error ? spec.lengthTargets(parsed, context) : [];
+  if (targets.length === 0) {
+    return null;
+  }
+  const overLimit = targets
+    .filter((target) => target.text.length > target.max)
+    .map((target) => ({ label: target.label, length: target.text.length, max: target.max }));
+  return checkResult("length", (targets.length - overLimit.length) / targets.length, { overLimit });
+}
+
+/**
+ * Run every applicable check for one eval case.
+ * @param {object} params
+ * @param {string} params.taskName
+ * @param {object} params.task - TASK_REGISTRY entry
+ * @param {object} params.response - Raw adapter response
+ * @param {object} params.parsed - Task parser output
+ * @param {object} params.context - The case's builder context
+ * @param {object} [params.expect] - The case's expectations (fields, bannedPhrases)
+ * @returns {{score: number, checks: Array<object>}}
+ */
+export function scoreEvalCase({ taskName, task, response, parsed, context, expect }) {
+  const spec = TASK_EVAL_SPECS[taskName] ?? null;
+  const input = { task, spec, response, parsed, context, expect };
+  const checks = [
+    checkSchemaValidity(input),
+    checkFieldCoverage(input),
+    checkBannedPhrases(input),
+    checkLengthLimits(input),
+  ].filter(Boolean);
+  const score = checks.reduce((sum, check) => sum + check.score, 0) / checks.length;
+  return { score, checks };
+}
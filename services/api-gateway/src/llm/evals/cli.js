@@ -0,0 +1,137 @@
+/**
+ * Prompt eval CLI.
+ *
+ *   npm run eval:prompts -- --task suggest [--outputs recorded|live] [--record]
+ *     [--dataset path] [--baseline version|path] [--out path]
+ *
+ * Runs fixtures/evals/<task>.json through the task's current prompt, saves the
+ * report as fixtures/evals/reports/<task>/<promptVersion>.json and prints a
+ * diff against the baseline: the given version or report file, else the most
+ * recent report of another prompt version.
+ *
+ * `--outputs recorded` (default) scores the outputs recorded for this prompt
+ * version in fixtures/evals/outputs/<task>/<promptVersion>.json; `--outputs
+ * live` calls the task's configured provider, and `--record` also saves its
+ * responses there. Exits non-zero (without writing a report) when no case has
+ * a recorded output, e.g. after a prompt version bump.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { TASK_REGISTRY } from "../tasks.js";
+import { LLM_TASK_CONFIG } from "../../config/llm-config.js";
+import { ProviderSelectionPolicy } from "../providers/selection-policy.js";
+import { runPromptEval, diffEvalReports, formatEvalDiff } from "./runner.js";
+import {
+  DEFAULT_EVALS_DIR,
+  evalOutputsFile,
+  evalReportsDir,
+  readEvalOutputs,
+  readJson,
+  resolveBaselineReport,
+  saveEvalOutput,
+  writeJson,
+} from "./store.js";
+
+async function createLiveAdapter(provider) {
+  // Only live runs need provider credentials
+  const { createLiveAdapters } = await import("../../llm-client.js");
+  const live = createLiveAdapters()[provider];
+  if (!live) {
+    throw new Error(`No live adapter is configured for provider ${provider}`);
+  }
+  return live;
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      task: { type: "string" },
+      dataset: { type: "string" },
+      outputs: { type: "string", default: "recorded" },
+      record: { type: "boolean", default: false },
+      baseline: { type: "string" },
+      out: { type: "string" },
+    },
+  });
+
+  const taskName = values.task;
+  const task = TASK_REGISTRY[taskName];
+  if (!task) {
+    console.error(`Unknown or missing --task. Known tasks: ${Object.keys(TASK_REGISTRY).join(", ")}`);
+    process.exit(1);
+  }
+
+  const datasetFile = path.resolve(values.dataset ?? path.join(DEFAULT_EVALS_DIR, `${taskName}.json`));
+  if (!fs.existsSync(datasetFile)) {
+    console.error(`Eval dataset not found: ${datasetFile}`);
+    process.exit(1);
+  }
+
+  const selection = new ProviderSelectionPolicy(LLM_TASK_CONFIG).select(taskName);
+  const outputsFile = evalOutputsFile(DEFAULT_EVALS_DIR, taskName, task.promptVersion);
+  const live = values.outputs === "live";
+
+  const report = await runPromptEval({
+    taskName,
+    task,
+    dataset: readJson(datasetFile),
+    adapter: live ? await createLiveAdapter(selection.provider) : null,
+    recorded: live ? null : readEvalOutputs(outputsFile),
+    selection,
+    outputs: values.outputs,
+    onResponse:
+      live && values.record
+        ? (caseId, response) =>
+            saveEvalOutput(outputsFile, {
+              taskName,
+              promptVersion: task.promptVersion,
+              selection,
+              caseId,
+              response,
+            })
+        : null,
+  });
+
+  const { summary } = report;
+  if (summary.cases > 0 && summary.missing === summary.cases) {
+    console.error(
+      `${taskName} ${report.promptVersion}: no recorded outputs for any of the ${summary.cases} cases ` +
+        `(${path.relative(process.cwd(), outputsFile)}). ` +
+        `Record them with: npm run eval:prompts -- --task ${taskName} --outputs live --record`
+    );
+    process.exit(1);
+  }
+
+  const reportsDir = evalReportsDir(DEFAULT_EVALS_DIR, taskName);
+  const reportFile = path.resolve(
+    values.out ?? path.join(reportsDir, `${report.promptVersion ?? "unversioned"}.json`)
+  );
+  writeJson(reportFile, report);
+
+  console.log(
+    `${taskName} ${report.promptVersion}: ${summary.scored}/${summary.cases} scored ` +
+      `(${summary.missing} missing, ${summary.failed} failed), mean score ${summary.meanScore ?? "–"}`
+  );
+  console.log(`Report written to ${reportFile}`);
+
+  const baselineFile = resolveBaselineReport({
+    baseline: values.baseline,
+    reportsDir,
+    promptVersion: report.promptVersion,
+  });
+  if (!baselineFile) {
+    console.log("No baseline report of another prompt version to diff against.");
+    return;
+  }
+  if (!fs.existsSync(baselineFile)) {
+    console.error(`Baseline report not found: ${baselineFile}`);
+    process.exit(1);
+  }
+  console.log(`\n${formatEvalDiff(diffEvalReports(readJson(baselineFile), report))}`);
+}
+
+main().catch((error) => {
+  console.error("Prompt eval failed:", error);
+  process.exit(1);
+});
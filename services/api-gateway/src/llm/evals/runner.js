@@ -0,0 +1,227 @@
+import { buildTaskPrompts } from "../orchestrator.js";
+import { hashLlmPrompt } from "../providers/replay-adapter.js";
+import { scoreEvalCase } from "./checks.js";
+
+export const EVAL_OUTPUT_MODES = Object.freeze(["recorded", "live"]);
+
+function round(value) {
+  return value === null ? null : Math.round(value * 1000) / 1000;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * Run a dataset of stored task contexts through the task's builders and
+ * parsers and score each output.
+ *
+ * Each case is a single first attempt (no strict-mode retry), built like the
+ * orchestrator does. With `outputs: "recorded"` the responses come from a
+ * recorded-outputs set (see store.js), looked up by case id,
+ * and a case without one is "missing"; with `outputs: "live"` the adapter is
+ * called and errors mark the case "failed". `onResponse` receives each live
+ * response so the caller can record it.
+ *
+ * Cases carry the prompt hash so a diff can tell which prompts changed.
+ *
+ * @param {object} params
+ * @param {string} params.taskName - TASK_REGISTRY key
+ * @param {object} params.task - TASK_REGISTRY entry
+ * @param {{cases: Array<{id: string, context: object, expect?: object}>}} params.dataset
+ * @param {{invoke: Function}} [params.adapter] - Live runs
+ * @param {{outputs: Object<string, object>}|null} [params.recorded] - Recorded runs: responses by case id
+ * @param {{provider: string, model: string}} params.selection
+ * @param {"recorded"|"live"} [params.outputs]
+ * @param {(caseId: string, response: object) => void} [params.onResponse]
+ * @returns {Promise<object>} Eval report
+ */
+export async function runPromptEval({
+  taskName,
+  task,
+  dataset,
+  adapter = null,
+  recorded = null,
+  selection,
+  outputs = "recorded",
+  onResponse = null,
+}) {
+  if (!EVAL_OUTPUT_MODES.includes(outputs)) {
+    throw new Error(`Unknown eval outputs "${outputs}" (expected ${EVAL_OUTPUT_MODES.join(" or ")})`);
+  }
+
+  const cases = [];
+  for (const evalCase of dataset.cases ?? []) {
+    const builderContext = { ...evalCase.context, attempt: 0, strictMode: false };
+    const { system, user } = buildTaskPrompts(taskName, task, builderContext);
+    const options = {
+      model: selection.model,
+      system,
+      user,
+      mode: task.mode ?? "text",
+      temperature: task.temperature ?? 0.2,
+      maxTokens:
+        typeof task.maxTokens === "object" && task.maxTokens !== null
+          ? task.maxTokens[selection.provider] ?? task.maxTokens.default
+          : task.maxTokens,
+      taskType: taskName,
+      outputSchema: task.outputSchema ?? null,
+      outputSchemaName: task.outputSchemaName ?? taskName,
+      images: [],
+    };
+    const promptHash = hashLlmPrompt(options);
+
+    let response;
+    if (outputs === "recorded") {
+      response = recorded?.outputs?.[evalCase.id] ?? null;
+      if (!response) {
+        cases.push({ id: evalCase.id, promptHash, status: "missing", score: null, checks: [] });
+        continue;
+      }
+    } else {
+      try {
+        response = await adapter.invoke(options);
+      } catch (error) {
+        cases.push({
+          id: evalCase.id,
+          promptHash,
+          status: "failed",
+          score: null,
+          checks: [],
+          error: error?.message ?? String(error),
+        });
+        continue;
+      }
+      onResponse?.(evalCase.id, response);
+    }
+
+    const parsed = task.parser(response, {
+      ...builderContext,
+      provider: selection.provider,
+      model: selection.model,
+    });
+    const { score, checks } = scoreEvalCase({
+      taskName,
+      task,
+      response,
+      parsed,
+      context: builderContext,
+      expect: evalCase.expect,
+    });
+    cases.push({ id: evalCase.id, promptHash, status: "scored", score: round(score), checks });
+  }
+
+  const scored = cases.filter((evalCase) => evalCase.status === "scored");
+  const checkIds = [...new Set(scored.flatMap((evalCase) => evalCase.checks.map((check) => check.id)))];
+
+  return {
+    task: taskName,
+    promptVersion: task.promptVersion ?? null,
+    outputs,
+    provider: selection.provider,
+    model: selection.model,
+    generatedAt: new Date().toISOString(),
+    summary: {
+      cases: cases.length,
+      scored: scored.length,
+      missing: cases.filter((evalCase) => evalCase.status === "missing").length,
+      failed: cases.filter((evalCase) => evalCase.status === "failed").length,
+      meanScore: round(mean(scored.map((evalCase) => evalCase.score))),
+      // Mean score of each check over the cases it applied to
+      checks: Object.fromEntries(
+        checkIds.map((id) => [
+          id,
+          round(
+            mean(
+              scored.flatMap((evalCase) =>
+                evalCase.checks.filter((check) => check.id === id).map((check) => check.score)
+              )
+            )
+          ),
+        ])
+      ),
+    },
+    cases,
+  };
+}
+
+/**
+ * Compare two eval reports of the same task, usually two prompt versions.
+ * Cases are matched by id; a case regresses when its score drops.
+ * @param {object} baseline - Earlier report
+ * @param {object} candidate - New report
+ * @returns {object} Diff
+ */
+export function diffEvalReports(baseline, candidate) {
+  if (baseline.task !== candidate.task) {
+    throw new Error(`Cannot diff eval reports of different tasks (${baseline.task} vs ${candidate.task})`);
+  }
+  const baselineCases = new Map(baseline.cases.map((evalCase) => [evalCase.id, evalCase]));
+  const candidateCases = new Map(candidate.cases.map((evalCase) => [evalCase.id, evalCase]));
+  const ids = [...new Set([...baselineCases.keys(), ...candidateCases.keys()])];
+
+  const cases = ids.map((id) => {
+    const before = baselineCases.get(id) ?? null;
+    const after = candidateCases.get(id) ?? null;
+    const beforeScore = before?.score ?? null;
+    const afterScore = after?.score ?? null;
+    const beforeChecks = new Map((before?.checks ?? []).map((check) => [check.id, check]));
+    return {
+      id,
+      before: beforeScore,
+      after: afterScore,
+      delta: beforeScore !== null && afterScore !== null ? round(afterScore - beforeScore) : null,
+      promptChanged: Boolean(before && after && before.promptHash !== after.promptHash),
+      newlyFailedChecks: (after?.checks ?? [])
+        .filter((check) => !check.passed && beforeChecks.get(check.id)?.passed)
+        .map((check) => check.id),
+    };
+  });
+
+  const baselineMean = baseline.summary?.meanScore ?? null;
+  const candidateMean = candidate.summary?.meanScore ?? null;
+  return {
+    task: candidate.task,
+    from: baseline.promptVersion,
+    to: candidate.promptVersion,
+    meanScore: {
+      before: baselineMean,
+      after: candidateMean,
+      delta: baselineMean !== null && candidateMean !== null ? round(candidateMean - baselineMean) : null,
+    },
+    regressions: cases.filter((evalCase) => evalCase.delta < 0).map((evalCase) => evalCase.id),
+    improvements: cases.filter((evalCase) => evalCase.delta > 0).map((evalCase) => evalCase.id),
+    cases,
+  };
+}
+
+function formatScore(value) {
+  return value === null ? "–" : value.toFixed(3);
+}
+
+function formatDelta(value) {
+  if (value === null) return "–";
+  return value > 0 ? `+${value.toFixed(3)}` : value.toFixed(3);
+}
+
+/**
+ * Markdown rendering of an eval diff for PR descriptions and the CLI.
+ * @param {object} diff - diffEvalReports output
+ * @returns {string}
+ */
+export function formatEvalDiff(diff) {
+  const lines = [
+    `## ${diff.task}: ${diff.from ?? "unversioned"} → ${diff.to ?? "unversioned"}`,
+    "",
+    `Mean score: ${formatScore(diff.meanScore.before)} → ${formatScore(diff.meanScore.after)} (${formatDelta(diff.meanScore.delta)})`,
+    `Regressions: ${diff.regressions.length} · Improvements: ${diff.improvements.length}`,
+    "",
+    "| Case | Before | After | Δ | Prompt changed | Newly failing checks |",
+    "| --- | --- | --- | --- | --- | --- |",
+    ...diff.cases.map(
+      (evalCase) =>
+        `| ${evalCase.id} | ${formatScore(evalCase.before)} | ${formatScore(evalCase.after)} | ${formatDelta(evalCase.delta)} | ${evalCase.promptChanged ? "yes" : "no"} | ${evalCase.newlyFailedChecks.join(", ") || "–"} |`
+    ),
+  ];
+  return lines.join("\n");
+}
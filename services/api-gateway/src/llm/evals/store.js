@@ -0,0 +1,95 @@
+/**
+ * Files of the prompt eval harness, all under services/api-gateway/fixtures/evals:
+ *
+ *   <task>.json                          dataset (cases with stored contexts)
+ *   outputs/<task>/<promptVersion>.json  recorded outputs, keyed by case id
+ *   reports/<task>/<promptVersion>.json  eval reports (gitignored)
+ *
+ * Recorded outputs are keyed by case id and prompt version rather than by
+ * prompt hash, so a new prompt version starts with no outputs until it is
+ * run live with --record, and the previous version's outputs stay in place
+ * for its report.
+ */
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_EVALS_DIR = path.resolve(__dirname, "../../../fixtures/evals");
+
+export function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+export function writeJson(file, value) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`, "utf8");
+}
+
+export function evalOutputsFile(evalsDir, taskName, promptVersion) {
+  return path.join(evalsDir, "outputs", taskName, `${promptVersion ?? "unversioned"}.json`);
+}
+
+export function evalReportsDir(evalsDir, taskName) {
+  return path.join(evalsDir, "reports", taskName);
+}
+
+/**
+ * @param {string} file - evalOutputsFile() path
+ * @returns {{task: string, promptVersion: string, outputs: Object<string, {text: string, json: *}>}|null}
+ */
+export function readEvalOutputs(file) {
+  return fs.existsSync(file) ? readJson(file) : null;
+}
+
+/**
+ * Add (or replace) one case's output in a recorded-outputs file.
+ * @param {string} file - evalOutputsFile() path
+ * @param {object} params
+ * @param {string} params.taskName
+ * @param {string} params.promptVersion
+ * @param {{provider: string, model: string}} params.selection
+ * @param {string} params.caseId
+ * @param {{text?: string, json?: *}} params.response - Adapter response
+ */
+export function saveEvalOutput(file, { taskName, promptVersion, selection, caseId, response }) {
+  const existing = readEvalOutputs(file);
+  writeJson(file, {
+    task: taskName,
+    promptVersion,
+    provider: selection.provider,
+    model: selection.model,
+    recordedAt: new Date().toISOString(),
+    outputs: {
+      ...(existing?.outputs ?? {}),
+      [caseId]: { text: response.text ?? null, json: response.json ?? null },
+    },
+  });
+}
+
+/**
+ * Pick the report to diff against. An explicit `baseline` is a prompt version
+ * or a report path; otherwise the newest report (by `generatedAt`) of another
+ * prompt version that scored at least one case.
+ * @param {object} params
+ * @param {string} [params.baseline]
+ * @param {string} params.reportsDir - evalReportsDir() path
+ * @param {string} params.promptVersion - Version being evaluated
+ * @returns {string|null} Report path
+ */
+export function resolveBaselineReport({ baseline, reportsDir, promptVersion }) {
+  if (baseline) {
+    return baseline.endsWith(".json") ? path.resolve(baseline) : path.join(reportsDir, `${baseline}.json`);
+  }
+  if (!fs.existsSync(reportsDir)) {
+    return null;
+  }
+  const candidates = fs
+    .readdirSync(reportsDir)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => ({ file: path.join(reportsDir, name), report: readJson(path.join(reportsDir, name)) }))
+    .filter(({ report }) => report.promptVersion !== promptVersion && report.summary?.scored > 0)
+    .sort((a, b) => Date.parse(b.report.generatedAt) - Date.parse(a.report.generatedAt));
+  return candidates[0]?.file ?? null;
+}
@@ -1,6 +1,7 @@
 import { llmLogger } from "./logger.js";
 import { safePreview } from "./utils/parsing.js";
 import { getRequestContext } from "./request-context.js";
+import { createTaskStreamReader } from "./utils/streaming.js";
 
 // Exponential backoff delays in milliseconds: [1s, 3s]
 const RETRY_DELAYS_MS = [1000, 3000];
@@ -26,11 +27,45 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * System and user prompts for one attempt of a task. The prompt eval runner
+ * uses the same function so evals hash exactly what production sends.
+ * @param {string} taskName
+ * @param {object} task - TASK_REGISTRY entry
+ * @param {object} builderContext - Task context plus attempt/strictMode
+ * @returns {{system: string|undefined, user: string}}
+ */
+export function buildTaskPrompts(taskName, task, builderContext) {
+  const userPrompt = task.builder(builderContext);
+
+  if (typeof userPrompt !== "string" || userPrompt.trim().length === 0) {
+    throw new Error(`Task ${taskName} builder returned an empty prompt`);
+  }
+
+  // Support dynamic system prompts via systemBuilder function
+  const baseSystemPrompt =
+    typeof task.systemBuilder === "function"
+      ? task.systemBuilder(builderContext)
+      : task.system;
+  // Cacheable tasks may add static reference context (catalogs) after the
+  // system prompt so the provider caches it along with the instructions
+  const cacheContext =
+    typeof task.cache?.contextBuilder === "function"
+      ? task.cache.contextBuilder(builderContext)
+      : null;
+  const systemPrompt = cacheContext
+    ? [baseSystemPrompt, cacheContext].filter(Boolean).join("\n\n")
+    : baseSystemPrompt;
+
+  return { system: systemPrompt, user: userPrompt };
+}
+
 export class LlmOrchestrator {
-  constructor({ adapters, policy, tasks }) {
+  constructor({ adapters, policy, tasks, circuitBreaker = null }) {
     this.adapters = adapters;
     this.policy = policy;
     this.tasks = tasks;
+    this.circuitBreaker = circuitBreaker;
   }
 
   resolveValue(configValue, provider) {
@@ -55,31 +90,151 @@ export class LlmOrchestrator {
     return configValue;
   }
 
+  /**
+   * Provider/model candidates for a task in fallback order, limited to
+   * providers with a registered adapter. `fallbackIndex` is the position in
+   * the configured chain (0 = primary).
+   */
+  resolveCandidates(taskName) {
+    const chain =
+      typeof this.policy.selectChain === "function"
+        ? this.policy.selectChain(taskName)
+        : [this.policy.select(taskName)];
+    const candidates = [];
+    chain.forEach((selection, fallbackIndex) => {
+      if (!this.adapters[selection.provider]) {
+        llmLogger.debug(
+          { task: taskName, provider: selection.provider, fallbackIndex },
+          "Skipping LLM provider without a registered adapter"
+        );
+        return;
+      }
+      candidates.push({ ...selection, fallbackIndex });
+    });
+    if (candidates.length === 0) {
+      throw new Error(`No adapter registered for provider ${chain[0].provider}`);
+    }
+    return { primary: chain[0], candidates };
+  }
+
   async run(taskName, context = {}) {
     const task = this.tasks[taskName];
     if (!task) {
       throw new Error(`Unknown LLM task: ${taskName}`);
     }
 
-    const selection = this.policy.select(taskName);
-    const adapter = this.adapters[selection.provider];
-    if (!adapter) {
-      throw new Error(`No adapter registered for provider ${selection.provider}`);
+    const { primary, candidates } = this.resolveCandidates(taskName);
+
+    // Streaming is opt-in per request (runWithLlmStream) and needs adapter support.
+    // Parsing still runs once on the complete response.
+    const stream = {
+      sink: getRequestContext().llmStream ?? null,
+      streamedText: false,
+    };
+    let lastSelection = candidates[0];
+    let lastError = null;
+
+    for (const [position, selection] of candidates.entries()) {
+      if (this.circuitBreaker && !this.circuitBreaker.isAvailable(selection.provider)) {
+        llmLogger.warn(
+          {
+            task: taskName,
+            provider: selection.provider,
+            model: selection.model,
+            fallbackIndex: selection.fallbackIndex,
+          },
+          "Skipping LLM provider with open circuit"
+        );
+        continue;
+      }
+
+      lastSelection = selection;
+      const outcome = await this.runWithSelection({
+        taskName,
+        task,
+        context,
+        selection,
+        stream,
+        hasFallback: position < candidates.length - 1,
+      });
+
+      if (outcome.result) {
+        const fallback = {
+          index: selection.fallbackIndex,
+          requestedProvider: primary.provider,
+          requestedModel: primary.model,
+        };
+        if (selection.fallbackIndex > 0) {
+          llmLogger.info(
+            { task: taskName, provider: selection.provider, model: selection.model, ...fallback },
+            "LLM task served by fallback provider"
+          );
+        }
+        return {
+          task: taskName,
+          provider: selection.provider,
+          model: selection.model,
+          ...outcome.result,
+          // Usage logs read these to record which fallback and prompt version served the request
+          metadata: {
+            ...(outcome.result.metadata ?? {}),
+            fallback,
+            promptVersion: task.promptVersion ?? null,
+          },
+        };
+      }
+      lastError = outcome.error;
     }
 
+    return {
+      task: taskName,
+      provider: lastSelection.provider,
+      model: lastSelection.model,
+      error:
+        lastError ??
+        {
+          reason: "providers_unavailable",
+          message: `All providers for task ${taskName} are temporarily unavailable`,
+        },
+    };
+  }
+
+  /**
+   * Run the task's attempts against one provider/model.
+   * Gives up early when an invocation failure opens the provider's circuit
+   * and another candidate is left to try.
+   * @returns {Promise<{result?: object, error?: object}>}
+   */
+  async runWithSelection({ taskName, task, context, selection, stream, hasFallback }) {
+    const adapter = this.adapters[selection.provider];
+
     // Default to 3 attempts (initial + 2 retries with exponential backoff)
     const maxAttempts = task.retries ?? 3;
     let attempt = 0;
     let lastError = null;
 
+    // Native tools (tasks with `acceptsTools`, see utils/tool-calls.js)
+    const tools =
+      task.acceptsTools && Array.isArray(context.tools) && context.tools.length > 0
+        ? context.tools
+        : null;
+    const toolTurns = tools && Array.isArray(context.toolTurns) ? context.toolTurns : [];
+
+    // A response that may be a tool call is never streamed to the client
+    const canStream =
+      Boolean(stream.sink) &&
+      !tools &&
+      typeof adapter.invokeStream === "function" &&
+      createTaskStreamReader(task) !== null;
+
     while (attempt < maxAttempts) {
       const strictMode = Boolean(task.strictOnRetry && attempt > 0);
       const builderContext = { ...context, attempt, strictMode };
-      const userPrompt = task.builder(builderContext);
-
-      if (typeof userPrompt !== "string" || userPrompt.trim().length === 0) {
-        throw new Error(`Task ${taskName} builder returned an empty prompt`);
-      }
+      const { system: systemPrompt, user: userPrompt } = buildTaskPrompts(
+        taskName,
+        task,
+        builderContext
+      );
 
       const requestRoute =
         context?.__routePath ??
@@ -87,12 +242,6 @@ export class LlmOrchestrator {
         getRequestContext()?.route ??
         null;
 
-      // Support dynamic system prompts via systemBuilder function
-      const systemPrompt =
-        typeof task.systemBuilder === "function"
-          ? task.systemBuilder(builderContext)
-          : task.system;
-
       const options = {
         model: selection.model,
         system: systemPrompt,
@@ -105,6 +254,11 @@ export class LlmOrchestrator {
         // Pass output schema for structured outputs (if defined on task)
         outputSchema: task.outputSchema ?? null,
         outputSchemaName: task.outputSchemaName ?? taskName,
+        // Only tasks that accept image input forward `context.images`
+        images: task.acceptsImages && Array.isArray(context.images) ? context.images : [],
+        // Adapters that support prompt caching cache the system prompt for this long
+        cache: task.cache ? { ttlSeconds: task.cache.ttlSeconds ?? null } : null,
+        ...(tools ? { tools, toolTurns } : {}),
       };
 
       llmLogger.info(
@@ -119,28 +273,57 @@ export class LlmOrchestrator {
 
       let response;
       try {
-        response = await adapter.invoke(options);
+        if (canStream) {
+          if (stream.streamedText) {
+            // Earlier attempt (or provider) already streamed text the client must discard
+            stream.sink.onReset?.({ attempt });
+            stream.streamedText = false;
+          }
+          const readDelta = createTaskStreamReader(task);
+          response = await adapter.invokeStream(options, {
+            onText: (chunk) => {
+              const delta = readDelta(chunk);
+              if (delta) {
+                stream.streamedText = true;
+                stream.sink.onDelta(delta);
+              }
+            },
+          });
+        } else {
+          response = await adapter.invoke(options);
+        }
+        this.circuitBreaker?.recordSuccess(selection.provider);
       } catch (error) {
         lastError = {
           reason: "invoke_failed",
           message: error?.message ?? String(error),
         };
+        const isRateLimit = isRateLimitError(error);
         llmLogger.warn(
           {
             task: taskName,
             provider: selection.provider,
             model: selection.model,
             attempt,
+            isRateLimit,
             err: error,
           },
           "LLM adapter invocation failed"
         );
         attempt += 1;
 
+        const circuitOpened =
+          this.circuitBreaker?.recordFailure(selection.provider, {
+            rateLimited: isRateLimit,
+          }) ?? false;
+        if (circuitOpened && hasFallback) {
+          // Retrying an unhealthy provider only burns time; try the next fallback
+          break;
+        }
+
         // Apply exponential backoff delay before retry (especially for rate limits)
         if (attempt < maxAttempts) {
           const delayMs = RETRY_DELAYS_MS[attempt - 1] ?? RETRY_DELAYS_MS[RETRY_DELAYS_MS.length - 1];
-          const isRateLimit = isRateLimitError(error);
           llmLogger.info(
             {
               task: taskName,
@@ -185,12 +368,7 @@ export class LlmOrchestrator {
       }
 
       if (parsed && !parsed.error) {
-        return {
-          task: taskName,
-          provider: selection.provider,
-          model: selection.model,
-          ...parsed,
-        };
+        return { result: parsed };
       }
 
       lastError = parsed?.error ?? {
@@ -228,9 +406,6 @@ export class LlmOrchestrator {
     }
 
     return {
-      task: taskName,
-      provider: selection.provider,
-      model: selection.model,
       error:
         lastError ??
         {
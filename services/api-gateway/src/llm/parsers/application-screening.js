@@ -0,0 +1,70 @@
+import { llmLogger } from "../logger.js";
+import { parseJsonContent, safePreview } from "../utils/parsing.js";
+
+const VERDICTS = new Set(["met", "partial", "not_met", "unknown"]);
+
+function cleanString(value) {
+  return typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+}
+
+function normalizeCriterion(entry) {
+  if (!entry || typeof entry !== "object") return null;
+  const criterion = cleanString(entry.criterion);
+  if (!criterion) return null;
+  const verdict = String(entry.verdict ?? "").trim().toLowerCase();
+  return {
+    criterion,
+    verdict: VERDICTS.has(verdict) ? verdict : "unknown",
+    evidence: cleanString(entry.evidence),
+  };
+}
+
+export function parseApplicationScreeningResult(response, context = {}) {
+  const rawText = response?.text ?? response?.raw ?? null;
+  const directJson = response?.json && typeof response.json === "object"
+    ? response.json
+    : null;
+  const parsed = directJson ?? parseJsonContent(rawText);
+
+  if (!parsed || typeof parsed !== "object") {
+    llmLogger.warn(
+      {
+        provider: context.provider,
+        model: context.model,
+        raw: safePreview(rawText),
+      },
+      "application screening parser invalid response"
+    );
+    return {
+      error: {
+        reason: "invalid_response",
+        message: "Screening response missing",
+        rawPreview: safePreview(rawText),
+      },
+    };
+  }
+
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+
+  const criteria = Array.isArray(parsed.criteria)
+    ? parsed.criteria.map(normalizeCriterion).filter(Boolean)
+    : [];
+
+  if (criteria.length === 0) {
+    return {
+      error: {
+        reason: "invalid_screening",
+        message: "Screening response has no criteria",
+        rawPreview: JSON.stringify(parsed).slice(0, 400),
+      },
+    };
+  }
+
+  return {
+    summary: cleanString(parsed.summary),
+    criteria,
+    metadata: response?.metadata ?? null,
+  };
+}
@@ -26,6 +26,16 @@ function parseDate(value) {
   return Number.isNaN(parsed.getTime()) ? null : parsed;
 }
 
+function coerceBoolean(value) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  const str = coerceString(value)?.toLowerCase();
+  if (str === "true" || str === "yes") return true;
+  if (str === "false" || str === "no") return false;
+  return null;
+}
+
 function coerceStringArray(value) {
   if (!Array.isArray(value)) {
     return [];
@@ -121,6 +131,7 @@ function normalizeEvidence(evidence = {}) {
     profile: normalizeEvidenceSection(evidence?.profile),
     branding: normalizeEvidenceSection(evidence?.branding),
     socials: normalizeEvidenceSection(evidence?.socials),
+    workplace: normalizeEvidenceSection(evidence?.workplace),
     jobs
   };
 }
@@ -140,6 +151,7 @@ export function parseCompanyIntelResult(response) {
   const profile = payload.profile ?? {};
   const branding = payload.branding ?? {};
   const socials = payload.socials ?? {};
+  const workplace = payload.workplace ?? {};
   const jobsPayload = Array.isArray(payload.jobs) ? payload.jobs : [];
   const jobs = jobsPayload.map(normalizeJob).filter(Boolean);
 
@@ -175,6 +187,20 @@ export function parseCompanyIntelResult(response) {
       twitter: normalizeUrl(socials.twitter),
       youtube: normalizeUrl(socials.youtube)
     },
+    workplace: {
+      companyAge: coerceString(workplace.companyAge),
+      companyStage: coerceString(workplace.companyStage)?.toLowerCase() ?? null,
+      fundingStatus: coerceString(workplace.fundingStatus),
+      healthInsurance: coerceBoolean(workplace.healthInsurance),
+      dental: coerceBoolean(workplace.dental),
+      vision: coerceBoolean(workplace.vision),
+      retirementPlan: coerceBoolean(workplace.retirementPlan),
+      retirementMatch: coerceString(workplace.retirementMatch),
+      mealsProvided: coerceBoolean(workplace.mealsProvided),
+      commuterBenefits: coerceString(workplace.commuterBenefits),
+      gym: coerceBoolean(workplace.gym),
+      unionized: coerceBoolean(workplace.unionized)
+    },
     jobs,
     evidence: normalizeEvidence(payload.evidence ?? {}),
     metadata
@@ -1,58 +1,38 @@
 import { safePreview } from "../utils/parsing.js";
 
+/**
+ * Copilot agent turns use native tool calling: the adapter returns the
+ * model's tool calls (possibly several at once) or a plain-text reply.
+ */
 export function parseCopilotAgentResult(response) {
   const raw = typeof response?.text === "string" ? response.text.trim() : "";
-  if (!raw) {
-    return {
-      error: {
-        reason: "empty_response",
-        rawPreview: safePreview(response?.text),
-        message: "Copilot agent returned no content"
-      }
-    };
-  }
-
-  let parsed;
-  try {
-    let normalized = raw.trim();
-    if (normalized.startsWith("```")) {
-      normalized = normalized.replace(/^```json\s*/i, "").replace(/^```\s*/i, "");
-      normalized = normalized.replace(/```$/i, "").trim();
-    }
-    parsed = JSON.parse(normalized);
-  } catch (error) {
-    return {
-      error: {
-        reason: "invalid_json",
-        rawPreview: safePreview(raw),
-        message: "Copilot agent response was not valid JSON"
-      }
-    };
-  }
+  const toolCalls = Array.isArray(response?.toolCalls)
+    ? response.toolCalls.filter((call) => typeof call?.name === "string" && call.name)
+    : [];
 
-  if (parsed.type === "tool_call") {
+  if (toolCalls.length > 0) {
     return {
-      type: "tool_call",
-      tool: parsed.tool,
-      input: parsed.input ?? {},
+      type: "tool_calls",
+      toolCalls,
+      message: raw,
       metadata: response?.metadata ?? null
     };
   }
 
-  if (parsed.type === "final") {
+  if (!raw) {
     return {
-      type: "final",
-      message: typeof parsed.message === "string" ? parsed.message : "",
-      actions: Array.isArray(parsed.actions) ? parsed.actions : [],
-      metadata: response?.metadata ?? null
+      error: {
+        reason: "empty_response",
+        rawPreview: safePreview(response?.text),
+        message: "Copilot agent returned no content"
+      }
     };
   }
 
   return {
-    error: {
-      reason: "unknown_response",
-      rawPreview: safePreview(parsed),
-      message: "Copilot agent response missing type field"
-    }
+    type: "final",
+    message: raw,
+    actions: [],
+    metadata: response?.metadata ?? null
   };
 }
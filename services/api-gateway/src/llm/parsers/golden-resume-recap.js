@@ -0,0 +1,44 @@
+import { llmLogger } from "../logger.js";
+import { parseJsonContent, safePreview } from "../utils/parsing.js";
+
+export function parseGoldenResumeRecapResult(response, context = {}) {
+  const rawText = response?.text ?? response?.raw ?? null;
+  const directJson = response?.json && typeof response.json === "object"
+    ? response.json
+    : null;
+  const parsed = directJson ?? parseJsonContent(rawText);
+
+  if (!parsed || typeof parsed !== "object") {
+    llmLogger.warn(
+      {
+        provider: context.provider,
+        model: context.model,
+        raw: safePreview(rawText),
+      },
+      "golden resume recap parser invalid response"
+    );
+    return {
+      error: {
+        reason: "invalid_response",
+        message: "Resume recap response missing",
+        rawPreview: safePreview(rawText),
+      },
+    };
+  }
+
+  const recap = typeof parsed.recap === "string" ? parsed.recap.trim() : "";
+  if (!recap) {
+    return {
+      error: {
+        reason: "invalid_recap",
+        message: "Resume recap response has no recap",
+        rawPreview: JSON.stringify(parsed).slice(0, 400),
+      },
+    };
+  }
+
+  return {
+    recap,
+    metadata: response?.metadata ?? null,
+  };
+}
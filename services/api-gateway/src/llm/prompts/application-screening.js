@@ -0,0 +1,67 @@
+import { llmLogger } from "../logger.js";
+
+export const APPLICATION_SCREENING_PROMPT_VERSION = "application_screening.v1";
+
+// Resumes longer than this are cut before they reach the prompt.
+const MAX_RESUME_CHARS = 24_000;
+const MAX_COVER_LETTER_CHARS = 4_000;
+
+function sanitizeValue(value) {
+  if (typeof value === "string") {
+    return value.trim();
+  }
+  return value ?? null;
+}
+
+function truncate(text, limit) {
+  if (typeof text !== "string") return "";
+  return text.length > limit ? `${text.slice(0, limit)}\n[truncated]` : text;
+}
+
+export function buildApplicationScreeningPrompt(context = {}) {
+  const job = context.job ?? {};
+  const criteria = Array.isArray(context.criteria) ? context.criteria : [];
+  const payload = {
+    role: "You are a fair, evidence-driven recruiter screening one application against a job's requirements.",
+    mission:
+      "For every criterion, decide whether the resume shows the candidate meets it and quote or paraphrase the resume line that proves it. Then write a two-sentence summary for the hiring team.",
+    guardrails: [
+      "Return exactly one entry in criteria per input criterion, in the same order, copying the criterion text verbatim.",
+      "verdict is 'met' when the resume clearly shows it, 'partial' when it is adjacent or incomplete, 'not_met' when the resume contradicts it, and 'unknown' when the resume does not mention it.",
+      "evidence must come from the resume or cover letter. Never invent experience; use an empty string when verdict is 'unknown'.",
+      "Ignore name, gender, age, nationality, photos and any other protected characteristics. Judge only skills, experience and qualifications.",
+      "Respond ONLY with a single JSON object that matches responseContract. No markdown, no prose, no extra keys.",
+    ],
+    responseContract: {
+      summary: "string (<= 2 sentences)",
+      criteria: [
+        {
+          criterion: "string (copied from input)",
+          verdict: "met | partial | not_met | unknown",
+          evidence: "string",
+        },
+      ],
+    },
+    job: {
+      roleTitle: sanitizeValue(job.roleTitle),
+      companyName: sanitizeValue(job.companyName),
+      seniorityLevel: sanitizeValue(job.seniorityLevel),
+      location: sanitizeValue(job.location),
+      summary: sanitizeValue(job.jobDescription),
+    },
+    criteria: criteria.map((item) => item.criterion),
+    resume: truncate(context.resumeText, MAX_RESUME_CHARS),
+    coverLetter: truncate(context.coverLetter, MAX_COVER_LETTER_CHARS) || null,
+  };
+
+  const serialized = JSON.stringify(payload, null, 2);
+  llmLogger.info(
+    {
+      task: "application_screening",
+      criteria: criteria.length,
+      payloadSize: serialized.length,
+    },
+    "LLM application screening payload"
+  );
+  return serialized;
+}
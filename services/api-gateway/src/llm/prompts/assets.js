@@ -1,5 +1,9 @@
 import { llmLogger } from "../logger.js";
 
+export const ASSET_MASTER_PROMPT_VERSION = "asset_master.v1";
+export const ASSET_CHANNEL_BATCH_PROMPT_VERSION = "asset_channel_batch.v1";
+export const ASSET_ADAPT_PROMPT_VERSION = "asset_adapt.v1";
+
 function buildJobContext(jobSnapshot = {}) {
   const context = {};
   Object.entries(jobSnapshot ?? {}).forEach(([key, value]) => {
@@ -58,7 +62,8 @@ function baseGuardrails() {
     "Return strictly valid JSON. Do not include markdown, commentary, or apologies.",
     "Never fabricate compensation details that are missing from the job context.",
     "Prioritize inclusive, bias-free language and remove internal jargon.",
-    "Always include a clear call-to-action that maps to the channel experience."
+    "Always include a clear call-to-action that maps to the channel experience.",
+    "When goldenContext is present it holds facts the hiring manager confirmed in an interview; prefer its specifics (pay, schedule, perks, team) and never contradict them."
   ];
 }
 
@@ -125,7 +130,8 @@ export function buildAssetMasterPrompt(context = {}) {
         hashtags: ["#HiringNow", "#CustomerSuccess", "#TechJobs"]
       }
     },
-    companyContext: context.companyContext ?? null
+    companyContext: context.companyContext ?? null,
+    goldenContext: context.goldenContext ?? null
   };
 
   return stringify(payload, "asset_master");
@@ -157,7 +163,8 @@ export function buildAssetChannelBatchPrompt(context = {}) {
         }
       ]
     },
-    companyContext: context.companyContext ?? null
+    companyContext: context.companyContext ?? null,
+    goldenContext: context.goldenContext ?? null
   };
 
   return stringify(payload, "asset_channel_batch");
@@ -198,7 +205,8 @@ export function buildAssetAdaptPrompt(context = {}) {
         hashtags: ["string"]
       }
     },
-    companyContext: context.companyContext ?? null
+    companyContext: context.companyContext ?? null,
+    goldenContext: context.goldenContext ?? null
   };
 
   return stringify(payload, "asset_adapt");
@@ -1,5 +1,8 @@
 import { llmLogger } from "../logger.js";
 import { SUPPORTED_CHANNELS } from "../domain/channels.js";
+import { CHANNEL_CATALOG } from "../domain/channel-catalog.js";
+
+export const CHANNELS_PROMPT_VERSION = "channels.v1";
 
 export function buildChannelRecommendationInstructions(context = {}) {
   const {
@@ -37,6 +40,7 @@ export function buildChannelRecommendationInstructions(context = {}) {
       "Evaluate the confirmed job brief and recommend the best advertising and community channels from the supported list.",
     guardrails: [
       "Only choose channels from the supportedChannels list. If the best venue is not listed, omit it.",
+      "Use the channel catalog in your instructions (geo, strengths, notes) to judge each channel's fit.",
       "Prioritise combinations that balance qualified applicant volume and cost efficiency.",
       "Explain the rationale for each recommendation in one succinct sentence.",
       "If you estimate expectedCPA, provide a positive number representing cost per application in USD; omit the field otherwise.",
@@ -69,7 +73,9 @@ export function buildChannelRecommendationInstructions(context = {}) {
       ],
     },
     hiringContext,
-    companyContext: context.companyContext ?? null
+    companyContext: context.companyContext ?? null,
+    // Interview facts (schedule, pay, environment) help match channels to the audience
+    goldenContext: context.goldenContext ?? null
   };
 
   const payload = JSON.stringify(payloadObject, null, 2);
@@ -80,3 +86,15 @@ export function buildChannelRecommendationInstructions(context = {}) {
 
   return payload;
 }
+
+/**
+ * Channel catalog appended to the channels system prompt. It is the same for
+ * every request, so it is sent as part of the cached prefix (TASK_REGISTRY `cache`).
+ */
+export function buildChannelCatalogContext() {
+  return `Channel catalog (reference for every recommendation):\n${JSON.stringify(
+    CHANNEL_CATALOG,
+    null,
+    2
+  )}`;
+}
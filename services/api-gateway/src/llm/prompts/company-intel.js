@@ -1,5 +1,7 @@
 import { llmLogger } from "../logger.js";
 
+export const COMPANY_INTEL_PROMPT_VERSION = "company_intel.v1";
+
 function sanitizeCompanySnapshot(company = {}) {
   return {
     id: company.id ?? "",
@@ -15,6 +17,7 @@ function sanitizeCompanySnapshot(company = {}) {
     description: company.description ?? "",
     toneOfVoice: company.toneOfVoice ?? "",
     socials: company.socials ?? {},
+    workplace: company.workplace ?? {},
     brand: {
       logoUrl: company.brand?.logoUrl ?? company.logoUrl ?? "",
       primaryColor:
@@ -37,6 +40,7 @@ function normalizeGaps(gaps = {}) {
     branding: [],
     voice: [],
     socials: [],
+    workplace: [],
     jobs: [],
   };
   const normalized = { ...defaultShape };
@@ -69,6 +73,7 @@ export function buildCompanyIntelPrompt(context = {}) {
       "For job fields, set a value only when you are at least ~90% confident in its accuracy; otherwise emit null/omit.",
       "CRITICAL: Do NOT hallucinate or fabricate information. Only return data you found from real sources. If you cannot find reliable information for a field, return null or omit it entirely. It is better to leave a field empty than to provide incorrect or made-up information.",
       "Do not hallucinate social URLs or job postings. Return null/omit if uncertain.",
+      "Workplace fields describe the whole company (benefits, perks, funding, stage). Only fill them from the company's own careers or benefits pages, filings or trusted news; never infer them from the industry or company size.",
       "Respond ONLY with a single JSON object that matches responseContract. No markdown, no prose, no code fences, no headings, no extra keys. If unsure about a field, omit it or return null/empty as appropriate."
     ],
     responseContract: {
@@ -93,6 +98,20 @@ export function buildCompanyIntelPrompt(context = {}) {
         additionalBrandNotes:
           "optional short notes about slogans or design patterns",
       },
+      workplace: {
+        companyAge: "string (e.g. 'founded 2012') or null",
+        companyStage: "startup | growth | mature | turnaround | declining | null",
+        fundingStatus: "string (e.g. 'Series B', 'bootstrapped', 'public') or null",
+        healthInsurance: "boolean or null",
+        dental: "boolean or null",
+        vision: "boolean or null",
+        retirementPlan: "boolean or null",
+        retirementMatch: "string (e.g. '4% match') or null",
+        mealsProvided: "boolean or null",
+        commuterBenefits: "string or null",
+        gym: "boolean (on-site gym or gym stipend) or null",
+        unionized: "boolean or null",
+      },
       socials: {
         linkedin: "url",
         facebook: "url",
@@ -141,6 +160,9 @@ export function buildCompanyIntelPrompt(context = {}) {
         socials: {
           field: { value: "string", sources: ["..."] },
         },
+        workplace: {
+          field: { value: "string | boolean", sources: ["..."] },
+        },
         jobs: [
           {
             title: "string",
@@ -1,5 +1,7 @@
 import { llmLogger } from "../logger.js";
 
+export const COPILOT_AGENT_PROMPT_VERSION = "copilot_agent.v2";
+
 const BASE_ROLE = "You are Wizard's recruiting copilot. You act as a short ReAct-style agent.";
 const BASE_MISSION =
   "Use the available tools to answer the user's question or execute the requested change. Only rely on the provided context.";
@@ -7,13 +9,14 @@ const BASE_GUARDRAILS = [
   "Never fabricate job data—inspect the snapshot or call a tool.",
   "Prefer concise, action-oriented responses.",
   "If a question requires editing a field, confirm the intent and call update_job_field once per field.",
+  "Call independent tools together in one turn instead of one after another.",
   "If the user only needs an explanation, respond directly without updating anything.",
   "Only modify the exact fields the user explicitly authorized. If you have other ideas, ask for approval first.",
   "After you successfully update a field, wrap up with a final response instead of continuing to make changes.",
   "If you cannot complete a request, clearly explain why and suggest the next step."
 ];
 const BASE_INSTRUCTIONS =
-  "Respond with valid JSON only. Do NOT wrap it in Markdown fences. If you need more data, issue a tool_call. When you have enough to answer, respond with type:\"final\" and include the final user-facing reply. Never update additional fields beyond what the user asked for, and end the run immediately after you complete their request.";
+  "If you need more data or need to change something, call the provided tools. When you have enough to answer, reply to the user in plain text. Never update additional fields beyond what the user asked for, and end the run immediately after you complete their request.";
 
 export function buildCopilotAgentPrompt(context = {}) {
   const stageConfig = context.stageConfig ?? {};
@@ -36,16 +39,7 @@ export function buildCopilotAgentPrompt(context = {}) {
       ...BASE_GUARDRAILS,
       ...(stageConfig.guardrails ?? [])
     ],
-    outputContract: {
-      type: "tool_call | final",
-      tool: "required when type === 'tool_call'",
-      input: "object payload for the tool",
-      message: "assistant reply when type === 'final'",
-      actions: "array of suggested UI actions when type === 'final'"
-    },
-    availableTools: context.tools ?? [],
     conversationHistory: context.conversation ?? [],
-    reasoningScratchpad: context.scratchpad ?? [],
     jobSnapshot: context.jobSnapshot ?? {},
     currentStepId: context.currentStepId ?? null,
     passiveSuggestions: context.suggestions ?? [],
@@ -50,6 +50,8 @@ import { llmLogger } from "../logger.js";
 // SECTION 2: CONSTANTS
 // =============================================================================
 
+export const GOLDEN_DB_UPDATE_PROMPT_VERSION = "golden_db_update.v1";
+
 // -----------------------------------------------------------------------------
 // 2.1 GOLDEN_SCHEMA_REFERENCE
 // -----------------------------------------------------------------------------
@@ -100,6 +102,7 @@ Where work happens.
 |------------|-------------|------|
 | environment.physical_space.type | office/retail/warehouse/restaurant/outdoor/home | enum |
 | environment.physical_space.description | Description of workspace | string |
+| environment.physical_space.media | Uploaded photos/videos; stored by the upload itself, NEVER update it | array |
 | environment.workspace_quality.noise_level | quiet/moderate/loud | enum |
 | environment.amenities.kitchen | Kitchen available | boolean |
 | environment.amenities.gym | Gym available | boolean |
@@ -13,6 +13,8 @@ import {
   buildContinueTurnPrompt as buildGoldenContinueTurnPrompt,
 } from "../../golden-interviewer/prompts.js";
 
+export const GOLDEN_INTERVIEWER_PROMPT_VERSION = "golden_interviewer.v1";
+
 /**
  * Builds the complete prompt for a Golden Interviewer turn.
  *
@@ -30,6 +32,9 @@ import {
  * @param {number} [context.attempt] - Retry attempt number
  * @param {boolean} [context.strictMode] - Whether to use strict mode for retries
  * @param {object} [context.frictionState] - Friction state for skip handling
+ * @param {array} [context.inheritedFields] - Company defaults still to confirm or re-ask
+ * @param {object} [context.roleRules] - Company role archetype overrides
+ * @param {object} [context.resume] - { recap, nextPriorityFields } for the re-entry turn of a resumed interview
  * @returns {string} - The complete prompt for the LLM
  */
 export function buildGoldenInterviewerTurnPrompt(context = {}) {
@@ -46,6 +51,9 @@ export function buildGoldenInterviewerTurnPrompt(context = {}) {
     strictMode = false,
     frictionState = null,
     lastAskedField = null,
+    inheritedFields = [],
+    roleRules = null,
+    resume = null,
   } = context;
 
   // Build the appropriate turn prompt
@@ -70,6 +78,9 @@ export function buildGoldenInterviewerTurnPrompt(context = {}) {
       turnNumber,
       frictionState,
       lastAskedField,
+      inheritedFields,
+      roleRules,
+      resume,
     });
   }
 
@@ -87,6 +98,7 @@ export function buildGoldenInterviewerTurnPrompt(context = {}) {
       isFirstTurn,
       turnNumber,
       historyLength: conversationHistory.length,
+      isResume: Boolean(resume),
       attempt,
       strictMode,
       friction: frictionState ? {
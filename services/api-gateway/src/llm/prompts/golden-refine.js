@@ -16,6 +16,8 @@
 
 import { llmLogger } from "../logger.js";
 
+export const GOLDEN_REFINE_PROMPT_VERSION = "golden_refine.v1";
+
 // =============================================================================
 // SYSTEM PROMPT (Static)
 // =============================================================================
@@ -0,0 +1,59 @@
+import { llmLogger } from "../logger.js";
+
+export const GOLDEN_RESUME_RECAP_PROMPT_VERSION = "golden_resume_recap.v1";
+
+// Long free-text answers are cut so the recap prompt stays small.
+const MAX_VALUE_CHARS = 300;
+const MAX_CAPTURED_FIELDS = 60;
+
+function truncate(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > MAX_VALUE_CHARS ? `${text.slice(0, MAX_VALUE_CHARS)}…` : text;
+}
+
+export function buildGoldenResumeRecapPrompt(context = {}) {
+  const capturedFields = Object.entries(context.capturedFields ?? {}).slice(
+    0,
+    MAX_CAPTURED_FIELDS
+  );
+  const payload = {
+    role: "You help someone pick up a job interview they left half-finished.",
+    mission:
+      "Write a short recap of what the interview has captured so far, so the user can continue without scrolling back through the conversation.",
+    guardrails: [
+      "Address the user directly ('you') in 2-4 plain sentences.",
+      "Mention the most important facts captured (role, pay, schedule, team...), grouped loosely by topic. Do not list every field.",
+      "Only use facts from capturedFields. Never invent or guess details.",
+      "End by naming, in plain words, the one or two topics still to cover from nextPriorityFields. Do not ask a question; the interviewer asks the next one.",
+      "Respond ONLY with a single JSON object that matches responseContract. No markdown, no prose, no extra keys.",
+    ],
+    responseContract: {
+      recap: "string (2-4 sentences)",
+    },
+    interview: {
+      roleTitle: context.roleTitle ?? null,
+      companyName: context.companyName ?? null,
+      perspective: context.perspective ?? "hiring_manager",
+      completionPercentage: context.completionPercentage ?? 0,
+      lastQuestion: context.lastQuestion ? truncate(context.lastQuestion) : null,
+    },
+    capturedFields: Object.fromEntries(
+      capturedFields.map(([path, value]) => [path, truncate(value)])
+    ),
+    nextPriorityFields: Array.isArray(context.nextPriorityFields)
+      ? context.nextPriorityFields
+      : [],
+  };
+
+  const serialized = JSON.stringify(payload, null, 2);
+  llmLogger.info(
+    {
+      task: "golden_resume_recap",
+      sessionId: context.sessionId ?? null,
+      capturedFields: capturedFields.length,
+      payloadSize: serialized.length,
+    },
+    "LLM golden resume recap payload"
+  );
+  return serialized;
+}
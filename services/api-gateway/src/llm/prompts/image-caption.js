@@ -1,5 +1,7 @@
 import { llmLogger } from "../logger.js";
 
+export const IMAGE_CAPTION_PROMPT_VERSION = "image_caption.v1";
+
 function sanitizeValue(value) {
   if (typeof value === "string") {
     return value.trim();
@@ -10,7 +12,51 @@ function sanitizeValue(value) {
   return value ?? null;
 }
 
+/**
+ * Caption for a workplace photo uploaded during a golden interview; the photo
+ * itself is attached to the request (`context.images`).
+ */
+function buildWorkplacePhotoCaptionPayload(context) {
+  const workplace = context.workplaceMedia ?? {};
+  return {
+    role: "You describe photos of a workplace that an employer uploaded while describing a job.",
+    mission:
+      "Describe what the attached photo shows about where the person in this role would work, so the description can guide job ads, hero images and video storyboards.",
+    guardrails: [
+      "Describe only what is visible: the space, light, equipment, layout and atmosphere.",
+      "Keep the caption to 1-2 factual sentences (max ~200 characters).",
+      "Do not identify, name or describe the appearance of people; mention them only as \"staff\" or \"a team\".",
+      "Do not read out or repeat text, signs, screens or documents in the photo.",
+      "Respond ONLY with a single JSON object that matches responseContract. No markdown, no prose, no extra keys, no trailing text.",
+      "Return an empty array for hashtags.",
+    ],
+    responseContract: {
+      caption: "string (<= 200 characters)",
+      hashtags: [],
+    },
+    exampleResponse: {
+      caption:
+        "Bright open-plan kitchen with stainless prep stations, a pass window to the dining room and large windows along one wall.",
+      hashtags: [],
+    },
+    workplaceContext: {
+      roleTitle: sanitizeValue(workplace.roleTitle),
+      companyName: sanitizeValue(workplace.companyName),
+      spaceType: sanitizeValue(workplace.spaceType),
+    },
+  };
+}
+
 export function buildImageCaptionPrompt(context = {}) {
+  if (Array.isArray(context.images) && context.images.length > 0) {
+    const serialized = JSON.stringify(buildWorkplacePhotoCaptionPayload(context), null, 2);
+    llmLogger.info(
+      { task: "image_caption", mode: "workplace_photo", payloadSize: serialized.length },
+      "LLM image caption payload"
+    );
+    return serialized;
+  }
+
   const job = context.jobSnapshot ?? {};
   const payload = {
     role: "You are a creative marketing copywriter crafting short captions for social visuals announcing open roles.",
@@ -1,5 +1,8 @@
 import { llmLogger } from "../logger.js";
 
+export const IMAGE_PROMPT_GENERATION_PROMPT_VERSION = "image_prompt_generation.v1";
+export const IMAGE_GENERATION_PROMPT_VERSION = "image_generation.v1";
+
 function compactJobSnapshot(job = {}) {
   const result = {};
   Object.entries(job ?? {}).forEach(([key, value]) => {
@@ -11,6 +14,17 @@ function compactJobSnapshot(job = {}) {
   return result;
 }
 
+/**
+ * Captioned workplace photos (golden interview uploads); uncaptioned media
+ * tells the model nothing.
+ */
+function buildReferenceImagery(media) {
+  if (!Array.isArray(media)) return [];
+  return media
+    .filter((entry) => entry?.mediaType === "image" && entry.caption)
+    .map((entry) => ({ description: entry.caption, url: entry.url }));
+}
+
 function serialize(label, payload) {
   const json = JSON.stringify(payload, null, 2);
   llmLogger.info(
@@ -50,6 +64,14 @@ export function buildImagePromptInstructions(context = {}) {
     }
   };
 
+  const referenceImagery = buildReferenceImagery(context.referenceImagery);
+  if (referenceImagery.length > 0) {
+    payload.guardrails.push(
+      "referenceImagery describes photos of the real workplace; match its setting, layout and equipment instead of inventing a generic office."
+    );
+    payload.referenceImagery = referenceImagery;
+  }
+
   return serialize("image_prompt_generation", payload);
 }
 
@@ -1,6 +1,8 @@
 import { llmLogger } from "../logger.js";
 import { JOB_FIELD_GUIDE } from "../domain/job-fields.js";
 
+export const REFINE_PROMPT_VERSION = "refine.v1";
+
 export function buildRefinementInstructions(context = {}) {
   const strictNotes = context?.strictMode
     ? "Previous output was not valid JSON. You MUST return a single JSON object that exactly matches the responseContract."
@@ -19,6 +21,9 @@ export function buildRefinementInstructions(context = {}) {
       company_profile: companyContextStr,
       market_conditions:
         "Assume a competitive market where clear salary and remote options drive engagement.",
+      ...(context.goldenContext
+        ? { golden_interview: context.goldenContext }
+        : {}),
     },
 
     guidelines: [
@@ -27,6 +32,11 @@ export function buildRefinementInstructions(context = {}) {
       "SMART OVERWRITE: Fix spelling, grammar, and vague sections. Expand single-line descriptions into compelling hooks. Keep specific technical requirements intact.",
       "TITLE SEO: If the title is 'Dev' or 'Manager', rename it to the industry standard search term (e.g., 'Senior Full Stack Engineer').",
       "SALARY HANDLING: If the user did NOT provide a salary, DO NOT invent a number range. Instead, write a compelling value prop string in the 'salary' field like: 'Competitive + Equity & Full Benefits' or 'Top-tier Market Rate'. Make it sound premium to maintain high CTR.",
+      ...(context.goldenContext
+        ? [
+            "GOLDEN INTERVIEW: context_layer.golden_interview holds facts the hiring manager confirmed in an interview (pay, schedule, team, growth, perks). Treat them as ground truth: never contradict them, and surface the most compelling specifics in the hook, duties, requirements and benefits.",
+          ]
+        : []),
       "CHANGE DETAILS: Analyze the modifications you made and populate changeDetails with bullet-style strings for titleChanges, descriptionChanges, requirementsChanges, and any optional otherChanges entries.",
     ],
 
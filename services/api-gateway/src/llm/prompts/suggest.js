@@ -1,6 +1,8 @@
 import { llmLogger } from "../logger.js";
 import { JOB_FIELD_GUIDE, JOB_REQUIRED_FIELDS } from "../domain/job-fields.js";
 
+export const SUGGEST_PROMPT_VERSION = "suggest.v1";
+
 export function buildSuggestionInstructions(context = {}) {
   const {
     companyContext = "",
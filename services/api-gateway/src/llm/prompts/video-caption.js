@@ -1,5 +1,7 @@
 import { llmLogger } from "../logger.js";
 
+export const VIDEO_CAPTION_PROMPT_VERSION = "video_caption.v1";
+
 function buildJobContext(jobSnapshot = {}) {
   const context = {};
   Object.entries(jobSnapshot).forEach(([key, value]) => {
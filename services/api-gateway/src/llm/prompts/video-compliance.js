@@ -1,5 +1,7 @@
 import { llmLogger } from "../logger.js";
 
+export const VIDEO_COMPLIANCE_PROMPT_VERSION = "video_compliance.v1";
+
 /**
  * Builds a human-readable summary of the video format for compliance context.
  *
@@ -7,6 +7,8 @@
 import { llmLogger } from "../logger.js";
 import { formatCapabilitiesForPrompt } from "../../video/video-capabilities.js";
 
+export const VIDEO_CONFIG_PROMPT_VERSION = "video_config.v1";
+
 /**
  * Sanitizes a value for inclusion in the prompt.
  * @param {any} value
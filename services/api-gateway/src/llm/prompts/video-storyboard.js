@@ -1,5 +1,7 @@
 import { llmLogger } from "../logger.js";
 
+export const VIDEO_STORYBOARD_PROMPT_VERSION = "video_storyboard.v1";
+
 function sanitize(value) {
   if (value === null || value === undefined) return undefined;
   if (typeof value === "string" && value.trim().length === 0) return undefined;
@@ -117,6 +119,7 @@ export function buildVideoStoryboardPrompt({
   channelName,
   recommendedMedium,
   branding = {},
+  referenceMedia = [],
   videoConfig,
   renderPlanSummary
 }) {
@@ -189,6 +192,18 @@ export function buildVideoStoryboardPrompt({
   if (brandingContext) {
     payload.branding_context = brandingContext;
   }
+
+  // Real photos/footage of the workplace uploaded during the golden interview
+  if (Array.isArray(referenceMedia) && referenceMedia.length > 0) {
+    payload.instructions.push(
+      "reference_imagery lists real photos and footage of the workplace; base visuals and b_roll on what they show."
+    );
+    payload.reference_imagery = referenceMedia.map((media) => ({
+      type: media.mediaType,
+      url: media.url,
+      description: media.caption ?? null
+    }));
+  }
   console.log("[video-storyboard-prompt] Branding context payload", {
     provided: Boolean(brandingContext),
     branding: brandingContext
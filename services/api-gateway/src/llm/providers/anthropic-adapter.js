@@ -2,7 +2,9 @@
 
 import { llmLogger } from "../logger.js";
 import { logRawTraffic } from "../raw-traffic-logger.js";
-import { formatForAnthropic } from "../utils/schema-converter.js";
+import { formatForAnthropic, formatToolsForAnthropic } from "../utils/schema-converter.js";
+import { serializeToolOutput } from "../utils/tool-calls.js";
+import { readSseEvents } from "../../utils/sse.js";
 
 /**
  * Models that support Structured Outputs (constrained decoding).
@@ -35,6 +37,19 @@ const STRUCTURED_OUTPUTS_EXCLUDED_TASKS = new Set([
  */
 const STRUCTURED_OUTPUTS_BETA = "structured-outputs-2025-11-13";
 
+/**
+ * Prompt cache lifetimes Anthropic offers. Tasks asking for more than five
+ * minutes get the one-hour cache (writes cost 2x input instead of 1.25x).
+ * See: https://docs.anthropic.com/en/docs/build-with-claude/prompt-caching
+ */
+const PROMPT_CACHE_TTL_SECONDS = { "5m": 300, "1h": 3600 };
+
+function resolvePromptCacheTtl(ttlSeconds) {
+  return typeof ttlSeconds === "number" && ttlSeconds > PROMPT_CACHE_TTL_SECONDS["5m"]
+    ? "1h"
+    : "5m";
+}
+
 /**
  * Adapter for Anthropic Claude API.
  *
@@ -46,6 +61,9 @@ const STRUCTURED_OUTPUTS_BETA = "structured-outputs-2025-11-13";
  * - Requires anthropic-version header
  * - Structured Outputs: Native JSON schema enforcement (with beta header)
  * - Prefill fallback: For older models without Structured Outputs support
+ * - Prompt caching: cacheable tasks send the system prompt as a cache_control block
+ * - Tool use: tools go in `tools`; calls come back as tool_use blocks and
+ *   results are sent as tool_result blocks in the next user message
  */
 export class AnthropicAdapter {
   constructor({ apiKey, apiUrl }) {
@@ -70,22 +88,12 @@ export class AnthropicAdapter {
   }
 
   /**
-   * Invoke Claude with the given options.
+   * Build the Messages API request for the given options.
    *
-   * @param {object} options
-   * @param {string} options.model - Claude model ID (e.g., "claude-sonnet-4-5-20250929")
-   * @param {string} [options.system] - System prompt
-   * @param {string} options.user - User message
-   * @param {string} [options.mode="text"] - Response mode: "text" or "json"
-   * @param {number} [options.temperature=0.2] - Temperature (0-1)
-   * @param {number} [options.maxTokens=800] - Maximum output tokens
-   * @param {string} [options.taskType] - Task type for logging
-   * @param {string} [options.route] - Route for logging
-   * @param {object} [options.outputSchema] - Zod schema for Structured Outputs (native enforcement)
-   * @param {string} [options.outputSchemaName] - Schema name for logging
-   * @returns {Promise<{text: string, json: object|null, metadata: object}>}
+   * @param {object} options - See invoke()
+   * @returns {{payload: object, headers: object, usePrefill: boolean, cacheTtlSeconds: number|null}}
    */
-  async invoke({
+  buildRequest({
     model,
     system,
     user,
@@ -93,9 +101,11 @@ export class AnthropicAdapter {
     temperature = 0.2,
     maxTokens = 800,
     taskType = null,
-    route = null,
     outputSchema = null,
     outputSchemaName = null,
+    cache = null,
+    tools = null,
+    toolTurns = [],
   }) {
     this.ensureKey();
 
@@ -113,13 +123,14 @@ export class AnthropicAdapter {
       !isExcludedTask;
 
     // Build messages array
-    const messages = [{ role: "user", content: user }];
+    const messages = [{ role: "user", content: user }, ...this.buildToolMessages(toolTurns)];
+    const hasTools = Array.isArray(tools) && tools.length > 0;
 
     // Use prefill technique ONLY if:
     // 1. JSON mode is requested AND
     // 2. We cannot use Structured Outputs (no schema or unsupported model)
-    // Note: Prefill is NOT compatible with Structured Outputs
-    const usePrefill = mode === "json" && !canUseStructuredOutputs;
+    // Note: Prefill is NOT compatible with Structured Outputs or tool use
+    const usePrefill = mode === "json" && !canUseStructuredOutputs && !hasTools;
 
     if (usePrefill) {
       messages.push({ role: "assistant", content: "{" });
@@ -146,6 +157,10 @@ export class AnthropicAdapter {
       messages,
     };
 
+    if (hasTools) {
+      payload.tools = formatToolsForAnthropic(tools);
+    }
+
     // Add Structured Outputs if available
     if (canUseStructuredOutputs) {
       const outputFormat = formatForAnthropic(outputSchema, outputSchemaName ?? "response");
@@ -164,8 +179,23 @@ export class AnthropicAdapter {
     }
 
     // Add system prompt if provided (Claude uses separate field, not in messages)
+    // Cacheable tasks mark it as a cache breakpoint; Anthropic keys the cache on
+    // the exact prefix, so repeat calls with the same prompt read it back.
+    let cacheTtlSeconds = null;
     if (system && system.trim().length > 0) {
-      payload.system = system;
+      if (cache) {
+        const ttl = resolvePromptCacheTtl(cache.ttlSeconds);
+        cacheTtlSeconds = PROMPT_CACHE_TTL_SECONDS[ttl];
+        payload.system = [
+          {
+            type: "text",
+            text: system,
+            cache_control: { type: "ephemeral", ttl },
+          },
+        ];
+      } else {
+        payload.system = system;
+      }
     }
 
     // Add temperature (Claude accepts 0-1)
@@ -173,15 +203,6 @@ export class AnthropicAdapter {
       payload.temperature = temperature;
     }
 
-    // Log raw traffic for debugging
-    await logRawTraffic({
-      taskId: taskType ?? "text",
-      direction: "REQUEST",
-      endpoint: route ?? null,
-      providerEndpoint: this.apiUrl,
-      payload,
-    });
-
     // Build headers - add beta header if using Structured Outputs
     const headers = {
       "Content-Type": "application/json",
@@ -193,6 +214,52 @@ export class AnthropicAdapter {
       headers["anthropic-beta"] = STRUCTURED_OUTPUTS_BETA;
     }
 
+    return { payload, headers, usePrefill, cacheTtlSeconds };
+  }
+
+  /**
+   * Messages for earlier tool turns (see utils/tool-calls.js): assistant
+   * tool_use blocks, answered by a user message of tool_result blocks.
+   * @param {Array<object>} toolTurns
+   * @returns {Array<object>}
+   */
+  buildToolMessages(toolTurns = []) {
+    return toolTurns.map((turn) => {
+      if (turn.role === "assistant") {
+        return {
+          role: "assistant",
+          content: [
+            ...(turn.text ? [{ type: "text", text: turn.text }] : []),
+            ...turn.toolCalls.map((call) => ({
+              type: "tool_use",
+              id: call.id,
+              name: call.name,
+              input: call.input ?? {},
+            })),
+          ],
+        };
+      }
+      return {
+        role: "user",
+        content: turn.results.map((result) => ({
+          type: "tool_result",
+          tool_use_id: result.id,
+          content: serializeToolOutput(result),
+          ...(result.isError ? { is_error: true } : {}),
+        })),
+      };
+    });
+  }
+
+  /**
+   * POST to the Messages API, turning error responses into thrown errors.
+   * @param {object} params
+   * @param {object} params.payload - Request body
+   * @param {object} params.headers - Request headers
+   * @param {string} [params.taskType] - Task type for logging
+   * @returns {Promise<Response>}
+   */
+  async post({ payload, headers, taskType }) {
     const response = await fetch(this.apiUrl, {
       method: "POST",
       headers,
@@ -221,25 +288,37 @@ export class AnthropicAdapter {
 
       throw new Error(errorMessage);
     }
+    return response;
+  }
 
-    const data = await response.json();
-
-    // Log raw response
-    await logRawTraffic({
-      taskId: taskType ?? "text",
-      direction: "RESPONSE",
-      endpoint: route ?? null,
-      providerEndpoint: this.apiUrl,
-      payload: data,
-    });
-
-    // Extract text content from response
-    // Claude returns: { content: [{ type: "text", text: "..." }] }
-    const textContent = data?.content?.find((block) => block.type === "text");
-    let content = textContent?.text ?? "";
-
-    if (!content && data?.content?.length === 0) {
-      const stopReason = data?.stop_reason;
+  /**
+   * Build the adapter result from the response text and usage.
+   * @param {object} params
+   * @param {string} params.content - Text returned by the model (without prefill)
+   * @param {boolean} params.missingContent - True when the model returned no content blocks
+   * @param {object|null} params.usage - Messages API usage block
+   * @param {string|null} params.stopReason - Messages API stop_reason
+   * @param {boolean} params.usePrefill - Whether the "{" prefill was sent
+   * @param {string} params.mode - "text" or "json"
+   * @param {string|null} params.taskType - Task type for logging
+   * @param {string} params.model - Model ID for logging
+   * @param {number|null} [params.cacheTtlSeconds] - Prompt cache TTL, when the system prompt was cached
+   * @param {Array<object>} [params.toolCalls] - Calls from tool_use blocks
+   * @returns {{text: string, json: object|null, metadata: object, toolCalls?: Array<object>}}
+   */
+  toResult({
+    content,
+    missingContent,
+    usage,
+    stopReason,
+    usePrefill,
+    mode,
+    taskType,
+    model,
+    cacheTtlSeconds = null,
+    toolCalls = [],
+  }) {
+    if (missingContent && toolCalls.length === 0) {
       llmLogger.warn(
         {
           taskType,
@@ -259,7 +338,7 @@ export class AnthropicAdapter {
 
     // Parse JSON if in json mode
     let parsedJson = null;
-    if (mode === "json") {
+    if (mode === "json" && toolCalls.length === 0) {
       try {
         // Strip markdown code fences if present
         let jsonStr = content.trim();
@@ -278,16 +357,22 @@ export class AnthropicAdapter {
     }
 
     // Extract usage metadata
-    const metadata = data?.usage
+    // input_tokens excludes cache reads and writes, which are billed at their own rates
+    const cachedTokens = usage?.cache_read_input_tokens ?? 0;
+    const cacheWriteTokens = usage?.cache_creation_input_tokens ?? 0;
+    const metadata = usage
       ? {
-          promptTokens: data.usage.input_tokens ?? null,
-          responseTokens: data.usage.output_tokens ?? null,
+          promptTokens: usage.input_tokens ?? null,
+          responseTokens: usage.output_tokens ?? null,
           totalTokens:
-            (data.usage.input_tokens ?? 0) + (data.usage.output_tokens ?? 0) || null,
-          stopReason: data.stop_reason ?? null,
-          // Include cache tokens if present (for prompt caching)
-          cacheCreationTokens: data.usage.cache_creation_input_tokens ?? null,
-          cacheReadTokens: data.usage.cache_read_input_tokens ?? null,
+            (usage.input_tokens ?? 0) +
+              (usage.output_tokens ?? 0) +
+              cachedTokens +
+              cacheWriteTokens || null,
+          stopReason: stopReason ?? null,
+          cachedTokens: cachedTokens || null,
+          cacheWriteTokens: cacheWriteTokens || null,
+          cacheTtlSeconds: cacheWriteTokens > 0 ? cacheTtlSeconds : null,
         }
       : undefined;
 
@@ -295,6 +380,138 @@ export class AnthropicAdapter {
       text: content.trim(),
       json: parsedJson,
       metadata,
+      ...(toolCalls.length > 0 ? { toolCalls } : {}),
     };
   }
+
+  /**
+   * Invoke Claude with the given options.
+   *
+   * @param {object} options
+   * @param {string} options.model - Claude model ID (e.g., "claude-sonnet-4-5-20250929")
+   * @param {string} [options.system] - System prompt
+   * @param {string} options.user - User message
+   * @param {string} [options.mode="text"] - Response mode: "text" or "json"
+   * @param {number} [options.temperature=0.2] - Temperature (0-1)
+   * @param {number} [options.maxTokens=800] - Maximum output tokens
+   * @param {string} [options.taskType] - Task type for logging
+   * @param {string} [options.route] - Route for logging
+   * @param {object} [options.outputSchema] - Zod schema for Structured Outputs (native enforcement)
+   * @param {string} [options.outputSchemaName] - Schema name for logging
+   * @param {{ttlSeconds: number|null}} [options.cache] - Cache the system prompt (see TASK_REGISTRY `cache`)
+   * @param {Array<object>} [options.tools] - Native tools (see utils/tool-calls.js)
+   * @param {Array<object>} [options.toolTurns] - Earlier tool calls and results
+   * @returns {Promise<{text: string, json: object|null, metadata: object, toolCalls?: Array<object>}>}
+   */
+  async invoke(options) {
+    const { model, mode = "text", taskType = null, route = null } = options;
+    const { payload, headers, usePrefill, cacheTtlSeconds } = this.buildRequest(options);
+
+    // Log raw traffic for debugging
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "REQUEST",
+      endpoint: route ?? null,
+      providerEndpoint: this.apiUrl,
+      payload,
+    });
+
+    const response = await this.post({ payload, headers, taskType });
+    const data = await response.json();
+
+    // Log raw response
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "RESPONSE",
+      endpoint: route ?? null,
+      providerEndpoint: this.apiUrl,
+      payload: data,
+    });
+
+    // Extract text content from response
+    // Claude returns: { content: [{ type: "text", text: "..." }] }
+    const textContent = data?.content?.find((block) => block.type === "text");
+    const content = textContent?.text ?? "";
+    const toolCalls = (data?.content ?? [])
+      .filter((block) => block.type === "tool_use")
+      .map((block) => ({ id: block.id, name: block.name, input: block.input ?? {} }));
+    return this.toResult({
+      content,
+      missingContent: !content && data?.content?.length === 0,
+      usage: data?.usage ?? null,
+      stopReason: data?.stop_reason ?? null,
+      usePrefill,
+      mode,
+      taskType,
+      model,
+      cacheTtlSeconds,
+      toolCalls,
+    });
+  }
+
+  /**
+   * Same contract as invoke(), but reads the message as it is generated.
+   * Text deltas include the "{" prefill so JSON readers see the whole object.
+   *
+   * @param {object} options - See invoke()
+   * @param {object} handlers
+   * @param {(text: string) => void} handlers.onText - Called with each raw text delta
+   * @returns {Promise<{text: string, json: object|null, metadata: object}>}
+   */
+  async invokeStream(options, { onText }) {
+    const { model, mode = "text", taskType = null, route = null } = options;
+    const request = this.buildRequest(options);
+    const payload = { ...request.payload, stream: true };
+
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "REQUEST",
+      endpoint: route ?? null,
+      providerEndpoint: this.apiUrl,
+      payload,
+    });
+
+    const response = await this.post({ payload, headers: request.headers, taskType });
+    if (request.usePrefill) {
+      onText("{");
+    }
+
+    let content = "";
+    let usage = null;
+    let stopReason = null;
+    for await (const { event, data } of readSseEvents(response.body)) {
+      const parsed = JSON.parse(data);
+      if (event === "message_start") {
+        usage = { ...parsed.message?.usage };
+      } else if (event === "content_block_delta" && parsed.delta?.type === "text_delta") {
+        content += parsed.delta.text;
+        onText(parsed.delta.text);
+      } else if (event === "message_delta") {
+        usage = { ...usage, ...parsed.usage };
+        stopReason = parsed.delta?.stop_reason ?? stopReason;
+      } else if (event === "error") {
+        throw new Error(`Anthropic API error: ${parsed.error?.message ?? "stream failed"}`);
+      }
+    }
+
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "RESPONSE",
+      endpoint: route ?? null,
+      providerEndpoint: this.apiUrl,
+      payload: { streamed: true, content, usage, stop_reason: stopReason },
+    });
+
+    return this.toResult({
+      content,
+      missingContent: !content,
+      usage,
+      stopReason,
+      usePrefill: request.usePrefill,
+      mode,
+      taskType,
+      model,
+      cacheTtlSeconds: request.cacheTtlSeconds,
+    });
+  }
 }
@@ -0,0 +1,88 @@
+import { llmLogger } from "../logger.js";
+
+const DEFAULT_FAILURE_THRESHOLD = 3;
+const DEFAULT_COOLDOWN_MS = 60_000;
+
+/**
+ * Per-provider circuit breaker for LLM adapters.
+ *
+ * A provider's circuit opens after `failureThreshold` consecutive invocation
+ * failures, or immediately on a rate-limit/quota error. While open, the
+ * orchestrator skips the provider and moves on to the task's fallbacks. After
+ * `cooldownMs` the circuit is half-open: the next request is let through, and
+ * a single failure re-opens it while a success closes it.
+ *
+ * Parser failures are not provider health signals and are never recorded here.
+ */
+export class ProviderCircuitBreaker {
+  constructor({
+    failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+    cooldownMs = DEFAULT_COOLDOWN_MS,
+    now = () => Date.now(),
+  } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.states = new Map();
+  }
+
+  /**
+   * @param {string} provider
+   * @returns {boolean} false while the provider's circuit is open
+   */
+  isAvailable(provider) {
+    const state = this.states.get(provider);
+    if (!state?.openUntil) {
+      return true;
+    }
+    if (this.now() < state.openUntil) {
+      return false;
+    }
+    state.openUntil = null;
+    state.halfOpen = true;
+    llmLogger.info({ provider }, "LLM provider circuit half-open");
+    return true;
+  }
+
+  recordSuccess(provider) {
+    const state = this.states.get(provider);
+    if (state?.halfOpen || state?.openUntil) {
+      llmLogger.info({ provider }, "LLM provider circuit closed");
+    }
+    this.states.delete(provider);
+  }
+
+  /**
+   * @param {string} provider
+   * @param {{rateLimited?: boolean}} [classification]
+   * @returns {boolean} true when this failure opened the circuit
+   */
+  recordFailure(provider, { rateLimited = false } = {}) {
+    const state = this.states.get(provider) ?? {
+      failures: 0,
+      openUntil: null,
+      halfOpen: false,
+    };
+    state.failures += 1;
+    this.states.set(provider, state);
+
+    const shouldOpen =
+      rateLimited || state.halfOpen || state.failures >= this.failureThreshold;
+    if (!shouldOpen) {
+      return false;
+    }
+
+    state.openUntil = this.now() + this.cooldownMs;
+    state.halfOpen = false;
+    llmLogger.warn(
+      {
+        provider,
+        failures: state.failures,
+        rateLimited,
+        cooldownMs: this.cooldownMs,
+      },
+      "LLM provider circuit opened"
+    );
+    return true;
+  }
+}
@@ -1,12 +1,14 @@
 // services/api-gateway/src/llm/providers/gemini-adapter.js
 
 import path from "node:path";
+import { createHash } from "node:crypto";
 import { createRequire } from "node:module";
 import { GoogleGenAI } from "@google/genai";
 import { llmLogger } from "../logger.js";
 import { logRawTraffic } from "../raw-traffic-logger.js";
 import { LLM_CORE_TASK } from "../../config/task-types.js";
-import { formatForGemini } from "../utils/schema-converter.js";
+import { formatForGemini, formatToolsForGemini } from "../utils/schema-converter.js";
+import { createToolCallId } from "../utils/tool-calls.js";
 
 const require = createRequire(import.meta.url);
 
@@ -35,6 +37,15 @@ const MAPS_GROUNDING_TASKS = new Set([
   LLM_CORE_TASK.REFINE,
 ]);
 
+// Context caching (tasks with a `cache` entry in TASK_REGISTRY).
+// Vertex AI rejects explicit caches smaller than this; estimated at ~4 chars/token.
+const MIN_CONTEXT_CACHE_TOKENS = 2048;
+const DEFAULT_CONTEXT_CACHE_TTL_SECONDS = 3600;
+// Stop handing out a cache shortly before it expires so calls never reference a deleted one
+const CONTEXT_CACHE_EXPIRY_MARGIN_MS = 60_000;
+// After a failed create, send the prompt inline for a while instead of retrying on every call
+const CONTEXT_CACHE_RETRY_COOLDOWN_MS = 5 * 60_000;
+
 export class GeminiAdapter {
   constructor({ location = "global" } = {}) {
     const keyFilename = path.resolve(
@@ -63,6 +74,9 @@ export class GeminiAdapter {
     this.projectId = projectId;
 
     this.clientsByLocation = new Map();
+    // Explicit context caches by hash of location + model + system prompt:
+    // { name, expiresAt } | { pending } while creating | { retryAfter } after a failure
+    this.contextCaches = new Map();
   }
 
   logUsageTokens({ taskType, model, usage }) {
@@ -133,6 +147,129 @@ export class GeminiAdapter {
     return `${base}:${action}`;
   }
 
+  /**
+   * Find or create the context cache holding this system prompt.
+   * Concurrent calls share one create; failures fall back to an inline prompt.
+   *
+   * @returns {Promise<{key: string, name: string, writeTokens: number, ttlSeconds: number}|null>}
+   *   writeTokens is non-zero only for the call that created the cache
+   */
+  async resolveContextCache({ client, location, model, systemText, cache, taskType }) {
+    if (!cache || !systemText || typeof client?.caches?.create !== "function") {
+      return null;
+    }
+    if (Math.ceil(systemText.length / 4) < MIN_CONTEXT_CACHE_TOKENS) {
+      return null;
+    }
+
+    const ttlSeconds = cache.ttlSeconds ?? DEFAULT_CONTEXT_CACHE_TTL_SECONDS;
+    const key = createHash("sha256")
+      .update(`${location}\n${model}\n${systemText}`)
+      .digest("hex");
+    const now = Date.now();
+    const existing = this.contextCaches.get(key);
+
+    if (existing?.pending) {
+      const shared = await existing.pending;
+      return shared ? { key, name: shared.name, writeTokens: 0, ttlSeconds } : null;
+    }
+    if (existing?.name && existing.expiresAt - now > CONTEXT_CACHE_EXPIRY_MARGIN_MS) {
+      return { key, name: existing.name, writeTokens: 0, ttlSeconds };
+    }
+    if (existing?.retryAfter > now) {
+      return null;
+    }
+
+    for (const [entryKey, entry] of this.contextCaches) {
+      if (entry.expiresAt <= now || entry.retryAfter <= now) {
+        this.contextCaches.delete(entryKey);
+      }
+    }
+
+    const pending = client.caches
+      .create({
+        model,
+        config: {
+          systemInstruction: systemText,
+          ttl: `${ttlSeconds}s`,
+          displayName: `${taskType ?? "text"}-${key.slice(0, 12)}`,
+        },
+      })
+      .then((created) => {
+        const expiresAt = created?.expireTime
+          ? Date.parse(created.expireTime)
+          : Date.now() + ttlSeconds * 1000;
+        this.contextCaches.set(key, { name: created.name, expiresAt });
+        llmLogger.info(
+          {
+            taskType,
+            model,
+            cacheName: created.name,
+            ttlSeconds,
+            cachedTokens: created?.usageMetadata?.totalTokenCount ?? null,
+          },
+          "GeminiAdapter created context cache"
+        );
+        return {
+          name: created.name,
+          tokens:
+            created?.usageMetadata?.totalTokenCount ?? Math.ceil(systemText.length / 4),
+        };
+      })
+      .catch((error) => {
+        this.contextCaches.set(key, {
+          retryAfter: Date.now() + CONTEXT_CACHE_RETRY_COOLDOWN_MS,
+        });
+        llmLogger.warn(
+          { taskType, model, err: error?.message },
+          "GeminiAdapter context cache create failed; sending system prompt inline"
+        );
+        return null;
+      });
+    this.contextCaches.set(key, { pending });
+
+    const created = await pending;
+    return created
+      ? { key, name: created.name, writeTokens: created.tokens, ttlSeconds }
+      : null;
+  }
+
+  /**
+   * Point a text request at the task's context cache, if it has one.
+   * Vertex AI does not accept systemInstruction or tools alongside cachedContent,
+   * so the cached system prompt replaces the inline one and grounded tasks skip caching.
+   *
+   * @param {object} config - GenerateContentConfig from buildConfig(), updated in place
+   * @returns {Promise<object|null>} See resolveContextCache()
+   */
+  async applyContextCache({ client, location, model, systemText, cache, taskType, config }) {
+    if (!cache || config.tools) {
+      return null;
+    }
+    const contextCache = await this.resolveContextCache({
+      client,
+      location,
+      model,
+      systemText,
+      cache,
+      taskType,
+    });
+    if (contextCache) {
+      config.cachedContent = contextCache.name;
+      delete config.systemInstruction;
+    }
+    return contextCache;
+  }
+
+  /**
+   * Forget a cache the API no longer recognises (deleted or expired early).
+   */
+  dropContextCacheOnError(contextCache, error) {
+    if (contextCache && /cached ?content/i.test(String(error?.message ?? error))) {
+      this.contextCaches.delete(contextCache.key);
+    }
+  }
+
   buildPrompt(system, user) {
     if (system && user) {
       return `${system}\n\n${user}`;
@@ -151,6 +288,10 @@ export class GeminiAdapter {
     route = null,
     outputSchema = null,
     outputSchemaName = null,
+    images = [],
+    cache = null,
+    tools = null,
+    toolTurns = [],
   }) {
     const userText = (user || "").trim();
     const systemText = (system || "").trim();
@@ -188,90 +329,38 @@ export class GeminiAdapter {
         imagePayload = null;
         contents = userText || systemText;
       }
+    } else if (images.length > 0) {
+      // Attached images (e.g. workplace photos to caption) go after the prompt text
+      contents = [
+        {
+          role: "user",
+          parts: [
+            { text: contents },
+            ...images.map(({ mimeType, data }) => ({ inlineData: { mimeType, data } })),
+          ],
+        },
+      ];
     }
-
-    const config = {
-      temperature,
-      maxOutputTokens: maxTokens,
-    };
-    let hasGroundingTools = false;
-    if (taskType) {
-      const wantsSearch = SEARCH_GROUNDING_TASKS.has(taskType);
-      const wantsMaps = MAPS_GROUNDING_TASKS.has(taskType);
-      const tools = [];
-      if (wantsSearch) {
-        tools.push({ googleSearch: {} });
-      }
-      if (wantsMaps) {
-        tools.push({ googleMaps: {} });
-      }
-      if (tools.length > 0) {
-        config.tools = tools;
-        hasGroundingTools = true;
-      }
-    }
-
-    if (taskType === LLM_CORE_TASK.IMAGE_GENERATION) {
-      // Request only image outputs to avoid billed "thought" text
-      config.responseModalities = ["IMAGE"];
-    }
-
-    if (systemText) {
-      config.systemInstruction = systemText;
+    if (toolTurns.length > 0) {
+      const opening = Array.isArray(contents)
+        ? contents
+        : [{ role: "user", parts: [{ text: contents }] }];
+      contents = [...opening, ...this.buildToolContents(toolTurns)];
     }
 
-    // JSON mode configuration
-    // Gemini API limitation: "Controlled generation" (responseMimeType AND responseJsonSchema)
-    // is NOT supported with Google Search/Maps grounding tools.
-    // When grounding is enabled, we skip both and rely on the prompt to request JSON output.
-    if (mode === "json" && taskType !== LLM_CORE_TASK.IMAGE_GENERATION) {
-      if (hasGroundingTools) {
-        // Grounding enabled: skip ALL controlled generation (Gemini API limitation)
-        // The prompt should request JSON output, and the parser will extract it from text
-        llmLogger.info(
-          {
-            taskType,
-            schemaName: outputSchemaName,
-            hasGroundingTools,
-            hasResponseMimeType: false,
-            hasResponseSchema: false,
-            reason: "grounding_blocks_controlled_generation",
-          },
-          "GeminiAdapter skipping JSON mode (incompatible with Search/Maps tools)"
-        );
-      } else {
-        // No grounding: safe to use controlled generation
-        config.responseMimeType = "application/json";
-
-        if (outputSchema) {
-          try {
-            const jsonSchema = formatForGemini(outputSchema);
-            if (jsonSchema) {
-              config.responseJsonSchema = jsonSchema;
-              llmLogger.info(
-                {
-                  taskType,
-                  schemaName: outputSchemaName,
-                  hasGroundingTools,
-                  hasResponseSchema: true,
-                },
-                "GeminiAdapter using native responseJsonSchema"
-              );
-            }
-          } catch (schemaError) {
-            llmLogger.warn(
-              {
-                taskType,
-                err: schemaError?.message,
-              },
-              "GeminiAdapter failed to convert outputSchema, falling back to JSON mode"
-            );
-          }
-        }
-      }
-    }
+    const config = this.buildConfig({
+      mode,
+      temperature,
+      maxTokens,
+      taskType,
+      systemText,
+      outputSchema,
+      outputSchemaName,
+      tools,
+    });
 
     let response;
+    let contextCache = null;
     const requestContext = {
       task: taskType ?? "unknown",
       provider: "vertex-ai-genai",
@@ -310,6 +399,15 @@ export class GeminiAdapter {
         );
         response = await client.images.generate(imageRequest);
       } else {
+        contextCache = await this.applyContextCache({
+          client,
+          location,
+          model,
+          systemText,
+          cache,
+          taskType,
+          config,
+        });
         const textRequest = {
           model,
           contents,
@@ -361,6 +459,7 @@ export class GeminiAdapter {
         }
       }
     } catch (error) {
+      this.dropContextCacheOnError(contextCache, error);
       llmLogger.error(
         {
           err: error,
@@ -524,9 +623,166 @@ export class GeminiAdapter {
       payload: response,
     });
 
-    const text = (response?.text || "").trim();
+    return this.buildTextResult({ response, mode, model, taskType, contextCache });
+  }
+
+  /**
+   * Contents for earlier tool turns (see utils/tool-calls.js): model
+   * functionCall parts (echoing Gemini's thought signatures), answered by a
+   * user turn of functionResponse parts.
+   * @param {Array<object>} toolTurns
+   * @returns {Array<object>} Content[]
+   */
+  buildToolContents(toolTurns = []) {
+    return toolTurns.map((turn) => {
+      if (turn.role === "assistant") {
+        return {
+          role: "model",
+          parts: [
+            ...(turn.text ? [{ text: turn.text }] : []),
+            ...turn.toolCalls.map((call) => ({
+              functionCall: { id: call.id, name: call.name, args: call.input ?? {} },
+              ...(call.thoughtSignature ? { thoughtSignature: call.thoughtSignature } : {}),
+            })),
+          ],
+        };
+      }
+      return {
+        role: "user",
+        parts: turn.results.map((result) => ({
+          functionResponse: {
+            id: result.id,
+            name: result.name,
+            response: result.isError ? { error: result.output } : { output: result.output },
+          },
+        })),
+      };
+    });
+  }
+
+  /**
+   * Generation config shared by invoke() and invokeStream().
+   * @returns {object} GenerateContentConfig
+   */
+  buildConfig({
+    mode,
+    temperature,
+    maxTokens,
+    taskType,
+    systemText,
+    outputSchema,
+    outputSchemaName,
+    tools = null,
+  }) {
+    const config = {
+      temperature,
+      maxOutputTokens: maxTokens,
+    };
+    let hasGroundingTools = false;
+    if (Array.isArray(tools) && tools.length > 0) {
+      // Function declarations cannot be combined with Search/Maps grounding
+      config.tools = formatToolsForGemini(tools);
+    } else if (taskType) {
+      const wantsSearch = SEARCH_GROUNDING_TASKS.has(taskType);
+      const wantsMaps = MAPS_GROUNDING_TASKS.has(taskType);
+      const tools = [];
+      if (wantsSearch) {
+        tools.push({ googleSearch: {} });
+      }
+      if (wantsMaps) {
+        tools.push({ googleMaps: {} });
+      }
+      if (tools.length > 0) {
+        config.tools = tools;
+        hasGroundingTools = true;
+      }
+    }
+
+    if (taskType === LLM_CORE_TASK.IMAGE_GENERATION) {
+      // Request only image outputs to avoid billed "thought" text
+      config.responseModalities = ["IMAGE"];
+    }
+
+    if (systemText) {
+      config.systemInstruction = systemText;
+    }
+
+    // JSON mode configuration
+    // Gemini API limitation: "Controlled generation" (responseMimeType AND responseJsonSchema)
+    // is NOT supported with Google Search/Maps grounding tools.
+    // When grounding is enabled, we skip both and rely on the prompt to request JSON output.
+    if (mode === "json" && taskType !== LLM_CORE_TASK.IMAGE_GENERATION) {
+      if (hasGroundingTools) {
+        // Grounding enabled: skip ALL controlled generation (Gemini API limitation)
+        // The prompt should request JSON output, and the parser will extract it from text
+        llmLogger.info(
+          {
+            taskType,
+            schemaName: outputSchemaName,
+            hasGroundingTools,
+            hasResponseMimeType: false,
+            hasResponseSchema: false,
+            reason: "grounding_blocks_controlled_generation",
+          },
+          "GeminiAdapter skipping JSON mode (incompatible with Search/Maps tools)"
+        );
+      } else {
+        // No grounding: safe to use controlled generation
+        config.responseMimeType = "application/json";
+
+        if (outputSchema) {
+          try {
+            const jsonSchema = formatForGemini(outputSchema);
+            if (jsonSchema) {
+              config.responseJsonSchema = jsonSchema;
+              llmLogger.info(
+                {
+                  taskType,
+                  schemaName: outputSchemaName,
+                  hasGroundingTools,
+                  hasResponseSchema: true,
+                },
+                "GeminiAdapter using native responseJsonSchema"
+              );
+            }
+          } catch (schemaError) {
+            llmLogger.warn(
+              {
+                taskType,
+                err: schemaError?.message,
+              },
+              "GeminiAdapter failed to convert outputSchema, falling back to JSON mode"
+            );
+          }
+        }
+      }
+    }
+
+    return config;
+  }
 
-    if (!text) {
+  /**
+   * Normalize a text response (complete or assembled from stream chunks).
+   * @param {object} params
+   * @param {object} params.response - GenerateContentResponse-like { text, usageMetadata, candidates }
+   * @param {string} params.mode - "text" or "json"
+   * @param {string} params.model - Model ID
+   * @param {string|null} params.taskType - Task type for logging
+   * @param {object|null} [params.contextCache] - Context cache used by the request (see resolveContextCache)
+   * @returns {{text: string, json: object|null, metadata: object, toolCalls?: Array<object>}}
+   */
+  buildTextResult({ response, mode, model, taskType, contextCache = null }) {
+    const text = (response?.text || "").trim();
+    const toolCalls = (response?.candidates?.[0]?.content?.parts ?? [])
+      .filter((part) => part?.functionCall)
+      .map(({ functionCall, thoughtSignature }) => ({
+        id: functionCall.id ?? createToolCallId(),
+        name: functionCall.name,
+        input: functionCall.args ?? {},
+        ...(thoughtSignature ? { thoughtSignature } : {}),
+      }));
+
+    if (!text && toolCalls.length === 0) {
       const finishReason = response?.candidates?.[0]?.finishReason ?? null;
       llmLogger.warn(
         {
@@ -543,7 +799,7 @@ export class GeminiAdapter {
     }
 
     let jsonPayload = null;
-    if (mode === "json") {
+    if (mode === "json" && toolCalls.length === 0) {
       try {
         let jsonStr = text.trim();
 
@@ -588,9 +844,19 @@ export class GeminiAdapter {
       ? searchQueries.length
       : null;
 
+    // promptTokenCount includes cache hits; report them apart so they are billed at the cached rate
+    const cachedTokens = usage?.cachedContentTokenCount ?? 0;
+    const cacheWriteTokens = contextCache?.writeTokens ?? 0;
+
     const metadata = usage
       ? {
-          promptTokens: usage.promptTokenCount ?? null,
+          promptTokens:
+            typeof usage.promptTokenCount === "number"
+              ? Math.max(usage.promptTokenCount - cachedTokens, 0)
+              : null,
+          cachedTokens: cachedTokens || null,
+          cacheWriteTokens: cacheWriteTokens || null,
+          cacheTtlSeconds: cacheWriteTokens > 0 ? contextCache.ttlSeconds : null,
           responseTokens: Number.isFinite(responseTokenSum)
             ? responseTokenSum
             : (candidateTokens ?? null),
@@ -606,6 +872,128 @@ export class GeminiAdapter {
         : undefined;
     this.logUsageTokens({ taskType, model, usage });
 
-    return { text, json: jsonPayload, metadata };
+    return {
+      text,
+      json: jsonPayload,
+      metadata,
+      ...(toolCalls.length > 0 ? { toolCalls } : {}),
+    };
+  }
+
+  /**
+   * Same contract as invoke(), but reads the response as it is generated.
+   * Image generation has nothing to stream and falls back to invoke().
+   *
+   * @param {object} options - See invoke()
+   * @param {object} handlers
+   * @param {(text: string) => void} handlers.onText - Called with each raw text delta
+   * @returns {Promise<{text: string, json: object|null, metadata: object}>}
+   */
+  async invokeStream(options, { onText }) {
+    const {
+      model,
+      system,
+      user,
+      mode = "text",
+      temperature = 0.2,
+      maxTokens = 800,
+      taskType = null,
+      route = null,
+      outputSchema = null,
+      outputSchemaName = null,
+      cache = null,
+    } = options;
+    if (taskType === LLM_CORE_TASK.IMAGE_GENERATION) {
+      return this.invoke(options);
+    }
+
+    const userText = (user || "").trim();
+    const systemText = (system || "").trim();
+    if (!userText && !systemText) {
+      throw new Error(
+        "Gemini adapter requires at least a user or system prompt"
+      );
+    }
+
+    const { client, location } = this.getClientForModel(model);
+    const requestEndpoint = this.buildEndpoint({ model, location, taskType });
+    const config = this.buildConfig({
+      mode,
+      temperature,
+      maxTokens,
+      taskType,
+      systemText,
+      outputSchema,
+      outputSchemaName,
+    });
+    const contextCache = await this.applyContextCache({
+      client,
+      location,
+      model,
+      systemText,
+      cache,
+      taskType,
+      config,
+    });
+    const textRequest = {
+      model,
+      contents: userText || systemText,
+      config,
+    };
+
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "REQUEST",
+      endpoint: route ?? null,
+      providerEndpoint: requestEndpoint,
+      payload: textRequest,
+    });
+
+    let text = "";
+    let lastChunk = null;
+    let usageMetadata = null;
+    let groundingMetadata = null;
+    try {
+      const stream = await client.models.generateContentStream(textRequest);
+      for await (const chunk of stream) {
+        const delta = chunk?.text ?? "";
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+        lastChunk = chunk;
+        usageMetadata = chunk?.usageMetadata ?? usageMetadata;
+        groundingMetadata =
+          chunk?.candidates?.[0]?.groundingMetadata ?? groundingMetadata;
+      }
+    } catch (error) {
+      this.dropContextCacheOnError(contextCache, error);
+      llmLogger.error(
+        {
+          err: error,
+          model,
+          project: this.projectId,
+          location: this.defaultLocation,
+        },
+        "Google GenAI SDK streaming failed"
+      );
+      throw error;
+    }
+
+    const response = {
+      text,
+      usageMetadata,
+      groundingMetadata,
+      candidates: lastChunk?.candidates,
+    };
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "RESPONSE",
+      endpoint: route ?? null,
+      providerEndpoint: requestEndpoint,
+      payload: { streamed: true, ...response },
+    });
+
+    return this.buildTextResult({ response, mode, model, taskType, contextCache });
   }
 }
@@ -1,6 +1,8 @@
 import { llmLogger } from "../logger.js";
 import { logRawTraffic } from "../raw-traffic-logger.js";
-import { formatForOpenAI } from "../utils/schema-converter.js";
+import { formatForOpenAI, formatToolsForOpenAI } from "../utils/schema-converter.js";
+import { parseToolArguments, serializeToolOutput } from "../utils/tool-calls.js";
+import { readSseEvents } from "../../utils/sse.js";
 
 export class OpenAIAdapter {
   constructor({ apiKey, apiUrl }) {
@@ -14,7 +16,7 @@ export class OpenAIAdapter {
     }
   }
 
-  async invoke({
+  buildPayload({
     model,
     system,
     user,
@@ -22,9 +24,10 @@ export class OpenAIAdapter {
     temperature = 0.2,
     maxTokens = 800,
     taskType = null,
-    route = null,
     outputSchema = null,
     outputSchemaName = null,
+    tools = null,
+    toolTurns = [],
   }) {
     this.ensureKey();
 
@@ -37,6 +40,7 @@ export class OpenAIAdapter {
       messages.push({ role: "system", content: system });
     }
     messages.push({ role: "user", content: user });
+    messages.push(...this.buildToolMessages(toolTurns));
 
     const payload = {
       model,
@@ -45,6 +49,11 @@ export class OpenAIAdapter {
       max_tokens: maxTokens,
     };
 
+    if (Array.isArray(tools) && tools.length > 0) {
+      payload.tools = formatToolsForOpenAI(tools);
+      payload.parallel_tool_calls = true;
+    }
+
     if (mode === "json") {
       // Use native structured outputs if outputSchema is provided
       if (outputSchema) {
@@ -81,14 +90,37 @@ export class OpenAIAdapter {
       }
     }
 
-    await logRawTraffic({
-      taskId: taskType ?? "text",
-      direction: "REQUEST",
-      endpoint: route ?? null,
-      providerEndpoint: this.apiUrl,
-      payload,
+    return payload;
+  }
+
+  /**
+   * Chat messages for earlier tool turns (see utils/tool-calls.js): assistant
+   * messages carrying tool_calls, then one "tool" message per result.
+   */
+  buildToolMessages(toolTurns = []) {
+    return toolTurns.flatMap((turn) => {
+      if (turn.role === "assistant") {
+        return [
+          {
+            role: "assistant",
+            content: turn.text || null,
+            tool_calls: turn.toolCalls.map((call) => ({
+              id: call.id,
+              type: "function",
+              function: { name: call.name, arguments: JSON.stringify(call.input ?? {}) },
+            })),
+          },
+        ];
+      }
+      return turn.results.map((result) => ({
+        role: "tool",
+        tool_call_id: result.id,
+        content: serializeToolOutput(result),
+      }));
     });
+  }
 
+  async post(payload) {
     const response = await fetch(this.apiUrl, {
       method: "POST",
       headers: {
@@ -102,16 +134,23 @@ export class OpenAIAdapter {
       const errorBody = await response.text();
       throw new Error(`OpenAI request failed: ${response.status} ${errorBody}`);
     }
+    return response;
+  }
+
+  toResult({ content, usage, mode, toolCalls = [] }) {
+    if (toolCalls.length > 0) {
+      return {
+        text: (content ?? "").trim(),
+        json: null,
+        metadata: this.toMetadata(usage),
+        toolCalls: toolCalls.map((call) => ({
+          id: call.id,
+          name: call.function?.name,
+          input: parseToolArguments(call.function?.arguments),
+        })),
+      };
+    }
 
-    const data = await response.json();
-    await logRawTraffic({
-      taskId: taskType ?? "text",
-      direction: "RESPONSE",
-      endpoint: route ?? null,
-      providerEndpoint: this.apiUrl,
-      payload: data,
-    });
-    const content = data?.choices?.[0]?.message?.content;
     if (!content) {
       throw new Error("OpenAI response missing content");
     }
@@ -128,14 +167,96 @@ export class OpenAIAdapter {
       }
     }
 
-    const metadata = data?.usage
+    return { text: content.trim(), json: parsedJson, metadata: this.toMetadata(usage) };
+  }
+
+  toMetadata(usage) {
+    return usage
       ? {
-          promptTokens: data.usage.prompt_tokens ?? null,
-          responseTokens: data.usage.completion_tokens ?? null,
-          totalTokens: data.usage.total_tokens ?? null,
+          promptTokens: usage.prompt_tokens ?? null,
+          responseTokens: usage.completion_tokens ?? null,
+          totalTokens: usage.total_tokens ?? null,
         }
       : undefined;
+  }
+
+  async invoke(options) {
+    const { taskType = null, route = null, mode = "text" } = options;
+    const payload = this.buildPayload(options);
+
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "REQUEST",
+      endpoint: route ?? null,
+      providerEndpoint: this.apiUrl,
+      payload,
+    });
+
+    const response = await this.post(payload);
+    const data = await response.json();
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "RESPONSE",
+      endpoint: route ?? null,
+      providerEndpoint: this.apiUrl,
+      payload: data,
+    });
+
+    return this.toResult({
+      content: data?.choices?.[0]?.message?.content,
+      usage: data?.usage,
+      mode,
+      toolCalls: data?.choices?.[0]?.message?.tool_calls ?? [],
+    });
+  }
+
+  /**
+   * Same contract as invoke(), but reads the completion as it is generated.
+   * @param {object} options - See invoke()
+   * @param {object} handlers
+   * @param {(text: string) => void} handlers.onText - Called with each raw text delta
+   * @returns {Promise<{text: string, json: object|null, metadata: object}>}
+   */
+  async invokeStream(options, { onText }) {
+    const { taskType = null, route = null, mode = "text" } = options;
+    const payload = {
+      ...this.buildPayload(options),
+      stream: true,
+      stream_options: { include_usage: true },
+    };
+
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "REQUEST",
+      endpoint: route ?? null,
+      providerEndpoint: this.apiUrl,
+      payload,
+    });
+
+    const response = await this.post(payload);
+    let content = "";
+    let usage = null;
+    for await (const { data } of readSseEvents(response.body)) {
+      if (data === "[DONE]") break;
+      const chunk = JSON.parse(data);
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        onText(delta);
+      }
+      if (chunk?.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    await logRawTraffic({
+      taskId: taskType ?? "text",
+      direction: "RESPONSE",
+      endpoint: route ?? null,
+      providerEndpoint: this.apiUrl,
+      payload: { streamed: true, content, usage },
+    });
 
-    return { text: content.trim(), json: parsedJson, metadata };
+    return this.toResult({ content, usage, mode });
   }
 }
@@ -0,0 +1,116 @@
+import { llmLogger } from "../logger.js";
+import { OpenAIAdapter } from "./openai-adapter.js";
+
+// Models without an entry in LOCAL_LLM_MODELS: plain chat, JSON from the prompt only
+const DEFAULT_MODEL_CAPABILITIES = Object.freeze({
+  jsonMode: false,
+  structuredOutputs: false,
+  toolCalling: false,
+  maxContextTokens: null,
+});
+
+// Rough prompt size estimate (~4 chars/token); local servers count with their own tokenizer
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Adapter for self-hosted OpenAI-compatible chat-completions servers
+ * (vLLM, llama.cpp server, Ollama).
+ *
+ * Same request/response handling as OpenAIAdapter, except:
+ * - `baseUrl` is the server's API root (e.g. http://localhost:8000/v1);
+ *   requests go to `${baseUrl}/chat/completions`
+ * - An API key is optional
+ * - JSON mode, structured outputs and tools are only requested from models
+ *   whose capability flags allow them (see LOCAL_LLM_MODELS in llm-config.js)
+ * - Prompts that cannot fit the model's context are refused before the call
+ */
+export class OpenAICompatibleAdapter extends OpenAIAdapter {
+  constructor({ baseUrl, apiKey = null, models = {} }) {
+    super({
+      apiKey,
+      apiUrl: baseUrl ? `${baseUrl.replace(/\/+$/, "")}/chat/completions` : null,
+    });
+    this.models = models;
+  }
+
+  /**
+   * Capability flags of a model served by the local server.
+   * @param {string} model - Model id
+   * @returns {{jsonMode: boolean, structuredOutputs: boolean, toolCalling: boolean, maxContextTokens: number|null}}
+   */
+  resolveCapabilities(model) {
+    return { ...DEFAULT_MODEL_CAPABILITIES, ...(this.models[model] ?? {}) };
+  }
+
+  ensureKey() {
+    if (!this.apiUrl) {
+      throw new Error("LOCAL_LLM_API_URL missing");
+    }
+  }
+
+  buildPayload(options) {
+    const capabilities = this.resolveCapabilities(options.model);
+    const hasTools = Array.isArray(options.tools) && options.tools.length > 0;
+    if (hasTools && !capabilities.toolCalling) {
+      throw new Error(`Local model ${options.model} does not support tool calling`);
+    }
+
+    const payload = super.buildPayload({
+      ...options,
+      outputSchema: capabilities.structuredOutputs ? options.outputSchema : null,
+    });
+
+    // Without JSON mode the prompt alone asks for JSON; toResult() still parses it
+    if (payload.response_format?.type === "json_object" && !capabilities.jsonMode) {
+      delete payload.response_format;
+    }
+
+    if (capabilities.maxContextTokens) {
+      const promptChars = payload.messages.reduce(
+        (total, message) =>
+          total +
+          (message.content?.length ?? 0) +
+          (message.tool_calls ? JSON.stringify(message.tool_calls).length : 0),
+        payload.tools ? JSON.stringify(payload.tools).length : 0
+      );
+      const promptTokens = Math.ceil(promptChars / CHARS_PER_TOKEN);
+      const available = capabilities.maxContextTokens - promptTokens;
+      if (available <= 0) {
+        throw new Error(
+          `Prompt of ~${promptTokens} tokens exceeds the ${capabilities.maxContextTokens}-token context of local model ${options.model}`
+        );
+      }
+      if (payload.max_tokens > available) {
+        llmLogger.info(
+          {
+            taskType: options.taskType ?? null,
+            model: options.model,
+            requestedMaxTokens: payload.max_tokens,
+            maxTokens: available,
+          },
+          "OpenAICompatibleAdapter capping max_tokens to the model context"
+        );
+        payload.max_tokens = available;
+      }
+    }
+
+    return payload;
+  }
+
+  async post(payload) {
+    const response = await fetch(this.apiUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      throw new Error(`Local LLM request failed: ${response.status} ${errorBody}`);
+    }
+    return response;
+  }
+}
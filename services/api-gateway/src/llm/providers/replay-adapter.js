@@ -0,0 +1,175 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { llmLogger } from "../logger.js";
+import { safePreview } from "../utils/parsing.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/** Default fixture location: services/api-gateway/fixtures/llm */
+export const DEFAULT_LLM_FIXTURES_DIR = path.resolve(__dirname, "../../../fixtures/llm");
+
+export const REPLAY_MODES = Object.freeze(["replay", "record"]);
+
+// Replayed text is handed to stream consumers in fixed-size chunks so
+// streaming runs are as deterministic as the final payload.
+const REPLAY_STREAM_CHUNK_SIZE = 64;
+
+/**
+ * Stable key for a request: everything that shapes the model's answer except
+ * the provider/model, so fixtures survive provider changes and fallbacks.
+ * @param {object} options - Adapter invoke options
+ * @returns {string} sha256 hex digest
+ */
+export function hashLlmPrompt({ system, user, mode, outputSchemaName, images, tools, toolTurns }) {
+  return createHash("sha256")
+    .update(
+      JSON.stringify({
+        system: system ?? null,
+        user: user ?? null,
+        mode: mode ?? "text",
+        outputSchemaName: outputSchemaName ?? null,
+        // Attached images only join the key when present, so text fixtures keep their hash
+        ...(images?.length ? { images: images.map((image) => image.data) } : {}),
+        // Same for native tools and the tool calls/results so far
+        ...(tools?.length ? { tools: tools.map((tool) => tool.name), toolTurns: toolTurns ?? [] } : {}),
+      })
+    )
+    .digest("hex");
+}
+
+function sanitizeSegment(value) {
+  return String(value ?? "unknown").replace(/[^A-Za-z0-9_.-]/g, "_");
+}
+
+/**
+ * File-backed fixtures, one JSON file per task + prompt hash:
+ * `<dir>/<taskType>/<promptHash>.json`.
+ */
+export class LlmFixtureStore {
+  constructor({ dir = DEFAULT_LLM_FIXTURES_DIR } = {}) {
+    this.dir = dir;
+  }
+
+  filePath(taskType, promptHash) {
+    return path.join(this.dir, sanitizeSegment(taskType), `${promptHash}.json`);
+  }
+
+  async read(taskType, promptHash) {
+    try {
+      const raw = await fs.promises.readFile(this.filePath(taskType, promptHash), "utf8");
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error?.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async write(fixture) {
+    const file = this.filePath(fixture.taskType, fixture.promptHash);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`, "utf8");
+    return file;
+  }
+}
+
+/**
+ * Deterministic stand-in for a provider adapter.
+ *
+ * - `replay`: serve the recorded response for (taskType, prompt hash); a miss
+ *   throws so CI fails loudly instead of reaching a live provider.
+ * - `record`: call the wrapped live adapter and save its response as a fixture.
+ *
+ * llm-client.js wraps every configured provider with one of these when
+ * LLM_REPLAY_MODE is set, so task config and fallback chains are unchanged.
+ */
+export class ReplayAdapter {
+  constructor({ provider, mode = "replay", store = new LlmFixtureStore(), delegate = null }) {
+    if (!REPLAY_MODES.includes(mode)) {
+      throw new Error(`Unknown LLM replay mode "${mode}" (expected ${REPLAY_MODES.join(" or ")})`);
+    }
+    this.provider = provider;
+    this.mode = mode;
+    this.store = store;
+    this.delegate = delegate;
+  }
+
+  async invoke(options) {
+    if (this.mode === "record") {
+      return this.record(options, () => this.requireDelegate().invoke(options));
+    }
+    return this.replay(options);
+  }
+
+  async invokeStream(options, { onText }) {
+    if (this.mode === "record") {
+      const delegate = this.requireDelegate();
+      return this.record(options, () =>
+        typeof delegate.invokeStream === "function"
+          ? delegate.invokeStream(options, { onText })
+          : delegate.invoke(options)
+      );
+    }
+    const response = await this.replay(options);
+    const text = response?.text ?? "";
+    for (let index = 0; index < text.length; index += REPLAY_STREAM_CHUNK_SIZE) {
+      onText(text.slice(index, index + REPLAY_STREAM_CHUNK_SIZE));
+    }
+    return response;
+  }
+
+  requireDelegate() {
+    if (!this.delegate) {
+      throw new Error(
+        `Cannot record LLM fixtures for provider ${this.provider}: no live adapter is configured`
+      );
+    }
+    return this.delegate;
+  }
+
+  async replay(options) {
+    const taskType = options.taskType ?? "unknown";
+    const promptHash = hashLlmPrompt(options);
+    const fixture = await this.store.read(taskType, promptHash);
+    if (!fixture) {
+      llmLogger.warn(
+        { provider: this.provider, taskType, promptHash, userPreview: safePreview(options.user) },
+        "No recorded LLM response for prompt"
+      );
+      throw new Error(
+        `No recorded LLM response for task ${taskType} (prompt ${promptHash}). ` +
+          "Run with LLM_REPLAY_MODE=record and live provider keys to capture it."
+      );
+    }
+    llmLogger.debug(
+      { provider: this.provider, taskType, promptHash, recordedWith: fixture.provider },
+      "Serving recorded LLM response"
+    );
+    return fixture.response;
+  }
+
+  async record(options, invokeLive) {
+    const response = await invokeLive();
+    const taskType = options.taskType ?? "unknown";
+    const promptHash = hashLlmPrompt(options);
+    try {
+      const file = await this.store.write({
+        taskType,
+        promptHash,
+        provider: this.provider,
+        model: options.model ?? null,
+        recordedAt: new Date().toISOString(),
+        userPreview: safePreview(options.user),
+        response,
+      });
+      llmLogger.info({ provider: this.provider, taskType, promptHash, file }, "Recorded LLM fixture");
+    } catch (error) {
+      // Recording is best-effort; never fail the live call because of it
+      llmLogger.warn({ err: error, taskType, promptHash }, "Failed to record LLM fixture");
+    }
+    return response;
+  }
+}
@@ -1,5 +1,20 @@
 import { llmLogger } from "../logger.js";
 
+function normalizeSelection(entry, task, label) {
+  const provider = typeof entry?.provider === "string"
+    ? entry.provider.trim()
+    : null;
+  const model = typeof entry?.model === "string"
+    ? entry.model.trim()
+    : null;
+
+  if (!provider || !model) {
+    throw new Error(`Provider/model missing for ${label} of task ${task}`);
+  }
+
+  return { provider, model };
+}
+
 export class ProviderSelectionPolicy {
   constructor(config) {
     this.config = { ...config };
@@ -11,30 +26,53 @@ export class ProviderSelectionPolicy {
       const resolved = this.resolve(task);
       this.cache.set(task, resolved);
       llmLogger.info(
-        { task, provider: resolved.provider, model: resolved.model },
+        {
+          task,
+          provider: resolved.provider,
+          model: resolved.model,
+          fallbacks: resolved.fallbacks.map(
+            (fallback) => `${fallback.provider}:${fallback.model}`
+          ),
+        },
         "LLM provider configured"
       );
     }
     return this.cache.get(task);
   }
 
+  /**
+   * Ordered candidates for a task: the primary selection first, then its
+   * configured fallbacks.
+   * @param {string} task
+   * @returns {Array<{provider: string, model: string}>}
+   */
+  selectChain(task) {
+    const { provider, model, fallbacks } = this.select(task);
+    return [{ provider, model }, ...fallbacks];
+  }
+
   resolve(task) {
     const taskConfig = this.config[task];
     if (!taskConfig) {
       throw new Error(`No provider selection config for task ${task}`);
     }
 
-    const provider = typeof taskConfig.provider === "string"
-      ? taskConfig.provider.trim()
-      : null;
-    const model = typeof taskConfig.model === "string"
-      ? taskConfig.model.trim()
-      : null;
+    const { provider, model } = normalizeSelection(taskConfig, task, "primary");
 
-    if (!provider || !model) {
-      throw new Error(`Provider/model missing for task ${task}`);
+    const fallbackConfig = taskConfig.fallbacks ?? [];
+    if (!Array.isArray(fallbackConfig)) {
+      throw new Error(`Fallbacks for task ${task} must be an array`);
     }
+    const fallbacks = fallbackConfig
+      .map((entry, index) => normalizeSelection(entry, task, `fallback ${index}`))
+      .filter(
+        (entry, index, list) =>
+          !(entry.provider === provider && entry.model === model) &&
+          list.findIndex(
+            (other) => other.provider === entry.provider && other.model === entry.model
+          ) === index
+      );
 
-    return { provider, model };
+    return { provider, model, fallbacks };
   }
 }
@@ -10,3 +10,12 @@ export function requestContextMiddleware(req, _res, next) {
 export function getRequestContext() {
   return store.getStore() ?? {};
 }
+
+/**
+ * Run `fn` with a stream sink that the orchestrator feeds while a task streams.
+ * @param {{onDelta: (text: string) => void, onReset?: (info: {attempt: number}) => void}} sink
+ * @param {() => Promise<any>} fn
+ */
+export function runWithLlmStream(sink, fn) {
+  return store.run({ ...getRequestContext(), llmStream: sink }, fn);
+}
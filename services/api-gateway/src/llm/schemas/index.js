@@ -84,24 +84,6 @@ export const ChannelsOutputSchema = z.object({
   ),
 });
 
-// =============================================================================
-// COPILOT AGENT TASK
-// =============================================================================
-
-const ActionSchema = z.object({
-  type: z.string().optional(),
-  label: z.string().optional(),
-  payload: z.any().optional(),
-});
-
-export const CopilotAgentOutputSchema = z.object({
-  type: z.enum(["tool_call", "final"]).describe("Response type"),
-  tool: z.string().optional().describe("Tool name when type=tool_call"),
-  input: z.record(z.any()).optional().describe("Tool input payload"),
-  message: z.string().optional().describe("Reply when type=final"),
-  actions: z.array(ActionSchema).optional().describe("Suggested UI actions"),
-});
-
 // =============================================================================
 // ASSET TASKS
 // =============================================================================
@@ -229,6 +211,22 @@ export const ImageCaptionOutputSchema = z.object({
   hashtags: z.array(z.string()).optional().describe("2-4 relevant hashtags"),
 });
 
+// =============================================================================
+// APPLICATION SCREENING TASK
+// =============================================================================
+
+export const ApplicationScreeningOutputSchema = z.object({
+  summary: z.string().describe("Two-sentence summary for the hiring team"),
+  criteria: z.array(
+    z.object({
+      criterion: z.string().describe("Criterion text copied from the input"),
+      verdict: z.enum(["met", "partial", "not_met", "unknown"])
+        .describe("Whether the resume shows the criterion is met"),
+      evidence: z.string().describe("Resume line that supports the verdict (empty when unknown)"),
+    })
+  ).describe("One entry per input criterion, in input order"),
+});
+
 // =============================================================================
 // COMPANY INTEL TASK
 // =============================================================================
@@ -262,6 +260,21 @@ const SocialsSchema = z.object({
   youtube: z.string().optional(),
 });
 
+const WorkplaceSchema = z.object({
+  companyAge: z.string().optional(),
+  companyStage: z.string().optional(),
+  fundingStatus: z.string().optional(),
+  healthInsurance: z.boolean().optional(),
+  dental: z.boolean().optional(),
+  vision: z.boolean().optional(),
+  retirementPlan: z.boolean().optional(),
+  retirementMatch: z.string().optional(),
+  mealsProvided: z.boolean().optional(),
+  commuterBenefits: z.string().optional(),
+  gym: z.boolean().optional(),
+  unionized: z.boolean().optional(),
+});
+
 const JobSchema = z.object({
   title: z.string(),
   url: z.string(),
@@ -294,6 +307,7 @@ const EvidenceSchema = z.object({
   profile: z.record(EvidenceEntrySchema).optional(),
   branding: z.record(EvidenceEntrySchema).optional(),
   socials: z.record(EvidenceEntrySchema).optional(),
+  workplace: z.record(EvidenceEntrySchema).optional(),
   jobs: z.array(z.object({
     title: z.string().optional(),
     url: z.string().optional(),
@@ -305,6 +319,7 @@ export const CompanyIntelOutputSchema = z.object({
   profile: ProfileSchema.optional(),
   branding: BrandingSchema.optional(),
   socials: SocialsSchema.optional(),
+  workplace: WorkplaceSchema.optional(),
   jobs: z.array(JobSchema).optional(),
   evidence: EvidenceSchema.optional(),
 });
@@ -356,3 +371,12 @@ export const GoldenRefineOutputSchema = z.object({
   suggestions: z.array(GoldenRefineSuggestionSchema)
     .describe("List of suggested improvements (empty if quality is 'good' or can_proceed is false with no alternatives)"),
 });
+
+// =============================================================================
+// GOLDEN RESUME RECAP TASK
+// =============================================================================
+
+export const GoldenResumeRecapOutputSchema = z.object({
+  recap: z.string()
+    .describe("2-4 sentence catch-up summary of what the interview has captured so far, addressed to the user"),
+});
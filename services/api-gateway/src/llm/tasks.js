@@ -1,16 +1,29 @@
-import { buildSuggestionInstructions } from "./prompts/suggest.js";
-import { buildRefinementInstructions } from "./prompts/refine.js";
-import { buildChannelRecommendationInstructions } from "./prompts/channels.js";
-import { buildCopilotAgentPrompt } from "./prompts/copilot-agent.js";
+import { buildSuggestionInstructions, SUGGEST_PROMPT_VERSION } from "./prompts/suggest.js";
+import { buildRefinementInstructions, REFINE_PROMPT_VERSION } from "./prompts/refine.js";
+import {
+  buildChannelRecommendationInstructions,
+  buildChannelCatalogContext,
+  CHANNELS_PROMPT_VERSION
+} from "./prompts/channels.js";
+import { buildCopilotAgentPrompt, COPILOT_AGENT_PROMPT_VERSION } from "./prompts/copilot-agent.js";
 import {
   buildAssetMasterPrompt,
   buildAssetChannelBatchPrompt,
-  buildAssetAdaptPrompt
+  buildAssetAdaptPrompt,
+  ASSET_MASTER_PROMPT_VERSION,
+  ASSET_CHANNEL_BATCH_PROMPT_VERSION,
+  ASSET_ADAPT_PROMPT_VERSION
 } from "./prompts/assets.js";
-import { buildVideoConfigPrompt } from "./prompts/video-config.js";
-import { buildVideoStoryboardPrompt } from "./prompts/video-storyboard.js";
-import { buildVideoCaptionPrompt } from "./prompts/video-caption.js";
-import { buildVideoCompliancePrompt } from "./prompts/video-compliance.js";
+import { buildVideoConfigPrompt, VIDEO_CONFIG_PROMPT_VERSION } from "./prompts/video-config.js";
+import {
+  buildVideoStoryboardPrompt,
+  VIDEO_STORYBOARD_PROMPT_VERSION,
+} from "./prompts/video-storyboard.js";
+import { buildVideoCaptionPrompt, VIDEO_CAPTION_PROMPT_VERSION } from "./prompts/video-caption.js";
+import {
+  buildVideoCompliancePrompt,
+  VIDEO_COMPLIANCE_PROMPT_VERSION,
+} from "./prompts/video-compliance.js";
 import { parseSuggestionResult } from "./parsers/suggest.js";
 import { parseRefinementResult } from "./parsers/refine.js";
 import { parseChannelResult } from "./parsers/channels.js";
@@ -26,16 +39,23 @@ import { parseVideoCaptionResult } from "./parsers/video-caption.js";
 import { parseVideoComplianceResult } from "./parsers/video-compliance.js";
 import {
   buildImagePromptInstructions,
-  buildImageGenerationPayload
+  buildImageGenerationPayload,
+  IMAGE_PROMPT_GENERATION_PROMPT_VERSION,
+  IMAGE_GENERATION_PROMPT_VERSION
 } from "./prompts/image.js";
-import { buildImageCaptionPrompt } from "./prompts/image-caption.js";
-import { buildCompanyIntelPrompt } from "./prompts/company-intel.js";
+import { buildImageCaptionPrompt, IMAGE_CAPTION_PROMPT_VERSION } from "./prompts/image-caption.js";
+import { buildCompanyIntelPrompt, COMPANY_INTEL_PROMPT_VERSION } from "./prompts/company-intel.js";
 import {
   parseImagePromptResult,
   parseImageGenerationResult
 } from "./parsers/image.js";
 import { parseImageCaptionResult } from "./parsers/image-caption.js";
 import { parseCompanyIntelResult } from "./parsers/company-intel.js";
+import {
+  buildApplicationScreeningPrompt,
+  APPLICATION_SCREENING_PROMPT_VERSION,
+} from "./prompts/application-screening.js";
+import { parseApplicationScreeningResult } from "./parsers/application-screening.js";
 import {
   logChannelPreview,
   logAssetPreview,
@@ -48,23 +68,30 @@ import { LLM_TASK_CONFIG } from "../config/llm-config.js";
 import {
   buildGoldenInterviewerTurnPrompt,
   buildGoldenInterviewerSystemPrompt,
+  GOLDEN_INTERVIEWER_PROMPT_VERSION,
 } from "./prompts/golden-interviewer.js";
 import { parseGoldenInterviewerResult } from "./parsers/golden-interviewer.js";
 import {
   buildGoldenDbUpdatePrompt,
   buildGoldenDbUpdateSystemPrompt,
+  GOLDEN_DB_UPDATE_PROMPT_VERSION,
 } from "./prompts/golden-db-update.js";
 import { parseGoldenDbUpdateResult } from "./parsers/golden-db-update.js";
 import {
   buildGoldenRefinePrompt,
   buildGoldenRefineSystemPrompt,
+  GOLDEN_REFINE_PROMPT_VERSION,
 } from "./prompts/golden-refine.js";
 import { parseGoldenRefineResult } from "./parsers/golden-refine.js";
+import {
+  buildGoldenResumeRecapPrompt,
+  GOLDEN_RESUME_RECAP_PROMPT_VERSION,
+} from "./prompts/golden-resume-recap.js";
+import { parseGoldenResumeRecapResult } from "./parsers/golden-resume-recap.js";
 import {
   SuggestOutputSchema,
   RefineOutputSchema,
   ChannelsOutputSchema,
-  CopilotAgentOutputSchema,
   AssetMasterOutputSchema,
   AssetChannelBatchOutputSchema,
   AssetAdaptOutputSchema,
@@ -78,8 +105,24 @@ import {
   GoldenInterviewerOutputSchema,
   GoldenDbUpdateOutputSchema,
   GoldenRefineOutputSchema,
+  GoldenResumeRecapOutputSchema,
+  ApplicationScreeningOutputSchema,
 } from "./schemas/index.js";
 
+// How long providers keep a cacheable task's system prompt. Gemini caches are
+// billed for storage per hour; Anthropic rounds up to its one-hour cache.
+const PROMPT_CACHE_TTL_SECONDS = 3600;
+
+/**
+ * Task fields, beyond builder/parser/mode:
+ * - promptVersion: id exported next to the builder (e.g. "suggest.v1"). Bump it
+ *   whenever the system prompt or builder output changes; usage logs record it
+ *   and eval reports (llm/evals) are compared by it.
+ * - cache: { ttlSeconds, contextBuilder? } marks the system prompt as a stable
+ *   prefix the provider should cache. contextBuilder(context) returns static
+ *   reference text (e.g. a catalog) appended to the system prompt so it is
+ *   cached too. Only declare it when the system prompt is the same across calls.
+ */
 export const TASK_REGISTRY = {
   suggest: {
     system: [
@@ -90,6 +133,7 @@ export const TASK_REGISTRY = {
       "Return strictly valid JSON that matches the requested contract—no extra text or keys."
     ].join(" "),
     builder: buildSuggestionInstructions,
+    promptVersion: SUGGEST_PROMPT_VERSION,
     parser: parseSuggestionResult,
     mode: "json",
     temperature: 0.1,
@@ -104,6 +148,7 @@ export const TASK_REGISTRY = {
     system:
       "You are a senior hiring editor. Respond ONLY with valid JSON that matches the requested structure.",
     builder: buildRefinementInstructions,
+    promptVersion: REFINE_PROMPT_VERSION,
     parser: parseRefinementResult,
     mode: "json",
     temperature: 0.15,
@@ -118,6 +163,7 @@ export const TASK_REGISTRY = {
     system:
       "You are a recruitment marketing strategist. Respond ONLY with valid JSON that matches the requested structure.",
     builder: buildChannelRecommendationInstructions,
+    promptVersion: CHANNELS_PROMPT_VERSION,
     parser: parseChannelResult,
     mode: "json",
     temperature: 0.2,
@@ -127,24 +173,30 @@ export const TASK_REGISTRY = {
     previewLogger: logChannelPreview,
     outputSchema: ChannelsOutputSchema,
     outputSchemaName: "channels_response",
+    cache: {
+      ttlSeconds: PROMPT_CACHE_TTL_SECONDS,
+      contextBuilder: buildChannelCatalogContext,
+    },
   },
   copilot_agent: {
     system:
-      "You are Wizard's recruiting copilot agent. Decide intelligently whether to call a tool or answer directly. Always return valid JSON.",
+      "You are Wizard's recruiting copilot agent. Decide intelligently whether to call tools or answer the user directly.",
     builder: buildCopilotAgentPrompt,
+    promptVersion: COPILOT_AGENT_PROMPT_VERSION,
     parser: parseCopilotAgentResult,
-    mode: "json",
+    // Tools and earlier tool calls/results come from the agent (copilot/agent.js)
+    acceptsTools: true,
+    mode: "text",
     temperature: 0.3,
     maxTokens: { default: 800, gemini: 2048 },
     retries: 1,
     strictOnRetry: true,
-    outputSchema: CopilotAgentOutputSchema,
-    outputSchemaName: "copilot_agent_response",
   },
   asset_master: {
     system:
       "You are a recruiting creative director producing hero scripts/prompts for paid media.",
     builder: buildAssetMasterPrompt,
+    promptVersion: ASSET_MASTER_PROMPT_VERSION,
     parser: parseAssetMasterResult,
     mode: "json",
     temperature: 0.35,
@@ -159,6 +211,7 @@ export const TASK_REGISTRY = {
     system:
       "You write channel-ready copy blocks for recruiting ads/posts. Follow the provided plan exactly.",
     builder: buildAssetChannelBatchPrompt,
+    promptVersion: ASSET_CHANNEL_BATCH_PROMPT_VERSION,
     parser: parseAssetChannelBatchResult,
     mode: "json",
     temperature: 0.25,
@@ -173,6 +226,7 @@ export const TASK_REGISTRY = {
     system:
       "You adapt a master recruiting script so it feels native to the specified platform.",
     builder: buildAssetAdaptPrompt,
+    promptVersion: ASSET_ADAPT_PROMPT_VERSION,
     parser: parseAssetAdaptResult,
     mode: "json",
     temperature: 0.3,
@@ -187,6 +241,7 @@ export const TASK_REGISTRY = {
     system:
       "You are a video creative strategist for short-form recruiting videos. Decide on creative intent like tone, pacing, and style. Do NOT mention APIs or technical details. Respond with valid JSON only.",
     builder: buildVideoConfigPrompt,
+    promptVersion: VIDEO_CONFIG_PROMPT_VERSION,
     parser: parseVideoConfigResult,
     mode: "json",
     temperature: 0.3,
@@ -201,6 +256,7 @@ export const TASK_REGISTRY = {
     system:
       "You craft structured storyboards for short-form recruiting videos. Respond with valid JSON only.",
     builder: buildVideoStoryboardPrompt,
+    promptVersion: VIDEO_STORYBOARD_PROMPT_VERSION,
     parser: parseVideoStoryboardResult,
     mode: "json",
     temperature: 0.25,
@@ -215,6 +271,7 @@ export const TASK_REGISTRY = {
     system:
       "You write concise, inclusive captions for short recruiting videos. Respond with JSON only.",
     builder: buildVideoCaptionPrompt,
+    promptVersion: VIDEO_CAPTION_PROMPT_VERSION,
     parser: parseVideoCaptionResult,
     mode: "json",
     temperature: 0.2,
@@ -229,6 +286,7 @@ export const TASK_REGISTRY = {
     system:
       "You are a compliance checker for employment ads. Respond with JSON flags only.",
     builder: buildVideoCompliancePrompt,
+    promptVersion: VIDEO_COMPLIANCE_PROMPT_VERSION,
     parser: parseVideoComplianceResult,
     mode: "json",
     maxTokens: { default: 400, gemini: 2000 },
@@ -243,6 +301,7 @@ export const TASK_REGISTRY = {
     system:
       "You are Gemini's research and enrichment agent collective. Respond ONLY with JSON that matches the response contract.",
     builder: buildCompanyIntelPrompt,
+    promptVersion: COMPANY_INTEL_PROMPT_VERSION,
     parser: parseCompanyIntelResult,
     mode: "json",
     temperature: 0.2,
@@ -256,6 +315,7 @@ export const TASK_REGISTRY = {
     system:
       "You turn structured job briefs into vivid prompts for image generation models. Respond only with JSON.",
     builder: buildImagePromptInstructions,
+    promptVersion: IMAGE_PROMPT_GENERATION_PROMPT_VERSION,
     parser: parseImagePromptResult,
     mode: "json",
     temperature: 0.2,
@@ -272,6 +332,7 @@ export const TASK_REGISTRY = {
     system:
       "You are a bridge that forwards prompts to an image model. Always respond with JSON describing the resulting image payload.",
     builder: buildImageGenerationPayload,
+    promptVersion: IMAGE_GENERATION_PROMPT_VERSION,
     parser: parseImageGenerationResult,
     mode: "json",
     temperature: 0,
@@ -283,7 +344,10 @@ export const TASK_REGISTRY = {
     system:
       "You craft short, compelling captions for AI images promoting open roles. Respond with JSON only.",
     builder: buildImageCaptionPrompt,
+    promptVersion: IMAGE_CAPTION_PROMPT_VERSION,
     parser: parseImageCaptionResult,
+    // Workplace photos from golden interviews are captioned from the image itself
+    acceptsImages: true,
     mode: "json",
     temperature: 0.35,
     maxTokens: { default: 400, gemini: 800 },
@@ -303,6 +367,7 @@ export const TASK_REGISTRY = {
       "You MUST respond with valid JSON matching the specified response format.",
     ].join(" "),
     builder: buildGoldenInterviewerTurnPrompt,
+    promptVersion: GOLDEN_INTERVIEWER_PROMPT_VERSION,
     parser: parseGoldenInterviewerResult,
     mode: "json",
     temperature: 0.7,
@@ -312,12 +377,17 @@ export const TASK_REGISTRY = {
     // Native structured output schema - enforces response structure at API level
     outputSchema: GoldenInterviewerOutputSchema,
     outputSchemaName: "golden_interviewer_response",
+    // Streamed to the chat UI as it is generated; ui_tool arrives with the final result
+    streamField: "message",
+    // The system prompt (interview protocol + UI tool catalog) is identical every turn
+    cache: { ttlSeconds: PROMPT_CACHE_TTL_SECONDS },
   },
   golden_db_update: {
     // TODO: Implement full system prompt
     systemBuilder: buildGoldenDbUpdateSystemPrompt,
     system: "You are a data extraction assistant. Extract structured data from user responses.",
     builder: buildGoldenDbUpdatePrompt,
+    promptVersion: GOLDEN_DB_UPDATE_PROMPT_VERSION,
     parser: parseGoldenDbUpdateResult,
     mode: "json",
     temperature: 0.1,
@@ -326,12 +396,14 @@ export const TASK_REGISTRY = {
     strictOnRetry: true,
     outputSchema: GoldenDbUpdateOutputSchema,
     outputSchemaName: "golden_db_update_response",
+    cache: { ttlSeconds: PROMPT_CACHE_TTL_SECONDS },
   },
   golden_refine: {
     // TODO: Implement full system prompt when requirements are finalized
     systemBuilder: buildGoldenRefineSystemPrompt,
     system: "You are a data refinement assistant. Analyze and suggest improvements to collected job data.",
     builder: buildGoldenRefinePrompt,
+    promptVersion: GOLDEN_REFINE_PROMPT_VERSION,
     parser: parseGoldenRefineResult,
     mode: "json",
     temperature: 0.3,
@@ -341,6 +413,34 @@ export const TASK_REGISTRY = {
     outputSchema: GoldenRefineOutputSchema,
     outputSchemaName: "golden_refine_response",
   },
+  golden_resume_recap: {
+    system:
+      "You write short, friendly catch-up summaries for people returning to an unfinished job interview. Respond with JSON only.",
+    builder: buildGoldenResumeRecapPrompt,
+    promptVersion: GOLDEN_RESUME_RECAP_PROMPT_VERSION,
+    parser: parseGoldenResumeRecapResult,
+    mode: "json",
+    temperature: 0.4,
+    maxTokens: { default: 600, gemini: 2048 },
+    retries: 2,
+    strictOnRetry: true,
+    outputSchema: GoldenResumeRecapOutputSchema,
+    outputSchemaName: "golden_resume_recap_response",
+  },
+  application_screening: {
+    system:
+      "You screen job applications against stated requirements, citing resume evidence for every verdict. Respond with JSON only.",
+    builder: buildApplicationScreeningPrompt,
+    promptVersion: APPLICATION_SCREENING_PROMPT_VERSION,
+    parser: parseApplicationScreeningResult,
+    mode: "json",
+    temperature: 0.1,
+    maxTokens: { default: 1500, gemini: 4096 },
+    retries: 2,
+    strictOnRetry: true,
+    outputSchema: ApplicationScreeningOutputSchema,
+    outputSchemaName: "application_screening_response",
+  },
 };
 
 const missingTaskConfig = Object.keys(TASK_REGISTRY).filter(
@@ -319,3 +319,67 @@ function removeUnsupportedGeminiFeatures(schema) {
 
   return cleaned;
 }
+
+/**
+ * JSON Schema for a tool's input. Providers require an object at the top
+ * level; tool inputs are not strict (optional fields stay optional).
+ *
+ * @param {{name: string, inputSchema?: import('zod').ZodTypeAny}} tool
+ * @returns {object} - JSON Schema object
+ */
+function toolInputJsonSchema(tool) {
+  const jsonSchema = tool.inputSchema ? zodToCleanJsonSchema(tool.inputSchema, tool.name) : null;
+  if (jsonSchema?.type !== "object") {
+    return { type: "object", properties: {} };
+  }
+  return jsonSchema;
+}
+
+/**
+ * Format tools for OpenAI's Chat Completions `tools` parameter.
+ *
+ * @param {Array<{name: string, description?: string, inputSchema?: import('zod').ZodTypeAny}>} tools
+ * @returns {Array<object>} - [{ type: "function", function: { name, description, parameters } }]
+ */
+export function formatToolsForOpenAI(tools = []) {
+  return tools.map((tool) => ({
+    type: "function",
+    function: {
+      name: tool.name,
+      description: tool.description ?? "",
+      parameters: toolInputJsonSchema(tool),
+    },
+  }));
+}
+
+/**
+ * Format tools for Gemini's `config.tools` (one functionDeclarations entry).
+ *
+ * @param {Array<{name: string, description?: string, inputSchema?: import('zod').ZodTypeAny}>} tools
+ * @returns {Array<object>} - [{ functionDeclarations: [{ name, description, parametersJsonSchema }] }]
+ */
+export function formatToolsForGemini(tools = []) {
+  return [
+    {
+      functionDeclarations: tools.map((tool) => ({
+        name: tool.name,
+        description: tool.description ?? "",
+        parametersJsonSchema: removeUnsupportedGeminiFeatures(toolInputJsonSchema(tool)),
+      })),
+    },
+  ];
+}
+
+/**
+ * Format tools for Anthropic's Messages API `tools` parameter.
+ *
+ * @param {Array<{name: string, description?: string, inputSchema?: import('zod').ZodTypeAny}>} tools
+ * @returns {Array<object>} - [{ name, description, input_schema }]
+ */
+export function formatToolsForAnthropic(tools = []) {
+  return tools.map((tool) => ({
+    name: tool.name,
+    description: tool.description ?? "",
+    input_schema: toolInputJsonSchema(tool),
+  }));
+}
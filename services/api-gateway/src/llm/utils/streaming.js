@@ -0,0 +1,113 @@
+/**
+ * Turn raw provider text deltas into user-facing deltas while a task streams.
+ *
+ * Text-mode tasks stream as-is. JSON-mode tasks stream only the top-level
+ * string field named by `task.streamField` (e.g. the golden interviewer's
+ * `message`); everything else, including `ui_tool`, arrives with the final
+ * parsed result.
+ */
+
+const SIMPLE_ESCAPES = {
+  '"': '"',
+  "\\": "\\",
+  "/": "/",
+  b: "\b",
+  f: "\f",
+  n: "\n",
+  r: "\r",
+  t: "\t",
+};
+
+/**
+ * Incrementally decode one top-level string field of a JSON object.
+ * Nested keys with the same name (e.g. inside `ui_tool.props`) are ignored.
+ *
+ * @param {string} field - Top-level key to extract
+ * @returns {(chunk: string) => string} Feed raw text; returns the newly decoded part of the field
+ */
+export function createJsonStringFieldReader(field) {
+  const containers = [];
+  let expectKey = false;
+  let inString = false;
+  let stringIsKey = false;
+  let capturing = false;
+  let done = false;
+  let escape = null;
+  let keyBuffer = "";
+  let lastKey = null;
+
+  return (chunk) => {
+    let delta = "";
+    if (done || !chunk) return delta;
+
+    for (const char of chunk) {
+      if (inString) {
+        let decoded = null;
+        if (escape !== null) {
+          if (escape === "" && char !== "u") {
+            decoded = SIMPLE_ESCAPES[char] ?? char;
+            escape = null;
+          } else {
+            escape += char;
+            if (escape.length === 5) {
+              decoded = String.fromCharCode(Number.parseInt(escape.slice(1), 16));
+              escape = null;
+            }
+          }
+        } else if (char === "\\") {
+          escape = "";
+        } else if (char === '"') {
+          inString = false;
+          if (stringIsKey) {
+            lastKey = keyBuffer;
+          } else if (capturing) {
+            done = true;
+            return delta;
+          }
+        } else {
+          decoded = char;
+        }
+        if (decoded !== null) {
+          if (stringIsKey) keyBuffer += decoded;
+          if (capturing) delta += decoded;
+        }
+        continue;
+      }
+
+      const top = containers[containers.length - 1];
+      if (char === "{" || char === "[") {
+        containers.push(char);
+        expectKey = char === "{";
+      } else if (char === "}" || char === "]") {
+        containers.pop();
+        expectKey = false;
+      } else if (char === ":") {
+        expectKey = false;
+      } else if (char === ",") {
+        expectKey = top === "{";
+      } else if (char === '"' && top) {
+        inString = true;
+        stringIsKey = top === "{" && expectKey;
+        keyBuffer = "";
+        capturing = !stringIsKey && containers.length === 1 && lastKey === field;
+      }
+    }
+    return delta;
+  };
+}
+
+/**
+ * Pick the delta reader for a task, or null when the task has nothing to
+ * stream (JSON tasks without a streamField, image generation).
+ * @param {object} task - TASK_REGISTRY entry
+ * @returns {((chunk: string) => string)|null}
+ */
+export function createTaskStreamReader(task) {
+  if (task.streamField) {
+    return createJsonStringFieldReader(task.streamField);
+  }
+  if ((task.mode ?? "text") === "text") {
+    return (chunk) => chunk ?? "";
+  }
+  return null;
+}
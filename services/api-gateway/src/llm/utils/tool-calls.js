@@ -0,0 +1,56 @@
+/**
+ * Provider-neutral native tool calling.
+ *
+ * Tasks with `acceptsTools` pass adapters two extra invoke options:
+ * - tools: [{ name, description, inputSchema }] where inputSchema is a Zod
+ *   schema (converted per provider by schema-converter.js)
+ * - toolTurns: the tool exchange so far, appended after the user prompt:
+ *     { role: "assistant", text?, toolCalls: [{ id, name, input, thoughtSignature? }] }
+ *     { role: "tool", results: [{ id, name, output, isError? }] }
+ *
+ * Adapters return the model's requested calls as `toolCalls` (same shape as
+ * above) next to text/json/metadata; several calls may come back at once.
+ */
+
+import { randomUUID } from "node:crypto";
+
+/**
+ * Tool result as the text the provider sends back to the model.
+ * @param {{output: unknown, isError?: boolean}} result
+ * @returns {string}
+ */
+export function serializeToolOutput(result) {
+  const payload = result?.isError ? { error: result.output } : result?.output;
+  if (typeof payload === "string") {
+    return payload;
+  }
+  return JSON.stringify(payload ?? null);
+}
+
+/**
+ * Decode JSON-encoded tool arguments (OpenAI). Malformed arguments are kept
+ * as the raw string so the tool's schema rejects them and the model sees why.
+ * @param {string|object|null} raw
+ * @returns {unknown}
+ */
+export function parseToolArguments(raw) {
+  if (raw === null || raw === undefined || raw === "") {
+    return {};
+  }
+  if (typeof raw !== "string") {
+    return raw;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Call id for providers that do not always assign one (Gemini).
+ * @returns {string}
+ */
+export function createToolCallId() {
+  return `call_${randomUUID()}`;
+}
@@ -12,12 +12,23 @@
  * - email: user email
  * - roles: array of roles
  * - orgId: organization ID (nullable)
+ *
+ * Guest invite tokens (golden interview) are opaque, not JWTs. They are only
+ * accepted where the mount passes `resolveGuestToken`, which maps the token to
+ * the inviting user and tags req.user with `guest`.
  */
 
 import { httpError } from "@wizard/utils";
 import { verifyAuthToken } from "../utils/auth-tokens.js";
 
-export function requireAuth({ logger }) {
+/**
+ * @param {object} options
+ * @param {object} options.logger
+ * @param {(token: string) => Promise<object|null>|null} [options.resolveGuestToken] -
+ *   Resolves a guest invite token to req.user; returns null for other tokens,
+ *   which are then verified as JWTs
+ */
+export function requireAuth({ logger, resolveGuestToken = null }) {
   return (req, _res, next) => {
     // Try Authorization header first
     const header = req.headers.authorization;
@@ -34,6 +45,22 @@ export function requireAuth({ logger }) {
       return next(httpError(401, "Missing Authorization header or token parameter"));
     }
 
+    const guestLookup = resolveGuestToken?.(token) ?? null;
+    if (guestLookup) {
+      return Promise.resolve(guestLookup)
+        .then((user) => {
+          req.user = user;
+          next();
+        })
+        .catch((error) => {
+          logger?.warn?.(
+            { err: error?.message, path: req.path },
+            "Guest invite token rejected"
+          );
+          next(error);
+        });
+    }
+
     try {
       const payload = verifyAuthToken(token);
       req.user = {
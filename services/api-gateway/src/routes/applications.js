@@ -0,0 +1,128 @@
+/**
+ * @file applications.js
+ * Candidate applications for published jobs.
+ *
+ * ARCHITECTURE:
+ * - applicationIntakeRouter is PUBLIC: candidates apply without an account,
+ *   so it is mounted without requireAuth in server.js.
+ * - applicationsRouter is PROTECTED: job owners read the ranked shortlist
+ *   and resumes. Screening itself runs through POST /api/llm with
+ *   taskType "screen_applications".
+ * - All Firestore access goes through services/applications.
+ */
+
+import { Router } from "express";
+import { z } from "zod";
+import { wrapAsync, httpError } from "@wizard/utils";
+import {
+  ApplicationAttributionSchema,
+  ApplicationCandidateSchema,
+} from "@wizard/core";
+import {
+  MAX_RESUME_TEXT_CHARS,
+  RESUME_MIME_TYPES,
+  getApplicationResume,
+  getJobShortlist,
+  submitApplication,
+} from "../services/applications/index.js";
+
+const applicationRequestSchema = z
+  .object({
+    candidate: ApplicationCandidateSchema,
+    resumeText: z.string().max(MAX_RESUME_TEXT_CHARS).optional(),
+    resumeFile: z
+      .object({
+        fileName: z.string().max(255).optional(),
+        mimeType: z.enum([RESUME_MIME_TYPES.TEXT, RESUME_MIME_TYPES.PDF]),
+        contentBase64: z.string().min(1),
+      })
+      .optional(),
+    coverLetter: z.string().max(10_000).optional(),
+    attribution: ApplicationAttributionSchema.optional(),
+  })
+  .refine((value) => value.resumeText?.trim() || value.resumeFile, {
+    message: "Provide resumeText or resumeFile",
+  });
+
+const shortlistQuerySchema = z.object({
+  limit: z.coerce.number().int().positive().max(200).optional(),
+});
+
+function getAuthenticatedUserId(req) {
+  const userId = req.user?.id;
+  if (!userId) {
+    throw httpError(401, "Unauthorized");
+  }
+  return userId;
+}
+
+export function applicationIntakeRouter({ firestore, logger, eventBus }) {
+  const router = Router();
+
+  // -------------------------------------------------------------------------
+  // POST /applications/jobs/:jobId - Apply to a published job
+  // -------------------------------------------------------------------------
+  router.post(
+    "/jobs/:jobId",
+    wrapAsync(async (req, res) => {
+      const payload = applicationRequestSchema.parse(req.body ?? {});
+      const result = await submitApplication({
+        firestore,
+        logger,
+        eventBus,
+        jobId: req.params.jobId,
+        payload,
+      });
+      res.status(201).json(result);
+    })
+  );
+
+  return router;
+}
+
+export function applicationsRouter({ firestore, logger }) {
+  const router = Router();
+
+  // -------------------------------------------------------------------------
+  // GET /applications/jobs/:jobId/shortlist - Ranked applications
+  // -------------------------------------------------------------------------
+  router.get(
+    "/jobs/:jobId/shortlist",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const { limit } = shortlistQuerySchema.parse(req.query ?? {});
+      const shortlist = await getJobShortlist({
+        firestore,
+        userId,
+        jobId: req.params.jobId,
+        limit,
+      });
+      logger?.info?.(
+        { userId, jobId: req.params.jobId, total: shortlist.total },
+        "applications.shortlist.read"
+      );
+      res.json(shortlist);
+    })
+  );
+
+  // -------------------------------------------------------------------------
+  // GET /applications/:applicationId/resume - Original resume file
+  // -------------------------------------------------------------------------
+  router.get(
+    "/:applicationId/resume",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const resume = await getApplicationResume({
+        firestore,
+        userId,
+        applicationId: req.params.applicationId,
+      });
+      if (resume.fileName) {
+        res.attachment(resume.fileName);
+      }
+      res.type(resume.mimeType).send(resume.content);
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,50 @@
+/**
+ * @file careers.js
+ * Data for the hosted careers site (apps/web /jobs/[companySlug]).
+ *
+ * ARCHITECTURE:
+ * - PUBLIC: This router is NOT behind requireAuth middleware.
+ *   Candidates browse the careers site without an account.
+ * - Serves the same finalized, included, unexpired jobs as the job board
+ *   feeds (see services/job-syndication).
+ */
+
+import { Router } from "express";
+import { wrapAsync } from "@wizard/utils";
+import { getCareersJob, getCareersSite } from "../services/job-syndication/index.js";
+
+const CAREERS_CACHE_CONTROL = "public, max-age=60";
+
+export function careersRouter({ firestore, logger }) {
+  const router = Router();
+
+  // -------------------------------------------------------------------------
+  // GET /careers/companies/:companySlug - Branding + open jobs
+  // -------------------------------------------------------------------------
+  router.get(
+    "/companies/:companySlug",
+    wrapAsync(async (req, res) => {
+      const site = await getCareersSite({
+        firestore,
+        logger,
+        companySlug: req.params.companySlug,
+      });
+      res.set("Cache-Control", CAREERS_CACHE_CONTROL);
+      res.json(site);
+    })
+  );
+
+  // -------------------------------------------------------------------------
+  // GET /careers/jobs/:jobId - One job page
+  // -------------------------------------------------------------------------
+  router.get(
+    "/jobs/:jobId",
+    wrapAsync(async (req, res) => {
+      const page = await getCareersJob({ firestore, jobId: req.params.jobId });
+      res.set("Cache-Control", CAREERS_CACHE_CONTROL);
+      res.json(page);
+    })
+  );
+
+  return router;
+}
@@ -20,7 +20,8 @@ import {
   CompanyDiscoveredJobSchema,
   CompanyEnrichmentStatusEnum,
   CompanyJobDiscoveryStatusEnum,
-  CompanyTypeEnum
+  CompanyTypeEnum,
+  ChannelIdEnum
 } from "@wizard/core";
 import {
   extractEmailDomain,
@@ -39,9 +40,12 @@ import {
   subscribeToDiscoveredJobs,
   getUserForCompanyResolution,
   listCompaniesForUser,
-  sanitizeCompanyRecord
+  sanitizeCompanyRecord,
+  listPublisherCredentials,
+  savePublisherCredential
 } from "../services/repositories/index.js";
 import { linkCompanyToUser } from "../services/repositories/index.js";
+import { CHANNEL_PUBLISH_RULES } from "../video/publishers/channel-rules.js";
 
 // =============================================================================
 // HELPERS
@@ -340,6 +344,34 @@ const companyUpdateSchema = z
   })
   .strict();
 
+// Channels that can publish videos directly once a company connects an account.
+const PUBLISHER_CHANNEL_IDS = Object.keys(CHANNEL_PUBLISH_RULES);
+
+const publisherCredentialSchema = z.object({
+  accessToken: z.string().min(1),
+  refreshToken: z.string().min(1).nullable().optional(),
+  accountId: z.string().min(1).nullable().optional(),
+  scopes: z.array(z.string()).optional(),
+  expiresAt: z.coerce.date().nullable().optional()
+});
+
+/**
+ * Describe a publisher credential slot without exposing its tokens.
+ * @param {string} channelId
+ * @param {Object|null} credential
+ * @returns {Object}
+ */
+function mapPublisherSlot(channelId, credential) {
+  return {
+    channelId,
+    connected: Boolean(credential),
+    accountId: credential?.accountId ?? null,
+    scopes: credential?.scopes ?? [],
+    expiresAt: credential?.expiresAt ?? null,
+    updatedAt: credential?.updatedAt ?? null
+  };
+}
+
 const createCompanySchema = z.object({
   primaryDomain: DomainStringSchema,
   name: z.string().min(2).optional(),
@@ -855,5 +887,59 @@ export function companiesRouter({ firestore, bigQuery, logger }) {
     })
   );
 
+  router.get(
+    "/my-companies/:companyId/publisher-credentials",
+    wrapAsync(async (req, res) => {
+      const user = req.user;
+      if (!user) {
+        throw httpError(401, "Unauthorized");
+      }
+      const companies = await listCompaniesForUser({ firestore, user, logger });
+      const targetCompany = companies.find((company) => company.id === req.params.companyId);
+      if (!targetCompany) {
+        throw httpError(404, "Company not found");
+      }
+      const credentials = await listPublisherCredentials(firestore, targetCompany.id);
+      const byChannel = new Map(credentials.map((credential) => [credential.channelId, credential]));
+      res.json({
+        companyId: targetCompany.id,
+        slots: PUBLISHER_CHANNEL_IDS.map((channelId) =>
+          mapPublisherSlot(channelId, byChannel.get(channelId) ?? null)
+        )
+      });
+    })
+  );
+
+  router.put(
+    "/my-companies/:companyId/publisher-credentials/:channelId",
+    wrapAsync(async (req, res) => {
+      const user = req.user;
+      if (!user) {
+        throw httpError(401, "Unauthorized");
+      }
+      const channelId = ChannelIdEnum.safeParse(req.params.channelId);
+      if (!channelId.success || !PUBLISHER_CHANNEL_IDS.includes(channelId.data)) {
+        throw httpError(400, "Channel does not support direct publishing");
+      }
+      const payload = publisherCredentialSchema.parse(req.body ?? {});
+      const companies = await listCompaniesForUser({ firestore, user, logger });
+      const targetCompany = companies.find((company) => company.id === req.params.companyId);
+      if (!targetCompany) {
+        throw httpError(404, "Company not found");
+      }
+      const saved = await savePublisherCredential(firestore, {
+        ...payload,
+        companyId: targetCompany.id,
+        channelId: channelId.data,
+        updatedAt: new Date()
+      });
+      logger?.info?.(
+        { userId: user.id, companyId: targetCompany.id, channelId: saved.channelId },
+        "company.publisher_credentials.saved"
+      );
+      res.json({ slot: mapPublisherSlot(saved.channelId, saved) });
+    })
+  );
+
   return router;
 }
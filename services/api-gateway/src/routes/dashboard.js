@@ -10,13 +10,28 @@
  */
 
 import { Router } from "express";
+import { z } from "zod";
 import { wrapAsync, httpError } from "@wizard/utils";
+import { CampaignSchema, ChannelIdEnum } from "@wizard/core";
 import {
   loadSummaryData,
   loadCampaignsData,
   loadLedgerData,
   loadActivityData
 } from "../services/repositories/index.js";
+import { requestCampaignLaunch } from "../services/campaign-launch-service.js";
+
+const launchRequestSchema = z.object({
+  jobIds: z.array(z.string().min(1)).min(1).optional(),
+  channels: z.array(ChannelIdEnum).min(1).optional(),
+  budget: z.number().min(0).optional(),
+  objective: CampaignSchema.shape.objective,
+});
+
+// Campaign statuses come from two generations of records: the legacy
+// lowercase values and the orchestrator's CampaignSchema enum.
+const LIVE_CAMPAIGN_STATUSES = ["live", "running"];
+const PLANNED_CAMPAIGN_STATUSES = ["scheduled", "planned", "draft"];
 
 function getAuthenticatedUserId(req) {
   const userId = req.user?.id;
@@ -85,9 +100,10 @@ function computeSummary(jobs = [], assets = []) {
     const campaigns = job.campaigns ?? [];
     summary.campaigns.total += campaigns.length;
     campaigns.forEach((campaign) => {
-      if (campaign.status === "live") {
+      const campaignStatus = String(campaign.status ?? "").toLowerCase();
+      if (LIVE_CAMPAIGN_STATUSES.includes(campaignStatus)) {
         summary.campaigns.live += 1;
-      } else if (["scheduled", "planned"].includes(campaign.status)) {
+      } else if (PLANNED_CAMPAIGN_STATUSES.includes(campaignStatus)) {
         summary.campaigns.planned += 1;
       }
     });
@@ -147,7 +163,7 @@ function extractCampaigns(jobs = []) {
   );
 }
 
-function extractLedger(jobs = [], purchases = []) {
+function extractLedger(jobs = [], purchases = [], ledgerEntries = []) {
   const entries = [];
 
   jobs.forEach((job) => {
@@ -196,6 +212,23 @@ function extractLedger(jobs = [], purchases = []) {
     });
   });
 
+  // Purchases are already listed from creditPurchases above.
+  ledgerEntries
+    .filter((entry) => entry.type !== "PURCHASE")
+    .forEach((entry) => {
+      entries.push({
+        id: entry.id,
+        jobId: entry.jobId ?? "account",
+        type: entry.type,
+        workflow: entry.workflow,
+        amount: Number(entry.credits ?? 0),
+        status: entry.status.toLowerCase(),
+        occurredAt: entry.occurredAt,
+        purchaseAmountUsd: null,
+        currency: null
+      });
+    });
+
   return entries
     .filter((entry) => Boolean(entry.occurredAt))
     .sort(
@@ -252,7 +285,7 @@ function extractActivity(jobs = [], assets = []) {
     .slice(0, 25);
 }
 
-export function dashboardRouter({ firestore, logger }) {
+export function dashboardRouter({ firestore, logger, eventBus }) {
   const router = Router();
 
   router.get(
@@ -298,15 +331,33 @@ export function dashboardRouter({ firestore, logger }) {
     })
   );
 
+  router.post(
+    "/campaigns/launch",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const payload = launchRequestSchema.parse(req.body ?? {});
+
+      const result = await requestCampaignLaunch({
+        firestore,
+        logger,
+        eventBus,
+        userId,
+        payload,
+      });
+
+      res.status(202).json(result);
+    })
+  );
+
   router.get(
     "/ledger",
     wrapAsync(async (req, res) => {
       const userId = getAuthenticatedUserId(req);
 
       // Load data via repository
-      const { jobs, purchases } = await loadLedgerData(firestore, userId);
+      const { jobs, purchases, ledgerEntries } = await loadLedgerData(firestore, userId);
 
-      const entries = extractLedger(jobs, purchases);
+      const entries = extractLedger(jobs, purchases, ledgerEntries);
       logger.info({ userId, entryCount: entries.length }, "Fetched credit ledger entries");
       res.json({ entries });
     })
@@ -0,0 +1,77 @@
+/**
+ * @file feeds.js
+ * Job board syndication feeds.
+ *
+ * ARCHITECTURE:
+ * - PUBLIC: This router is NOT behind requireAuth middleware.
+ *   Job boards and crawlers fetch these URLs without credentials.
+ * - Only finalized jobs that are included and not expired are served
+ *   (see services/job-syndication).
+ */
+
+import { Router } from "express";
+import { wrapAsync } from "@wizard/utils";
+import {
+  buildCompanyJobFeed,
+  getSyndicatedPosting,
+  renderIndeedXmlFeed,
+  renderJobPostingJsonLd,
+} from "../services/job-syndication/index.js";
+
+const FEED_CACHE_CONTROL = "public, max-age=300";
+
+export function feedsRouter({ firestore, logger }) {
+  const router = Router();
+
+  // -------------------------------------------------------------------------
+  // GET /feeds/companies/:companyId/jobs.xml - Indeed-style XML feed
+  // -------------------------------------------------------------------------
+  router.get(
+    "/companies/:companyId/jobs.xml",
+    wrapAsync(async (req, res) => {
+      const { company, postings } = await buildCompanyJobFeed({
+        firestore,
+        logger,
+        companyId: req.params.companyId,
+      });
+      const xml = renderIndeedXmlFeed({
+        publisher: company.name ?? company.primaryDomain,
+        publisherUrl: company.website ?? null,
+        postings,
+        generatedAt: new Date(),
+      });
+      res.set("Cache-Control", FEED_CACHE_CONTROL);
+      res.type("application/xml").send(xml);
+    })
+  );
+
+  // -------------------------------------------------------------------------
+  // GET /feeds/companies/:companyId/jobs.jsonld - JobPosting list
+  // -------------------------------------------------------------------------
+  router.get(
+    "/companies/:companyId/jobs.jsonld",
+    wrapAsync(async (req, res) => {
+      const { postings } = await buildCompanyJobFeed({
+        firestore,
+        logger,
+        companyId: req.params.companyId,
+      });
+      res.set("Cache-Control", FEED_CACHE_CONTROL);
+      res.type("application/ld+json").send(JSON.stringify(postings.map(renderJobPostingJsonLd)));
+    })
+  );
+
+  // -------------------------------------------------------------------------
+  // GET /feeds/jobs/:jobId.jsonld - JobPosting for one job (Google for Jobs)
+  // -------------------------------------------------------------------------
+  router.get(
+    "/jobs/:jobId.jsonld",
+    wrapAsync(async (req, res) => {
+      const posting = await getSyndicatedPosting({ firestore, jobId: req.params.jobId });
+      res.set("Cache-Control", FEED_CACHE_CONTROL);
+      res.type("application/ld+json").send(JSON.stringify(renderJobPostingJsonLd(posting)));
+    })
+  );
+
+  return router;
+}
@@ -9,12 +9,50 @@
  * - The Golden Interviewer service does NOT import or call llmClient
  *   or recordLlmUsageFromResult directly.
  * - It uses fetch() to call the /api/llm endpoint.
+ * - goldenInterviewGuestRouter serves invite holders (no account): it is
+ *   mounted with a requireAuth that resolves invite tokens, and only reaches
+ *   the invite's own session.
  */
 
-import { Router } from "express";
+import express, { Router } from "express";
 import { z } from "zod";
 import { wrapAsync, httpError, loadEnv } from "@wizard/utils";
+import { RespondentPerspectiveEnum } from "@wizard/core";
 import { createGoldenInterviewerService } from "../golden-interviewer/service.js";
+import {
+  getGroupMerge,
+  saveGroupResolutions,
+  completeGroup,
+} from "../golden-interviewer/stakeholder-merge.js";
+import {
+  createInvite,
+  listInvites,
+  revokeInvite,
+  getGuestInvite,
+  toGuestInviteResponse,
+  startGuestSession,
+  recordGuestTurn,
+} from "../golden-interviewer/guest-invites.js";
+import { getCompanyGoldenProfile } from "../golden-interviewer/company-defaults.js";
+import { getInterviewAnalytics } from "../golden-interviewer/interview-analytics.js";
+import {
+  getRoleRulesForCompany,
+  updateRoleRulesForCompany,
+  previewRoleRulesForCompany,
+} from "../golden-interviewer/company-role-rules.js";
+import { RELEVANCE_LEVELS } from "../golden-interviewer/role-archetypes.js";
+import {
+  MEDIA_CONTENT_TYPES,
+  MAX_VIDEO_BYTES,
+  uploadInterviewMedia,
+} from "../golden-interviewer/interview-media.js";
+import {
+  EXPORT_FORMATS,
+  exportGoldenRecord,
+} from "../golden-interviewer/golden-export.js";
+import { getSession } from "../services/repositories/golden-interviewer-repository.js";
+import { createDraftFromGoldenSession } from "../services/wizard/index.js";
+import { openEventStream, sendEvent } from "../utils/sse.js";
 
 // =============================================================================
 // REQUEST SCHEMAS
@@ -22,6 +60,10 @@ import { createGoldenInterviewerService } from "../golden-interviewer/service.js
 
 const StartSessionSchema = z.object({
   initialData: z.record(z.any()).optional(),
+  // Who is answering; defaults to the hiring manager
+  perspective: RespondentPerspectiveEnum.optional(),
+  // Existing session for the same role; both are merged into one golden record
+  linkedSessionId: z.string().min(1).optional(),
 });
 
 // Skip reason enum for explicit skip signals
@@ -46,6 +88,93 @@ const ChatRequestSchema = z.object({
   skipAction: SkipActionSchema.optional(),
   // Set to true when user already saw refine suggestions and is confirming a value
   acceptRefinedValue: z.boolean().optional().default(false),
+  // Answer as SSE: message `delta` events first, then the full turn as `result`
+  stream: z.boolean().optional().default(false),
+});
+
+const CompleteSessionSchema = z.object({
+  // Also create a wizard job draft from the golden schema
+  createJobDraft: z.boolean().optional().default(false),
+});
+
+// Pick one respondent's value, blend a new value, or clear (null)
+const FieldResolutionSchema = z.union([
+  z.object({ sessionId: z.string().min(1) }),
+  z.object({ value: z.any() }),
+  z.null(),
+]);
+
+const GroupResolutionsSchema = z.object({
+  resolutions: z.record(FieldResolutionSchema),
+});
+
+const CreateInviteSchema = z.object({
+  // Active session the guest continues; otherwise the guest starts a new one
+  sessionId: z.string().min(1).optional(),
+  // New session prefill (ignored with sessionId)
+  perspective: RespondentPerspectiveEnum.optional(),
+  linkedSessionId: z.string().min(1).optional(),
+  initialData: z
+    .object({
+      companyId: z.string().min(1).optional(),
+      companyName: z.string().min(1).optional(),
+    })
+    .optional(),
+  respondentName: z.string().trim().min(1).max(120).optional(),
+  expiresInDays: z.number().int().min(1).max(30).optional(),
+});
+
+// Company role archetype (new, or changes to a built-in one)
+const RoleArchetypeSchema = z
+  .object({
+    label: z.string().trim().min(1).max(80).optional(),
+    description: z.string().trim().max(300).optional(),
+    keywords: z.array(z.string().trim().toLowerCase().min(1).max(60)).max(100).optional(),
+    payType: z.enum(["hourly", "salary", "varies"]).optional(),
+    remoteRelevant: z.boolean().optional(),
+    equityRelevant: z.boolean().optional(),
+    tipsRelevant: z.boolean().optional(),
+    // Built-in archetype a new archetype takes flags and field relevance from
+    baseArchetype: z.string().min(1).optional(),
+  })
+  .strict();
+
+// null removes a company archetype / relevance override
+const RoleRulesPatchSchema = z.object({
+  archetypes: z.record(RoleArchetypeSchema.nullable()).optional(),
+  fieldRelevance: z
+    .record(z.record(z.enum(RELEVANCE_LEVELS).nullable()).nullable())
+    .optional(),
+});
+
+const RoleRulesPreviewSchema = z.object({
+  roleTitle: z.string().trim().min(1).max(200),
+  industry: z.string().trim().max(200).optional(),
+  payFrequency: z.enum(["hourly", "salary"]).optional(),
+  remoteAllowed: z.boolean().optional(),
+  hasEquity: z.boolean().optional(),
+  // Unsaved changes to preview alongside the saved rules
+  rules: RoleRulesPatchSchema.optional(),
+});
+
+const AnalyticsQuerySchema = z.object({
+  // "all" reports on every user's interviews (admins only)
+  scope: z.enum(["mine", "all"]).optional().default("mine"),
+  days: z.coerce.number().int().min(1).max(365).optional(),
+});
+
+// The file itself is the raw request body; its type is the Content-Type header
+const MediaUploadQuerySchema = z.object({
+  filename: z.string().trim().min(1).max(200).optional(),
+});
+
+const ExportQuerySchema = z.object({
+  format: z.enum(EXPORT_FORMATS).optional().default("json"),
+  // Sensitive fields (pay, equity, company finances) are left out unless "true"
+  includeSensitive: z
+    .enum(["true", "false"])
+    .optional()
+    .transform((value) => value === "true"),
 });
 
 // =============================================================================
@@ -92,32 +221,196 @@ function verifySessionOwnership(session, userId) {
   }
 }
 
-// =============================================================================
-// ROUTER FACTORY
-// =============================================================================
-
 /**
- * Create the Golden Interview router
+ * Create the interviewer service for a router. NO llmClient, NO bigQuery:
+ * all LLM calls go through HTTP POST /api/llm
  * @param {object} options
- * @param {object} options.firestore - Firestore adapter
- * @param {object} options.logger - Logger instance
- * @returns {Router}
+ * @param {object} options.firestore
+ * @param {object} options.logger
  */
-export function goldenInterviewRouter({ firestore, logger }) {
-  const router = Router();
-
+function createInterviewService({ firestore, logger }) {
   // Determine API base URL for internal HTTP calls
   const env = loadEnv();
   const port = Number(env.PORT ?? 4000);
   const apiBaseUrl = `http://127.0.0.1:${port}`;
 
-  // Create service instance - NO llmClient, NO bigQuery
-  // All LLM calls go through HTTP POST /api/llm
-  const interviewService = createGoldenInterviewerService({
+  return createGoldenInterviewerService({
     firestore,
     logger,
     apiBaseUrl,
   });
+}
+
+/**
+ * Run one chat turn and answer as JSON, or as SSE when `body.stream` is set
+ * @param {object} params
+ * @param {object} params.interviewService
+ * @param {object} params.logger
+ * @param {Response} params.res
+ * @param {object} params.body - Parsed ChatRequestSchema body
+ * @param {string} params.authToken - Bearer token for LLM API calls
+ * @param {Function} [params.onResult] - Called with the turn result before it is sent
+ */
+async function respondWithTurn({
+  interviewService,
+  logger,
+  res,
+  body,
+  authToken,
+  onResult = null,
+}) {
+  const turnParams = {
+    sessionId: body.sessionId,
+    authToken,
+    userMessage: body.userMessage,
+    uiResponse: body.uiResponse,
+    skipAction: body.skipAction || null,
+    acceptRefinedValue: body.acceptRefinedValue || false,
+  };
+
+  if (body.stream) {
+    openEventStream(res);
+    try {
+      const result = await interviewService.processTurn({
+        ...turnParams,
+        stream: {
+          onDelta: (text) => sendEvent(res, "delta", { text }),
+          onReset: (payload) => sendEvent(res, "reset", payload),
+        },
+      });
+      await onResult?.(result);
+      logger.info(
+        {
+          sessionId: body.sessionId,
+          completion: result.completion_percentage,
+          phase: result.interview_phase,
+          streamed: true,
+        },
+        "golden-interview.chat.success"
+      );
+      sendEvent(res, "result", { success: true, ...result });
+    } catch (error) {
+      logger.error(
+        { sessionId: body.sessionId, err: error },
+        "golden-interview.chat.stream_failed"
+      );
+      sendEvent(res, "error", { error: error?.message ?? "Chat turn failed" });
+    }
+    res.end();
+    return;
+  }
+
+  const result = await interviewService.processTurn(turnParams);
+  await onResult?.(result);
+
+  logger.info(
+    {
+      sessionId: body.sessionId,
+      completion: result.completion_percentage,
+      phase: result.interview_phase,
+      extractedCount: result.extracted_fields?.length || 0,
+    },
+    "golden-interview.chat.success"
+  );
+
+  // DEBUG: Log currently_asking_field to verify mandatory field detection
+  console.log(
+    "📤 [API] Chat Response - currently_asking_field:",
+    result.currently_asking_field,
+    "| Phase:",
+    result.interview_phase
+  );
+
+  res.json({
+    success: true,
+    ...result,
+  });
+}
+
+/**
+ * Read a media upload (raw body) for uploadInterviewMedia. Larger per-type
+ * limits are checked there; this only caps what is buffered.
+ */
+const readMediaBody = express.raw({
+  type: Object.keys(MEDIA_CONTENT_TYPES),
+  limit: MAX_VIDEO_BYTES,
+});
+
+/**
+ * Store an uploaded workplace photo/video for a session and answer with the
+ * golden record media entry
+ * @param {object} params
+ * @param {object} params.firestore
+ * @param {object} params.mediaStorage
+ * @param {object} params.logger
+ * @param {object} params.interviewService - Provides apiBaseUrl for captioning
+ * @param {Request} params.req
+ * @param {Response} params.res
+ * @param {string} params.sessionId - Session the caller may access
+ */
+async function respondWithMediaUpload({
+  firestore,
+  mediaStorage,
+  logger,
+  interviewService,
+  req,
+  res,
+  sessionId,
+}) {
+  const { filename } = MediaUploadQuerySchema.parse(req.query);
+  const media = await uploadInterviewMedia({
+    firestore,
+    mediaStorage,
+    logger,
+    apiBaseUrl: interviewService.apiBaseUrl,
+    authToken: getAuthToken(req),
+    sessionId,
+    file: {
+      buffer: req.body,
+      contentType: req.get("content-type")?.split(";")[0].trim().toLowerCase() ?? "",
+      filename,
+    },
+  });
+  res.status(201).json({ success: true, media });
+}
+
+/**
+ * Answer Zod validation errors with 400; everything else goes to the global handler
+ * @param {object} logger
+ */
+function validationErrorHandler(logger) {
+  return (err, req, res, next) => {
+    // Handle Zod validation errors
+    if (err.name === "ZodError") {
+      logger.warn({ errors: err.errors }, "golden-interview.validation_error");
+      return res.status(400).json({
+        success: false,
+        error: "Validation error",
+        details: err.errors,
+      });
+    }
+
+    // Pass to global error handler
+    next(err);
+  };
+}
+
+// =============================================================================
+// ROUTER FACTORY
+// =============================================================================
+
+/**
+ * Create the Golden Interview router
+ * @param {object} options
+ * @param {object} options.firestore - Firestore adapter
+ * @param {object} options.logger - Logger instance
+ * @param {object} [options.eventBus] - Event bus for WizardDraftUpdated (job drafts)
+ * @param {object} options.mediaStorage - Storage for uploaded interview media
+ * @returns {Router}
+ */
+export function goldenInterviewRouter({ firestore, logger, eventBus = null, mediaStorage }) {
+  const router = Router();
+  const interviewService = createInterviewService({ firestore, logger });
 
   // ===========================================================================
   // ROUTES
@@ -130,12 +423,15 @@ export function goldenInterviewRouter({ firestore, logger }) {
    *
    * Request body:
    * {
-   *   "initialData": {} // Optional initial schema data
+   *   "initialData": {}, // Optional initial schema data
+   *   "perspective": "current_employee", // Optional, defaults to "hiring_manager"
+   *   "linkedSessionId": "xyz789" // Optional: another session for the same role
    * }
    *
    * Response:
    * {
    *   "sessionId": "abc123",
+   *   "groupId": "grp123", // Set when linked; see /groups/:groupId
    *   "response": {
    *     "message": "Welcome! Let's learn about this role...",
    *     "ui_tool": { "type": "...", "props": {...} },
@@ -157,15 +453,23 @@ export function goldenInterviewRouter({ firestore, logger }) {
       const initialData = body.initialData || {};
       const { companyId, companyName } = initialData;
 
+      let linkedSession = null;
+      if (body.linkedSessionId) {
+        linkedSession = await getSession(firestore, body.linkedSessionId);
+        verifySessionOwnership(linkedSession, userId);
+      }
+
       const result = await interviewService.startSession({
         userId,
         authToken,
         companyId: companyId || null,
         companyName: companyName || null,
+        perspective: body.perspective,
+        linkedSession,
       });
 
       logger.info(
-        { userId, sessionId: result.sessionId },
+        { userId, sessionId: result.sessionId, groupId: result.groupId },
         "golden-interview.start.success"
       );
 
@@ -180,6 +484,7 @@ export function goldenInterviewRouter({ firestore, logger }) {
       res.json({
         success: true,
         sessionId: result.sessionId,
+        groupId: result.groupId,
         response: result.response,
       });
     })
@@ -206,6 +511,12 @@ export function goldenInterviewRouter({ firestore, logger }) {
    *   "extracted_fields": ["financial_reality.base_compensation.amount_or_range"],
    *   "next_priority_fields": ["...", "..."]
    * }
+   *
+   * With "stream": true the response is text/event-stream:
+   *   event: delta   data: { "text": "Great! Now" }      (assistant message, repeated)
+   *   event: reset   data: { "attempt": 1 }              (discard streamed text, LLM retried)
+   *   event: result  data: { "success": true, ... }      (same body as above, incl. ui_tool)
+   *   event: error   data: { "error": "..." }
    */
   router.post(
     "/chat",
@@ -232,37 +543,7 @@ export function goldenInterviewRouter({ firestore, logger }) {
         "golden-interview.chat.request"
       );
 
-      const result = await interviewService.processTurn({
-        sessionId: body.sessionId,
-        authToken,
-        userMessage: body.userMessage,
-        uiResponse: body.uiResponse,
-        skipAction: body.skipAction || null,
-        acceptRefinedValue: body.acceptRefinedValue || false,
-      });
-
-      logger.info(
-        {
-          sessionId: body.sessionId,
-          completion: result.completion_percentage,
-          phase: result.interview_phase,
-          extractedCount: result.extracted_fields?.length || 0,
-        },
-        "golden-interview.chat.success"
-      );
-
-      // DEBUG: Log currently_asking_field to verify mandatory field detection
-      console.log(
-        "📤 [API] Chat Response - currently_asking_field:",
-        result.currently_asking_field,
-        "| Phase:",
-        result.interview_phase
-      );
-
-      res.json({
-        success: true,
-        ...result,
-      });
+      await respondWithTurn({ interviewService, logger, res, body, authToken });
     })
   );
 
@@ -366,12 +647,21 @@ export function goldenInterviewRouter({ firestore, logger }) {
    *
    * Complete the interview and get final schema
    *
+   * Request body:
+   * {
+   *   "createJobDraft": true // Optional: also create a wizard job draft
+   * }
+   *
+   * With createJobDraft, sessions the interviewer already auto-completed are
+   * accepted too; the draft is created once and returned on later calls.
+   *
    * Response:
    * {
    *   "sessionId": "abc123",
    *   "goldenSchema": { ... },
    *   "completionPercentage": 87,
-   *   "turnCount": 15
+   *   "turnCount": 15,
+   *   "jobDraft": { "jobId": "job_...", "created": true, "intake": { ... } } // with createJobDraft
    * }
    */
   router.post(
@@ -379,29 +669,519 @@ export function goldenInterviewRouter({ firestore, logger }) {
     wrapAsync(async (req, res) => {
       const userId = getAuthenticatedUserId(req);
       const { sessionId } = req.params;
+      const body = CompleteSessionSchema.parse(req.body || {});
 
       const sessionStatus = await interviewService.getSessionStatus(sessionId);
       verifySessionOwnership(sessionStatus, userId);
 
-      if (sessionStatus.status !== "active") {
+      const alreadyCompleted = sessionStatus.status === "completed";
+      if (
+        sessionStatus.status !== "active" &&
+        !(alreadyCompleted && body.createJobDraft)
+      ) {
         throw httpError(400, `Session is already ${sessionStatus.status}`);
       }
 
-      const result = await interviewService.completeSession(sessionId);
+      const result = alreadyCompleted
+        ? null
+        : await interviewService.completeSession(sessionId);
+
+      const session = await getSession(firestore, sessionId);
+      const jobDraft = body.createJobDraft
+        ? await createDraftFromGoldenSession({
+            firestore,
+            logger,
+            eventBus,
+            userId,
+            session,
+          })
+        : null;
 
       logger.info(
         {
           sessionId,
-          turnCount: result.turnCount,
-          completion: result.completionPercentage,
+          turnCount: session.turnCount,
+          completion: session.metadata?.completionPercentage,
+          jobId: jobDraft?.jobId ?? null,
         },
         "golden-interview.complete.success"
       );
 
       res.json({
         success: true,
-        ...result,
+        ...(result ?? {
+          sessionId,
+          goldenSchema: session.goldenSchema,
+          completionPercentage: session.metadata?.completionPercentage,
+          turnCount: session.turnCount,
+        }),
+        ...(jobDraft ? { jobDraft } : {}),
+      });
+    })
+  );
+
+  // ===========================================================================
+  // RESUME ROUTES
+  // ===========================================================================
+
+  /**
+   * GET /golden-interview/sessions/unfinished
+   *
+   * The user's unfinished interviews, most recently active first
+   *
+   * Response:
+   * {
+   *   "sessions": [
+   *     {
+   *       "sessionId": "abc123",
+   *       "roleTitle": "Line Cook",
+   *       "perspective": "hiring_manager",
+   *       "turnCount": 6,
+   *       "completionPercentage": 35,
+   *       "currentPhase": "environment",
+   *       "lastActivityAt": "...",
+   *       "createdAt": "..."
+   *     }
+   *   ]
+   * }
+   */
+  router.get(
+    "/sessions/unfinished",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const sessions = await interviewService.listUnfinishedSessions(userId);
+      res.json({ success: true, sessions });
+    })
+  );
+
+  /**
+   * POST /golden-interview/session/:sessionId/resume
+   *
+   * Come back to an unfinished interview: a short recap of what has been
+   * captured, then a re-entry question for the next priority field
+   *
+   * Response:
+   * {
+   *   "sessionId": "abc123",
+   *   "response": {
+   *     "recap": "You've told us the role is a Line Cook paying $22/hr...",
+   *     "message": "Welcome back! Let's talk about the schedule...",
+   *     "ui_tool": { "type": "...", "props": {...} },
+   *     "next_priority_fields": ["time_and_life.schedule_pattern.type", ...],
+   *     "completion_percentage": 35,
+   *     "interview_phase": "time_and_life",
+   *     "navigation": { ... }
+   *   }
+   * }
+   */
+  router.post(
+    "/session/:sessionId/resume",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const authToken = getAuthToken(req);
+      const { sessionId } = req.params;
+
+      const sessionStatus = await interviewService.getSessionStatus(sessionId);
+      verifySessionOwnership(sessionStatus, userId);
+      if (sessionStatus.status !== "active") {
+        throw httpError(400, `Session is already ${sessionStatus.status}`);
+      }
+      if (sessionStatus.inviteId) {
+        // The invited guest finishes it through the invite link
+        throw httpError(403, "This session is answered through a guest invite");
+      }
+
+      const response = await interviewService.resumeSession({ sessionId, authToken });
+
+      res.json({
+        success: true,
+        sessionId,
+        response,
+      });
+    })
+  );
+
+  // ===========================================================================
+  // STAKEHOLDER GROUP ROUTES
+  // ===========================================================================
+
+  /**
+   * GET /golden-interview/groups/:groupId
+   *
+   * Linked sessions for one role and the per-field merge
+   *
+   * Response:
+   * {
+   *   "groupId": "grp123",
+   *   "status": "open",
+   *   "sessions": [{ "sessionId": "...", "perspective": "hiring_manager", "status": "completed" }],
+   *   "merge": {
+   *     "fields": [{
+   *       "path": "humans_and_culture.team_composition.team_size",
+   *       "status": "conflict", // "single" | "agreed" | "conflict"
+   *       "responses": [{ "sessionId": "...", "perspective": "...", "value": ... }],
+   *       "resolution": null,
+   *       "resolved": false,
+   *       "value": null
+   *     }],
+   *     "summary": { "respondents": 2, "fields": 30, "agreed": 12, "conflicts": 3, "unresolved": 3 }
+   *   }
+   * }
+   */
+  router.get(
+    "/groups/:groupId",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const group = await getGroupMerge({
+        firestore,
+        groupId: req.params.groupId,
+        userId,
       });
+
+      res.json({ success: true, ...group });
+    })
+  );
+
+  /**
+   * PATCH /golden-interview/groups/:groupId/resolutions
+   *
+   * Pick or blend values for conflicting fields
+   *
+   * Request body:
+   * {
+   *   "resolutions": {
+   *     "humans_and_culture.team_composition.team_size": { "sessionId": "abc123" }, // pick
+   *     "role_reality.pain_points_honesty.challenges": { "value": "..." }, // blend
+   *     "growth_trajectory.career_path.promotion_path": null // clear
+   *   }
+   * }
+   *
+   * Response: same shape as GET /groups/:groupId
+   */
+  router.patch(
+    "/groups/:groupId/resolutions",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const body = GroupResolutionsSchema.parse(req.body || {});
+      const group = await saveGroupResolutions({
+        firestore,
+        groupId: req.params.groupId,
+        userId,
+        resolutions: body.resolutions,
+      });
+
+      logger.info(
+        {
+          groupId: req.params.groupId,
+          resolved: Object.keys(body.resolutions).length,
+          unresolved: group.merge.summary.unresolved,
+        },
+        "golden-interview.group.resolutions_saved"
+      );
+
+      res.json({ success: true, ...group });
+    })
+  );
+
+  /**
+   * POST /golden-interview/groups/:groupId/complete
+   *
+   * Merge the group into one golden record (409 while conflicts are unresolved).
+   * The merged record replaces the primary session's schema.
+   *
+   * Request body:
+   * {
+   *   "createJobDraft": true // Optional: also create a wizard job draft
+   * }
+   */
+  router.post(
+    "/groups/:groupId/complete",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const body = CompleteSessionSchema.parse(req.body || {});
+      const group = await completeGroup({
+        firestore,
+        logger,
+        eventBus,
+        groupId: req.params.groupId,
+        userId,
+        createJobDraft: body.createJobDraft,
+      });
+
+      res.json({ success: true, ...group });
+    })
+  );
+
+  // ===========================================================================
+  // GUEST INVITE ROUTES
+  // ===========================================================================
+
+  /**
+   * POST /golden-interview/invites
+   *
+   * Create an expiring invite link so someone without an account can answer
+   *
+   * Request body:
+   * {
+   *   "sessionId": "abc123", // Optional: active session the guest continues
+   *   "perspective": "current_employee", // New session prefill (without sessionId)
+   *   "linkedSessionId": "xyz789",
+   *   "initialData": { "companyId": "...", "companyName": "..." },
+   *   "respondentName": "Sam", // Optional: used to greet the guest
+   *   "expiresInDays": 7 // Optional, 1-30
+   * }
+   *
+   * Response:
+   * {
+   *   "token": "gi_...", // Only returned here; the guest page is /interview/:token
+   *   "invite": { "inviteId": "...", "status": "pending", "expiresAt": "...", ... }
+   * }
+   */
+  router.post(
+    "/invites",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const body = CreateInviteSchema.parse(req.body || {});
+      const { invite, token } = await createInvite({
+        firestore,
+        logger,
+        userId,
+        ...body,
+      });
+
+      res.status(201).json({ success: true, token, invite });
+    })
+  );
+
+  /**
+   * GET /golden-interview/invites
+   *
+   * The user's invites, newest first, with each guest's progress
+   *
+   * Response:
+   * {
+   *   "invites": [{
+   *     "inviteId": "...",
+   *     "status": "in_progress", // "pending" | "in_progress" | "completed" | "expired" | "revoked"
+   *     "sessionId": "abc123",
+   *     "progress": { "completionPercentage": 40, "turnCount": 9, "currentPhase": "..." },
+   *     "completedAt": null,
+   *     ...
+   *   }]
+   * }
+   */
+  router.get(
+    "/invites",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const invites = await listInvites({ firestore, userId });
+
+      res.json({ success: true, invites });
+    })
+  );
+
+  /**
+   * POST /golden-interview/invites/:inviteId/revoke
+   *
+   * Stop an invite link from working. Answers already given are kept.
+   */
+  router.post(
+    "/invites/:inviteId/revoke",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const invite = await revokeInvite({
+        firestore,
+        logger,
+        inviteId: req.params.inviteId,
+        userId,
+      });
+
+      res.json({ success: true, invite });
+    })
+  );
+
+  // ===========================================================================
+  // COMPANY PROFILE ROUTES
+  // ===========================================================================
+
+  /**
+   * GET /golden-interview/companies/:companyId/profile
+   *
+   * Company-wide answers new interviews for this company start with, from
+   * your completed interviews and company enrichment
+   *
+   * Response:
+   * {
+   *   "profile": {
+   *     "companyId": "...",
+   *     "fields": {
+   *       "stability_signals.benefits_security.dental": {
+   *         "value": true, "source": "interview", "sessionId": "...", "answeredAt": "..."
+   *       }
+   *     }
+   *   }
+   * }
+   */
+  router.get(
+    "/companies/:companyId/profile",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const profile = await getCompanyGoldenProfile({
+        firestore,
+        companyId: req.params.companyId,
+        userId,
+      });
+
+      res.json({ success: true, profile });
+    })
+  );
+
+  // ===========================================================================
+  // ROLE RULES ROUTES
+  // ===========================================================================
+
+  /**
+   * GET /golden-interview/companies/:companyId/role-rules
+   *
+   * Role archetypes and field relevance for this company's interviews:
+   * built-in defaults merged with the company's overrides
+   *
+   * Response:
+   * {
+   *   "roleRules": {
+   *     "companyId": "...",
+   *     "archetypes": [{ "id": "hourly_service", "label": "...", "keywords": [...], "source": "default" }],
+   *     "fieldRelevance": { "financial_reality.equity": { "hourly_service": "skip", ... } },
+   *     "overrides": { "archetypes": {}, "fieldRelevance": {} },
+   *     "updatedAt": null
+   *   }
+   * }
+   */
+  router.get(
+    "/companies/:companyId/role-rules",
+    wrapAsync(async (req, res) => {
+      getAuthenticatedUserId(req);
+      const roleRules = await getRoleRulesForCompany({
+        firestore,
+        companyId: req.params.companyId,
+        user: req.user,
+        logger,
+      });
+
+      res.json({ success: true, roleRules });
+    })
+  );
+
+  /**
+   * PATCH /golden-interview/companies/:companyId/role-rules
+   *
+   * Add or change company archetypes and field relevance overrides.
+   * A null value removes the company's override.
+   *
+   * Request body:
+   * {
+   *   "archetypes": {
+   *     "clinical_nursing": {
+   *       "label": "Nursing", "keywords": ["nurse", "rn", "lpn"], "baseArchetype": "hourly_skilled"
+   *     }
+   *   },
+   *   "fieldRelevance": {
+   *     "role_content.certifications_required": { "clinical_nursing": "required" }
+   *   }
+   * }
+   *
+   * Response: { "roleRules": { ... } } (same shape as GET)
+   */
+  router.patch(
+    "/companies/:companyId/role-rules",
+    wrapAsync(async (req, res) => {
+      getAuthenticatedUserId(req);
+      const patch = RoleRulesPatchSchema.parse(req.body || {});
+      const roleRules = await updateRoleRulesForCompany({
+        firestore,
+        companyId: req.params.companyId,
+        user: req.user,
+        patch,
+        logger,
+      });
+
+      res.json({ success: true, roleRules });
+    })
+  );
+
+  /**
+   * POST /golden-interview/companies/:companyId/role-rules/preview
+   *
+   * Which archetype a sample role gets and which fields would be asked
+   *
+   * Request body:
+   * { "roleTitle": "Registered Nurse", "payFrequency": "hourly", "rules": { ...unsaved patch } }
+   *
+   * Response:
+   * {
+   *   "preview": {
+   *     "archetype": { "id": "clinical_nursing", "label": "Nursing" },
+   *     "fields": { "required": [...], "optional": [...], "skip": [...] }
+   *   }
+   * }
+   */
+  router.post(
+    "/companies/:companyId/role-rules/preview",
+    wrapAsync(async (req, res) => {
+      getAuthenticatedUserId(req);
+      const { rules, ...sample } = RoleRulesPreviewSchema.parse(req.body || {});
+      const preview = await previewRoleRulesForCompany({
+        firestore,
+        companyId: req.params.companyId,
+        user: req.user,
+        sample,
+        patch: rules ?? null,
+        logger,
+      });
+
+      res.json({ success: true, preview });
+    })
+  );
+
+  // ===========================================================================
+  // ANALYTICS ROUTES
+  // ===========================================================================
+
+  /**
+   * GET /golden-interview/analytics?scope=mine|all&days=30
+   *
+   * Interview quality report aggregated from the interview audit log.
+   * Covers your own interviews; scope=all covers your organization's and
+   * requires the admin role.
+   *
+   * Response:
+   * {
+   *   "analytics": {
+   *     "scope": "mine",
+   *     "days": 30,
+   *     "sessions": { "total": 12, "completed": 7, "inProgress": 1, "abandoned": 4 },
+   *     "fields": [{ "field": "financial_reality.base_compensation", "asked": 9, "answered": 5, "skipped": 4, "skipRate": 0.44 }],
+   *     "dropOff": { "averageTurn": 8, "byTurn": { "6": 1, "9": 3 }, "lastFields": [{ "field": "...", "count": 2 }] },
+   *     "turnTiming": { "responses": 80, "averageMs": 21000, "medianMs": 14000 },
+   *     "uiTools": [{ "type": "detailed_cards", "shown": 20, "answered": 15, "skipped": 3, "customInput": 4, "skipRate": 0.17, "customInputRate": 0.27 }],
+   *     "archetypes": [{ "archetype": "hourly_service", "sessions": 5, "completed": 4, "averageCompletion": 82 }],
+   *     "phases": [{ "phase": "opening", "sessions": 12, "averageTurn": 1 }]
+   *   }
+   * }
+   */
+  router.get(
+    "/analytics",
+    wrapAsync(async (req, res) => {
+      getAuthenticatedUserId(req);
+      const query = AnalyticsQuerySchema.parse(req.query ?? {});
+      const analytics = await getInterviewAnalytics({
+        firestore,
+        user: req.user,
+        scope: query.scope,
+        days: query.days ?? null,
+      });
+
+      res.json({ success: true, analytics });
     })
   );
 
@@ -498,24 +1278,215 @@ export function goldenInterviewRouter({ firestore, logger }) {
     })
   );
 
+  // ===========================================================================
+  // MEDIA ROUTES
+  // ===========================================================================
+
+  /**
+   * POST /golden-interview/session/:sessionId/media?filename=kitchen.jpg
+   *
+   * Upload a workplace photo or video (media_upload tool). The body is the
+   * file; Content-Type is its type (JPEG, PNG, WebP, MP4, QuickTime, WebM).
+   * The file is linked to the golden record under
+   * environment.physical_space.media; photos are captioned.
+   *
+   * Response (201):
+   * {
+   *   "media": { "media_id": "media_abc", "media_type": "image", "url": "/media-assets/...",
+   *              "content_type": "image/jpeg", "caption": "Bright open kitchen...", "uploaded_at": "..." }
+   * }
+   */
+  router.post(
+    "/session/:sessionId/media",
+    readMediaBody,
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const { sessionId } = req.params;
+
+      const sessionStatus = await interviewService.getSessionStatus(sessionId);
+      verifySessionOwnership(sessionStatus, userId);
+
+      await respondWithMediaUpload({
+        firestore,
+        mediaStorage,
+        logger,
+        interviewService,
+        req,
+        res,
+        sessionId,
+      });
+    })
+  );
+
+  // ===========================================================================
+  // EXPORT ROUTES
+  // ===========================================================================
+
+  /**
+   * GET /golden-interview/session/:sessionId/export?format=markdown&includeSensitive=true
+   *
+   * Export the golden record as a candidate-facing "role reality" document,
+   * grouped by top-level section. Formats: json (default), markdown, html
+   * (served inline), pdf. Sensitive fields are omitted unless
+   * includeSensitive=true.
+   */
+  router.get(
+    "/session/:sessionId/export",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const { sessionId } = req.params;
+      const { format, includeSensitive } = ExportQuerySchema.parse(req.query ?? {});
+
+      const file = await exportGoldenRecord({
+        firestore,
+        sessionId,
+        userId,
+        format,
+        includeSensitive,
+        assetBaseUrl: `${req.protocol}://${req.get("host")}`,
+        logger,
+      });
+
+      const disposition = format === "html" ? "inline" : "attachment";
+      res.set("Content-Disposition", `${disposition}; filename="${file.filename}"`);
+      res.type(file.contentType).send(file.body);
+    })
+  );
+
   // ===========================================================================
   // ERROR HANDLING
   // ===========================================================================
 
-  router.use((err, req, res, next) => {
-    // Handle Zod validation errors
-    if (err.name === "ZodError") {
-      logger.warn({ errors: err.errors }, "golden-interview.validation_error");
-      return res.status(400).json({
-        success: false,
-        error: "Validation error",
-        details: err.errors,
+  router.use(validationErrorHandler(logger));
+
+  return router;
+}
+
+/**
+ * Create the Golden Interview guest router (invite holders, no account)
+ *
+ * Mounted at /golden-interview/guest behind a requireAuth that resolves invite
+ * tokens; req.user is the inviting user, tagged with `guest`.
+ *
+ * @param {object} options
+ * @param {object} options.firestore - Firestore adapter
+ * @param {object} options.logger - Logger instance
+ * @param {object} [options.eventBus] - Event bus for GoldenInterviewGuestCompleted
+ * @param {object} options.mediaStorage - Storage for uploaded interview media
+ * @returns {Router}
+ */
+export function goldenInterviewGuestRouter({
+  firestore,
+  logger,
+  eventBus = null,
+  mediaStorage,
+}) {
+  const router = Router();
+  const interviewService = createInterviewService({ firestore, logger });
+
+  /**
+   * GET /golden-interview/guest/invite
+   *
+   * What the guest landing page shows
+   *
+   * Response:
+   * {
+   *   "invite": { "perspective": "current_employee", "respondentName": "Sam",
+   *               "companyName": "...", "started": false, "completed": false, "expiresAt": "..." }
+   * }
+   */
+  router.get(
+    "/invite",
+    wrapAsync(async (req, res) => {
+      const invite = await getGuestInvite({ firestore, guest: req.user?.guest });
+      res.json({ success: true, invite: toGuestInviteResponse(invite) });
+    })
+  );
+
+  /**
+   * POST /golden-interview/guest/start
+   *
+   * Start the invite's session on first use; later calls resume it at the
+   * latest question. Same response as POST /golden-interview/start, plus
+   * "completed": true (and no "response") once the interview is finished.
+   */
+  router.post(
+    "/start",
+    wrapAsync(async (req, res) => {
+      const invite = await getGuestInvite({ firestore, guest: req.user?.guest });
+      const result = await startGuestSession({
+        firestore,
+        logger,
+        interviewService,
+        invite,
+        authToken: getAuthToken(req),
       });
-    }
 
-    // Pass to global error handler
-    next(err);
-  });
+      res.json({ success: true, ...result });
+    })
+  );
+
+  /**
+   * POST /golden-interview/guest/chat
+   *
+   * Same as POST /golden-interview/chat, limited to the invite's session.
+   * The owner is notified when the interviewer completes the session.
+   */
+  router.post(
+    "/chat",
+    wrapAsync(async (req, res) => {
+      const invite = await getGuestInvite({ firestore, guest: req.user?.guest });
+      const body = ChatRequestSchema.parse(req.body);
+      if (!invite.sessionId || body.sessionId !== invite.sessionId) {
+        throw httpError(403, "Access denied to this session");
+      }
+
+      logger.info(
+        { inviteId: invite.inviteId, sessionId: body.sessionId },
+        "golden-interview.guest.chat.request"
+      );
+
+      await respondWithTurn({
+        interviewService,
+        logger,
+        res,
+        body,
+        authToken: getAuthToken(req),
+        onResult: (result) =>
+          recordGuestTurn({ firestore, logger, eventBus, invite, result }),
+      });
+    })
+  );
+
+  /**
+   * POST /golden-interview/guest/session/:sessionId/media
+   *
+   * Same as POST /golden-interview/session/:sessionId/media, limited to the
+   * invite's session.
+   */
+  router.post(
+    "/session/:sessionId/media",
+    readMediaBody,
+    wrapAsync(async (req, res) => {
+      const invite = await getGuestInvite({ firestore, guest: req.user?.guest });
+      const { sessionId } = req.params;
+      if (!invite.sessionId || sessionId !== invite.sessionId) {
+        throw httpError(403, "Access denied to this session");
+      }
+
+      await respondWithMediaUpload({
+        firestore,
+        mediaStorage,
+        logger,
+        interviewService,
+        req,
+        res,
+        sessionId,
+      });
+    })
+  );
+
+  router.use(validationErrorHandler(logger));
 
   return router;
 }
@@ -10,6 +10,16 @@
  * - Router handles: Zod validation, auth, taskType validation, service delegation, usage logging, response building
  * - Services handle: context enrichment, llmClient calls
  * - Usage logging (recordLlmUsageFromResult) is called exactly once per LLM invocation here.
+ * - With `stream: true`, direct llmClient tasks answer as SSE: `delta` events
+ *   carry streamed text, `reset` discards it after a retry, and `result`
+ *   carries the same { taskType, result } body as the JSON response.
+ * - Golden interview guests (invite tokens, req.user.guest) only reach this
+ *   router through the interviewer's internal callbacks on the guest routes,
+ *   and only for GUEST_LLM_TASKS.
+ * - Every request is checked against the user's and org's quotas
+ *   (config/llm-quotas.js) before any task work starts; a refusal is a 429
+ *   with Retry-After. Internal callbacks (utils/internal-calls.js) are not
+ *   counted against the request rate. GET /quota shows current consumption.
  */
 
 import { Router } from "express";
@@ -31,13 +41,26 @@ import {
 } from "../services/repositories/index.js";
 import {
   renderVideo,
+  resolveVideoRenderSeconds,
   updateVideoCaption,
   createVideoManifest,
   regenerateVideoManifest,
 } from "../video/service.js";
 import { VideoRendererError } from "../video/renderers/contracts.js";
 import { generateHeroImage } from "../services/hero-image.js";
+import { screenJobApplications } from "../services/applications/index.js";
 import { runCompanyEnrichmentOnce } from "../services/company-intel.js";
+import { withCreditReservation } from "../services/credit-ledger.js";
+import { estimateReservationCredits } from "../config/credit-reservations.js";
+import { runWithLlmStream } from "../llm/request-context.js";
+import { openEventStream, sendEvent } from "../utils/sse.js";
+import { GUEST_LLM_TASKS } from "../golden-interviewer/guest-invites.js";
+import {
+  isInternalCall,
+  resolveInternalCreditReservationId,
+} from "../utils/internal-calls.js";
+import { createLlmQuotaService } from "../services/llm-quotas.js";
+import { LLM_QUOTA_CONFIG } from "../config/llm-quotas.js";
 
 // Lock timeout for enrichment (5 minutes) - if lock is older, consider it stale
 const ENRICHMENT_LOCK_TIMEOUT_MS = 5 * 60 * 1000;
@@ -102,7 +125,8 @@ import {
 
 const requestSchema = z.object({
   taskType: z.string().min(1),
-  context: z.record(z.string(), z.unknown()).optional()
+  context: z.record(z.string(), z.unknown()).optional(),
+  stream: z.boolean().optional().default(false)
 });
 
 /**
@@ -127,8 +151,29 @@ export const TASK_METHOD_MAP = {
   golden_interviewer: "askGoldenInterviewerTurn",
   golden_db_update: "askGoldenDbUpdate",
   golden_refine: "askGoldenRefine",
+  golden_resume_recap: "askGoldenResumeRecap",
+  application_screening: "askApplicationScreening",
 };
 
+/**
+ * Core tasks with their own service handler; they answer with JSON only.
+ */
+const SERVICE_HANDLED_TASKS = new Set([
+  LLM_CORE_TASK.SUGGEST,
+  LLM_CORE_TASK.REFINE,
+  LLM_CORE_TASK.CHANNELS,
+  LLM_CORE_TASK.COPILOT_AGENT,
+]);
+
+/**
+ * Whether a task can be requested with `stream: true`.
+ * @param {string} taskType
+ * @returns {boolean}
+ */
+export function isStreamableTask(taskType) {
+  return Object.hasOwn(TASK_METHOD_MAP, taskType) && !SERVICE_HANDLED_TASKS.has(taskType);
+}
+
 /**
  * Resolve the usage type for billing/logging based on task type.
  * @param {string} taskType
@@ -140,8 +185,16 @@ export function resolveUsageType(taskType) {
   return "text";
 }
 
-export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
+export function llmRouter({
+  llmClient,
+  firestore,
+  bigQuery,
+  logger,
+  eventBus,
+  quotaConfig = LLM_QUOTA_CONFIG,
+}) {
   const router = Router();
+  const llmQuotas = createLlmQuotaService({ firestore, logger, config: quotaConfig });
 
   // Determine API base URL for internal HTTP calls (same pattern as golden-interview)
   const env = loadEnv();
@@ -154,12 +207,13 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
     firestore,
     logger,
     apiBaseUrl,
+    eventBus,
   });
 
   router.post(
     "/",
     wrapAsync(async (req, res) => {
-      const { taskType, context = {} } = requestSchema.parse(req.body ?? {});
+      const { taskType, context = {}, stream } = requestSchema.parse(req.body ?? {});
 
       // Validate taskType against allowed values
       const allowedTaskTypes = [...CORE_LLM_TASKS, ...ORCHESTRATOR_TASKS];
@@ -170,8 +224,38 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
           allowedTaskTypes,
         });
       }
+      if (stream && !isStreamableTask(taskType)) {
+        throw httpError(400, `Streaming is not supported for taskType "${taskType}"`);
+      }
+      // Guest invite tokens only drive the golden interviewer
+      if (req.user?.guest) {
+        // Direct calls could pass any session's context; the guest routes
+        // keep the guest to their invite's session and call back internally
+        if (!isInternalCall(req)) {
+          throw httpError(403, "Guests can only use the golden interview");
+        }
+        if (!GUEST_LLM_TASKS.includes(taskType)) {
+          throw httpError(403, `taskType "${taskType}" is not available to guests`);
+        }
+      }
 
       const userId = req.user?.id ?? null;
+      const orgId = req.user?.orgId ?? null;
+
+      // Quotas are enforced before any task (or its credit hold) starts
+      const quota = await llmQuotas.check({
+        userId,
+        orgId,
+        taskType,
+        internal: isInternalCall(req),
+      });
+      if (!quota.allowed) {
+        res.set("Retry-After", String(quota.retryAfterSeconds));
+        throw httpError(429, quota.message, {
+          ...quota.violation,
+          retryAfterSeconds: quota.retryAfterSeconds,
+        });
+      }
 
       // =======================================================================
       // ORCHESTRATOR TASKS - High-level pipelines
@@ -186,10 +270,23 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
         if (!authToken) {
           throw httpError(401, "Missing auth token");
         }
-        const result = await assetGenerationService.generateAssets({
-          authToken,
+        const result = await withCreditReservation({
+          firestore,
+          logger,
+          eventBus,
           userId,
-          payload: context,
+          jobId: context.jobId ?? null,
+          workflow: taskType,
+          credits: estimateReservationCredits(taskType, context),
+          run: (reservation) =>
+            assetGenerationService.generateAssets({
+              authToken,
+              userId,
+              payload: context,
+              creditReservationId: reservation.id,
+            }),
+          isFailure: (generated) =>
+            !generated?.assets?.some((asset) => asset.status === "READY"),
         });
         return res.json({ taskType, result });
       }
@@ -198,18 +295,42 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
         if (!userId) {
           throw httpError(401, "Unauthorized");
         }
+        // The hold is sized from the stored manifest, not the request
+        const durationSeconds = await resolveVideoRenderSeconds({
+          firestore,
+          logger,
+          ownerUserId: userId,
+          itemId: context.itemId,
+        });
+        if (durationSeconds === null) {
+          throw httpError(404, "Video item not found");
+        }
         try {
-          const result = await renderVideo({
+          const result = await withCreditReservation({
             firestore,
-            bigQuery,
-            llmClient,
             logger,
-            ownerUserId: userId,
-            itemId: context.itemId,
+            eventBus,
+            userId,
+            jobId: context.jobId ?? null,
+            workflow: taskType,
+            credits: estimateReservationCredits(taskType, { durationSeconds }),
+            run: async (reservation) => {
+              const item = await renderVideo({
+                firestore,
+                bigQuery,
+                llmClient,
+                logger,
+                ownerUserId: userId,
+                itemId: context.itemId,
+                creditReservationId: reservation.id,
+              });
+              if (!item) {
+                throw httpError(404, "Video item not found");
+              }
+              return item;
+            },
+            isFailure: (item) => item?.renderTask?.status === "failed",
           });
-          if (!result) {
-            throw httpError(404, "Video item not found");
-          }
           return res.json({ taskType, result: { item: result } });
         } catch (error) {
           if (error instanceof VideoRendererError) {
@@ -307,7 +428,7 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
           },
           "llm.hero_image.request"
         );
-        const result = await generateHeroImage({
+        const heroImageParams = {
           firestore,
           bigQuery,
           llmClient,
@@ -316,7 +437,24 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
           forceRefresh: context.forceRefresh,
           ownerUserId: userId,
           userId,
-        });
+        };
+        // Without forceRefresh the stored image is only read back, so no hold is needed
+        const result = context.forceRefresh
+          ? await withCreditReservation({
+              firestore,
+              logger,
+              eventBus,
+              userId,
+              jobId: context.jobId ?? null,
+              workflow: taskType,
+              credits: estimateReservationCredits(taskType, context),
+              run: (reservation) =>
+                generateHeroImage({
+                  ...heroImageParams,
+                  creditReservationId: reservation.id,
+                }),
+            })
+          : await generateHeroImage(heroImageParams);
         logger?.info?.(
           {
             jobId: context.jobId,
@@ -328,6 +466,39 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
         return res.json({ taskType, result });
       }
 
+      if (taskType === LLM_ORCHESTRATOR_TASK.SCREEN_APPLICATIONS) {
+        if (!userId) {
+          throw httpError(401, "Unauthorized");
+        }
+        const jobId = context.jobId ?? null;
+        if (!jobId) {
+          throw httpError(400, "jobId is required");
+        }
+        // One application_screening call per application, billed to the owner
+        const usageTracker = ({ result, usageContext }) =>
+          recordLlmUsageFromResult({
+            firestore,
+            bigQuery,
+            logger,
+            usageContext: { ...usageContext, orgId },
+            usageType: resolveUsageType(usageContext.taskType),
+            result,
+          });
+        const result = await screenJobApplications({
+          firestore,
+          logger,
+          llmClient,
+          usageTracker,
+          userId,
+          jobId,
+          applicationIds: Array.isArray(context.applicationIds)
+            ? context.applicationIds
+            : null,
+          rescreen: context.rescreen === true,
+        });
+        return res.json({ taskType, result });
+      }
+
       // =======================================================================
       // COMPANY INTEL - Standalone enrichment
       // =======================================================================
@@ -441,7 +612,7 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
             firestore,
             bigQuery,
             logger,
-            usageContext: { userId, jobId, taskType },
+            usageContext: { userId, orgId, jobId, taskType },
             usageType: resolveUsageType(taskType),
             result: serviceResult.llmResult,
           });
@@ -465,7 +636,7 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
             firestore,
             bigQuery,
             logger,
-            usageContext,
+            usageContext: { ...usageContext, orgId },
             result,
           });
 
@@ -504,7 +675,7 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
             firestore,
             bigQuery,
             logger,
-            usageContext: { userId, jobId, taskType: LLM_LOGGING_TASK.SUGGESTIONS },
+            usageContext: { userId, orgId, jobId, taskType: LLM_LOGGING_TASK.SUGGESTIONS },
             usageType: resolveUsageType(taskType),
             result: serviceResult.llmResult
           });
@@ -535,7 +706,7 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
             firestore,
             bigQuery,
             logger,
-            usageContext: { userId, jobId, taskType: LLM_LOGGING_TASK.REFINEMENT },
+            usageContext: { userId, orgId, jobId, taskType: LLM_LOGGING_TASK.REFINEMENT },
             usageType: resolveUsageType(taskType),
             result: serviceResult.llmResult
           });
@@ -558,20 +729,66 @@ export function llmRouter({ llmClient, firestore, bigQuery, logger }) {
       }
 
       const jobId = context.jobId ?? context.job?.id ?? context.refinedJob?.jobId ?? context.sessionId ?? null;
-      const result = await dispatcher(context);
-
-      await recordLlmUsageFromResult({
-        firestore,
-        bigQuery,
-        logger,
-        usageContext: { userId, jobId, taskType },
-        usageType: resolveUsageType(taskType),
-        result
-      });
+      // Only internal callbacks (e.g. asset generation holding a credit
+      // reservation) can name a reservation; a body field is never trusted.
+      const creditReservationId = resolveInternalCreditReservationId(req);
+      const { creditReservationId: _ignored, ...dispatchContext } = context;
+      const recordUsage = (result) =>
+        recordLlmUsageFromResult({
+          firestore,
+          bigQuery,
+          logger,
+          usageContext: { userId, orgId, jobId, taskType, creditReservationId },
+          usageType: resolveUsageType(taskType),
+          result
+        });
+
+      if (stream) {
+        openEventStream(res);
+        try {
+          const result = await runWithLlmStream(
+            {
+              onDelta: (text) => sendEvent(res, "delta", { text }),
+              onReset: ({ attempt }) => sendEvent(res, "reset", { attempt }),
+            },
+            () => dispatcher(dispatchContext)
+          );
+          await recordUsage(result);
+          sendEvent(res, "result", { taskType, result });
+        } catch (error) {
+          // Headers are already sent, so the error middleware cannot answer
+          logger?.error?.({ err: error, taskType, userId }, "llm.stream.failed");
+          sendEvent(res, "error", { error: error?.message ?? "Streaming failed" });
+        }
+        res.end();
+        return;
+      }
+
+      const result = await dispatcher(dispatchContext);
+      await recordUsage(result);
 
       res.json({ taskType, result });
     })
   );
 
+  /**
+   * GET /api/llm/quota
+   * The caller's LLM quota consumption (requests in the last minute, spend
+   * today and this month) against its limits, for the user and their org.
+   */
+  router.get(
+    "/quota",
+    wrapAsync(async (req, res) => {
+      if (req.user?.guest) {
+        throw httpError(403, "Quota details are not available to guests");
+      }
+      const status = await llmQuotas.getStatus({
+        userId: req.user.id,
+        orgId: req.user.orgId ?? null,
+      });
+      res.json(status);
+    })
+  );
+
   return router;
 }
@@ -13,6 +13,7 @@
 import { Router } from "express";
 import { z } from "zod";
 import { wrapAsync, httpError } from "@wizard/utils";
+import { recordLedgerEntry } from "../services/credit-ledger.js";
 import {
   getBaseUsdPerCredit,
   getSubscriptionPlan,
@@ -66,7 +67,7 @@ const purchaseSchema = z.object({
   })
 });
 
-export function subscriptionsRouter({ firestore, logger }) {
+export function subscriptionsRouter({ firestore, logger, eventBus }) {
   const router = Router();
 
   router.get(
@@ -124,6 +125,27 @@ export function subscriptionsRouter({ firestore, logger }) {
         "subscriptions.purchase_recorded"
       );
 
+      await recordLedgerEntry({
+        firestore,
+        logger,
+        eventBus,
+        userId,
+        entry: {
+          workflow: "subscription_purchase",
+          type: "PURCHASE",
+          credits: plan.totalCredits,
+          status: "SETTLED",
+          correlationId: purchaseEntry.id,
+          occurredAt: purchaseEntry.createdAt ?? new Date(),
+          metadata: {
+            planId: plan.id,
+            priceUsd: plan.priceUsd,
+            currency: plan.currency,
+            balanceAfter: usageSnapshot.remainingCredits
+          }
+        }
+      });
+
       // Fetch updated user for response
       const updatedUser = await getUserByIdOrThrow(firestore, userId);
 
@@ -178,7 +178,7 @@ export function videosRouter({ firestore, bigQuery, logger }) {
   // Service is used ONLY for Firestore-only operations (list, get, approve, publish, bulk)
   // LLM operations (create, regenerate, render, caption) go through HTTP POST /api/llm
   const renderer = createRenderer({ logger });
-  const publisherRegistry = createPublisherRegistry({ logger });
+  const publisherRegistry = createPublisherRegistry({ logger, firestore });
   const service = createVideoLibraryService({
     firestore,
     bigQuery,
@@ -25,6 +25,7 @@ import {
   getHeroImageForUser,
   getChannelRecommendationsForUser,
 } from "../services/wizard/index.js";
+import { updateJobSyndication } from "../services/job-syndication/index.js";
 
 // Re-export channel functions for backwards compatibility
 export {
@@ -63,6 +64,15 @@ const assetStatusRequestSchema = z.object({
   jobId: z.string(),
 });
 
+const syndicationRequestSchema = z
+  .object({
+    included: z.boolean().optional(),
+    expiresAt: z.coerce.date().nullable().optional(),
+  })
+  .refine((value) => value.included !== undefined || value.expiresAt !== undefined, {
+    message: "Provide included and/or expiresAt",
+  });
+
 const importCompanyJobRequestSchema = z.object({
   companyJobId: z.string().min(1, "companyJobId is required"),
   companyId: z.string().optional(),
@@ -84,7 +94,7 @@ function getAuthenticatedUserId(req) {
 // ROUTER
 // =============================================================================
 
-export function wizardRouter({ firestore, logger }) {
+export function wizardRouter({ firestore, logger, eventBus }) {
   const router = Router();
 
   // -------------------------------------------------------------------------
@@ -123,6 +133,7 @@ export function wizardRouter({ firestore, logger }) {
       const result = await createOrUpdateDraft({
         firestore,
         logger,
+        eventBus,
         userId,
         payload,
         userProfile,
@@ -262,6 +273,27 @@ export function wizardRouter({ firestore, logger }) {
     })
   );
 
+  // -------------------------------------------------------------------------
+  // PATCH /wizard/:jobId/syndication
+  // -------------------------------------------------------------------------
+  router.patch(
+    "/:jobId/syndication",
+    wrapAsync(async (req, res) => {
+      const userId = getAuthenticatedUserId(req);
+      const payload = syndicationRequestSchema.parse(req.body ?? {});
+
+      const result = await updateJobSyndication({
+        firestore,
+        logger,
+        userId,
+        jobId: req.params.jobId,
+        payload,
+      });
+
+      res.json(result);
+    })
+  );
+
   // -------------------------------------------------------------------------
   // GET /wizard/:jobId
   // -------------------------------------------------------------------------
@@ -4,34 +4,65 @@ import morgan from "morgan";
 import fs from "node:fs";
 import path from "node:path";
 import { notFound, errorHandler } from "@wizard/utils";
+import { createEventBusFromEnv } from "@wizard/events";
 import { wizardRouter } from "./routes/wizard.js";
 import { copilotRouter } from "./routes/copilot.js";
 import { authRouter } from "./routes/auth.js";
 import { assetsRouter } from "./routes/assets.js";
 import { dashboardRouter } from "./routes/dashboard.js";
 import { contactRouter } from "./routes/contact.js";
+import { feedsRouter } from "./routes/feeds.js";
+import { careersRouter } from "./routes/careers.js";
+import {
+  applicationIntakeRouter,
+  applicationsRouter,
+} from "./routes/applications.js";
 import { usersRouter } from "./routes/users.js";
 import { requireAuth } from "./middleware/require-auth.js";
 import { videosRouter } from "./routes/videos.js";
 import { companiesRouter } from "./routes/companies.js";
 import { subscriptionsRouter } from "./routes/subscriptions.js";
 import { llmRouter } from "./routes/llm.js";
-import { goldenInterviewRouter } from "./routes/golden-interview.js";
+import {
+  goldenInterviewRouter,
+  goldenInterviewGuestRouter,
+} from "./routes/golden-interview.js";
+import {
+  isGuestToken,
+  resolveGuestToken,
+  subscribeGuestCompletionNotifications,
+} from "./golden-interviewer/guest-invites.js";
 import {
   getBaseUsdPerCredit,
   listSubscriptionPlans,
 } from "./config/subscription-plans.js";
 import { requestContextMiddleware } from "./llm/request-context.js";
 import { VIDEO_BEHAVIOR_CONFIG } from "./config/llm-config.js";
+import {
+  MEDIA_ASSETS_PATH,
+  createLocalMediaStorage,
+} from "./services/media-storage.js";
+import { createMailerFromEnv } from "./services/mailer.js";
 
 const corsConfig = {
   origin: "http://localhost:3000",
   credentials: true,
   methods: ["GET", "POST", "PATCH", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization"],
+  // Download filenames (golden record exports)
+  exposedHeaders: ["Content-Disposition"],
 };
 
-export function createApp({ logger, firestore, bigQuery, llmClient }) {
+export function createApp({
+  logger,
+  firestore,
+  bigQuery,
+  llmClient,
+  eventBus = createEventBusFromEnv({ source: "api-gateway", logger }),
+  mediaStorage = createLocalMediaStorage(),
+  mailer = createMailerFromEnv({ logger }),
+  llmQuotaConfig,
+}) {
   const app = express();
 
   app.use(cors(corsConfig));
@@ -54,20 +85,57 @@ export function createApp({ logger, firestore, bigQuery, llmClient }) {
     "/video-assets",
     express.static(videoAssetDir, { fallthrough: true, maxAge: "5m" })
   );
+  // Uploaded interview media (local storage only; other backends serve their own URLs)
+  if (mediaStorage.rootDir) {
+    app.use(
+      MEDIA_ASSETS_PATH,
+      express.static(mediaStorage.rootDir, { fallthrough: true, maxAge: "5m" })
+    );
+  }
 
   app.locals.firestore = firestore;
   app.locals.bigQuery = bigQuery;
+  app.locals.eventBus = eventBus;
+
+  // Event consumers; index.js starts the bus, tests drain it
+  subscribeGuestCompletionNotifications({ eventBus, firestore, logger, mailer });
 
   const authMiddleware = requireAuth({ logger });
+  // Also accepts golden interview invite tokens (guests without an account)
+  const guestAuthMiddleware = requireAuth({
+    logger,
+    resolveGuestToken: (token) =>
+      isGuestToken(token) ? resolveGuestToken({ firestore, token }) : null,
+  });
 
   app.use(
     "/api/llm",
-    authMiddleware,
-    llmRouter({ llmClient, firestore, bigQuery, logger })
+    guestAuthMiddleware,
+    llmRouter({
+      llmClient,
+      firestore,
+      bigQuery,
+      logger,
+      eventBus,
+      quotaConfig: llmQuotaConfig,
+    })
   );
 
   app.use("/auth", authRouter({ firestore, bigQuery, logger }));
   app.use("/contact", contactRouter({ logger }));
+  // Job board feeds are public: boards and crawlers fetch them unauthenticated
+  app.use("/feeds", feedsRouter({ firestore, logger }));
+  app.use("/careers", careersRouter({ firestore, logger }));
+  // Candidates apply without an account; the shortlist below is owner-only
+  app.use(
+    "/applications",
+    applicationIntakeRouter({ firestore, logger, eventBus })
+  );
+  app.use(
+    "/applications",
+    authMiddleware,
+    applicationsRouter({ firestore, logger })
+  );
   // Copilot routes - NO llmClient or bigQuery passed
   // GET /chat only - LLM calls go through POST /api/llm with taskType: "copilot_agent"
   app.use(
@@ -78,7 +146,7 @@ export function createApp({ logger, firestore, bigQuery, llmClient }) {
   app.use(
     "/wizard",
     authMiddleware,
-    wizardRouter({ firestore, logger })
+    wizardRouter({ firestore, logger, eventBus })
   );
   app.use(
     "/assets",
@@ -95,7 +163,7 @@ export function createApp({ logger, firestore, bigQuery, llmClient }) {
   app.use(
     "/dashboard",
     authMiddleware,
-    dashboardRouter({ firestore, bigQuery, logger })
+    dashboardRouter({ firestore, bigQuery, logger, eventBus })
   );
   app.use(
     "/users",
@@ -111,10 +179,16 @@ export function createApp({ logger, firestore, bigQuery, llmClient }) {
   );
   // Golden Interview routes - NO llmClient or bigQuery passed
   // All LLM calls go through HTTP POST /api/llm
+  // Guests answer with an invite token; mounted before the owner routes
+  app.use(
+    "/golden-interview/guest",
+    guestAuthMiddleware,
+    goldenInterviewGuestRouter({ firestore, logger, eventBus, mediaStorage })
+  );
   app.use(
     "/golden-interview",
     authMiddleware,
-    goldenInterviewRouter({ firestore, logger })
+    goldenInterviewRouter({ firestore, logger, eventBus, mediaStorage })
   );
   const publicSubscriptionsRouter = express.Router();
   publicSubscriptionsRouter.get("/plans", (req, res, next) => {
@@ -134,7 +208,7 @@ export function createApp({ logger, firestore, bigQuery, llmClient }) {
   app.use(
     "/subscriptions",
     authMiddleware,
-    subscriptionsRouter({ firestore, bigQuery, logger })
+    subscriptionsRouter({ firestore, bigQuery, logger, eventBus })
   );
 
   logger.warn(
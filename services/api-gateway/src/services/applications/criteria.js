@@ -0,0 +1,109 @@
+/**
+ * @file criteria.js
+ * Screening criteria for a job and the score derived from their verdicts.
+ *
+ * Criteria come from the finalized job's mustHaves and, when the job was
+ * drafted from a golden interview, the requirement fields of the golden
+ * schema's role_content. The LLM only judges each criterion; the score is
+ * computed here so ranking stays consistent across providers.
+ */
+
+// Must-haves count double against role_content requirements.
+const SOURCE_WEIGHTS = {
+  must_haves: 2,
+  role_content: 1,
+};
+
+const VERDICT_VALUES = {
+  met: 1,
+  partial: 0.5,
+  not_met: 0,
+  unknown: 0,
+};
+
+// Keeps prompts focused; must-haves are listed first so they always make it.
+export const MAX_SCREENING_CRITERIA = 15;
+
+function cleanString(value) {
+  return typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+}
+
+function cleanList(values) {
+  return Array.isArray(values) ? values.map(cleanString).filter(Boolean) : [];
+}
+
+function roleContentRequirements(roleContent = {}) {
+  const experience = cleanString(roleContent.required_experience_years);
+  const education = cleanString(roleContent.education_requirements);
+  return [
+    ...cleanList(roleContent.must_haves),
+    ...cleanList(roleContent.required_skills),
+    ...(experience ? [`${experience} years of relevant experience`] : []),
+    ...cleanList(roleContent.certifications_required).map((item) => `Certification: ${item}`),
+    ...cleanList(roleContent.languages_required).map((item) => `Language: ${item}`),
+    ...(education ? [`Education: ${education}`] : []),
+    ...cleanList(roleContent.tech_stack),
+  ];
+}
+
+/**
+ * Build the criteria an application is screened against.
+ * @param {Object} params
+ * @param {Object} [params.job] - Finalized job details (ConfirmedJobDetailsSchema)
+ * @param {Object|null} [params.roleContent] - Golden schema role_content
+ * @returns {Array<{criterion: string, source: string}>}
+ */
+export function buildScreeningCriteria({ job = {}, roleContent = null }) {
+  const seen = new Set();
+  const criteria = [];
+  const add = (criterion, source) => {
+    const key = criterion.toLowerCase();
+    if (seen.has(key) || criteria.length >= MAX_SCREENING_CRITERIA) return;
+    seen.add(key);
+    criteria.push({ criterion, source });
+  };
+  cleanList(job.mustHaves).forEach((item) => add(item, "must_haves"));
+  roleContentRequirements(roleContent ?? {}).forEach((item) => add(item, "role_content"));
+  return criteria;
+}
+
+/**
+ * Pair the LLM's verdicts with the criteria that were asked about.
+ * Matches on criterion text first and falls back to position; anything the
+ * model skipped is recorded as "unknown".
+ * @param {Array<{criterion: string, source: string}>} criteria - Input criteria
+ * @param {Array<{criterion: string, verdict: string, evidence: string|null}>} verdicts - Parsed LLM output
+ * @returns {Array<Object>} ScreeningCriterionSchema entries
+ */
+export function mergeCriterionVerdicts(criteria, verdicts = []) {
+  const byText = new Map(verdicts.map((entry) => [entry.criterion.toLowerCase(), entry]));
+  const asked = new Set(criteria.map((item) => item.criterion.toLowerCase()));
+  return criteria.map((item, index) => {
+    const positional = verdicts[index];
+    const match =
+      byText.get(item.criterion.toLowerCase()) ??
+      (positional && !asked.has(positional.criterion.toLowerCase()) ? positional : null);
+    return {
+      criterion: item.criterion,
+      source: item.source,
+      verdict: match?.verdict ?? "unknown",
+      evidence: match?.evidence ?? null,
+    };
+  });
+}
+
+/**
+ * Weighted share of criteria met, 0-100.
+ * @param {Array<Object>} criteria - ScreeningCriterionSchema entries
+ * @returns {number}
+ */
+export function scoreCriteria(criteria) {
+  let earned = 0;
+  let possible = 0;
+  criteria.forEach((item) => {
+    const weight = SOURCE_WEIGHTS[item.source] ?? 1;
+    possible += weight;
+    earned += weight * (VERDICT_VALUES[item.verdict] ?? 0);
+  });
+  return possible > 0 ? Math.round((earned / possible) * 100) : 0;
+}
@@ -0,0 +1,391 @@
+/**
+ * @file index.js
+ * Candidate application intake and screening.
+ *
+ * Candidates apply to a published job (a final job that is currently
+ * syndicated) with a pasted resume or a text/PDF file. Each application is
+ * stored in jobApplications and recounted into jobs.metrics.applies, which
+ * the dashboard summary reads.
+ *
+ * Screening runs when the job owner asks for it (screen_applications on
+ * POST /api/llm) so that LLM usage is billed to the recruiter, never to an
+ * anonymous applicant. Each application is judged per criterion by the
+ * application_screening task and ranked by the weighted score from
+ * criteria.js.
+ */
+
+import { randomUUID } from "node:crypto";
+import { httpError } from "@wizard/utils";
+import { ApplicationSubmitted } from "@wizard/events";
+import {
+  getJobRaw,
+  getSession,
+  listApplicationsForJob,
+  loadApplication,
+  loadApplicationResumeFile,
+  loadFinalJob,
+  loadJobSyndication,
+  saveApplication,
+  saveApplicationResumeFile,
+  syncJobApplyCount,
+} from "../repositories/index.js";
+import { publishEvent } from "../event-publisher.js";
+import { LLM_CORE_TASK } from "../../config/task-types.js";
+import { resolveSyndicationWindow } from "../job-syndication/posting.js";
+import { buildScreeningCriteria, mergeCriterionVerdicts, scoreCriteria } from "./criteria.js";
+import {
+  MAX_RESUME_FILE_BYTES,
+  RESUME_MIME_TYPES,
+  extractPdfText,
+  hasReadableText,
+  normalizeResumeText,
+} from "./resume-text.js";
+
+export {
+  MAX_RESUME_FILE_BYTES,
+  MAX_RESUME_TEXT_CHARS,
+  RESUME_MIME_TYPES,
+} from "./resume-text.js";
+
+async function loadOwnedJob(firestore, jobId, userId) {
+  const job = await getJobRaw(firestore, jobId);
+  if (!job) {
+    throw httpError(404, "Job not found");
+  }
+  if (job.ownerUserId && job.ownerUserId !== userId) {
+    throw httpError(403, "You do not have access to this job");
+  }
+  return job;
+}
+
+async function loadRoleContent(firestore, job) {
+  if (!job.goldenSessionId) {
+    return null;
+  }
+  const session = await getSession(firestore, job.goldenSessionId);
+  return session?.goldenSchema?.role_content ?? null;
+}
+
+function readResume({ resumeText, resumeFile }) {
+  if (typeof resumeText === "string" && resumeText.trim()) {
+    const text = normalizeResumeText(resumeText);
+    return {
+      resume: {
+        source: "text",
+        fileName: null,
+        mimeType: RESUME_MIME_TYPES.TEXT,
+        sizeBytes: Buffer.byteLength(text, "utf8"),
+        text,
+      },
+      file: null,
+    };
+  }
+
+  const buffer = Buffer.from(resumeFile.contentBase64, "base64");
+  if (buffer.length === 0) {
+    throw httpError(400, "Resume file is empty");
+  }
+  if (buffer.length > MAX_RESUME_FILE_BYTES) {
+    throw httpError(413, "Resume file is too large");
+  }
+
+  const isPdf = resumeFile.mimeType === RESUME_MIME_TYPES.PDF;
+  const text = normalizeResumeText(
+    isPdf ? extractPdfText(buffer) : buffer.toString("utf8")
+  );
+  if (!hasReadableText(text)) {
+    throw httpError(
+      422,
+      "We could not read any text from this resume. Paste your resume as text instead."
+    );
+  }
+  return {
+    resume: {
+      source: isPdf ? "pdf" : "text",
+      fileName: resumeFile.fileName ?? null,
+      mimeType: resumeFile.mimeType,
+      sizeBytes: buffer.length,
+      text,
+    },
+    file: isPdf ? resumeFile : null,
+  };
+}
+
+function toShortlistEntry(application) {
+  return {
+    applicationId: application.id,
+    candidate: application.candidate,
+    status: application.status,
+    score: application.screening?.score ?? null,
+    summary: application.screening?.summary ?? null,
+    criteria: application.screening?.criteria ?? [],
+    screeningError: application.screeningError ?? null,
+    resume: {
+      source: application.resume.source,
+      fileName: application.resume.fileName ?? null,
+    },
+    attribution: application.attribution ?? null,
+    createdAt: application.createdAt,
+    screenedAt: application.screening?.screenedAt ?? null,
+  };
+}
+
+/**
+ * Rank applications: screened by score (highest first, earliest applicant
+ * wins ties), then everything not yet screened in arrival order.
+ * @param {Object[]} applications - JobApplicationSchema documents
+ * @returns {Object[]} Shortlist entries with a 1-based rank on screened ones
+ */
+export function rankApplications(applications) {
+  const byArrival = (a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime();
+  const screened = applications
+    .filter((application) => application.screening)
+    .sort((a, b) => b.screening.score - a.screening.score || byArrival(a, b));
+  const pending = applications
+    .filter((application) => !application.screening)
+    .sort(byArrival);
+  return [
+    ...screened.map((application, index) => ({ rank: index + 1, ...toShortlistEntry(application) })),
+    ...pending.map((application) => ({ rank: null, ...toShortlistEntry(application) })),
+  ];
+}
+
+/**
+ * Accept an application for a published job.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object|null} [params.eventBus] - Event bus
+ * @param {string} params.jobId - Job ID
+ * @param {Object} params.payload - { candidate, resumeText?, resumeFile?, coverLetter?, attribution? }
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<{applicationId: string, jobId: string, status: string}>}
+ * @throws {Error} 404 when the job is not published, 409 for a repeat applicant
+ */
+export async function submitApplication({
+  firestore,
+  logger,
+  eventBus = null,
+  jobId,
+  payload,
+  now = new Date(),
+}) {
+  const job = await getJobRaw(firestore, jobId);
+  const finalJob = job ? await loadFinalJob(firestore, jobId) : null;
+  const syndication = finalJob ? await loadJobSyndication(firestore, jobId) : null;
+  if (!finalJob || !resolveSyndicationWindow({ finalJob, syndication, now }).active) {
+    throw httpError(404, "This job is not accepting applications");
+  }
+
+  const email = payload.candidate.email.toLowerCase();
+  const existing = await listApplicationsForJob(firestore, jobId);
+  if (existing.some((application) => application.candidate.email.toLowerCase() === email)) {
+    throw httpError(409, "You have already applied to this job");
+  }
+
+  const { resume, file } = readResume(payload);
+  const applicationId = `application_${randomUUID()}`;
+  const application = await saveApplication(firestore, {
+    id: applicationId,
+    jobId,
+    companyId: job.companyId ?? finalJob.companyId ?? null,
+    ownerUserId: job.ownerUserId ?? null,
+    candidate: { ...payload.candidate, email },
+    resume,
+    coverLetter: payload.coverLetter ?? null,
+    attribution: payload.attribution ?? null,
+    status: "received",
+    screening: null,
+    createdAt: now,
+    updatedAt: now,
+  });
+  if (file) {
+    await saveApplicationResumeFile(firestore, {
+      applicationId,
+      jobId,
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      contentBase64: file.contentBase64,
+      createdAt: now,
+    });
+  }
+
+  const applies = await syncJobApplyCount(firestore, jobId);
+  await publishEvent({
+    eventBus,
+    logger,
+    schema: ApplicationSubmitted,
+    partitionKey: jobId,
+    payload: {
+      applicationId,
+      jobId,
+      companyId: application.companyId ?? null,
+      resumeSource: resume.source,
+    },
+  });
+  logger?.info?.(
+    { jobId, applicationId, resumeSource: resume.source, applies },
+    "applications.submitted"
+  );
+
+  return { applicationId, jobId, status: application.status };
+}
+
+/**
+ * Screen a job's applications with the application_screening task.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} params.llmClient - LLM client (askApplicationScreening)
+ * @param {Function} [params.usageTracker] - Called with { result, usageContext } per LLM call
+ * @param {string} params.userId - Job owner
+ * @param {string} params.jobId - Job ID
+ * @param {string[]} [params.applicationIds] - Limit to these applications
+ * @param {boolean} [params.rescreen] - Screen again even if already screened
+ * @returns {Promise<{screened: number, failed: number, shortlist: Object[]}>}
+ */
+export async function screenJobApplications({
+  firestore,
+  logger,
+  llmClient,
+  usageTracker = null,
+  userId,
+  jobId,
+  applicationIds = null,
+  rescreen = false,
+}) {
+  const job = await loadOwnedJob(firestore, jobId, userId);
+  const finalJob = await loadFinalJob(firestore, jobId);
+  if (!finalJob) {
+    throw httpError(409, "Finalize the job before screening applications.");
+  }
+  const roleContent = await loadRoleContent(firestore, job);
+  const criteria = buildScreeningCriteria({ job: finalJob.job, roleContent });
+  if (criteria.length === 0) {
+    throw httpError(
+      409,
+      "Add must-haves to the job before screening applications."
+    );
+  }
+
+  const applications = await listApplicationsForJob(firestore, jobId);
+  const wanted = Array.isArray(applicationIds) ? new Set(applicationIds) : null;
+  const queue = applications.filter(
+    (application) =>
+      (!wanted || wanted.has(application.id)) &&
+      (rescreen || application.status !== "screened")
+  );
+
+  let screened = 0;
+  let failed = 0;
+  for (const application of queue) {
+    const result = await llmClient.askApplicationScreening({
+      jobId,
+      job: finalJob.job,
+      criteria,
+      resumeText: application.resume.text,
+      coverLetter: application.coverLetter ?? null,
+    });
+    await usageTracker?.({
+      result,
+      usageContext: { userId, jobId, taskType: LLM_CORE_TASK.APPLICATION_SCREENING },
+    });
+
+    const now = new Date();
+    if (result?.error) {
+      failed += 1;
+      await saveApplication(firestore, {
+        ...application,
+        status: "screening_failed",
+        screeningError: {
+          reason: result.error.reason ?? "screening_failed",
+          message: result.error.message ?? null,
+        },
+        updatedAt: now,
+      });
+      logger?.warn?.(
+        { jobId, applicationId: application.id, reason: result.error.reason ?? null },
+        "applications.screening.failed"
+      );
+      continue;
+    }
+
+    const merged = mergeCriterionVerdicts(criteria, result.criteria);
+    screened += 1;
+    await saveApplication(firestore, {
+      ...application,
+      status: "screened",
+      screening: {
+        score: scoreCriteria(merged),
+        summary: result.summary ?? null,
+        criteria: merged,
+        provider: result.provider ?? null,
+        model: result.model ?? null,
+        screenedAt: now,
+      },
+      screeningError: null,
+      updatedAt: now,
+    });
+  }
+
+  logger?.info?.(
+    { jobId, userId, criteria: criteria.length, queued: queue.length, screened, failed },
+    "applications.screening.completed"
+  );
+
+  const refreshed = await listApplicationsForJob(firestore, jobId);
+  return { screened, failed, shortlist: rankApplications(refreshed) };
+}
+
+/**
+ * Ranked shortlist for the job owner.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.userId - Job owner
+ * @param {string} params.jobId - Job ID
+ * @param {number} [params.limit] - Max entries
+ * @returns {Promise<{jobId: string, total: number, screened: number, shortlist: Object[]}>}
+ */
+export async function getJobShortlist({ firestore, userId, jobId, limit = null }) {
+  await loadOwnedJob(firestore, jobId, userId);
+  const applications = await listApplicationsForJob(firestore, jobId);
+  const ranked = rankApplications(applications);
+  return {
+    jobId,
+    total: applications.length,
+    screened: applications.filter((application) => application.screening).length,
+    shortlist: limit ? ranked.slice(0, limit) : ranked,
+  };
+}
+
+/**
+ * Load the resume an applicant sent, for the job owner.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.userId - Job owner
+ * @param {string} params.applicationId - Application ID
+ * @returns {Promise<{fileName: string|null, mimeType: string, content: Buffer}>}
+ */
+export async function getApplicationResume({ firestore, userId, applicationId }) {
+  const application = await loadApplication(firestore, applicationId);
+  if (!application) {
+    throw httpError(404, "Application not found");
+  }
+  await loadOwnedJob(firestore, application.jobId, userId);
+
+  if (application.resume.source === "pdf") {
+    const file = await loadApplicationResumeFile(firestore, applicationId);
+    if (file?.contentBase64) {
+      return {
+        fileName: file.fileName ?? application.resume.fileName ?? null,
+        mimeType: file.mimeType,
+        content: Buffer.from(file.contentBase64, "base64"),
+      };
+    }
+  }
+  return {
+    fileName: application.resume.fileName ?? null,
+    mimeType: RESUME_MIME_TYPES.TEXT,
+    content: Buffer.from(application.resume.text, "utf8"),
+  };
+}
@@ -0,0 +1,226 @@
+/**
+ * @file resume-text.js
+ * Turns an uploaded resume into the plain text the screening task reads.
+ *
+ * PDF support is deliberately small: it inflates the page content streams
+ * and collects the strings drawn by the text operators (Tj, TJ, ', ").
+ * That covers resumes exported from word processors and most resume
+ * builders; scanned or CID-font PDFs yield no text and the candidate is
+ * asked to paste their resume instead.
+ *
+ * Uploads are unauthenticated, so every step is bounded: streams are found
+ * with a linear scan, inflation stops at a per-stream and per-file output
+ * cap (a few KB of deflate can expand to gigabytes), and a file that hits a
+ * cap is treated as unreadable.
+ */
+
+import { inflateSync } from "node:zlib";
+
+export const RESUME_MIME_TYPES = Object.freeze({
+  TEXT: "text/plain",
+  PDF: "application/pdf",
+});
+
+// Stored next to the application in Firestore, which caps documents at 1 MiB.
+export const MAX_RESUME_FILE_BYTES = 700 * 1024;
+
+// Far more text than any resume; longer extractions are cut here.
+export const MAX_RESUME_TEXT_CHARS = 100_000;
+
+// Below this many letters we treat a PDF as unreadable.
+const MIN_EXTRACTED_LETTERS = 40;
+
+// Inflated-size caps per content stream and per file
+const MAX_INFLATED_STREAM_BYTES = 4 * 1024 * 1024;
+const MAX_INFLATED_FILE_BYTES = 16 * 1024 * 1024;
+// Stream dictionaries are short; longer look-backs are not a dictionary.
+const MAX_DICTIONARY_CHARS = 4096;
+const OVERSIZED_STREAM = Symbol("oversized_stream");
+
+// Operands we care about (string literals and TJ arrays) and operator names.
+const CONTENT_TOKEN_PATTERN = /\[(?:\\.|[^\\\]])*\]|\((?:\\.|[^\\)])*\)|[A-Za-z*'"]+/g;
+const TJ_PART_PATTERN = /\((?:\\.|[^\\)])*\)|-?\d*\.?\d+/g;
+const LINE_BREAK_OPERATORS = new Set(["T*", "Td", "TD", "ET"]);
+// TJ kerning beyond this (in thousandths of an em) is a word gap.
+const TJ_WORD_GAP = -200;
+
+const ESCAPES = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", "(": "(", ")": ")", "\\": "\\" };
+
+function decodePdfString(literal) {
+  const body = literal.slice(1, -1);
+  return body.replace(/\\([0-7]{1,3}|.|\n)/g, (_, code) => {
+    if (/^[0-7]+$/.test(code)) {
+      return String.fromCharCode(parseInt(code, 8));
+    }
+    if (code === "\n") return "";
+    return ESCAPES[code] ?? code;
+  });
+}
+
+function findDictionaryStart(source, closeIndex, floor) {
+  const limit = Math.max(floor, closeIndex - MAX_DICTIONARY_CHARS);
+  let depth = 1;
+  for (let index = closeIndex - 1; index >= limit; index -= 1) {
+    const pair = source.slice(index, index + 2);
+    if (pair === ">>") {
+      depth += 1;
+      index -= 1;
+    } else if (pair === "<<") {
+      depth -= 1;
+      if (depth === 0) return index;
+      index -= 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Yield `{ dictionary, data }` for every `<< ... >> stream ... endstream`
+ * object. Look-backs never cross the previous "stream" keyword, so the file
+ * is scanned once.
+ */
+function* findStreams(source) {
+  let searchFrom = 0;
+  while (searchFrom < source.length) {
+    const floor = searchFrom;
+    const keyword = source.indexOf("stream", searchFrom);
+    if (keyword === -1) return;
+    searchFrom = keyword + "stream".length;
+
+    let dictionaryEnd = keyword;
+    while (dictionaryEnd > floor && /\s/.test(source[dictionaryEnd - 1])) {
+      dictionaryEnd -= 1;
+    }
+    if (source.slice(dictionaryEnd - 2, dictionaryEnd) !== ">>") {
+      continue; // "endstream" or a word in a string
+    }
+    const dictionaryStart = findDictionaryStart(source, dictionaryEnd - 2, floor);
+    if (dictionaryStart === -1) {
+      continue;
+    }
+    const dictionary = source.slice(dictionaryStart + 2, dictionaryEnd - 2);
+
+    let dataStart = searchFrom;
+    if (source[dataStart] === "\r") dataStart += 1;
+    if (source[dataStart] === "\n") dataStart += 1;
+    const declaredLength = dictionary.match(/\/Length\s+(\d+)(?!\s+\d+\s+R)/);
+    let dataEnd = declaredLength ? dataStart + Number(declaredLength[1]) : -1;
+    if (dataEnd === -1 || !/^\s*endstream/.test(source.slice(dataEnd, dataEnd + 32))) {
+      dataEnd = source.indexOf("endstream", dataStart);
+      if (dataEnd === -1) return;
+      if (source[dataEnd - 1] === "\n") dataEnd -= 1;
+      if (source[dataEnd - 1] === "\r") dataEnd -= 1;
+    }
+    yield { dictionary, data: source.slice(dataStart, dataEnd) };
+    searchFrom = dataEnd;
+  }
+}
+
+function decodeStream(dictionary, data) {
+  if (/\/Subtype\s*\/Image|\/FontFile/.test(dictionary)) {
+    return null;
+  }
+  const bytes = Buffer.from(data, "latin1");
+  if (!/\/FlateDecode/.test(dictionary)) {
+    return /\/Filter/.test(dictionary) ? null : bytes.toString("latin1");
+  }
+  try {
+    return inflateSync(bytes, { maxOutputLength: MAX_INFLATED_STREAM_BYTES }).toString("latin1");
+  } catch (error) {
+    return error?.code === "ERR_BUFFER_TOO_LARGE" ? OVERSIZED_STREAM : null;
+  }
+}
+
+function collectText(content) {
+  const lines = [];
+  let line = "";
+  let operand = null;
+  const breakLine = () => {
+    if (line.trim()) lines.push(line.trim());
+    line = "";
+  };
+  for (const [token] of content.matchAll(CONTENT_TOKEN_PATTERN)) {
+    if (token.startsWith("(") || token.startsWith("[")) {
+      operand = token;
+      continue;
+    }
+    if ((token === "'" || token === '"') && operand) {
+      breakLine();
+    }
+    if (["Tj", "'", '"'].includes(token) && operand?.startsWith("(")) {
+      line += decodePdfString(operand);
+    } else if (token === "TJ" && operand?.startsWith("[")) {
+      for (const [part] of operand.matchAll(TJ_PART_PATTERN)) {
+        if (part.startsWith("(")) {
+          line += decodePdfString(part);
+        } else if (Number(part) < TJ_WORD_GAP) {
+          line += " ";
+        }
+      }
+    } else if (LINE_BREAK_OPERATORS.has(token)) {
+      breakLine();
+    }
+    operand = null;
+  }
+  breakLine();
+  return lines.join("\n");
+}
+
+/**
+ * Extract the visible text of a PDF, up to MAX_RESUME_TEXT_CHARS.
+ * Returns "" when the content inflates past the size caps, so the upload is
+ * refused as unreadable rather than expanded.
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {string} Extracted text (may be empty)
+ */
+export function extractPdfText(buffer) {
+  const source = buffer.toString("latin1");
+  const chunks = [];
+  let inflatedBytes = 0;
+  let textLength = 0;
+  for (const { dictionary, data } of findStreams(source)) {
+    const content = decodeStream(dictionary, data);
+    if (content === OVERSIZED_STREAM) {
+      return "";
+    }
+    if (!content) {
+      continue;
+    }
+    inflatedBytes += content.length;
+    if (inflatedBytes > MAX_INFLATED_FILE_BYTES) {
+      return "";
+    }
+    if (/\bBT\b/.test(content)) {
+      const text = collectText(content);
+      chunks.push(text);
+      textLength += text.length;
+      if (textLength >= MAX_RESUME_TEXT_CHARS) break;
+    }
+  }
+  return chunks.filter(Boolean).join("\n").slice(0, MAX_RESUME_TEXT_CHARS);
+}
+
+/**
+ * Collapse whitespace while keeping paragraph breaks; the result is capped
+ * at MAX_RESUME_TEXT_CHARS.
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+export function normalizeResumeText(text) {
+  return String(text ?? "")
+    .replace(/\r\n?/g, "\n")
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .slice(0, MAX_RESUME_TEXT_CHARS);
+}
+
+/**
+ * Whether extracted text is long enough to screen.
+ * @param {string} text - Normalized text
+ * @returns {boolean}
+ */
+export function hasReadableText(text) {
+  return (text.match(/\p{L}/gu) ?? []).length >= MIN_EXTRACTED_LETTERS;
+}
@@ -0,0 +1,83 @@
+/**
+ * @file campaign-launch-service.js
+ * Turns a "launch" request from the dashboard into CampaignLaunchRequested
+ * envelopes for services/campaign-orchestrator.
+ *
+ * The gateway never creates campaign records itself; it only decides which
+ * jobs are launchable and enqueues one envelope per job.
+ */
+
+import { randomUUID } from "node:crypto";
+import { httpError } from "@wizard/utils";
+import { CampaignLaunchRequested } from "@wizard/events";
+import { getJobsForUser } from "./repositories/dashboard-repository.js";
+import { loadFinalJob } from "./repositories/final-job-repository.js";
+
+/**
+ * Enqueue campaign launches for a user's finalized jobs.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} params.eventBus - Event bus (see @wizard/events)
+ * @param {string} params.userId - Authenticated user ID
+ * @param {Object} params.payload - Validated request body
+ * @returns {Promise<Object>} { launches, skipped }
+ */
+export async function requestCampaignLaunch({
+  firestore,
+  logger,
+  eventBus,
+  userId,
+  payload,
+}) {
+  if (!eventBus) {
+    throw httpError(503, "Event bus is not configured");
+  }
+
+  const jobs = await getJobsForUser(firestore, userId);
+  const requestedIds = Array.isArray(payload.jobIds) ? payload.jobIds : null;
+  const candidates = requestedIds
+    ? jobs.filter((job) => requestedIds.includes(job.id))
+    : jobs.filter((job) => job.status !== "archived");
+
+  if (requestedIds && candidates.length !== requestedIds.length) {
+    throw httpError(404, "One or more jobs were not found");
+  }
+
+  const launches = [];
+  const skipped = [];
+  for (const job of candidates) {
+    const finalJob = await loadFinalJob(firestore, job.id);
+    if (!finalJob) {
+      skipped.push({ jobId: job.id, reason: "job_not_finalized" });
+      continue;
+    }
+    if (finalJob.compliance?.blocking) {
+      skipped.push({ jobId: job.id, reason: "pay_compliance_blocked" });
+      continue;
+    }
+    const envelope = await eventBus.publish(CampaignLaunchRequested, {
+      partitionKey: job.id,
+      payload: {
+        campaignId: `launch_${randomUUID()}`,
+        jobId: job.id,
+        channels: payload.channels,
+        budget: payload.budget,
+        objective: payload.objective,
+      },
+      metadata: { requestedBy: userId },
+    });
+    launches.push({
+      jobId: job.id,
+      launchId: envelope.payload.campaignId,
+      eventId: envelope.id,
+    });
+  }
+
+  logger.info(
+    { userId, launched: launches.length, skipped: skipped.length },
+    "Campaign launch requested"
+  );
+
+  return { launches, skipped };
+}
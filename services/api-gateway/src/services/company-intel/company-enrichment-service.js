@@ -46,6 +46,23 @@ import {
 import { dedupeJobs } from "./job-deduplication.js";
 import { markEnrichmentFailed, saveDiscoveredJobs } from "./company-repository-helpers.js";
 
+// Company-wide workplace facts (benefits, perks, company health) requested from
+// the intel agent. Golden interviews prefill these for confirmation.
+const WORKPLACE_FIELDS = [
+  "companyAge",
+  "companyStage",
+  "fundingStatus",
+  "healthInsurance",
+  "dental",
+  "vision",
+  "retirementPlan",
+  "retirementMatch",
+  "mealsProvided",
+  "commuterBenefits",
+  "gym",
+  "unionized"
+];
+
 /**
  * Compute gaps in company data.
  * @param {Object} company - Company object
@@ -59,6 +76,7 @@ export function computeCompanyGaps(company = {}) {
     branding: [],
     voice: [],
     socials: [],
+    workplace: [],
     jobs: []
   };
   const brand = ensureBrandShape(company?.brand ?? {});
@@ -118,6 +136,12 @@ export function computeCompanyGaps(company = {}) {
   if (!hasValue(normalizedSocials?.linkedin)) {
     pushGap("socials", "linkedin");
   }
+  WORKPLACE_FIELDS.forEach((field) => {
+    const value = company?.workplace?.[field];
+    if (value === undefined || value === null) {
+      pushGap("workplace", field);
+    }
+  });
   if (!Array.isArray(gaps.jobs)) {
     gaps.jobs = [];
   }
@@ -171,6 +195,7 @@ function normalizeIntelEvidence(evidence = {}) {
     profile: normalizeSection(evidence?.profile),
     branding: normalizeSection(evidence?.branding),
     socials: normalizeSection(evidence?.socials),
+    workplace: normalizeSection(evidence?.workplace),
     jobs: normalizeJobEvidence
   };
 }
@@ -531,6 +556,7 @@ async function runCompanyEnrichmentCore({
   const profile = intelResult?.profile ?? {};
   const branding = intelResult?.branding ?? {};
   const llmSocials = intelResult?.socials ?? {};
+  const workplace = intelResult?.workplace ?? {};
   const intelEvidence = normalizeIntelEvidence(intelResult?.evidence ?? {});
   const gapLookup = buildGapLookup(gaps);
 
@@ -824,6 +850,26 @@ async function runCompanyEnrichmentCore({
     });
   });
 
+  // Workplace facts only fill gaps; values already on the company are kept
+  const mergedWorkplace = { ...(company.workplace ?? {}) };
+  WORKPLACE_FIELDS.forEach((field) => {
+    const value = workplace[field];
+    if (value === undefined || value === null || !hasGap("workplace", field)) {
+      return;
+    }
+    mergedWorkplace[field] = value;
+    updateFieldEvidence({
+      company,
+      evidence: fieldEvidence,
+      field: `workplace.${field}`,
+      value,
+      sources: gatherSources("workplace", field)
+    });
+  });
+  if (JSON.stringify(mergedWorkplace) !== JSON.stringify(company.workplace ?? {})) {
+    patch.workplace = mergedWorkplace;
+  }
+
   patch.fieldSources = fieldEvidence;
   logger.info(
     { companyId: company.id, fieldSources: fieldEvidence },
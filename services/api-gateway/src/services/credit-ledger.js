@@ -0,0 +1,355 @@
+/**
+ * @file credit-ledger.js
+ * Reserve / charge / refund ledger for expensive LLM workflows.
+ *
+ * Flow:
+ * 1. reserveCredits() holds the estimated cost (402 when the user cannot
+ *    cover it) and writes a RESERVE ledger entry.
+ * 2. LLM usage recorded with usageContext.creditReservationId accrues onto
+ *    the hold instead of debiting the balance (see llm-usage-ledger.js).
+ * 3. chargeReservation() bills the accrued (actual) cost and releases the
+ *    rest; refundReservation() releases the whole hold when the task failed.
+ *
+ * Every ledger entry is also published as a CreditLedgerUpdated event.
+ */
+
+import { randomUUID } from "node:crypto";
+import { httpError } from "@wizard/utils";
+import { applyCreditMovement } from "@wizard/core";
+import { CreditLedgerUpdated } from "@wizard/events";
+import { CREDIT_RESERVATION_TTL_MS } from "../config/credit-reservations.js";
+import {
+  loadCreditReservation,
+  saveCreditReservation,
+  saveCreditLedgerEntry,
+  loadUserCredits,
+  saveUserCredits,
+} from "./repositories/index.js";
+import { publishEvent } from "./event-publisher.js";
+
+const roundCredits = (value) => Number(Number(value ?? 0).toFixed(6));
+
+/**
+ * Write a ledger entry and publish it on the event bus.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.eventBus] - Event bus
+ * @param {string} params.userId - Owning user ID
+ * @param {Object} params.entry - Entry fields (id/occurredAt are filled in)
+ * @returns {Promise<Object>} Saved ledger entry
+ */
+export async function recordLedgerEntry({ firestore, logger, eventBus, userId, entry }) {
+  const saved = await saveCreditLedgerEntry(firestore, userId, {
+    id: randomUUID(),
+    occurredAt: new Date(),
+    ...entry,
+    metadata: { userId, ...(entry.metadata ?? {}) },
+  });
+  await publishEvent({
+    eventBus,
+    logger,
+    schema: CreditLedgerUpdated,
+    partitionKey: userId,
+    payload: saved,
+  });
+  return saved;
+}
+
+/**
+ * Place a hold on a user's credits.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.eventBus] - Event bus
+ * @param {string} params.userId - User ID
+ * @param {string|null} [params.jobId] - Job the work belongs to
+ * @param {string} params.workflow - Task type being reserved for
+ * @param {number} params.credits - Credits to hold
+ * @param {Object} [params.metadata] - Extra reservation metadata
+ * @returns {Promise<Object>} The RESERVED reservation
+ * @throws {Error} 402 when the spendable balance cannot cover the hold
+ */
+export async function reserveCredits({
+  firestore,
+  logger,
+  eventBus,
+  userId,
+  jobId = null,
+  workflow,
+  credits,
+  metadata = {},
+}) {
+  const requiredCredits = Math.max(0, Math.ceil(Number(credits ?? 0)));
+  const now = new Date();
+  // The balance check and the hold commit together, so concurrent reservations
+  // cannot both spend the same credits
+  const reservation = await firestore.runTransaction(async (transaction) => {
+    const userDoc = await loadUserCredits(transaction, userId);
+    if (!userDoc) {
+      throw httpError(404, "User not found");
+    }
+
+    const availableCredits = Number(
+      userDoc.usage?.remainingCredits ?? userDoc.credits?.balance ?? 0
+    );
+    if (availableCredits < requiredCredits) {
+      logger?.info?.(
+        { userId, workflow, requiredCredits, availableCredits },
+        "credits.reservation.insufficient"
+      );
+      throw httpError(402, "Insufficient credits", {
+        workflow,
+        requiredCredits,
+        availableCredits,
+      });
+    }
+
+    const created = await saveCreditReservation(transaction, {
+      id: randomUUID(),
+      userId,
+      jobId,
+      workflow,
+      status: "RESERVED",
+      reservedCredits: requiredCredits,
+      accruedCredits: 0,
+      chargedCredits: 0,
+      createdAt: now,
+      updatedAt: now,
+      expiresAt: new Date(now.getTime() + CREDIT_RESERVATION_TTL_MS),
+      metadata,
+    });
+    await saveUserCredits(
+      transaction,
+      userId,
+      applyCreditMovement(userDoc, { reserve: requiredCredits })
+    );
+    return created;
+  });
+  await recordLedgerEntry({
+    firestore,
+    logger,
+    eventBus,
+    userId,
+    entry: {
+      jobId: jobId ?? undefined,
+      workflow,
+      type: "RESERVE",
+      credits: requiredCredits,
+      status: "RESERVED",
+      correlationId: reservation.id,
+    },
+  });
+
+  logger?.info?.(
+    { userId, workflow, reservationId: reservation.id, credits: requiredCredits },
+    "credits.reservation.created"
+  );
+  return reservation;
+}
+
+/**
+ * Add actual usage to an open reservation.
+ * Returns false when the reservation is unknown, closed or owned by someone
+ * else so the caller falls back to debiting the balance directly.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {string} params.reservationId - Reservation ID
+ * @param {string|null} params.userId - User the usage belongs to
+ * @param {number} params.credits - Credits used by one LLM call
+ * @returns {Promise<boolean>} Whether the usage was accrued
+ */
+export async function accrueReservedUsage({
+  firestore,
+  logger,
+  reservationId,
+  userId,
+  credits,
+}) {
+  const accrued = await firestore.runTransaction(async (transaction) => {
+    const reservation = await loadCreditReservation(transaction, reservationId);
+    if (!reservation || reservation.status !== "RESERVED" || reservation.userId !== userId) {
+      return false;
+    }
+    await saveCreditReservation(transaction, {
+      ...reservation,
+      accruedCredits: roundCredits(reservation.accruedCredits + Number(credits ?? 0)),
+      updatedAt: new Date(),
+    });
+    return true;
+  });
+  if (!accrued) {
+    logger?.warn?.({ reservationId, userId }, "credits.reservation.accrue_skipped");
+  }
+  return accrued;
+}
+
+async function closeReservation({
+  firestore,
+  logger,
+  eventBus,
+  reservationId,
+  status,
+  reason,
+}) {
+  // Status check and balance movement commit together: a settle racing the
+  // sweeper (services/credits) releases the hold exactly once
+  const { reservation, closed, spend } = await firestore.runTransaction(async (transaction) => {
+    const current = await loadCreditReservation(transaction, reservationId);
+    if (!current) {
+      throw httpError(404, "Credit reservation not found");
+    }
+    if (current.status !== "RESERVED") {
+      // Already settled (e.g. expired by services/credits); nothing to move.
+      return { reservation: current, closed: null, spend: 0 };
+    }
+
+    const charged = status === "SETTLED" ? current.accruedCredits : 0;
+    const userDoc = await loadUserCredits(transaction, current.userId);
+    if (userDoc) {
+      await saveUserCredits(
+        transaction,
+        current.userId,
+        applyCreditMovement(userDoc, { release: current.reservedCredits, spend: charged })
+      );
+    }
+    const saved = await saveCreditReservation(transaction, {
+      ...current,
+      status,
+      chargedCredits: charged,
+      updatedAt: new Date(),
+      metadata: reason ? { ...current.metadata, reason } : current.metadata,
+    });
+    return { reservation: current, closed: saved, spend: charged };
+  });
+  if (!closed) {
+    return reservation;
+  }
+
+  await recordLedgerEntry({
+    firestore,
+    logger,
+    eventBus,
+    userId: reservation.userId,
+    entry: {
+      jobId: reservation.jobId ?? undefined,
+      workflow: reservation.workflow,
+      type: status === "SETTLED" ? "CHARGE" : "REFUND",
+      credits: status === "SETTLED" ? spend : reservation.reservedCredits,
+      status,
+      correlationId: reservation.id,
+      metadata: {
+        reservedCredits: reservation.reservedCredits,
+        accruedCredits: reservation.accruedCredits,
+        ...(reason ? { reason } : {}),
+      },
+    },
+  });
+
+  logger?.info?.(
+    {
+      userId: reservation.userId,
+      workflow: reservation.workflow,
+      reservationId: reservation.id,
+      status,
+      reservedCredits: reservation.reservedCredits,
+      chargedCredits: spend,
+    },
+    "credits.reservation.closed"
+  );
+  return closed;
+}
+
+/**
+ * Charge the accrued cost of a reservation and release the rest of the hold.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.eventBus] - Event bus
+ * @param {string} params.reservationId - Reservation ID
+ * @returns {Promise<Object>} The SETTLED reservation
+ */
+export function chargeReservation({ firestore, logger, eventBus, reservationId }) {
+  return closeReservation({ firestore, logger, eventBus, reservationId, status: "SETTLED" });
+}
+
+/**
+ * Release a reservation without charging it (the task failed).
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.eventBus] - Event bus
+ * @param {string} params.reservationId - Reservation ID
+ * @param {string} [params.reason] - Why the work failed
+ * @returns {Promise<Object>} The REFUNDED reservation
+ */
+export function refundReservation({ firestore, logger, eventBus, reservationId, reason }) {
+  return closeReservation({
+    firestore,
+    logger,
+    eventBus,
+    reservationId,
+    status: "REFUNDED",
+    reason,
+  });
+}
+
+/**
+ * Run a task inside a credit reservation: reserve, run, then charge on
+ * success or refund when the task throws or `isFailure(result)` is true.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.eventBus] - Event bus
+ * @param {string} params.userId - User ID
+ * @param {string|null} [params.jobId] - Job ID
+ * @param {string} params.workflow - Task type
+ * @param {number} params.credits - Credits to hold
+ * @param {Function} params.run - async (reservation) => result
+ * @param {Function} [params.isFailure] - (result) => boolean
+ * @returns {Promise<*>} Result of `run`
+ */
+export async function withCreditReservation({
+  firestore,
+  logger,
+  eventBus,
+  userId,
+  jobId = null,
+  workflow,
+  credits,
+  run,
+  isFailure = () => false,
+}) {
+  const reservation = await reserveCredits({
+    firestore,
+    logger,
+    eventBus,
+    userId,
+    jobId,
+    workflow,
+    credits,
+  });
+  const settle = { firestore, logger, eventBus, reservationId: reservation.id };
+
+  let result;
+  try {
+    result = await run(reservation);
+  } catch (error) {
+    await refundReservation({ ...settle, reason: error?.message ?? "task_failed" }).catch(
+      (refundError) =>
+        logger?.error?.(
+          { err: refundError, reservationId: reservation.id },
+          "credits.reservation.refund_failed"
+        )
+    );
+    throw error;
+  }
+
+  if (isFailure(result)) {
+    await refundReservation({ ...settle, reason: "task_failed" });
+  } else {
+    await chargeReservation(settle);
+  }
+  return result;
+}
@@ -0,0 +1,56 @@
+/**
+ * @file event-publisher.js
+ * Fire-and-forget helpers for publishing domain events from the gateway.
+ *
+ * Firestore stays the source of truth: a failed publish is logged and never
+ * fails the HTTP request that triggered it.
+ */
+
+/**
+ * Publish an event envelope through the event bus.
+ * @param {Object} params
+ * @param {Object|null} params.eventBus - Bus created by @wizard/events (optional)
+ * @param {Object} params.logger - Logger instance
+ * @param {import("zod").ZodTypeAny} params.schema - Envelope schema (e.g. WizardDraftUpdated)
+ * @param {string} params.partitionKey - Ordering key
+ * @param {Object} params.payload - Event payload
+ * @param {Object} [params.metadata] - Envelope metadata
+ * @returns {Promise<Object|null>} Published envelope, or null when skipped/failed
+ */
+export async function publishEvent({
+  eventBus,
+  logger,
+  schema,
+  partitionKey,
+  payload,
+  metadata = {},
+}) {
+  if (!eventBus) {
+    return null;
+  }
+  try {
+    return await eventBus.publish(schema, { partitionKey, payload, metadata });
+  } catch (error) {
+    logger?.warn?.(
+      { err: error, type: schema?.shape?.type?.value ?? null, partitionKey },
+      "events.publish_failed"
+    );
+    return null;
+  }
+}
+
+/**
+ * Flatten intake fields into the string map WizardDraftUpdated carries.
+ * Strings pass through; arrays/objects/numbers are JSON encoded; empty
+ * values are dropped.
+ * @param {Object} fields - Intake fields
+ * @returns {Record<string, string>}
+ */
+export function toEventStateMap(fields = {}) {
+  const state = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    state[key] = typeof value === "string" ? value : JSON.stringify(value);
+  });
+  return state;
+}
@@ -0,0 +1,103 @@
+import { getSession } from "./repositories/golden-interviewer-repository.js";
+
+// Bookkeeping that says nothing about the role itself
+const NON_ROLE_KEYS = new Set([
+  "id",
+  "sessionId",
+  "createdAt",
+  "updatedAt",
+  "companyId",
+  "user_context",
+  "extraction_metadata",
+]);
+
+function pruneEmpty(value) {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (typeof value === "string") {
+    return value.trim().length > 0 ? value : undefined;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(pruneEmpty).filter((item) => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (typeof value === "object") {
+    const entries = Object.entries(value)
+      .map(([key, child]) => [key, pruneEmpty(child)])
+      .filter(([, child]) => child !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value;
+}
+
+/**
+ * Reduce a golden schema to the facts an LLM prompt should see: role sections
+ * only, with unanswered (null/empty) fields removed.
+ * @param {object|null} goldenSchema
+ * @returns {object|null}
+ */
+export function compactGoldenSchema(goldenSchema) {
+  if (!goldenSchema || typeof goldenSchema !== "object") {
+    return null;
+  }
+  const roleSections = Object.fromEntries(
+    Object.entries(goldenSchema).filter(([key]) => !NON_ROLE_KEYS.has(key))
+  );
+  return pruneEmpty(roleSections) ?? null;
+}
+
+/**
+ * Load the golden interview context for a job created from an interview
+ * (`jobs.goldenSessionId`). Returns null for jobs without one.
+ */
+export async function loadGoldenContext({ firestore, job, logger }) {
+  const sessionId = job?.goldenSessionId;
+  if (!firestore || !sessionId) {
+    return null;
+  }
+  try {
+    const session = await getSession(firestore, sessionId);
+    return compactGoldenSchema(session?.goldenSchema);
+  } catch (error) {
+    logger?.warn?.(
+      { jobId: job.id ?? null, sessionId, err: error },
+      "Failed to load golden interview context"
+    );
+    return null;
+  }
+}
+
+// Reference imagery beyond this adds prompt size without changing the result
+const MAX_REFERENCE_MEDIA = 6;
+
+/**
+ * Workplace photos/videos uploaded during the job's golden interview
+ * (`environment.physical_space.media`), as reference imagery for image and
+ * video prompts. Returns [] for jobs without an interview or uploads.
+ * @returns {Promise<Array<{ mediaType: string, url: string, caption: string|null }>>}
+ */
+export async function loadGoldenReferenceMedia({ firestore, job, logger }) {
+  const sessionId = job?.goldenSessionId;
+  if (!firestore || !sessionId) {
+    return [];
+  }
+  try {
+    const session = await getSession(firestore, sessionId);
+    const media = session?.goldenSchema?.environment?.physical_space?.media;
+    if (!Array.isArray(media)) {
+      return [];
+    }
+    return media.slice(0, MAX_REFERENCE_MEDIA).map((entry) => ({
+      mediaType: entry.media_type,
+      url: entry.url,
+      caption: entry.caption ?? null,
+    }));
+  } catch (error) {
+    logger?.warn?.(
+      { jobId: job.id ?? null, sessionId, err: error },
+      "Failed to load golden interview reference media"
+    );
+    return [];
+  }
+}
@@ -2,6 +2,7 @@ import sharp from "sharp";
 import { JobHeroImageSchema, JobRefinementSchema, JobFinalSchema } from "@wizard/core";
 import { buildJobSnapshot } from "../wizard/job-intake.js";
 import { loadCompanyContext } from "./company-context.js";
+import { loadGoldenReferenceMedia } from "./golden-context.js";
 import { recordLlmUsageFromResult } from "./llm-usage-ledger.js";
 import { httpError } from "@wizard/utils";
 import { LLM_CORE_TASK } from "../config/task-types.js";
@@ -160,6 +161,7 @@ export async function generateHeroImage({
   forceRefresh = false,
   ownerUserId,
   userId,
+  creditReservationId = null,
 }) {
   const job = await firestore.getDocument("jobs", jobId);
   if (!job) {
@@ -175,7 +177,9 @@ export async function generateHeroImage({
       firestore,
       bigQuery,
       logger,
-      usageContext,
+      usageContext: creditReservationId
+        ? { ...usageContext, creditReservationId }
+        : usageContext,
       result,
       usageType: options.usageType,
       usageMetrics: options.usageMetrics,
@@ -233,6 +237,8 @@ export async function generateHeroImage({
     taskType: LLM_CORE_TASK.IMAGE_PROMPT_GENERATION,
     logger,
   });
+  // Workplace photos from the job's golden interview
+  const referenceImagery = await loadGoldenReferenceMedia({ firestore, job, logger });
 
   let document = await upsertHeroImageDocument({
     firestore,
@@ -256,6 +262,7 @@ export async function generateHeroImage({
     promptResult = await llmClient.askHeroImagePrompt({
       refinedJob: refinedSnapshot,
       companyContext: heroCompanyContext,
+      referenceImagery,
     });
     logger?.info?.(
       {
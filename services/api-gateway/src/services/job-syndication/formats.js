@@ -0,0 +1,175 @@
+/**
+ * @file formats.js
+ * Renders postings (see posting.js) as an Indeed-style XML job feed and as
+ * schema.org JobPosting JSON-LD for Google for Jobs.
+ */
+
+const INDEED_JOB_TYPES = {
+  full_time: "fulltime",
+  part_time: "parttime",
+  contract: "contract",
+  temporary: "temporary",
+  seasonal: "temporary",
+  intern: "internship",
+  gig: "contract",
+};
+
+const SCHEMA_EMPLOYMENT_TYPES = {
+  full_time: "FULL_TIME",
+  part_time: "PART_TIME",
+  contract: "CONTRACTOR",
+  temporary: "TEMPORARY",
+  seasonal: "TEMPORARY",
+  intern: "INTERN",
+  gig: "CONTRACTOR",
+};
+
+const SALARY_UNIT_LABELS = {
+  HOUR: "per hour",
+  DAY: "per day",
+  WEEK: "per week",
+  MONTH: "per month",
+  YEAR: "per year",
+};
+
+function cdata(value) {
+  // "]]>" cannot appear inside a CDATA section; split it across two.
+  return `<![CDATA[${String(value ?? "").replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+}
+
+function xmlElement(name, value, indent) {
+  if (value === null || value === undefined || value === "") return null;
+  return `${indent}<${name}>${cdata(value)}</${name}>`;
+}
+
+/**
+ * Human-readable salary ("USD 18-22 per hour"), or null.
+ * @param {Object|null} salary - Parsed salary from parseSalary()
+ * @returns {string|null}
+ */
+export function formatSalaryText(salary) {
+  if (!salary) return null;
+  const range =
+    salary.minValue === salary.maxValue
+      ? `${salary.minValue}`
+      : `${salary.minValue}-${salary.maxValue}`;
+  return `${salary.currency} ${range} ${SALARY_UNIT_LABELS[salary.unit] ?? ""}`.trim();
+}
+
+/**
+ * Render an Indeed-style XML feed.
+ * @param {Object} params
+ * @param {string} params.publisher - Feed publisher name
+ * @param {string|null} params.publisherUrl - Publisher website
+ * @param {Object[]} params.postings - Postings to include
+ * @param {Date} params.generatedAt - Feed build time
+ * @returns {string} XML document
+ */
+export function renderIndeedXmlFeed({ publisher, publisherUrl, postings, generatedAt }) {
+  const jobs = postings.map((posting) => {
+    const fields = [
+      xmlElement("title", posting.title, "    "),
+      xmlElement("date", posting.datePosted.toUTCString(), "    "),
+      xmlElement("referencenumber", posting.jobId, "    "),
+      xmlElement("url", posting.url, "    "),
+      xmlElement("company", posting.companyName, "    "),
+      xmlElement("city", posting.location?.locality, "    "),
+      xmlElement("state", posting.location?.region, "    "),
+      xmlElement("country", posting.location?.country, "    "),
+      xmlElement("postalcode", posting.postalCode, "    "),
+      xmlElement("remotetype", posting.remote ? "Fully remote" : null, "    "),
+      xmlElement("description", posting.descriptionHtml, "    "),
+      xmlElement("salary", formatSalaryText(posting.salary), "    "),
+      xmlElement("jobtype", INDEED_JOB_TYPES[posting.employmentType], "    "),
+      xmlElement("category", posting.industry, "    "),
+      xmlElement("experience", posting.experienceLevel, "    "),
+      xmlElement("expirationdate", posting.validThrough.toUTCString(), "    "),
+    ].filter(Boolean);
+    return ["  <job>", ...fields, "  </job>"].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    "<source>",
+    xmlElement("publisher", publisher, "  "),
+    xmlElement("publisherurl", publisherUrl, "  "),
+    xmlElement("lastBuildDate", generatedAt.toUTCString(), "  "),
+    ...jobs,
+    "</source>",
+    "",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+/**
+ * Render a posting as schema.org JobPosting JSON-LD.
+ * @param {Object} posting - Posting from buildPosting()
+ * @returns {Object} JSON-LD object
+ */
+export function renderJobPostingJsonLd(posting) {
+  const address = posting.location
+    ? Object.fromEntries(
+        Object.entries({
+          "@type": "PostalAddress",
+          addressLocality: posting.location.locality,
+          addressRegion: posting.location.region,
+          addressCountry: posting.location.country,
+          postalCode: posting.postalCode,
+        }).filter(([, value]) => value)
+      )
+    : null;
+
+  const jsonLd = {
+    "@context": "https://schema.org/",
+    "@type": "JobPosting",
+    title: posting.title,
+    description: posting.descriptionHtml,
+    identifier: {
+      "@type": "PropertyValue",
+      name: posting.companyName ?? undefined,
+      value: posting.jobId,
+    },
+    datePosted: posting.datePosted.toISOString(),
+    validThrough: posting.validThrough.toISOString(),
+    url: posting.url,
+    hiringOrganization: {
+      "@type": "Organization",
+      name: posting.companyName ?? undefined,
+      sameAs: posting.companyWebsite ?? undefined,
+      logo: posting.logoUrl ?? undefined,
+    },
+  };
+
+  if (SCHEMA_EMPLOYMENT_TYPES[posting.employmentType]) {
+    jsonLd.employmentType = SCHEMA_EMPLOYMENT_TYPES[posting.employmentType];
+  }
+  if (posting.industry) {
+    jsonLd.industry = posting.industry;
+  }
+  if (posting.remote) {
+    jsonLd.jobLocationType = "TELECOMMUTE";
+    if (posting.location?.country) {
+      jsonLd.applicantLocationRequirements = {
+        "@type": "Country",
+        name: posting.location.country,
+      };
+    }
+  } else if (address) {
+    jsonLd.jobLocation = { "@type": "Place", address };
+  }
+  if (posting.salary) {
+    jsonLd.baseSalary = {
+      "@type": "MonetaryAmount",
+      currency: posting.salary.currency,
+      value: {
+        "@type": "QuantitativeValue",
+        minValue: posting.salary.minValue,
+        maxValue: posting.salary.maxValue,
+        unitText: posting.salary.unit,
+      },
+    };
+  }
+
+  return JSON.parse(JSON.stringify(jsonLd));
+}
@@ -0,0 +1,255 @@
+/**
+ * @file index.js
+ * Job board syndication service.
+ *
+ * Finalized jobs (jobFinalJobs) are syndicated to text job boards as a
+ * per-company Indeed-style XML feed and as schema.org JobPosting JSON-LD for
+ * Google for Jobs, and listed on the hosted careers site. Each job can be
+ * excluded or given its own expiry through the jobSyndication controls; by
+ * default a final job is listed for SYNDICATION_DEFAULT_TTL_DAYS after it
+ * was finalized.
+ */
+
+import { httpError } from "@wizard/utils";
+import {
+  getCompanyByDomain,
+  getCompanyByIdParsed,
+  listFinalJobsForCompany,
+  loadFinalJob,
+  loadHeroImage,
+  loadJobAssets,
+  loadJobSyndication,
+  saveJobSyndication,
+} from "../repositories/index.js";
+import { buildPosting, resolveSyndicationWindow } from "./posting.js";
+import { formatSalaryText, renderJobPostingJsonLd } from "./formats.js";
+import { resolveCareersSlug, resolveJobPageUrl } from "./links.js";
+
+export { renderIndeedXmlFeed, renderJobPostingJsonLd } from "./formats.js";
+export { SYNDICATION_DEFAULT_TTL_DAYS } from "./posting.js";
+export {
+  CAREERS_FALLBACK_SLUG,
+  resolveCareersSlug,
+  resolveJobPageUrl,
+  withUtmParams,
+} from "./links.js";
+
+const JOB_COLLECTION = "jobs";
+
+async function buildActivePosting({ firestore, finalJob, company, now }) {
+  const syndication = await loadJobSyndication(firestore, finalJob.jobId);
+  const window = resolveSyndicationWindow({ finalJob, syndication, now });
+  if (!window.active) {
+    return null;
+  }
+  const assets = await loadJobAssets(firestore, finalJob.jobId);
+  return buildPosting({
+    finalJob,
+    company,
+    assets,
+    expiresAt: window.expiresAt,
+    applyUrl: resolveJobPageUrl({ jobId: finalJob.jobId, company }),
+  });
+}
+
+/**
+ * Build the postings in a company's job feed.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {string} params.companyId - Company ID
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<{company: Object, postings: Object[]}>}
+ * @throws {Error} 404 when the company does not exist
+ */
+export async function buildCompanyJobFeed({ firestore, logger, companyId, now = new Date() }) {
+  const company = await getCompanyByIdParsed(firestore, companyId);
+  if (!company) {
+    throw httpError(404, "Company not found");
+  }
+  const finalJobs = await listFinalJobsForCompany(firestore, companyId);
+  const postings = [];
+  for (const finalJob of finalJobs) {
+    const posting = await buildActivePosting({ firestore, finalJob, company, now });
+    if (posting) {
+      postings.push(posting);
+    }
+  }
+  postings.sort((a, b) => b.datePosted.getTime() - a.datePosted.getTime());
+  logger?.info?.(
+    { companyId, finalJobs: finalJobs.length, syndicated: postings.length },
+    "syndication.feed.built"
+  );
+  return { company, postings };
+}
+
+/**
+ * Build the posting for one syndicated job.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.jobId - Job ID
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<Object>} Posting
+ * @throws {Error} 404 when the job is not final, excluded or expired
+ */
+export async function getSyndicatedPosting({ firestore, jobId, now = new Date() }) {
+  const finalJob = await loadFinalJob(firestore, jobId);
+  if (!finalJob) {
+    throw httpError(404, "Job posting not found");
+  }
+  const company = finalJob.companyId
+    ? await getCompanyByIdParsed(firestore, finalJob.companyId)
+    : null;
+  const posting = await buildActivePosting({ firestore, finalJob, company, now });
+  if (!posting) {
+    throw httpError(404, "Job posting not found");
+  }
+  return posting;
+}
+
+/**
+ * Update a job's syndication controls.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {string} params.userId - User ID
+ * @param {string} params.jobId - Job ID
+ * @param {Object} params.payload - { included?, expiresAt? }
+ * @returns {Promise<Object>} Saved controls with the resolved window
+ */
+export async function updateJobSyndication({ firestore, logger, userId, jobId, payload }) {
+  const job = await firestore.getDocument(JOB_COLLECTION, jobId);
+  if (!job) {
+    throw httpError(404, "Job not found");
+  }
+  if (job.ownerUserId && job.ownerUserId !== userId) {
+    throw httpError(403, "You do not have access to this job");
+  }
+
+  const existing = await loadJobSyndication(firestore, jobId);
+  const saved = await saveJobSyndication(firestore, {
+    id: jobId,
+    jobId,
+    companyId: job.companyId ?? existing?.companyId ?? null,
+    included: payload.included ?? existing?.included ?? true,
+    expiresAt: payload.expiresAt !== undefined ? payload.expiresAt : existing?.expiresAt ?? null,
+    updatedAt: new Date(),
+  });
+
+  const finalJob = await loadFinalJob(firestore, jobId);
+  const window = finalJob
+    ? resolveSyndicationWindow({ finalJob, syndication: saved, now: new Date() })
+    : null;
+
+  logger?.info?.(
+    { userId, jobId, included: saved.included, expiresAt: saved.expiresAt ?? null },
+    "syndication.job.updated"
+  );
+
+  return {
+    jobId,
+    included: saved.included,
+    expiresAt: window?.expiresAt ?? saved.expiresAt ?? null,
+    complianceBlocked: window?.complianceBlocked ?? false,
+    active: window?.active ?? false,
+  };
+}
+
+// =============================================================================
+// HOSTED CAREERS SITE
+// =============================================================================
+
+function toCareersBranding(company) {
+  return {
+    slug: resolveCareersSlug(company),
+    name: company?.name ?? company?.brand?.name ?? null,
+    tagline: company?.tagline ?? null,
+    description: company?.description ?? company?.intelSummary ?? null,
+    website: company?.website ?? null,
+    logoUrl: company?.logoUrl ?? company?.brand?.logoUrl ?? null,
+    bannerUrl: company?.brand?.bannerUrl ?? null,
+    primaryColor: company?.primaryColor ?? company?.brand?.colors?.primary ?? null,
+    secondaryColor: company?.secondaryColor ?? company?.brand?.colors?.secondary ?? null,
+    fontFamily: company?.fontFamilyPrimary ?? company?.brand?.fonts?.primary ?? null,
+  };
+}
+
+function toCareersJobSummary(posting) {
+  return {
+    jobId: posting.jobId,
+    title: posting.title,
+    location: [posting.location?.locality, posting.location?.region].filter(Boolean).join(", ") || null,
+    remote: posting.remote,
+    employmentType: posting.employmentType,
+    salaryText: formatSalaryText(posting.salary),
+    datePosted: posting.datePosted,
+    validThrough: posting.validThrough,
+    url: posting.url,
+  };
+}
+
+function toHeroImage(heroImage) {
+  if (heroImage?.status !== "READY") return null;
+  const url =
+    heroImage.imageUrl ??
+    (heroImage.imageBase64
+      ? `data:${heroImage.imageMimeType ?? "image/png"};base64,${heroImage.imageBase64}`
+      : null);
+  return url ? { url, alt: heroImage.caption ?? null } : null;
+}
+
+/**
+ * Company careers index: branding plus every syndicated job.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {string} params.companySlug - Careers slug (company primary domain)
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<{company: Object, jobs: Object[]}>}
+ * @throws {Error} 404 when no company uses the slug
+ */
+export async function getCareersSite({ firestore, logger, companySlug, now = new Date() }) {
+  const match = await getCompanyByDomain(firestore, companySlug);
+  if (!match) {
+    throw httpError(404, "Company not found");
+  }
+  const { company, postings } = await buildCompanyJobFeed({
+    firestore,
+    logger,
+    companyId: match.id,
+    now,
+  });
+  return {
+    company: toCareersBranding(company),
+    jobs: postings.map(toCareersJobSummary),
+  };
+}
+
+/**
+ * Everything the public job page renders.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.jobId - Job ID
+ * @param {Date} [params.now] - Current time
+ * @returns {Promise<{company: Object, job: Object, heroImage: Object|null, jsonLd: Object}>}
+ * @throws {Error} 404 when the job is not syndicated
+ */
+export async function getCareersJob({ firestore, jobId, now = new Date() }) {
+  const posting = await getSyndicatedPosting({ firestore, jobId, now });
+  const company = posting.companyId
+    ? await getCompanyByIdParsed(firestore, posting.companyId)
+    : null;
+  const heroImage = await loadHeroImage(firestore, jobId);
+  return {
+    company: toCareersBranding(company),
+    job: {
+      ...toCareersJobSummary(posting),
+      companyName: posting.companyName,
+      experienceLevel: posting.experienceLevel,
+      industry: posting.industry,
+      descriptionHtml: posting.descriptionHtml,
+    },
+    heroImage: toHeroImage(heroImage),
+    jsonLd: renderJobPostingJsonLd(posting),
+  };
+}
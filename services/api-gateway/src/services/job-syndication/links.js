@@ -0,0 +1,61 @@
+/**
+ * @file links.js
+ * Public URLs for the hosted careers site (apps/web /jobs/[companySlug]).
+ *
+ * A company's careers slug is its primary domain, which is already unique
+ * and resolvable (firestore.getCompanyByDomain). Jobs without a company are
+ * served under CAREERS_FALLBACK_SLUG.
+ */
+
+export const CAREERS_FALLBACK_SLUG = "open-roles";
+
+const UTM_PARAMS = {
+  utmSource: "utm_source",
+  utmMedium: "utm_medium",
+  utmCampaign: "utm_campaign",
+  utmContent: "utm_content",
+};
+
+function resolveWebBaseUrl() {
+  const base =
+    process.env.PUBLIC_WEB_BASE_URL ?? process.env.NEXTAUTH_URL ?? "http://localhost:3000";
+  return base.replace(/\/+$/, "");
+}
+
+/**
+ * Careers slug for a company.
+ * @param {Object|null} company - Company document
+ * @returns {string}
+ */
+export function resolveCareersSlug(company) {
+  const domain = typeof company?.primaryDomain === "string" ? company.primaryDomain.trim() : "";
+  return domain ? domain.toLowerCase() : CAREERS_FALLBACK_SLUG;
+}
+
+/**
+ * Public page where candidates read and apply to a job.
+ * @param {Object} params
+ * @param {string} params.jobId - Job ID
+ * @param {Object|null} params.company - Company document
+ * @returns {string} Absolute URL
+ */
+export function resolveJobPageUrl({ jobId, company }) {
+  return `${resolveWebBaseUrl()}/jobs/${encodeURIComponent(resolveCareersSlug(company))}/${encodeURIComponent(jobId)}`;
+}
+
+/**
+ * Append UTM parameters from a VideoTrackingSchema-shaped object.
+ * @param {string} url - Absolute URL
+ * @param {Object|null} tracking - { utmSource, utmMedium, utmCampaign, utmContent }
+ * @returns {string}
+ */
+export function withUtmParams(url, tracking) {
+  if (!tracking) return url;
+  const target = new URL(url);
+  Object.entries(UTM_PARAMS).forEach(([field, param]) => {
+    if (tracking[field]) {
+      target.searchParams.set(param, tracking[field]);
+    }
+  });
+  return target.toString();
+}
@@ -0,0 +1,183 @@
+/**
+ * @file posting.js
+ * Turns a finalized job (plus its generated job-posting copy) into the
+ * board-neutral posting that the XML feed and JSON-LD are rendered from.
+ */
+
+// Generated copy preferred for the posting body, in order.
+const POSTING_ASSET_FORMATS = ["GENERIC_JOB_POSTING", "LINKEDIN_JOB_POSTING"];
+
+// Final jobs are syndicated for this long unless the job sets its own expiry.
+export const SYNDICATION_DEFAULT_TTL_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SALARY_PERIODS = [
+  { pattern: /hour/i, unit: "HOUR" },
+  { pattern: /day|shift|diem/i, unit: "DAY" },
+  { pattern: /week/i, unit: "WEEK" },
+  { pattern: /month/i, unit: "MONTH" },
+  { pattern: /year|annual|annum/i, unit: "YEAR" },
+];
+
+function cleanString(value) {
+  return typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+}
+
+function cleanList(values) {
+  return Array.isArray(values) ? values.map(cleanString).filter(Boolean) : [];
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function htmlParagraphs(text) {
+  return text
+    .split(/\n{2,}/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`)
+    .join("");
+}
+
+function htmlSection(heading, items) {
+  if (items.length === 0) return "";
+  const list = items.map((item) => `<li>${escapeHtml(item)}</li>`).join("");
+  return `<h3>${escapeHtml(heading)}</h3><ul>${list}</ul>`;
+}
+
+function pickPostingAsset(assets = []) {
+  for (const formatId of POSTING_ASSET_FORMATS) {
+    const asset = assets.find(
+      (candidate) =>
+        candidate.formatId === formatId &&
+        candidate.status === "READY" &&
+        cleanString(candidate.content?.body)
+    );
+    if (asset) return asset;
+  }
+  return null;
+}
+
+function buildDescriptionHtml(job, asset) {
+  if (asset) {
+    return (
+      htmlParagraphs(asset.content.body) +
+      htmlSection("Highlights", cleanList(asset.content.bullets))
+    );
+  }
+  return [
+    htmlParagraphs(cleanString(job.jobDescription) ?? ""),
+    htmlSection("What you'll do", cleanList(job.coreDuties)),
+    htmlSection("What you bring", cleanList(job.mustHaves)),
+    htmlSection("Benefits", cleanList(job.benefits)),
+  ].join("");
+}
+
+function parseAmount(raw) {
+  const match = raw.match(/^([\d.]+)\s*(k)?$/i);
+  if (!match) return null;
+  const value = Number(match[1]);
+  if (!Number.isFinite(value)) return null;
+  return match[2] ? value * 1000 : value;
+}
+
+/**
+ * Parse the free-text salary fields ("60,000 – 72,000", "30", "$120k-$150k").
+ * Returns null when no number can be read.
+ */
+export function parseSalary({ salary, salaryPeriod, currency }) {
+  const text = cleanString(salary);
+  if (!text) return null;
+  const amounts = (text.replace(/,/g, "").match(/\d+(?:\.\d+)?\s*k?/gi) ?? [])
+    .map((part) => parseAmount(part.trim()))
+    .filter((value) => value !== null);
+  if (amounts.length === 0) return null;
+  const periodText = `${salaryPeriod ?? ""} ${text}`;
+  const period = SALARY_PERIODS.find(({ pattern }) => pattern.test(periodText));
+  return {
+    text,
+    currency: cleanString(currency)?.toUpperCase() ?? "USD",
+    minValue: Math.min(...amounts),
+    maxValue: Math.max(...amounts),
+    unit: period?.unit ?? "YEAR",
+  };
+}
+
+/**
+ * Split "City, Region" into address parts; anything else is kept as locality.
+ */
+export function parseLocation(location, fallbackCountry = null) {
+  const text = cleanString(location);
+  if (!text) {
+    return fallbackCountry ? { locality: null, region: null, country: fallbackCountry } : null;
+  }
+  const parts = text.split(",").map((part) => part.trim()).filter(Boolean);
+  return {
+    locality: parts[0] ?? null,
+    region: parts.length > 1 ? parts[1] : null,
+    country: parts.length > 2 ? parts[parts.length - 1] : fallbackCountry,
+  };
+}
+
+/**
+ * Resolve whether a final job is currently syndicated and until when.
+ * @param {Object} params
+ * @param {Object} params.finalJob - JobFinalSchema document
+ * @param {Object|null} params.syndication - JobSyndicationSchema document
+ * @param {Date} params.now - Current time
+ * @returns {{ included: boolean, expiresAt: Date, complianceBlocked: boolean, active: boolean }}
+ */
+export function resolveSyndicationWindow({ finalJob, syndication, now }) {
+  const included = syndication?.included ?? true;
+  const expiresAt =
+    syndication?.expiresAt ??
+    new Date(new Date(finalJob.updatedAt).getTime() + SYNDICATION_DEFAULT_TTL_DAYS * DAY_MS);
+  // Blocking pay compliance flags (services/pay-compliance.js) keep a job off the boards
+  const complianceBlocked = Boolean(finalJob.compliance?.blocking);
+  return {
+    included,
+    expiresAt,
+    complianceBlocked,
+    active: included && !complianceBlocked && expiresAt.getTime() > now.getTime(),
+  };
+}
+
+/**
+ * Build the board-neutral posting for a final job.
+ * @param {Object} params
+ * @param {Object} params.finalJob - JobFinalSchema document
+ * @param {Object|null} params.company - Parsed company (CompanySchema)
+ * @param {Object[]} [params.assets] - Job assets (JobAssetRecordSchema)
+ * @param {Date} params.expiresAt - End of the syndication window
+ * @param {string} params.applyUrl - Where candidates apply
+ * @returns {Object} Posting
+ */
+export function buildPosting({ finalJob, company, assets = [], expiresAt, applyUrl }) {
+  const job = finalJob.job ?? {};
+  const asset = pickPostingAsset(assets);
+  return {
+    jobId: finalJob.jobId,
+    companyId: finalJob.companyId ?? null,
+    title: cleanString(job.roleTitle) ?? cleanString(asset?.content?.title) ?? "Open role",
+    companyName: cleanString(job.companyName) ?? cleanString(company?.name) ?? null,
+    companyWebsite: cleanString(company?.website) ?? null,
+    logoUrl: cleanString(job.logoUrl) ?? cleanString(company?.logoUrl) ?? null,
+    descriptionHtml: buildDescriptionHtml(job, asset),
+    location: parseLocation(job.location, cleanString(company?.hqCountry)),
+    postalCode: cleanString(job.zipCode),
+    remote: job.workModel === "remote",
+    employmentType: job.employmentType ?? null,
+    experienceLevel: job.seniorityLevel ?? null,
+    industry: cleanString(job.industry),
+    salary: parseSalary(job),
+    datePosted: new Date(finalJob.updatedAt),
+    validThrough: expiresAt,
+    url: applyUrl,
+  };
+}
@@ -0,0 +1,290 @@
+/**
+ * @file llm-quotas.js
+ * Per-user and per-org quotas for POST /api/llm (limits: config/llm-quotas.js).
+ *
+ * - Request rate: a sliding one-minute window of requests per user/org and
+ *   task family, kept in memory by the router's quota service (so it is per
+ *   API instance).
+ * - Spend: daily and monthly USD / credit totals per task family. The usage
+ *   ledger adds every LLM call's cost with recordLlmQuotaSpend() (in a
+ *   transaction, so concurrent calls are all counted); the next request is
+ *   refused once a total reaches its cap.
+ *
+ * check() runs before any task work starts; the router turns a refusal into
+ * a 429 with Retry-After. Internal callbacks (utils/internal-calls.js: asset
+ * fan-out, golden interviewer turns, media captions) are part of a request
+ * that was already counted, so they skip the request rate; their spend is
+ * still checked and recorded. getStatus() backs GET /api/llm/quota.
+ */
+
+import {
+  LLM_QUOTA_CONFIG,
+  LLM_QUOTA_FAMILIES,
+  resolveLlmQuotaFamily,
+  resolveLlmQuotaLimits,
+} from "../config/llm-quotas.js";
+import {
+  loadLlmQuotaUsage,
+  updateLlmQuotaUsage,
+  loadUserOrgId,
+} from "./repositories/index.js";
+
+const MINUTE_MS = 60 * 1000;
+const SPEND_UNITS = ["usd", "credits"];
+
+const roundAmount = (value) => Number(Number(value ?? 0).toFixed(6));
+
+// Spend windows: the stored period key and when the window resets (UTC)
+const SPEND_WINDOWS = {
+  daily: {
+    key: "day",
+    period: (date) => date.toISOString().slice(0, 10),
+    resetsAt: (date) =>
+      new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)),
+  },
+  monthly: {
+    key: "month",
+    period: (date) => date.toISOString().slice(0, 7),
+    resetsAt: (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+  },
+};
+
+/**
+ * Spend of one family in the current day/month; totals of an older period count as zero.
+ */
+function windowSpend(usage, family, window, now) {
+  const { key, period } = SPEND_WINDOWS[window];
+  const entry = usage?.families?.[family]?.[key];
+  return entry && entry.period === period(now) ? entry : { usd: 0, credits: 0 };
+}
+
+function listScopes({ userId, orgId }) {
+  return [
+    { scope: "user", scopeId: userId },
+    ...(orgId ? [{ scope: "org", scopeId: orgId }] : []),
+  ];
+}
+
+function hasSpendLimits(limits) {
+  return Object.keys(SPEND_WINDOWS).some((window) =>
+    SPEND_UNITS.some((unit) => limits[window][unit] !== null)
+  );
+}
+
+/**
+ * Add the cost of one LLM call to the spend totals of the user and their org.
+ * Called by the usage ledger; failures are logged, never thrown.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {string} params.userId - User ID
+ * @param {string|null} [params.orgId] - Org ID; looked up from the user when undefined
+ * @param {"text"|"image"|"video"} params.family - Task family (usage type)
+ * @param {number} params.usd - Estimated cost in USD
+ * @param {number} params.credits - Credits used
+ * @param {Date} [params.timestamp] - Time of the call
+ * @returns {Promise<void>}
+ */
+export async function recordLlmQuotaSpend({
+  firestore,
+  logger,
+  userId,
+  orgId,
+  family,
+  usd,
+  credits,
+  timestamp = new Date(),
+}) {
+  if (!userId || !firestore?.runTransaction || !LLM_QUOTA_FAMILIES.includes(family)) {
+    return;
+  }
+  if (!(usd > 0) && !(credits > 0)) {
+    return;
+  }
+  try {
+    const resolvedOrgId = orgId === undefined ? await loadUserOrgId(firestore, userId) : orgId;
+    for (const { scope, scopeId } of listScopes({ userId, orgId: resolvedOrgId })) {
+      await updateLlmQuotaUsage(firestore, scope, scopeId, (stored) => {
+        const usage = stored ?? { scope, scopeId, families: {} };
+        const familyUsage = { ...(usage.families[family] ?? {}) };
+        Object.entries(SPEND_WINDOWS).forEach(([window, { key, period }]) => {
+          const current = windowSpend(usage, family, window, timestamp);
+          familyUsage[key] = {
+            period: period(timestamp),
+            usd: roundAmount(current.usd + (usd > 0 ? usd : 0)),
+            credits: roundAmount(current.credits + (credits > 0 ? credits : 0)),
+          };
+        });
+        return {
+          ...usage,
+          families: { ...usage.families, [family]: familyUsage },
+          updatedAt: timestamp,
+        };
+      });
+    }
+  } catch (error) {
+    logger?.warn?.({ err: error, userId, family }, "llm.quota.spend_record_failed");
+  }
+}
+
+/**
+ * Quota checks and consumption view for the LLM router.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.config] - Limits (LLM_QUOTA_CONFIG shape)
+ * @param {() => Date} [params.now] - Clock
+ * @returns {{check: Function, getStatus: Function}}
+ */
+export function createLlmQuotaService({
+  firestore,
+  logger,
+  config = LLM_QUOTA_CONFIG,
+  now = () => new Date(),
+}) {
+  // `${scope}_${scopeId}_${family}` -> request timestamps (ms) in the last minute
+  const requestLog = new Map();
+
+  function recentRequests(key, nowMs) {
+    const recent = (requestLog.get(key) ?? []).filter((at) => nowMs - at < MINUTE_MS);
+    if (recent.length > 0) {
+      requestLog.set(key, recent);
+    } else {
+      requestLog.delete(key);
+    }
+    return recent;
+  }
+
+  /**
+   * Check a request against the user's and org's quotas for its task family.
+   * An allowed request counts towards the request-rate windows unless it is
+   * an internal callback.
+   * @param {Object} params
+   * @param {string} params.userId - User ID
+   * @param {string|null} [params.orgId] - Org ID from the auth token
+   * @param {string} params.taskType - Requested taskType
+   * @param {boolean} [params.internal] - Internal callback: spend limits only
+   * @returns {Promise<{allowed: boolean, family: string, retryAfterSeconds?: number, message?: string, violation?: Object}>}
+   */
+  async function check({ userId, orgId = null, taskType, internal = false }) {
+    const family = resolveLlmQuotaFamily(taskType);
+    const current = now();
+    const nowMs = current.getTime();
+    const scopes = listScopes({ userId, orgId });
+    const violations = [];
+
+    for (const { scope, scopeId } of scopes) {
+      const limits = resolveLlmQuotaLimits(config, scope, scopeId, family);
+      const requests = recentRequests(`${scope}_${scopeId}_${family}`, nowMs);
+      if (
+        !internal &&
+        limits.requestsPerMinute !== null &&
+        requests.length >= limits.requestsPerMinute
+      ) {
+        violations.push({
+          scope,
+          family,
+          window: "minute",
+          unit: "requests",
+          limit: limits.requestsPerMinute,
+          used: requests.length,
+          retryAfterSeconds: Math.max(1, Math.ceil((requests[0] + MINUTE_MS - nowMs) / 1000)),
+        });
+      }
+
+      if (!hasSpendLimits(limits)) {
+        continue;
+      }
+      const usage = await loadLlmQuotaUsage(firestore, scope, scopeId);
+      Object.entries(SPEND_WINDOWS).forEach(([window, { resetsAt }]) => {
+        const spend = windowSpend(usage, family, window, current);
+        SPEND_UNITS.forEach((unit) => {
+          const limit = limits[window][unit];
+          if (limit !== null && spend[unit] >= limit) {
+            violations.push({
+              scope,
+              family,
+              window,
+              unit,
+              limit,
+              used: spend[unit],
+              retryAfterSeconds: Math.ceil((resetsAt(current).getTime() - nowMs) / 1000),
+            });
+          }
+        });
+      });
+    }
+
+    if (violations.length > 0) {
+      // Retrying before the longest window resets would only be refused again
+      const violation = violations.reduce((longest, candidate) =>
+        candidate.retryAfterSeconds > longest.retryAfterSeconds ? candidate : longest
+      );
+      logger?.warn?.({ userId, orgId, taskType, ...violation }, "llm.quota.exceeded");
+      return {
+        allowed: false,
+        family,
+        retryAfterSeconds: violation.retryAfterSeconds,
+        message: `LLM ${violation.window} ${violation.unit} quota for ${family} tasks exceeded (${violation.scope} limit ${violation.limit})`,
+        violation,
+      };
+    }
+
+    if (!internal) {
+      scopes.forEach(({ scope, scopeId }) => {
+        const key = `${scope}_${scopeId}_${family}`;
+        requestLog.set(key, [...recentRequests(key, nowMs), nowMs]);
+      });
+    }
+    return { allowed: true, family };
+  }
+
+  /**
+   * Current consumption against every limit, per scope and task family.
+   * @param {Object} params
+   * @param {string} params.userId - User ID
+   * @param {string|null} [params.orgId] - Org ID from the auth token
+   * @returns {Promise<Object>} Quota status
+   */
+  async function getStatus({ userId, orgId = null }) {
+    const current = now();
+    const nowMs = current.getTime();
+    const scopes = await Promise.all(
+      listScopes({ userId, orgId }).map(async ({ scope, scopeId }) => {
+        const usage = await loadLlmQuotaUsage(firestore, scope, scopeId);
+        const families = Object.fromEntries(
+          LLM_QUOTA_FAMILIES.map((family) => {
+            const limits = resolveLlmQuotaLimits(config, scope, scopeId, family);
+            const windows = Object.fromEntries(
+              Object.entries(SPEND_WINDOWS).map(([window, { resetsAt }]) => {
+                const spend = windowSpend(usage, family, window, current);
+                return [
+                  window,
+                  {
+                    resetsAt: resetsAt(current).toISOString(),
+                    usd: { used: roundAmount(spend.usd), limit: limits[window].usd },
+                    credits: { used: roundAmount(spend.credits), limit: limits[window].credits },
+                  },
+                ];
+              })
+            );
+            return [
+              family,
+              {
+                requestsPerMinute: {
+                  used: recentRequests(`${scope}_${scopeId}_${family}`, nowMs).length,
+                  limit: limits.requestsPerMinute,
+                },
+                ...windows,
+              },
+            ];
+          })
+        );
+        return { scope, scopeId, families };
+      })
+    );
+    return { generatedAt: current.toISOString(), scopes };
+  }
+
+  return { check, getStatus };
+}
@@ -8,6 +8,7 @@ import { httpError } from "@wizard/utils";
 import { CampaignSchema } from "@wizard/core";
 import { buildJobSnapshot } from "../../wizard/job-intake.js";
 import { loadCompanyContext } from "../company-context.js";
+import { loadGoldenContext } from "../golden-context.js";
 import {
   saveChannelRecommendation,
   saveChannelRecommendationFailure
@@ -70,6 +71,7 @@ export async function handleChannelsTask({
           .filter((channel) => typeof channel === "string")
       : [],
     companyContext,
+    goldenContext: await loadGoldenContext({ firestore, job, logger }),
   });
 
   const now = new Date();
@@ -6,6 +6,7 @@
 
 import { httpError } from "@wizard/utils";
 import { loadCompanyContext } from "../company-context.js";
+import { loadGoldenContext } from "../golden-context.js";
 import {
   loadSuggestionDocument,
   loadRefinementDocument,
@@ -114,7 +115,10 @@ export async function enrichContextForTask({
       jobSnapshot: context.jobSnapshot ?? buildJobSnapshot(job),
       jobDraft: context.jobDraft ?? buildJobSnapshot(job),
       confirmed: context.confirmed ?? job.confirmed ?? {},
-      companyContext
+      companyContext,
+      goldenContext:
+        context.goldenContext ??
+        (await loadGoldenContext({ firestore, job, logger }))
     };
   }
 
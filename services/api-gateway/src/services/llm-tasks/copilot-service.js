@@ -28,6 +28,10 @@ import { LLM_CORE_TASK } from "../../config/task-types.js";
 
 const COPILOT_STAGE_ENUM = z.enum(listSupportedStages());
 
+// Tool invocations are stored alongside the dialogue, so keep more messages
+const COPILOT_HISTORY_LIMIT = 40;
+const COPILOT_PROMPT_HISTORY_LIMIT = 8;
+
 const copilotSchema = z.object({
   jobId: z.string(),
   userMessage: z.string().min(1),
@@ -77,10 +81,14 @@ export async function handleCopilotAgentTask({
     logger,
   });
 
-  const [conversation, suggestionDoc] = await Promise.all([
-    loadCopilotHistory({ firestore, jobId: payload.jobId, limit: 8 }),
+  const [history, suggestionDoc] = await Promise.all([
+    loadCopilotHistory({ firestore, jobId: payload.jobId, limit: 0 }),
     loadSuggestionDocument(firestore, payload.jobId),
   ]);
+  // Earlier tool calls are not replayed to the model; it gets the dialogue only
+  const conversation = history
+    .filter((message) => message.role !== "tool")
+    .slice(-COPILOT_PROMPT_HISTORY_LIMIT);
 
   const suggestions = suggestionDoc?.candidates
     ? Object.values(suggestionDoc.candidates)
@@ -121,7 +129,26 @@ export async function handleCopilotAgentTask({
     sanitizeCopilotReply(agentResult.reply) ||
     "All set—let me know what you'd like to adjust next.";
 
-  const history = await appendCopilotMessages({
+  const toolMessages = (agentResult.scratchpad ?? []).map((entry) =>
+    buildCopilotMessage({
+      role: "tool",
+      type: entry.type,
+      content:
+        entry.type === "tool_error"
+          ? `${entry.tool} failed: ${entry.error}`
+          : `Called ${entry.tool}`,
+      metadata: {
+        tool: entry.tool,
+        callId: entry.callId ?? null,
+        input: entry.input ?? {},
+        ...(entry.type === "tool_error" ? { error: entry.error } : {}),
+      },
+      stage: stageConfig.id,
+      contextId: payload.contextId ?? null,
+    })
+  );
+
+  const updatedHistory = await appendCopilotMessages({
     firestore,
     jobId: payload.jobId,
     messages: [
@@ -135,6 +162,7 @@ export async function handleCopilotAgentTask({
         stage: stageConfig.id,
         contextId: payload.contextId ?? null,
       }),
+      ...toolMessages,
       buildCopilotMessage({
         role: "assistant",
         type: "assistant",
@@ -144,7 +172,7 @@ export async function handleCopilotAgentTask({
         contextId: payload.contextId ?? null,
       }),
     ],
-    limit: 20,
+    limit: COPILOT_HISTORY_LIMIT,
     now: new Date(),
   });
 
@@ -233,7 +261,7 @@ export async function handleCopilotAgentTask({
     // Note: No llmResult returned - usage tracking is handled by the agent internally
     result: {
       jobId: payload.jobId,
-      messages: serializeMessages(history),
+      messages: serializeMessages(updatedHistory),
       actions,
       updatedJobSnapshot,
       updatedRefinedSnapshot,
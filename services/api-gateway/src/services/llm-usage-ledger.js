@@ -4,7 +4,9 @@ import {
   resolveTextPricing,
   resolveVideoPricing,
   resolveProviderPlanName,
-  resolveGroundingPricing
+  resolveGroundingPricing,
+  resolveStoragePricing,
+  resolvePromptCachePricing
 } from "../config/pricing-rates.js";
 import { LLM_CORE_TASK, LLM_SPECIAL_TASK } from "../config/task-types.js";
 import {
@@ -14,6 +16,8 @@ import {
   recordToFirestore,
   recordToBigQuery
 } from "./repositories/llm-usage-repository.js";
+import { accrueReservedUsage } from "./credit-ledger.js";
+import { recordLlmQuotaSpend } from "./llm-quotas.js";
 
 const MILLION = 1_000_000;
 
@@ -77,6 +81,30 @@ function maybeLogPricingDebug({
   );
 }
 
+/**
+ * Cost of writing a provider-side prompt cache during this call.
+ * Gemini bills explicit context caches for storage over their TTL; Anthropic
+ * bills the write itself at a premium over the input rate.
+ */
+function estimateCacheWriteCost({
+  provider,
+  cacheWriteTokens,
+  cacheTtlSeconds,
+  inputCostPerMillionUsd
+}) {
+  if (cacheWriteTokens <= 0) {
+    return 0;
+  }
+  const storagePricing = resolveStoragePricing(provider);
+  if (typeof storagePricing.usdPerMillionTokensPerHour === "number") {
+    const hours = cacheTtlSeconds / 3600;
+    return (storagePricing.usdPerMillionTokensPerHour * cacheWriteTokens * hours) / MILLION;
+  }
+  const multipliers = resolvePromptCachePricing(provider).writeInputMultiplierByTtl ?? {};
+  const multiplier = (cacheTtlSeconds > 300 ? multipliers["1h"] : multipliers["5m"]) ?? 1;
+  return (multiplier * inputCostPerMillionUsd * cacheWriteTokens) / MILLION;
+}
+
 export async function recordLlmUsage({
   firestore,
   bigQuery,
@@ -104,6 +132,9 @@ export async function recordLlmUsage({
   const cachedTokens = normalizeTokens(
     usageMetrics.cachedTokens ?? metadata?.cachedTokens ?? metadata?.cachedPromptTokens
   );
+  // Tokens written to a provider prompt cache by this call (see adapters' `cache` option)
+  const cacheWriteTokens = normalizeTokens(metadata?.cacheWriteTokens);
+  const cacheTtlSeconds = normalizeTokens(metadata?.cacheTtlSeconds);
   const responseTokensSource = metadata?.responseTokens ?? metadata?.outputTokens;
   const hasResponseTokens = responseTokensSource !== undefined && responseTokensSource !== null;
   const responseTokens = hasResponseTokens ? normalizeTokens(responseTokensSource) : 0;
@@ -148,6 +179,8 @@ export async function recordLlmUsage({
   let thinkingOutputCostPerMillionUsd;
   let groundingSearchCostPerQueryUsd;
   let groundingSearchQueries;
+  let cacheWriteCostUsd = 0;
+  let cacheSavingsUsd = 0;
 
   const usdPerCredit = resolveCreditConversion(provider);
   const pricingPlan = resolveProviderPlanName(provider);
@@ -230,7 +263,16 @@ export async function recordLlmUsage({
       (outputCostPerMillionUsd * billableOutputTokens) / MILLION;
     const cachedCost =
       (cachedInputCostPerMillionUsd * cachedTokens) / MILLION;
-    estimatedCostUsd = inputCost + outputCost + cachedCost;
+    cacheWriteCostUsd = estimateCacheWriteCost({
+      provider,
+      cacheWriteTokens,
+      cacheTtlSeconds,
+      inputCostPerMillionUsd
+    });
+    // What the cache hits would have cost at the full input rate, minus what they did cost
+    cacheSavingsUsd =
+      ((inputCostPerMillionUsd - cachedInputCostPerMillionUsd) * cachedTokens) / MILLION;
+    estimatedCostUsd = inputCost + outputCost + cachedCost + cacheWriteCostUsd;
   }
 
   if (!Number.isFinite(estimatedCostUsd) || estimatedCostUsd < 0) {
@@ -263,6 +305,19 @@ export async function recordLlmUsage({
     metadata: sanitizeMetadata(metadata)
   };
 
+  // Set by LlmOrchestrator: the task's prompt version (TASK_REGISTRY promptVersion)
+  if (typeof metadata?.promptVersion === "string") {
+    entryPayload.promptVersion = metadata.promptVersion;
+  }
+
+  // Set by LlmOrchestrator: which entry of the task's fallback chain served it
+  const fallback = metadata?.fallback;
+  if (fallback && typeof fallback.index === "number") {
+    entryPayload.fallbackIndex = fallback.index;
+    entryPayload.requestedProvider = fallback.requestedProvider ?? null;
+    entryPayload.requestedModel = fallback.requestedModel ?? null;
+  }
+
   const isTextOrImage = resolvedUsageType === "text" || resolvedUsageType === "image";
   const isImage = resolvedUsageType === "image";
   const isVideo = resolvedUsageType === "video";
@@ -280,6 +335,14 @@ export async function recordLlmUsage({
       entryPayload.groundingSearchQueries = groundingSearchQueries;
       entryPayload.groundingSearchCostPerQueryUsd = groundingSearchCostPerQueryUsd;
     }
+    if (cachedTokens > 0) {
+      entryPayload.cacheSavingsUsd = Number(Math.max(cacheSavingsUsd, 0).toFixed(6));
+    }
+    if (cacheWriteTokens > 0) {
+      entryPayload.cacheWriteTokens = cacheWriteTokens;
+      entryPayload.cacheTtlSeconds = cacheTtlSeconds;
+      entryPayload.cacheWriteCostUsd = Number(cacheWriteCostUsd.toFixed(6));
+    }
   }
 
   if (isImage) {
@@ -331,6 +394,30 @@ export async function recordLlmUsage({
     estimatedCostUsd: entryPayload.estimatedCostUsd
   });
 
+  // Usage inside a credit reservation is billed when the reservation is
+  // charged, so it must not also be debited from the balance here.
+  let creditsToDebit = creditsUsed;
+  if (usageContext.creditReservationId) {
+    try {
+      const accrued = await accrueReservedUsage({
+        firestore,
+        logger,
+        reservationId: usageContext.creditReservationId,
+        userId: usageContext.userId ?? null,
+        credits: creditsUsed
+      });
+      if (accrued) {
+        entryPayload.creditReservationId = usageContext.creditReservationId;
+        creditsToDebit = 0;
+      }
+    } catch (error) {
+      logger?.warn?.(
+        { err: error, reservationId: usageContext.creditReservationId },
+        "llm.usage.reservation_accrue_failed"
+      );
+    }
+  }
+
   await recordToFirestore({ firestore, logger, entryPayload });
   await recordToBigQuery({ bigQuery, logger, entryPayload });
 
@@ -339,7 +426,19 @@ export async function recordLlmUsage({
     logger,
     userId: usageContext.userId,
     tokensUsed: totalTokens,
-    creditsUsed,
+    creditsUsed: creditsToDebit,
+    timestamp
+  });
+
+  // Quotas count everything spent, including usage billed through a reservation
+  await recordLlmQuotaSpend({
+    firestore,
+    logger,
+    userId: usageContext.userId,
+    orgId: usageContext.orgId,
+    family: resolvedUsageType,
+    usd: entryPayload.estimatedCostUsd,
+    credits: creditsUsed,
     timestamp
   });
 }
@@ -0,0 +1,50 @@
+/**
+ * @file mailer.js
+ * Outbound email for product notifications (the contact form keeps its own
+ * transporter). Uses the same SMTP_* settings; without them there is no
+ * mailer and callers skip email.
+ */
+
+import nodemailer from "nodemailer";
+
+/**
+ * @param {object} params
+ * @param {object} params.logger
+ * @returns {{ from: string, sendMail: (message: object) => Promise<void> }|null}
+ */
+export function createMailerFromEnv({ logger }) {
+  const {
+    SMTP_URL,
+    SMTP_HOST,
+    SMTP_PORT,
+    SMTP_USER,
+    SMTP_PASSWORD,
+    SMTP_SECURE,
+    NOTIFICATIONS_FROM_EMAIL,
+  } = process.env;
+
+  let transporterConfig;
+  if (SMTP_URL) {
+    transporterConfig = SMTP_URL;
+  } else if (SMTP_HOST && SMTP_PORT && SMTP_USER && SMTP_PASSWORD) {
+    transporterConfig = {
+      host: SMTP_HOST,
+      port: Number(SMTP_PORT),
+      secure: SMTP_SECURE === "true",
+      auth: { user: SMTP_USER, pass: SMTP_PASSWORD },
+    };
+  } else {
+    return null;
+  }
+
+  const transporter = nodemailer.createTransport(transporterConfig);
+  const from = NOTIFICATIONS_FROM_EMAIL ?? SMTP_USER;
+
+  return {
+    from,
+    async sendMail(message) {
+      await transporter.sendMail({ from, ...message });
+      logger.info({ to: message.to, subject: message.subject }, "mailer.sent");
+    },
+  };
+}
@@ -0,0 +1,78 @@
+/**
+ * Media Storage
+ *
+ * Stores uploaded media (golden interview workplace photos and videos) behind
+ * a small interface so a bucket-backed implementation can replace the local
+ * one without touching callers:
+ *
+ *   save({ objectPath, buffer, contentType }) -> { storagePath, url }
+ *   read(objectPath)                          -> Buffer | null
+ *   remove(objectPath)                        -> void
+ *
+ * `objectPath` is a "/"-separated relative path such as
+ * "golden-interviews/{sessionId}/{mediaId}.jpg".
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export const MEDIA_STORAGE_DIR = path.resolve(
+  process.env.MEDIA_STORAGE_DIR ?? "./tmp/media-assets"
+);
+
+// server.js serves the local storage directory under this path
+export const MEDIA_ASSETS_PATH = "/media-assets";
+
+const SEGMENT_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+function resolveObjectPath(rootDir, objectPath) {
+  const segments = String(objectPath ?? "").split("/");
+  if (
+    segments.length === 0 ||
+    segments.some((segment) => !SEGMENT_PATTERN.test(segment) || segment.startsWith("."))
+  ) {
+    throw new Error(`Invalid media object path "${objectPath}"`);
+  }
+  return { segments, filePath: path.join(rootDir, ...segments) };
+}
+
+/**
+ * Media storage on the local filesystem, served statically by server.js.
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Directory files are written to
+ * @param {string} [options.publicBasePath] - URL path the directory is served under
+ * @returns {{ save: Function, read: Function, remove: Function, rootDir: string }}
+ */
+export function createLocalMediaStorage({
+  rootDir = MEDIA_STORAGE_DIR,
+  publicBasePath = MEDIA_ASSETS_PATH,
+} = {}) {
+  return {
+    rootDir,
+
+    async save({ objectPath, buffer }) {
+      const { segments, filePath } = resolveObjectPath(rootDir, objectPath);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return {
+        storagePath: filePath,
+        url: `${publicBasePath}/${segments.join("/")}`,
+      };
+    },
+
+    async read(objectPath) {
+      const { filePath } = resolveObjectPath(rootDir, objectPath);
+      try {
+        return await fs.promises.readFile(filePath);
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    async remove(objectPath) {
+      const { filePath } = resolveObjectPath(rootDir, objectPath);
+      await fs.promises.rm(filePath, { force: true });
+    },
+  };
+}
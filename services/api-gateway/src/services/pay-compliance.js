@@ -0,0 +1,362 @@
+/**
+ * @file pay-compliance.js
+ * Pay-transparency and wage-law checks for jobs (and their golden interview
+ * data) against the bundled rules dataset (config/pay-compliance-rules.js).
+ *
+ * Checks, all reported as ComplianceFlagSchema flags:
+ * - posted pay range required where the job is (or, for remote roles, where
+ *   it may be performed), for employers at or above the law's size threshold;
+ *   when the company size is unknown the flag is a warning, not a block
+ * - pay below the state/district (or federal) minimum wage
+ * - exempt/non-exempt overtime mismatches: "exempt" roles paid hourly or
+ *   below the exempt salary threshold, frequent overtime with no stated policy
+ *
+ * Runs at POST /wizard/refine/finalize; the report is stored on the final job
+ * and jobs with blocking flags are neither syndicated nor launched.
+ */
+
+import { ComplianceFlagSchema } from "@wizard/core";
+import { PAY_COMPLIANCE_RULES } from "../config/pay-compliance-rules.js";
+import { loadGoldenContext } from "./golden-context.js";
+import { getCompanyById } from "./repositories/company-repository.js";
+import { parseLocation, parseSalary } from "./job-syndication/posting.js";
+
+// Hours worked per pay period, for converting pay to an hourly rate
+const PAY_PERIODS = [
+  { pattern: /hour/i, hours: 1 },
+  { pattern: /bi-?weekly|fortnight|every (two|2) weeks/i, hours: 80 },
+  { pattern: /day|daily|shift|diem/i, hours: 8 },
+  { pattern: /week/i, hours: 40 },
+  { pattern: /month/i, hours: 2080 / 12 },
+  { pattern: /year|annual|annum/i, hours: 2080 },
+];
+const HOURS_PER_YEAR = 2080;
+
+// Without a stated period, small amounts are hourly rates ("30") and large ones salaries
+const HOURLY_AMOUNT_CEILING = 200;
+
+const GOLDEN_PAY_FREQUENCY_TEXT = {
+  hourly: "hourly",
+  daily: "daily",
+  weekly: "weekly",
+  biweekly: "biweekly",
+  monthly: "monthly",
+  annual: "annual",
+};
+
+// Piece-rate pay and contractors are outside the minimum wage/overtime checks
+const PIECE_RATE_FREQUENCIES = new Set(["per_unit", "per_task"]);
+const NON_EMPLOYEE_TYPES = new Set(["contract", "gig"]);
+
+const OPEN_ENDED_PAY = /\+|\bup to\b|\bstarting\b|\bfrom\b|\bat least\b|\bor more\b|\bminimum\b|\bdoe\b|\bcompetitive\b|\bnegotiable\b/i;
+
+const NON_EXEMPT_POLICY = /non-?exempt|time and a half|1\.5x|overtime (is )?paid|paid overtime/i;
+const EXEMPT_POLICY =
+  /\bexempt\b|\bsalaried\b|no overtime|not eligible for overtime|overtime (is )?not paid|unpaid overtime|comp(ensatory)? time/i;
+
+const FREQUENT_OVERTIME = new Set(["frequent", "constant"]);
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function cleanString(value) {
+  return typeof value === "string" && value.trim().length > 0 ? value.trim() : null;
+}
+
+function formatMoney(value) {
+  return `$${value.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function flag(id, label, severity, details = null) {
+  return ComplianceFlagSchema.parse({ id, label, severity, details });
+}
+
+function zipPrefixMatches(zipPrefixes, prefix) {
+  return zipPrefixes.some(([from, to]) => prefix >= from && prefix <= to);
+}
+
+/**
+ * Resolve the state/district a job is located in.
+ * ZIP code first, then the region of a "City, Region" location.
+ * @param {Object} params
+ * @param {string} [params.location]
+ * @param {string} [params.zipCode]
+ * @param {Object} [rules]
+ * @returns {{ code: string, name: string, region: string|null, regionName: string|null, rule: Object }|null}
+ */
+export function resolvePayJurisdiction({ location, zipCode }, rules = PAY_COMPLIANCE_RULES) {
+  const entries = Object.entries(rules.jurisdictions);
+  const zip = cleanString(zipCode) ?? cleanString(location)?.match(/\b(\d{5})(?:-\d{4})?\b/)?.[1];
+  const prefix = zip && /^\d{5}/.test(zip) ? Number(zip.slice(0, 3)) : null;
+
+  let match = null;
+  if (prefix !== null) {
+    match = entries.find(([, rule]) => zipPrefixMatches(rule.zipPrefixes, prefix)) ?? null;
+  }
+  if (!match) {
+    const region = parseLocation(location)?.region;
+    const regionText = region?.replace(/\d{5}(-\d{4})?/g, "").trim().toLowerCase();
+    if (regionText) {
+      match =
+        entries.find(
+          ([code, rule]) => regionText === code.toLowerCase() || regionText === rule.name.toLowerCase()
+        ) ?? null;
+    }
+  }
+  if (!match) return null;
+
+  const [code, rule] = match;
+  const region =
+    Object.entries(rule.regions ?? {}).find(([, candidate]) =>
+      prefix !== null
+        ? zipPrefixMatches(candidate.zipPrefixes, prefix)
+        : candidate.cityPattern?.test(location ?? "") ||
+          /^new york$/i.test(parseLocation(location)?.locality ?? "")
+    ) ?? null;
+
+  return {
+    code,
+    name: rule.name,
+    region: region?.[0] ?? null,
+    regionName: region?.[1].name ?? null,
+    // Regional figures override the state's
+    rule: region ? { ...rule, ...region[1], name: rule.name } : rule,
+  };
+}
+
+/**
+ * The pay a job advertises: the job's salary fields, falling back to the
+ * golden record's base compensation.
+ */
+function resolvePay(job, goldenSchema) {
+  const golden = goldenSchema?.financial_reality?.base_compensation ?? {};
+  const fromJob = cleanString(job.salary);
+  const text = fromJob ?? cleanString(golden.amount_or_range);
+  if (!text) return null;
+
+  const frequency = fromJob ? null : golden.pay_frequency ?? null;
+  const periodText = fromJob
+    ? `${job.salaryPeriod ?? ""} ${text}`
+    : `${GOLDEN_PAY_FREQUENCY_TEXT[frequency] ?? ""} ${text}`;
+  const currency = (fromJob ? job.currency : golden.currency) ?? null;
+  const salary = parseSalary({ salary: text, salaryPeriod: null, currency });
+  const pieceRate =
+    PIECE_RATE_FREQUENCIES.has(frequency) || PIECE_RATE_FREQUENCIES.has(golden.pay_frequency);
+
+  const period = PAY_PERIODS.find(({ pattern }) => pattern.test(periodText));
+  const hours = salary
+    ? period?.hours ?? (salary.maxValue < HOURLY_AMOUNT_CEILING ? 1 : HOURS_PER_YEAR)
+    : null;
+
+  return {
+    text,
+    currency: salary?.currency ?? "USD",
+    minValue: salary?.minValue ?? null,
+    maxValue: salary?.maxValue ?? null,
+    hourlyMin: salary && !pieceRate ? salary.minValue / hours : null,
+    hourlyBasis: hours !== null && hours <= 8,
+    openEnded: !salary || (salary.minValue === salary.maxValue && OPEN_ENDED_PAY.test(text)),
+  };
+}
+
+/**
+ * Employee count range of a company's `employeeCountBucket` ("11-50", "1000+").
+ * @param {string|null|undefined} bucket
+ * @returns {{ min: number, max: number }|null} Null when the size is unknown
+ */
+export function parseEmployeeCountBucket(bucket) {
+  const text = cleanString(bucket)?.replace(/,/g, "");
+  const range = text?.match(/^(\d+)\s*(?:-|\u2013|to)\s*(\d+)$/);
+  if (range) return { min: Number(range[1]), max: Number(range[2]) };
+  const openEnded = text?.match(/^(\d+)\s*\+$/);
+  if (openEnded) return { min: Number(openEnded[1]), max: Infinity };
+  return null;
+}
+
+/**
+ * Whether a pay-range law covers the employer.
+ * @returns {"covered"|"exempt"|"unknown"} "unknown" when the size is unknown
+ *   or its bucket straddles the threshold
+ */
+function payRangeCoverage(payRange, company) {
+  if (payRange.minEmployees <= 1) return "covered";
+  const size = parseEmployeeCountBucket(company?.employeeCountBucket);
+  if (!size) return "unknown";
+  if (size.min >= payRange.minEmployees) return "covered";
+  if (size.max < payRange.minEmployees) return "exempt";
+  return "unknown";
+}
+
+function remoteRangeStates(rules) {
+  return Object.entries(rules.jurisdictions)
+    .filter(([, rule]) => rule.payRange?.coversRemote)
+    .map(([code]) => code);
+}
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * Check a job's pay against the wage-law dataset.
+ * @param {Object} params
+ * @param {Object} params.job - Job fields (salary, salaryPeriod, currency, location, zipCode, workModel, employmentType)
+ * @param {Object|null} [params.goldenSchema] - Golden record of the job's interview, if any
+ * @param {Object|null} [params.company] - Hiring company (employeeCountBucket), if known
+ * @param {Object} [params.rules] - Rules dataset (defaults to the bundled one)
+ * @returns {{ rulesVersion: string, jurisdiction: Object|null, flags: Object[], blocking: boolean }}
+ */
+export function checkPayCompliance({
+  job = {},
+  goldenSchema = null,
+  company = null,
+  rules = PAY_COMPLIANCE_RULES,
+}) {
+  const flags = [];
+  const jurisdiction = resolvePayJurisdiction(job, rules);
+  const rule = jurisdiction?.rule ?? null;
+  const pay = resolvePay(job, goldenSchema);
+  const remote = job.workModel === "remote";
+  const where = jurisdiction?.regionName ?? jurisdiction?.name ?? null;
+
+  // Posted pay range; employers below the law's size threshold are exempt
+  const coverage = rule?.payRange ? payRangeCoverage(rule.payRange, company) : null;
+  if (coverage === "covered" || coverage === "unknown") {
+    const severity = coverage === "covered" ? "blocking" : "warning";
+    const scope =
+      `${jurisdiction.name} requires a good-faith pay range in job postings (employers with ${rule.payRange.minEmployees}+ employees).` +
+      (coverage === "unknown" ? " Add the company's size to check whether this applies." : "");
+    if (!pay) {
+      flags.push(flag("pay_range_missing", "Add a pay range", severity, scope));
+    } else if (pay.openEnded) {
+      flags.push(
+        flag(
+          "pay_range_open_ended",
+          "Replace open-ended pay with a range",
+          severity,
+          `"${pay.text}" has no upper and lower bound. ${scope}`
+        )
+      );
+    }
+  } else if (!rule?.payRange && remote && !pay) {
+    flags.push(
+      flag(
+        "remote_pay_range_missing",
+        "Add a pay range for remote candidates",
+        "warning",
+        `Remote roles open to candidates in ${remoteRangeStates(rules).join(", ")} must post a pay range.`
+      )
+    );
+  } else if (!jurisdiction && !remote && cleanString(job.location)) {
+    flags.push(
+      flag(
+        "jurisdiction_unknown",
+        "Only federal wage rules were checked",
+        "info",
+        `"${job.location}" did not match a state in pay compliance rules ${rules.version}; add a US ZIP code for state checks.`
+      )
+    );
+  }
+
+  const employee = !NON_EMPLOYEE_TYPES.has(job.employmentType);
+  const usd = pay?.currency === "USD";
+
+  // Minimum wage
+  const minimumWage = Math.max(rules.federal.minimumWageHourly, rule?.minimumWageHourly ?? 0);
+  if (employee && usd && pay?.hourlyMin !== null && pay?.hourlyMin !== undefined && pay.hourlyMin < minimumWage) {
+    flags.push(
+      flag(
+        "below_minimum_wage",
+        "Pay is below minimum wage",
+        "blocking",
+        `"${pay.text}" works out to ${formatMoney(pay.hourlyMin)}/hour; the minimum wage${where ? ` in ${where}` : ""} is ${formatMoney(minimumWage)}/hour.`
+      )
+    );
+  }
+
+  // Exempt / non-exempt overtime
+  const reliability = goldenSchema?.financial_reality?.payment_reliability ?? {};
+  const overtimePolicy = cleanString(reliability.overtime_policy);
+  const claimsExempt =
+    Boolean(overtimePolicy) && !NON_EXEMPT_POLICY.test(overtimePolicy) && EXEMPT_POLICY.test(overtimePolicy);
+  if (employee && claimsExempt && usd && pay?.hourlyMin !== null && pay?.hourlyMin !== undefined) {
+    const threshold = Math.max(
+      rules.federal.exemptSalaryMinimumAnnual,
+      rule?.exemptSalaryMinimumAnnual ?? 0
+    );
+    if (pay.hourlyBasis) {
+      flags.push(
+        flag(
+          "exempt_hourly_pay",
+          "Hourly roles must be paid overtime",
+          "blocking",
+          `The overtime policy ("${overtimePolicy}") treats the role as exempt, but hourly or daily pay does not meet the salary basis test.`
+        )
+      );
+    } else if (pay.hourlyMin * HOURS_PER_YEAR < threshold) {
+      flags.push(
+        flag(
+          "exempt_below_salary_threshold",
+          "Salary is below the overtime-exempt threshold",
+          "blocking",
+          `The overtime policy ("${overtimePolicy}") treats the role as exempt, but ${formatMoney(pay.hourlyMin * HOURS_PER_YEAR)}/year is below the ${formatMoney(threshold)}/year threshold${where ? ` in ${where}` : ""}; the role must be paid overtime.`
+        )
+      );
+    }
+  }
+
+  const overtimeExpected = goldenSchema?.time_and_life?.overtime_reality?.overtime_expected;
+  if (
+    employee &&
+    FREQUENT_OVERTIME.has(overtimeExpected) &&
+    !claimsExempt &&
+    !overtimePolicy &&
+    !cleanString(reliability.overtime_rate)
+  ) {
+    flags.push(
+      flag(
+        "overtime_policy_missing",
+        "Say how overtime is paid",
+        "warning",
+        `Overtime is ${overtimeExpected}; state whether the role is non-exempt and its overtime rate.`
+      )
+    );
+  }
+
+  return {
+    rulesVersion: rules.version,
+    jurisdiction: jurisdiction
+      ? { code: jurisdiction.code, name: jurisdiction.name, region: jurisdiction.region }
+      : null,
+    flags,
+    blocking: flags.some((item) => item.severity === "blocking"),
+  };
+}
+
+/**
+ * Check a job, including the golden record of the interview it came from.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} [params.logger] - Logger instance
+ * @param {Object} params.job - Job document (goldenSessionId links the interview, companyId the employer)
+ * @returns {Promise<Object>} PayComplianceReportSchema report
+ */
+export async function evaluateJobPayCompliance({ firestore, logger, job }) {
+  const [goldenSchema, company] = await Promise.all([
+    loadGoldenContext({ firestore, job, logger }),
+    job.companyId ? getCompanyById(firestore, job.companyId) : null,
+  ]);
+  const report = checkPayCompliance({ job, goldenSchema, company });
+  logger?.info?.(
+    {
+      jobId: job.id ?? null,
+      rulesVersion: report.rulesVersion,
+      jurisdiction: report.jurisdiction?.code ?? null,
+      flags: report.flags.map((item) => item.id),
+      blocking: report.blocking,
+    },
+    "pay-compliance.checked"
+  );
+  return { ...report, checkedAt: new Date() };
+}
@@ -0,0 +1,106 @@
+/**
+ * @file application-repository.js
+ * Repository for candidate applications to published jobs.
+ * Firestore access for the "jobApplications" collection, the original
+ * resume files in "jobApplicationResumes", and the apply counter kept on
+ * the job document (jobs.metrics.applies).
+ */
+
+import { JobApplicationSchema } from "@wizard/core";
+
+const APPLICATION_COLLECTION = "jobApplications";
+const RESUME_FILE_COLLECTION = "jobApplicationResumes";
+const JOB_COLLECTION = "jobs";
+
+/**
+ * Load an application.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} applicationId - Application ID
+ * @returns {Promise<Object|null>} Parsed application or null
+ */
+export async function loadApplication(firestore, applicationId) {
+  const raw = await firestore.getDocument(APPLICATION_COLLECTION, applicationId);
+  if (!raw) {
+    return null;
+  }
+  const parsed = JobApplicationSchema.safeParse(raw);
+  return parsed.success ? parsed.data : null;
+}
+
+/**
+ * Save an application.
+ * @param {Object} firestore - Firestore instance
+ * @param {Object} application - Application (JobApplicationSchema)
+ * @returns {Promise<Object>} Saved application
+ */
+export async function saveApplication(firestore, application) {
+  const payload = JobApplicationSchema.parse(application);
+  await firestore.saveDocument(APPLICATION_COLLECTION, payload.id, payload);
+  return payload;
+}
+
+/**
+ * List every application received for a job.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object[]>} Parsed applications
+ */
+export async function listApplicationsForJob(firestore, jobId) {
+  const docs = await firestore.listCollection(APPLICATION_COLLECTION, [
+    { field: "jobId", operator: "==", value: jobId },
+  ]);
+  return docs
+    .map((doc) => {
+      const parsed = JobApplicationSchema.safeParse(doc);
+      return parsed.success ? parsed.data : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Keep the original resume file (PDF) next to the application.
+ * @param {Object} firestore - Firestore instance
+ * @param {Object} file - { applicationId, jobId, fileName, mimeType, contentBase64 }
+ * @returns {Promise<void>}
+ */
+export async function saveApplicationResumeFile(firestore, file) {
+  await firestore.saveDocument(RESUME_FILE_COLLECTION, file.applicationId, {
+    applicationId: file.applicationId,
+    jobId: file.jobId,
+    fileName: file.fileName ?? null,
+    mimeType: file.mimeType,
+    contentBase64: file.contentBase64,
+    createdAt: file.createdAt ?? new Date(),
+  });
+}
+
+/**
+ * Load the original resume file for an application.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} applicationId - Application ID
+ * @returns {Promise<Object|null>} Stored file or null
+ */
+export async function loadApplicationResumeFile(firestore, applicationId) {
+  return firestore.getDocument(RESUME_FILE_COLLECTION, applicationId);
+}
+
+/**
+ * Recount a job's applications into jobs.metrics.applies.
+ * Counting (rather than incrementing) keeps the metric right after retries.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} jobId - Job ID
+ * @returns {Promise<number|null>} New count, or null when the job is missing
+ */
+export async function syncJobApplyCount(firestore, jobId) {
+  const job = await firestore.getDocument(JOB_COLLECTION, jobId);
+  if (!job) {
+    return null;
+  }
+  const applications = await listApplicationsForJob(firestore, jobId);
+  await firestore.saveDocument(JOB_COLLECTION, jobId, {
+    ...job,
+    metrics: { ...(job.metrics ?? {}), applies: applications.length },
+    updatedAt: new Date(),
+  });
+  return applications.length;
+}
@@ -0,0 +1,109 @@
+/**
+ * @file credit-ledger-repository.js
+ * Repository for credit reservations and ledger entries.
+ * Firestore access for the credits ledger (reserve/charge/refund).
+ * `firestore` may also be the transaction handle of firestore.runTransaction(),
+ * which has the same getDocument/saveDocument surface.
+ */
+
+import {
+  CreditLedgerEntrySchema,
+  CreditReservationSchema,
+} from "@wizard/core";
+
+const RESERVATION_COLLECTION = "creditReservations";
+const LEDGER_COLLECTION = "creditLedger";
+const USER_COLLECTION = "users";
+
+/**
+ * Load a credit reservation.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} reservationId - Reservation ID
+ * @returns {Promise<Object|null>} Parsed reservation or null
+ */
+export async function loadCreditReservation(firestore, reservationId) {
+  if (!reservationId) {
+    return null;
+  }
+  const raw = await firestore.getDocument(RESERVATION_COLLECTION, reservationId);
+  if (!raw) {
+    return null;
+  }
+  const parsed = CreditReservationSchema.safeParse(raw);
+  return parsed.success ? parsed.data : null;
+}
+
+/**
+ * Save a credit reservation.
+ * @param {Object} firestore - Firestore instance
+ * @param {Object} reservation - Reservation to save
+ * @returns {Promise<Object>} Saved reservation
+ */
+export async function saveCreditReservation(firestore, reservation) {
+  const payload = CreditReservationSchema.parse(reservation);
+  await firestore.saveDocument(RESERVATION_COLLECTION, payload.id, payload);
+  return payload;
+}
+
+/**
+ * Append an entry to the credit ledger.
+ * The owning userId is stored next to the entry so it can be listed per user.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} userId - Owning user ID
+ * @param {Object} entry - Ledger entry (CreditLedgerEntrySchema)
+ * @returns {Promise<Object>} Saved entry
+ */
+export async function saveCreditLedgerEntry(firestore, userId, entry) {
+  const payload = CreditLedgerEntrySchema.parse(entry);
+  await firestore.saveDocument(LEDGER_COLLECTION, payload.id, {
+    ...payload,
+    userId,
+  });
+  return payload;
+}
+
+/**
+ * List ledger entries recorded for a user.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Ledger entries
+ */
+export async function listCreditLedgerEntriesForUser(firestore, userId) {
+  if (!userId) {
+    return [];
+  }
+  const docs = await firestore.listCollection(LEDGER_COLLECTION, [
+    { field: "userId", operator: "==", value: userId },
+  ]);
+  return docs
+    .map((doc) => {
+      const parsed = CreditLedgerEntrySchema.safeParse(doc);
+      return parsed.success ? { ...parsed.data, userId } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Load the user document that carries the credit balances.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} User document or null
+ */
+export async function loadUserCredits(firestore, userId) {
+  return firestore.getDocument(USER_COLLECTION, userId);
+}
+
+/**
+ * Persist new credit balances on the user document.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} userId - User ID
+ * @param {Object} balances - { credits, usage } from applyCreditMovement
+ * @returns {Promise<Object>} Updated user document
+ */
+export async function saveUserCredits(firestore, userId, { credits, usage }) {
+  return firestore.saveDocument(USER_COLLECTION, userId, {
+    credits,
+    usage,
+    updatedAt: new Date(),
+  });
+}
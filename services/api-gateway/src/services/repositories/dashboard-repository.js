@@ -1,10 +1,11 @@
 /**
  * @file dashboard-repository.js
  * Repository for dashboard data access.
- * Aggregates data from jobs, jobAssets, creditPurchases, and users collections.
+ * Aggregates data from jobs, jobAssets, creditPurchases, creditLedger, and users collections.
  */
 
 import { JobAssetRecordSchema } from "@wizard/core";
+import { listCreditLedgerEntriesForUser } from "./credit-ledger-repository.js";
 
 const JOB_COLLECTION = "jobs";
 const JOB_ASSETS_COLLECTION = "jobAssets";
@@ -115,11 +116,12 @@ export async function loadCampaignsData(firestore, userId) {
  * @returns {Promise<Object>} Object with jobs and purchases
  */
 export async function loadLedgerData(firestore, userId) {
-  const [jobs, purchases] = await Promise.all([
+  const [jobs, purchases, ledgerEntries] = await Promise.all([
     getJobsForUser(firestore, userId),
-    getCreditPurchasesForUser(firestore, userId)
+    getCreditPurchasesForUser(firestore, userId),
+    listCreditLedgerEntriesForUser(firestore, userId)
   ]);
-  return { jobs, purchases };
+  return { jobs, purchases, ledgerEntries };
 }
 
 /**
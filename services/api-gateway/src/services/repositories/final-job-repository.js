@@ -1,11 +1,13 @@
 /**
  * @file final-job-repository.js
- * Repository for final job document persistence.
+ * Repository for final job document persistence and the per-job
+ * syndication controls that decide which final jobs leave the platform.
  */
 
-import { JobFinalSchema } from "@wizard/core";
+import { JobFinalSchema, JobSyndicationSchema } from "@wizard/core";
 
 const FINAL_JOB_COLLECTION = "jobFinalJobs";
+const JOB_SYNDICATION_COLLECTION = "jobSyndication";
 
 /**
  * Load a finalized job document.
@@ -32,6 +34,7 @@ export async function loadFinalJob(firestore, jobId) {
  * @param {string|null} params.companyId - Company ID
  * @param {Object} params.finalJob - Final job data
  * @param {string} params.source - Source type (original, refined, edited)
+ * @param {Object|null} [params.compliance] - Pay compliance report
  * @param {Date} params.now - Current timestamp
  * @returns {Promise<Object>} Saved final job document
  */
@@ -42,6 +45,7 @@ export async function saveFinalJob({
   companyId = null,
   finalJob,
   source,
+  compliance = null,
   now,
 }) {
   const payload = JobFinalSchema.parse({
@@ -51,6 +55,7 @@ export async function saveFinalJob({
     schema_version: "1",
     job: finalJob,
     source,
+    compliance,
     updatedAt: now,
   });
 
@@ -58,3 +63,47 @@ export async function saveFinalJob({
   logger.info({ jobId, source }, "Persisted final job version");
   return payload;
 }
+
+/**
+ * List the finalized jobs that belong to a company.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object[]>} Parsed final job documents
+ */
+export async function listFinalJobsForCompany(firestore, companyId) {
+  if (!companyId) return [];
+  const docs = await firestore.listCollection(FINAL_JOB_COLLECTION, [
+    { field: "companyId", operator: "==", value: companyId },
+  ]);
+  return docs
+    .map((doc) => {
+      const parsed = JobFinalSchema.safeParse(doc);
+      return parsed.success ? parsed.data : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Load the syndication controls for a job.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Parsed syndication document or null
+ */
+export async function loadJobSyndication(firestore, jobId) {
+  const existing = await firestore.getDocument(JOB_SYNDICATION_COLLECTION, jobId);
+  if (!existing) return null;
+  const parsed = JobSyndicationSchema.safeParse(existing);
+  return parsed.success ? parsed.data : null;
+}
+
+/**
+ * Save the syndication controls for a job.
+ * @param {Object} firestore - Firestore instance
+ * @param {Object} syndication - Syndication document (JobSyndicationSchema)
+ * @returns {Promise<Object>} Saved syndication document
+ */
+export async function saveJobSyndication(firestore, syndication) {
+  const payload = JobSyndicationSchema.parse(syndication);
+  await firestore.saveDocument(JOB_SYNDICATION_COLLECTION, payload.jobId, payload);
+  return payload;
+}
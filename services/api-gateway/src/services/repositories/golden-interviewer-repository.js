@@ -1,12 +1,16 @@
 /**
  * @file golden-interviewer-repository.js
  * Repository for Golden Interviewer session data access.
- * Firestore access for the "golden_interview_sessions" and "companies" collections.
+ * Firestore access for the "golden_interview_sessions", "golden_interview_groups",
+ * "golden_interview_invites", "golden_interview_role_rules" and "companies" collections.
  */
 
 import { httpError } from "@wizard/utils";
 
 const SESSIONS_COLLECTION = "golden_interview_sessions";
+const GROUPS_COLLECTION = "golden_interview_groups";
+const INVITES_COLLECTION = "golden_interview_invites";
+const ROLE_RULES_COLLECTION = "golden_interview_role_rules";
 const COMPANIES_COLLECTION = "companies";
 
 // =============================================================================
@@ -70,6 +74,9 @@ export async function saveSession({ firestore, sessionId, session }) {
  * @param {string} params.userId - User ID
  * @param {string|null} params.companyId - Optional company ID
  * @param {Object} params.goldenSchema - Initial golden schema
+ * @param {string} [params.perspective] - Respondent perspective (RespondentPerspectiveEnum)
+ * @param {string|null} [params.groupId] - Stakeholder group the session belongs to
+ * @param {Object} [params.inheritedFields] - Company defaults prefilled for confirmation
  * @returns {Promise<Object>} Created session document
  */
 export async function createSession({
@@ -78,6 +85,10 @@ export async function createSession({
   userId,
   companyId = null,
   goldenSchema,
+  perspective = "hiring_manager",
+  groupId = null,
+  inheritedFields = {},
+  inviteId = null,
 }) {
   const now = new Date();
 
@@ -85,6 +96,10 @@ export async function createSession({
     sessionId,
     userId,
     companyId,
+    perspective,
+    groupId,
+    // Guest invite the session was started from; a guest answers it, not the owner
+    inviteId,
     createdAt: now,
     updatedAt: now,
     status: "active",
@@ -100,6 +115,9 @@ export async function createSession({
       lastAskedField: null,      // Primary field from next_priority_fields[0]
       lastAskedCategory: null,   // Top-level category (e.g., "financial_reality")
 
+      // Company defaults prefilled at start: { [fieldPath]: { value, source, sessionId, status } }
+      inheritedFields,
+
       // Friction tracking
       friction: {
         totalSkips: 0,           // Lifetime skips in this session
@@ -189,6 +207,317 @@ export async function completeSession({ firestore, session }) {
   };
 }
 
+/**
+ * List a user's completed sessions for a company, most recent first
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.companyId - Company ID
+ * @param {string} params.userId - Owner user ID
+ * @returns {Promise<Object[]>} Completed session documents
+ */
+export async function listCompletedSessionsForCompany({ firestore, companyId, userId }) {
+  const sessions =
+    (await firestore.queryDocuments(SESSIONS_COLLECTION, "companyId", "==", companyId)) ?? [];
+  return sessions
+    .filter((session) => session.userId === userId && session.status === "completed")
+    .map(normalizeSessionTimestamps)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * List all of a user's sessions, any status
+ * @param {Object} firestore - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object[]>} Session documents
+ */
+export async function listSessionsForUser(firestore, userId) {
+  return (await firestore.queryDocuments(SESSIONS_COLLECTION, "userId", "==", userId)) ?? [];
+}
+
+/**
+ * List a user's unfinished (active) sessions, most recently active first.
+ * Sessions started from a guest invite are left out: the guest finishes
+ * those through the invite link, not the owner.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object[]>} Session documents
+ */
+export async function listActiveSessionsForUser(firestore, userId) {
+  const sessions = await listSessionsForUser(firestore, userId);
+  return sessions
+    .filter((session) => session.status === "active" && !session.inviteId)
+    .map(normalizeSessionTimestamps)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// =============================================================================
+// STAKEHOLDER GROUP OPERATIONS
+// =============================================================================
+
+/**
+ * Load a stakeholder group (several sessions about the same role)
+ * @param {Object} firestore - Firestore instance
+ * @param {string} groupId - Group ID
+ * @returns {Promise<Object|null>} Group document or null if not found
+ */
+export async function getGroup(firestore, groupId) {
+  if (!groupId) return null;
+  return firestore.getDocument(GROUPS_COLLECTION, groupId);
+}
+
+/**
+ * Load a group with ownership validation
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.groupId - Group ID
+ * @param {string} params.userId - User ID to validate ownership
+ * @returns {Promise<Object>} Group document
+ * @throws {HttpError} 404 if not found, 403 if not owned by user
+ */
+export async function getGroupForUser({ firestore, groupId, userId }) {
+  const group = await getGroup(firestore, groupId);
+
+  if (!group) {
+    throw httpError(404, "Interview group not found");
+  }
+
+  if (group.userId !== userId) {
+    throw httpError(403, "Access denied to this interview group");
+  }
+
+  return group;
+}
+
+/**
+ * Save a group document
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.group - Group data (groupId required)
+ * @returns {Promise<void>}
+ */
+export async function saveGroup({ firestore, group }) {
+  await firestore.saveDocument(GROUPS_COLLECTION, group.groupId, group);
+}
+
+/**
+ * Read-modify-write a group in a transaction, writing the whole document.
+ * Unlike saveGroup (a merge), keys that `update` drops from nested maps such
+ * as `resolutions` are removed in Firestore as well.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.groupId - Group ID
+ * @param {(group: Object) => Object} params.update - Returns the next group document
+ * @returns {Promise<Object>} Saved group document
+ * @throws {HttpError} 404 if the group no longer exists
+ */
+export async function replaceGroup({ firestore, groupId, update }) {
+  return firestore.runTransaction(async (transaction) => {
+    const group = await transaction.getDocument(GROUPS_COLLECTION, groupId);
+    if (!group) {
+      throw httpError(404, "Interview group not found");
+    }
+    const next = update(group);
+    transaction.replaceDocument(GROUPS_COLLECTION, groupId, next);
+    return next;
+  });
+}
+
+/**
+ * Link a new session to the group of an existing one, creating the group
+ * (with the existing session as primary) on first link.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.primarySession - Session being linked to (mutated with groupId)
+ * @param {string} params.sessionId - New session ID to add
+ * @param {string} params.groupId - ID to use when a group must be created
+ * @returns {Promise<Object>} Updated group document
+ */
+export async function addSessionToGroup({
+  firestore,
+  primarySession,
+  sessionId,
+  groupId,
+}) {
+  const now = new Date();
+  let group = await getGroup(firestore, primarySession.groupId);
+
+  if (!group) {
+    group = {
+      groupId,
+      userId: primarySession.userId,
+      companyId: primarySession.companyId ?? null,
+      sessionIds: [primarySession.sessionId],
+      resolutions: {},
+      status: "open",
+      mergedSchema: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    primarySession.groupId = groupId;
+    primarySession.updatedAt = now;
+    await saveSession({
+      firestore,
+      sessionId: primarySession.sessionId,
+      session: primarySession,
+    });
+  }
+
+  if (!group.sessionIds.includes(sessionId)) {
+    group.sessionIds = [...group.sessionIds, sessionId];
+  }
+  group.updatedAt = now;
+  await saveGroup({ firestore, group });
+  return group;
+}
+
+/**
+ * Load every session in a group, in group order (primary first)
+ * @param {Object} firestore - Firestore instance
+ * @param {Object} group - Group document
+ * @returns {Promise<Object[]>} Sessions that still exist
+ */
+export async function getGroupSessions(firestore, group) {
+  const sessions = await Promise.all(
+    (group?.sessionIds ?? []).map((sessionId) => getSession(firestore, sessionId))
+  );
+  return sessions.filter(Boolean);
+}
+
+// =============================================================================
+// GUEST INVITE OPERATIONS
+// =============================================================================
+
+/**
+ * Load a guest invite by ID
+ * @param {Object} firestore - Firestore instance
+ * @param {string} inviteId - Invite ID
+ * @returns {Promise<Object|null>} Invite document or null if not found
+ */
+export async function getInvite(firestore, inviteId) {
+  if (!inviteId) return null;
+  return firestore.getDocument(INVITES_COLLECTION, inviteId);
+}
+
+/**
+ * Load a guest invite by the hash of its token (tokens are never stored)
+ * @param {Object} firestore - Firestore instance
+ * @param {string} tokenHash - SHA-256 hex digest of the invite token
+ * @returns {Promise<Object|null>} Invite document or null if not found
+ */
+export async function getInviteByTokenHash(firestore, tokenHash) {
+  const invites = await firestore.queryDocuments(
+    INVITES_COLLECTION,
+    "tokenHash",
+    "==",
+    tokenHash
+  );
+  return invites?.[0] ?? null;
+}
+
+/**
+ * Load an invite with ownership validation
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.inviteId - Invite ID
+ * @param {string} params.userId - User ID to validate ownership
+ * @returns {Promise<Object>} Invite document
+ * @throws {HttpError} 404 if not found, 403 if not owned by user
+ */
+export async function getInviteForUser({ firestore, inviteId, userId }) {
+  const invite = await getInvite(firestore, inviteId);
+
+  if (!invite) {
+    throw httpError(404, "Invite not found");
+  }
+
+  if (invite.userId !== userId) {
+    throw httpError(403, "Access denied to this invite");
+  }
+
+  return invite;
+}
+
+/**
+ * List invites created by a user
+ * @param {Object} firestore - Firestore instance
+ * @param {string} userId - Owner user ID
+ * @returns {Promise<Object[]>} Invite documents
+ */
+export async function listInvitesForUser(firestore, userId) {
+  return (await firestore.queryDocuments(INVITES_COLLECTION, "userId", "==", userId)) ?? [];
+}
+
+/**
+ * Save an invite document
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.invite - Invite data (inviteId required)
+ * @returns {Promise<void>}
+ */
+export async function saveInvite({ firestore, invite }) {
+  await firestore.saveDocument(INVITES_COLLECTION, invite.inviteId, invite);
+}
+
+/**
+ * Conditionally update an invite in a transaction. `update` gets the stored
+ * invite and returns the next version, or null to leave it as is; it may run
+ * more than once, so it must not have side effects.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.inviteId - Invite ID
+ * @param {(invite: Object) => Object|null} params.update
+ * @returns {Promise<Object|null>} Saved invite, or null when nothing was written
+ * @throws {HttpError} 404 if the invite no longer exists
+ */
+export async function updateInvite({ firestore, inviteId, update }) {
+  return firestore.runTransaction(async (transaction) => {
+    const invite = await transaction.getDocument(INVITES_COLLECTION, inviteId);
+    if (!invite) {
+      throw httpError(404, "Invite not found");
+    }
+    const next = update(invite);
+    if (!next) {
+      return null;
+    }
+    transaction.saveDocument(INVITES_COLLECTION, inviteId, next);
+    return next;
+  });
+}
+
+// =============================================================================
+// ROLE RULE OPERATIONS
+// =============================================================================
+
+/**
+ * Load a company's role archetype overrides
+ * @param {Object} firestore - Firestore instance
+ * @param {string} companyId - Company ID (also the document ID)
+ * @returns {Promise<Object|null>} Role rules document or null if the company has none
+ */
+export async function getCompanyRoleRules(firestore, companyId) {
+  if (!companyId) return null;
+  return firestore.getDocument(ROLE_RULES_COLLECTION, companyId);
+}
+
+/**
+ * Replace a company's role archetype overrides in a transaction. The whole
+ * document is written (not merged) so removed overrides stay removed.
+ * `update` may run more than once and must not have side effects.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {string} params.companyId - Company ID (also the document ID)
+ * @param {(stored: Object|null) => Object} params.update - Returns the new document
+ * @returns {Promise<Object>} Saved role rules document
+ */
+export async function replaceCompanyRoleRules({ firestore, companyId, update }) {
+  return firestore.runTransaction(async (transaction) => {
+    const stored = await transaction.getDocument(ROLE_RULES_COLLECTION, companyId);
+    const next = update(stored);
+    transaction.replaceDocument(ROLE_RULES_COLLECTION, companyId, next);
+    return next;
+  });
+}
+
 // =============================================================================
 // COMPANY OPERATIONS
 // =============================================================================
@@ -277,9 +606,13 @@ export function extractSessionStatus(session) {
     sessionId: session.sessionId,
     userId: session.userId,
     status: session.status,
+    perspective: session.perspective ?? "hiring_manager",
+    groupId: session.groupId ?? null,
+    inviteId: session.inviteId ?? null,
     turnCount: session.turnCount,
     completionPercentage: session.metadata?.completionPercentage || 0,
     currentPhase: session.metadata?.currentPhase,
+    inheritedFields: session.metadata?.inheritedFields ?? {},
     createdAt: session.createdAt,
     updatedAt: session.updatedAt,
   };
@@ -51,6 +51,9 @@ export {
   normalizeTokens,
   updateUserUsageCounters,
   sanitizeMetadata,
+  loadLlmQuotaUsage,
+  updateLlmQuotaUsage,
+  loadUserOrgId,
 } from "./llm-usage-repository.js";
 
 // Golden Interviewer repository
@@ -61,6 +64,23 @@ export {
   createSession,
   updateSessionTurn,
   completeSession,
+  listCompletedSessionsForCompany,
+  listSessionsForUser,
+  listActiveSessionsForUser,
+  getGroup,
+  getGroupForUser,
+  saveGroup,
+  replaceGroup,
+  addSessionToGroup,
+  getGroupSessions,
+  getInvite,
+  getInviteByTokenHash,
+  getInviteForUser,
+  listInvitesForUser,
+  saveInvite,
+  updateInvite,
+  getCompanyRoleRules,
+  replaceCompanyRoleRules,
   getCompanyById as getCompanyByIdForInterview,
   buildUserMessage,
   buildAssistantMessage,
@@ -72,6 +92,9 @@ export {
 export {
   loadFinalJob,
   saveFinalJob,
+  listFinalJobsForCompany,
+  loadJobSyndication,
+  saveJobSyndication,
 } from "./final-job-repository.js";
 
 // Hero image repository
@@ -121,6 +144,7 @@ export {
   linkCompanyToUser,
   setUserMainCompany,
   sanitizeUserForResponse,
+  listUserIdsInOrg,
 } from "./user-repository.js";
 
 // Subscription repository
@@ -132,6 +156,16 @@ export {
   buildPurchaseResponse,
 } from "./subscription-repository.js";
 
+// Credit ledger repository
+export {
+  loadCreditReservation,
+  saveCreditReservation,
+  saveCreditLedgerEntry,
+  listCreditLedgerEntriesForUser,
+  loadUserCredits,
+  saveUserCredits,
+} from "./credit-ledger-repository.js";
+
 // Dashboard repository
 export {
   getJobsForUser,
@@ -160,3 +194,20 @@ export {
   listCompaniesForUser,
   sanitizeCompanyRecord,
 } from "./company-repository.js";
+
+// Publisher credential repository
+export {
+  loadPublisherCredential,
+  savePublisherCredential,
+  listPublisherCredentials,
+} from "./publisher-credential-repository.js";
+
+// Application repository
+export {
+  loadApplication,
+  saveApplication,
+  listApplicationsForJob,
+  saveApplicationResumeFile,
+  loadApplicationResumeFile,
+  syncJobApplyCount,
+} from "./application-repository.js";
@@ -1,9 +1,13 @@
 /**
  * @file llm-usage-repository.js
  * Repository for LLM usage logging.
- * Firestore and BigQuery access for usage tracking.
+ * Firestore and BigQuery access for usage tracking and quota spend totals.
  */
 
+import { LlmQuotaUsageSchema } from "@wizard/core";
+
+const QUOTA_USAGE_COLLECTION = "llmQuotaUsage";
+
 /**
  * Record LLM usage entry to Firestore
  * @param {Object} params
@@ -123,10 +127,11 @@ export async function updateUserUsageCounters({
       typeof userDoc.credits === "object" && userDoc.credits !== null
         ? { ...userDoc.credits }
         : {};
-    creditsSnapshot.balance = usageSnapshot.remainingCredits;
     if (typeof creditsSnapshot.reserved !== "number") {
       creditsSnapshot.reserved = 0;
     }
+    // balance = spendable + reserved (see applyCreditMovement in @wizard/core)
+    creditsSnapshot.balance = usageSnapshot.remainingCredits + creditsSnapshot.reserved;
     if (typeof creditsSnapshot.lifetimeUsed !== "number") {
       creditsSnapshot.lifetimeUsed = 0;
     }
@@ -157,3 +162,52 @@ export function sanitizeMetadata(metadata) {
   }
   return { finishReason };
 }
+
+/**
+ * Load the running quota spend of a user or org.
+ * @param {Object} firestore - Firestore instance
+ * @param {"user"|"org"} scope - Quota scope
+ * @param {string} scopeId - User or org ID
+ * @returns {Promise<Object|null>} Parsed usage (LlmQuotaUsageSchema) or null
+ */
+export async function loadLlmQuotaUsage(firestore, scope, scopeId) {
+  const raw = await firestore.getDocument(QUOTA_USAGE_COLLECTION, `${scope}_${scopeId}`);
+  if (!raw) {
+    return null;
+  }
+  const parsed = LlmQuotaUsageSchema.safeParse(raw);
+  return parsed.success ? parsed.data : null;
+}
+
+/**
+ * Update the running quota spend of a user or org in a transaction, so
+ * concurrent calls add up instead of overwriting each other. `update` gets
+ * the stored usage (or null) and returns the new one; it may run more than
+ * once and must not have side effects.
+ * @param {Object} firestore - Firestore instance
+ * @param {"user"|"org"} scope - Quota scope
+ * @param {string} scopeId - User or org ID
+ * @param {(usage: Object|null) => Object} update
+ * @returns {Promise<Object>} Saved usage
+ */
+export async function updateLlmQuotaUsage(firestore, scope, scopeId, update) {
+  const id = `${scope}_${scopeId}`;
+  return firestore.runTransaction(async (transaction) => {
+    const raw = await transaction.getDocument(QUOTA_USAGE_COLLECTION, id);
+    const parsed = raw ? LlmQuotaUsageSchema.safeParse(raw) : null;
+    const payload = LlmQuotaUsageSchema.parse(update(parsed?.success ? parsed.data : null));
+    transaction.saveDocument(QUOTA_USAGE_COLLECTION, id, payload);
+    return payload;
+  });
+}
+
+/**
+ * Organization a user belongs to, for org-wide quota spend.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Org ID or null
+ */
+export async function loadUserOrgId(firestore, userId) {
+  const userDoc = await firestore.getDocument("users", userId);
+  return userDoc?.orgId ?? null;
+}
@@ -0,0 +1,73 @@
+/**
+ * @file publisher-credential-repository.js
+ * Repository for per-company video publishing credentials.
+ * Firestore access for the "companyPublisherCredentials" collection.
+ * One document per (company, channel) slot.
+ */
+
+import { VideoPublisherCredentialSchema } from "@wizard/core";
+
+const PUBLISHER_CREDENTIAL_COLLECTION = "companyPublisherCredentials";
+
+function credentialDocId(companyId, channelId) {
+  return `${companyId}:${channelId}`;
+}
+
+/**
+ * Load the credentials a company connected for one channel.
+ * @param {Object} firestore - Firestore instance
+ * @param {string|null} companyId - Company ID
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<Object|null>} Parsed credential or null
+ */
+export async function loadPublisherCredential(firestore, companyId, channelId) {
+  if (!companyId || !channelId) {
+    return null;
+  }
+  const raw = await firestore.getDocument(
+    PUBLISHER_CREDENTIAL_COLLECTION,
+    credentialDocId(companyId, channelId)
+  );
+  if (!raw) {
+    return null;
+  }
+  const parsed = VideoPublisherCredentialSchema.safeParse(raw);
+  return parsed.success ? parsed.data : null;
+}
+
+/**
+ * Save the credentials for a company's channel slot.
+ * @param {Object} firestore - Firestore instance
+ * @param {Object} credential - Credential (VideoPublisherCredentialSchema)
+ * @returns {Promise<Object>} Saved credential
+ */
+export async function savePublisherCredential(firestore, credential) {
+  const payload = VideoPublisherCredentialSchema.parse(credential);
+  await firestore.saveDocument(
+    PUBLISHER_CREDENTIAL_COLLECTION,
+    credentialDocId(payload.companyId, payload.channelId),
+    payload
+  );
+  return payload;
+}
+
+/**
+ * List the credentials a company has connected.
+ * @param {Object} firestore - Firestore instance
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object[]>} Parsed credentials
+ */
+export async function listPublisherCredentials(firestore, companyId) {
+  if (!companyId) {
+    return [];
+  }
+  const docs = await firestore.listCollection(PUBLISHER_CREDENTIAL_COLLECTION, [
+    { field: "companyId", operator: "==", value: companyId },
+  ]);
+  return docs
+    .map((doc) => {
+      const parsed = VideoPublisherCredentialSchema.safeParse(doc);
+      return parsed.success ? parsed.data : null;
+    })
+    .filter(Boolean);
+}
@@ -68,6 +68,17 @@ export async function getUserByEmail(firestore, email) {
   return results.length > 0 ? results[0] : null;
 }
 
+/**
+ * List the IDs of the users in an organization
+ * @param {Object} firestore - Firestore instance
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<string[]>} User IDs
+ */
+export async function listUserIdsInOrg(firestore, orgId) {
+  const users = await firestore.queryDocuments(USER_COLLECTION, "orgId", "==", orgId);
+  return (users ?? []).map((user) => user.id);
+}
+
 /**
  * Check if user exists by email
  * @param {Object} firestore - Firestore instance
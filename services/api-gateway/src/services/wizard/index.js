@@ -29,6 +29,7 @@ export {
   deriveCompanyDisplayName,
   deriveCompanyLocation,
   buildImportedJobState,
+  buildGoldenJobState,
   extractIntakeFields,
 } from "./job-lifecycle.js";
 
@@ -40,6 +41,11 @@ export {
   finalizeJob,
 } from "./wizard-job-service.js";
 
+// Golden interview → draft
+export {
+  createDraftFromGoldenSession,
+} from "./wizard-golden-service.js";
+
 // Suggestion service
 export {
   mergeSuggestionIntoJob,
@@ -537,6 +537,194 @@ export function buildImportedJobState({ company, companyJob }) {
   return state;
 }
 
+// =============================================================================
+// GOLDEN INTERVIEW HELPERS
+// =============================================================================
+
+const GOLDEN_EMPLOYMENT_TYPE_MAP = {
+  full_time: "full_time",
+  part_time: "part_time",
+  contract: "contract",
+  freelance: "contract",
+  internship: "intern",
+  temporary: "temporary",
+  seasonal: "seasonal",
+};
+
+const GOLDEN_SENIORITY_MAP = {
+  entry: "entry",
+  junior: "entry",
+  mid: "mid",
+  senior: "senior",
+  lead: "lead",
+  executive: "executive",
+};
+
+const GOLDEN_PAY_FREQUENCY_LABELS = {
+  hourly: "hourly",
+  daily: "per day",
+  weekly: "per week",
+  biweekly: "every two weeks",
+  monthly: "per month",
+  annual: "per year",
+  per_unit: "per unit",
+  per_task: "per task",
+};
+
+function uniqueStrings(...lists) {
+  const seen = new Set();
+  const result = [];
+  for (const list of lists) {
+    for (const item of Array.isArray(list) ? list : []) {
+      const value = sanitizeImportValue(item);
+      const key = value.toLowerCase();
+      if (value && !seen.has(key)) {
+        seen.add(key);
+        result.push(value);
+      }
+    }
+  }
+  return result;
+}
+
+function deriveGoldenBenefits(goldenSchema) {
+  const benefits = [];
+  const insurance = goldenSchema.stability_signals?.benefits_security ?? {};
+  if (insurance.health_insurance) {
+    benefits.push(
+      sanitizeImportValue(insurance.health_insurance_details)
+        ? `Health insurance (${sanitizeImportValue(insurance.health_insurance_details)})`
+        : "Health insurance"
+    );
+  }
+  if (insurance.dental) benefits.push("Dental insurance");
+  if (insurance.vision) benefits.push("Vision insurance");
+  if (insurance.life_insurance) benefits.push("Life insurance");
+  if (insurance.retirement_plan) {
+    benefits.push(
+      sanitizeImportValue(insurance.retirement_match)
+        ? `Retirement plan with ${sanitizeImportValue(insurance.retirement_match)} match`
+        : "Retirement plan"
+    );
+  }
+
+  const timeOff = goldenSchema.time_and_life?.time_off ?? {};
+  if (typeof timeOff.pto_days === "number" && timeOff.pto_days > 0) {
+    benefits.push(`${timeOff.pto_days} days paid time off`);
+  }
+  if (sanitizeImportValue(timeOff.parental_leave)) {
+    benefits.push(`Parental leave: ${sanitizeImportValue(timeOff.parental_leave)}`);
+  }
+
+  const financial = goldenSchema.financial_reality ?? {};
+  if (financial.equity?.offered) benefits.push("Equity");
+  if (financial.variable_compensation?.exists) {
+    benefits.push(
+      sanitizeImportValue(financial.variable_compensation.structure) ||
+        "Variable compensation"
+    );
+  }
+  const hidden = financial.hidden_financial_value ?? {};
+  if (hidden.meals_provided) {
+    benefits.push(sanitizeImportValue(hidden.meals_details) || "Meals provided");
+  }
+  for (const key of ["wellness_budget", "commuter_benefits", "phone_stipend", "internet_stipend"]) {
+    if (sanitizeImportValue(hidden[key])) {
+      benefits.push(sanitizeImportValue(hidden[key]));
+    }
+  }
+
+  return uniqueStrings(benefits);
+}
+
+/**
+ * Map a golden interview schema onto wizard intake fields.
+ * Only fields the interview actually captured are set, so the draft's
+ * required-progress reflects what is still missing.
+ */
+export function buildGoldenJobState({ goldenSchema = {}, company = null }) {
+  const overview = goldenSchema.role_overview ?? {};
+  const content = goldenSchema.role_content ?? {};
+  const extraction = goldenSchema.extraction_metadata ?? {};
+  const compensation = goldenSchema.financial_reality?.base_compensation ?? {};
+  const state = {};
+
+  const roleTitle = sanitizeImportValue(overview.job_title);
+  if (roleTitle) state.roleTitle = roleTitle;
+
+  const companyName =
+    sanitizeImportValue(overview.company_name) ||
+    (company ? deriveCompanyDisplayName(company) : "");
+  if (companyName) state.companyName = companyName;
+
+  const location = [overview.location_city, overview.location_state, overview.location_country]
+    .map(sanitizeImportValue)
+    .filter(Boolean)
+    .join(", ");
+  if (location) {
+    state.location = location;
+  } else if (overview.location_type === "remote") {
+    state.location = "Remote";
+  } else if (company && deriveCompanyLocation(company)) {
+    state.location = deriveCompanyLocation(company);
+  }
+
+  if (overview.location_type) state.workModel = overview.location_type;
+  if (GOLDEN_EMPLOYMENT_TYPE_MAP[overview.employment_type]) {
+    state.employmentType = GOLDEN_EMPLOYMENT_TYPE_MAP[overview.employment_type];
+  }
+  if (GOLDEN_SENIORITY_MAP[extraction.seniority_detected]) {
+    state.seniorityLevel = GOLDEN_SENIORITY_MAP[extraction.seniority_detected];
+  }
+
+  const industry =
+    sanitizeImportValue(extraction.industry_detected) ||
+    sanitizeImportValue(company?.industry);
+  if (industry) state.industry = industry;
+
+  const description = [
+    overview.role_summary,
+    content.scope_of_role,
+    content.typical_projects,
+  ]
+    .map(sanitizeMultilineValue)
+    .filter(Boolean)
+    .join("\n\n");
+  if (description) state.jobDescription = description;
+
+  const coreDuties = uniqueStrings(content.key_responsibilities);
+  if (coreDuties.length > 0) state.coreDuties = coreDuties;
+
+  const mustHaves = uniqueStrings(
+    content.must_haves,
+    content.required_skills,
+    content.certifications_required
+  );
+  if (mustHaves.length > 0) state.mustHaves = mustHaves;
+
+  const benefits = deriveGoldenBenefits(goldenSchema);
+  if (benefits.length > 0) state.benefits = benefits;
+
+  const salary = sanitizeImportValue(compensation.amount_or_range);
+  if (salary) {
+    state.salary = salary;
+    if (GOLDEN_PAY_FREQUENCY_LABELS[compensation.pay_frequency]) {
+      state.salaryPeriod = GOLDEN_PAY_FREQUENCY_LABELS[compensation.pay_frequency];
+    }
+    if (sanitizeImportValue(compensation.currency)) {
+      state.currency = sanitizeImportValue(compensation.currency);
+    }
+  }
+
+  const logoUrl =
+    sanitizeImportValue(company?.logoUrl) ||
+    sanitizeImportValue(company?.brand?.logoUrl) ||
+    sanitizeImportValue(company?.brand?.iconUrl);
+  if (logoUrl) state.logoUrl = logoUrl;
+
+  return state;
+}
+
 // =============================================================================
 // SERIALIZATION HELPERS
 // =============================================================================
@@ -15,12 +15,14 @@ import {
   JobAssetStatusEnum,
   JobAssetRunStatusEnum,
 } from "@wizard/core";
+import { AssetGenerated } from "@wizard/events";
 import { createAssetPlan } from "../../llm/domain/asset-plan.js";
 import { LLM_CORE_TASK } from "../../config/task-types.js";
 import {
   loadCompanyProfile,
   buildTailoredCompanyContext,
 } from "../company-context.js";
+import { loadGoldenContext } from "../golden-context.js";
 import { buildJobSnapshot } from "../../wizard/job-intake.js";
 import {
   loadFinalJob,
@@ -29,6 +31,8 @@ import {
   serializeJobAsset,
   serializeAssetRun,
 } from "../repositories/index.js";
+import { publishEvent } from "../event-publisher.js";
+import { internalCallHeaders } from "../../utils/internal-calls.js";
 
 // =============================================================================
 // CONSTANTS
@@ -159,11 +163,13 @@ export class AssetGenerationService {
    * @param {object} options.firestore - Firestore adapter
    * @param {object} options.logger - Logger instance
    * @param {string} options.apiBaseUrl - Base URL for internal API calls (e.g., "http://127.0.0.1:4000")
+   * @param {object} [options.eventBus] - Event bus for AssetGenerated events
    */
-  constructor({ firestore, logger, apiBaseUrl }) {
+  constructor({ firestore, logger, apiBaseUrl, eventBus = null }) {
     this.firestore = firestore;
     this.logger = logger;
     this.apiBaseUrl = apiBaseUrl;
+    this.eventBus = eventBus;
   }
 
   // ===========================================================================
@@ -178,9 +184,10 @@ export class AssetGenerationService {
    * @param {string} options.authToken - Bearer token for authentication
    * @param {string} options.taskType - LLM task type
    * @param {object} options.context - Context to pass to the LLM
+   * @param {string|null} [options.creditReservationId] - Reservation the call's usage accrues to
    * @returns {Promise<object>} - The LLM result
    */
-  async callLlmApi({ authToken, taskType, context }) {
+  async callLlmApi({ authToken, taskType, context, creditReservationId = null }) {
     const url = `${this.apiBaseUrl}/api/llm`;
 
     this.logger.info(
@@ -197,11 +204,9 @@ export class AssetGenerationService {
       headers: {
         "Content-Type": "application/json",
         Authorization: `Bearer ${authToken}`,
+        ...internalCallHeaders({ creditReservationId }),
       },
-      body: JSON.stringify({
-        taskType,
-        context,
-      }),
+      body: JSON.stringify({ taskType, context }),
     });
 
     if (!response.ok) {
@@ -246,7 +251,9 @@ export class AssetGenerationService {
    * @param {object} options.jobSnapshot - Job snapshot for context
    * @param {object} options.channelMetaMap - Channel metadata map
    * @param {object|null} options.companyProfile - Company profile for context
+   * @param {object|null} [options.goldenContext] - Golden interview facts for jobs created from an interview
    * @param {string} options.jobId - Job ID
+   * @param {string|null} [options.creditReservationId] - Credit reservation for the run
    * @returns {Promise<object>} - Pipeline result with stats, hasFailures, records
    */
   async runPipeline({
@@ -256,7 +263,9 @@ export class AssetGenerationService {
     jobSnapshot,
     channelMetaMap,
     companyProfile,
+    goldenContext = null,
     jobId,
+    creditReservationId = null,
   }) {
     const stats = {
       assetsPlanned: plan.items.length,
@@ -303,7 +312,14 @@ export class AssetGenerationService {
       record.failure = undefined;
       record.updatedAt = now;
       incrementRunStats(stats, metadata, true);
-      await saveAssetRecord({ firestore: this.firestore, record });
+      const saved = await saveAssetRecord({ firestore: this.firestore, record });
+      await publishEvent({
+        eventBus: this.eventBus,
+        logger: this.logger,
+        schema: AssetGenerated,
+        partitionKey: record.jobId,
+        payload: saved ?? record,
+      });
     };
 
     const markGenerating = async (record) => {
@@ -326,12 +342,14 @@ export class AssetGenerationService {
       try {
         const result = await this.callLlmApi({
           authToken,
+          creditReservationId,
           taskType: LLM_CORE_TASK.ASSET_MASTER,
           context: {
             planItem: item,
             channelMeta: channelMetaMap[item.channelId],
             jobSnapshot,
             companyContext,
+            goldenContext,
             jobId,
           },
         });
@@ -392,12 +410,14 @@ export class AssetGenerationService {
       try {
         const result = await this.callLlmApi({
           authToken,
+          creditReservationId,
           taskType: LLM_CORE_TASK.ASSET_CHANNEL_BATCH,
           context: {
             planItems: items,
             jobSnapshot,
             channelMetaMap,
             companyContext: batchCompanyContext,
+            goldenContext,
             jobId,
           },
         });
@@ -483,6 +503,7 @@ export class AssetGenerationService {
       try {
         const result = await this.callLlmApi({
           authToken,
+          creditReservationId,
           taskType: LLM_CORE_TASK.ASSET_ADAPT,
           context: {
             planItem: item,
@@ -490,6 +511,7 @@ export class AssetGenerationService {
             jobSnapshot,
             channelMeta: channelMetaMap[item.channelId],
             companyContext,
+            goldenContext,
             jobId,
           },
         });
@@ -541,9 +563,10 @@ export class AssetGenerationService {
    * @param {string} options.authToken - Bearer token for authentication
    * @param {string} options.userId - User ID
    * @param {object} options.payload - Request payload (jobId, channelIds, source)
+   * @param {string|null} [options.creditReservationId] - Credit reservation covering the run
    * @returns {Promise<object>} - Generation result
    */
-  async generateAssets({ authToken, userId, payload }) {
+  async generateAssets({ authToken, userId, payload, creditReservationId = null }) {
     const job = await this.firestore.getDocument(JOB_COLLECTION, payload.jobId);
     if (!job) {
       throw httpError(404, "Job not found");
@@ -577,6 +600,11 @@ export class AssetGenerationService {
             logger: this.logger,
           })
         : null;
+    const goldenContext = await loadGoldenContext({
+      firestore: this.firestore,
+      job,
+      logger: this.logger,
+    });
 
     const assetRecords = createAssetRecordsFromPlan({
       jobId: payload.jobId,
@@ -622,7 +650,9 @@ export class AssetGenerationService {
       jobSnapshot,
       channelMetaMap: buildChannelMetaMap(plan.channelMeta),
       companyProfile,
+      goldenContext,
       jobId: payload.jobId,
+      creditReservationId,
     });
 
     // Update run with final stats
@@ -658,8 +688,14 @@ export class AssetGenerationService {
  * @param {object} options.firestore - Firestore adapter
  * @param {object} options.logger - Logger instance
  * @param {string} options.apiBaseUrl - Base URL for internal API calls
+ * @param {object} [options.eventBus] - Event bus for AssetGenerated events
  * @returns {AssetGenerationService}
  */
-export function createAssetGenerationService({ firestore, logger, apiBaseUrl }) {
-  return new AssetGenerationService({ firestore, logger, apiBaseUrl });
+export function createAssetGenerationService({
+  firestore,
+  logger,
+  apiBaseUrl,
+  eventBus = null,
+}) {
+  return new AssetGenerationService({ firestore, logger, apiBaseUrl, eventBus });
 }
@@ -0,0 +1,128 @@
+/**
+ * @file wizard-golden-service.js
+ * Service layer for turning a completed golden interview into a wizard draft.
+ */
+
+import { httpError } from "@wizard/utils";
+import { JobSchema } from "@wizard/core";
+import { WizardDraftUpdated } from "@wizard/events";
+import { publishEvent, toEventStateMap } from "../event-publisher.js";
+import { loadCompanyProfile } from "../company-context.js";
+import { saveSession } from "../repositories/golden-interviewer-repository.js";
+import {
+  createBaseJob,
+  mergeIntakeIntoJob,
+  computeRequiredProgress,
+  applyRequiredProgress,
+  buildGoldenJobState,
+  extractIntakeFields,
+} from "./job-lifecycle.js";
+
+const JOB_COLLECTION = "jobs";
+
+function toDraftResponse(job, { created }) {
+  return {
+    jobId: job.id,
+    created,
+    status: job.status ?? null,
+    state: job.stateMachine?.currentState ?? "DRAFT",
+    requiredComplete: Boolean(job.stateMachine?.requiredComplete),
+    companyId: job.companyId ?? null,
+    goldenSessionId: job.goldenSessionId ?? null,
+    intake: extractIntakeFields(job),
+  };
+}
+
+/**
+ * Create a wizard job draft from a completed golden interview session.
+ * Intake fields are mapped from the golden schema; the draft links back via
+ * `goldenSessionId` so refinement, channel and asset prompts can load the
+ * full interview context. Idempotent: a session that already produced a
+ * draft returns that draft.
+ *
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.eventBus] - Event bus for WizardDraftUpdated
+ * @param {string} params.userId - User ID (session owner)
+ * @param {Object} params.session - Golden interview session document
+ * @returns {Promise<Object>} Draft summary
+ */
+export async function createDraftFromGoldenSession({
+  firestore,
+  logger,
+  eventBus = null,
+  userId,
+  session,
+}) {
+  if (session.status !== "completed") {
+    throw httpError(409, "Complete the interview before creating a job draft");
+  }
+
+  if (session.jobId) {
+    const existing = await firestore.getDocument(JOB_COLLECTION, session.jobId);
+    const parsed = existing ? JobSchema.safeParse(existing) : null;
+    if (parsed?.success) {
+      return toDraftResponse(parsed.data, { created: false });
+    }
+  }
+
+  const companyId = session.companyId ?? null;
+  const companyProfile = companyId
+    ? await loadCompanyProfile({ firestore, companyId, logger })
+    : null;
+
+  const now = new Date();
+  const jobId = `job_${crypto.randomUUID()}`;
+  const baseJob = createBaseJob({
+    jobId,
+    userId,
+    companyId,
+    companyProfile,
+    now,
+  });
+  const goldenState = buildGoldenJobState({
+    goldenSchema: session.goldenSchema ?? {},
+    company: companyProfile,
+  });
+  const mergedJob = mergeIntakeIntoJob(baseJob, goldenState, { userId, now });
+  const progress = computeRequiredProgress(mergedJob);
+  const jobWithProgress = applyRequiredProgress(mergedJob, progress, now);
+  jobWithProgress.goldenSessionId = session.sessionId;
+  const validatedJob = JobSchema.parse(jobWithProgress);
+  await firestore.saveDocument(JOB_COLLECTION, jobId, validatedJob);
+
+  session.jobId = jobId;
+  session.updatedAt = now;
+  await saveSession({ firestore, sessionId: session.sessionId, session });
+
+  await publishEvent({
+    eventBus,
+    logger,
+    schema: WizardDraftUpdated,
+    partitionKey: jobId,
+    payload: {
+      jobId,
+      state: toEventStateMap(extractIntakeFields(validatedJob)),
+    },
+    metadata: {
+      userId,
+      source: "golden_interview",
+      goldenSessionId: session.sessionId,
+      creationState: validatedJob.stateMachine?.currentState ?? null,
+    },
+  });
+
+  logger.info(
+    {
+      jobId,
+      sessionId: session.sessionId,
+      companyId,
+      mappedFields: Object.keys(goldenState),
+      requiredComplete: progress.allComplete,
+    },
+    "Created wizard draft from golden interview"
+  );
+
+  return toDraftResponse(validatedJob, { created: true });
+}
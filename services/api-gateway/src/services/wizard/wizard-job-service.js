@@ -5,7 +5,10 @@
 
 import { httpError } from "@wizard/utils";
 import { JobSchema } from "@wizard/core";
+import { WizardDraftUpdated } from "@wizard/events";
+import { publishEvent, toEventStateMap } from "../event-publisher.js";
 import { loadCompanyProfile } from "../company-context.js";
+import { evaluateJobPayCompliance } from "../pay-compliance.js";
 import {
   createBaseJob,
   mergeIntakeIntoJob,
@@ -29,6 +32,7 @@ const JOB_COLLECTION = "jobs";
  * @param {Object} params
  * @param {Object} params.firestore - Firestore instance
  * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.eventBus] - Event bus for WizardDraftUpdated
  * @param {string} params.userId - User ID
  * @param {Object} params.payload - Request payload
  * @param {Object} params.userProfile - User profile
@@ -37,6 +41,7 @@ const JOB_COLLECTION = "jobs";
 export async function createOrUpdateDraft({
   firestore,
   logger,
+  eventBus = null,
   userId,
   payload,
   userProfile,
@@ -166,6 +171,19 @@ export async function createOrUpdateDraft({
 
   const latestFields = extractIntakeFields(validatedJob);
 
+  await publishEvent({
+    eventBus,
+    logger,
+    schema: WizardDraftUpdated,
+    partitionKey: jobId,
+    payload: { jobId, state: toEventStateMap(latestFields) },
+    metadata: {
+      userId,
+      stepId: payload.currentStepId,
+      creationState: savedJob.stateMachine?.currentState ?? null,
+    },
+  });
+
   logger.info(
     {
       jobId,
@@ -302,6 +320,13 @@ export async function finalizeJob({ firestore, logger, userId, payload }) {
   const validatedJob = JobSchema.parse(jobWithProgress);
   await firestore.saveDocument(JOB_COLLECTION, payload.jobId, validatedJob);
 
+  // Blocking flags don't stop finalizing; they keep the job from being published
+  const compliance = await evaluateJobPayCompliance({
+    firestore,
+    logger,
+    job: validatedJob,
+  });
+
   await saveFinalJob({
     firestore,
     logger,
@@ -309,6 +334,7 @@ export async function finalizeJob({ firestore, logger, userId, payload }) {
     companyId: validatedJob.companyId ?? null,
     finalJob,
     source,
+    compliance,
     now,
   });
 
@@ -316,5 +342,6 @@ export async function finalizeJob({ firestore, logger, userId, payload }) {
     jobId: payload.jobId,
     finalJob,
     source,
+    compliance,
   };
 }
@@ -0,0 +1,59 @@
+/**
+ * Internal callbacks into POST /api/llm
+ *
+ * Orchestrators in this process (asset generation, the golden interviewer...)
+ * call back into /api/llm over HTTP with the user's own token. Anything they
+ * need the router to trust beyond the user's identity (e.g. the credit
+ * reservation the call's usage accrues to) travels in headers signed off by a
+ * secret only this process knows, never in the request body. The router also
+ * leaves internal callbacks out of the request-rate quota, since they belong
+ * to a user request that was already counted.
+ *
+ * Callbacks always target this process (127.0.0.1), so the secret is random
+ * per process and never configured or shared.
+ */
+
+import { randomBytes, timingSafeEqual } from "node:crypto";
+
+export const INTERNAL_CALL_HEADER = "x-wizard-internal-call";
+export const CREDIT_RESERVATION_HEADER = "x-wizard-credit-reservation";
+
+const INTERNAL_CALL_SECRET = randomBytes(32).toString("hex");
+
+/**
+ * Headers that mark a request as an internal callback.
+ * @param {Object} [options]
+ * @param {string|null} [options.creditReservationId] - Reservation the call's usage accrues to
+ * @returns {Object<string, string>}
+ */
+export function internalCallHeaders({ creditReservationId = null } = {}) {
+  return {
+    [INTERNAL_CALL_HEADER]: INTERNAL_CALL_SECRET,
+    ...(creditReservationId ? { [CREDIT_RESERVATION_HEADER]: creditReservationId } : {}),
+  };
+}
+
+/**
+ * Whether a request carries this process's internal-call secret.
+ * @param {import("express").Request} req
+ * @returns {boolean}
+ */
+export function isInternalCall(req) {
+  const presented = req.get?.(INTERNAL_CALL_HEADER);
+  if (typeof presented !== "string" || presented.length !== INTERNAL_CALL_SECRET.length) {
+    return false;
+  }
+  return timingSafeEqual(Buffer.from(presented), Buffer.from(INTERNAL_CALL_SECRET));
+}
+
+/**
+ * Credit reservation an internal callback runs under; null for any other request.
+ * @param {import("express").Request} req
+ * @returns {string|null}
+ */
+export function resolveInternalCreditReservationId(req) {
+  if (!isInternalCall(req)) {
+    return null;
+  }
+  return req.get(CREDIT_RESERVATION_HEADER) || null;
+}
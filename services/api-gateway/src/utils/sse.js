@@ -0,0 +1,82 @@
+/**
+ * Server-Sent Events helpers.
+ *
+ * Used on both sides of a stream:
+ * - Writing: routes that answer with `text/event-stream` (POST /api/llm,
+ *   POST /golden-interview/chat when `stream: true`).
+ * - Reading: provider adapters (OpenAI, Anthropic) and internal callers of
+ *   /api/llm consume SSE bodies from fetch().
+ */
+
+/**
+ * Switch an Express response into SSE mode.
+ * @param {import("express").Response} res
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop proxies (nginx) from buffering deltas
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+}
+
+/**
+ * Write one named event with a JSON payload. No-op once the response ended.
+ * @param {import("express").Response} res
+ * @param {string} event - Event name
+ * @param {object} payload - JSON-serializable payload
+ */
+export function sendEvent(res, event, payload) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(payload)}\n\n`);
+}
+
+/**
+ * Iterate the events of an SSE body.
+ * Multi-line `data:` fields are joined with "\n"; comments are skipped.
+ * @param {ReadableStream|AsyncIterable<Uint8Array|string>} body - fetch() response body
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+export async function* readSseEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let event = "message";
+  let data = [];
+
+  const takeLine = (line) => {
+    if (line === "") {
+      const dispatched = data.length > 0 ? { event, data: data.join("\n") } : null;
+      event = "message";
+      data = [];
+      return dispatched;
+    }
+    if (line.startsWith(":")) return null;
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? "" : line.slice(separator + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+    if (field === "event") event = value;
+    if (field === "data") data.push(value);
+    return null;
+  };
+
+  for await (const chunk of body) {
+    buffer += typeof chunk === "string" ? chunk : decoder.decode(chunk, { stream: true });
+    let newline = buffer.search(/\r?\n/);
+    while (newline !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(buffer[newline] === "\r" ? newline + 2 : newline + 1);
+      const dispatched = takeLine(line);
+      if (dispatched) yield dispatched;
+      newline = buffer.search(/\r?\n/);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer) takeLine(buffer);
+  const last = takeLine("");
+  if (last) yield last;
+}
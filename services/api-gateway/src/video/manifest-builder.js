@@ -19,6 +19,7 @@ import { computeDurationPlan } from "./duration-planner.js";
 import { getVideoModelCapabilities } from "./video-capabilities.js";
 import { planRenderForVideo } from "./render-planner.js";
 import { LLM_CORE_TASK } from "../config/task-types.js";
+import { resolveJobPageUrl, withUtmParams } from "../services/job-syndication/links.js";
 import { VIDEO_BEHAVIOR_CONFIG, VIDEO_RENDER_CONFIG } from "../config/llm-config.js";
 import { VIDEO_LENGTH_PRESETS } from "./renderers/contracts.js";
 import {
@@ -135,6 +136,7 @@ function normalizeVideoConfig(raw, capabilities, defaults) {
  * @param {Object} params
  * @param {Object} params.job - The job posting data
  * @param {Object} [params.company] - Company data including branding
+ * @param {Array<Object>} [params.referenceMedia] - Workplace photos/videos from the job's golden interview
  * @param {string} params.channelId - Target channel ID (e.g., "TIKTOK_LEAD")
  * @param {string} params.channelName - Human-readable channel name
  * @param {string} [params.recommendedMedium] - Preferred video medium
@@ -148,6 +150,7 @@ function normalizeVideoConfig(raw, capabilities, defaults) {
 export async function buildVideoManifest({
   job,
   company,
+  referenceMedia = [],
   channelId,
   channelName,
   recommendedMedium,
@@ -269,6 +272,7 @@ export async function buildVideoManifest({
         channelName,
         recommendedMedium: recommendedMedium ?? spec.medium,
         branding,
+        referenceMedia,
         // Pass VideoConfig and RenderPlan for creative guidance
         videoConfig,
         renderPlanSummary: {
@@ -403,6 +407,11 @@ export async function buildVideoManifest({
     utmCampaign: "jobs",
     utmContent: slugify(jobSnapshot.title)
   };
+  // The CTA lands on the hosted job page; its apply form sends these UTMs
+  // back with the application so the channel gets credit.
+  tracking.shortLink = job?.id
+    ? withUtmParams(resolveJobPageUrl({ jobId: job.id, company }), tracking)
+    : null;
 
   const manifest = {
     manifestId,
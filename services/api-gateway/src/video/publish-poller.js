@@ -0,0 +1,66 @@
+/**
+ * Background poller for videos left "publishing".
+ *
+ * POST /videos/:id/publish only uploads to the channel, which then processes
+ * the video for seconds to minutes. This checks every pending upload once per
+ * interval and records the outcome on the item. index.js starts it; tests
+ * call pollOnce().
+ */
+import { createVideoLibraryService } from "./service.js";
+import { createPublisherRegistry } from "./publishers.js";
+
+/**
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} [params.bigQuery] - BigQuery instance
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.publisherRegistry] - Publisher registry
+ * @param {number} [params.intervalMs] - Delay between polls
+ */
+export function createVideoPublishPoller({
+  firestore,
+  bigQuery = null,
+  logger,
+  publisherRegistry = createPublisherRegistry({ logger, firestore }),
+  intervalMs = Number(process.env.VIDEO_PUBLISH_POLL_INTERVAL_MS ?? 30_000),
+}) {
+  const service = createVideoLibraryService({
+    firestore,
+    bigQuery,
+    llmClient: null,
+    renderer: null,
+    publisherRegistry,
+    logger,
+  });
+  let timer = null;
+  let inFlight = null;
+
+  // A slow channel must not stack polls on top of each other.
+  function pollOnce() {
+    if (!inFlight) {
+      inFlight = service
+        .refreshPublishingItems()
+        .catch((error) => {
+          logger.error({ err: error }, "video.publish.poll_failed");
+          return [];
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(pollOnce, intervalMs);
+    logger.info({ intervalMs }, "Video publish poller started");
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, pollOnce };
+}
@@ -1,102 +1,341 @@
 import { v4 as uuid } from "uuid";
 import { VideoPublishTaskSchema } from "@wizard/core";
+import {
+  loadPublisherCredential,
+  savePublisherCredential
+} from "../services/repositories/index.js";
+import { loadRenderedMedia } from "./storage.js";
+import { buildChannelPayload } from "./publishers/channel-rules.js";
+import { VideoPublisherError } from "./publishers/channel-http.js";
+import { createInstagramAdapter } from "./publishers/adapters/instagram.js";
+import { createTikTokAdapter } from "./publishers/adapters/tiktok.js";
+import { createYouTubeAdapter } from "./publishers/adapters/youtube.js";
+import { createSnapchatAdapter } from "./publishers/adapters/snapchat.js";
+import { createXAdapter } from "./publishers/adapters/x.js";
 
-const CHANNEL_ADAPTER_KEYS = {
-  META_FB_IG_LEAD: "instagram-reels",
-  TIKTOK_LEAD: "tiktok",
-  YOUTUBE_LEAD: "youtube-shorts",
-  SNAPCHAT_LEADS: "snapchat",
-  X_HIRING: "x-video"
+/**
+ * @typedef {Object} RemoteState
+ * @property {string} [externalId] - Channel id of the upload (returned by upload)
+ * @property {"processing"|"published"|"failed"} remoteStatus
+ * @property {string|null} [permalink]
+ * @property {string|Object|null} [error]
+ * @property {Object} [remote] - Channel-specific ids kept on the task for later polls
+ *
+ * @typedef {Object} ChannelAdapter
+ * @property {string} key
+ * @property {(params: {payload: Object, video: Object, thumbnail: Object|null, credential: Object}) => Promise<RemoteState>} upload
+ * @property {(params: {externalId: string, remote: Object, payload: Object, credential: Object}) => Promise<RemoteState>} pollStatus
+ * @property {(params: {credential: Object}) => Promise<Object|null>} refreshCredential - New token fields, or null when the credential cannot be refreshed
+ */
+
+// OAuth app per channel. A channel without one has no connected accounts
+// to publish through and is prepared for manual upload instead.
+const CHANNEL_ADAPTERS = {
+  META_FB_IG_LEAD: { clientId: "META_APP_ID", clientSecret: "META_APP_SECRET", create: createInstagramAdapter },
+  TIKTOK_LEAD: { clientId: "TIKTOK_CLIENT_KEY", clientSecret: "TIKTOK_CLIENT_SECRET", create: createTikTokAdapter },
+  YOUTUBE_LEAD: { clientId: "YOUTUBE_CLIENT_ID", clientSecret: "YOUTUBE_CLIENT_SECRET", create: createYouTubeAdapter },
+  SNAPCHAT_LEADS: {
+    clientId: "SNAPCHAT_CLIENT_ID",
+    clientSecret: "SNAPCHAT_CLIENT_SECRET",
+    create: createSnapchatAdapter
+  },
+  X_HIRING: { clientId: "X_CLIENT_ID", clientSecret: "X_CLIENT_SECRET", create: createXAdapter }
 };
 
-function buildAdapter(key) {
+const GENERIC_ADAPTER_KEY = "video-generic";
+
+// Refresh tokens this close to expiry before calling the channel.
+const CREDENTIAL_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+export function resolvePublisherApps(env = process.env) {
+  return Object.fromEntries(
+    Object.entries(CHANNEL_ADAPTERS)
+      .map(([channelId, names]) => [
+        channelId,
+        { clientId: env[names.clientId] ?? null, clientSecret: env[names.clientSecret] ?? null }
+      ])
+      .filter(([, app]) => Boolean(app.clientId && app.clientSecret))
+  );
+}
+
+function hasRenderableFile(renderTask) {
+  return Boolean(
+    renderTask?.mode === "file" &&
+      renderTask?.status === "completed" &&
+      renderTask?.result?.videoUrl
+  );
+}
+
+function expiresWithin(credential, marginMs) {
+  return Boolean(
+    credential.expiresAt && credential.expiresAt.getTime() <= Date.now() + marginMs
+  );
+}
+
+function adapterError(error) {
   return {
-    key,
-    async publish({ manifest, renderTask, logger }) {
-      const hasRenderableFile =
-        renderTask?.mode === "file" &&
-        renderTask?.status === "completed" &&
-        renderTask?.result?.videoUrl;
-
-      const payload = {
-        manifestId: manifest.manifestId,
-        channelId: manifest.channelId,
-        placement: manifest.placementName,
-        caption: manifest.caption?.text,
-        videoUrl: hasRenderableFile ? renderTask.result.videoUrl : null,
-        posterUrl: hasRenderableFile ? renderTask.result.posterUrl : null,
-        utm: manifest.tracking,
-        checklist: manifest.compliance?.qaChecklist ?? []
-      };
-
-      logger.info({ adapter: key, manifestId: manifest.manifestId }, "Video publish payload prepared");
-
-      if (!hasRenderableFile) {
-        return {
-          status: "ready",
-          requestPayload: payload,
-          response: {
-            message: "No rendered file attached; flagged for manual upload"
-          }
-        };
-      }
+    reason: error instanceof VideoPublisherError ? error.reason : "adapter_failed",
+    message: error?.message ?? "Adapter failed"
+  };
+}
 
-      return {
-        status: "published",
-        requestPayload: payload,
-        response: {
-          externalId: `${key}-${manifest.manifestId}`,
-          publishedAt: new Date().toISOString()
-        }
-      };
-    }
+// Map the channel's remote status onto a publish task.
+function buildRemoteTask(buildTask, result) {
+  const response = {
+    externalId: result.externalId,
+    remoteStatus: result.remoteStatus,
+    permalink: result.permalink ?? null,
+    ...(result.remote ? { remote: result.remote } : {})
   };
+  if (result.remoteStatus === "published") {
+    return buildTask({
+      status: "published",
+      response: { ...response, publishedAt: new Date().toISOString() }
+    });
+  }
+  if (result.remoteStatus === "failed") {
+    return buildTask({
+      status: "failed",
+      response,
+      error: {
+        reason: "channel_rejected",
+        message: typeof result.error === "string" ? result.error : result.error?.message ?? null
+      }
+    });
+  }
+  return buildTask({ status: "publishing", response, completed: false });
 }
 
-const ADAPTERS = new Map(
-  Object.entries(CHANNEL_ADAPTER_KEYS).map(([channelId, key]) => [channelId, buildAdapter(key)])
-);
+/**
+ * Publishes rendered videos through each channel's own upload API with the
+ * company's connected account. publish() only uploads and returns the task
+ * "publishing"; the channel processes the video afterwards and refresh()
+ * (run by the background publish poller) checks on it once per call.
+ *
+ * @param {Object} params
+ * @param {Object} params.logger - Logger instance
+ * @param {Object} [params.firestore] - Firestore instance (company credentials)
+ * @param {Object} [params.apps] - channelId -> { clientId, clientSecret } OAuth app
+ * @param {Function} [params.fetchImpl] - fetch implementation
+ * @param {Function} [params.loadMedia] - url -> { bytes, contentType } of a rendered asset
+ */
+export function createPublisherRegistry({
+  logger,
+  firestore = null,
+  apps = resolvePublisherApps(),
+  fetchImpl = fetch,
+  loadMedia = loadRenderedMedia
+}) {
+  /** @type {Map<string, ChannelAdapter>} */
+  const adapters = new Map(
+    Object.entries(apps)
+      .filter(([channelId]) => CHANNEL_ADAPTERS[channelId])
+      .map(([channelId, app]) => [
+        channelId,
+        CHANNEL_ADAPTERS[channelId].create({ app, fetchImpl, logger })
+      ])
+  );
 
-const DEFAULT_ADAPTER = buildAdapter("video-generic");
+  async function refreshCredential(adapter, credential) {
+    const refreshed = await adapter.refreshCredential({ credential });
+    if (!refreshed) {
+      return null;
+    }
+    const saved = firestore
+      ? await savePublisherCredential(firestore, {
+          ...credential,
+          ...refreshed,
+          updatedAt: new Date()
+        })
+      : { ...credential, ...refreshed };
+    logger.info(
+      { channelId: credential.channelId, companyId: credential.companyId },
+      "video.publish.credential_refreshed"
+    );
+    return saved;
+  }
+
+  /**
+   * Run a channel call with a live token: refresh first when the token is
+   * about to expire, and once more if the channel rejects it.
+   */
+  async function withCredential(adapter, credential, call) {
+    let current = credential;
+    if (expiresWithin(current, CREDENTIAL_REFRESH_MARGIN_MS)) {
+      const refreshed = await refreshCredential(adapter, current).catch((error) => {
+        logger.warn(
+          { err: error, channelId: current.channelId, companyId: current.companyId },
+          "video.publish.credential_refresh_failed"
+        );
+        return null;
+      });
+      if (refreshed) {
+        current = refreshed;
+      } else if (expiresWithin(current, 0)) {
+        throw new VideoPublisherError("Channel access token expired; reconnect the account", {
+          reason: "credentials_expired"
+        });
+      }
+    }
+    try {
+      return await call(current);
+    } catch (error) {
+      if (error?.reason !== "credentials_rejected") {
+        throw error;
+      }
+      const refreshed = await refreshCredential(adapter, current).catch(() => null);
+      if (!refreshed) {
+        throw error;
+      }
+      return call(refreshed);
+    }
+  }
+
+  async function loadUploadMedia(payload) {
+    let video;
+    try {
+      video = await loadMedia(payload.videoUrl);
+    } catch (error) {
+      throw new VideoPublisherError(`Rendered video could not be read: ${error.message}`, {
+        reason: "media_unavailable"
+      });
+    }
+    let thumbnail = null;
+    if (payload.thumbnailUrl) {
+      thumbnail = await loadMedia(payload.thumbnailUrl).catch((error) => {
+        logger.warn({ err: error, thumbnailUrl: payload.thumbnailUrl }, "video.publish.thumbnail_unavailable");
+        return null;
+      });
+    }
+    return { video, thumbnail };
+  }
 
-export function createPublisherRegistry({ logger }) {
-  async function publish({ manifest, renderTask }) {
+  async function publish({ manifest, renderTask, companyId = null }) {
     const taskId = uuid();
     const requestedAt = new Date().toISOString();
-    const adapter = ADAPTERS.get(manifest.channelId) ?? DEFAULT_ADAPTER;
+    const channelId = manifest.channelId;
+    const { rules, payload, issues } = buildChannelPayload({ manifest, renderTask });
+    const adapterKey = rules?.adapterKey ?? GENERIC_ADAPTER_KEY;
 
-    try {
-      const result = await adapter.publish({ manifest, renderTask, logger });
-      const payload = {
+    const buildTask = ({ status, response = null, error = null, completed = true }) =>
+      VideoPublishTaskSchema.parse({
         id: taskId,
-        channelId: manifest.channelId,
-        adapter: adapter.key,
-        status: result.status === "published" ? "published" : "ready",
-        payload: result.requestPayload ?? {},
-        response: result.response ?? null,
+        channelId,
+        adapter: adapterKey,
+        status,
+        payload,
+        response,
+        error,
         requestedAt,
-        completedAt: new Date().toISOString()
-      };
-      return VideoPublishTaskSchema.parse(payload);
-    } catch (error) {
-      logger.error({ err: error }, "Video publish adapter failed");
-      return VideoPublishTaskSchema.parse({
-        id: taskId,
-        channelId: manifest.channelId,
-        adapter: adapter.key,
+        completedAt: completed ? new Date().toISOString() : null
+      });
+
+    logger.info({ adapter: adapterKey, manifestId: manifest.manifestId }, "Video publish payload prepared");
+
+    if (!hasRenderableFile(renderTask)) {
+      return buildTask({
+        status: "ready",
+        response: { message: "No rendered file attached; flagged for manual upload" }
+      });
+    }
+
+    if (issues.length > 0) {
+      logger.warn({ adapter: adapterKey, issues }, "video.publish.validation_failed");
+      return buildTask({
         status: "failed",
-        payload: {},
-        requestedAt,
-        completedAt: new Date().toISOString(),
+        response: { issues },
         error: {
-          reason: "adapter_failed",
-          message: error?.message ?? "Adapter failed"
+          reason: "validation_failed",
+          message: issues.map((issue) => issue.message).join("; ")
         }
       });
     }
+
+    const adapter = adapters.get(channelId);
+    if (!adapter) {
+      return buildTask({
+        status: "ready",
+        response: { message: "No publishing app configured for this channel; flagged for manual upload" }
+      });
+    }
+
+    const credential = firestore
+      ? await loadPublisherCredential(firestore, companyId, channelId)
+      : null;
+    if (!credential) {
+      return buildTask({
+        status: "ready",
+        response: {
+          message: "No connected account for this channel; flagged for manual upload"
+        }
+      });
+    }
+
+    try {
+      const { video, thumbnail } = await loadUploadMedia(payload);
+      const result = await withCredential(adapter, credential, (current) =>
+        adapter.upload({ payload, video, thumbnail, credential: current })
+      );
+      logger.info(
+        { adapter: adapterKey, externalId: result.externalId, remoteStatus: result.remoteStatus },
+        "video.publish.uploaded"
+      );
+      return buildRemoteTask(buildTask, result);
+    } catch (error) {
+      logger.error({ err: error, adapter: adapterKey }, "Video publish adapter failed");
+      return buildTask({ status: "failed", error: adapterError(error) });
+    }
+  }
+
+  /**
+   * Check once on a task that was left "publishing". Returns the task
+   * unchanged when it cannot be checked (no adapter or account any more).
+   */
+  async function refresh({ publishTask, companyId = null }) {
+    const adapter = adapters.get(publishTask.channelId);
+    const externalId = publishTask.response?.externalId;
+    if (publishTask.status !== "publishing" || !adapter || !externalId) {
+      return publishTask;
+    }
+    const previousRemote = publishTask.response?.remote ?? {};
+    const buildTask = ({ status, response = null, error = null, completed = true }) =>
+      VideoPublishTaskSchema.parse({
+        ...publishTask,
+        status,
+        response,
+        error,
+        completedAt: completed ? new Date().toISOString() : null
+      });
+
+    const credential = firestore
+      ? await loadPublisherCredential(firestore, companyId, publishTask.channelId)
+      : null;
+    if (!credential) {
+      return publishTask;
+    }
+    try {
+      const state = await withCredential(adapter, credential, (current) =>
+        adapter.pollStatus({
+          externalId,
+          remote: previousRemote,
+          payload: publishTask.payload,
+          credential: current
+        })
+      );
+      const remote = { ...previousRemote, ...(state.remote ?? {}) };
+      return buildRemoteTask(buildTask, {
+        ...state,
+        externalId,
+        ...(Object.keys(remote).length > 0 ? { remote } : {})
+      });
+    } catch (error) {
+      logger.error({ err: error, adapter: publishTask.adapter }, "Video publish status poll failed");
+      return buildTask({ status: "failed", response: publishTask.response, error: adapterError(error) });
+    }
   }
 
   return {
-    publish
+    publish,
+    refresh
   };
 }
@@ -0,0 +1,126 @@
+/**
+ * Instagram Reels through the Graph API (Instagram API with Facebook Login).
+ * `credential.accountId` is the Instagram professional account id.
+ *
+ *   POST /{ig-user-id}/media                media_type=REELS, upload_type=resumable -> container id
+ *   POST rupload.facebook.com/ig-api-upload/{version}/{container-id}   video bytes
+ *   GET  /{container-id}?fields=status_code IN_PROGRESS | FINISHED | ERROR | EXPIRED | PUBLISHED
+ *   POST /{ig-user-id}/media_publish        creation_id -> media id, once FINISHED
+ *   GET  /oauth/access_token                fb_exchange_token grant
+ *
+ * Facebook Login issues no refresh token: a long-lived user token is
+ * re-exchanged for a fresh 60-day one before it expires.
+ */
+import { createChannelHttp, credentialFromTokenResponse, VideoPublisherError } from "../channel-http.js";
+
+export const GRAPH_API_VERSION = "v21.0";
+export const GRAPH_API_BASE_URL = "https://graph.facebook.com";
+export const GRAPH_UPLOAD_BASE_URL = "https://rupload.facebook.com";
+
+const FAILED_CONTAINER_STATUSES = new Set(["ERROR", "EXPIRED"]);
+
+const isAbsoluteUrl = (value) => typeof value === "string" && /^https?:\/\//.test(value);
+
+/**
+ * @param {Object} params
+ * @param {{clientId: string, clientSecret: string}} params.app - Meta app id/secret
+ * @param {Function} [params.fetchImpl]
+ * @param {string} [params.baseUrl]
+ * @param {string} [params.uploadBaseUrl]
+ */
+export function createInstagramAdapter({
+  app,
+  fetchImpl = fetch,
+  baseUrl = GRAPH_API_BASE_URL,
+  uploadBaseUrl = GRAPH_UPLOAD_BASE_URL
+}) {
+  const request = createChannelHttp({ label: "Instagram", fetchImpl });
+  const root = `${baseUrl.replace(/\/+$/, "")}/${GRAPH_API_VERSION}`;
+  const uploadRoot = `${uploadBaseUrl.replace(/\/+$/, "")}/ig-api-upload/${GRAPH_API_VERSION}`;
+
+  function requireAccount(credential) {
+    if (!credential.accountId) {
+      throw new VideoPublisherError("Instagram account id missing; reconnect the account", {
+        reason: "credentials_rejected"
+      });
+    }
+    return credential.accountId;
+  }
+
+  async function upload({ payload, video, credential }) {
+    const accountId = requireAccount(credential);
+    const { data } = await request(`${root}/${accountId}/media`, {
+      method: "POST",
+      token: credential.accessToken,
+      form: {
+        media_type: "REELS",
+        upload_type: "resumable",
+        caption: payload.caption,
+        // Graph fetches the cover itself, so only a public URL can be passed.
+        ...(isAbsoluteUrl(payload.thumbnailUrl) ? { cover_url: payload.thumbnailUrl } : {})
+      }
+    });
+    const containerId = data?.id;
+    if (!containerId) {
+      throw new VideoPublisherError("Instagram did not return a media container", { reason: "upload_failed" });
+    }
+    await request(`${uploadRoot}/${containerId}`, {
+      method: "POST",
+      headers: {
+        Authorization: `OAuth ${credential.accessToken}`,
+        offset: "0",
+        file_size: String(video.bytes.length),
+        "Content-Type": "application/octet-stream"
+      },
+      body: video.bytes
+    });
+    return { externalId: containerId, remoteStatus: "processing" };
+  }
+
+  async function publishContainer({ containerId, credential }) {
+    const accountId = requireAccount(credential);
+    const { data } = await request(`${root}/${accountId}/media_publish`, {
+      method: "POST",
+      token: credential.accessToken,
+      form: { creation_id: containerId }
+    });
+    const mediaId = data?.id ?? null;
+    let permalink = null;
+    if (mediaId) {
+      const media = await request(`${root}/${mediaId}?fields=permalink`, { token: credential.accessToken });
+      permalink = media.data?.permalink ?? null;
+    }
+    return { remoteStatus: "published", permalink, remote: { mediaId } };
+  }
+
+  async function pollStatus({ externalId, credential }) {
+    const { data } = await request(`${root}/${externalId}?fields=status_code,status`, {
+      token: credential.accessToken
+    });
+    const statusCode = data?.status_code;
+    if (statusCode === "FINISHED") {
+      return publishContainer({ containerId: externalId, credential });
+    }
+    // Published by an earlier poll whose result was not saved.
+    if (statusCode === "PUBLISHED") {
+      return { remoteStatus: "published" };
+    }
+    if (FAILED_CONTAINER_STATUSES.has(statusCode)) {
+      return { remoteStatus: "failed", error: data?.status ?? `Instagram container ${statusCode}` };
+    }
+    return { remoteStatus: "processing" };
+  }
+
+  async function refreshCredential({ credential }) {
+    const query = new URLSearchParams({
+      grant_type: "fb_exchange_token",
+      client_id: app.clientId,
+      client_secret: app.clientSecret,
+      fb_exchange_token: credential.accessToken
+    });
+    const { data } = await request(`${root}/oauth/access_token?${query}`);
+    return credentialFromTokenResponse(data, credential);
+  }
+
+  return { key: "instagram-reels", upload, pollStatus, refreshCredential };
+}
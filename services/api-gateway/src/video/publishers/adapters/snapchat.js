@@ -0,0 +1,126 @@
+/**
+ * Snapchat Marketing API. `credential.accountId` is the ad account id; the
+ * video becomes a Snap Ad creative the company attaches to its ad squads.
+ *
+ *   POST /v1/adaccounts/{ad_account_id}/media      VIDEO media entity -> media id
+ *   POST /v1/media/{media_id}/upload               multipart `file`
+ *   GET  /v1/media/{media_id}                      media_status: PENDING_UPLOAD | READY
+ *   POST /v1/adaccounts/{ad_account_id}/creatives  SNAP_AD with top_snap_media_id, once READY
+ *   POST accounts.snapchat.com/login/oauth2/access_token  refresh_token grant
+ */
+import { createChannelHttp, credentialFromTokenResponse, VideoPublisherError } from "../channel-http.js";
+
+export const SNAPCHAT_API_BASE_URL = "https://adsapi.snapchat.com";
+export const SNAPCHAT_OAUTH_BASE_URL = "https://accounts.snapchat.com";
+
+// Larger files need the chunked multipart-upload-v2 flow.
+const MAX_SIMPLE_UPLOAD_BYTES = 32 * 1024 * 1024;
+const HEADLINE_MAX_LENGTH = 34;
+const BRAND_NAME_MAX_LENGTH = 25;
+
+/**
+ * @param {Object} params
+ * @param {{clientId: string, clientSecret: string}} params.app - Snap Kit OAuth client
+ * @param {Function} [params.fetchImpl]
+ * @param {string} [params.baseUrl]
+ * @param {string} [params.oauthBaseUrl]
+ */
+export function createSnapchatAdapter({
+  app,
+  fetchImpl = fetch,
+  baseUrl = SNAPCHAT_API_BASE_URL,
+  oauthBaseUrl = SNAPCHAT_OAUTH_BASE_URL
+}) {
+  const request = createChannelHttp({ label: "Snapchat", fetchImpl });
+  const root = `${baseUrl.replace(/\/+$/, "")}/v1`;
+  const oauthRoot = oauthBaseUrl.replace(/\/+$/, "");
+
+  function requireAdAccount(credential) {
+    if (!credential.accountId) {
+      throw new VideoPublisherError("Snapchat ad account id missing; reconnect the account", {
+        reason: "credentials_rejected"
+      });
+    }
+    return credential.accountId;
+  }
+
+  async function upload({ payload, video, credential }) {
+    const adAccountId = requireAdAccount(credential);
+    if (video.bytes.length > MAX_SIMPLE_UPLOAD_BYTES) {
+      throw new VideoPublisherError("Snapchat uploads are limited to 32MB", { reason: "upload_rejected" });
+    }
+    const { data } = await request(`${root}/adaccounts/${adAccountId}/media`, {
+      method: "POST",
+      token: credential.accessToken,
+      json: {
+        media: [{ name: payload.manifestId, type: "VIDEO", ad_account_id: adAccountId }]
+      }
+    });
+    const mediaId = data?.media?.[0]?.media?.id;
+    if (!mediaId) {
+      throw new VideoPublisherError("Snapchat did not return a media id", { reason: "upload_failed" });
+    }
+    const form = new FormData();
+    form.append("file", new Blob([video.bytes], { type: video.contentType }), `${payload.manifestId}.mp4`);
+    await request(`${root}/media/${mediaId}/upload`, {
+      method: "POST",
+      token: credential.accessToken,
+      body: form
+    });
+    return { externalId: mediaId, remoteStatus: "processing" };
+  }
+
+  async function createCreative({ mediaId, payload, credential }) {
+    const adAccountId = requireAdAccount(credential);
+    const { data } = await request(`${root}/adaccounts/${adAccountId}/creatives`, {
+      method: "POST",
+      token: credential.accessToken,
+      json: {
+        creatives: [
+          {
+            ad_account_id: adAccountId,
+            top_snap_media_id: mediaId,
+            name: payload.manifestId,
+            type: "SNAP_AD",
+            brand_name: (payload.brandName ?? payload.placement ?? "").slice(0, BRAND_NAME_MAX_LENGTH),
+            headline: (payload.title ?? payload.caption).slice(0, HEADLINE_MAX_LENGTH),
+            shareable: true
+          }
+        ]
+      }
+    });
+    const creative = data?.creatives?.[0];
+    if (creative?.sub_request_status && creative.sub_request_status !== "SUCCESS") {
+      return {
+        remoteStatus: "failed",
+        error: creative.sub_request_error_reason ?? "Snapchat rejected the creative"
+      };
+    }
+    return { remoteStatus: "published", remote: { creativeId: creative?.creative?.id ?? null } };
+  }
+
+  async function pollStatus({ externalId, payload, credential }) {
+    const { data } = await request(`${root}/media/${externalId}`, { token: credential.accessToken });
+    const media = data?.media?.[0]?.media;
+    if (media?.media_status === "READY") {
+      return createCreative({ mediaId: externalId, payload, credential });
+    }
+    return { remoteStatus: "processing" };
+  }
+
+  async function refreshCredential({ credential }) {
+    if (!credential.refreshToken) return null;
+    const { data } = await request(`${oauthRoot}/login/oauth2/access_token`, {
+      method: "POST",
+      form: {
+        client_id: app.clientId,
+        client_secret: app.clientSecret,
+        grant_type: "refresh_token",
+        refresh_token: credential.refreshToken
+      }
+    });
+    return credentialFromTokenResponse(data, credential);
+  }
+
+  return { key: "snapchat", upload, pollStatus, refreshCredential };
+}
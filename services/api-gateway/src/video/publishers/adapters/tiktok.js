@@ -0,0 +1,134 @@
+/**
+ * TikTok Content Posting API (direct post).
+ *
+ *   POST /v2/post/publish/creator_info/query/  privacy levels the creator allows
+ *   POST /v2/post/publish/video/init/          FILE_UPLOAD -> publish_id, upload_url
+ *   PUT  upload_url                            video bytes, one Content-Range per chunk
+ *   POST /v2/post/publish/status/fetch/        PROCESSING_* | PUBLISH_COMPLETE | FAILED
+ *   POST /v2/oauth/token/                      refresh_token grant
+ */
+import { createChannelHttp, credentialFromTokenResponse, VideoPublisherError } from "../channel-http.js";
+
+export const TIKTOK_API_BASE_URL = "https://open.tiktokapis.com";
+
+// TikTok accepts 5-64MB chunks; the last chunk absorbs the remainder (up
+// to 128MB) and a video under 64MB goes up as a single chunk.
+const MAX_SINGLE_CHUNK_BYTES = 64 * 1024 * 1024;
+const CHUNK_BYTES = 10 * 1024 * 1024;
+const TITLE_MAX_LENGTH = 2200;
+const PREFERRED_PRIVACY_LEVEL = "PUBLIC_TO_EVERYONE";
+
+function planChunks(size) {
+  if (size <= MAX_SINGLE_CHUNK_BYTES) {
+    return { chunkSize: size, count: 1 };
+  }
+  return { chunkSize: CHUNK_BYTES, count: Math.floor(size / CHUNK_BYTES) };
+}
+
+/**
+ * @param {Object} params
+ * @param {{clientId: string, clientSecret: string}} params.app - TikTok client key/secret
+ * @param {Function} [params.fetchImpl]
+ * @param {string} [params.baseUrl]
+ */
+export function createTikTokAdapter({ app, fetchImpl = fetch, baseUrl = TIKTOK_API_BASE_URL }) {
+  const request = createChannelHttp({ label: "TikTok", fetchImpl });
+  const root = baseUrl.replace(/\/+$/, "");
+
+  async function resolvePrivacyLevel(credential) {
+    const { data } = await request(`${root}/v2/post/publish/creator_info/query/`, {
+      method: "POST",
+      token: credential.accessToken,
+      json: {}
+    });
+    const options = data?.data?.privacy_level_options ?? [];
+    if (options.includes(PREFERRED_PRIVACY_LEVEL)) return PREFERRED_PRIVACY_LEVEL;
+    if (options.length === 0) {
+      throw new VideoPublisherError("TikTok account allows no privacy level for posts", {
+        reason: "upload_rejected"
+      });
+    }
+    return options[0];
+  }
+
+  async function upload({ payload, video, credential }) {
+    const privacyLevel = await resolvePrivacyLevel(credential);
+    const size = video.bytes.length;
+    const { chunkSize, count } = planChunks(size);
+    const { data } = await request(`${root}/v2/post/publish/video/init/`, {
+      method: "POST",
+      token: credential.accessToken,
+      json: {
+        post_info: {
+          title: payload.caption.slice(0, TITLE_MAX_LENGTH),
+          privacy_level: privacyLevel
+        },
+        source_info: {
+          source: "FILE_UPLOAD",
+          video_size: size,
+          chunk_size: chunkSize,
+          total_chunk_count: count
+        }
+      }
+    });
+    const publishId = data?.data?.publish_id;
+    const uploadUrl = data?.data?.upload_url;
+    if (!publishId || !uploadUrl) {
+      throw new VideoPublisherError("TikTok did not return an upload URL", { reason: "upload_failed" });
+    }
+
+    for (let index = 0; index < count; index += 1) {
+      const start = index * chunkSize;
+      const end = index === count - 1 ? size : start + chunkSize;
+      await request(uploadUrl, {
+        method: "PUT",
+        headers: {
+          "Content-Type": video.contentType,
+          "Content-Range": `bytes ${start}-${end - 1}/${size}`
+        },
+        body: video.bytes.subarray(start, end)
+      });
+    }
+    return { externalId: publishId, remoteStatus: "processing" };
+  }
+
+  async function pollStatus({ externalId, credential }) {
+    const { data } = await request(`${root}/v2/post/publish/status/fetch/`, {
+      method: "POST",
+      token: credential.accessToken,
+      json: { publish_id: externalId }
+    });
+    const state = data?.data ?? {};
+    if (state.status === "PUBLISH_COMPLETE") {
+      const postId = state.publicaly_available_post_id?.[0] ?? null;
+      return {
+        remoteStatus: "published",
+        permalink:
+          postId && credential.accountId
+            ? `https://www.tiktok.com/@${credential.accountId}/video/${postId}`
+            : null,
+        remote: { postId }
+      };
+    }
+    if (state.status === "FAILED") {
+      return { remoteStatus: "failed", error: state.fail_reason ?? "TikTok rejected the video" };
+    }
+    return { remoteStatus: "processing" };
+  }
+
+  async function refreshCredential({ credential }) {
+    if (!credential.refreshToken) return null;
+    const { data } = await request(`${root}/v2/oauth/token/`, {
+      method: "POST",
+      form: {
+        client_key: app.clientId,
+        client_secret: app.clientSecret,
+        grant_type: "refresh_token",
+        refresh_token: credential.refreshToken
+      }
+    });
+    return credentialFromTokenResponse(data, credential);
+  }
+
+  return { key: "tiktok", upload, pollStatus, refreshCredential };
+}
@@ -0,0 +1,101 @@
+/**
+ * X API v2: chunked media upload, then a post carrying the video.
+ *
+ *   POST /2/media/upload/initialize          media_type, total_bytes -> media id
+ *   POST /2/media/upload/{id}/append         multipart `media` + segment_index, per segment
+ *   POST /2/media/upload/{id}/finalize       -> processing_info
+ *   GET  /2/media/upload?command=STATUS      processing_info.state: pending | in_progress | succeeded | failed
+ *   POST /2/tweets                           text + media_ids, once succeeded
+ *   POST /2/oauth2/token                     refresh_token grant (confidential client, Basic auth)
+ */
+import { createChannelHttp, credentialFromTokenResponse, VideoPublisherError } from "../channel-http.js";
+
+export const X_API_BASE_URL = "https://api.x.com";
+
+const SEGMENT_BYTES = 4 * 1024 * 1024;
+
+/**
+ * @param {Object} params
+ * @param {{clientId: string, clientSecret: string}} params.app - X OAuth 2.0 client
+ * @param {Function} [params.fetchImpl]
+ * @param {string} [params.baseUrl]
+ */
+export function createXAdapter({ app, fetchImpl = fetch, baseUrl = X_API_BASE_URL }) {
+  const request = createChannelHttp({ label: "X", fetchImpl });
+  const root = `${baseUrl.replace(/\/+$/, "")}/2`;
+
+  async function upload({ video, credential }) {
+    const { data } = await request(`${root}/media/upload/initialize`, {
+      method: "POST",
+      token: credential.accessToken,
+      json: {
+        media_type: video.contentType,
+        total_bytes: video.bytes.length,
+        media_category: "tweet_video"
+      }
+    });
+    const mediaId = data?.data?.id;
+    if (!mediaId) {
+      throw new VideoPublisherError("X did not return a media id", { reason: "upload_failed" });
+    }
+    for (let offset = 0, index = 0; offset < video.bytes.length; offset += SEGMENT_BYTES, index += 1) {
+      const form = new FormData();
+      form.append("segment_index", String(index));
+      form.append(
+        "media",
+        new Blob([video.bytes.subarray(offset, offset + SEGMENT_BYTES)], { type: video.contentType })
+      );
+      await request(`${root}/media/upload/${mediaId}/append`, {
+        method: "POST",
+        token: credential.accessToken,
+        body: form
+      });
+    }
+    await request(`${root}/media/upload/${mediaId}/finalize`, {
+      method: "POST",
+      token: credential.accessToken
+    });
+    return { externalId: mediaId, remoteStatus: "processing" };
+  }
+
+  async function postVideo({ mediaId, payload, credential }) {
+    const { data } = await request(`${root}/tweets`, {
+      method: "POST",
+      token: credential.accessToken,
+      json: { text: payload.caption, media: { media_ids: [mediaId] } }
+    });
+    const postId = data?.data?.id ?? null;
+    return {
+      remoteStatus: "published",
+      permalink: postId ? `https://x.com/i/web/status/${postId}` : null,
+      remote: { postId }
+    };
+  }
+
+  async function pollStatus({ externalId, payload, credential }) {
+    const query = new URLSearchParams({ command: "STATUS", media_id: externalId });
+    const { data } = await request(`${root}/media/upload?${query}`, { token: credential.accessToken });
+    const processing = data?.data?.processing_info;
+    // Media without processing_info needs no processing.
+    if (!processing || processing.state === "succeeded") {
+      return postVideo({ mediaId: externalId, payload, credential });
+    }
+    if (processing.state === "failed") {
+      return { remoteStatus: "failed", error: processing.error?.message ?? "X could not process the video" };
+    }
+    return { remoteStatus: "processing" };
+  }
+
+  async function refreshCredential({ credential }) {
+    if (!credential.refreshToken) return null;
+    const basic = Buffer.from(`${app.clientId}:${app.clientSecret}`).toString("base64");
+    const { data } = await request(`${root}/oauth2/token`, {
+      method: "POST",
+      headers: { Authorization: `Basic ${basic}` },
+      form: { grant_type: "refresh_token", refresh_token: credential.refreshToken }
+    });
+    return credentialFromTokenResponse(data, credential);
+  }
+
+  return { key: "x-video", upload, pollStatus, refreshCredential };
+}
@@ -0,0 +1,134 @@
+/**
+ * YouTube Data API v3 (Shorts are regular uploads under 60s in 9:16).
+ *
+ *   POST upload/youtube/v3/videos?uploadType=resumable  metadata -> session URI (Location)
+ *   PUT  session URI                                    video bytes -> video resource
+ *   POST upload/youtube/v3/thumbnails/set?videoId=      cover image bytes
+ *   GET  youtube/v3/videos?part=status&id=              uploadStatus: uploaded | processed | failed | rejected
+ *   POST oauth2.googleapis.com/token                    refresh_token grant
+ */
+import { createChannelHttp, credentialFromTokenResponse, VideoPublisherError } from "../channel-http.js";
+
+export const YOUTUBE_API_BASE_URL = "https://www.googleapis.com";
+export const GOOGLE_OAUTH_BASE_URL = "https://oauth2.googleapis.com";
+
+const TITLE_MAX_LENGTH = 100;
+// "People & Blogs"; jobs have no dedicated category.
+const DEFAULT_CATEGORY_ID = "22";
+const FAILED_UPLOAD_STATUSES = new Set(["failed", "rejected", "deleted"]);
+
+/**
+ * @param {Object} params
+ * @param {{clientId: string, clientSecret: string}} params.app - Google OAuth client
+ * @param {Function} [params.fetchImpl]
+ * @param {string} [params.baseUrl]
+ * @param {string} [params.oauthBaseUrl]
+ * @param {Object} [params.logger]
+ */
+export function createYouTubeAdapter({
+  app,
+  fetchImpl = fetch,
+  baseUrl = YOUTUBE_API_BASE_URL,
+  oauthBaseUrl = GOOGLE_OAUTH_BASE_URL,
+  logger = null
+}) {
+  const request = createChannelHttp({ label: "YouTube", fetchImpl });
+  const root = baseUrl.replace(/\/+$/, "");
+  const oauthRoot = oauthBaseUrl.replace(/\/+$/, "");
+
+  async function upload({ payload, video, thumbnail, credential }) {
+    const session = await request(
+      `${root}/upload/youtube/v3/videos?uploadType=resumable&part=snippet,status`,
+      {
+        method: "POST",
+        token: credential.accessToken,
+        headers: {
+          "X-Upload-Content-Length": String(video.bytes.length),
+          "X-Upload-Content-Type": video.contentType
+        },
+        json: {
+          snippet: {
+            title: (payload.title ?? payload.placement ?? "Job opening").slice(0, TITLE_MAX_LENGTH),
+            description: payload.caption,
+            tags: payload.hashtags,
+            categoryId: DEFAULT_CATEGORY_ID
+          },
+          status: { privacyStatus: "public", selfDeclaredMadeForKids: false }
+        }
+      }
+    );
+    const sessionUrl = session.headers.get("location");
+    if (!sessionUrl) {
+      throw new VideoPublisherError("YouTube did not return an upload session", { reason: "upload_failed" });
+    }
+    const { data } = await request(sessionUrl, {
+      method: "PUT",
+      token: credential.accessToken,
+      headers: { "Content-Type": video.contentType },
+      body: video.bytes
+    });
+    if (!data?.id) {
+      throw new VideoPublisherError("YouTube did not return a video id", { reason: "upload_failed" });
+    }
+
+    // The video is live at this point; a cover the account may not set
+    // (unverified channels) should not fail the publish.
+    let thumbnailError = null;
+    if (thumbnail) {
+      try {
+        await request(`${root}/upload/youtube/v3/thumbnails/set?videoId=${encodeURIComponent(data.id)}`, {
+          method: "POST",
+          token: credential.accessToken,
+          headers: { "Content-Type": thumbnail.contentType },
+          body: thumbnail.bytes
+        });
+      } catch (error) {
+        thumbnailError = error.message;
+        logger?.warn?.({ err: error, videoId: data.id }, "video.publish.thumbnail_failed");
+      }
+    }
+    return {
+      externalId: data.id,
+      remoteStatus: "processing",
+      remote: thumbnailError ? { thumbnailError } : undefined
+    };
+  }
+
+  async function pollStatus({ externalId, credential }) {
+    const { data } = await request(
+      `${root}/youtube/v3/videos?part=status,processingDetails&id=${encodeURIComponent(externalId)}`,
+      { token: credential.accessToken }
+    );
+    const video = data?.items?.[0];
+    if (!video) {
+      return { remoteStatus: "failed", error: "Video no longer exists on YouTube" };
+    }
+    const uploadStatus = video.status?.uploadStatus;
+    if (uploadStatus === "processed") {
+      return { remoteStatus: "published", permalink: `https://www.youtube.com/shorts/${externalId}` };
+    }
+    if (FAILED_UPLOAD_STATUSES.has(uploadStatus)) {
+      return {
+        remoteStatus: "failed",
+        error: video.status?.rejectionReason ?? video.status?.failureReason ?? `YouTube upload ${uploadStatus}`
+      };
+    }
+    return { remoteStatus: "processing" };
+  }
+
+  async function refreshCredential({ credential }) {
+    if (!credential.refreshToken) return null;
+    const { data } = await request(`${oauthRoot}/token`, {
+      method: "POST",
+      form: {
+        client_id: app.clientId,
+        client_secret: app.clientSecret,
+        grant_type: "refresh_token",
+        refresh_token: credential.refreshToken
+      }
+    });
+    return credentialFromTokenResponse(data, credential);
+  }
+
+  return { key: "youtube-shorts", upload, pollStatus, refreshCredential };
+}
@@ -0,0 +1,115 @@
+/**
+ * HTTP plumbing shared by the channel publishing adapters.
+ *
+ * Every adapter talks to its channel's own API; this only normalises how a
+ * failed call surfaces: a VideoPublisherError whose `reason` ends up on the
+ * publish task (credentials_rejected triggers a token refresh and one retry).
+ */
+
+export class VideoPublisherError extends Error {
+  constructor(message, { reason = "adapter_failed", context = null } = {}) {
+    super(message);
+    this.name = "VideoPublisherError";
+    this.reason = reason;
+    this.context = context;
+  }
+}
+
+// Graph API reports invalid or expired tokens as OAuthException (code 190)
+// with a 400 rather than a 401.
+function reasonForFailure(status, data) {
+  if (status === 401 || status === 403 || data?.error?.code === 190) {
+    return "credentials_rejected";
+  }
+  if (status >= 400 && status < 500) return "upload_rejected";
+  return "upload_failed";
+}
+
+// Error bodies differ per channel: TikTok/Google/Graph `error.message`,
+// OAuth token endpoints `error_description`, Snapchat `display_message`,
+// X `detail` or `errors[]`.
+function errorMessage(data) {
+  if (!data || typeof data !== "object") return null;
+  return (
+    (typeof data.error === "object" ? data.error?.message : null) ??
+    data.error_description ??
+    data.display_message ??
+    data.debug_message ??
+    data.detail ??
+    data.errors?.[0]?.message ??
+    data.message ??
+    null
+  );
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.label - Channel name used in error messages
+ * @param {Function} params.fetchImpl - fetch implementation
+ * @returns {Function} request(url, options) -> { status, headers, data }
+ */
+export function createChannelHttp({ label, fetchImpl }) {
+  /**
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {string} [options.method]
+   * @param {string} [options.token] - Sent as a bearer token
+   * @param {Object} [options.headers]
+   * @param {Object} [options.json] - JSON body
+   * @param {Object} [options.form] - application/x-www-form-urlencoded body
+   * @param {Buffer|FormData} [options.body] - Raw body (file bytes, multipart)
+   */
+  return async function request(url, { method = "GET", token, headers = {}, json, form, body } = {}) {
+    const requestHeaders = { ...headers };
+    if (token) requestHeaders.Authorization = `Bearer ${token}`;
+    let requestBody = body;
+    if (json !== undefined) {
+      requestHeaders["Content-Type"] = "application/json; charset=UTF-8";
+      requestBody = JSON.stringify(json);
+    } else if (form !== undefined) {
+      requestHeaders["Content-Type"] = "application/x-www-form-urlencoded";
+      requestBody = new URLSearchParams(form).toString();
+    }
+
+    let response;
+    try {
+      response = await fetchImpl(url, { method, headers: requestHeaders, body: requestBody });
+    } catch (error) {
+      throw new VideoPublisherError(`${label} unreachable: ${error.message}`, {
+        reason: "upload_failed"
+      });
+    }
+    const text = await response.text().catch(() => "");
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = null;
+    }
+    if (!response.ok) {
+      throw new VideoPublisherError(
+        errorMessage(data) ?? `${label} responded with ${response.status}`,
+        { reason: reasonForFailure(response.status, data), context: { httpStatus: response.status } }
+      );
+    }
+    return { status: response.status, headers: response.headers, data };
+  };
+}
+
+/**
+ * Credential fields from an OAuth token response.
+ * @param {Object} data - Token endpoint response
+ * @param {Object} credential - Credential being refreshed
+ */
+export function credentialFromTokenResponse(data, credential) {
+  if (!data?.access_token) {
+    throw new VideoPublisherError("Token refresh returned no access token", {
+      reason: "credentials_expired"
+    });
+  }
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token ?? credential.refreshToken ?? null,
+    expiresAt: data.expires_in ? new Date(Date.now() + Number(data.expires_in) * 1000) : null
+  };
+}
@@ -0,0 +1,141 @@
+import { VIDEO_CHANNEL_SPEC_MAP } from "@wizard/core";
+
+/**
+ * Per-channel publishing rules.
+ *
+ * captionMaxLength counts the caption text plus the appended hashtags, which
+ * is how every channel measures it. requiresThumbnail means the upload is
+ * rejected without a cover image (Reels and Shorts); the others pick a frame.
+ */
+export const CHANNEL_PUBLISH_RULES = Object.freeze({
+  META_FB_IG_LEAD: {
+    adapterKey: "instagram-reels",
+    captionMaxLength: 2200,
+    maxHashtags: 30,
+    requiresThumbnail: true
+  },
+  TIKTOK_LEAD: {
+    adapterKey: "tiktok",
+    captionMaxLength: 2200,
+    maxHashtags: 8,
+    requiresThumbnail: false
+  },
+  YOUTUBE_LEAD: {
+    adapterKey: "youtube-shorts",
+    captionMaxLength: 5000,
+    maxHashtags: 15,
+    requiresThumbnail: true
+  },
+  SNAPCHAT_LEADS: {
+    adapterKey: "snapchat",
+    captionMaxLength: 160,
+    maxHashtags: 3,
+    requiresThumbnail: false
+  },
+  X_HIRING: {
+    adapterKey: "x-video",
+    captionMaxLength: 280,
+    maxHashtags: 2,
+    requiresThumbnail: false
+  }
+});
+
+const HASHTAG_PATTERN = /^[\p{L}\p{N}_]+$/u;
+
+function normaliseHashtag(tag) {
+  return String(tag ?? "").trim().replace(/^#+/, "");
+}
+
+function composeCaption(text, hashtags) {
+  const tags = hashtags.map((tag) => `#${tag}`).join(" ");
+  return [text.trim(), tags].filter(Boolean).join("\n\n");
+}
+
+function resolveRenderedAspectRatio(manifest) {
+  return (
+    manifest.generator?.renderPlan?.aspectRatio ??
+    manifest.generator?.providerOptions?.aspectRatio ??
+    manifest.spec?.aspectRatio ??
+    null
+  );
+}
+
+/**
+ * Build the upload payload for a channel and check it against the channel's
+ * rules. Issues are returned rather than thrown so the publish task can list
+ * every problem at once.
+ *
+ * @param {Object} params
+ * @param {Object} params.manifest - Active video manifest
+ * @param {Object|null} params.renderTask - Latest render task
+ * @returns {{ rules: Object|null, payload: Object, issues: Array<{code: string, message: string}> }}
+ */
+export function buildChannelPayload({ manifest, renderTask }) {
+  const channelId = manifest.channelId;
+  const rules = CHANNEL_PUBLISH_RULES[channelId] ?? null;
+  const channelSpec = VIDEO_CHANNEL_SPEC_MAP[channelId] ?? null;
+  const issues = [];
+
+  const hashtags = Array.from(
+    new Set((manifest.caption?.hashtags ?? []).map(normaliseHashtag).filter(Boolean))
+  );
+  const caption = composeCaption(manifest.caption?.text ?? "", hashtags);
+  const aspectRatio = resolveRenderedAspectRatio(manifest);
+  const result = renderTask?.result ?? {};
+
+  const payload = {
+    manifestId: manifest.manifestId,
+    channelId,
+    placement: manifest.placementName,
+    title: manifest.job?.title ?? null,
+    brandName: manifest.job?.company ?? null,
+    caption,
+    hashtags,
+    aspectRatio,
+    durationSeconds: renderTask?.metrics?.secondsGenerated ?? null,
+    videoUrl: result.videoUrl ?? null,
+    thumbnailUrl: result.posterUrl ?? null,
+    thumbnailText: manifest.thumbnail?.overlayText ?? null,
+    utm: manifest.tracking,
+    link: manifest.tracking?.shortLink ?? null,
+    checklist: manifest.compliance?.qaChecklist ?? []
+  };
+
+  if (!rules) {
+    return { rules, payload, issues };
+  }
+
+  if (caption.length > rules.captionMaxLength) {
+    issues.push({
+      code: "caption_too_long",
+      message: `Caption is ${caption.length} characters; ${channelId} allows ${rules.captionMaxLength}`
+    });
+  }
+  if (hashtags.length > rules.maxHashtags) {
+    issues.push({
+      code: "too_many_hashtags",
+      message: `${hashtags.length} hashtags; ${channelId} allows ${rules.maxHashtags}`
+    });
+  }
+  const invalidTags = hashtags.filter((tag) => !HASHTAG_PATTERN.test(tag));
+  if (invalidTags.length > 0) {
+    issues.push({
+      code: "invalid_hashtag",
+      message: `Hashtags may only contain letters, numbers and underscores: ${invalidTags.join(", ")}`
+    });
+  }
+  if (channelSpec && aspectRatio && aspectRatio !== channelSpec.aspectRatio) {
+    issues.push({
+      code: "aspect_ratio_mismatch",
+      message: `Rendered ${aspectRatio}; ${channelSpec.placementName} expects ${channelSpec.aspectRatio}`
+    });
+  }
+  if (rules.requiresThumbnail && !payload.thumbnailUrl) {
+    issues.push({
+      code: "thumbnail_missing",
+      message: `${channelSpec?.placementName ?? channelId} requires a cover image`
+    });
+  }
+
+  return { rules, payload, issues };
+}
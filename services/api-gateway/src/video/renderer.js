@@ -17,7 +17,7 @@ loadEnv();
  * @param {Object} manifest
  * @returns {number | undefined}
  */
-function calculateDuration(manifest) {
+export function calculateDuration(manifest) {
   // Prefer the new RenderPlan's finalPlannedSeconds
   const renderPlanDuration = manifest?.generator?.renderPlan?.finalPlannedSeconds;
   if (Number.isFinite(renderPlanDuration)) {
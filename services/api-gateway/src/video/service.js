@@ -6,11 +6,12 @@ import {
   CaptionSchema,
 } from "@wizard/core";
 import { buildVideoManifest } from "./manifest-builder.js";
+import { loadGoldenReferenceMedia } from "../services/golden-context.js";
 import { incrementMetric } from "./metrics.js";
 import { recordLlmUsage, recordLlmUsageFromResult } from "../services/llm-usage-ledger.js";
 import { LLM_SPECIAL_TASK } from "../config/task-types.js";
 import { VIDEO_RENDER_CONFIG, VIDEO_BEHAVIOR_CONFIG } from "../config/llm-config.js";
-import { createRenderer } from "./renderer.js";
+import { createRenderer, calculateDuration } from "./renderer.js";
 import { createPublisherRegistry } from "./publishers.js";
 
 const COLLECTION = "videoLibraryItems";
@@ -140,13 +141,18 @@ export function createVideoLibraryService({
   renderer,
   publisherRegistry,
   logger,
+  creditReservationId = null,
 }) {
+  // Usage inside a render is accrued onto the caller's credit reservation.
+  const withReservation = (usageContext) =>
+    creditReservationId ? { ...usageContext, creditReservationId } : usageContext;
+
   const usageTracker = ({ result, usageContext }) =>
     recordLlmUsageFromResult({
       firestore,
       bigQuery,
       logger,
-      usageContext,
+      usageContext: withReservation(usageContext),
       result,
     });
 
@@ -231,9 +237,11 @@ export function createVideoLibraryService({
     const itemId = uuid();
     const channelName = deriveChannelName(channelId);
     const company = await loadCompanyForJob(job);
+    const referenceMedia = await loadGoldenReferenceMedia({ firestore, job, logger });
     const manifest = await buildVideoManifest({
       job,
       company,
+      referenceMedia,
       channelId,
       channelName,
       recommendedMedium,
@@ -332,9 +340,11 @@ export function createVideoLibraryService({
       return null;
     }
     const company = await loadCompanyForJob(job);
+    const referenceMedia = await loadGoldenReferenceMedia({ firestore, job, logger });
     const manifest = await buildVideoManifest({
       job,
       company,
+      referenceMedia,
       channelId: existing.channelId,
       channelName: existing.channelName,
       recommendedMedium,
@@ -514,11 +524,11 @@ export function createVideoLibraryService({
           firestore,
           bigQuery,
           logger,
-          usageContext: {
+          usageContext: withReservation({
             userId: ownerUserId,
             jobId: existing.jobId,
             taskType: LLM_SPECIAL_TASK.VIDEO_GENERATION
-          },
+          }),
           provider,
           model: videoModel,
           metadata: {},
@@ -562,25 +572,17 @@ export function createVideoLibraryService({
     return updated;
   }
 
-  async function publishItem({ ownerUserId, itemId }) {
-    const existing = await getItem({ ownerUserId, itemId });
-    if (!existing) return null;
-    const publishTask = await publisherRegistry.publish({
-      manifest: existing.activeManifest,
-      renderTask: existing.renderTask,
-      logger,
-    });
+  // Record a publish task on its item; "published" also marks the item.
+  async function recordPublishTask(existing, publishTask, message) {
     const status =
       publishTask.status === "published"
         ? VideoLibraryStatusEnum.enum.published
         : existing.status;
-    const auditEntry = createAuditEntry(
-      "publish",
-      "Publish request processed",
-      {
-        status: publishTask.status,
-      }
-    );
+    const auditEntry = createAuditEntry("publish", message, {
+      status: publishTask.status,
+      adapter: publishTask.adapter,
+      reason: publishTask.error?.reason ?? null,
+    });
     const updated = await updateItem(
       existing,
       {
@@ -590,11 +592,67 @@ export function createVideoLibraryService({
       auditEntry
     );
     if (publishTask.status === "published") {
-      incrementMetric(logger, "video_publishes", 1, { ownerUserId });
+      incrementMetric(logger, "video_publishes", 1, {
+        ownerUserId: existing.ownerUserId,
+      });
     }
     return updated;
   }
 
+  const loadCompanyIdForItem = async (item) => {
+    // Channel credentials belong to the company that owns the job.
+    const job = await firestore.getDocument("jobs", item.jobId);
+    return job?.companyId ?? null;
+  };
+
+  async function publishItem({ ownerUserId, itemId }) {
+    const existing = await getItem({ ownerUserId, itemId });
+    if (!existing) return null;
+    // Already uploaded and processing on the channel; the publish poller
+    // records the outcome, so a repeat request must not upload again.
+    if (existing.publishTask?.status === "publishing") {
+      return existing;
+    }
+    const publishTask = await publisherRegistry.publish({
+      manifest: existing.activeManifest,
+      renderTask: existing.renderTask,
+      companyId: await loadCompanyIdForItem(existing),
+    });
+    return recordPublishTask(existing, publishTask, "Publish request processed");
+  }
+
+  /**
+   * Check every item still "publishing" on its channel once and record the
+   * ones that finished. Run by the publish poller.
+   * @returns {Promise<Object[]>} Items whose publish task finished
+   */
+  async function refreshPublishingItems() {
+    const docs = await firestore.listCollection(COLLECTION, [
+      { field: "publishTask.status", operator: "==", value: "publishing" },
+    ]);
+    const finished = [];
+    for (const doc of docs) {
+      const existing = normalizeItem(doc, logger);
+      if (!existing || existing.publishTask?.status !== "publishing") continue;
+      try {
+        const publishTask = await publisherRegistry.refresh({
+          publishTask: existing.publishTask,
+          companyId: await loadCompanyIdForItem(existing),
+        });
+        if (publishTask.status === "publishing") continue;
+        finished.push(
+          await recordPublishTask(existing, publishTask, "Channel finished processing")
+        );
+      } catch (error) {
+        logger.error(
+          { err: error, itemId: existing.id },
+          "video.publish.refresh_failed"
+        );
+      }
+    }
+    return finished;
+  }
+
   async function bulkUpdate({ ownerUserId, itemIds = [], action }) {
     const results = [];
     for (const itemId of itemIds) {
@@ -648,11 +706,31 @@ export function createVideoLibraryService({
     triggerRender,
     approveItem,
     publishItem,
+    refreshPublishingItems,
     bulkUpdate,
     updateCaption,
   };
 }
 
+/**
+ * Seconds the item's active manifest will render, for sizing its credit hold.
+ * @param {Object} params
+ * @param {Object} params.firestore - Firestore instance
+ * @param {Object} params.logger - Logger instance
+ * @param {string} params.ownerUserId - Owner user ID
+ * @param {string} params.itemId - Video library item ID
+ * @returns {Promise<number|null>} Planned seconds (0 when the manifest has no
+ *   duration), or null when the owner has no such item
+ */
+export async function resolveVideoRenderSeconds({ firestore, logger, ownerUserId, itemId }) {
+  const doc = itemId ? await firestore.getDocument(COLLECTION, itemId) : null;
+  if (!doc || doc.ownerUserId !== ownerUserId) {
+    return null;
+  }
+  const item = normalizeItem(doc, logger);
+  return calculateDuration(item?.activeManifest) ?? 0;
+}
+
 export async function renderVideo({
   firestore,
   bigQuery,
@@ -660,9 +738,10 @@ export async function renderVideo({
   logger,
   ownerUserId,
   itemId,
+  creditReservationId = null,
 }) {
   const renderer = createRenderer({ logger });
-  const publisherRegistry = createPublisherRegistry({ logger });
+  const publisherRegistry = createPublisherRegistry({ logger, firestore });
   const service = createVideoLibraryService({
     firestore,
     bigQuery,
@@ -670,6 +749,7 @@ export async function renderVideo({
     renderer,
     publisherRegistry,
     logger,
+    creditReservationId,
   });
   const outcome = await service.triggerRender({ ownerUserId, itemId });
   return outcome?.item ?? null;
@@ -685,7 +765,7 @@ export async function updateVideoCaption({
   caption,
 }) {
   const renderer = createRenderer({ logger });
-  const publisherRegistry = createPublisherRegistry({ logger });
+  const publisherRegistry = createPublisherRegistry({ logger, firestore });
   const service = createVideoLibraryService({
     firestore,
     bigQuery,
@@ -713,7 +793,7 @@ export async function createVideoManifest({
   ownerUserId,
 }) {
   const renderer = createRenderer({ logger });
-  const publisherRegistry = createPublisherRegistry({ logger });
+  const publisherRegistry = createPublisherRegistry({ logger, firestore });
   const service = createVideoLibraryService({
     firestore,
     bigQuery,
@@ -742,7 +822,7 @@ export async function regenerateVideoManifest({
   recommendedMedium,
 }) {
   const renderer = createRenderer({ logger });
-  const publisherRegistry = createPublisherRegistry({ logger });
+  const publisherRegistry = createPublisherRegistry({ logger, firestore });
   const service = createVideoLibraryService({
     firestore,
     bigQuery,
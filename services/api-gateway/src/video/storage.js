@@ -130,3 +130,64 @@ export async function persistRemoteVideo({
     location: "local",
   };
 }
+
+const LOCAL_ASSET_PREFIX = "/video-assets/";
+const LOCAL_ASSET_HOSTS = new Set(["localhost", "127.0.0.1"]);
+
+function contentTypeForPath(value) {
+  const extension = path.extname(String(value).split("?")[0]).toLowerCase();
+  if (extension === ".jpg" || extension === ".jpeg") return "image/jpeg";
+  if (extension === ".png") return "image/png";
+  if (extension === ".webp") return "image/webp";
+  if (extension === ".mov") return "video/quicktime";
+  return "video/mp4";
+}
+
+// Path under OUTPUT_DIR for assets this gateway serves itself: the
+// renderer stores them as http://localhost:<port>/video-assets/<file>.
+function resolveLocalAssetPath(url) {
+  const parsed = new URL(url, "http://localhost");
+  if (
+    !LOCAL_ASSET_HOSTS.has(parsed.hostname) ||
+    !parsed.pathname.startsWith(LOCAL_ASSET_PREFIX)
+  ) {
+    return null;
+  }
+  const file = path.resolve(
+    OUTPUT_DIR,
+    decodeURIComponent(parsed.pathname.slice(LOCAL_ASSET_PREFIX.length))
+  );
+  if (!file.startsWith(`${OUTPUT_DIR}${path.sep}`)) {
+    throw new Error("Video asset path is outside the output directory");
+  }
+  return file;
+}
+
+/**
+ * Read a rendered asset into memory for channels that take file uploads.
+ * Assets served from this gateway's /video-assets are read from the output
+ * directory; bucket and provider URLs are downloaded.
+ *
+ * @param {string} url - Video or poster URL from a render task
+ * @returns {Promise<{bytes: Buffer, contentType: string}>}
+ */
+export async function loadRenderedMedia(url) {
+  if (!url) {
+    throw new Error("url is required to load rendered media");
+  }
+  const localFile = resolveLocalAssetPath(url);
+  if (localFile) {
+    return {
+      bytes: await fs.promises.readFile(localFile),
+      contentType: contentTypeForPath(localFile),
+    };
+  }
+  const response = await axios.get(url, {
+    responseType: "arraybuffer",
+    timeout: DOWNLOAD_TIMEOUT_MS,
+  });
+  return {
+    bytes: Buffer.from(response.data),
+    contentType: response.headers["content-type"] ?? contentTypeForPath(url),
+  };
+}
@@ -0,0 +1,384 @@
+/**
+ * @file campaign-orchestrator.test.js
+ * Tests for the campaign orchestrator worker.
+ *
+ * These tests verify:
+ * 1. One CampaignSchema record is created per channel and driven to COMPLETED
+ * 2. Failed launches are retried and end in FAILED once attempts run out
+ * 3. Redelivered envelopes resume existing campaigns instead of duplicating
+ *    them, and draft channels a partial delivery did not reach
+ * 4. Concurrent saves keep every campaign's summary row on the job
+ * 5. Launch requests flow through the event bus (in-memory and JSONL transports)
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { CampaignSchema } from "@wizard/core";
+import {
+  CampaignLaunchRequested,
+  createEventBus,
+  createEventEnvelope,
+  createInMemoryTransport,
+  createJsonlTransport,
+  deadLetterTopic,
+} from "@wizard/events";
+import { CampaignOrchestrator } from "../campaign-orchestrator.js";
+import { createCampaignStore } from "../campaign-store.js";
+
+function createMemoryFirestore() {
+  const store = new Map();
+  let queue = Promise.resolve();
+  return {
+    _store: store,
+    // Serialized like Firestore's retried transactions
+    runTransaction(work) {
+      const run = queue.then(() =>
+        work({
+          getDocument: (collection, id) => store.get(`${collection}/${id}`) ?? null,
+          replaceDocument(collection, id, data) {
+            store.set(`${collection}/${id}`, { ...data, id });
+          },
+        })
+      );
+      queue = run.catch(() => {});
+      return run;
+    },
+    async getDocument(collection, id) {
+      return store.get(`${collection}/${id}`) ?? null;
+    },
+    async saveDocument(collection, id, data) {
+      const key = `${collection}/${id}`;
+      const merged = { ...(store.get(key) ?? {}), ...data, id };
+      store.set(key, merged);
+      return merged;
+    },
+    async queryDocuments(collection, field, operator, value) {
+      return [...store.entries()]
+        .filter(([key, doc]) => key.startsWith(`${collection}/`) && doc[field] === value)
+        .map(([, doc]) => doc);
+    },
+  };
+}
+
+function createLogger() {
+  return { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+}
+
+function buildLaunchEnvelope(payload = {}) {
+  return createEventEnvelope(CampaignLaunchRequested, {
+    source: "test",
+    partitionKey: "job_1",
+    payload: { campaignId: "launch_1", jobId: "job_1", ...payload },
+  });
+}
+
+describe("CampaignOrchestrator", () => {
+  let firestore;
+  let logger;
+  let store;
+
+  beforeEach(() => {
+    firestore = createMemoryFirestore();
+    logger = createLogger();
+    store = createCampaignStore({ firestore, logger });
+    firestore.saveDocument("jobs", "job_1", {
+      ownerUserId: "user_1",
+      roleTitle: "Senior Nurse",
+      campaigns: [],
+    });
+    firestore.saveDocument("jobChannelRecommendations", "job_1", {
+      recommendations: [
+        { channel: "LINKEDIN_JOBS", reason: "Professional audience" },
+        { channel: "INDEED_SPONSORED", reason: "Volume" },
+        { channel: "NOT_A_CHANNEL", reason: "Ignored" },
+      ],
+    });
+  });
+
+  it("creates a campaign per recommended channel and completes them", async () => {
+    const orchestrator = new CampaignOrchestrator({ store, logger, retryDelayMs: 0 });
+
+    const campaigns = await orchestrator.handleLaunchRequested(
+      buildLaunchEnvelope({ budget: 1000 })
+    );
+
+    expect(campaigns.map((campaign) => campaign.channel)).toEqual([
+      "LINKEDIN_JOBS",
+      "INDEED_SPONSORED",
+    ]);
+    campaigns.forEach((campaign) => {
+      expect(CampaignSchema.safeParse(campaign).success).toBe(true);
+      expect(campaign.status).toBe("COMPLETED");
+      expect(campaign.budget).toBe(500);
+      expect(campaign.history.map((entry) => entry.to)).toEqual([
+        "SCHEDULED",
+        "RUNNING",
+        "COMPLETED",
+      ]);
+      expect(campaign.tracking.utmParameters.utm_campaign).toBe("senior-nurse");
+    });
+
+    const job = await firestore.getDocument("jobs", "job_1");
+    expect(job.campaigns).toHaveLength(2);
+    expect(job.campaigns.every((entry) => entry.status === "COMPLETED")).toBe(true);
+  });
+
+  it("prefers explicitly requested channels over recommendations", async () => {
+    const orchestrator = new CampaignOrchestrator({ store, logger, retryDelayMs: 0 });
+
+    const campaigns = await orchestrator.handleLaunchRequested(
+      buildLaunchEnvelope({ channels: ["TIKTOK_LEAD"] })
+    );
+
+    expect(campaigns).toHaveLength(1);
+    expect(campaigns[0].channel).toBe("TIKTOK_LEAD");
+  });
+
+  it("retries failed launches and marks the campaign FAILED when exhausted", async () => {
+    const launcher = { launch: vi.fn(async () => { throw new Error("channel down"); }) };
+    const orchestrator = new CampaignOrchestrator({
+      store,
+      logger,
+      launcher,
+      maxAttempts: 3,
+      retryDelayMs: 0,
+    });
+
+    const [campaign] = await orchestrator.handleLaunchRequested(
+      buildLaunchEnvelope({ channels: ["LINKEDIN_JOBS"] })
+    );
+
+    expect(launcher.launch).toHaveBeenCalledTimes(3);
+    expect(campaign.status).toBe("FAILED");
+    expect(campaign.attempts).toBe(3);
+    expect(campaign.lastError).toBe("channel down");
+  });
+
+  it("recovers when a later attempt succeeds", async () => {
+    const launcher = {
+      launch: vi
+        .fn()
+        .mockRejectedValueOnce(new Error("timeout"))
+        .mockResolvedValueOnce({ externalId: "ext_1", metrics: { impressions: 10 } }),
+    };
+    const orchestrator = new CampaignOrchestrator({ store, logger, launcher, retryDelayMs: 0 });
+
+    const [campaign] = await orchestrator.handleLaunchRequested(
+      buildLaunchEnvelope({ channels: ["LINKEDIN_JOBS"] })
+    );
+
+    expect(campaign.status).toBe("COMPLETED");
+    expect(campaign.attempts).toBe(2);
+    expect(campaign.externalId).toBe("ext_1");
+    expect(campaign.metrics.impressions).toBe(10);
+  });
+
+  it("does not duplicate campaigns when an envelope is redelivered", async () => {
+    const orchestrator = new CampaignOrchestrator({ store, logger, retryDelayMs: 0 });
+    const envelope = buildLaunchEnvelope({ channels: ["LINKEDIN_JOBS"] });
+
+    await orchestrator.handleLaunchRequested(envelope);
+    await orchestrator.handleLaunchRequested(envelope);
+
+    const stored = await store.listCampaignsForLaunch("launch_1");
+    expect(stored).toHaveLength(1);
+    const job = await firestore.getDocument("jobs", "job_1");
+    expect(job.campaigns).toHaveLength(1);
+  });
+
+  it("drafts the channels a partial delivery did not reach on redelivery", async () => {
+    const orchestrator = new CampaignOrchestrator({ store, logger, retryDelayMs: 0 });
+    const envelope = buildLaunchEnvelope({ budget: 1000 });
+    // The first delivery crashed after drafting only LinkedIn
+    const saveCampaign = store.saveCampaign;
+    let saved = 0;
+    store.saveCampaign = async (campaign) => {
+      if (++saved === 2) throw new Error("worker crashed");
+      return saveCampaign(campaign);
+    };
+    await expect(orchestrator.handleLaunchRequested(envelope)).rejects.toThrow("worker crashed");
+    store.saveCampaign = saveCampaign;
+
+    const campaigns = await orchestrator.handleLaunchRequested(envelope);
+
+    expect(campaigns.map((campaign) => campaign.channel)).toEqual([
+      "LINKEDIN_JOBS",
+      "INDEED_SPONSORED",
+    ]);
+    expect(campaigns.every((campaign) => campaign.status === "COMPLETED")).toBe(true);
+    expect(campaigns.every((campaign) => campaign.budget === 500)).toBe(true);
+    expect(await store.listCampaignsForLaunch("launch_1")).toHaveLength(2);
+  });
+
+  it("keeps every summary row when campaigns of a job are saved concurrently", async () => {
+    const now = new Date();
+    const campaigns = ["LINKEDIN_JOBS", "INDEED_SPONSORED", "TIKTOK_LEAD"].map((channel) => ({
+      id: `campaign_${channel}`,
+      jobId: "job_1",
+      channel,
+      status: "DRAFT",
+      createdAt: now,
+      updatedAt: now,
+    }));
+
+    await Promise.all(campaigns.map((campaign) => store.saveCampaign(campaign)));
+
+    const job = await firestore.getDocument("jobs", "job_1");
+    expect(job.campaigns.map((entry) => entry.channel).sort()).toEqual([
+      "INDEED_SPONSORED",
+      "LINKEDIN_JOBS",
+      "TIKTOK_LEAD",
+    ]);
+    expect(job.roleTitle).toBe("Senior Nurse");
+  });
+
+  it("skips launches for unknown jobs", async () => {
+    const orchestrator = new CampaignOrchestrator({ store, logger, retryDelayMs: 0 });
+
+    const campaigns = await orchestrator.handleLaunchRequested(
+      buildLaunchEnvelope({ jobId: "job_missing" })
+    );
+
+    expect(campaigns).toEqual([]);
+  });
+
+  it("rejects envelopes that do not match CampaignLaunchRequested", async () => {
+    const orchestrator = new CampaignOrchestrator({ store, logger, retryDelayMs: 0 });
+
+    await expect(
+      orchestrator.handleLaunchRequested({ type: "campaign.launch.requested" })
+    ).rejects.toThrow();
+  });
+});
+
+describe("event bus delivery", () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), "campaign-bus-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("rejects envelopes that fail AllEvents validation on publish", async () => {
+    const bus = createEventBus({ source: "test" });
+    await expect(
+      bus.publish({ type: "campaign.launch.requested", payload: {} })
+    ).rejects.toThrow();
+  });
+
+  it("delivers every event once to each subscriber group", async () => {
+    const bus = createEventBus({ source: "test" });
+    const orchestrator = [];
+    const analytics = [];
+    bus.subscribe(CampaignLaunchRequested, async (envelope) => {
+      orchestrator.push(envelope.payload.campaignId);
+    }, { group: "campaign-orchestrator" });
+    bus.subscribe("campaign.launch.requested", async (envelope) => {
+      analytics.push(envelope.payload.campaignId);
+    }, { group: "analytics" });
+
+    await bus.publish(CampaignLaunchRequested, {
+      partitionKey: "job_1",
+      payload: { campaignId: "launch_1", jobId: "job_1" },
+    });
+    await bus.publish(buildLaunchEnvelope({ campaignId: "launch_2" }));
+
+    expect(await bus.drain()).toBe(4);
+    expect(orchestrator).toEqual(["launch_1", "launch_2"]);
+    expect(analytics).toEqual(["launch_1", "launch_2"]);
+    expect(await bus.drain()).toBe(0);
+  });
+
+  it("retries failing handlers and dead-letters the envelope", async () => {
+    const transport = createInMemoryTransport();
+    const bus = createEventBus({ transport, source: "test", retryDelayMs: 0 });
+    const handler = vi.fn(async () => {
+      throw new Error("boom");
+    });
+    bus.subscribe(CampaignLaunchRequested, handler, { group: "workers" });
+    const envelope = await bus.publish(buildLaunchEnvelope());
+
+    await bus.drain();
+
+    expect(handler).toHaveBeenCalledTimes(3);
+    const deadLetters = [];
+    await transport
+      .queue(deadLetterTopic(CampaignLaunchRequested))
+      .drain(async (message) => {
+        deadLetters.push(message);
+      });
+    expect(deadLetters).toHaveLength(1);
+    expect(deadLetters[0]).toMatchObject({
+      envelope: { id: envelope.id },
+      group: "workers",
+      attempts: 3,
+      error: { message: "boom" },
+    });
+  });
+
+  it("keeps per-group offsets in the JSONL transport across restarts", async () => {
+    const publisher = createEventBus({
+      transport: createJsonlTransport({ dir: tmpDir }),
+      source: "test",
+    });
+    await publisher.publish(buildLaunchEnvelope());
+    await publisher.publish(buildLaunchEnvelope({ campaignId: "launch_2" }));
+
+    const first = createEventBus({
+      transport: createJsonlTransport({ dir: tmpDir }),
+      source: "test",
+    });
+    const seen = [];
+    first.subscribe(CampaignLaunchRequested, async (envelope) => {
+      seen.push(envelope.payload.campaignId);
+    }, { group: "campaign-orchestrator" });
+    expect(await first.drain()).toBe(2);
+
+    await publisher.publish(buildLaunchEnvelope({ campaignId: "launch_3" }));
+
+    const restarted = createEventBus({
+      transport: createJsonlTransport({ dir: tmpDir }),
+      source: "test",
+    });
+    restarted.subscribe(CampaignLaunchRequested, async (envelope) => {
+      seen.push(envelope.payload.campaignId);
+    }, { group: "campaign-orchestrator" });
+    expect(await restarted.drain()).toBe(1);
+    expect(seen).toEqual(["launch_1", "launch_2", "launch_3"]);
+  });
+
+  it("drives the orchestrator end-to-end from a published launch request", async () => {
+    const firestore = createMemoryFirestore();
+    const logger = createLogger();
+    await firestore.saveDocument("jobs", "job_1", {
+      ownerUserId: "user_1",
+      roleTitle: "Senior Nurse",
+    });
+    const orchestrator = new CampaignOrchestrator({
+      store: createCampaignStore({ firestore, logger }),
+      logger,
+      retryDelayMs: 0,
+    });
+    const bus = createEventBus({ source: "test", logger });
+    bus.subscribe(
+      CampaignLaunchRequested,
+      (envelope) => orchestrator.handleLaunchRequested(envelope),
+      { group: "campaign-orchestrator" }
+    );
+
+    await bus.publish(CampaignLaunchRequested, {
+      partitionKey: "job_1",
+      payload: { campaignId: "launch_1", jobId: "job_1", channels: ["LINKEDIN_JOBS"] },
+    });
+    await bus.drain();
+
+    const campaigns = await firestore.queryDocuments("campaigns", "launchId", "==", "launch_1");
+    expect(campaigns).toHaveLength(1);
+    expect(campaigns[0].status).toBe("COMPLETED");
+  });
+});
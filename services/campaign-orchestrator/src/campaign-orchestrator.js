@@ -0,0 +1,228 @@
+/**
+ * @file campaign-orchestrator.js
+ * Consumes CampaignLaunchRequested envelopes and drives one campaign per
+ * channel through DRAFT → SCHEDULED → RUNNING → COMPLETED/FAILED.
+ *
+ * Delivery is at-least-once: a redelivered envelope resumes the campaigns
+ * already created for its launch id and only drafts the channels that a
+ * previous delivery did not get to, instead of creating duplicates.
+ */
+
+import { randomUUID } from "node:crypto";
+import {
+  CampaignSchema,
+  CAMPAIGN_TERMINAL_STATUSES,
+  ChannelIdEnum,
+  createCampaignStateMachine
+} from "@wizard/core";
+import { CampaignLaunchRequested } from "@wizard/events";
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Default launcher used until channel connectors exist in services/publishing.
+ * It accepts every campaign and reports zeroed metrics.
+ */
+export function createLocalChannelLauncher() {
+  return {
+    async launch() {
+      return {
+        metrics: { impressions: 0, clicks: 0, qualifiedLeads: 0, spend: 0 }
+      };
+    }
+  };
+}
+
+function resolveChannels(requested, recommendations) {
+  const source =
+    Array.isArray(requested) && requested.length > 0
+      ? requested
+      : recommendations.map((recommendation) => recommendation?.channel);
+  const unique = [];
+  source.forEach((channel) => {
+    const parsed = ChannelIdEnum.safeParse(channel);
+    if (parsed.success && !unique.includes(parsed.data)) {
+      unique.push(parsed.data);
+    }
+  });
+  return unique;
+}
+
+export class CampaignOrchestrator {
+  constructor({
+    store,
+    logger,
+    launcher = createLocalChannelLauncher(),
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS
+  }) {
+    this.store = store;
+    this.logger = logger;
+    this.launcher = launcher;
+    this.maxAttempts = maxAttempts;
+    this.retryDelayMs = retryDelayMs;
+    this.machine = createCampaignStateMachine();
+  }
+
+  /**
+   * Handle a single CampaignLaunchRequested envelope.
+   * @param {Object} rawEnvelope - Envelope as read from the queue
+   * @returns {Promise<Array>} Campaign records after processing
+   */
+  async handleLaunchRequested(rawEnvelope) {
+    const envelope = CampaignLaunchRequested.parse(rawEnvelope);
+    const { campaignId: launchId, jobId } = envelope.payload;
+
+    const job = await this.store.loadJob(jobId);
+    if (!job) {
+      this.logger.warn({ launchId, jobId }, "Campaign launch skipped: job not found");
+      return [];
+    }
+
+    const existing = await this.store.listCampaignsForLaunch(launchId);
+    const campaigns = [
+      ...existing,
+      ...(await this.createDraftCampaigns({ envelope, job, existing }))
+    ];
+
+    const results = [];
+    for (const campaign of campaigns) {
+      results.push(await this.runCampaign(campaign));
+    }
+
+    this.logger.info(
+      {
+        launchId,
+        jobId,
+        statuses: results.map((campaign) => `${campaign.channel}:${campaign.status}`)
+      },
+      "Campaign launch processed"
+    );
+    return results;
+  }
+
+  /**
+   * Create DRAFT campaigns for the launch's channels that have none yet.
+   * @param {Object} params
+   * @param {Array} params.existing - Campaigns already stored for the launch
+   * @returns {Promise<Array>} Newly created drafts
+   */
+  async createDraftCampaigns({ envelope, job, existing = [] }) {
+    const { campaignId: launchId, jobId, budget, objective } = envelope.payload;
+    const recommendations = await this.store.loadChannelRecommendations(jobId);
+    const channels = resolveChannels(envelope.payload.channels, recommendations);
+
+    if (channels.length === 0) {
+      if (existing.length === 0) {
+        this.logger.warn({ launchId, jobId }, "Campaign launch has no channels to run");
+      }
+      return [];
+    }
+    const drafted = new Set(existing.map((campaign) => campaign.channel));
+
+    const now = new Date();
+    const perChannelBudget =
+      typeof budget === "number" ? Math.round((budget / channels.length) * 100) / 100 : 0;
+    const utmCampaign = job.roleTitle
+      ? String(job.roleTitle).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "")
+      : jobId;
+
+    const drafts = [];
+    for (const channel of channels.filter((entry) => !drafted.has(entry))) {
+      const base = CampaignSchema.parse({
+        id: randomUUID(),
+        jobId,
+        channel,
+        status: "DRAFT",
+        budget: perChannelBudget,
+        objective,
+        tracking: {
+          utmParameters: {
+            utm_source: channel.toLowerCase(),
+            utm_medium: "recruiting",
+            utm_campaign: utmCampaign || jobId
+          }
+        },
+        metrics: {},
+        createdAt: now,
+        updatedAt: now
+      });
+      const campaign = {
+        ...base,
+        launchId,
+        ownerUserId: job.ownerUserId ?? null,
+        attempts: 0,
+        lastError: null,
+        history: [],
+        requestedBy: envelope.id
+      };
+      drafts.push(await this.store.saveCampaign(campaign));
+    }
+    return drafts;
+  }
+
+  async transition(campaign, nextStatus, reason, patch = {}) {
+    this.machine.assertTransition(campaign.status, nextStatus);
+    const now = new Date();
+    const updated = {
+      ...campaign,
+      ...patch,
+      status: nextStatus,
+      history: [
+        ...(campaign.history ?? []),
+        { from: campaign.status, to: nextStatus, at: now, reason }
+      ],
+      updatedAt: now
+    };
+    return this.store.saveCampaign(updated);
+  }
+
+  async runCampaign(initial) {
+    let campaign = initial;
+    if (CAMPAIGN_TERMINAL_STATUSES.includes(campaign.status)) {
+      return campaign;
+    }
+    if (campaign.status === "PAUSED") {
+      return campaign;
+    }
+
+    if (campaign.status === "DRAFT") {
+      campaign = await this.transition(campaign, "SCHEDULED", "Launch requested");
+    }
+    if (campaign.status === "SCHEDULED") {
+      campaign = await this.transition(campaign, "RUNNING", "Handed to channel launcher");
+    }
+
+    while (campaign.attempts < this.maxAttempts) {
+      const attempt = campaign.attempts + 1;
+      try {
+        const result = await this.launcher.launch(campaign);
+        return this.transition(campaign, "COMPLETED", "Channel run finished", {
+          attempts: attempt,
+          lastError: null,
+          externalId: result?.externalId ?? campaign.externalId ?? null,
+          metrics: { ...campaign.metrics, ...(result?.metrics ?? {}) }
+        });
+      } catch (error) {
+        this.logger.warn(
+          { campaignId: campaign.id, channel: campaign.channel, attempt, err: error },
+          "Campaign launch attempt failed"
+        );
+        campaign = await this.store.saveCampaign({
+          ...campaign,
+          attempts: attempt,
+          lastError: error?.message ?? String(error),
+          updatedAt: new Date()
+        });
+        if (attempt < this.maxAttempts) {
+          await sleep(this.retryDelayMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+
+    return this.transition(campaign, "FAILED", "Retries exhausted");
+  }
+}
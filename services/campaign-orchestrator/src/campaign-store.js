@@ -0,0 +1,104 @@
+/**
+ * @file campaign-store.js
+ * Firestore persistence for campaign records.
+ *
+ * Each campaign is stored as its own document in "campaigns" and mirrored
+ * as a summary row onto the owning job's `campaigns` array, which is what
+ * GET /dashboard/campaigns reads.
+ */
+
+const CAMPAIGN_COLLECTION = "campaigns";
+const JOB_COLLECTION = "jobs";
+const FINAL_JOB_COLLECTION = "jobFinalJobs";
+const CHANNEL_RECOMMENDATION_COLLECTION = "jobChannelRecommendations";
+
+function toJobSummary(campaign) {
+  return {
+    campaignId: campaign.id,
+    launchId: campaign.launchId ?? null,
+    channel: campaign.channel,
+    status: campaign.status,
+    budget: campaign.budget ?? 0,
+    objective: campaign.objective ?? null,
+    attempts: campaign.attempts ?? 0,
+    lastError: campaign.lastError ?? null,
+    createdAt: campaign.createdAt,
+    updatedAt: campaign.updatedAt
+  };
+}
+
+export function createCampaignStore({ firestore, logger }) {
+  return {
+    async loadJob(jobId) {
+      return firestore.getDocument(JOB_COLLECTION, jobId);
+    },
+
+    async loadFinalJob(jobId) {
+      return firestore.getDocument(FINAL_JOB_COLLECTION, jobId);
+    },
+
+    async loadChannelRecommendations(jobId) {
+      const doc = await firestore.getDocument(
+        CHANNEL_RECOMMENDATION_COLLECTION,
+        jobId
+      );
+      return Array.isArray(doc?.recommendations) ? doc.recommendations : [];
+    },
+
+    async loadCampaign(campaignId) {
+      return firestore.getDocument(CAMPAIGN_COLLECTION, campaignId);
+    },
+
+    async listCampaignsForLaunch(launchId) {
+      return firestore.queryDocuments(
+        CAMPAIGN_COLLECTION,
+        "launchId",
+        "==",
+        launchId
+      );
+    },
+
+    /**
+     * Persist a campaign and refresh its summary row on the job document.
+     * The row is rewritten inside a transaction so campaigns of the same job
+     * saved concurrently (or a redelivered launch) don't drop each other's rows.
+     * @param {Object} campaign - Campaign record (CampaignSchema + orchestration fields)
+     * @returns {Promise<Object>} Saved campaign
+     */
+    async saveCampaign(campaign) {
+      await firestore.saveDocument(CAMPAIGN_COLLECTION, campaign.id, campaign);
+
+      const found = await firestore.runTransaction(async (transaction) => {
+        const job = await transaction.getDocument(JOB_COLLECTION, campaign.jobId);
+        if (!job) {
+          return false;
+        }
+        const existing = Array.isArray(job.campaigns) ? job.campaigns : [];
+        const summary = toJobSummary(campaign);
+        const index = existing.findIndex(
+          (entry) => entry?.campaignId === campaign.id
+        );
+        const campaigns =
+          index === -1
+            ? [...existing, summary]
+            : existing.map((entry, position) =>
+                position === index ? summary : entry
+              );
+        const { id: _id, ...stored } = job;
+        transaction.replaceDocument(JOB_COLLECTION, campaign.jobId, {
+          ...stored,
+          campaigns,
+          updatedAt: campaign.updatedAt
+        });
+        return true;
+      });
+      if (!found) {
+        logger.warn(
+          { jobId: campaign.jobId, campaignId: campaign.id },
+          "Campaign saved but owning job was not found"
+        );
+      }
+      return campaign;
+    }
+  };
+}
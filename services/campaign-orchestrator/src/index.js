@@ -1,20 +1,65 @@
 import { createLogger, loadEnv } from "@wizard/utils";
+import { createFirestoreAdapter } from "@wizard/data";
+import { CampaignLaunchRequested, createEventBusFromEnv } from "@wizard/events";
+import { CampaignOrchestrator } from "./campaign-orchestrator.js";
+import { createCampaignStore } from "./campaign-store.js";
+
+const SUBSCRIBER_GROUP = "campaign-orchestrator";
 
 class CampaignOrchestratorService {
-  constructor({ logger }) {
+  constructor({ logger, eventBus, orchestrator }) {
     this.logger = logger;
+    this.eventBus = eventBus;
+    this.orchestrator = orchestrator;
+    this.unsubscribe = null;
   }
 
   async start() {
-    this.logger.info("Campaign orchestrator service ready (stub)");
+    // Failures are retried by the bus and then dead-lettered, so one bad
+    // envelope never blocks the topic.
+    this.unsubscribe = this.eventBus.subscribe(
+      CampaignLaunchRequested,
+      (envelope) => this.orchestrator.handleLaunchRequested(envelope),
+      { group: SUBSCRIBER_GROUP }
+    );
+    this.eventBus.start();
+    this.logger.info(
+      { transport: this.eventBus.transport.kind, group: SUBSCRIBER_GROUP },
+      "Campaign orchestrator service consuming launch requests"
+    );
+  }
+
+  async stop() {
+    this.unsubscribe?.();
+    this.eventBus.stop();
   }
 }
 
 async function main() {
   loadEnv();
   const logger = createLogger("campaign-orchestrator-service");
-  const service = new CampaignOrchestratorService({ logger });
+  const firestore = createFirestoreAdapter();
+  const eventBus = createEventBusFromEnv({
+    source: "campaign-orchestrator",
+    logger
+  });
+  const orchestrator = new CampaignOrchestrator({
+    store: createCampaignStore({ firestore, logger }),
+    logger,
+    maxAttempts: Number(process.env.CAMPAIGN_LAUNCH_MAX_ATTEMPTS ?? 3)
+  });
+  const service = new CampaignOrchestratorService({
+    logger,
+    eventBus,
+    orchestrator
+  });
   await service.start();
+
+  const shutdown = () => {
+    service.stop().finally(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
 }
 
 main().catch((error) => {
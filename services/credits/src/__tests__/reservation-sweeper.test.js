@@ -0,0 +1,177 @@
+/**
+ * @file reservation-sweeper.test.js
+ * Tests for the stale credit reservation sweeper.
+ *
+ * These tests verify:
+ * 1. Expired reservations charge accrued usage and release the rest of the hold
+ * 2. Reservations that are still open or already closed are left alone,
+ *    including ones the gateway settles while the sweep is running
+ * 3. Each expiry writes a CHARGE ledger entry and publishes CreditLedgerUpdated
+ */
+
+import { describe, it, expect, beforeEach, vi } from "vitest";
+import { randomUUID } from "node:crypto";
+import { createEventBus } from "@wizard/events";
+import { createReservationStore } from "../reservation-store.js";
+import { ReservationSweeper } from "../reservation-sweeper.js";
+
+const NOW = new Date("2026-01-01T12:00:00Z");
+
+function createMemoryFirestore() {
+  const store = new Map();
+  return {
+    _store: store,
+    async getDocument(collection, id) {
+      return store.get(`${collection}/${id}`) ?? null;
+    },
+    async saveDocument(collection, id, data) {
+      const key = `${collection}/${id}`;
+      const merged = { ...(store.get(key) ?? {}), ...data, id };
+      store.set(key, merged);
+      return merged;
+    },
+    // Writes are applied after `work` resolves, like a Firestore commit
+    async runTransaction(work) {
+      const writes = [];
+      const result = await work({
+        getDocument: (collection, id) => this.getDocument(collection, id),
+        saveDocument: (collection, id, data) => {
+          writes.push(() => this.saveDocument(collection, id, data));
+          return { id, ...data };
+        },
+      });
+      for (const write of writes) {
+        await write();
+      }
+      return result;
+    },
+    async listCollection(collection, filters = []) {
+      return [...store.entries()]
+        .filter(([key]) => key.startsWith(`${collection}/`))
+        .map(([, doc]) => doc)
+        .filter((doc) =>
+          filters.every((filter) => doc[filter.field] === filter.value)
+        );
+    },
+  };
+}
+
+function createLogger() {
+  return { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() };
+}
+
+function buildReservation(overrides = {}) {
+  return {
+    id: randomUUID(),
+    userId: "user_1",
+    jobId: "job_1",
+    workflow: "video_render",
+    status: "RESERVED",
+    reservedCredits: 3200,
+    accruedCredits: 1200,
+    chargedCredits: 0,
+    createdAt: new Date(NOW.getTime() - 60 * 60 * 1000),
+    updatedAt: new Date(NOW.getTime() - 60 * 60 * 1000),
+    expiresAt: new Date(NOW.getTime() - 1000),
+    metadata: {},
+    ...overrides,
+  };
+}
+
+describe("ReservationSweeper", () => {
+  let firestore;
+  let logger;
+  let eventBus;
+  let sweeper;
+
+  beforeEach(async () => {
+    firestore = createMemoryFirestore();
+    logger = createLogger();
+    eventBus = createEventBus({ source: "test" });
+    sweeper = new ReservationSweeper({
+      store: createReservationStore({ firestore, logger }),
+      logger,
+      eventBus,
+      now: () => NOW,
+    });
+    await firestore.saveDocument("users", "user_1", {
+      credits: { balance: 5000, reserved: 3200, lifetimeUsed: 100 },
+      usage: { remainingCredits: 1800 },
+    });
+  });
+
+  it("charges accrued usage and releases the rest of an expired hold", async () => {
+    const reservation = buildReservation();
+    await firestore.saveDocument("creditReservations", reservation.id, reservation);
+
+    expect(await sweeper.expireStale()).toBe(1);
+
+    const user = await firestore.getDocument("users", "user_1");
+    expect(user.usage.remainingCredits).toBe(1800 + 3200 - 1200);
+    expect(user.credits).toEqual({ balance: 3800, reserved: 0, lifetimeUsed: 1300 });
+
+    const saved = await firestore.getDocument("creditReservations", reservation.id);
+    expect(saved.status).toBe("EXPIRED");
+    expect(saved.chargedCredits).toBe(1200);
+  });
+
+  it("leaves open and already closed reservations untouched", async () => {
+    const open = buildReservation({ expiresAt: new Date(NOW.getTime() + 60_000) });
+    const closed = buildReservation({ status: "SETTLED" });
+    await firestore.saveDocument("creditReservations", open.id, open);
+    await firestore.saveDocument("creditReservations", closed.id, closed);
+
+    expect(await sweeper.expireStale()).toBe(0);
+    expect((await firestore.getDocument("creditReservations", open.id)).status).toBe("RESERVED");
+    expect((await firestore.getDocument("users", "user_1")).usage.remainingCredits).toBe(1800);
+  });
+
+  it("skips a reservation the gateway settled after it was listed", async () => {
+    const reservation = buildReservation();
+    await firestore.saveDocument("creditReservations", reservation.id, reservation);
+    const store = createReservationStore({ firestore, logger });
+    const listOpen = store.listOpenReservations.bind(store);
+    store.listOpenReservations = async () => {
+      const open = await listOpen();
+      // The gateway charges it between the sweeper's list and its close
+      await firestore.saveDocument("creditReservations", reservation.id, {
+        status: "SETTLED",
+        chargedCredits: 1200,
+      });
+      return open;
+    };
+    sweeper = new ReservationSweeper({ store, logger, eventBus, now: () => NOW });
+
+    expect(await sweeper.expireStale()).toBe(0);
+    expect((await firestore.getDocument("creditReservations", reservation.id)).status).toBe(
+      "SETTLED"
+    );
+    expect((await firestore.getDocument("users", "user_1")).usage.remainingCredits).toBe(1800);
+    expect(await firestore.listCollection("creditLedger")).toEqual([]);
+  });
+
+  it("records a CHARGE ledger entry and publishes it", async () => {
+    const reservation = buildReservation();
+    await firestore.saveDocument("creditReservations", reservation.id, reservation);
+    const published = [];
+    eventBus.subscribe("credits.ledger.updated", async (envelope) => {
+      published.push(envelope.payload);
+    });
+
+    await sweeper.expireStale();
+    await eventBus.drain();
+
+    const entries = await firestore.listCollection("creditLedger", [
+      { field: "userId", value: "user_1" },
+    ]);
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      type: "CHARGE",
+      status: "SETTLED",
+      credits: 1200,
+      correlationId: reservation.id,
+    });
+    expect(published).toHaveLength(1);
+    expect(published[0].correlationId).toBe(reservation.id);
+  });
+});
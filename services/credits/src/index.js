@@ -1,20 +1,62 @@
 import { createLogger, loadEnv } from "@wizard/utils";
+import { createFirestoreAdapter } from "@wizard/data";
+import { createEventBusFromEnv } from "@wizard/events";
+import { createReservationStore } from "./reservation-store.js";
+import { ReservationSweeper } from "./reservation-sweeper.js";
 
 class CreditsService {
-  constructor({ logger }) {
+  constructor({ logger, sweeper, sweepIntervalMs }) {
     this.logger = logger;
+    this.sweeper = sweeper;
+    this.sweepIntervalMs = sweepIntervalMs;
+    this.timer = null;
   }
 
   async start() {
-    this.logger.info("Credits service ready (stub)");
+    await this.sweep();
+    this.timer = setInterval(() => this.sweep(), this.sweepIntervalMs);
+    this.logger.info(
+      { sweepIntervalMs: this.sweepIntervalMs },
+      "Credits service sweeping stale reservations"
+    );
+  }
+
+  async sweep() {
+    try {
+      await this.sweeper.expireStale();
+    } catch (error) {
+      this.logger.error({ err: error }, "Credit reservation sweep failed");
+    }
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
   }
 }
 
 async function main() {
   loadEnv();
   const logger = createLogger("credits-service");
-  const service = new CreditsService({ logger });
+  const firestore = createFirestoreAdapter();
+  const eventBus = createEventBusFromEnv({ source: "credits", logger });
+  const sweeper = new ReservationSweeper({
+    store: createReservationStore({ firestore, logger }),
+    logger,
+    eventBus
+  });
+  const service = new CreditsService({
+    logger,
+    sweeper,
+    sweepIntervalMs: Number(process.env.CREDIT_SWEEP_INTERVAL_MS ?? 60_000)
+  });
   await service.start();
+
+  const shutdown = () => {
+    service.stop().finally(() => process.exit(0));
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
 }
 
 main().catch((error) => {
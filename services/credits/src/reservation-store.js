@@ -0,0 +1,84 @@
+/**
+ * @file reservation-store.js
+ * Firestore persistence for credit reservations, ledger entries and the user
+ * balances they move. Mirrors the collections written by the api-gateway
+ * (services/api-gateway/src/services/repositories/credit-ledger-repository.js).
+ */
+
+import {
+  applyCreditMovement,
+  CreditLedgerEntrySchema,
+  CreditReservationSchema
+} from "@wizard/core";
+
+const RESERVATION_COLLECTION = "creditReservations";
+const LEDGER_COLLECTION = "creditLedger";
+const USER_COLLECTION = "users";
+
+export function createReservationStore({ firestore, logger }) {
+  return {
+    async listOpenReservations() {
+      const docs = await firestore.listCollection(RESERVATION_COLLECTION, [
+        { field: "status", operator: "==", value: "RESERVED" }
+      ]);
+      return docs
+        .map((doc) => {
+          const parsed = CreditReservationSchema.safeParse(doc);
+          if (!parsed.success) {
+            logger.warn(
+              { reservationId: doc?.id, issues: parsed.error.issues },
+              "Skipping malformed credit reservation"
+            );
+            return null;
+          }
+          return parsed.data;
+        })
+        .filter(Boolean);
+    },
+
+    /**
+     * Close a reservation: charge `spend`, release the hold and write the
+     * closed reservation in one transaction. Returns null without touching
+     * anything when the reservation is no longer RESERVED (the gateway
+     * settled it first).
+     * @param {string} reservationId
+     * @param {(reservation: Object) => {reservation: Object, spend: number}} close
+     * @returns {Promise<Object|null>} The closed reservation
+     */
+    async closeReservation(reservationId, close) {
+      return firestore.runTransaction(async (transaction) => {
+        const raw = await transaction.getDocument(RESERVATION_COLLECTION, reservationId);
+        const parsed = raw ? CreditReservationSchema.safeParse(raw) : null;
+        if (!parsed?.success || parsed.data.status !== "RESERVED") {
+          return null;
+        }
+        const current = parsed.data;
+        const user = await transaction.getDocument(USER_COLLECTION, current.userId);
+        const { reservation, spend } = close(current);
+        const payload = CreditReservationSchema.parse(reservation);
+        if (user) {
+          const { credits, usage } = applyCreditMovement(user, {
+            release: current.reservedCredits,
+            spend
+          });
+          transaction.saveDocument(USER_COLLECTION, current.userId, {
+            credits,
+            usage,
+            updatedAt: new Date()
+          });
+        }
+        transaction.saveDocument(RESERVATION_COLLECTION, payload.id, payload);
+        return payload;
+      });
+    },
+
+    async saveLedgerEntry(userId, entry) {
+      const payload = CreditLedgerEntrySchema.parse(entry);
+      await firestore.saveDocument(LEDGER_COLLECTION, payload.id, {
+        ...payload,
+        userId
+      });
+      return payload;
+    }
+  };
+}
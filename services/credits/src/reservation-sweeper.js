@@ -0,0 +1,97 @@
+import { randomUUID } from "node:crypto";
+import { CreditLedgerUpdated } from "@wizard/events";
+
+/**
+ * Closes credit reservations the gateway never settled (process crash,
+ * dropped connection, ...). Whatever usage already accrued onto the hold is
+ * charged and the rest is released back to the user's spendable balance.
+ */
+export class ReservationSweeper {
+  constructor({ store, logger, eventBus = null, now = () => new Date() }) {
+    this.store = store;
+    this.logger = logger;
+    this.eventBus = eventBus;
+    this.now = now;
+  }
+
+  /**
+   * Expire every open reservation whose `expiresAt` has passed.
+   * @returns {Promise<number>} Number of reservations expired
+   */
+  async expireStale() {
+    const now = this.now();
+    const open = await this.store.listOpenReservations();
+    const stale = open.filter((reservation) => reservation.expiresAt <= now);
+    let expired = 0;
+    for (const reservation of stale) {
+      if (await this.expire(reservation, now)) {
+        expired += 1;
+      }
+    }
+    return expired;
+  }
+
+  async expire(stale, now) {
+    // Re-read inside the transaction: the gateway may have settled it meanwhile
+    const reservation = await this.store.closeReservation(stale.id, (current) => ({
+      spend: current.accruedCredits,
+      reservation: {
+        ...current,
+        status: "EXPIRED",
+        chargedCredits: current.accruedCredits,
+        updatedAt: now,
+        metadata: { ...current.metadata, reason: "expired" }
+      }
+    }));
+    if (!reservation) {
+      this.logger.info(
+        { reservationId: stale.id },
+        "Skipping credit reservation closed before expiry"
+      );
+      return false;
+    }
+    const spend = reservation.chargedCredits;
+
+    const entry = await this.store.saveLedgerEntry(reservation.userId, {
+      id: randomUUID(),
+      jobId: reservation.jobId ?? undefined,
+      workflow: reservation.workflow,
+      type: "CHARGE",
+      credits: spend,
+      status: "SETTLED",
+      correlationId: reservation.id,
+      occurredAt: now,
+      metadata: {
+        userId: reservation.userId,
+        reservedCredits: reservation.reservedCredits,
+        accruedCredits: reservation.accruedCredits,
+        reason: "expired"
+      }
+    });
+
+    if (this.eventBus) {
+      try {
+        await this.eventBus.publish(CreditLedgerUpdated, {
+          partitionKey: reservation.userId,
+          payload: entry
+        });
+      } catch (error) {
+        this.logger.warn(
+          { err: error, reservationId: reservation.id },
+          "Failed to publish expired reservation ledger entry"
+        );
+      }
+    }
+
+    this.logger.info(
+      {
+        reservationId: reservation.id,
+        userId: reservation.userId,
+        reservedCredits: reservation.reservedCredits,
+        chargedCredits: spend
+      },
+      "Expired stale credit reservation"
+    );
+    return true;
+  }
+}